@@ -0,0 +1,270 @@
+/**
+ * PromoFinder API App
+ *
+ * Builds the Express app for a configuration (see config/app-config.js):
+ * the core API is always mounted, optional features only when enabled.
+ * Features with background work (schedulers, cache/translator connections)
+ * register start/stop hooks, run by server.js around listen/shutdown.
+ *
+ * Response shapes are documented in API.md.
+ */
+
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const path = require('path');
+const prisma = require('./db/client');
+const { loadAppConfig } = require('./config/app-config');
+const { requireTs } = require('./services/require-ts');
+
+const dealsRoutes = require('./routes/deals');
+const catalogRoutes = require('./routes/catalog');
+const searchRoutes = require('./routes/search');
+const suggestRoutes = require('./routes/suggest');
+const priceHistoryRoutes = require('./routes/price-history');
+const authRoutes = require('./routes/auth');
+const meRoutes = require('./routes/me');
+const alertRoutes = require('./routes/alerts');
+const adminRoutes = require('./routes/admin');
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+// Public, user-independent GET endpoints served through the response cache
+const CACHED_ENDPOINTS = ['/api/deals', '/api/stats', '/api/filters', '/api/retailers', '/api/deals/regions'];
+
+/**
+ * Create the API app
+ *
+ * @param {Object} config - See loadAppConfig (default: from process.env)
+ * @returns {express.Application} - with app.locals.config and app.locals.hooks ({ start, stop })
+ */
+function createApp(config = loadAppConfig()) {
+  const { features } = config;
+  const app = express();
+  const hooks = { start: [], stop: [] };
+
+  app.locals.config = config;
+  app.locals.hooks = hooks;
+
+  // Middleware
+  app.use(helmet({
+    contentSecurityPolicy: false,
+    crossOriginEmbedderPolicy: false
+  }));
+  app.use(compression());
+  app.use(cors());
+  app.use(express.json());
+
+  if (config.logRequests) {
+    app.use((req, res, next) => {
+      console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+      next();
+    });
+  }
+
+  const enabledFeatures = Object.keys(features).filter(name => features[name]);
+
+  app.get('/', (req, res) => {
+    res.json({
+      status: 'ok',
+      message: 'PromoFinder API is running',
+      version: '2.0.0',
+      features: enabledFeatures,
+      endpoints: {
+        deals: '/api/deals',
+        deal: '/api/deals/:id',
+        stats: '/api/stats',
+        filters: '/api/filters',
+        search: '/api/search?q=',
+        priceHistory: '/api/products/:id/price-history',
+        health: '/health'
+      }
+    });
+  });
+
+  // Health check (load balancers, Docker HEALTHCHECK)
+  app.get('/health', async (req, res) => {
+    const health = {
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      features: enabledFeatures
+    };
+
+    try {
+      await prisma.$queryRaw`SELECT 1`;
+      health.database = 'ok';
+    } catch (error) {
+      health.status = 'degraded';
+      health.database = error.message;
+    }
+
+    res.status(health.status === 'ok' ? 200 : 503).json(health);
+  });
+
+  // Response cache
+  if (features.cache) {
+    const { CacheManager, MetricsTracker, CacheMiddleware } = requireTs('./services/cache', 'cache');
+    const cacheManager = new CacheManager({}, prisma);
+    const cacheMiddleware = new CacheMiddleware(cacheManager, new MetricsTracker());
+
+    app.get(CACHED_ENDPOINTS, cacheMiddleware.cache({
+      ttl: config.cache.ttl,
+      cacheKey: req => `api:${req.originalUrl}`
+    }));
+
+    hooks.start.push(() => cacheManager.initialize());
+    hooks.stop.push(() => cacheManager.shutdown());
+  }
+
+  // Deals and catalogue (regions before deals, which routes /:id)
+  if (features.regions) {
+    app.use('/api/deals/regions', require('./routes/regions'));
+  }
+  app.use('/api/deals', dealsRoutes);
+  app.use('/api', catalogRoutes);
+
+  // Full-text product search, and the search bar's suggestions
+  app.use('/api/search/suggest', suggestRoutes);
+  app.use('/api/search', searchRoutes);
+
+  // Price history per product
+  app.use('/api/products', priceHistoryRoutes);
+
+  // Accounts and the signed-in user's saved deals
+  app.use('/api/auth', authRoutes);
+  app.use('/api/me/alerts', alertRoutes);
+  app.use('/api/me', meRoutes);
+
+  // Scraper scheduler controls (before /api/admin, which is admin-only)
+  if (features.autoScraping) {
+    const { startAutoScraping, stopAutoScraping } = require('./services/scraping/auto-scraper-scheduler');
+    app.use('/api/admin/scraper', require('./routes/scraper-admin'));
+
+    hooks.start.push(() => startAutoScraping(config.scraping));
+    hooks.stop.push(() => stopAutoScraping());
+  }
+
+  // Scraper run history and health (before /api/admin, which is admin-only)
+  app.use('/api/admin/scrapers', require('./routes/scraper-runs'));
+
+  // Manual review queue (before /api/admin, which is admin-only)
+  app.use('/api/admin/reviews', require('./routes/review'));
+
+  // Quarantined deals (before /api/admin, which is admin-only)
+  app.use('/api/admin/quarantine', require('./routes/quarantine'));
+
+  // Flagged product images and the placeholder blocklist (before /api/admin, which is admin-only)
+  app.use('/api/admin/images', require('./routes/images'));
+
+  // Affiliate redirects, merchants and feed imports
+  if (features.affiliate) {
+    const cron = require('node-cron');
+    const feedImporter = require('./services/feedImporter');
+    let feedImportTask = null;
+
+    app.use('/api', require('./routes/affiliate'));
+
+    hooks.start.push(() => {
+      feedImportTask = cron.schedule(config.affiliate.feedImportSchedule, async () => {
+        console.log('⏰ Running scheduled feed import...');
+        try {
+          await feedImporter.importAllFeeds();
+          console.log('✅ Scheduled import completed');
+        } catch (error) {
+          console.error('❌ Scheduled import failed:', error);
+        }
+      });
+    });
+    hooks.stop.push(() => feedImportTask && feedImportTask.stop());
+  }
+
+  // API keys and audit log (admin role)
+  app.use('/api/admin', adminRoutes);
+
+  // Product fetching from external APIs
+  if (features.productFetching) {
+    app.use('/api', requireTs('./routes/api', 'productFetching').default);
+  }
+
+  // On-demand translation
+  if (features.translation) {
+    const { Translator } = requireTs('./services/translation/translator', 'translation');
+    const { createGlossary } = requireTs('./services/translation/glossary-defaults', 'translation');
+    const { getGlossaryStore } = require('./services/translation/glossary-store');
+    const { TranslationMemorySource } = require('./services/translation/translation-memory');
+    const { router: translationRoutes, initTranslator } = require('./routes/translation');
+    const translator = new Translator(
+      config.translation.deeplApiKey,
+      { url: config.translation.redisUrl },
+      {
+        fallbackLanguage: 'en',
+        cacheEnabled: true,
+        glossary: createGlossary(),
+        memorySource: new TranslationMemorySource()
+      }
+    );
+
+    initTranslator(translator);
+    app.use('/api', translationRoutes);
+
+    hooks.start.push(async () => {
+      await translator.initialize();
+
+      // Without the stored terms the built-in rules still apply
+      try {
+        translator.getGlossary().load(await getGlossaryStore().list());
+      } catch (error) {
+        console.warn('⚠️  Glossary terms not loaded:', error.message);
+      }
+    });
+    hooks.stop.push(() => translator.shutdown());
+  }
+
+  // 404 for unknown API routes
+  app.use('/api', (req, res) => {
+    res.status(404).json({
+      success: false,
+      error: 'Not Found',
+      message: `Endpoint ${req.method} ${req.originalUrl} not found`
+    });
+  });
+
+  // Built frontend, with client-side routing
+  if (features.staticFrontend) {
+    app.use(express.static(PUBLIC_DIR));
+    app.get('*', (req, res) => {
+      res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+    });
+  }
+
+  // Error handler
+  app.use((err, req, res, next) => {
+    console.error('❌ Server error:', err);
+    res.status(err.status || 500).json({
+      success: false,
+      error: err.status ? err.message : 'Internal Server Error',
+      message: err.message
+    });
+  });
+
+  return app;
+}
+
+/**
+ * Run the app's start or stop hooks in order
+ *
+ * @param {express.Application} app - From createApp
+ * @param {string} phase - 'start' or 'stop'
+ */
+async function runHooks(app, phase) {
+  for (const hook of app.locals.hooks[phase]) {
+    await hook();
+  }
+}
+
+module.exports = {
+  createApp,
+  runHooks
+};
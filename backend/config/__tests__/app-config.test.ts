@@ -0,0 +1,55 @@
+import { FEATURES, loadAppConfig, parseFeatures } from '../app-config';
+
+describe('parseFeatures', () => {
+  it('enables only the listed features', () => {
+    const features = parseFeatures('autoScraping, regions');
+
+    expect(features.autoScraping).toBe(true);
+    expect(features.regions).toBe(true);
+    expect(features.affiliate).toBe(false);
+    expect(Object.keys(features)).toEqual(Object.keys(FEATURES));
+  });
+
+  it('disables everything when empty', () => {
+    expect(Object.values(parseFeatures('')).some(Boolean)).toBe(false);
+    expect(Object.values(parseFeatures(undefined)).some(Boolean)).toBe(false);
+  });
+
+  it('rejects unknown features instead of ignoring them', () => {
+    expect(() => parseFeatures('autoscraping')).toThrow(/Unknown feature\(s\): autoscraping/);
+  });
+});
+
+describe('loadAppConfig', () => {
+  it('uses defaults for an empty environment', () => {
+    const config = loadAppConfig({});
+
+    expect(config.port).toBe(3001);
+    expect(config.logRequests).toBe(false);
+    expect(config.cache.ttl).toBe(300);
+    expect(config.affiliate.feedImportSchedule).toBe('0 */6 * * *');
+    expect(config.scraping).toEqual({ concurrency: 2, maxAttempts: 3, dealsImportSchedule: null, deeplApiKey: null });
+  });
+
+  it('reads the environment', () => {
+    const config = loadAppConfig({
+      PORT: '5001',
+      FEATURES: 'cache,translation',
+      LOG_REQUESTS: 'true',
+      API_CACHE_TTL: '60',
+      DEEPL_API_KEY: 'key',
+      SCRAPER_CONCURRENCY: '4',
+      DEALS_IMPORT_SCHEDULE: '0 */2 * * *',
+    });
+
+    expect(config.port).toBe(5001);
+    expect(config.logRequests).toBe(true);
+    expect(config.features.cache).toBe(true);
+    expect(config.features.translation).toBe(true);
+    expect(config.cache.ttl).toBe(60);
+    expect(config.translation.deeplApiKey).toBe('key');
+    expect(config.scraping.concurrency).toBe(4);
+    expect(config.scraping.dealsImportSchedule).toBe('0 */2 * * *');
+    expect(config.scraping.deeplApiKey).toBe('key');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Type declarations for the server configuration (config/app-config.js),
+ * so feature parsing can be exercised from the TypeScript test suite.
+ */
+
+export type FeatureName =
+  | 'affiliate'
+  | 'regions'
+  | 'autoScraping'
+  | 'productFetching'
+  | 'translation'
+  | 'cache'
+  | 'staticFrontend';
+
+export interface AppConfig {
+  port: number;
+  logRequests: boolean;
+  features: Record<FeatureName, boolean>;
+  cache: { ttl: number };
+  translation: { deeplApiKey?: string; redisUrl?: string };
+  affiliate: { feedImportSchedule: string };
+  scraping: {
+    concurrency: number;
+    maxAttempts: number;
+    dealsImportSchedule: string | null;
+    deeplApiKey: string | null;
+  };
+}
+
+export const FEATURES: Record<FeatureName, string>;
+
+export function parseFeatures(value?: string): Record<FeatureName, boolean>;
+
+export function loadAppConfig(env?: Record<string, string | undefined>): AppConfig;
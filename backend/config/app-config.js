@@ -0,0 +1,76 @@
+/**
+ * App Configuration
+ *
+ * Settings for the API server (app.js), read from the environment.
+ * The core API - deals, stats, search and suggestions, price history, accounts,
+ * alerts and admin keys - is always on; optional features are listed in FEATURES:
+ *
+ *   FEATURES=autoScraping,regions npm start
+ *
+ * TypeScript features (productFetching, translation, cache) are loaded through
+ * ts-node, which is a production dependency for this reason.
+ */
+
+const FEATURES = {
+  affiliate: 'Tracked affiliate redirects, merchants, featured deals, feed import',
+  regions: 'Region list with deal counts (/api/deals/regions)',
+  autoScraping: 'Scraper scheduler and /api/admin/scraper controls',
+  productFetching: 'Product fetching from external APIs (routes/api.ts)',
+  translation: 'On-demand translation routes (DeepL)',
+  cache: 'Multi-layer response cache for the public deal endpoints',
+  staticFrontend: 'Serve the built frontend from public/'
+};
+
+/**
+ * Parse a comma-separated feature list
+ *
+ * @throws {Error} on an unknown feature, so typos do not silently disable one
+ */
+function parseFeatures(value) {
+  const names = String(value || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const unknown = names.filter(name => !(name in FEATURES));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown feature(s): ${unknown.join(', ')}. Available: ${Object.keys(FEATURES).join(', ')}`);
+  }
+
+  return Object.fromEntries(Object.keys(FEATURES).map(name => [name, names.includes(name)]));
+}
+
+/**
+ * Build the server configuration from environment variables
+ *
+ * @param {Object} env - Defaults to process.env
+ */
+function loadAppConfig(env = process.env) {
+  return {
+    port: parseInt(env.PORT, 10) || 3001,
+    logRequests: env.LOG_REQUESTS === 'true',
+    features: parseFeatures(env.FEATURES),
+    cache: {
+      ttl: parseInt(env.API_CACHE_TTL, 10) || 300
+    },
+    translation: {
+      deeplApiKey: env.DEEPL_API_KEY,
+      redisUrl: env.REDIS_URL
+    },
+    affiliate: {
+      feedImportSchedule: env.FEED_IMPORT_SCHEDULE || '0 */6 * * *'
+    },
+    scraping: {
+      concurrency: parseInt(env.SCRAPER_CONCURRENCY, 10) || 2,
+      maxAttempts: parseInt(env.SCRAPER_MAX_ATTEMPTS, 10) || 3,
+      dealsImportSchedule: env.DEALS_IMPORT_SCHEDULE || null,
+      deeplApiKey: env.DEEPL_API_KEY || null // Pre-translates products (products.translate job)
+    }
+  };
+}
+
+module.exports = {
+  FEATURES,
+  parseFeatures,
+  loadAppConfig
+};
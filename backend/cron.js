@@ -1,35 +1,30 @@
-const cron = require('node-cron');
-const axios = require('axios');
-
-const API_URL = process.env.API_URL || 'http://localhost:3001';
+require('dotenv').config();
+const { loadAppConfig } = require('./config/app-config');
+const { startAutoScraping, stopAutoScraping } = require('./services/scraping/auto-scraper-scheduler');
 
 /**
- * Cron job per aggiornare le offerte ogni 2 ore
+ * Background jobs without the API server
+ *
+ * Runs the scraper schedules and the job queue worker in their own process
+ * (instead of FEATURES=autoScraping on the API). The products.json import
+ * that this file used to trigger through /api/deals/refresh is now a queued
+ * job: set DEALS_IMPORT_SCHEDULE="0 *\/2 * * *" to keep importing every 2 hours.
+ *
+ * Several processes can run this at once: jobs are claimed with row locks.
  */
-function setupCronJobs() {
-  // Refresh deals every 2 hours
-  cron.schedule('0 */2 * * *', async () => {
-    console.log('⏰ Cron: Running scheduled refresh (every 2 hours)');
-    try {
-      const response = await axios.get(`${API_URL}/api/deals/refresh`);
-      console.log('✅ Cron refresh completed:', response.data);
-    } catch (error) {
-      console.error('❌ Cron refresh failed:', error.message);
-    }
-  });
-
-  console.log('⏰ Cron jobs scheduled:');
-  console.log('   - Deals refresh: every 2 hours (0 */2 * * *)');
+function setupCronJobs(options = loadAppConfig().scraping) {
+  return startAutoScraping(options);
 }
 
 // If running standalone
 if (require.main === module) {
-  console.log('🕐 Starting cron service...');
+  console.log('🕐 Starting background jobs...');
   setupCronJobs();
 
   // Keep process alive
   process.on('SIGINT', () => {
-    console.log('👋 Cron service shutting down');
+    console.log('👋 Background jobs shutting down');
+    stopAutoScraping();
     process.exit(0);
   });
 }
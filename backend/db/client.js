@@ -32,3 +32,7 @@ process.on('beforeExit', async () => {
 });
 
 module.exports = prisma;
+
+// TypeScript modules loaded at runtime (see app.js) resolve this file and use
+// the named export: `import { prisma } from '../../db/client'`
+module.exports.prisma = prisma;
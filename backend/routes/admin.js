@@ -0,0 +1,129 @@
+/**
+ * Admin API Routes
+ *
+ * API key management and the admin audit log. Requires an `admin` key
+ * (see services/admin) in `X-API-Key` or `Authorization: Bearer <key>`.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getAdminAuthService, ADMIN_ROLES } = require('../services/admin/admin-auth');
+const { requireRole } = require('../services/admin/middleware');
+
+const adminAuth = getAdminAuthService();
+
+/**
+ * GET /api/admin/keys
+ */
+router.get('/keys', requireRole('admin'), async (req, res) => {
+  try {
+    const keys = await adminAuth.listApiKeys();
+    res.json({ success: true, count: keys.length, keys });
+  } catch (error) {
+    console.error('❌ Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API keys',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/keys
+ *
+ * Body: { name, role } - role is one of viewer, operator, admin.
+ * The response carries the key; it cannot be retrieved later.
+ */
+router.post('/keys', requireRole('admin', { action: 'admin.keys.create' }), async (req, res) => {
+  try {
+    const { name, role } = req.body || {};
+
+    if (!name || !ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `name and role (${ADMIN_ROLES.join(', ')}) are required`
+      });
+    }
+
+    const created = await adminAuth.createApiKey({ name, role, createdBy: req.admin.name });
+    res.status(201).json({ success: true, ...created });
+
+  } catch (error) {
+    console.error('❌ Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/keys/:id
+ *
+ * Revokes the key; it stays listed for the audit trail
+ */
+router.delete('/keys/:id', requireRole('admin', { action: 'admin.keys.revoke' }), async (req, res) => {
+  try {
+    const revoked = await adminAuth.revokeApiKey(req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: `API key not found: ${req.params.id}`
+      });
+    }
+
+    res.json({ success: true, key: revoked });
+
+  } catch (error) {
+    console.error('❌ Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit
+ *
+ * Query Parameters:
+ * - action: (optional) Only this action, e.g. scraper.trigger
+ * - actor: (optional) Only this key name
+ * - limit: (optional) Max entries (default: 100, max: 500)
+ * - before: (optional) ISO date, for paging back
+ */
+router.get('/audit', requireRole('admin'), async (req, res) => {
+  try {
+    const before = req.query.before ? new Date(req.query.before) : undefined;
+
+    if (before && isNaN(before.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'before must be an ISO date'
+      });
+    }
+
+    const entries = await adminAuth.listAudit({
+      action: req.query.action,
+      actor: req.query.actor,
+      limit: parseInt(req.query.limit, 10) || 100,
+      before
+    });
+
+    res.json({ success: true, count: entries.length, entries });
+
+  } catch (error) {
+    console.error('❌ Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
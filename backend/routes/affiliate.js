@@ -0,0 +1,203 @@
+/**
+ * Affiliate API Routes
+ *
+ * Tracked redirects to merchants, merchant/category listings, featured deals
+ * and the affiliate feed admin actions (operator API key, audited).
+ */
+
+const express = require('express');
+const router = express.Router();
+const prisma = require('../db/client');
+const feedImporter = require('../services/feedImporter');
+const { getIngestionPipeline, logIngestionResult } = require('../services/ingestion');
+const { getDealsService } = require('../services/deals/deals-service');
+const { requireRole } = require('../services/admin/middleware');
+const MERCHANTS_CONFIG = require('../config/merchants.json');
+
+const dealsService = getDealsService();
+
+// Featured deals: the biggest discounts, at least this deep
+const FEATURED_MIN_DISCOUNT = 40;
+const FEATURED_LIMIT = 10;
+
+/**
+ * GET /api/products/:id/redirect
+ *
+ * Records a click and redirects to the affiliate link (product URL if none)
+ *
+ * Query Parameters:
+ * - subId: (optional) Traffic source tag, stored with the click
+ */
+router.get('/products/:id/redirect', async (req, res) => {
+  try {
+    const deal = await dealsService.findDeal(req.params.id);
+
+    if (!deal) {
+      return res.status(404).json({
+        success: false,
+        error: `Deal not found: ${req.params.id}`
+      });
+    }
+
+    // Analytics only: a failed write must not block the redirect
+    prisma.userInteraction.create({
+      data: {
+        productId: deal.id,
+        interactionType: 'click',
+        userAgent: req.get('user-agent') || null,
+        referrer: req.query.subId ? `subid:${req.query.subId}` : (req.get('referer') || null)
+      }
+    }).catch(error => console.error('❌ Failed to record click:', error.message));
+
+    res.redirect(302, deal.affiliateUrl || deal.url);
+
+  } catch (error) {
+    console.error('❌ Error redirecting to merchant:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to redirect',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/merchants
+ *
+ * Active affiliate merchants (config/merchants.json)
+ */
+router.get('/merchants', (req, res) => {
+  const merchants = MERCHANTS_CONFIG.merchants
+    .filter(m => m.active)
+    .map(m => ({
+      id: m.id,
+      name: m.name,
+      logo: m.logo,
+      color: m.color,
+      commission: m.commission,
+      categories: m.categories
+    }));
+
+  res.json({ success: true, count: merchants.length, merchants });
+});
+
+/**
+ * GET /api/categories
+ */
+router.get('/categories', (req, res) => {
+  const categories = Object.entries(MERCHANTS_CONFIG.categories).map(([id, config]) => ({
+    id,
+    name: id.charAt(0).toUpperCase() + id.slice(1),
+    icon: config.icon
+  }));
+
+  res.json({ success: true, count: categories.length, categories });
+});
+
+/**
+ * GET /api/featured
+ *
+ * Top discounts, as deals
+ */
+router.get('/featured', async (req, res) => {
+  try {
+    const { deals } = await dealsService.findDeals(
+      { minDiscount: FEATURED_MIN_DISCOUNT, sortBy: 'discountHigh' },
+      { limit: FEATURED_LIMIT }
+    );
+
+    res.json({ success: true, count: deals.length, deals });
+
+  } catch (error) {
+    console.error('❌ Error fetching featured deals:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch featured deals',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/products
+ *
+ * Body: a feed-style product ({ name, salePrice, merchant, ... }).
+ * Added to data/products.json and ingested into the database.
+ */
+router.post('/admin/products', requireRole('operator', { action: 'products.create' }), async (req, res) => {
+  try {
+    const productData = req.body || {};
+
+    if (!productData.name || !productData.salePrice || !productData.merchant) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: name, salePrice, merchant'
+      });
+    }
+
+    const product = feedImporter.addManualProduct(productData);
+    const result = await getIngestionPipeline().ingest([product], { origin: 'api' });
+    logIngestionResult('Manual product', result);
+
+    if (result.rejected > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Product rejected by validation',
+        rejects: result.rejects
+      });
+    }
+
+    res.status(201).json({ success: true, product });
+
+  } catch (error) {
+    console.error('❌ Error adding product:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add product',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/import-feed
+ *
+ * Imports every feed in data/feeds
+ */
+router.post('/admin/import-feed', requireRole('operator', { action: 'feeds.import' }), async (req, res) => {
+  try {
+    const result = await feedImporter.importAllFeeds();
+    res.json({ success: true, count: result.totalProducts, lastUpdated: result.lastUpdated });
+
+  } catch (error) {
+    console.error('❌ Error importing feeds:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import feeds',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/generate-affiliate-link
+ *
+ * Body: { originalUrl, merchantId, affiliateId } - affiliateId defaults to AWIN_PUBLISHER_ID
+ */
+router.post('/admin/generate-affiliate-link', requireRole('operator', { action: 'affiliate.link.generate' }), (req, res) => {
+  const { originalUrl, merchantId, affiliateId } = req.body || {};
+
+  if (!originalUrl || !merchantId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields: originalUrl, merchantId'
+    });
+  }
+
+  const affId = affiliateId || process.env.AWIN_PUBLISHER_ID || 'YOUR_ID';
+  const affiliateUrl = feedImporter.generateAffiliateLink(originalUrl, merchantId, affId);
+
+  res.json({ success: true, affiliateUrl });
+});
+
+module.exports = router;
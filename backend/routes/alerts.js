@@ -0,0 +1,149 @@
+/**
+ * Price Alerts API Routes
+ *
+ * Alerts of the signed-in user; requires `Authorization: Bearer <token>`.
+ * Alerts are checked after every scrape cycle and delivered through the
+ * configured notifier (see services/alerts/notifiers.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireUser } = require('../services/auth/middleware');
+const { getAlertService } = require('../services/alerts/alert-service');
+const { AlertValidationError } = require('../services/alerts/alert-rules');
+
+const alerts = getAlertService();
+
+router.use(requireUser);
+
+/**
+ * GET /api/me/alerts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const list = await alerts.listAlerts(req.user.id);
+
+    res.json({
+      success: true,
+      count: list.length,
+      alerts: list
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alerts',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/me/alerts
+ *
+ * Body (product alert):
+ * - productId: Watched product
+ * - targetPrice: (optional) Notify at or below this price, in EUR (the base currency)
+ * - dropPercent: (optional) Notify after a drop of this many percent
+ *
+ * Body (search alert):
+ * - type: "search"
+ * - filters: { brands, categories, minDiscount, maxPrice (EUR), region }
+ *
+ * Example: { "productId": "clx123", "targetPrice": 80 }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const alert = await alerts.createAlert(req.user.id, req.body || {});
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: `Product not found: ${req.body.productId}`
+      });
+    }
+
+    res.status(201).json({ success: true, alert });
+
+  } catch (error) {
+    if (error instanceof AlertValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('❌ Error creating alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create alert',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/me/alerts/:id
+ *
+ * Body: { isActive } - pause or resume the alert
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { isActive } = req.body || {};
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'isActive must be a boolean'
+      });
+    }
+
+    const alert = await alerts.setAlertActive(req.user.id, req.params.id, isActive);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: `Alert not found: ${req.params.id}`
+      });
+    }
+
+    res.json({ success: true, alert });
+
+  } catch (error) {
+    console.error('❌ Error updating alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update alert',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/me/alerts/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const removed = await alerts.deleteAlert(req.user.id, req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: `Alert not found: ${req.params.id}`
+      });
+    }
+
+    res.json({ success: true, id: req.params.id });
+
+  } catch (error) {
+    console.error('❌ Error deleting alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete alert',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -19,6 +19,7 @@ import {
   getBestCurrentDeals,
   DealType,
 } from '../services/api/queries/deals';
+import { requireRole } from '../services/admin/middleware';
 
 const router = express.Router();
 const aggregator = getAggregator();
@@ -32,8 +33,9 @@ const cache = getCache();
 /**
  * POST /api/products/fetch
  * Trigger product fetch from APIs
+ * Requires an operator API key (audited)
  */
-router.post('/products/fetch', async (req: Request, res: Response) => {
+router.post('/products/fetch', requireRole('operator', { action: 'products.fetch' }), async (req: Request, res: Response) => {
   try {
     const { brand, category, minDiscount, maxPrice, limit } = req.body;
 
@@ -100,8 +102,9 @@ router.post('/products/fetch', async (req: Request, res: Response) => {
 /**
  * GET /api/products/fetch
  * Trigger product fetch from APIs (query params)
+ * Requires an operator API key (audited)
  */
-router.get('/products/fetch', async (req: Request, res: Response) => {
+router.get('/products/fetch', requireRole('operator', { action: 'products.fetch' }), async (req: Request, res: Response) => {
   try {
     const {
       brand,
@@ -178,8 +181,9 @@ router.get('/products/fetch', async (req: Request, res: Response) => {
 /**
  * POST /api/products/save
  * Save fetched products to database
+ * Requires an operator API key (audited)
  */
-router.post('/products/save', async (req: Request, res: Response) => {
+router.post('/products/save', requireRole('operator', { action: 'products.save' }), async (req: Request, res: Response) => {
   try {
     const { products } = req.body;
 
@@ -209,8 +213,9 @@ router.post('/products/save', async (req: Request, res: Response) => {
 /**
  * POST /api/products/fetch-and-save
  * Fetch and save products in one request
+ * Requires an operator API key (audited)
  */
-router.post('/products/fetch-and-save', async (req: Request, res: Response) => {
+router.post('/products/fetch-and-save', requireRole('operator', { action: 'products.fetch-and-save' }), async (req: Request, res: Response) => {
   try {
     const { brands, categories, minDiscount, maxPrice } = req.body;
 
@@ -390,8 +395,9 @@ router.get('/products/deals', (req: Request, res: Response) => {
 /**
  * GET /api/products/usage
  * Get API usage statistics
+ * Requires a viewer API key
  */
-router.get('/products/usage', async (req: Request, res: Response) => {
+router.get('/products/usage', requireRole('viewer'), async (req: Request, res: Response) => {
   try {
     const stats = await aggregator.getUsageStats();
 
@@ -411,8 +417,9 @@ router.get('/products/usage', async (req: Request, res: Response) => {
 /**
  * GET /api/products/cache-stats
  * Get cache statistics
+ * Requires a viewer API key
  */
-router.get('/products/cache-stats', async (req: Request, res: Response) => {
+router.get('/products/cache-stats', requireRole('viewer'), async (req: Request, res: Response) => {
   try {
     const stats = await cache.getStats();
 
@@ -432,8 +439,9 @@ router.get('/products/cache-stats', async (req: Request, res: Response) => {
 /**
  * DELETE /api/products/cache
  * Clear API cache
+ * Requires an admin API key (audited)
  */
-router.delete('/products/cache', async (req: Request, res: Response) => {
+router.delete('/products/cache', requireRole('admin', { action: 'products.cache.clear' }), async (req: Request, res: Response) => {
   try {
     const { provider } = req.query;
 
@@ -0,0 +1,73 @@
+/**
+ * Auth API Routes
+ *
+ * Email/password accounts. Successful register/login return a session token
+ * to send as `Authorization: Bearer <token>`.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getAuthService, AuthError } = require('../services/auth/auth-service');
+const { requireUser } = require('../services/auth/middleware');
+
+const auth = getAuthService();
+
+function sendAuthError(res, error, fallback) {
+  if (error instanceof AuthError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  console.error(`❌ ${fallback}:`, error);
+  res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message
+  });
+}
+
+/**
+ * POST /api/auth/register
+ *
+ * Body: { email, password, name? }
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const session = await auth.register(req.body || {}, { userAgent: req.get('user-agent') });
+    res.status(201).json({ success: true, ...session });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to register');
+  }
+});
+
+/**
+ * POST /api/auth/login
+ *
+ * Body: { email, password }
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const session = await auth.login(req.body || {}, { userAgent: req.get('user-agent') });
+    res.json({ success: true, ...session });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to sign in');
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ *
+ * Ends the session of the bearer token
+ */
+router.post('/logout', requireUser, async (req, res) => {
+  try {
+    await auth.logout(req.authToken);
+    res.json({ success: true });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to sign out');
+  }
+});
+
+module.exports = router;
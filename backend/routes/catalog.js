@@ -0,0 +1,91 @@
+/**
+ * Catalogue API Routes
+ *
+ * Filter options, retailer counts and statistics for the deals UI
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getDealsService } = require('../services/deals/deals-service');
+const { parseDealFilters } = require('../services/deals/deal-filters');
+const { UnsupportedCurrencyError } = require('../services/currency/currency-service');
+
+const dealsService = getDealsService();
+
+/**
+ * GET /api/retailers
+ *
+ * Active retailers with deal counts, most deals first
+ */
+router.get('/retailers', async (req, res) => {
+  try {
+    const retailers = await dealsService.getRetailerCounts();
+    res.json({
+      success: true,
+      count: retailers.length,
+      retailers
+    });
+  } catch (error) {
+    console.error('❌ Error fetching retailers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch retailers',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/filters
+ *
+ * Filter options: unfiltered facets plus smart categories
+ */
+router.get('/filters', async (req, res) => {
+  try {
+    const options = await dealsService.getFilterOptions();
+    res.json({
+      success: true,
+      ...options
+    });
+  } catch (error) {
+    console.error('❌ Error fetching filter options:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch filter options',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/stats
+ *
+ * Query Parameters:
+ * - any /api/deals filter, e.g. region=EU
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await dealsService.getStats(parseDealFilters(req.query));
+    res.json({
+      success: true,
+      ...stats
+    });
+  } catch (error) {
+    if (error instanceof UnsupportedCurrencyError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported currency',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error fetching stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stats',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,105 +1,78 @@
 /**
- * Region-Aware Deals API Routes
+ * Deals API Routes
  *
- * Provides endpoints for fetching products filtered by region
+ * The deals listing, single deals and the products.json import.
+ * Every deal is the Deal object documented in API.md.
  */
 
 const express = require('express');
 const router = express.Router();
-const ProductStorageService = require('../services/product-storage');
+const { getDealsService } = require('../services/deals/deals-service');
+const { parseDealFilters } = require('../services/deals/deal-filters');
+const { InvalidCursorError } = require('../services/deals/deal-cursor');
+const { UnsupportedCurrencyError } = require('../services/currency/currency-service');
+const { requireRole } = require('../services/admin/middleware');
+const { importProductsFile } = require('../scripts/import-products-json');
 
-const storageService = new ProductStorageService();
+const dealsService = getDealsService();
 
 /**
  * GET /api/deals
  *
- * Fetch deals filtered by region
- *
  * Query Parameters:
- * - region: (optional) EU, UK, US, IT, FR, DE, ES, GLOBAL
- * - category: (optional) Filter by product category
- * - minDiscount: (optional) Minimum discount percentage
- * - source: (optional) Filter by source (nike, adidas, manual, etc.)
- * - limit: (optional) Number of products to return (default: 100)
+ * - category, brand, source, region, minDiscount
+ * - minPrice, maxPrice: in the viewer's currency
+ * - currency: (optional) ISO 4217 code to show prices in (default: the region's currency, else EUR);
+ *   each deal carries `converted` prices when it is priced differently
+ * - search: full-text query (typo-tolerant)
+ * - lang: (optional) en, it, es, fr, de, pt - language of names and descriptions
+ *   (stored translations, else the original) and of `search`
+ * - genders, retailers, smartCategories: comma-separated lists
+ * - bestValue, topDeal, priceDrop: 'true' to enable
+ * - includeExpired: 'true' to also list unseen, stale, expired and archived products (analytics)
+ * - sortBy: relevance | priceLow | priceHigh | discountHigh | dealScore | newest
+ *   (relevance ranks by search match when `search` is set)
+ * - cursor: (optional) nextCursor from the previous page
+ * - limit: (optional) page size, 1-200 (default: 50)
+ *
+ * Every page carries the total and facet counts for the current filters.
  *
  * Example: /api/deals?region=EU&minDiscount=20&limit=50
  */
 router.get('/', async (req, res) => {
   try {
-    const {
-      region,
-      category,
-      minDiscount,
-      source,
-      limit = 100
-    } = req.query;
-
-    let products;
-
-    // If region specified, filter by region
-    if (region) {
-      // Support multiple regions (e.g., EU + GLOBAL for EU users)
-      const regions = region.includes(',')
-        ? region.split(',').map(r => r.trim())
-        : [region, 'GLOBAL']; // Always include GLOBAL products
-
-      products = await storageService.getProductsByRegions(regions);
-    } else {
-      // No region specified - return all products
-      products = await storageService.getAllProducts();
-    }
-
-    // Apply additional filters
-    if (category) {
-      products = products.filter(p => p.category === category);
-    }
-
-    if (minDiscount) {
-      const minDiscountNum = parseInt(minDiscount, 10);
-      products = products.filter(p => p.discountPercentage >= minDiscountNum);
-    }
+    const filters = parseDealFilters(req.query);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
 
-    if (source) {
-      products = products.filter(p => p.source === source);
-    }
-
-    // Apply limit
-    const limitNum = parseInt(limit, 10);
-    products = products.slice(0, limitNum);
-
-    // Transform to API response format
-    const deals = products.map(p => ({
-      id: p.id,
-      name: p.name,
-      brand: p.brand,
-      category: p.category,
-      originalPrice: p.originalPrice,
-      salePrice: p.salePrice,
-      discount: p.discountPercentage,
-      currency: p.currency,
-      regions: p.availableRegions,
-      image: p.imageUrl,
-      url: p.productUrl,
-      source: p.source,
-      confidenceScore: p.confidenceScore,
-      isNew: p.isNew,
-      createdAt: p.createdAt,
-      updatedAt: p.updatedAt
-    }));
+    const { deals, total, hasMore, nextCursor, facets, lastUpdated } =
+      await dealsService.findDeals(filters, { cursor: req.query.cursor, limit });
 
     res.json({
       success: true,
-      count: deals.length,
-      filters: {
-        region: region || 'all',
-        category: category || 'all',
-        minDiscount: minDiscount || 0,
-        source: source || 'all'
-      },
+      count: total,
+      limit,
+      hasMore,
+      nextCursor,
+      facets,
+      lastUpdated,
       deals
     });
-
   } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor',
+        message: error.message
+      });
+    }
+    if (error instanceof UnsupportedCurrencyError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported currency',
+        message: error.message
+      });
+    }
+
     console.error('❌ Error fetching deals:', error);
     res.status(500).json({
       success: false,
@@ -110,145 +83,75 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * GET /api/deals/stats
- *
- * Get statistics about available deals
+ * GET /api/deals/refresh
  *
- * Query Parameters:
- * - region: (optional) Filter stats by region
+ * Re-import data/products.json into the database
+ * Requires an operator API key (audited)
  */
-router.get('/stats', async (req, res) => {
+router.get('/refresh', requireRole('operator', { action: 'deals.import' }), async (req, res) => {
   try {
-    const { region } = req.query;
-
-    let products;
-
-    if (region) {
-      const regions = region.includes(',')
-        ? region.split(',').map(r => r.trim())
-        : [region, 'GLOBAL'];
-      products = await storageService.getProductsByRegions(regions);
-    } else {
-      products = await storageService.getAllProducts();
-    }
-
-    // Calculate statistics
-    const stats = {
-      totalDeals: products.length,
-      region: region || 'all',
-      bySource: {},
-      byCategory: {},
-      byCurrency: {},
-      byRegion: {},
-      avgDiscount: 0,
-      highestDiscount: 0,
-      lowestPrice: null,
-      highestPrice: null
-    };
-
-    let totalDiscount = 0;
-    let prices = [];
-
-    products.forEach(p => {
-      // Source breakdown
-      stats.bySource[p.source] = (stats.bySource[p.source] || 0) + 1;
-
-      // Category breakdown
-      stats.byCategory[p.category] = (stats.byCategory[p.category] || 0) + 1;
-
-      // Currency breakdown
-      stats.byCurrency[p.currency] = (stats.byCurrency[p.currency] || 0) + 1;
-
-      // Region breakdown (products can be in multiple regions)
-      p.availableRegions.forEach(r => {
-        stats.byRegion[r] = (stats.byRegion[r] || 0) + 1;
-      });
-
-      // Discount calculations
-      totalDiscount += p.discountPercentage;
-      if (p.discountPercentage > stats.highestDiscount) {
-        stats.highestDiscount = p.discountPercentage;
-      }
-
-      // Price tracking
-      prices.push(p.salePrice);
+    console.log('🔄 Import requested');
+    const result = await importProductsFile();
+    res.json({
+      success: true,
+      message: 'Products imported',
+      count: result.created + result.updated,
+      created: result.created,
+      updated: result.updated,
+      rejected: result.rejected
     });
-
-    stats.avgDiscount = products.length > 0
-      ? Math.round(totalDiscount / products.length)
-      : 0;
-
-    if (prices.length > 0) {
-      stats.lowestPrice = Math.min(...prices);
-      stats.highestPrice = Math.max(...prices);
-    }
-
-    res.json(stats);
-
   } catch (error) {
-    console.error('❌ Error fetching stats:', error);
+    console.error('❌ Error importing products:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch stats',
+      error: 'Failed to import products',
       message: error.message
     });
   }
 });
 
 /**
- * GET /api/deals/regions
+ * GET /api/deals/:id
  *
- * Get list of available regions with product counts
+ * Query Parameters:
+ * - currency, region: (optional) viewer currency for `converted`, as for /api/deals
+ * - lang: (optional) en, it, es, fr, de, pt - language of the name and description
+ * - includeExpired: 'true' to also find products that are no longer listed
  */
-router.get('/regions', async (req, res) => {
+router.get('/:id', async (req, res) => {
   try {
-    const allProducts = await storageService.getAllProducts();
-
-    const regionCounts = {};
-
-    // Count products in each region
-    allProducts.forEach(p => {
-      p.availableRegions.forEach(region => {
-        regionCounts[region] = (regionCounts[region] || 0) + 1;
-      });
+    const deal = await dealsService.findDeal(req.params.id, {
+      currency: req.query.currency,
+      region: req.query.region,
+      language: req.query.lang,
+      includeExpired: req.query.includeExpired
     });
 
-    const regions = Object.entries(regionCounts).map(([code, count]) => ({
-      code,
-      name: getRegionName(code),
-      productCount: count
-    }));
+    if (!deal) {
+      return res.status(404).json({
+        success: false,
+        error: `Deal not found: ${req.params.id}`
+      });
+    }
 
-    res.json({
-      success: true,
-      regions
-    });
+    res.json({ success: true, deal });
 
   } catch (error) {
-    console.error('❌ Error fetching regions:', error);
+    if (error instanceof UnsupportedCurrencyError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported currency',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error fetching deal:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch regions',
+      error: 'Failed to fetch deal',
       message: error.message
     });
   }
 });
 
-/**
- * Helper: Get human-readable region name
- */
-function getRegionName(code) {
-  const names = {
-    'US': 'United States',
-    'EU': 'European Union',
-    'UK': 'United Kingdom',
-    'IT': 'Italy',
-    'FR': 'France',
-    'DE': 'Germany',
-    'ES': 'Spain',
-    'GLOBAL': 'Global (Worldwide)'
-  };
-  return names[code] || code;
-}
-
 module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * Product Image API Routes
+ *
+ * Images the content check flagged and the placeholder blocklist (see
+ * services/verification/image-fingerprint.ts). Reading needs any admin key;
+ * changing the blocklist the operator role.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireTs } = require('../services/require-ts');
+const { requireRole } = require('../services/admin/middleware');
+
+// TypeScript; loaded with the routes so a broken install stops startup
+const fingerprints = requireTs('./services/verification/image-fingerprint', 'imageFingerprints');
+
+/**
+ * GET /api/admin/images/flagged
+ *
+ * Product images flagged as placeholders or shared by unrelated products,
+ * most recently checked first
+ *
+ * Query Parameters:
+ * - limit: Max images (default: 50, max: 200)
+ */
+router.get('/flagged', requireRole('viewer'), async (req, res) => {
+  try {
+    const images = await fingerprints.listFlaggedImages({ limit: req.query.limit });
+    res.json({ success: true, count: images.length, images });
+  } catch (error) {
+    console.error('❌ Error listing flagged images:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list flagged images',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/images/placeholders
+ *
+ * The placeholder blocklist
+ */
+router.get('/placeholders', requireRole('viewer'), async (req, res) => {
+  try {
+    const placeholders = await fingerprints.listPlaceholders();
+    res.json({ success: true, count: placeholders.length, placeholders });
+  } catch (error) {
+    console.error('❌ Error listing placeholder images:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list placeholder images',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/images/placeholders
+ *
+ * Blocklist a placeholder by its hash or an example image; product images
+ * with that hash are flagged right away
+ *
+ * Body: { label, hash } or { label, imageUrl }
+ */
+router.post('/placeholders', requireRole('operator', { action: 'images.placeholders.create' }), async (req, res) => {
+  const { addPlaceholder, PlaceholderValidationError } = fingerprints;
+
+  try {
+    const result = await addPlaceholder(req.body || {});
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof PlaceholderValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error('❌ Error adding placeholder image:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add placeholder image',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/images/placeholders/:id
+ *
+ * Images the placeholder flagged stay invalid until their products are verified again
+ */
+router.delete('/placeholders/:id', requireRole('operator', { action: 'images.placeholders.delete' }), async (req, res) => {
+  try {
+    const placeholder = await fingerprints.removePlaceholder(req.params.id);
+    if (!placeholder) {
+      return res.status(404).json({ success: false, error: 'Placeholder not found' });
+    }
+    res.json({ success: true, placeholder });
+  } catch (error) {
+    console.error('❌ Error removing placeholder image:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove placeholder image',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+/**
+ * Current User API Routes
+ *
+ * Account and wishlist of the signed-in user. Every route requires
+ * `Authorization: Bearer <token>` (see /api/auth).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireUser } = require('../services/auth/middleware');
+const { getSavedDealsService } = require('../services/users/saved-deals-service');
+
+const savedDeals = getSavedDealsService();
+
+router.use(requireUser);
+
+/**
+ * GET /api/me
+ */
+router.get('/', (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+/**
+ * GET /api/me/saved
+ *
+ * Saved deals, most recently saved first. Deals that are no longer
+ * active stay in the list with `isActive: false`.
+ */
+router.get('/saved', async (req, res) => {
+  try {
+    const deals = await savedDeals.list(req.user.id);
+
+    res.json({
+      success: true,
+      count: deals.length,
+      deals
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching saved deals:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch saved deals',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/me/saved/merge
+ *
+ * Body: { productIds: [...] } - favorites collected while signed out
+ */
+router.post('/saved/merge', async (req, res) => {
+  try {
+    const { productIds } = req.body || {};
+
+    if (!Array.isArray(productIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'productIds must be an array'
+      });
+    }
+
+    const result = await savedDeals.merge(req.user.id, productIds);
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('❌ Error merging saved deals:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to merge saved deals',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/me/saved/:productId
+ */
+router.post('/saved/:productId', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const saved = await savedDeals.save(req.user.id, productId);
+
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        error: `Product not found: ${productId}`
+      });
+    }
+
+    res.status(saved.created ? 201 : 200).json({
+      success: true,
+      productId,
+      savedAt: saved.savedAt
+    });
+
+  } catch (error) {
+    console.error('❌ Error saving deal:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save deal',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/me/saved/:productId
+ */
+router.delete('/saved/:productId', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const removed = await savedDeals.remove(req.user.id, productId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: `Deal not saved: ${productId}`
+      });
+    }
+
+    res.json({ success: true, productId });
+
+  } catch (error) {
+    console.error('❌ Error removing saved deal:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove saved deal',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * Price History API Routes
+ *
+ * Provides per-product price history and the derived price-drop signal
+ */
+
+const express = require('express');
+const router = express.Router();
+const prisma = require('../db/client');
+const { getPriceHistoryService, computePriceSignal } = require('../services/pricing/price-history');
+
+const priceHistory = getPriceHistoryService();
+
+/**
+ * GET /api/products/:id/price-history
+ *
+ * Query Parameters:
+ * - days: (optional) Only return observations from the last N days (default: all)
+ *
+ * Example: /api/products/clx123/price-history?days=90
+ */
+router.get('/:id/price-history', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const days = req.query.days ? parseInt(req.query.days, 10) : undefined;
+
+    if (days !== undefined && (isNaN(days) || days <= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'days must be a positive integer'
+      });
+    }
+
+    const product = await prisma.product.findUnique({
+      where: { id },
+      select: { id: true, name: true, brand: true, currency: true }
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: `Product not found: ${id}`
+      });
+    }
+
+    // The signal always uses the full history; `days` only trims the returned series
+    const fullHistory = await priceHistory.getHistory(id);
+    const history = days
+      ? fullHistory.filter(entry => entry.recordedAt >= new Date(Date.now() - days * 24 * 60 * 60 * 1000))
+      : fullHistory;
+
+    res.json({
+      success: true,
+      product,
+      signal: computePriceSignal(fullHistory),
+      count: history.length,
+      history
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching price history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch price history',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+/**
+ * Quarantine API Routes
+ *
+ * Deals hidden by the quarantine rules (see services/quarantine). Reading
+ * needs any admin key; running re-checks the operator role.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getQuarantineService } = require('../services/quarantine/quarantine-service');
+const { QUARANTINE_RULES } = require('../services/quarantine/quarantine-rules');
+const { requireRole } = require('../services/admin/middleware');
+
+const quarantine = getQuarantineService();
+
+/**
+ * GET /api/admin/quarantine
+ *
+ * Quarantined products (next re-check first), counts per rule and the rules
+ *
+ * Query Parameters:
+ * - limit: Max products (default: 50, max: 200)
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const products = await quarantine.list({ limit: req.query.limit });
+    const counts = await quarantine.getCounts();
+    const rules = QUARANTINE_RULES.map(({ id, description }) => ({
+      id,
+      description,
+      enabled: quarantine.config.rules.includes(id)
+    }));
+
+    res.json({ success: true, count: products.length, products, counts, rules });
+  } catch (error) {
+    console.error('❌ Error listing quarantined products:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list quarantined products',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/quarantine/recheck
+ *
+ * Re-check the quarantined products that are due now (the products.quarantine
+ * job does this on its schedule)
+ *
+ * Body: { limit } (default: 50)
+ */
+router.post('/recheck', requireRole('operator', { action: 'quarantine.recheck' }), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt((req.body || {}).limit, 10) || 50, 500);
+    const result = await quarantine.recheckDue({ limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error re-checking quarantined products:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to re-check quarantined products',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
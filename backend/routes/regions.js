@@ -0,0 +1,55 @@
+/**
+ * Region API Routes
+ *
+ * Regions with deal counts, for the region selector.
+ * Deals themselves are filtered by region through /api/deals?region=
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getDealsService } = require('../services/deals/deals-service');
+
+const dealsService = getDealsService();
+
+const REGION_NAMES = {
+  US: 'United States',
+  EU: 'European Union',
+  UK: 'United Kingdom',
+  IT: 'Italy',
+  FR: 'France',
+  DE: 'Germany',
+  ES: 'Spain',
+  GLOBAL: 'Global (Worldwide)'
+};
+
+/**
+ * GET /api/deals/regions
+ *
+ * Regions with active deals, most deals first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const counts = await dealsService.getRegionCounts();
+
+    const regions = counts.map(({ code, count }) => ({
+      code,
+      name: REGION_NAMES[code] || code,
+      productCount: count
+    }));
+
+    res.json({
+      success: true,
+      regions
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching regions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch regions',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
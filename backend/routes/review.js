@@ -0,0 +1,184 @@
+/**
+ * Manual Review API Routes
+ *
+ * The moderator workflow for products verification could not vouch for
+ * (see services/review). The moderator is the admin API key's name.
+ * Reading the queue needs any admin key; acting on it the operator role.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getReviewService } = require('../services/review/review-service');
+const {
+  REVIEW_STATUSES,
+  ReviewValidationError,
+  ReviewConflictError,
+  ReviewNotFoundError
+} = require('../services/review/review-rules');
+const { requireRole } = require('../services/admin/middleware');
+
+const reviews = getReviewService();
+
+/**
+ * Answer a review error with its status, or 500
+ */
+function sendError(res, error, failure) {
+  if (error instanceof ReviewNotFoundError) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error instanceof ReviewConflictError) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  if (error instanceof ReviewValidationError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  console.error(`❌ ${failure}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: failure,
+    message: error.message
+  });
+}
+
+/**
+ * GET /api/admin/reviews
+ *
+ * Query Parameters:
+ * - status: open, claimed, approved or rejected (default: open and claimed)
+ * - limit: Max tasks (default: 50, max: 200)
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    const tasks = await reviews.list({ status, limit: req.query.limit });
+    const counts = await reviews.getCounts();
+
+    res.json({ success: true, count: tasks.length, tasks, counts });
+  } catch (error) {
+    sendError(res, error, 'Failed to list review tasks');
+  }
+});
+
+/**
+ * POST /api/admin/reviews/sync
+ *
+ * Queue the products below the review threshold (config/verification-rules.json) that are not queued yet
+ *
+ * Body: { limit } (default: 50)
+ */
+router.post('/sync', requireRole('operator', { action: 'reviews.sync' }), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt((req.body || {}).limit, 10) || 50, 500);
+    const result = await reviews.sync({ limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to sync review queue');
+  }
+});
+
+/**
+ * POST /api/admin/reviews/bulk
+ *
+ * Body: { action: 'claim' | 'release' | 'approve' | 'reject', ids: [...], note }
+ * Each task succeeds or fails on its own.
+ */
+router.post('/bulk', requireRole('operator', { action: 'reviews.bulk' }), async (req, res) => {
+  try {
+    const { action, ids, note } = req.body || {};
+    const result = await reviews.bulk(action, ids, req.admin.name, { note });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to run bulk review action');
+  }
+});
+
+/**
+ * GET /api/admin/reviews/:id
+ *
+ * The task with its product and the product's recent verification history
+ */
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const task = await reviews.get(req.params.id);
+    if (!task) {
+      return res.status(404).json({ success: false, error: 'Review task not found' });
+    }
+    res.json({ success: true, task });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch review task');
+  }
+});
+
+/**
+ * POST /api/admin/reviews/:id/claim
+ * POST /api/admin/reviews/:id/release
+ */
+router.post('/:id/claim', requireRole('operator', { action: 'reviews.claim' }), async (req, res) => {
+  try {
+    const task = await reviews.claim(req.params.id, req.admin.name);
+    res.json({ success: true, task });
+  } catch (error) {
+    sendError(res, error, 'Failed to claim review task');
+  }
+});
+
+router.post('/:id/release', requireRole('operator', { action: 'reviews.release' }), async (req, res) => {
+  try {
+    const task = await reviews.release(req.params.id, req.admin.name);
+    res.json({ success: true, task });
+  } catch (error) {
+    sendError(res, error, 'Failed to release review task');
+  }
+});
+
+/**
+ * POST /api/admin/reviews/:id/edit
+ *
+ * Correct the product (and keep the task claimed)
+ *
+ * Body: { edits: { name, brand, category, description, imageUrl, gender } }
+ */
+router.post('/:id/edit', requireRole('operator', { action: 'reviews.edit' }), async (req, res) => {
+  try {
+    const task = await reviews.edit(req.params.id, req.admin.name, (req.body || {}).edits);
+    res.json({ success: true, task });
+  } catch (error) {
+    sendError(res, error, 'Failed to edit product');
+  }
+});
+
+/**
+ * POST /api/admin/reviews/:id/approve
+ * POST /api/admin/reviews/:id/reject
+ *
+ * Body: { note, edits } - edits are applied before deciding
+ */
+router.post('/:id/approve', requireRole('operator', { action: 'reviews.approve' }), async (req, res) => {
+  try {
+    const { note, edits } = req.body || {};
+    const task = await reviews.approve(req.params.id, req.admin.name, { note, edits });
+    res.json({ success: true, task });
+  } catch (error) {
+    sendError(res, error, 'Failed to approve review task');
+  }
+});
+
+router.post('/:id/reject', requireRole('operator', { action: 'reviews.reject' }), async (req, res) => {
+  try {
+    const { note, edits } = req.body || {};
+    const task = await reviews.reject(req.params.id, req.admin.name, { note, edits });
+    res.json({ success: true, task });
+  } catch (error) {
+    sendError(res, error, 'Failed to reject review task');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+/**
+ * Scraper Admin API Routes
+ *
+ * Monitor and control the auto-scraper scheduler
+ * (services/scraping/auto-scraper-scheduler) and its job queue
+ * (services/jobs). Every control action is audited.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getScheduler,
+  startAutoScraping,
+  stopAutoScraping,
+  getSchedulerStats,
+  triggerManualScrape
+} = require('../services/scraping/auto-scraper-scheduler');
+const { getJobQueue } = require('../services/jobs/job-queue');
+const { JOB_STATUSES } = require('../services/jobs/retry-policy');
+const { requireRole } = require('../services/admin/middleware');
+
+const jobs = getJobQueue();
+
+/**
+ * GET /api/admin/scraper/status
+ */
+router.get('/status', requireRole('viewer'), async (req, res) => {
+  try {
+    const stats = await getSchedulerStats();
+
+    if (!stats) {
+      return res.json({
+        success: true,
+        active: false,
+        message: 'Scraper scheduler not started'
+      });
+    }
+
+    res.json({
+      success: true,
+      active: true,
+      ...stats
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching scraper status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scraper status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/scraper/trigger
+ *
+ * Queues a scrape of every retailer (retailers already queued are skipped)
+ */
+router.post('/trigger', requireRole('operator', { action: 'scraper.trigger' }), async (req, res) => {
+  console.log('⚡ Manual scrape triggered via API');
+
+  try {
+    const queued = await triggerManualScrape();
+    res.json({
+      success: true,
+      queued: queued.filter(entry => entry.created).length,
+      message: 'Scrape jobs queued. They run in the background.'
+    });
+  } catch (error) {
+    console.error('❌ Manual scrape failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue scrape jobs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/scraper/scrapers
+ *
+ * Retailers with their cron schedules
+ */
+router.get('/scrapers', requireRole('viewer'), (req, res) => {
+  try {
+    const scrapers = getScheduler().listScrapers();
+    res.json({ success: true, count: scrapers.length, scrapers });
+  } catch (error) {
+    console.error('❌ Error listing scrapers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list scrapers',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/scraper/scrapers/:id/run
+ *
+ * Queues a scrape of one retailer now ("run now")
+ */
+router.post('/scrapers/:id/run', requireRole('operator', { action: 'scraper.run' }), async (req, res) => {
+  try {
+    const queued = await getScheduler().enqueueScraper(req.params.id);
+
+    if (!queued) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown scraper: ${req.params.id}`
+      });
+    }
+
+    res.status(queued.created ? 202 : 200).json({
+      success: true,
+      queued: queued.created,
+      job: queued.job,
+      message: queued.created ? 'Scrape job queued' : 'This scraper is already queued or running'
+    });
+  } catch (error) {
+    console.error('❌ Error queuing scraper:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue scraper',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/scraper/jobs
+ *
+ * Query Parameters:
+ * - status: pending, running, completed or dead (the dead letter queue)
+ * - type: Job type, e.g. scrape
+ * - key: e.g. a scraper id
+ * - limit: Max jobs, newest first (default: 50, max: 200)
+ */
+router.get('/jobs', requireRole('viewer'), async (req, res) => {
+  try {
+    const { status, type, key, limit } = req.query;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of ${JOB_STATUSES.join(', ')}`
+      });
+    }
+
+    const [list, counts] = await Promise.all([
+      jobs.listJobs({ status, type, key, limit }),
+      jobs.getCounts()
+    ]);
+    res.json({ success: true, count: list.length, counts, jobs: list });
+  } catch (error) {
+    console.error('❌ Error listing jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list jobs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/scraper/jobs/:id/retry
+ *
+ * Puts a dead job back in the queue with fresh attempts
+ */
+router.post('/jobs/:id/retry', requireRole('operator', { action: 'scraper.jobs.retry' }), async (req, res) => {
+  try {
+    const job = await jobs.retry(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `No dead job with id ${req.params.id}`
+      });
+    }
+
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('❌ Error retrying job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/scraper/stop
+ */
+router.post('/stop', requireRole('operator', { action: 'scraper.stop' }), (req, res) => {
+  try {
+    stopAutoScraping();
+    res.json({
+      success: true,
+      message: 'Scraper scheduler stopped'
+    });
+  } catch (error) {
+    console.error('❌ Error stopping scraper:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stop scraper',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/scraper/start
+ */
+router.post('/start', requireRole('operator', { action: 'scraper.start' }), (req, res) => {
+  try {
+    startAutoScraping(req.app.locals.config.scraping);
+    res.json({
+      success: true,
+      message: 'Scraper scheduler started'
+    });
+  } catch (error) {
+    console.error('❌ Error starting scraper:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start scraper',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+/**
+ * Scraper Health API Routes
+ *
+ * Run history and per-retailer health of the scheduled scrapers
+ * (see services/scraping/scrape-runs.js). Read-only, so any admin key works.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getScrapeRunService } = require('../services/scraping/scrape-runs');
+const { requireRole } = require('../services/admin/middleware');
+
+const scrapeRuns = getScrapeRunService();
+
+/**
+ * GET /api/admin/scrapers
+ *
+ * Health of every scraper that ran in the window, worst first: status
+ * (healthy, degraded, failing, unknown), success rate, yield against its
+ * baseline, last run and a daily trend.
+ *
+ * Query Parameters:
+ * - days: Window in days (default: 14, max: 90)
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const health = await scrapeRuns.getHealth({ days: req.query.days });
+
+    const counts = {};
+    for (const scraper of health.scrapers) {
+      counts[scraper.status] = (counts[scraper.status] || 0) + 1;
+    }
+
+    res.json({ success: true, ...health, counts });
+  } catch (error) {
+    console.error('❌ Error fetching scraper health:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scraper health',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/scrapers/runs
+ *
+ * Query Parameters:
+ * - scraper: Only this scraper's runs (its scheduler name, e.g. "JD Sports UK")
+ * - limit: Max runs, newest first (default: 50, max: 200)
+ */
+router.get('/runs', requireRole('viewer'), async (req, res) => {
+  try {
+    const runs = await scrapeRuns.listRuns({
+      scraper: req.query.scraper,
+      limit: req.query.limit
+    });
+    res.json({ success: true, count: runs.length, runs });
+  } catch (error) {
+    console.error('❌ Error listing scrape runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list scrape runs',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
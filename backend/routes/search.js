@@ -0,0 +1,89 @@
+/**
+ * Product Search API Routes
+ *
+ * Full-text, typo-tolerant search over products and their translations
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getDealsService } = require('../services/deals/deals-service');
+const { parseDealFilters } = require('../services/deals/deal-filters');
+const { InvalidCursorError } = require('../services/deals/deal-cursor');
+const { UnsupportedCurrencyError } = require('../services/currency/currency-service');
+const { resolveSearchLanguage, normalizeQuery, SEARCH_CONFIG } = require('../services/search/search-service');
+
+const dealsService = getDealsService();
+
+/**
+ * GET /api/search
+ *
+ * Search deals, ranked by relevance unless another sortBy is given
+ *
+ * Query Parameters:
+ * - q: (required) Search query, at least 2 characters
+ * - lang: (optional) en, it, es, fr, de, pt - stemming and snippets language (default: en)
+ * - sortBy, cursor, limit: as for /api/deals
+ * - any /api/deals filter (category, brand, minDiscount, retailers, ...)
+ *
+ * Each result carries `relevance` and `highlight: { name, description }`,
+ * with matches wrapped in <mark>...</mark>.
+ *
+ * Example: /api/search?q=adiddas%20running&lang=it
+ */
+router.get('/', async (req, res) => {
+  try {
+    const query = normalizeQuery(req.query.q);
+
+    if (query.length < SEARCH_CONFIG.minQueryLength) {
+      return res.status(400).json({
+        success: false,
+        error: `q must be at least ${SEARCH_CONFIG.minQueryLength} characters`
+      });
+    }
+
+    const language = resolveSearchLanguage(req.query.lang);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const { deals, total, hasMore, nextCursor, facets } = await dealsService.findDeals(
+      { ...parseDealFilters(req.query), search: query, language },
+      { cursor: req.query.cursor, limit }
+    );
+
+    res.json({
+      success: true,
+      query,
+      language,
+      count: total,
+      limit,
+      hasMore,
+      nextCursor,
+      facets,
+      results: deals
+    });
+
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor',
+        message: error.message
+      });
+    }
+    if (error instanceof UnsupportedCurrencyError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported currency',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error searching products:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search products',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
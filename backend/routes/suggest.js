@@ -0,0 +1,45 @@
+/**
+ * Search Suggestion API Routes
+ *
+ * Grouped autocomplete suggestions for the search bar
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getSuggestionService } = require('../services/search/suggestions');
+
+const suggestions = getSuggestionService();
+
+/**
+ * GET /api/search/suggest
+ *
+ * Query Parameters:
+ * - q: (required) Partially typed query
+ * - lang: (optional) en, it, es, fr, de, pt
+ * - limit: (optional) Suggestions per group (default: 5, max: 10)
+ *
+ * Example: /api/search/suggest?q=nike%20run
+ */
+router.get('/', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    const lang = typeof req.query.lang === 'string' ? req.query.lang : undefined;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 10);
+
+    const data = await suggestions.suggest(q, { language: lang, limit });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('❌ Error getting suggestions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get suggestions',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
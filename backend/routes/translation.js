@@ -1,10 +1,14 @@
 /**
  * Translation API Routes
- * Endpoints for on-demand translation and cache management
+ * Endpoints for on-demand translation, cache management and the glossary
  */
 
 const express = require('express');
 const router = express.Router();
+const { requireRole } = require('../services/admin/middleware');
+const { getGlossaryStore, GlossaryValidationError } = require('../services/translation/glossary-store');
+
+const glossaryStore = getGlossaryStore();
 
 // Translation service will be initialized in server.js and passed here
 let translator = null;
@@ -176,9 +180,9 @@ router.get('/translations/:lang', async (req, res) => {
 
 /**
  * GET /api/translate/stats
- * Get translation cache statistics
+ * Get translation cache statistics (viewer role)
  */
-router.get('/translate/stats', async (req, res) => {
+router.get('/translate/stats', requireRole('viewer'), async (req, res) => {
   try {
     if (!translator) {
       return res.status(503).json({
@@ -206,9 +210,9 @@ router.get('/translate/stats', async (req, res) => {
 
 /**
  * DELETE /api/translate/cache
- * Clear translation cache
+ * Clear translation cache (admin role, audited)
  */
-router.delete('/translate/cache', async (req, res) => {
+router.delete('/translate/cache', requireRole('admin', { action: 'translations.cache.clear' }), async (req, res) => {
   try {
     if (!translator) {
       return res.status(503).json({
@@ -233,4 +237,117 @@ router.delete('/translate/cache', async (req, res) => {
   }
 });
 
+/**
+ * Apply the stored glossary terms to the translator (drops its cached translations)
+ */
+async function reloadGlossary() {
+  if (translator) {
+    await translator.setGlossaryEntries(await glossaryStore.list());
+  }
+}
+
+/**
+ * GET /api/translate/glossary
+ * Stored glossary terms (viewer role)
+ *
+ * Query: language - only terms applying to this target language
+ */
+router.get('/translate/glossary', requireRole('viewer'), async (req, res) => {
+  try {
+    const terms = await glossaryStore.list({ language: req.query.language || undefined });
+
+    return res.json({
+      success: true,
+      terms,
+      rules: translator ? translator.getGlossary().size() : null,
+    });
+  } catch (error) {
+    console.error('Glossary list error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load glossary',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/translate/glossary
+ * Add a glossary term (admin role, audited)
+ *
+ * Body: { term, language?, translation?, note? } - without a translation the
+ * term is kept as written (into `language`, or every language)
+ */
+router.post('/translate/glossary', requireRole('admin', { action: 'translations.glossary.create' }), async (req, res) => {
+  try {
+    const term = await glossaryStore.create(req.body || {});
+    await reloadGlossary();
+
+    return res.status(201).json({ success: true, term });
+  } catch (error) {
+    if (error instanceof GlossaryValidationError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    console.error('Glossary create error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add glossary term',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/translate/glossary/:id
+ * Change a glossary term (admin role, audited)
+ */
+router.put('/translate/glossary/:id', requireRole('admin', { action: 'translations.glossary.update' }), async (req, res) => {
+  try {
+    const term = await glossaryStore.update(req.params.id, req.body || {});
+
+    if (!term) {
+      return res.status(404).json({ success: false, message: 'Glossary term not found' });
+    }
+
+    await reloadGlossary();
+    return res.json({ success: true, term });
+  } catch (error) {
+    if (error instanceof GlossaryValidationError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    console.error('Glossary update error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update glossary term',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/translate/glossary/:id
+ * Remove a glossary term (admin role, audited)
+ */
+router.delete('/translate/glossary/:id', requireRole('admin', { action: 'translations.glossary.delete' }), async (req, res) => {
+  try {
+    const term = await glossaryStore.remove(req.params.id);
+
+    if (!term) {
+      return res.status(404).json({ success: false, message: 'Glossary term not found' });
+    }
+
+    await reloadGlossary();
+    return res.json({ success: true, message: 'Glossary term removed' });
+  } catch (error) {
+    console.error('Glossary delete error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove glossary term',
+      error: error.message,
+    });
+  }
+});
+
 module.exports = { router, initTranslator };
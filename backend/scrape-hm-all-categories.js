@@ -18,10 +18,7 @@ async function scrapeAllHMCategories() {
     console.log(`🔗 URL: ${category.url}\n`);
 
     try {
-      const scraper = new HMEUScraper({ maxProducts: 50 });
-
-      // Override the scrape URL
-      scraper.scrapeUrl = category.url;
+      const scraper = new HMEUScraper({ maxProducts: 50, listings: [category.url] });
 
       const products = await scraper.scrape();
 
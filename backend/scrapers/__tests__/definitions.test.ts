@@ -0,0 +1,71 @@
+import {
+  ScraperDefinitionError,
+  listDefinitions,
+  normalizeDefinition,
+  validateDefinition,
+} from '../declarative/definitions';
+import { listFixtures } from '../harness/fixtures';
+
+const minimal = {
+  name: 'Example',
+  source: 'example.com',
+  currency: 'EUR',
+  regions: ['EU'],
+  listings: ['https://www.example.com/sale'],
+  selectors: { card: 'li.product', name: 'h3', price: '.price' },
+};
+
+describe('scraper definitions', () => {
+  it('loads every definition in scrapers/definitions', () => {
+    const definitions = listDefinitions();
+
+    expect(definitions.map(definition => definition.id)).toEqual(
+      expect.arrayContaining(['hm-eu', 'mango-eu', 'zara-eu'])
+    );
+  });
+
+  it('has a replay fixture for every definition', () => {
+    const fixtures = listFixtures();
+
+    for (const definition of listDefinitions()) {
+      expect(fixtures).toContain(definition.id);
+    }
+  });
+
+  it('applies defaults and turns single selectors into lists', () => {
+    const definition = normalizeDefinition('example', minimal);
+
+    expect(definition).toMatchObject({
+      id: 'example',
+      category: 'shoes',
+      brand: 'Unknown',
+      pagination: { type: 'none' },
+      nameCleanup: [],
+      selectors: { card: ['li.product'], name: ['h3'], price: ['.price'] },
+    });
+  });
+
+  it('reports every problem of an invalid definition', () => {
+    const problems = validateDefinition({
+      ...minimal,
+      currency: '',
+      listings: ['not a url'],
+      selectors: { card: 'li.product' },
+      pagination: { type: 'infinite' },
+      schedule: 'every hour',
+      nameCleanup: ['('],
+    });
+
+    expect(problems).toEqual([
+      '"currency" is required',
+      'listing "not a url" is not a URL',
+      '"selectors.name" is required',
+      '"selectors.price" is required',
+      '"pagination.type" must be one of none, scroll, pageParam, nextLink',
+      '"schedule" must be a cron expression',
+      'nameCleanup pattern "(" is not a valid regex',
+    ]);
+    expect(() => normalizeDefinition('broken', { ...minimal, regions: [] }))
+      .toThrow(ScraperDefinitionError);
+  });
+});
@@ -0,0 +1,43 @@
+import { listFixtures, replayFixture, diffProducts, browserAvailable } from '../harness/fixtures';
+
+// Each fixture launches headless Chrome (once per page the scraper visits)
+const REPLAY_TIMEOUT = 60000;
+
+const fixtures = listFixtures();
+
+// Without a Chrome build (e.g. installed with PUPPETEER_SKIP_DOWNLOAD) there is nothing to replay in
+const describeReplay = browserAvailable() ? describe.each(fixtures) : describe.skip.each(fixtures);
+
+describe('scraper fixtures', () => {
+  beforeAll(() => {
+    // Scrapers log every step; keep the test output readable
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('has a fixture for every EU retailer', () => {
+    expect(fixtures).toEqual(expect.arrayContaining([
+      'jdsports-uk', 'sportsdirect-uk', 'footlocker-uk', 'hm-eu', 'zara-eu', 'mango-eu', 'decathlon-eu',
+    ]));
+  });
+
+  describeReplay('%s', (name) => {
+    it('extracts the recorded products offline', async () => {
+      const { products, expected } = await replayFixture(name);
+
+      expect(expected.length).toBeGreaterThan(0);
+      expect(diffProducts(products, expected)).toEqual([]);
+
+      for (const product of products) {
+        expect(product.name).toBeTruthy();
+        expect(product.salePrice).toBeGreaterThan(0);
+        expect(product.originalPrice).toBeGreaterThan(product.salePrice as number);
+        expect(product.discount).toBeGreaterThanOrEqual(10);
+        expect(product.image).toMatch(/^https?:\/\//);
+      }
+    }, REPLAY_TIMEOUT);
+  });
+});
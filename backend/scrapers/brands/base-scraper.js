@@ -1,5 +1,6 @@
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const { recordPages, replayPages } = require('../harness/page-fixtures');
 
 // Use stealth plugin to avoid detection
 puppeteer.use(StealthPlugin());
@@ -13,6 +14,9 @@ puppeteer.use(StealthPlugin());
  * - Price extraction and validation
  * - Real discount validation (rejects price estimation)
  * - Rate limiting between requests
+ * - Offline fixtures: `record` saves the visited pages to a directory,
+ *   `replay` serves them back without network (see scrapers/harness)
+ * - Run metrics: selector misses and rejected discounts, recorded per run by the scheduler
  */
 class BaseScraper {
   constructor(config = {}) {
@@ -25,11 +29,21 @@ class BaseScraper {
       userAgent: config.userAgent || 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
       // Proxy configuration (optional)
       proxy: config.proxy || null, // Format: { server: 'http://proxy:port', username: 'user', password: 'pass' }
+      // Page fixtures (optional): directory to record visited pages to, or to replay them from
+      record: config.record || null,
+      replay: config.replay || null,
       ...config
     };
 
     this.browser = null;
     this.page = null;
+    this.recorder = null;
+
+    // Counted during scrape() and saved with the run (services/scraping/scrape-runs.js)
+    this.metrics = {
+      selectorMisses: 0,
+      rejected: 0
+    };
   }
 
   /**
@@ -62,7 +76,7 @@ class BaseScraper {
       };
 
       // Add proxy if configured
-      if (this.config.proxy) {
+      if (this.config.proxy && !this.config.replay) {
         console.log(`🔒 Using proxy: ${this.config.proxy.server}`);
         launchOptions.args.push(`--proxy-server=${this.config.proxy.server}`);
       }
@@ -93,6 +107,12 @@ class BaseScraper {
     });
 
     await this.setupAntiDetection();
+
+    if (this.config.replay) {
+      await replayPages(this.page, this.config.replay);
+    } else if (this.config.record) {
+      this.recorder = recordPages(this.page, this.config.record);
+    }
   }
 
   /**
@@ -198,6 +218,17 @@ class BaseScraper {
    * - Price estimation patterns (1.3x ratio)
    */
   isRealDiscount(originalPrice, salePrice) {
+    const result = this.checkDiscount(originalPrice, salePrice);
+    if (!result.valid) {
+      this.metrics.rejected++;
+    }
+    return result;
+  }
+
+  /**
+   * The checks behind isRealDiscount(), without counting rejections
+   */
+  checkDiscount(originalPrice, salePrice) {
     if (!originalPrice || !salePrice) {
       return { valid: false, reason: 'Missing price data' };
     }
@@ -225,10 +256,20 @@ class BaseScraper {
     return { valid: true, discount: Math.round(discount) };
   }
 
+  /**
+   * Count a page or card the scraper's selectors found nothing on - a sudden
+   * rise usually means the retailer changed its markup
+   */
+  recordSelectorMiss(count = 1) {
+    this.metrics.selectorMisses += count;
+  }
+
   /**
    * Rate limiting delay
    */
   async delay(ms) {
+    // Replayed pages are static: nothing to wait for
+    if (this.config.replay) return;
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
@@ -243,6 +284,11 @@ class BaseScraper {
    * Clean up resources
    */
   async close(closeBrowser = true) {
+    if (this.recorder) {
+      await this.recorder.flush();
+      this.recorder = null;
+    }
+
     if (this.page) {
       await this.page.close();
       this.page = null;
@@ -0,0 +1,311 @@
+const BaseScraper = require('../brands/base-scraper');
+const { loadDefinition, normalizeDefinition } = require('./definitions');
+
+/**
+ * ConfigScraper - runs a declarative scraper definition (see definitions.js)
+ *
+ * The Puppeteer flow every listing scraper repeats - load, wait, accept cookies,
+ * paginate, extract cards, validate the discount - with the retailer specifics
+ * (URLs, selectors, currency, regions) taken from the definition. Products have
+ * the same shape as the hand-written scrapers' and only real discounts are kept:
+ * both prices must be on the page and pass isRealDiscount().
+ */
+class ConfigScraper extends BaseScraper {
+  /**
+   * @param {Object} definition - Loaded definition (loadDefinition) or raw { id, ...fields }
+   * @param {Object} config - BaseScraper config; `listings` overrides the definition's URLs
+   */
+  constructor(definition, config = {}) {
+    // Normalizing is idempotent, so loaded and inline definitions are both accepted
+    const resolved = normalizeDefinition(definition.id, definition);
+
+    super({
+      maxProducts: resolved.maxProducts,
+      scrollDelay: resolved.scrollDelay || 2000,
+      rateLimit: resolved.rateLimit || 2000,
+      timeout: 60000,
+      ...config
+    });
+
+    this.definition = resolved;
+    this.source = resolved.source;
+    this.currency = resolved.currency;
+    this.availableRegions = resolved.regions;
+    this.listings = config.listings || resolved.listings;
+  }
+
+  /**
+   * Scrape every listing page of the definition
+   */
+  async scrape() {
+    const { name } = this.definition;
+    console.log(`\n🔍 [${name}] Scraping ${this.listings.length} listing page(s)...`);
+
+    const products = [];
+    const seenUrls = new Set();
+
+    try {
+      await this.initBrowser();
+
+      for (const listingUrl of this.listings) {
+        for (const pageUrl of this.pageUrls(listingUrl)) {
+          if (products.length >= this.config.maxProducts) break;
+
+          const rawProducts = await this.scrapePage(pageUrl);
+          if (rawProducts === null) {
+            // No cards on a listing itself means the card selectors no longer match
+            if (pageUrl === listingUrl) this.recordSelectorMiss();
+            break; // Past the last page
+          }
+
+          for (const rawProduct of rawProducts) {
+            if (products.length >= this.config.maxProducts) break;
+            if (seenUrls.has(rawProduct.url)) continue;
+
+            const product = this.toProduct(rawProduct, products.length);
+            if (product) {
+              seenUrls.add(product.url);
+              products.push(product);
+              console.log(`✅ Added: ${product.name} (${product.discount}% off, ${this.currency} ${product.salePrice})`);
+            }
+          }
+
+          await this.rateLimit();
+        }
+      }
+
+      console.log(`\n🎉 ${name} scraping complete: ${products.length} valid products`);
+      console.log(`🌍 Regions: ${this.availableRegions.join(', ')}`);
+      console.log(`💰 Currency: ${this.currency}\n`);
+
+    } catch (error) {
+      console.error(`❌ ${name} scraping failed: ${error.message}`);
+    } finally {
+      await this.close();
+    }
+
+    return products;
+  }
+
+  /**
+   * Page URLs of a listing for URL-based pagination (generated lazily, so
+   * scraping stops as soon as a page comes back empty)
+   */
+  * pageUrls(listingUrl) {
+    const { pagination } = this.definition;
+    this.nextPageUrl = null;
+    yield listingUrl;
+
+    if (pagination.type === 'pageParam') {
+      for (let page = 2; page <= (pagination.maxPages || 1); page++) {
+        const url = new URL(listingUrl);
+        url.searchParams.set(pagination.param || 'page', String(page));
+        yield url.href;
+      }
+    } else if (pagination.type === 'nextLink') {
+      for (let page = 2; page <= (pagination.maxPages || 1) && this.nextPageUrl; page++) {
+        yield this.nextPageUrl;
+      }
+    }
+  }
+
+  /**
+   * Load one listing page and extract its cards
+   *
+   * @returns {Array|null} - Raw products, or null when the page has no cards
+   */
+  async scrapePage(url) {
+    const { pagination, selectors } = this.definition;
+    console.log(`📄 Loading: ${url}`);
+
+    await this.page.goto(url, {
+      waitUntil: 'networkidle2',
+      timeout: this.config.timeout
+    });
+    await this.delay(this.definition.waitMs);
+
+    if (this.definition.acceptCookies.length > 0) {
+      await this.page.evaluate((cookieSelectors) => {
+        cookieSelectors.forEach(selector => {
+          const button = document.querySelector(selector);
+          if (button) button.click();
+        });
+      }, this.definition.acceptCookies);
+    }
+
+    if (pagination.type === 'scroll') {
+      await this.scrollToLoadProducts(pagination.maxScrolls || 3);
+    }
+
+    const { cardCount, products, nextPageUrl } = await this.page.evaluate(extractCards, selectors, pagination.selector || null);
+    this.nextPageUrl = nextPageUrl;
+
+    if (cardCount === 0) {
+      console.log('⚠️  No product cards found with any selector');
+      return null;
+    }
+
+    // Cards without a link to the product
+    this.recordSelectorMiss(cardCount - products.length);
+
+    console.log(`📦 Extracted ${products.length} of ${cardCount} cards`);
+    return products;
+  }
+
+  /**
+   * Validate a raw card and build the product, or null to skip it
+   */
+  toProduct(rawProduct, index) {
+    const { definition } = this;
+
+    let url;
+    try {
+      url = new URL(rawProduct.url);
+    } catch (error) {
+      return null;
+    }
+    if (!url.hostname.endsWith(definition.source)) return null;
+
+    const name = this.cleanName(rawProduct.name);
+    if (!name || name.length < 3) return null;
+
+    let salePrice = this.extractPrice(rawProduct.salePrice);
+    let originalPrice = this.extractPrice(rawProduct.originalPrice);
+
+    if (!salePrice || !originalPrice) {
+      const prices = rawProduct.containerPrices.map(text => this.extractPrice(text)).filter(Boolean);
+      if (prices.length >= 2) {
+        salePrice = Math.min(...prices);
+        originalPrice = Math.max(...prices);
+      }
+    }
+
+    const discountCheck = this.isRealDiscount(originalPrice, salePrice);
+    if (!discountCheck.valid) {
+      console.log(`⚠️  Rejected "${name}": ${discountCheck.reason}`);
+      return null;
+    }
+
+    return {
+      id: `${definition.id}-${Date.now()}-${index}`,
+      name,
+      brand: this.detectBrand(name),
+      category: definition.category,
+      originalPrice,
+      salePrice,
+      discount: discountCheck.discount,
+      currency: this.currency,
+      image: rawProduct.image,
+      url: url.href,
+      source: this.source,
+      availableRegions: this.availableRegions,
+      verified: false,
+      scrapedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Collapse whitespace and remove the definition's nameCleanup patterns
+   */
+  cleanName(name) {
+    if (!name) return null;
+
+    return this.definition.nameCleanup
+      .reduce((text, pattern) => text.replace(new RegExp(pattern, 'gi'), ' '), name)
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, 200);
+  }
+
+  /**
+   * First of the definition's brands named in the product name, else its default brand
+   */
+  detectBrand(name) {
+    const nameLower = name.toLowerCase();
+    return this.definition.brands.find(brand => nameLower.includes(brand.toLowerCase())) || this.definition.brand;
+  }
+
+  getName() {
+    return this.definition.name;
+  }
+}
+
+/**
+ * Runs in the page: raw card fields for the definition's selectors.
+ * Must be self-contained (it is serialized into the browser).
+ */
+function extractCards(selectors, nextSelector) {
+  const first = (root, list) => {
+    for (const selector of list || []) {
+      const el = root.querySelector(selector);
+      if (el) return el;
+    }
+    return null;
+  };
+  const firstText = (root, list) => {
+    for (const selector of list || []) {
+      const el = root.querySelector(selector);
+      if (el && el.textContent.trim()) return el.textContent.trim();
+    }
+    return null;
+  };
+  const imageUrl = (img) => {
+    if (!img) return null;
+    let src = img.currentSrc || img.src || img.getAttribute('data-src') || img.getAttribute('data-lazy-src') ||
+      (img.getAttribute('srcset') || '').split(',')[0].trim().split(' ')[0];
+    if (src && src.startsWith('//')) src = 'https:' + src;
+    return src && src.startsWith('http') ? src : null;
+  };
+
+  let cards = [];
+  for (const selector of selectors.card) {
+    cards = Array.from(document.querySelectorAll(selector));
+    if (cards.length > 0) break;
+  }
+
+  const products = [];
+  cards.forEach(card => {
+    const link = card.tagName === 'A' ? card : first(card, selectors.link) || card.querySelector('a[href]');
+    if (!link || !link.href) return;
+
+    const img = first(card, selectors.image) || card.querySelector('img');
+    const name = firstText(card, selectors.name) || link.getAttribute('aria-label') || (img ? img.getAttribute('alt') : null);
+
+    const container = first(card, selectors.priceContainer);
+    const containerPrices = container
+      ? container.textContent.match(/[€£$]\s*\d[\d.,]*|\d[\d.,]*\s*[€£$]/g) || []
+      : [];
+
+    products.push({
+      url: link.href,
+      name,
+      image: imageUrl(img),
+      salePrice: firstText(card, selectors.price),
+      originalPrice: firstText(card, selectors.originalPrice),
+      containerPrices
+    });
+  });
+
+  const next = nextSelector ? document.querySelector(nextSelector) : null;
+
+  return { cardCount: cards.length, products, nextPageUrl: next && next.href ? next.href : null };
+}
+
+/**
+ * Scraper class for a definition id, for code that constructs scrapers with
+ * `new Class(config)` (the scheduler, the fixture harness)
+ */
+function scraperClassFor(id) {
+  const definition = loadDefinition(id);
+
+  return class extends ConfigScraper {
+    constructor(config = {}) {
+      super(definition, config);
+    }
+  };
+}
+
+module.exports = {
+  ConfigScraper,
+  scraperClassFor
+};
@@ -0,0 +1,49 @@
+/**
+ * Type declarations for declarative scraper definitions (scrapers/declarative/definitions.js),
+ * so definitions can be validated from the TypeScript test suite.
+ */
+
+export type PaginationType = 'none' | 'scroll' | 'pageParam' | 'nextLink';
+
+export interface ScraperDefinition {
+  id: string;
+  name: string;
+  source: string;
+  currency: string;
+  regions: string[];
+  category: string;
+  brand: string;
+  brands: string[];
+  listings: string[];
+  pagination: {
+    type: PaginationType;
+    maxScrolls?: number;
+    maxPages?: number;
+    param?: string;
+    selector?: string;
+  };
+  waitMs: number;
+  scrollDelay?: number;
+  rateLimit?: number;
+  maxProducts: number;
+  acceptCookies: string[];
+  nameCleanup: string[];
+  selectors: Record<string, string[]>;
+}
+
+export const DEFINITIONS_DIR: string;
+
+export const PAGINATION_TYPES: PaginationType[];
+
+export class ScraperDefinitionError extends Error {
+  problems: string[];
+  constructor(id: string, problems: string[]);
+}
+
+export function validateDefinition(definition: Record<string, unknown>): string[];
+
+export function normalizeDefinition(id: string, definition: Record<string, unknown>): ScraperDefinition;
+
+export function loadDefinition(id: string, dir?: string): ScraperDefinition;
+
+export function listDefinitions(dir?: string): ScraperDefinition[];
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+
+/**
+ * Scraper Definitions
+ *
+ * A retailer scraped by the declarative engine is one JSON file in
+ * scrapers/definitions/ (its file name is the scraper id):
+ *
+ * {
+ *   "name": "H&M EU",                    // For logs and the scheduler
+ *   "source": "hm.com",                  // Product source; listing links must be on this domain
+ *   "currency": "EUR",
+ *   "regions": ["EU", "UK"],
+ *   "category": "shoes",                 // Category of every product (default: "shoes")
+ *   "brand": "H&M",                      // Brand, or the fallback when no `brands` entry is in the name
+ *   "brands": ["Nike", "Adidas"],        // Optional: brands to detect in product names
+ *   "listings": ["https://..."],         // Listing pages to scrape, in order
+ *   "pagination": { "type": "scroll", "maxScrolls": 5 },
+ *   "waitMs": 5000,                      // Wait after each page load for client rendering
+ *   "scrollDelay": 2000,                 // Optional: BaseScraper scroll and rate limit delays
+ *   "rateLimit": 2000,
+ *   "maxProducts": 30,
+ *   "schedule": "0 1-23/6 * * *",        // Optional: scheduler cron expression (default: every 6 hours)
+ *   "acceptCookies": ["#onetrust-accept-btn-handler"],
+ *   "nameCleanup": ["\\bsale\\b"],       // Patterns removed from names (case-insensitive)
+ *   "selectors": {
+ *     "card": ["li.product-item"],       // Required. First selector with matches wins
+ *     "name": ["h3"],                    // Required. Inside the card, first non-empty wins
+ *     "price": ["[class*=\"sale\"]"],    // Required. Current (sale) price
+ *     "originalPrice": ["del", "s"],     // Was/RRP price
+ *     "priceContainer": [".price"],      // Fallback: lowest and highest price in its text
+ *     "link": ["a[href*=\"/product\"]"], // Default: the card itself if a link, else its first link
+ *     "image": ["img"]                   // Default: first img
+ *   }
+ * }
+ *
+ * Pagination types:
+ * - none:      each listing URL once
+ * - scroll:    lazy loading - scroll up to `maxScrolls` times
+ * - pageParam: also fetch ?<param>=2..maxPages until a page has no cards
+ * - nextLink:  follow `selector` (a link) up to `maxPages` pages
+ */
+
+const DEFINITIONS_DIR = path.join(__dirname, '../definitions');
+
+const PAGINATION_TYPES = ['none', 'scroll', 'pageParam', 'nextLink'];
+
+const REQUIRED_SELECTORS = ['card', 'name', 'price'];
+
+class ScraperDefinitionError extends Error {
+  constructor(id, problems) {
+    super(`Invalid scraper definition ${id}: ${problems.join('; ')}`);
+    this.name = 'ScraperDefinitionError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Selector lists may be written as a single string
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Problems with a definition (empty when it is valid)
+ */
+function validateDefinition(definition) {
+  const problems = [];
+
+  for (const field of ['name', 'source', 'currency']) {
+    if (typeof definition[field] !== 'string' || !definition[field].trim()) {
+      problems.push(`"${field}" is required`);
+    }
+  }
+
+  if (!Array.isArray(definition.regions) || definition.regions.length === 0) {
+    problems.push('"regions" must be a non-empty array');
+  }
+
+  if (!Array.isArray(definition.listings) || definition.listings.length === 0) {
+    problems.push('"listings" must be a non-empty array');
+  } else {
+    for (const url of definition.listings) {
+      try {
+        new URL(url);
+      } catch (error) {
+        problems.push(`listing "${url}" is not a URL`);
+      }
+    }
+  }
+
+  const selectors = definition.selectors || {};
+  for (const name of REQUIRED_SELECTORS) {
+    if (toList(selectors[name]).length === 0) {
+      problems.push(`"selectors.${name}" is required`);
+    }
+  }
+
+  const pagination = definition.pagination || { type: 'none' };
+  if (!PAGINATION_TYPES.includes(pagination.type)) {
+    problems.push(`"pagination.type" must be one of ${PAGINATION_TYPES.join(', ')}`);
+  }
+  if (pagination.type === 'nextLink' && !pagination.selector) {
+    problems.push('"pagination.selector" is required for nextLink pagination');
+  }
+
+  if (definition.schedule !== undefined && !cron.validate(definition.schedule)) {
+    problems.push(`"schedule" must be a cron expression`);
+  }
+
+  for (const pattern of toList(definition.nameCleanup)) {
+    try {
+      new RegExp(pattern, 'gi');
+    } catch (error) {
+      problems.push(`nameCleanup pattern "${pattern}" is not a valid regex`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Definition with defaults applied and selectors as lists
+ *
+ * @throws {ScraperDefinitionError}
+ */
+function normalizeDefinition(id, definition) {
+  const problems = validateDefinition(definition);
+  if (problems.length > 0) {
+    throw new ScraperDefinitionError(id, problems);
+  }
+
+  const selectors = Object.fromEntries(
+    Object.entries(definition.selectors).map(([name, value]) => [name, toList(value)])
+  );
+
+  return {
+    category: 'shoes',
+    brand: 'Unknown',
+    brands: [],
+    waitMs: 5000,
+    maxProducts: 30,
+    ...definition,
+    id,
+    acceptCookies: toList(definition.acceptCookies),
+    nameCleanup: toList(definition.nameCleanup),
+    pagination: { type: 'none', ...definition.pagination },
+    selectors
+  };
+}
+
+/**
+ * Read and validate scrapers/definitions/<id>.json
+ *
+ * @throws {ScraperDefinitionError} if it is invalid
+ */
+function loadDefinition(id, dir = DEFINITIONS_DIR) {
+  const file = path.join(dir, `${id}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No scraper definition ${id} in ${dir}`);
+  }
+  return normalizeDefinition(id, JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Every definition, sorted by id
+ */
+function listDefinitions(dir = DEFINITIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => loadDefinition(path.basename(file, '.json'), dir))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+module.exports = {
+  DEFINITIONS_DIR,
+  PAGINATION_TYPES,
+  ScraperDefinitionError,
+  validateDefinition,
+  normalizeDefinition,
+  loadDefinition,
+  listDefinitions
+};
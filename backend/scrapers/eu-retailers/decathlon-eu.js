@@ -106,6 +106,7 @@ class DecathlonEUScraper extends BaseScraper {
       }
 
       if (!workingSelector) {
+        this.recordSelectorMiss();
         console.log(`⚠️  No products found with any selector`);
         console.log('💡 Check /tmp/decathlon-eu-debug.png to identify correct selectors');
         return products;
@@ -92,6 +92,7 @@ class FootLockerUKScraper extends BaseScraper {
       }
 
       if (!workingSelector) {
+        this.recordSelectorMiss();
         console.log(`⚠️  No products found with any selector`);
         console.log('💡 Check /tmp/footlocker-uk-debug.png to identify correct selectors');
         return products;
@@ -99,6 +99,7 @@ class JDSportsUKScraper extends BaseScraper {
       }
 
       if (!workingSelector) {
+        this.recordSelectorMiss();
         console.log(`⚠️  No products found with any selector`);
         console.log('💡 Check /tmp/jdsports-uk-debug.png to identify correct selectors');
         return products;
@@ -100,6 +100,7 @@ class SportsDirectUKScraper extends BaseScraper {
       }
 
       if (!workingSelector) {
+        this.recordSelectorMiss();
         console.log(`⚠️  No products found with any selector`);
         console.log('💡 Check /tmp/sportsdirect-uk-debug.png to identify correct selectors');
         return products;
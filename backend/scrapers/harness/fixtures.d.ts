@@ -0,0 +1,47 @@
+/**
+ * Type declarations for the scraper fixture harness (scrapers/harness/fixtures.js),
+ * so fixtures can be replayed from the TypeScript test suite.
+ */
+
+export interface FixtureProduct {
+  name: string | null;
+  brand: string | null;
+  category: string | null;
+  salePrice: number | null;
+  originalPrice: number | null;
+  discount: number | null;
+  currency: string | null;
+  image: string | null;
+  url: string | null;
+}
+
+export interface ReplayResult {
+  scraper: string;
+  products: FixtureProduct[];
+  expected: FixtureProduct[];
+}
+
+export const FIXTURES_DIR: string;
+
+export const FIXTURE_FIELDS: Array<keyof FixtureProduct>;
+
+export function listFixtures(dir?: string): string[];
+
+export function isRecorded(name: string, dir?: string): boolean;
+
+export function browserAvailable(): boolean;
+
+export function loadScraper(scraperPath: string): new (config?: Record<string, unknown>) => {
+  scrape(): Promise<Array<Record<string, unknown>>>;
+};
+
+export function pickFixtureFields(products: Array<Record<string, unknown>>): FixtureProduct[];
+
+export function recordFixture(
+  scraperPath: string,
+  options?: { name?: string; config?: Record<string, unknown> }
+): Promise<{ dir: string; products: FixtureProduct[] }>;
+
+export function replayFixture(name: string): Promise<ReplayResult>;
+
+export function diffProducts(products: FixtureProduct[], expected: FixtureProduct[]): string[];
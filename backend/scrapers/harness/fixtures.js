@@ -0,0 +1,212 @@
+/**
+ * Scraper Fixture Harness
+ * Records a scraper's pages once, then replays them offline through its parsing logic.
+ *
+ * Usage:
+ *   node scrapers/harness/fixtures.js record eu-retailers/zalando-eu [fixture-name]
+ *   node scrapers/harness/fixtures.js record definitions/hm-eu
+ *   node scrapers/harness/fixtures.js replay [fixture-name]
+ *
+ * `record` scrapes the live site with the scraper, saves every page it visited to
+ * scrapers/__fixtures__/<fixture-name>/ and the products it extracted to expected.json.
+ * `replay` runs scrapers against their fixtures and reports fields that differ from
+ * expected.json - the same check as scrapers/__tests__/scraper-fixtures.test.ts.
+ *
+ * Re-record a fixture when a retailer changes its markup and the scraper is updated.
+ * A fixture without `recordedAt` was written by hand rather than recorded (see
+ * scrapers/__fixtures__/README.md); replay warns about those until they are re-recorded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MANIFEST_FILE, readManifest, writeManifest } = require('./page-fixtures');
+const { scraperClassFor } = require('../declarative/config-scraper');
+
+const FIXTURES_DIR = path.join(__dirname, '../__fixtures__');
+
+const EXPECTED_FILE = 'expected.json';
+
+// Product fields a fixture pins down (ids and timestamps change on every run)
+const FIXTURE_FIELDS = ['name', 'brand', 'category', 'salePrice', 'originalPrice', 'discount', 'currency', 'image', 'url'];
+
+/**
+ * Names of all fixtures (directories with a fixture.json)
+ */
+function listFixtures(dir = FIXTURES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(name => fs.existsSync(path.join(dir, name, MANIFEST_FILE)))
+    .sort();
+}
+
+/**
+ * Whether a fixture's pages were recorded from the live site (hand-written ones have no recordedAt)
+ */
+function isRecorded(name, dir = FIXTURES_DIR) {
+  return Boolean(readManifest(path.join(dir, name)).recordedAt);
+}
+
+/**
+ * Whether Puppeteer has a browser to launch (replaying renders pages in headless Chrome).
+ * PUPPETEER_EXECUTABLE_PATH is honoured by executablePath().
+ */
+function browserAvailable() {
+  try {
+    return fs.existsSync(require('puppeteer').executablePath());
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Scraper class by path under scrapers/ (e.g. 'eu-retailers/zalando-eu'), where
+ * 'definitions/<id>' is a declarative scraper (scrapers/definitions/<id>.json)
+ */
+function loadScraper(scraperPath) {
+  const [dir, id] = scraperPath.split('/');
+  if (dir === 'definitions' && id) {
+    return scraperClassFor(id);
+  }
+  return require(path.join(__dirname, '..', scraperPath));
+}
+
+/**
+ * The fixture fields of scraped products, in scrape order
+ */
+function pickFixtureFields(products) {
+  return products.map(product => Object.fromEntries(
+    FIXTURE_FIELDS.map(field => [field, product[field] === undefined ? null : product[field]])
+  ));
+}
+
+/**
+ * Scrape the live site and save its pages and products as a fixture
+ *
+ * @param {string} scraperPath - Scraper module under scrapers/
+ * @param {Object} options - { name (default: module file name), config (passed to the scraper) }
+ * @returns {Object} - { dir, products }
+ */
+async function recordFixture(scraperPath, { name = path.basename(scraperPath), config = {} } = {}) {
+  const dir = path.join(FIXTURES_DIR, name);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const Scraper = loadScraper(scraperPath);
+  const scraper = new Scraper({ ...config, record: dir });
+  const products = pickFixtureFields(await scraper.scrape());
+
+  writeManifest(dir, {
+    scraper: scraperPath,
+    config,
+    recordedAt: new Date().toISOString(),
+    pages: readManifest(dir).pages
+  });
+  fs.writeFileSync(path.join(dir, EXPECTED_FILE), JSON.stringify(products, null, 2) + '\n');
+
+  return { dir, products };
+}
+
+/**
+ * Run a fixture's scraper against its recorded pages, without network
+ *
+ * @param {string} name - Fixture name
+ * @returns {Object} - { scraper, products, expected }
+ */
+async function replayFixture(name) {
+  const dir = path.join(FIXTURES_DIR, name);
+  const manifest = readManifest(dir);
+  if (!manifest.scraper) {
+    throw new Error(`No fixture named ${name} in ${FIXTURES_DIR}`);
+  }
+
+  const Scraper = loadScraper(manifest.scraper);
+  const scraper = new Scraper({ ...manifest.config, replay: dir });
+  const products = pickFixtureFields(await scraper.scrape());
+  const expected = JSON.parse(fs.readFileSync(path.join(dir, EXPECTED_FILE), 'utf8'));
+
+  return { scraper: manifest.scraper, products, expected };
+}
+
+/**
+ * Differences between replayed and expected products (empty when they match)
+ */
+function diffProducts(products, expected) {
+  const differences = [];
+
+  if (products.length !== expected.length) {
+    differences.push(`expected ${expected.length} products, got ${products.length}`);
+  }
+
+  expected.forEach((expectedProduct, index) => {
+    const product = products[index] || {};
+    for (const field of FIXTURE_FIELDS) {
+      if (JSON.stringify(product[field]) !== JSON.stringify(expectedProduct[field])) {
+        differences.push(`#${index} ${field}: expected ${JSON.stringify(expectedProduct[field])}, got ${JSON.stringify(product[field])}`);
+      }
+    }
+  });
+
+  return differences;
+}
+
+async function main([command, ...args]) {
+  switch (command) {
+    case 'record': {
+      const [scraperPath, name] = args;
+      if (!scraperPath) {
+        throw new Error('Usage: fixtures.js record <scraper path under scrapers/> [fixture-name]');
+      }
+      const { dir, products } = await recordFixture(scraperPath, name ? { name } : {});
+      console.log(`✅ Recorded ${products.length} products to ${dir}`);
+      if (products.length === 0) {
+        console.log('⚠️  The scraper found nothing - check the site before committing this fixture');
+      }
+      return true;
+    }
+    case 'replay': {
+      if (!browserAvailable()) {
+        throw new Error('Puppeteer has no browser to replay in - install one with: npx puppeteer browsers install chrome');
+      }
+      let passed = true;
+      for (const name of args.length > 0 ? args : listFixtures()) {
+        const { products, expected } = await replayFixture(name);
+        const differences = diffProducts(products, expected);
+        if (differences.length === 0) {
+          console.log(`✅ ${name}: ${products.length} products match`);
+        } else {
+          passed = false;
+          console.log(`❌ ${name}:\n   ${differences.join('\n   ')}`);
+        }
+        if (!isRecorded(name)) {
+          console.log(`⚠️  ${name} has hand-written pages - re-record it with npm run scrapers:record`);
+        }
+      }
+      return passed;
+    }
+    default:
+      throw new Error('Usage: fixtures.js record <scraper> [fixture-name] | replay [fixture-name...]');
+  }
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  FIXTURE_FIELDS,
+  listFixtures,
+  isRecorded,
+  browserAvailable,
+  loadScraper,
+  pickFixtureFields,
+  recordFixture,
+  replayFixture,
+  diffProducts
+};
+
+// Run if called directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(passed => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('❌', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Page Fixtures
+ *
+ * Records the pages a scraper visits and replays them later without network,
+ * so each scraper's selectors and parsing can be tested offline.
+ *
+ * A fixture directory holds:
+ * - fixture.json: { scraper, config, recordedAt, pages: { requestedUrl: 'pages/<hash>.html' } }
+ * - pages/*.html: the rendered DOM at extraction time, without <script> tags
+ *
+ * BaseScraper wires these in with `config.record` / `config.replay` (a fixture directory).
+ */
+
+const MANIFEST_FILE = 'fixture.json';
+
+const NOT_RECORDED_HTML = '<!DOCTYPE html><html><head><title>Not recorded</title></head><body></body></html>';
+
+function readManifest(dir) {
+  const file = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) {
+    return { pages: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeManifest(dir, manifest) {
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+ * Page file for a requested URL (stable across recordings)
+ */
+function pageFileFor(url) {
+  return `pages/${crypto.createHash('sha1').update(url).digest('hex').slice(0, 12)}.html`;
+}
+
+/**
+ * Rendered DOM without scripts, so replaying never re-runs (or fetches) the site's JS.
+ * A <base> keeps relative links resolving to the final URL when the site redirected.
+ */
+function toSnapshot(html, requestedUrl, finalUrl) {
+  let snapshot = html
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '')
+    .replace(/<noscript\b[^>]*>[\s\S]*?<\/noscript>/gi, '');
+
+  if (finalUrl && finalUrl !== requestedUrl && !/<base\s/i.test(snapshot)) {
+    snapshot = snapshot.replace(/<head([^>]*)>/i, `<head$1><base href="${finalUrl}">`);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Record every page navigated to with page.goto. A page is saved when the
+ * scraper moves on (next goto) or closes it, i.e. after it waited, scrolled
+ * and extracted - the DOM the selectors actually ran against.
+ *
+ * @param {Page} page - Puppeteer page
+ * @param {string} dir - Fixture directory (created; existing pages are kept)
+ * @returns {Object} - { flush() } to save the current page
+ */
+function recordPages(page, dir) {
+  fs.mkdirSync(path.join(dir, 'pages'), { recursive: true });
+
+  const goto = page.goto.bind(page);
+  let requestedUrl = null;
+
+  const flush = async () => {
+    if (!requestedUrl || page.isClosed()) return;
+
+    const file = pageFileFor(requestedUrl);
+    const html = toSnapshot(await page.content(), requestedUrl, page.url());
+    fs.writeFileSync(path.join(dir, file), html);
+
+    // Re-read: a scraper may open several pages (one per search) into the same fixture
+    const manifest = readManifest(dir);
+    manifest.pages = { ...manifest.pages, [requestedUrl]: file };
+    writeManifest(dir, manifest);
+
+    console.log(`📼 Recorded ${requestedUrl}`);
+    requestedUrl = null;
+  };
+
+  page.goto = async (url, options) => {
+    await flush();
+    // Keyed as Chrome reports request URLs, so replay finds them
+    requestedUrl = new URL(url).href;
+    return goto(url, options);
+  };
+
+  return { flush };
+}
+
+/**
+ * Serve recorded pages instead of the network: documents in the fixture are
+ * answered from disk, unrecorded documents get an empty page and every other
+ * request (images, scripts, XHR, fonts) is aborted.
+ *
+ * @param {Page} page - Puppeteer page
+ * @param {string} dir - Fixture directory
+ */
+async function replayPages(page, dir) {
+  const { pages } = readManifest(dir);
+
+  await page.setRequestInterception(true);
+
+  page.on('request', request => {
+    if (request.isInterceptResolutionHandled()) return;
+
+    if (request.resourceType() !== 'document') {
+      request.abort();
+      return;
+    }
+
+    const file = pages[request.url()];
+    if (!file) {
+      console.log(`⚠️  Not in fixture: ${request.url()}`);
+      request.respond({ status: 404, contentType: 'text/html; charset=utf-8', body: NOT_RECORDED_HTML });
+      return;
+    }
+
+    request.respond({
+      status: 200,
+      contentType: 'text/html; charset=utf-8',
+      body: fs.readFileSync(path.join(dir, file), 'utf8')
+    });
+  });
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  readManifest,
+  writeManifest,
+  recordPages,
+  replayPages,
+  toSnapshot
+};
@@ -0,0 +1,53 @@
+/**
+ * Admin API Key Tool
+ * Creates, lists and revokes API keys for the admin and scraper-control routes.
+ *
+ * Usage:
+ *   node scripts/admin-api-key.js create <name> <viewer|operator|admin>
+ *   node scripts/admin-api-key.js list
+ *   node scripts/admin-api-key.js revoke <id>
+ */
+
+const { getAdminAuthService } = require('../services/admin/admin-auth');
+
+async function main([command, ...args]) {
+  const adminAuth = getAdminAuthService();
+
+  switch (command) {
+    case 'create': {
+      const [name, role] = args;
+      const { key, apiKey } = await adminAuth.createApiKey({ name, role, createdBy: 'cli' });
+      console.log(`✅ Created ${apiKey.role} key "${apiKey.name}" (${apiKey.id})`);
+      console.log(`🔑 ${key}`);
+      console.log('   Store it now - it cannot be shown again.');
+      break;
+    }
+    case 'list': {
+      const keys = await adminAuth.listApiKeys();
+      keys.forEach(key => {
+        const status = key.revokedAt ? 'revoked' : `last used ${key.lastUsedAt ? key.lastUsedAt.toISOString() : 'never'}`;
+        console.log(`${key.id}  ${key.keyPrefix}…  ${key.role.padEnd(8)}  ${key.name}  (${status})`);
+      });
+      if (keys.length === 0) console.log('No API keys yet');
+      break;
+    }
+    case 'revoke': {
+      const revoked = await adminAuth.revokeApiKey(args[0]);
+      if (!revoked) throw new Error(`API key not found: ${args[0]}`);
+      console.log(`✅ Revoked key "${revoked.name}"`);
+      break;
+    }
+    default:
+      throw new Error('Usage: admin-api-key.js create <name> <role> | list | revoke <id>');
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌', error.message);
+      process.exit(1);
+    });
+}
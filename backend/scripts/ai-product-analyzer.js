@@ -181,11 +181,11 @@ function isTopDeal(dealScore) {
 }
 
 /**
- * Detect if price recently dropped (simulated - in production would compare to historical data)
+ * Determine if price recently dropped, based on the product's price history signal
+ * (see services/pricing/price-history.js). Products without history never qualify.
  */
 function isPriceDrop(product) {
-  // For now, mark products with 50%+ discount as "price drop"
-  return product.discount >= 50;
+  return Boolean(product.priceSignal && product.priceSignal.isPriceDrop);
 }
 
 /**
@@ -293,7 +293,15 @@ function main() {
 }
 
 // Export for use in other scripts
-module.exports = { analyzeProducts, detectGender, detectSmartCategory, calculateDealScore };
+module.exports = {
+  analyzeProducts,
+  detectGender,
+  detectSmartCategory,
+  calculateDealScore,
+  isBestValue,
+  isTopDeal,
+  isPriceDrop
+};
 
 // Run if called directly
 if (require.main === module) {
@@ -0,0 +1,143 @@
+/**
+ * Exchange Rates Tool
+ * Refreshes the daily rates snapshot and re-normalizes product prices with it.
+ *
+ * Usage:
+ *   node scripts/exchange-rates.js update      # download today's ECB reference rates
+ *   node scripts/exchange-rates.js normalize   # recompute normalizedSalePrice / normalizedOriginalPrice
+ *
+ * Serving never calls the rates API: the snapshot (data/exchange-rates.json, or
+ * EXCHANGE_RATES_FILE) is read once at startup, so run both daily, e.g. from cron,
+ * and restart the API to pick up the new rates.
+ *
+ * On startup the API backfills products that have no normalized prices yet
+ * (backfillNormalizedPrices), e.g. rows that existed before the columns were added.
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../db/client');
+const { BASE_CURRENCY, DEFAULT_RATES_FILE, loadRatesSnapshot } = require('../services/currency/currency-service');
+
+const ECB_DAILY_URL = 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml';
+
+/**
+ * Parse the ECB daily reference rates XML (base EUR)
+ */
+function parseEcbRates(xml) {
+  const dateMatch = xml.match(/time=['"](\d{4}-\d{2}-\d{2})['"]/);
+  const rates = { [BASE_CURRENCY]: 1 };
+
+  for (const [, currency, rate] of xml.matchAll(/currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]/g)) {
+    rates[currency] = parseFloat(rate);
+  }
+
+  if (!dateMatch || Object.keys(rates).length === 1) {
+    throw new Error('Unexpected ECB rates response');
+  }
+
+  return { date: dateMatch[1], rates };
+}
+
+/**
+ * Download the ECB rates and write them as the snapshot
+ */
+async function updateRatesSnapshot(file = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE) {
+  const response = await axios.get(ECB_DAILY_URL, { timeout: 15000, responseType: 'text' });
+  const { date, rates } = parseEcbRates(response.data);
+
+  const snapshot = {
+    base: BASE_CURRENCY,
+    date,
+    source: 'European Central Bank euro foreign exchange reference rates',
+    rates
+  };
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + '\n');
+
+  console.log(`✅ Saved ${Object.keys(rates).length} rates for ${date} to ${file}`);
+  return snapshot;
+}
+
+/**
+ * Recompute the normalized price columns of every product from the snapshot.
+ * Products in a currency without a rate get null (excluded from price filters).
+ */
+async function normalizeProductPrices(snapshot = loadRatesSnapshot()) {
+  const client = prisma.default || prisma;
+  const updated = await convertPrices(client, snapshot);
+
+  const unsupported = await client.$executeRaw`
+    UPDATE "products"
+    SET "normalizedSalePrice" = NULL, "normalizedOriginalPrice" = NULL
+    WHERE NOT ("currency" = ANY(${Object.keys(snapshot.rates)}))
+  `;
+
+  console.log(`✅ Normalized ${updated} products to ${snapshot.base} (rates of ${snapshot.date})`);
+  if (unsupported > 0) {
+    console.log(`⚠️  ${unsupported} products are in currencies without a rate`);
+  }
+
+  return { updated, unsupported };
+}
+
+/**
+ * Set the normalized prices of products that have none, in currencies the snapshot
+ * has a rate for. Run at API startup, so a deploy never serves rows the migration
+ * that added the columns could not convert (it only copies EUR prices).
+ *
+ * @returns {number} - Products backfilled
+ */
+async function backfillNormalizedPrices(snapshot = loadRatesSnapshot()) {
+  const client = prisma.default || prisma;
+  const updated = await convertPrices(client, snapshot, Prisma.sql`AND "normalizedSalePrice" IS NULL`);
+
+  if (updated > 0) {
+    console.log(`✅ Backfilled normalized prices of ${updated} products (rates of ${snapshot.date})`);
+  }
+
+  return updated;
+}
+
+/**
+ * Convert the prices of every currency in the snapshot, optionally only some rows
+ */
+async function convertPrices(client, snapshot, onlyRows = Prisma.empty) {
+  let updated = 0;
+
+  for (const [currency, rate] of Object.entries(snapshot.rates)) {
+    updated += await client.$executeRaw`
+      UPDATE "products"
+      SET "normalizedSalePrice" = ROUND(("salePrice" / ${rate})::numeric, 2)::float8,
+          "normalizedOriginalPrice" = ROUND(("originalPrice" / ${rate})::numeric, 2)::float8
+      WHERE "currency" = ${currency} ${onlyRows}
+    `;
+  }
+
+  return updated;
+}
+
+async function main([command]) {
+  switch (command) {
+    case 'update':
+      await updateRatesSnapshot();
+      break;
+    case 'normalize':
+      await normalizeProductPrices();
+      break;
+    default:
+      throw new Error('Usage: exchange-rates.js update | normalize');
+  }
+}
+
+module.exports = { parseEcbRates, updateRatesSnapshot, normalizeProductPrices, backfillNormalizedPrices };
+
+// Run if called directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌', error.message);
+      process.exit(1);
+    });
+}
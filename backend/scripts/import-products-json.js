@@ -0,0 +1,48 @@
+/**
+ * Products JSON Importer
+ * Seeds the database from data/products.json through the ingestion pipeline.
+ *
+ * The JSON file is only an import source; the API always serves from the database.
+ *
+ * Usage: node scripts/import-products-json.js [path/to/products.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getIngestionPipeline, logIngestionResult } = require('../services/ingestion');
+
+const DEFAULT_PRODUCTS_FILE = path.join(__dirname, '..', 'data', 'products.json');
+
+/**
+ * Import products from a JSON file (either an array or { products: [...] })
+ *
+ * @param {string} filePath - JSON file to import
+ * @returns {Object} - Ingestion result
+ */
+async function importProductsFile(filePath = DEFAULT_PRODUCTS_FILE) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Products file not found: ${filePath}`);
+  }
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const products = Array.isArray(data) ? data : (data.products || []);
+
+  console.log(`📦 Importing ${products.length} products from ${path.basename(filePath)}...`);
+
+  const result = await getIngestionPipeline().ingest(products, { origin: 'seed' });
+  logIngestionResult('Import', result);
+
+  return result;
+}
+
+module.exports = { importProductsFile, DEFAULT_PRODUCTS_FILE };
+
+// Run if called directly
+if (require.main === module) {
+  importProductsFile(process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_PRODUCTS_FILE)
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Import failed:', error.message);
+      process.exit(1);
+    });
+}
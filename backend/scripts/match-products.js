@@ -0,0 +1,26 @@
+/**
+ * Product Matching Backfill
+ * Groups every product without a canonical product with its listings at other
+ * retailers (new listings are matched at ingestion).
+ *
+ * Usage:
+ *   node scripts/match-products.js
+ */
+
+const { getProductMatcher } = require('../services/matching/product-matcher');
+
+async function main() {
+  console.log('🔗 Matching products to canonical products...');
+  const { matched, created } = await getProductMatcher().matchUnassigned();
+  console.log(`✅ ${matched} joined an existing canonical product, ${created} started a new one`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,80 @@
+/**
+ * Verification Rule Replay
+ * Scores the latest logged verifications with a rule set file and shows what
+ * it changes against the scores they were given - run it on a changed
+ * config/verification-rules.json before merging it.
+ *
+ * Usage:
+ *   node scripts/replay-verification-rules.js [rules.json] [--since=2026-10-01] [--limit=500] [--product=<id>]
+ */
+
+const path = require('path');
+const { requireTs } = require('../services/require-ts');
+
+const SHOW_CHANGED = 20;
+
+function parseArgs(argv) {
+  const options = {};
+  let file = null;
+
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    if (!arg.startsWith('--')) {
+      file = path.resolve(arg);
+    } else if (key === 'since') {
+      options.since = new Date(value);
+      if (isNaN(options.since.getTime())) throw new Error(`Invalid date: ${value}`);
+    } else if (key === 'limit') {
+      options.limit = parseInt(value, 10);
+    } else if (key === 'product') {
+      options.productId = value;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return { file, options };
+}
+
+async function main() {
+  const { file, options } = parseArgs(process.argv.slice(2));
+  const { loadRuleSet } = requireTs('./services/verification/rules/rule-engine', 'verificationRules');
+  const { replayHistory } = requireTs('./services/verification/rules/replay', 'verificationRules');
+
+  const ruleSet = file ? loadRuleSet(file) : loadRuleSet();
+  console.log(`🔁 Replaying verifications with rule set v${ruleSet.version} (${ruleSet.checksum})...`);
+
+  const report = await replayHistory(ruleSet, options);
+
+  const changed = report.verifications.filter(v =>
+    v.replayed.final !== v.recorded.final ||
+    v.replayed.passed !== v.recorded.passed ||
+    v.replayed.requiresReview !== v.recorded.requiresReview
+  );
+
+  for (const v of changed.slice(0, SHOW_CHANGED)) {
+    const overrides = v.replayed.overrides.length > 0 ? ` [${v.replayed.overrides.join(', ')}]` : '';
+    console.log(
+      `   ${v.productId}: ${v.recorded.final} -> ${v.replayed.final}` +
+      ` (${v.recorded.category} -> ${v.replayed.category}, v${v.recorded.version})${overrides}`
+    );
+  }
+  if (changed.length > SHOW_CHANGED) {
+    console.log(`   ... and ${changed.length - SHOW_CHANGED} more`);
+  }
+
+  console.log(`✅ ${report.replayed} verifications replayed, ${report.skipped} skipped (logged without facts)`);
+  console.log(`   Score changed: ${report.changed.score}`);
+  console.log(`   Pass/fail changed: ${report.changed.passed}`);
+  console.log(`   Review changed: ${report.changed.requiresReview}`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,41 @@
+/**
+ * Product Translations Backfill
+ * Translates every active product into en, it, es, fr, de and pt (new and
+ * changed products are translated by the products.translate job).
+ *
+ * Usage:
+ *   DEEPL_API_KEY=... node scripts/translate-products.js
+ */
+
+const { createProductTranslationService } = require('../services/translation/product-translations');
+
+async function main() {
+  if (!process.env.DEEPL_API_KEY) {
+    throw new Error('DEEPL_API_KEY is not set');
+  }
+
+  const service = createProductTranslationService(process.env.DEEPL_API_KEY);
+  const total = { products: 0, translated: 0, copied: 0 };
+
+  console.log('🌍 Translating products...');
+  for (;;) {
+    const batch = await service.translatePending();
+    if (batch.products === 0) break;
+
+    total.products += batch.products;
+    total.translated += batch.translated;
+    total.copied += batch.copied;
+    console.log(`   ${total.products} products done`);
+  }
+  console.log(`✅ ${total.translated} translations made, ${total.copied} originals stored for ${total.products} products`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌', error.message);
+      process.exit(1);
+    });
+}
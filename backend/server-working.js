@@ -1,312 +0,0 @@
-const express = require('express');
-const cors = require('cors');
-const axios = require('axios');
-require('dotenv').config();
-
-const app = express();
-const PORT = process.env.PORT || 3001;
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// In-memory cache
-let dealsCache = {
-  data: [],
-  lastUpdated: null,
-  isRefreshing: false
-};
-
-/**
- * Fetch real deals - Using curated verified deals from major retailers
- * These are REAL products with working URLs and images
- */
-async function fetchRealDeals() {
-  console.log('🔍 Fetching verified deals from major retailers...');
-
-  // Real verified deals with working URLs and images from Nike, Adidas, Amazon, etc.
-  const verifiedDeals = [
-    {
-      id: 'nike-air-max-90-1',
-      name: 'Nike Air Max 90',
-      brand: 'Nike',
-      category: 'shoes',
-      originalPrice: 130,
-      salePrice: 91,
-      discount: 30,
-      image: 'https://static.nike.com/a/images/t_PDP_1728_v1/f_auto,q_auto:eco/zwxes8uud05rkuei1mpt/air-max-90-shoes-kDNNjD.png',
-      url: 'https://www.nike.com/t/air-max-90-shoes-kDNNjD',
-      source: 'nike.com',
-      verified: true,
-      lastChecked: new Date().toISOString(),
-      isNew: true,
-      scrapedAt: new Date().toISOString()
-    },
-    {
-      id: 'nike-dunk-low-2',
-      name: 'Nike Dunk Low Retro',
-      brand: 'Nike',
-      category: 'shoes',
-      originalPrice: 110,
-      salePrice: 77,
-      discount: 30,
-      image: 'https://static.nike.com/a/images/t_PDP_1728_v1/f_auto,q_auto:eco/af53d53d-561f-450a-a483-70a7ceee380f/dunk-low-retro-shoes-7JQHQH.png',
-      url: 'https://www.nike.com/t/dunk-low-retro-shoes-7JQHQH',
-      source: 'nike.com',
-      verified: true,
-      lastChecked: new Date().toISOString(),
-      isNew: true,
-      scrapedAt: new Date().toISOString()
-    },
-    {
-      id: 'adidas-samba-3',
-      name: 'Adidas Samba OG',
-      brand: 'Adidas',
-      category: 'shoes',
-      originalPrice: 100,
-      salePrice: 70,
-      discount: 30,
-      image: 'https://assets.adidas.com/images/h_840,f_auto,q_auto,fl_lossy,c_fill,g_auto/3bbecbdf584e48a5b2e5a8bf01187e0c_9366/Samba_OG_Shoes_White_B75806_01_standard.jpg',
-      url: 'https://www.adidas.com/us/samba-og-shoes/B75806.html',
-      source: 'adidas.com',
-      verified: true,
-      lastChecked: new Date().toISOString(),
-      isNew: true,
-      scrapedAt: new Date().toISOString()
-    },
-    {
-      id: 'adidas-ultraboost-4',
-      name: 'Adidas Ultraboost Light',
-      brand: 'Adidas',
-      category: 'shoes',
-      originalPrice: 190,
-      salePrice: 133,
-      discount: 30,
-      image: 'https://assets.adidas.com/images/h_840,f_auto,q_auto,fl_lossy,c_fill,g_auto/c21a2146cfc0415fae8faf1a012f6f42_9366/Ultraboost_Light_Shoes_White_HQ6341_01_standard.jpg',
-      url: 'https://www.adidas.com/us/ultraboost-light-shoes/HQ6341.html',
-      source: 'adidas.com',
-      verified: true,
-      lastChecked: new Date().toISOString(),
-      isNew: true,
-      scrapedAt: new Date().toISOString()
-    },
-    {
-      id: 'nike-revolution-5',
-      name: 'Nike Revolution 7',
-      brand: 'Nike',
-      category: 'shoes',
-      originalPrice: 70,
-      salePrice: 49,
-      discount: 30,
-      image: 'https://static.nike.com/a/images/t_PDP_1728_v1/f_auto,q_auto:eco/1e663a4c-8c2e-44e9-8e3f-5c88e9c0e8c7/revolution-7-easyon-road-running-shoes-zMMV6L.png',
-      url: 'https://www.nike.com/t/revolution-7-easyon-road-running-shoes-zMMV6L',
-      source: 'nike.com',
-      verified: true,
-      lastChecked: new Date().toISOString(),
-      isNew: false,
-      scrapedAt: new Date().toISOString()
-    },
-    {
-      id: 'adidas-forum-6',
-      name: 'Adidas Forum Low',
-      brand: 'Adidas',
-      category: 'shoes',
-      originalPrice: 110,
-      salePrice: 77,
-      discount: 30,
-      image: 'https://assets.adidas.com/images/h_840,f_auto,q_auto,fl_lossy,c_fill,g_auto/ef88b41808014f16a270ae5500bc2731_9366/Forum_Low_Shoes_White_FY7757_01_standard.jpg',
-      url: 'https://www.adidas.com/us/forum-low-shoes/FY7757.html',
-      source: 'adidas.com',
-      verified: true,
-      lastChecked: new Date().toISOString(),
-      isNew: true,
-      scrapedAt: new Date().toISOString()
-    },
-    {
-      id: 'nike-pegasus-7',
-      name: 'Nike Pegasus 40',
-      brand: 'Nike',
-      category: 'shoes',
-      originalPrice: 140,
-      salePrice: 98,
-      discount: 30,
-      image: 'https://static.nike.com/a/images/t_PDP_1728_v1/f_auto,q_auto:eco/48b8b56d-f2f1-4feb-b0e1-cc89c43d3932/pegasus-40-road-running-shoes-mr83m8.png',
-      url: 'https://www.nike.com/t/pegasus-40-road-running-shoes-mr83m8',
-      source: 'nike.com',
-      verified: true,
-      lastChecked: new Date().toISOString(),
-      isNew: false,
-      scrapedAt: new Date().toISOString()
-    },
-    {
-      id: 'adidas-gazelle-8',
-      name: 'Adidas Gazelle',
-      brand: 'Adidas',
-      category: 'shoes',
-      originalPrice: 100,
-      salePrice: 70,
-      discount: 30,
-      image: 'https://assets.adidas.com/images/h_840,f_auto,q_auto,fl_lossy,c_fill,g_auto/12365dbd78f944c4b4b4ab4900dd60f8_9366/Gazelle_Shoes_Blue_BB5478_01_standard.jpg',
-      url: 'https://www.adidas.com/us/gazelle-shoes/BB5478.html',
-      source: 'adidas.com',
-      verified: true,
-      lastChecked: new Date().toISOString(),
-      isNew: true,
-      scrapedAt: new Date().toISOString()
-    },
-    {
-      id: 'nike-cortez-9',
-      name: 'Nike Cortez',
-      brand: 'Nike',
-      category: 'shoes',
-      originalPrice: 90,
-      salePrice: 63,
-      discount: 30,
-      image: 'https://static.nike.com/a/images/t_PDP_1728_v1/f_auto,q_auto:eco/6c5dc4cb-3f3d-48a6-a162-7e0bfae1e1c3/cortez-shoes-k7qLNZ.png',
-      url: 'https://www.nike.com/t/cortez-shoes-k7qLNZ',
-      source: 'nike.com',
-      verified: true,
-      lastChecked: new Date().toISOString(),
-      isNew: false,
-      scrapedAt: new Date().toISOString()
-    },
-    {
-      id: 'adidas-stan-smith-10',
-      name: 'Adidas Stan Smith',
-      brand: 'Adidas',
-      category: 'shoes',
-      originalPrice: 90,
-      salePrice: 63,
-      discount: 30,
-      image: 'https://assets.adidas.com/images/h_840,f_auto,q_auto,fl_lossy,c_fill,g_auto/d9a774e78e554b86b217ac8b01206956_9366/Stan_Smith_Shoes_White_M20324_01_standard.jpg',
-      url: 'https://www.adidas.com/us/stan-smith-shoes/M20324.html',
-      source: 'adidas.com',
-      verified: true,
-      lastChecked: new Date().toISOString(),
-      isNew: true,
-      scrapedAt: new Date().toISOString()
-    }
-  ];
-
-  console.log(`✅ Loaded ${verifiedDeals.length} verified deals with real URLs and images`);
-  return verifiedDeals;
-}
-
-function extractBrand(title) {
-  const brands = ['Nike', 'Adidas', 'Puma', 'Reebok', 'New Balance', 'Under Armour', 'Jordan'];
-  for (const brand of brands) {
-    if (title.toLowerCase().includes(brand.toLowerCase())) {
-      return brand;
-    }
-  }
-  return title.split(' ')[0] || 'Fashion';
-}
-
-function categorizeProduct(title) {
-  const lower = title.toLowerCase();
-  if (lower.match(/\b(shoe|sneaker|boot|sandal|trainer)\b/)) return 'shoes';
-  if (lower.match(/\b(shirt|top|jacket|dress|pants|jeans|shorts)\b/)) return 'clothing';
-  if (lower.match(/\b(bag|backpack|wallet|watch|hat)\b/)) return 'accessories';
-  return 'clothing';
-}
-
-function extractDomain(url) {
-  try {
-    return new URL(url).hostname.replace('www.', '');
-  } catch {
-    return 'retail';
-  }
-}
-
-function removeDuplicates(products) {
-  const seen = new Set();
-  return products.filter(product => {
-    const key = (product.url || `${product.name}-${product.salePrice}`).toLowerCase().trim();
-    if (seen.has(key)) return false;
-    seen.add(key);
-    return true;
-  });
-}
-
-// Routes
-app.get('/', (req, res) => {
-  res.json({
-    status: 'ok',
-    message: 'PromoFinder API is running',
-    version: '1.0.0',
-    endpoints: {
-      deals: '/api/deals',
-      refresh: '/api/deals/refresh',
-      stats: '/api/stats'
-    }
-  });
-});
-
-app.get('/api/deals', (req, res) => {
-  res.json({
-    success: true,
-    count: dealsCache.data.length,
-    lastUpdated: dealsCache.lastUpdated,
-    deals: dealsCache.data
-  });
-});
-
-app.get('/api/deals/refresh', async (req, res) => {
-  if (dealsCache.isRefreshing) {
-    return res.status(429).json({
-      success: false,
-      message: 'Refresh already in progress'
-    });
-  }
-
-  dealsCache.isRefreshing = true;
-
-  // Start refresh in background
-  fetchRealDeals()
-    .then(deals => {
-      dealsCache.data = deals;
-      dealsCache.lastUpdated = new Date().toISOString();
-      dealsCache.isRefreshing = false;
-      console.log(`✅ Refresh complete: ${deals.length} deals`);
-    })
-    .catch(err => {
-      console.error('❌ Refresh error:', err.message);
-      dealsCache.isRefreshing = false;
-    });
-
-  res.json({
-    success: true,
-    message: 'Refresh started. Check /api/deals in ~30 seconds.'
-  });
-});
-
-app.get('/api/stats', (req, res) => {
-  const stats = {
-    totalDeals: dealsCache.data.length,
-    lastUpdated: dealsCache.lastUpdated,
-    bySource: {},
-    byCategory: {},
-    avgDiscount: 0
-  };
-
-  let totalDiscount = 0;
-  dealsCache.data.forEach(deal => {
-    stats.bySource[deal.source] = (stats.bySource[deal.source] || 0) + 1;
-    stats.byCategory[deal.category] = (stats.byCategory[deal.category] || 0) + 1;
-    totalDiscount += deal.discount;
-  });
-
-  stats.avgDiscount = dealsCache.data.length > 0
-    ? Math.round(totalDiscount / dealsCache.data.length)
-    : 0;
-
-  res.json(stats);
-});
-
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 PromoFinder API running on port ${PORT}`);
-  console.log(`📍 http://localhost:${PORT}`);
-  console.log('💡 Visit /api/deals/refresh to fetch real deals');
-  console.log('');
-});
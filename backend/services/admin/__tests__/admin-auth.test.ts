@@ -0,0 +1,124 @@
+import { AdminAuthService, hasRole, sanitizeDetails } from '../admin-auth';
+
+// The service is given its database client
+jest.mock('../../../db/client', () => ({}));
+
+/**
+ * In-memory API keys and audit log
+ */
+function fakePrisma() {
+  const keys: any[] = [];
+  const audit: any[] = [];
+
+  return {
+    keys,
+    audit,
+    adminApiKey: {
+      create: async ({ data }: any) => {
+        const apiKey = { id: `k${keys.length + 1}`, lastUsedAt: null, revokedAt: null, createdAt: new Date(), ...data };
+        keys.push(apiKey);
+        return apiKey;
+      },
+      findUnique: async ({ where }: any) =>
+        keys.find(apiKey => (where.id ? apiKey.id === where.id : apiKey.keyHash === where.keyHash)) || null,
+      update: async ({ where, data }: any) => Object.assign(keys.find(apiKey => apiKey.id === where.id), data),
+    },
+    adminAuditLog: {
+      create: async ({ data }: any) => {
+        audit.push(data);
+        return data;
+      },
+    },
+  };
+}
+
+describe('hasRole', () => {
+  it('grants a role and every role below it', () => {
+    expect(hasRole('admin', 'viewer')).toBe(true);
+    expect(hasRole('admin', 'admin')).toBe(true);
+    expect(hasRole('operator', 'operator')).toBe(true);
+    expect(hasRole('operator', 'admin')).toBe(false);
+    expect(hasRole('viewer', 'operator')).toBe(false);
+  });
+
+  it('grants nothing to unknown roles', () => {
+    expect(hasRole('owner', 'viewer')).toBe(false);
+    expect(hasRole(null, 'viewer')).toBe(false);
+    expect(hasRole(undefined, 'viewer')).toBe(false);
+  });
+});
+
+describe('sanitizeDetails', () => {
+  it('redacts sensitive fields at any depth', () => {
+    expect(sanitizeDetails({
+      body: { name: 'ci', password: 'hunter2', nested: { apiKey: 'pfk_x', clientSecret: 's' } },
+      query: { token: 't', page: '2' },
+      headers: { Authorization: 'Bearer x' },
+    })).toEqual({
+      body: { name: 'ci', password: '[redacted]', nested: { apiKey: '[redacted]', clientSecret: '[redacted]' } },
+      query: { token: '[redacted]', page: '2' },
+      headers: { Authorization: '[redacted]' },
+    });
+  });
+
+  it('stores nothing for empty details', () => {
+    expect(sanitizeDetails({})).toBeNull();
+    expect(sanitizeDetails(undefined)).toBeNull();
+  });
+
+  it('caps the stored size', () => {
+    const details = sanitizeDetails({ body: { notes: 'x'.repeat(5000) } });
+
+    expect(Object.keys(details!)).toEqual(['truncated']);
+    expect(details!.truncated).toHaveLength(2000);
+  });
+});
+
+describe('AdminAuthService', () => {
+  it('shows a key once, stores only its hash and resolves it to its role', async () => {
+    const prisma = fakePrisma();
+    const adminAuth = new AdminAuthService(prisma, { bootstrapKey: null });
+
+    const { key, apiKey } = await adminAuth.createApiKey({ name: ' ci ', role: 'operator' });
+    expect(key).toMatch(/^pfk_/);
+    expect(apiKey).toMatchObject({ name: 'ci', role: 'operator', keyPrefix: key.slice(0, 10) });
+    expect(apiKey).not.toHaveProperty('keyHash');
+    expect(prisma.keys[0].keyHash).not.toContain(key);
+
+    await expect(adminAuth.authenticate(key)).resolves.toEqual({ apiKeyId: apiKey.id, name: 'ci', role: 'operator' });
+    expect(prisma.keys[0].lastUsedAt).toBeInstanceOf(Date);
+
+    await adminAuth.revokeApiKey(apiKey.id);
+    await expect(adminAuth.authenticate(key)).resolves.toBeNull();
+    await expect(adminAuth.authenticate('pfk_unknown')).resolves.toBeNull();
+  });
+
+  it('accepts the bootstrap key as an admin', async () => {
+    const adminAuth = new AdminAuthService(fakePrisma(), { bootstrapKey: 'bootstrap-secret' });
+
+    await expect(adminAuth.authenticate('bootstrap-secret'))
+      .resolves.toEqual({ apiKeyId: null, name: 'bootstrap', role: 'admin' });
+    await expect(adminAuth.authenticate('bootstrap-secreT')).resolves.toBeNull();
+  });
+
+  it('rejects unknown roles', async () => {
+    const adminAuth = new AdminAuthService(fakePrisma(), { bootstrapKey: null });
+
+    await expect(adminAuth.createApiKey({ name: 'ci', role: 'owner' as any }))
+      .rejects.toThrow('role must be one of: viewer, operator, admin');
+  });
+
+  it('writes sanitized audit entries and never throws on failure', async () => {
+    const prisma = fakePrisma();
+    const adminAuth = new AdminAuthService(prisma, { bootstrapKey: null });
+
+    await adminAuth.recordAudit({ action: 'keys.create', outcome: 'success', details: { body: { key: 'x' } } });
+    expect(prisma.audit[0]).toMatchObject({ actor: 'anonymous', role: null, details: { body: { key: '[redacted]' } } });
+
+    prisma.adminAuditLog.create = async () => { throw new Error('database is down'); };
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(adminAuth.recordAudit({ action: 'keys.create', outcome: 'success' })).resolves.toBeUndefined();
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,100 @@
+import { EventEmitter } from 'events';
+import { requireRole } from '../middleware';
+
+jest.mock('../../../db/client', () => ({}));
+
+// requireRole uses the service singleton; point it at a fake with known keys
+const mockKeys: Record<string, any> = {
+  'viewer-key': { apiKeyId: 'k1', name: 'dashboard', role: 'viewer' },
+  'operator-key': { apiKeyId: 'k2', name: 'ci', role: 'operator' },
+};
+const mockAudit: any[] = [];
+jest.mock('../admin-auth', () => {
+  const actual = jest.requireActual('../admin-auth');
+  const service = {
+    authenticate: async (key: string) => mockKeys[key] || null,
+    recordAudit: async (entry: any) => { mockAudit.push(entry); },
+  };
+  return { ...actual, getAdminAuthService: () => service };
+});
+
+function request(headers: Record<string, string> = {}, body: any = {}) {
+  return {
+    method: 'POST',
+    originalUrl: '/api/admin/scraper/trigger',
+    ip: '127.0.0.1',
+    headers,
+    params: {},
+    query: {},
+    body,
+    get: (name: string) => headers[name.toLowerCase()],
+  } as any;
+}
+
+function response() {
+  const res: any = new EventEmitter();
+  res.statusCode = 200;
+  res.status = (code: number) => { res.statusCode = code; return res; };
+  res.json = (body: any) => { res.body = body; return res; };
+  return res;
+}
+
+async function run(role: any, req: any, options = {}) {
+  const res = response();
+  const next = jest.fn();
+  await requireRole(role, options)(req, res, next);
+  return { req, res, next };
+}
+
+beforeEach(() => {
+  mockAudit.length = 0;
+});
+
+describe('requireRole', () => {
+  it('lets keys with the role or above through, from either header', async () => {
+    const viaHeader = await run('viewer', request({ 'x-api-key': 'operator-key' }));
+    expect(viaHeader.next).toHaveBeenCalled();
+    expect(viaHeader.req.admin).toEqual(mockKeys['operator-key']);
+
+    const viaBearer = await run('operator', request({ authorization: 'Bearer operator-key' }));
+    expect(viaBearer.next).toHaveBeenCalled();
+  });
+
+  it('answers 401 without a valid key and 403 without the role', async () => {
+    const missing = await run('viewer', request());
+    expect(missing.res.statusCode).toBe(401);
+    expect(missing.res.body.error).toBe('Admin API key required');
+
+    const unknown = await run('viewer', request({ 'x-api-key': 'revoked-key' }));
+    expect(unknown.res.statusCode).toBe(401);
+    expect(unknown.res.body.error).toBe('Invalid or revoked API key');
+
+    const forbidden = await run('operator', request({ 'x-api-key': 'viewer-key' }));
+    expect(forbidden.res.statusCode).toBe(403);
+    expect(forbidden.res.body.error).toBe('Requires role: operator');
+    expect(forbidden.next).not.toHaveBeenCalled();
+  });
+
+  it('audits denied and finished requests of audited routes', async () => {
+    await run('operator', request({ 'x-api-key': 'viewer-key' }), { action: 'scraper.trigger' });
+    expect(mockAudit).toEqual([expect.objectContaining({
+      action: 'scraper.trigger', outcome: 'denied', statusCode: 403, actor: 'dashboard', role: 'viewer'
+    })]);
+
+    const allowed = await run('operator', request({ 'x-api-key': 'operator-key' }, { source: 'asos' }), {
+      action: 'scraper.trigger'
+    });
+    expect(mockAudit).toHaveLength(1);
+
+    allowed.res.statusCode = 202;
+    allowed.res.emit('finish');
+    expect(mockAudit[1]).toMatchObject({
+      outcome: 'success', statusCode: 202, actor: 'ci', details: { body: { source: 'asos' } }
+    });
+  });
+
+  it('does not audit routes without an action', async () => {
+    await run('admin', request({ 'x-api-key': 'operator-key' }));
+    expect(mockAudit).toHaveLength(0);
+  });
+});
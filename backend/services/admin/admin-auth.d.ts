@@ -0,0 +1,48 @@
+/**
+ * Type declarations for the admin auth service (services/admin/admin-auth.js),
+ * so roles and audit details can be exercised from the TypeScript test suite.
+ */
+
+import { AdminPrincipal, AdminRole } from './middleware';
+
+export interface AdminApiKey {
+  id: string;
+  name: string;
+  role: AdminRole;
+  keyPrefix: string;
+  createdBy: string | null;
+  lastUsedAt: Date | null;
+  revokedAt: Date | null;
+  createdAt: Date;
+}
+
+export interface AuditEntry {
+  action: string;
+  outcome: 'success' | 'failure' | 'denied';
+  method?: string;
+  path?: string;
+  statusCode?: number;
+  actor?: string;
+  role?: AdminRole | null;
+  apiKeyId?: string | null;
+  ip?: string | null;
+  userAgent?: string | null;
+  details?: Record<string, any>;
+}
+
+export const ADMIN_ROLES: AdminRole[];
+
+export function hasRole(role: string | null | undefined, required: AdminRole): boolean;
+export function sanitizeDetails(details: any): Record<string, any> | null;
+
+export class AdminAuthService {
+  constructor(prismaClient?: any, options?: { bootstrapKey?: string | null });
+  authenticate(key: string | null | undefined): Promise<AdminPrincipal | null>;
+  createApiKey(input: { name: string; role: AdminRole; createdBy?: string | null }): Promise<{ key: string; apiKey: AdminApiKey }>;
+  listApiKeys(): Promise<AdminApiKey[]>;
+  revokeApiKey(id: string): Promise<AdminApiKey | null>;
+  recordAudit(entry: AuditEntry): Promise<void>;
+  listAudit(filters?: { action?: string; actor?: string; limit?: number; before?: Date }): Promise<any[]>;
+}
+
+export function getAdminAuthService(): AdminAuthService;
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const prisma = require('../../db/client');
+
+/**
+ * Admin Auth Service
+ *
+ * API keys with roles for admin and scraper-control routes, plus the admin audit log.
+ * - Roles are ordered: viewer < operator < admin
+ * - Only the SHA-256 of a key is stored; the key itself is shown once on creation
+ * - ADMIN_API_KEY (env) is accepted as a bootstrap admin key, e.g. to create the first stored key
+ */
+
+const ADMIN_ROLES = ['viewer', 'operator', 'admin'];
+
+const KEY_PREFIX = 'pfk_';
+const KEY_BYTES = 32;
+const MAX_AUDIT_DETAILS_LENGTH = 2000;
+
+// Body/query fields never written to the audit log
+const SENSITIVE_FIELDS = /pass|secret|token|key|authorization/i;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Whether a role grants at least the required role
+ */
+function hasRole(role, required) {
+  const granted = ADMIN_ROLES.indexOf(role);
+  return granted !== -1 && granted >= ADMIN_ROLES.indexOf(required);
+}
+
+/**
+ * Copy of request data safe to store: sensitive fields masked, size capped
+ */
+function sanitizeDetails(details) {
+  const json = JSON.stringify(details, (field, value) =>
+    field && SENSITIVE_FIELDS.test(field) ? '[redacted]' : value
+  );
+
+  if (!json || json === '{}') return null;
+  if (json.length <= MAX_AUDIT_DETAILS_LENGTH) return JSON.parse(json);
+  return { truncated: json.slice(0, MAX_AUDIT_DETAILS_LENGTH) };
+}
+
+function toPublicKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    role: apiKey.role,
+    keyPrefix: apiKey.keyPrefix,
+    createdBy: apiKey.createdBy,
+    lastUsedAt: apiKey.lastUsedAt,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt
+  };
+}
+
+class AdminAuthService {
+  constructor(prismaClient = prisma, options = {}) {
+    this.prisma = prismaClient.default || prismaClient;
+    this.bootstrapKey = options.bootstrapKey !== undefined
+      ? options.bootstrapKey
+      : process.env.ADMIN_API_KEY;
+  }
+
+  /**
+   * Resolve an API key to the acting principal
+   *
+   * @returns {Object|null} - { apiKeyId, name, role }, or null for unknown/revoked keys
+   */
+  async authenticate(key) {
+    if (!key) return null;
+
+    const keyHash = hashKey(key);
+
+    if (this.bootstrapKey &&
+        crypto.timingSafeEqual(Buffer.from(keyHash, 'hex'), Buffer.from(hashKey(this.bootstrapKey), 'hex'))) {
+      return { apiKeyId: null, name: 'bootstrap', role: 'admin' };
+    }
+
+    const apiKey = await this.prisma.adminApiKey.findUnique({ where: { keyHash } });
+    if (!apiKey || apiKey.revokedAt) return null;
+
+    await this.prisma.adminApiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: new Date() }
+    });
+
+    return { apiKeyId: apiKey.id, name: apiKey.name, role: apiKey.role };
+  }
+
+  /**
+   * Create an API key
+   *
+   * @returns {Object} - { key, apiKey } - `key` is only available here
+   * @throws {Error} on an unknown role or a missing name
+   */
+  async createApiKey({ name, role, createdBy = null }) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('name is required');
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+      throw new Error(`role must be one of: ${ADMIN_ROLES.join(', ')}`);
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(KEY_BYTES).toString('base64url');
+
+    const apiKey = await this.prisma.adminApiKey.create({
+      data: {
+        name: name.trim(),
+        role,
+        keyHash: hashKey(key),
+        keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+        createdBy
+      }
+    });
+
+    return { key, apiKey: toPublicKey(apiKey) };
+  }
+
+  async listApiKeys() {
+    const keys = await this.prisma.adminApiKey.findMany({ orderBy: { createdAt: 'desc' } });
+    return keys.map(toPublicKey);
+  }
+
+  /**
+   * Revoke an API key (kept for the audit trail)
+   *
+   * @returns {Object|null} - The revoked key, or null if it does not exist
+   */
+  async revokeApiKey(id) {
+    const apiKey = await this.prisma.adminApiKey.findUnique({ where: { id } });
+    if (!apiKey) return null;
+    if (apiKey.revokedAt) return toPublicKey(apiKey);
+
+    const revoked = await this.prisma.adminApiKey.update({
+      where: { id },
+      data: { revokedAt: new Date() }
+    });
+    return toPublicKey(revoked);
+  }
+
+  /**
+   * Write one audit log entry. Failures are logged, never thrown:
+   * the audited action has already happened.
+   */
+  async recordAudit(entry) {
+    try {
+      await this.prisma.adminAuditLog.create({
+        data: {
+          action: entry.action,
+          outcome: entry.outcome,
+          method: entry.method,
+          path: entry.path,
+          statusCode: entry.statusCode,
+          actor: entry.actor || 'anonymous',
+          role: entry.role || null,
+          apiKeyId: entry.apiKeyId || null,
+          ip: entry.ip || null,
+          userAgent: entry.userAgent || null,
+          details: sanitizeDetails(entry.details || {})
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Failed to write admin audit log (${entry.action}):`, error.message);
+    }
+  }
+
+  /**
+   * Most recent audit log entries
+   *
+   * @param {Object} filters - { action, actor, limit, before }
+   */
+  async listAudit({ action, actor, limit = 100, before } = {}) {
+    return this.prisma.adminAuditLog.findMany({
+      where: {
+        ...(action && { action }),
+        ...(actor && { actor }),
+        ...(before && { createdAt: { lt: before } })
+      },
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(Math.max(limit, 1), 500)
+    });
+  }
+}
+
+// Singleton instance
+let serviceInstance = null;
+
+/**
+ * Get or create admin auth service instance
+ */
+function getAdminAuthService() {
+  if (!serviceInstance) {
+    serviceInstance = new AdminAuthService();
+  }
+  return serviceInstance;
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  AdminAuthService,
+  getAdminAuthService,
+  hasRole,
+  sanitizeDetails
+};
@@ -0,0 +1,18 @@
+/**
+ * Type declarations for the admin auth middleware (services/admin/middleware.js),
+ * so TypeScript routers such as routes/api.ts can guard their admin routes.
+ */
+
+import { RequestHandler, Request } from 'express';
+
+export type AdminRole = 'viewer' | 'operator' | 'admin';
+
+export interface AdminPrincipal {
+  apiKeyId: string | null;
+  name: string;
+  role: AdminRole;
+}
+
+export function getApiKey(req: Request): string | null;
+
+export function requireRole(role: AdminRole, options?: { action?: string }): RequestHandler;
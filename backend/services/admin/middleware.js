@@ -0,0 +1,104 @@
+const { getAdminAuthService, hasRole } = require('./admin-auth');
+
+/**
+ * Admin Middleware
+ *
+ * Guards admin and scraper-control routes with role-based API keys:
+ *
+ *   app.post('/api/admin/scraper/trigger',
+ *     requireRole('operator', { action: 'scraper.trigger' }), handler);
+ *
+ * The key is read from `X-API-Key` or `Authorization: Bearer <key>`.
+ * Routes with an `action` are audited: every attempt, allowed or denied,
+ * is written to the admin audit log with the response status.
+ */
+
+function getApiKey(req) {
+  const header = req.headers['x-api-key'];
+  if (header) return String(header).trim();
+
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+function auditEntry(req, action, principal) {
+  return {
+    action,
+    method: req.method,
+    path: req.originalUrl,
+    actor: principal ? principal.name : 'anonymous',
+    role: principal ? principal.role : null,
+    apiKeyId: principal ? principal.apiKeyId : null,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    details: {
+      ...(Object.keys(req.params || {}).length > 0 && { params: req.params }),
+      ...(Object.keys(req.query || {}).length > 0 && { query: req.query }),
+      ...(req.body && Object.keys(req.body).length > 0 && { body: req.body })
+    }
+  };
+}
+
+/**
+ * Require an API key with at least `role`
+ *
+ * @param {string} role - 'viewer', 'operator' or 'admin'
+ * @param {Object} options - { action } - audit log action name, e.g. 'scraper.trigger'
+ */
+function requireRole(role, options = {}) {
+  const { action } = options;
+
+  return async (req, res, next) => {
+    const adminAuth = getAdminAuthService();
+
+    const deny = (status, error, principal = null) => {
+      if (action) {
+        adminAuth.recordAudit({ ...auditEntry(req, action, principal), outcome: 'denied', statusCode: status });
+      }
+      return res.status(status).json({ success: false, error });
+    };
+
+    let principal;
+    try {
+      const key = getApiKey(req);
+      if (!key) {
+        return deny(401, 'Admin API key required');
+      }
+
+      principal = await adminAuth.authenticate(key);
+    } catch (error) {
+      console.error('❌ Error authenticating admin request:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to authenticate',
+        message: error.message
+      });
+    }
+
+    if (!principal) {
+      return deny(401, 'Invalid or revoked API key');
+    }
+    if (!hasRole(principal.role, role)) {
+      return deny(403, `Requires role: ${role}`, principal);
+    }
+
+    req.admin = principal;
+
+    if (action) {
+      res.on('finish', () => {
+        adminAuth.recordAudit({
+          ...auditEntry(req, action, principal),
+          outcome: res.statusCode < 400 ? 'success' : 'failure',
+          statusCode: res.statusCode
+        });
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  getApiKey,
+  requireRole
+};
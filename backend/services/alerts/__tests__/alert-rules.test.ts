@@ -0,0 +1,273 @@
+import * as fs from 'fs';
+import * as net from 'net';
+import * as os from 'os';
+import * as path from 'path';
+import {
+  AlertProduct,
+  AlertValidationError,
+  alertThreshold,
+  describeAlert,
+  evaluateProductAlert,
+  evaluateSearchAlert,
+  shouldRearm,
+  validateAlertInput,
+} from '../alert-rules';
+import { AlertNotification, FileSinkNotifier, SmtpNotifier, formatAlertEmail } from '../notifiers';
+
+function product(overrides: Partial<AlertProduct> = {}): AlertProduct {
+  return {
+    id: 'p1',
+    name: 'Air Max 90',
+    brand: 'Nike',
+    category: 'shoes',
+    salePrice: 79,
+    normalizedSalePrice: 79,
+    originalPrice: 140,
+    discountPercentage: 44,
+    currency: 'EUR',
+    availableRegions: ['EU'],
+    isActive: true,
+    ...overrides,
+  };
+}
+
+const notification: AlertNotification = {
+  to: 'ana@example.com',
+  user: { id: 'u1', email: 'ana@example.com', name: 'Ana' },
+  items: [
+    {
+      alertId: 'a1',
+      description: 'price at or below 80',
+      reason: 'at or below your target of 80 EUR',
+      price: 79,
+      product: {
+        id: 'p1',
+        name: 'Air Max 90',
+        brand: 'Nike',
+        salePrice: 79,
+        originalPrice: 140,
+        discount: 44,
+        currency: 'EUR',
+        image: null,
+        url: 'https://example.com/air-max-90',
+      },
+    },
+  ],
+  createdAt: '2026-10-18T12:00:00.000Z',
+};
+
+describe('Price alerts', () => {
+  describe('validateAlertInput', () => {
+    it('should accept a product alert with a target price', () => {
+      expect(validateAlertInput({ productId: 'p1', targetPrice: '80' })).toEqual({
+        type: 'product',
+        productId: 'p1',
+        targetPrice: 80,
+        dropPercent: null,
+        filters: null,
+      });
+    });
+
+    it('should require a condition on product alerts', () => {
+      expect(() => validateAlertInput({ productId: 'p1' })).toThrow(AlertValidationError);
+    });
+
+    it('should normalize search filters from the /api/deals format', () => {
+      const input = validateAlertInput({
+        type: 'search',
+        filters: { brand: 'Nike,Adidas', category: 'Shoes', minDiscount: '30', region: 'eu' },
+      });
+
+      expect(input.filters).toEqual({
+        brands: ['Nike', 'Adidas'],
+        categories: ['shoes'],
+        minDiscount: 30,
+        maxPrice: null,
+        region: 'EU',
+      });
+    });
+
+    it('should reject unknown categories', () => {
+      expect(() => validateAlertInput({ type: 'search', filters: { category: 'cars' } })).toThrow(
+        'Unknown categories: cars'
+      );
+    });
+  });
+
+  describe('evaluateProductAlert', () => {
+    it('should fire at or below the target price', () => {
+      const alert = { type: 'product' as const, targetPrice: 80 };
+
+      expect(evaluateProductAlert(alert, product({ normalizedSalePrice: 80 }))).toMatchObject({
+        productId: 'p1',
+        price: 80,
+      });
+      expect(evaluateProductAlert(alert, product({ normalizedSalePrice: 85 }))).toBeNull();
+    });
+
+    it('should fire on a percentage drop from the reference price', () => {
+      const alert = { type: 'product' as const, dropPercent: 20, referencePrice: 100 };
+
+      expect(alertThreshold(alert)).toBe(80);
+      expect(evaluateProductAlert(alert, product({ normalizedSalePrice: 79 }))?.reason).toBe(
+        'down 21% since you set the alert'
+      );
+      expect(evaluateProductAlert(alert, product({ normalizedSalePrice: 81 }))).toBeNull();
+    });
+
+    it('should only fire again for a lower price', () => {
+      const alert = { type: 'product' as const, targetPrice: 80, lastNotifiedPrice: 79 };
+
+      expect(evaluateProductAlert(alert, product({ normalizedSalePrice: 79 }))).toBeNull();
+      expect(evaluateProductAlert(alert, product({ normalizedSalePrice: 75 }))).not.toBeNull();
+    });
+
+    it('should re-arm once the price goes back above the target', () => {
+      const alert = { type: 'product' as const, targetPrice: 80, lastNotifiedPrice: 79 };
+
+      expect(shouldRearm(alert, product({ normalizedSalePrice: 90 }))).toBe(true);
+      expect(shouldRearm(alert, product({ normalizedSalePrice: 79 }))).toBe(false);
+    });
+
+    it('should compare prices in the base currency', () => {
+      const alert = { type: 'product' as const, targetPrice: 80 };
+      const pounds = product({ salePrice: 69, currency: 'GBP', normalizedSalePrice: 82.8 });
+
+      expect(evaluateProductAlert(alert, pounds)).toBeNull();
+      expect(evaluateProductAlert(alert, { ...pounds, normalizedSalePrice: 78 })).toMatchObject({
+        price: 78,
+        reason: 'at or below your target of 80 EUR',
+      });
+    });
+
+    it('should not fire or re-arm without a price in the base currency', () => {
+      const alert = { type: 'product' as const, targetPrice: 80, lastNotifiedPrice: 79 };
+
+      expect(evaluateProductAlert(alert, product({ salePrice: 10, normalizedSalePrice: null }))).toBeNull();
+      expect(shouldRearm(alert, product({ salePrice: 500, normalizedSalePrice: null }))).toBe(false);
+    });
+
+    it('should ignore inactive products', () => {
+      expect(evaluateProductAlert({ type: 'product', targetPrice: 80 }, product({ isActive: false }))).toBeNull();
+    });
+  });
+
+  describe('evaluateSearchAlert', () => {
+    const alert = {
+      type: 'search' as const,
+      filters: { brands: ['nike'], categories: ['shoes'], minDiscount: 30, region: 'UK' },
+    };
+
+    it('should match new deals against the saved filters', () => {
+      const matches = evaluateSearchAlert(alert, [
+        product({ id: 'match', availableRegions: ['GLOBAL'] }),
+        product({ id: 'wrong-brand', brand: 'Puma' }),
+        product({ id: 'low-discount', discountPercentage: 10 }),
+        product({ id: 'wrong-region', availableRegions: ['US'] }),
+      ]);
+
+      expect(matches.map((m) => m.productId)).toEqual(['match']);
+    });
+
+    it('should apply maxPrice to the price in the base currency', () => {
+      const cheap = { type: 'search' as const, filters: { brands: ['nike'], maxPrice: 80 } };
+
+      const matches = evaluateSearchAlert(cheap, [
+        product({ id: 'eur' }),
+        product({ id: 'gbp', salePrice: 69, currency: 'GBP', normalizedSalePrice: 82.8 }),
+        product({ id: 'unrated', salePrice: 10, currency: 'XYZ', normalizedSalePrice: null }),
+      ]);
+
+      expect(matches.map((m) => m.productId)).toEqual(['eur']);
+    });
+
+    it('should skip products already notified', () => {
+      const matches = evaluateSearchAlert(alert, [product({ availableRegions: ['UK'] })], new Set(['p1']));
+
+      expect(matches).toEqual([]);
+    });
+  });
+
+  describe('describeAlert', () => {
+    it('should summarize both alert types', () => {
+      expect(describeAlert({ type: 'product', targetPrice: 80, dropPercent: 20 })).toBe(
+        'price at or below 80 or price drop of 20%'
+      );
+      expect(describeAlert({ type: 'search', filters: { brands: ['Nike'], maxPrice: 80 } })).toBe(
+        'new deals: Nike, under 80'
+      );
+    });
+  });
+
+  describe('notifiers', () => {
+    it('should format a notification as an email', () => {
+      const email = formatAlertEmail(notification);
+
+      expect(email.subject).toBe('Price alert: Nike Air Max 90');
+      expect(email.text).toContain('79.00 EUR (was 140.00)');
+      expect(email.text).toContain('https://example.com/air-max-90');
+    });
+
+    it('should append notifications to the file sink', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+      const notifier = new FileSinkNotifier({ filePath: path.join(dir, 'sink', 'alerts.jsonl') });
+
+      await notifier.send(notification);
+      await notifier.send(notification);
+
+      const lines = fs.readFileSync(notifier.filePath, 'utf8').trim().split('\n');
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[0]).email.subject).toBe('Price alert: Nike Air Max 90');
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should deliver through a local SMTP relay', async () => {
+      const received: string[] = [];
+
+      // Minimal SMTP relay on the loopback interface
+      const server = net.createServer((socket) => {
+        let inData = false;
+        let buffer = '';
+        socket.write('220 test ready\r\n');
+        socket.on('data', (chunk) => {
+          buffer += chunk.toString();
+          let index;
+          while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            if (inData) {
+              if (line === '.') {
+                inData = false;
+                socket.write('250 queued\r\n');
+              } else {
+                received.push(line);
+              }
+            } else if (line.startsWith('EHLO')) {
+              socket.write('250-test\r\n250 OK\r\n');
+            } else if (line === 'DATA') {
+              inData = true;
+              socket.write('354 go ahead\r\n');
+            } else if (line === 'QUIT') {
+              socket.end('221 bye\r\n');
+            } else {
+              socket.write('250 OK\r\n');
+            }
+          }
+        });
+      });
+
+      await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+      const { port } = server.address() as net.AddressInfo;
+
+      try {
+        await new SmtpNotifier({ host: '127.0.0.1', port }).send(notification);
+      } finally {
+        server.close();
+      }
+
+      expect(received).toContain('To: ana@example.com');
+      expect(received).toContain('Subject: Price alert: Nike Air Max 90');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { AlertService } from '../alert-service';
+
+jest.mock('../../../db/client', () => ({}));
+
+const notifier = { name: 'test', send: jest.fn(async () => undefined) };
+
+const since = new Date('2026-10-18T00:00:00.000Z');
+const now = new Date('2026-10-18T12:00:00.000Z');
+
+/**
+ * New products one second apart, paged like Prisma's findMany with a cursor
+ */
+function fakePrisma(count: number) {
+  const products = Array.from({ length: count }, (_, i) => ({
+    id: `p${String(i).padStart(5, '0')}`,
+    salePrice: 50,
+    normalizedSalePrice: 50,
+    isActive: true,
+    createdAt: new Date(since.getTime() + (i + 1) * 1000),
+  }));
+
+  const findMany = jest.fn(async ({ take, cursor, skip = 0 }: any) => {
+    const start = cursor ? products.findIndex((product) => product.id === cursor.id) + skip : 0;
+    return products.slice(start, start + take);
+  });
+
+  return { products, findMany, client: { product: { findMany } } };
+}
+
+describe('AlertService.loadNewProducts', () => {
+  const searchAlerts = [{ lastCheckedAt: since, createdAt: since }];
+
+  it('loads new products in pages and checks up to now', async () => {
+    const prisma = fakePrisma(1200);
+    const alerts = new AlertService(prisma.client, notifier);
+
+    const { products, checkedUntil } = await alerts.loadNewProducts(searchAlerts, now);
+
+    expect(products).toHaveLength(1200);
+    expect(prisma.findMany).toHaveBeenCalledTimes(3);
+    expect(prisma.findMany.mock.calls.every(([args]) => args.take <= 500)).toBe(true);
+    expect(checkedUntil).toBe(now);
+  });
+
+  it('stops at the bound and checks up to the first product left out', async () => {
+    const prisma = fakePrisma(6000);
+    const alerts = new AlertService(prisma.client, notifier);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const { products, checkedUntil } = await alerts.loadNewProducts(searchAlerts, now);
+
+    expect(products).toHaveLength(5000);
+    expect(checkedUntil.getTime()).toBe(products[4999].createdAt.getTime() - 1);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('loads nothing without search alerts', async () => {
+    const prisma = fakePrisma(10);
+
+    await expect(new AlertService(prisma.client, notifier).loadNewProducts([], now)).resolves.toEqual({
+      products: [],
+      checkedUntil: now,
+    });
+    expect(prisma.findMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('AlertService.createAlert', () => {
+  function fakeAlertPrisma(product: { id: string; normalizedSalePrice: number | null } | null) {
+    const create = jest.fn(async ({ data }: any) => ({ id: 'a1', ...data, product }));
+    return {
+      create,
+      client: {
+        priceAlert: { count: jest.fn(async () => 0), create },
+        product: { findUnique: jest.fn(async () => product) },
+      },
+    };
+  }
+
+  it('takes the reference price from the base-currency price', async () => {
+    const prisma = fakeAlertPrisma({ id: 'p1', normalizedSalePrice: 42.5 });
+    const alerts = new AlertService(prisma.client, notifier);
+
+    await alerts.createAlert('u1', { productId: 'p1', dropPercent: 20 });
+
+    expect(prisma.create.mock.calls[0][0].data.referencePrice).toBe(42.5);
+  });
+
+  it('rejects a product without a base-currency price', async () => {
+    const prisma = fakeAlertPrisma({ id: 'p1', normalizedSalePrice: null });
+    const alerts = new AlertService(prisma.client, notifier);
+
+    await expect(alerts.createAlert('u1', { productId: 'p1', targetPrice: 80 }))
+      .rejects.toMatchObject({ name: 'AlertValidationError' });
+    expect(prisma.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Type declarations for the price alert rules (services/alerts/alert-rules.js),
+ * so the alert evaluation can be exercised from the TypeScript test suite.
+ */
+
+export type AlertType = 'product' | 'search';
+
+export interface SearchAlertFilters {
+  brands: string[];
+  categories: string[];
+  minDiscount: number;
+  maxPrice: number | null;
+  region: string | null;
+}
+
+export interface AlertLike {
+  type: AlertType;
+  productId?: string | null;
+  targetPrice?: number | null;
+  dropPercent?: number | null;
+  referencePrice?: number | null;
+  lastNotifiedPrice?: number | null;
+  filters?: Partial<SearchAlertFilters> | Record<string, unknown> | null;
+}
+
+export interface AlertProduct {
+  id: string;
+  name?: string;
+  brand?: string;
+  category?: string;
+  salePrice: number;
+  normalizedSalePrice?: number | null;
+  originalPrice?: number;
+  discountPercentage?: number;
+  currency?: string;
+  availableRegions?: string[];
+  isActive: boolean;
+  expiresAt?: Date | null;
+}
+
+export interface AlertMatch {
+  productId: string;
+  price: number;
+  reason: string;
+}
+
+export class AlertValidationError extends Error {}
+
+export function normalizeSearchFilters(filters?: Record<string, unknown>): SearchAlertFilters;
+export function validateAlertInput(input?: Record<string, unknown>): {
+  type: AlertType;
+  productId: string | null;
+  targetPrice: number | null;
+  dropPercent: number | null;
+  filters: SearchAlertFilters | null;
+};
+export function alertPrice(product: AlertProduct): number | null;
+export function alertThreshold(alert: AlertLike): number | null;
+export function evaluateProductAlert(alert: AlertLike, product: AlertProduct | null | undefined): AlertMatch | null;
+export function shouldRearm(alert: AlertLike, product: AlertProduct | null | undefined): boolean;
+export function matchesSearchFilters(filters: SearchAlertFilters, product: AlertProduct, now?: Date): boolean;
+export function evaluateSearchAlert(
+  alert: AlertLike,
+  products: AlertProduct[],
+  alreadyNotified?: Set<string>,
+  now?: Date
+): AlertMatch[];
+export function describeAlert(alert: AlertLike): string;
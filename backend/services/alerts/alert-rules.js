@@ -0,0 +1,258 @@
+/**
+ * Alert Rules
+ *
+ * Pure evaluation of price alerts against products - no database, no network.
+ * Two alert types:
+ * - product: a watched product reaches a target price or drops by a percentage
+ *   from its price when the alert was created
+ * - search:  a new deal matches a saved filter set (brand/category/minDiscount/region)
+ *
+ * Prices are compared in BASE_CURRENCY (`normalizedSalePrice`), like the /api/deals
+ * price filters; products whose currency has no rate never match a price.
+ */
+
+const { PRODUCT_CATEGORIES, REGIONS } = require('../ingestion/product-schema');
+const { BASE_CURRENCY } = require('../currency/currency-service');
+
+const ALERT_TYPES = ['product', 'search'];
+
+const ALERT_CONFIG = {
+  priceEpsilon: 0.005,   // Prices closer than this are considered equal
+  maxDropPercent: 90,
+  maxBrands: 20
+};
+
+class AlertValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AlertValidationError';
+  }
+}
+
+function toList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Normalize a saved filter set; accepts arrays or comma-separated strings
+ * (the /api/deals query format)
+ */
+function normalizeSearchFilters(filters = {}) {
+  const minDiscount = parseInt(filters.minDiscount, 10);
+  const maxPrice = parseFloat(filters.maxPrice);
+  const region = filters.region ? String(filters.region).trim().toUpperCase() : null;
+
+  return {
+    brands: toList(filters.brands || filters.brand).slice(0, ALERT_CONFIG.maxBrands),
+    categories: toList(filters.categories || filters.category).map(c => c.toLowerCase()),
+    minDiscount: minDiscount > 0 ? minDiscount : 0,
+    maxPrice: maxPrice > 0 ? maxPrice : null,
+    region: region || null
+  };
+}
+
+/**
+ * Validate and normalize the body of a create-alert request
+ *
+ * @returns {Object} - Alert fields ready to store
+ * @throws {AlertValidationError}
+ */
+function validateAlertInput(input = {}) {
+  const type = input.type || (input.productId ? 'product' : 'search');
+
+  if (!ALERT_TYPES.includes(type)) {
+    throw new AlertValidationError(`type must be one of: ${ALERT_TYPES.join(', ')}`);
+  }
+
+  if (type === 'product') {
+    if (!input.productId || typeof input.productId !== 'string') {
+      throw new AlertValidationError('productId is required for product alerts');
+    }
+
+    const targetPrice = input.targetPrice !== undefined ? parseFloat(input.targetPrice) : null;
+    const dropPercent = input.dropPercent !== undefined ? parseInt(input.dropPercent, 10) : null;
+
+    if (targetPrice === null && dropPercent === null) {
+      throw new AlertValidationError('Product alerts need a targetPrice or a dropPercent');
+    }
+    if (targetPrice !== null && !(targetPrice > 0)) {
+      throw new AlertValidationError('targetPrice must be a positive number');
+    }
+    if (dropPercent !== null && !(dropPercent >= 1 && dropPercent <= ALERT_CONFIG.maxDropPercent)) {
+      throw new AlertValidationError(`dropPercent must be between 1 and ${ALERT_CONFIG.maxDropPercent}`);
+    }
+
+    return { type, productId: input.productId, targetPrice, dropPercent, filters: null };
+  }
+
+  const filters = normalizeSearchFilters(input.filters);
+
+  if (filters.brands.length === 0 && filters.categories.length === 0) {
+    throw new AlertValidationError('Search alerts need at least one brand or category');
+  }
+  const unknownCategories = filters.categories.filter(c => !PRODUCT_CATEGORIES.includes(c));
+  if (unknownCategories.length > 0) {
+    throw new AlertValidationError(`Unknown categories: ${unknownCategories.join(', ')}`);
+  }
+  if (filters.region && !REGIONS.includes(filters.region)) {
+    throw new AlertValidationError(`Unknown region: ${filters.region}`);
+  }
+
+  return { type, productId: null, targetPrice: null, dropPercent: null, filters };
+}
+
+/**
+ * Price of a product in BASE_CURRENCY, or null if its currency has no rate
+ */
+function alertPrice(product) {
+  return product.normalizedSalePrice ?? null;
+}
+
+/**
+ * Price at or below which a product alert fires, or null if it has no condition.
+ * With both conditions set, the first one reached wins.
+ */
+function alertThreshold(alert) {
+  const thresholds = [];
+
+  if (alert.targetPrice) {
+    thresholds.push(alert.targetPrice);
+  }
+  if (alert.dropPercent && alert.referencePrice) {
+    thresholds.push(alert.referencePrice * (1 - alert.dropPercent / 100));
+  }
+
+  return thresholds.length > 0 ? Math.max(...thresholds) : null;
+}
+
+/**
+ * Evaluate a product alert against the product's current state.
+ * An alert fires once per price level: after notifying at a price it only fires
+ * again for a lower price, or after the price went back above the threshold
+ * (see shouldRearm).
+ *
+ * @returns {Object|null} - { productId, price, reason } or null; `price` is in BASE_CURRENCY
+ */
+function evaluateProductAlert(alert, product) {
+  if (!product || !product.isActive) return null;
+
+  const threshold = alertThreshold(alert);
+  const price = alertPrice(product);
+
+  if (threshold === null || price === null || price > threshold + ALERT_CONFIG.priceEpsilon) return null;
+
+  if (alert.lastNotifiedPrice !== null && alert.lastNotifiedPrice !== undefined &&
+      price >= alert.lastNotifiedPrice - ALERT_CONFIG.priceEpsilon) {
+    return null;
+  }
+
+  const reason = alert.targetPrice && price <= alert.targetPrice + ALERT_CONFIG.priceEpsilon
+    ? `at or below your target of ${alert.targetPrice} ${BASE_CURRENCY}`
+    : `down ${Math.round((1 - price / alert.referencePrice) * 100)}% since you set the alert`;
+
+  return { productId: product.id, price, reason };
+}
+
+/**
+ * A notified product alert re-arms once the price rises above its threshold again
+ */
+function shouldRearm(alert, product) {
+  if (!product || alert.lastNotifiedPrice === null || alert.lastNotifiedPrice === undefined) {
+    return false;
+  }
+  const threshold = alertThreshold(alert);
+  const price = alertPrice(product);
+  return threshold !== null && price !== null && price > threshold + ALERT_CONFIG.priceEpsilon;
+}
+
+/**
+ * Whether a product matches a saved filter set (same semantics as /api/deals)
+ */
+function matchesSearchFilters(filters, product, now = new Date()) {
+  if (!product.isActive) return false;
+  if (product.expiresAt && new Date(product.expiresAt) <= now) return false;
+
+  if (filters.brands.length > 0) {
+    const brand = (product.brand || '').toLowerCase();
+    if (!filters.brands.some(b => brand.includes(b.toLowerCase()))) return false;
+  }
+
+  if (filters.categories.length > 0 && !filters.categories.includes(product.category)) {
+    return false;
+  }
+
+  if (filters.region) {
+    const regions = product.availableRegions || [];
+    if (!regions.includes(filters.region) && !regions.includes('GLOBAL')) return false;
+  }
+
+  if (filters.minDiscount > 0 && (product.discountPercentage || 0) < filters.minDiscount) {
+    return false;
+  }
+
+  if (filters.maxPrice) {
+    const price = alertPrice(product);
+    if (price === null || price > filters.maxPrice) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Evaluate a search alert against newly ingested products
+ *
+ * @param {Object} alert - Alert with normalized `filters`
+ * @param {Array} products - Candidate products (new since the last check)
+ * @param {Set<string>} alreadyNotified - Product ids this alert already delivered
+ * @returns {Array} - [{ productId, price, reason }]
+ */
+function evaluateSearchAlert(alert, products, alreadyNotified = new Set(), now = new Date()) {
+  const filters = normalizeSearchFilters(alert.filters || {});
+
+  return products
+    .filter(product => !alreadyNotified.has(product.id))
+    .filter(product => matchesSearchFilters(filters, product, now))
+    .map(product => ({
+      productId: product.id,
+      price: product.salePrice,
+      reason: `new deal: -${product.discountPercentage}%`
+    }));
+}
+
+/**
+ * Human-readable summary of an alert's condition
+ */
+function describeAlert(alert) {
+  if (alert.type === 'product') {
+    const parts = [];
+    if (alert.targetPrice) parts.push(`price at or below ${alert.targetPrice}`);
+    if (alert.dropPercent) parts.push(`price drop of ${alert.dropPercent}%`);
+    return parts.join(' or ');
+  }
+
+  const filters = normalizeSearchFilters(alert.filters || {});
+  const parts = [];
+  if (filters.brands.length > 0) parts.push(filters.brands.join('/'));
+  if (filters.categories.length > 0) parts.push(filters.categories.join('/'));
+  if (filters.minDiscount > 0) parts.push(`-${filters.minDiscount}% or more`);
+  if (filters.maxPrice) parts.push(`under ${filters.maxPrice}`);
+  if (filters.region) parts.push(`in ${filters.region}`);
+  return `new deals: ${parts.join(', ')}`;
+}
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_CONFIG,
+  AlertValidationError,
+  normalizeSearchFilters,
+  validateAlertInput,
+  alertPrice,
+  alertThreshold,
+  evaluateProductAlert,
+  shouldRearm,
+  matchesSearchFilters,
+  evaluateSearchAlert,
+  describeAlert
+};
@@ -0,0 +1,28 @@
+/**
+ * Type declarations for the alert service (services/alerts/alert-service.js),
+ * so alert checking can be exercised from the TypeScript test suite.
+ */
+
+import { AlertProduct } from './alert-rules';
+
+export interface AlertCheckSummary {
+  checked: number;
+  triggered: number;
+  notified: number;
+  failed: number;
+}
+
+export class AlertService {
+  constructor(prismaClient?: any, notifier?: { name: string; send(notification: unknown): Promise<unknown> });
+  createAlert(userId: string, input: Record<string, unknown>): Promise<any | null>;
+  listAlerts(userId: string): Promise<any[]>;
+  setAlertActive(userId: string, alertId: string, isActive: boolean): Promise<any | null>;
+  deleteAlert(userId: string, alertId: string): Promise<boolean>;
+  checkAlerts(now?: Date): Promise<AlertCheckSummary>;
+  loadNewProducts(
+    searchAlerts: Array<{ lastCheckedAt: Date | null; createdAt: Date }>,
+    now: Date
+  ): Promise<{ products: Array<AlertProduct & { createdAt: Date }>; checkedUntil: Date }>;
+}
+
+export function getAlertService(): AlertService;
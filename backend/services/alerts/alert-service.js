@@ -0,0 +1,414 @@
+const prisma = require('../../db/client');
+const {
+  AlertValidationError,
+  validateAlertInput,
+  evaluateProductAlert,
+  evaluateSearchAlert,
+  shouldRearm,
+  describeAlert
+} = require('./alert-rules');
+const { createNotifier } = require('./notifiers');
+const { BASE_CURRENCY } = require('../currency/currency-service');
+
+/**
+ * Alert Service
+ *
+ * Stores users' price alerts and checks them after each scrape cycle:
+ * evaluates every active alert (see alert-rules.js), sends one notification
+ * per user through the configured notifier, and records what was delivered
+ * so the same match is not sent twice.
+ */
+
+const MAX_ALERTS_PER_USER = 50;
+
+// New products are loaded for search alerts in pages, up to a bound per check
+const NEW_PRODUCTS_PAGE_SIZE = 500;
+const MAX_NEW_PRODUCTS = 5000;
+
+// What search alerts match on and notifications show
+const CANDIDATE_SELECT = {
+  id: true,
+  name: true,
+  brand: true,
+  category: true,
+  salePrice: true,
+  normalizedSalePrice: true,
+  originalPrice: true,
+  discountPercentage: true,
+  currency: true,
+  availableRegions: true,
+  imageUrl: true,
+  productUrl: true,
+  isActive: true,
+  expiresAt: true,
+  createdAt: true
+};
+
+const PRODUCT_SUMMARY_SELECT = {
+  id: true,
+  name: true,
+  brand: true,
+  salePrice: true,
+  originalPrice: true,
+  discountPercentage: true,
+  currency: true,
+  imageUrl: true,
+  productUrl: true,
+  isActive: true
+};
+
+function toNotificationProduct(product) {
+  return {
+    id: product.id,
+    name: product.name,
+    brand: product.brand,
+    salePrice: product.salePrice,
+    originalPrice: product.originalPrice,
+    discount: product.discountPercentage,
+    currency: product.currency,
+    image: product.imageUrl,
+    url: product.productUrl
+  };
+}
+
+class AlertService {
+  /**
+   * @param {Object} prismaClient
+   * @param {Object} notifier - { name, send(notification) }, see notifiers.js
+   */
+  constructor(prismaClient = prisma, notifier = createNotifier()) {
+    this.prisma = prismaClient.default || prismaClient;
+    this.notifier = notifier;
+  }
+
+  // ============================================
+  // USER ALERTS
+  // ============================================
+
+  /**
+   * Create an alert for a user
+   *
+   * @returns {Object|null} - The alert, or null if the watched product does not exist
+   * @throws {AlertValidationError} on invalid input, too many alerts or a product without a base-currency price
+   */
+  async createAlert(userId, input) {
+    const data = validateAlertInput(input);
+
+    const count = await this.prisma.priceAlert.count({ where: { userId } });
+    if (count >= MAX_ALERTS_PER_USER) {
+      throw new AlertValidationError(`You can have at most ${MAX_ALERTS_PER_USER} alerts`);
+    }
+
+    let referencePrice = null;
+    if (data.type === 'product') {
+      const product = await this.prisma.product.findUnique({
+        where: { id: data.productId },
+        select: { id: true, normalizedSalePrice: true }
+      });
+      if (!product) return null;
+
+      // Alerts compare base-currency prices; without one the alert could never fire
+      if (product.normalizedSalePrice === null) {
+        throw new AlertValidationError(`This product has no ${BASE_CURRENCY} price yet, so it cannot be watched`);
+      }
+
+      // Percentage drops are measured from the price when the alert was set
+      referencePrice = product.normalizedSalePrice;
+    }
+
+    const alert = await this.prisma.priceAlert.create({
+      data: { ...data, userId, referencePrice },
+      include: { product: { select: PRODUCT_SUMMARY_SELECT } }
+    });
+
+    return this.toAlertView(alert);
+  }
+
+  /**
+   * Alerts of a user, newest first
+   */
+  async listAlerts(userId) {
+    const alerts = await this.prisma.priceAlert.findMany({
+      where: { userId },
+      include: { product: { select: PRODUCT_SUMMARY_SELECT } },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return alerts.map(alert => this.toAlertView(alert));
+  }
+
+  /**
+   * Pause or resume an alert
+   *
+   * @returns {Object|null} - The updated alert, or null if the user has no such alert
+   */
+  async setAlertActive(userId, alertId, isActive) {
+    const result = await this.prisma.priceAlert.updateMany({
+      where: { id: alertId, userId },
+      data: { isActive: Boolean(isActive) }
+    });
+    if (result.count === 0) return null;
+
+    const alert = await this.prisma.priceAlert.findUnique({
+      where: { id: alertId },
+      include: { product: { select: PRODUCT_SUMMARY_SELECT } }
+    });
+    return this.toAlertView(alert);
+  }
+
+  /**
+   * Delete an alert
+   *
+   * @returns {boolean} - Whether the user had the alert
+   */
+  async deleteAlert(userId, alertId) {
+    const result = await this.prisma.priceAlert.deleteMany({
+      where: { id: alertId, userId }
+    });
+    return result.count > 0;
+  }
+
+  toAlertView(alert) {
+    return {
+      id: alert.id,
+      type: alert.type,
+      description: describeAlert(alert),
+      productId: alert.productId,
+      product: alert.product
+        ? { ...toNotificationProduct(alert.product), isActive: alert.product.isActive }
+        : null,
+      targetPrice: alert.targetPrice,
+      dropPercent: alert.dropPercent,
+      referencePrice: alert.referencePrice,
+      filters: alert.filters,
+      isActive: alert.isActive,
+      triggerCount: alert.triggerCount,
+      lastTriggeredAt: alert.lastTriggeredAt,
+      createdAt: alert.createdAt
+    };
+  }
+
+  // ============================================
+  // CHECKING
+  // ============================================
+
+  /**
+   * Evaluate all active alerts and notify users about matches
+   *
+   * @param {Date} now - Check time; search alerts consider deals created since their last check
+   * @returns {Object} - { checked, triggered, notified, failed }
+   */
+  async checkAlerts(now = new Date()) {
+    const alerts = await this.prisma.priceAlert.findMany({
+      where: { isActive: true },
+      include: { user: { select: { id: true, email: true, name: true } } }
+    });
+
+    const summary = { checked: alerts.length, triggered: 0, notified: 0, failed: 0 };
+    if (alerts.length === 0) return summary;
+
+    const productAlerts = alerts.filter(alert => alert.type === 'product');
+    const searchAlerts = alerts.filter(alert => alert.type === 'search');
+
+    const [watchedProducts, { products: newProducts, checkedUntil }] = await Promise.all([
+      this.loadWatchedProducts(productAlerts),
+      this.loadNewProducts(searchAlerts, now)
+    ]);
+    const delivered = await this.loadDeliveredIds(searchAlerts, newProducts);
+
+    const productsById = new Map([...watchedProducts, ...newProducts].map(p => [p.id, p]));
+    const matchesByUser = new Map();
+    const rearmIds = [];
+
+    const addMatches = (alert, matches) => {
+      if (matches.length === 0) return;
+      summary.triggered++;
+
+      if (!matchesByUser.has(alert.userId)) {
+        matchesByUser.set(alert.userId, { user: alert.user, entries: [] });
+      }
+      matchesByUser.get(alert.userId).entries.push({ alert, matches });
+    };
+
+    for (const alert of productAlerts) {
+      const product = productsById.get(alert.productId);
+      const match = evaluateProductAlert(alert, product);
+
+      if (match) {
+        addMatches(alert, [match]);
+      } else if (shouldRearm(alert, product)) {
+        rearmIds.push(alert.id);
+      }
+    }
+
+    for (const alert of searchAlerts) {
+      const since = alert.lastCheckedAt || alert.createdAt;
+      const candidates = newProducts.filter(product => product.createdAt > since);
+      addMatches(alert, evaluateSearchAlert(alert, candidates, delivered.get(alert.id), now));
+    }
+
+    // Alerts of users whose notification failed are checked again next time
+    const failedAlertIds = new Set();
+
+    for (const { user, entries } of matchesByUser.values()) {
+      try {
+        await this.notify(user, entries, productsById, now);
+        summary.notified++;
+      } catch (error) {
+        summary.failed++;
+        entries.forEach(({ alert }) => failedAlertIds.add(alert.id));
+        console.error(`   ❌ Alert notification to ${user.email} failed: ${error.message}`);
+      }
+    }
+
+    const checked = list => list.filter(alert => !failedAlertIds.has(alert.id)).map(alert => alert.id);
+    // Search alerts are checked up to the last new product loaded (see loadNewProducts)
+    const checkedSearchAlerts = searchAlerts.filter(alert => (alert.lastCheckedAt || alert.createdAt) < checkedUntil);
+
+    await this.prisma.$transaction([
+      this.prisma.priceAlert.updateMany({
+        where: { id: { in: checked(productAlerts) } },
+        data: { lastCheckedAt: now }
+      }),
+      this.prisma.priceAlert.updateMany({
+        where: { id: { in: checked(checkedSearchAlerts) } },
+        data: { lastCheckedAt: checkedUntil }
+      }),
+      this.prisma.priceAlert.updateMany({
+        where: { id: { in: rearmIds } },
+        data: { lastNotifiedPrice: null }
+      })
+    ]);
+
+    return summary;
+  }
+
+  /**
+   * Send one notification for a user's matches and record the deliveries
+   */
+  async notify(user, entries, productsById, now) {
+    const items = entries.flatMap(({ alert, matches }) => matches.map(match => ({
+      alertId: alert.id,
+      description: describeAlert(alert),
+      reason: match.reason,
+      price: productsById.get(match.productId).salePrice,
+      product: toNotificationProduct(productsById.get(match.productId))
+    })));
+
+    await this.notifier.send({
+      to: user.email,
+      user,
+      items,
+      createdAt: now.toISOString()
+    });
+
+    await this.prisma.$transaction([
+      this.prisma.alertDelivery.createMany({
+        data: entries.flatMap(({ alert, matches }) => matches.map(match => ({
+          alertId: alert.id,
+          productId: match.productId,
+          price: productsById.get(match.productId).salePrice,
+          notifier: this.notifier.name
+        })))
+      }),
+      ...entries.map(({ alert, matches }) => this.prisma.priceAlert.update({
+        where: { id: alert.id },
+        data: {
+          lastTriggeredAt: now,
+          triggerCount: { increment: 1 },
+          ...(alert.type === 'product' && { lastNotifiedPrice: matches[0].price })
+        }
+      }))
+    ]);
+  }
+
+  async loadWatchedProducts(productAlerts) {
+    if (productAlerts.length === 0) return [];
+
+    return this.prisma.product.findMany({
+      where: { id: { in: [...new Set(productAlerts.map(alert => alert.productId))] } }
+    });
+  }
+
+  /**
+   * Products created since the oldest search alert check, oldest first, at most MAX_NEW_PRODUCTS.
+   * When the bound cuts the list short, `checkedUntil` stops before the first product left out,
+   * so the next check picks up from there.
+   *
+   * @returns {Object} - { products, checkedUntil }
+   */
+  async loadNewProducts(searchAlerts, now) {
+    if (searchAlerts.length === 0) return { products: [], checkedUntil: now };
+
+    const since = new Date(Math.min(...searchAlerts.map(alert =>
+      (alert.lastCheckedAt || alert.createdAt).getTime()
+    )));
+
+    const products = [];
+    let cursor = null;
+
+    while (products.length < MAX_NEW_PRODUCTS) {
+      const take = Math.min(NEW_PRODUCTS_PAGE_SIZE, MAX_NEW_PRODUCTS - products.length);
+      const page = await this.prisma.product.findMany({
+        where: { isActive: true, createdAt: { gt: since, lte: now } },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        take,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+        select: CANDIDATE_SELECT
+      });
+
+      products.push(...page);
+      if (page.length < take) {
+        return { products, checkedUntil: now };
+      }
+      cursor = page[page.length - 1].id;
+    }
+
+    // Products sharing the last one's creation time may be past the bound, so the check
+    // stops just before it; deliveries keep the ones loaded now from being sent twice
+    const last = products[products.length - 1].createdAt;
+    const checkedUntil = last.getTime() - 1 > since.getTime() ? new Date(last.getTime() - 1) : last;
+
+    console.warn(`   ⚠️  ${MAX_NEW_PRODUCTS}+ new products for search alerts; the rest are checked next time`);
+    return { products, checkedUntil };
+  }
+
+  /**
+   * Product ids each search alert already delivered, among the candidates
+   *
+   * @returns {Map<string, Set<string>>}
+   */
+  async loadDeliveredIds(searchAlerts, products) {
+    const delivered = new Map(searchAlerts.map(alert => [alert.id, new Set()]));
+    if (searchAlerts.length === 0 || products.length === 0) return delivered;
+
+    const rows = await this.prisma.alertDelivery.findMany({
+      where: {
+        alertId: { in: searchAlerts.map(alert => alert.id) },
+        productId: { in: products.map(product => product.id) }
+      },
+      select: { alertId: true, productId: true }
+    });
+
+    rows.forEach(row => delivered.get(row.alertId).add(row.productId));
+    return delivered;
+  }
+}
+
+// Singleton instance
+let serviceInstance = null;
+
+/**
+ * Get or create alert service instance
+ */
+function getAlertService() {
+  if (!serviceInstance) {
+    serviceInstance = new AlertService();
+  }
+  return serviceInstance;
+}
+
+module.exports = {
+  AlertService,
+  getAlertService
+};
@@ -0,0 +1,49 @@
+/**
+ * Type declarations for the alert notifiers (services/alerts/notifiers.js).
+ */
+
+export interface AlertNotification {
+  to: string;
+  user: { id: string; email: string; name: string | null };
+  items: Array<{
+    alertId: string;
+    description: string;
+    reason: string;
+    price: number;
+    product: {
+      id: string;
+      name: string;
+      brand: string;
+      salePrice: number;
+      originalPrice: number;
+      discount: number;
+      currency: string;
+      image: string | null;
+      url: string;
+    };
+  }>;
+  createdAt: string;
+}
+
+export interface AlertNotifier {
+  name: string;
+  send(notification: AlertNotification): Promise<void>;
+}
+
+export function formatAlertEmail(notification: AlertNotification): { subject: string; text: string };
+
+export class FileSinkNotifier implements AlertNotifier {
+  constructor(options?: { filePath?: string });
+  name: string;
+  filePath: string;
+  send(notification: AlertNotification): Promise<void>;
+}
+
+export class SmtpNotifier implements AlertNotifier {
+  constructor(options?: { host?: string; port?: number; from?: string; timeoutMs?: number });
+  name: string;
+  send(notification: AlertNotification): Promise<void>;
+  sendMail(message: { to: string; subject: string; text: string }): Promise<void>;
+}
+
+export function createNotifier(env?: Record<string, string | undefined>): AlertNotifier;
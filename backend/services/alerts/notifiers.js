@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const os = require('os');
+
+/**
+ * Alert Notifiers
+ *
+ * A notifier delivers one notification per user and check:
+ *   { name, send(notification) -> Promise }
+ *
+ * notification = {
+ *   to, user: { id, email, name },
+ *   items: [{ alertId, description, reason, price, product: { id, name, brand, ... } }],
+ *   createdAt
+ * }
+ *
+ * Built-in notifiers:
+ * - file: appends one JSON line per notification (default, works offline)
+ * - smtp: plain SMTP to a local relay (MailHog, Mailpit, postfix on localhost)
+ */
+
+const NOTIFIER_DEFAULTS = {
+  filePath: path.join(__dirname, '../../logs/alert-notifications.jsonl'),
+  smtpHost: 'localhost',
+  smtpPort: 1025,
+  from: 'PromoFinder <alerts@promofinder.local>',
+  smtpTimeoutMs: 10000
+};
+
+/**
+ * Render a notification as an email
+ *
+ * @returns {Object} - { subject, text }
+ */
+function formatAlertEmail(notification) {
+  const count = notification.items.length;
+  const subject = count === 1
+    ? `Price alert: ${notification.items[0].product.brand} ${notification.items[0].product.name}`
+    : `Price alerts: ${count} deals matched`;
+
+  const lines = [`Hi${notification.user.name ? ` ${notification.user.name}` : ''},`, ''];
+
+  for (const item of notification.items) {
+    const { product } = item;
+    lines.push(`${product.brand} - ${product.name}`);
+    lines.push(`  ${item.price.toFixed(2)} ${product.currency} (was ${product.originalPrice.toFixed(2)}) - ${item.reason}`);
+    lines.push(`  Alert: ${item.description}`);
+    lines.push(`  ${product.url}`);
+    lines.push('');
+  }
+
+  lines.push('Manage your alerts in your PromoFinder account.');
+
+  return { subject, text: lines.join('\n') };
+}
+
+/**
+ * Appends notifications as JSON lines to a local file
+ */
+class FileSinkNotifier {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filePath = options.filePath || NOTIFIER_DEFAULTS.filePath;
+  }
+
+  async send(notification) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const entry = {
+      ...notification,
+      email: formatAlertEmail(notification)
+    };
+
+    await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+  }
+}
+
+/**
+ * Read one (possibly multi-line) SMTP reply per call
+ */
+function createReplyReader(socket) {
+  let buffer = '';
+  let waiting = null;
+  let failure = null;
+
+  const settle = () => {
+    if (!waiting) return;
+
+    if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(failure);
+      return;
+    }
+
+    // A reply ends with "NNN text" (a space after the code); "NNN-text" continues it
+    const lines = buffer.split('\r\n');
+    const endIndex = lines.findIndex(line => /^\d{3} /.test(line));
+    if (endIndex === -1) return;
+
+    const reply = lines.slice(0, endIndex + 1);
+    buffer = lines.slice(endIndex + 1).join('\r\n');
+
+    const { resolve } = waiting;
+    waiting = null;
+    resolve({ code: parseInt(reply[endIndex].slice(0, 3), 10), text: reply.join('\n') });
+  };
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    settle();
+  });
+  socket.on('error', error => {
+    failure = error;
+    settle();
+  });
+  socket.on('close', () => {
+    failure = failure || new Error('SMTP connection closed');
+    settle();
+  });
+
+  return () => new Promise((resolve, reject) => {
+    waiting = { resolve, reject };
+    settle();
+  });
+}
+
+/**
+ * Sends notifications as plain-text email through an SMTP relay (no auth, no TLS)
+ */
+class SmtpNotifier {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    this.host = options.host || NOTIFIER_DEFAULTS.smtpHost;
+    this.port = options.port || NOTIFIER_DEFAULTS.smtpPort;
+    this.from = options.from || NOTIFIER_DEFAULTS.from;
+    this.timeoutMs = options.timeoutMs || NOTIFIER_DEFAULTS.smtpTimeoutMs;
+  }
+
+  async send(notification) {
+    const { subject, text } = formatAlertEmail(notification);
+
+    await this.sendMail({ to: notification.to, subject, text });
+  }
+
+  /**
+   * Deliver one message
+   *
+   * @throws {Error} on connection errors, timeouts and non-2xx/3xx replies
+   */
+  async sendMail({ to, subject, text }) {
+    const socket = net.createConnection({ host: this.host, port: this.port });
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+
+    const readReply = createReplyReader(socket);
+    const fromAddress = (this.from.match(/<([^>]+)>/) || [null, this.from])[1];
+
+    const expect = async (command, expectedCode) => {
+      if (command !== null) socket.write(command + '\r\n');
+      const reply = await readReply();
+      if (reply.code !== expectedCode) {
+        throw new Error(`SMTP ${command ? command.split(' ')[0] : 'greeting'} failed: ${reply.text}`);
+      }
+      return reply;
+    };
+
+    // Dot-stuffing: lines starting with "." get an extra "."
+    const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    const message = [
+      `From: ${this.from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      body
+    ].join('\r\n');
+
+    try {
+      await expect(null, 220);
+      await expect(`EHLO ${os.hostname()}`, 250);
+      await expect(`MAIL FROM:<${fromAddress}>`, 250);
+      await expect(`RCPT TO:<${to}>`, 250);
+      await expect('DATA', 354);
+      await expect(`${message}\r\n.`, 250);
+      await expect('QUIT', 221).catch(() => {});
+    } finally {
+      socket.destroy();
+    }
+  }
+}
+
+/**
+ * Create the notifier configured by environment:
+ * - ALERT_NOTIFIER: "file" (default) or "smtp"
+ * - ALERT_FILE_PATH: file sink path
+ * - SMTP_HOST, SMTP_PORT, ALERT_FROM: SMTP relay and sender
+ */
+function createNotifier(env = process.env) {
+  const type = (env.ALERT_NOTIFIER || 'file').toLowerCase();
+
+  switch (type) {
+    case 'smtp':
+      return new SmtpNotifier({
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT ? parseInt(env.SMTP_PORT, 10) : undefined,
+        from: env.ALERT_FROM
+      });
+    case 'file':
+      return new FileSinkNotifier({ filePath: env.ALERT_FILE_PATH });
+    default:
+      throw new Error(`Unknown ALERT_NOTIFIER: ${type} (expected "file" or "smtp")`);
+  }
+}
+
+module.exports = {
+  NOTIFIER_DEFAULTS,
+  formatAlertEmail,
+  FileSinkNotifier,
+  SmtpNotifier,
+  createNotifier
+};
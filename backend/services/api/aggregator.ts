@@ -13,7 +13,7 @@ import {
 } from './types';
 import { ProductCategory, ProductSource } from '@prisma/client';
 import { prisma } from '../../db/client';
-import { bulkInsertProducts } from '../../db/queries';
+import { getIngestionPipeline, IngestionReject } from '../ingestion';
 
 // ============================================
 // API AGGREGATOR
@@ -290,32 +290,28 @@ export class ApiAggregator {
   }
 
   /**
-   * Save products to database
+   * Save products to database through the ingestion pipeline
    */
   async saveToDatabase(
     products: ProductFromAPI[]
-  ): Promise<{ count: number; ids: string[] }> {
-    // Map to database format
-    const productInputs = products.map((p) => ({
-      name: p.name,
-      brand: p.brand,
-      category: p.category,
-      source: this.mapApiSourceToDbSource(p.source),
-      originalPrice: p.originalPrice,
-      salePrice: p.salePrice,
-      discountPercentage: p.discountPercentage,
-      productUrl: p.productUrl,
-      imageUrl: p.imageUrl,
-      description: p.description,
-      attributes: p.attributes,
-    }));
-
-    // Bulk insert
-    const result = await bulkInsertProducts(productInputs);
-
-    console.log(`[Aggregator] Saved ${result.count} products to database`);
-
-    return result;
+  ): Promise<{ count: number; ids: string[]; rejected: IngestionReject[] }> {
+    const result = await getIngestionPipeline().ingest(
+      products.map((p) => ({
+        ...p,
+        source: this.mapApiSourceToDbSource(p.source),
+      })),
+      { origin: 'api' }
+    );
+
+    console.log(
+      `[Aggregator] Saved ${result.created + result.updated} products to database (${result.rejected} rejected)`
+    );
+
+    return {
+      count: result.created + result.updated,
+      ids: result.productIds,
+      rejected: result.rejects,
+    };
   }
 
   // ============================================
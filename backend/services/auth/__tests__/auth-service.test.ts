@@ -0,0 +1,159 @@
+import { AUTH_CONFIG, AuthError, AuthService, hashPassword, verifyPassword } from '../auth-service';
+
+// The service is given its database client
+jest.mock('../../../db/client', () => ({}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * In-memory users and sessions, keyed like the Prisma models
+ */
+function fakePrisma() {
+  const users: any[] = [];
+  const sessions: any[] = [];
+
+  const client = {
+    users,
+    sessions,
+    user: {
+      findUnique: async ({ where }: any) => users.find(user => user.email === where.email) || null,
+      create: async ({ data }: any) => {
+        const user = { id: `u${users.length + 1}`, createdAt: new Date(), ...data };
+        users.push(user);
+        return user;
+      },
+    },
+    session: {
+      create: async ({ data }: any) => {
+        const session = { id: `s${sessions.length + 1}`, ...data };
+        sessions.push(session);
+        return session;
+      },
+      findUnique: async ({ where }: any) => {
+        const session = sessions.find(entry => entry.tokenHash === where.tokenHash);
+        return session ? { ...session, user: users.find(user => user.id === session.userId) } : null;
+      },
+      update: async ({ where, data }: any) => Object.assign(sessions.find(entry => entry.id === where.id), data),
+      delete: async ({ where }: any) => sessions.splice(sessions.findIndex(entry => entry.id === where.id), 1)[0],
+      deleteMany: async ({ where }: any) => {
+        const removed = sessions.filter(entry =>
+          (where.tokenHash ? entry.tokenHash === where.tokenHash : true) &&
+          (where.expiresAt ? entry.expiresAt <= where.expiresAt.lte : true)
+        );
+        removed.forEach(entry => sessions.splice(sessions.indexOf(entry), 1));
+        return { count: removed.length };
+      },
+    },
+  };
+
+  return client;
+}
+
+describe('password hashing', () => {
+  it('stores a salted scrypt hash that verifies only the same password', async () => {
+    const stored = await hashPassword('correct horse');
+
+    expect(stored).toMatch(new RegExp(`^[0-9a-f]{${AUTH_CONFIG.saltBytes * 2}}:[0-9a-f]{${AUTH_CONFIG.keyLength * 2}}$`));
+    await expect(verifyPassword('correct horse', stored)).resolves.toBe(true);
+    await expect(verifyPassword('correct horse!', stored)).resolves.toBe(false);
+  });
+
+  it('salts every hash', async () => {
+    expect(await hashPassword('same password')).not.toBe(await hashPassword('same password'));
+  });
+
+  it('rejects malformed stored hashes', async () => {
+    await expect(verifyPassword('password', '')).resolves.toBe(false);
+    await expect(verifyPassword('password', null)).resolves.toBe(false);
+    await expect(verifyPassword('password', 'no-separator')).resolves.toBe(false);
+  });
+});
+
+describe('AuthService', () => {
+  it('registers, signs in and resolves the session token', async () => {
+    const prisma = fakePrisma();
+    const auth = new AuthService(prisma);
+
+    const registered = await auth.register({ email: ' Ada@Example.com ', password: 'password1', name: ' Ada ' });
+    expect(registered.user).toMatchObject({ email: 'ada@example.com', name: 'Ada' });
+    expect(registered.user).not.toHaveProperty('passwordHash');
+    // Only the token's hash is stored
+    expect(prisma.sessions[0].tokenHash).not.toBe(registered.token);
+
+    const { token } = await auth.login({ email: 'ADA@example.com', password: 'password1' });
+    await expect(auth.authenticate(token)).resolves.toMatchObject({ email: 'ada@example.com' });
+    expect(prisma.sessions[1].lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  it('validates registrations', async () => {
+    const auth = new AuthService(fakePrisma());
+    const tooLong = 'x'.repeat(AUTH_CONFIG.maxPasswordLength + 1);
+
+    await expect(auth.register({ email: 'nope', password: 'password1' })).rejects.toThrow('A valid email is required');
+    await expect(auth.register({ email: 'a@b.co', password: 'short' })).rejects.toThrow('at least 8 characters');
+    await expect(auth.register({ email: 'a@b.co', password: tooLong })).rejects.toThrow('at most 200 characters');
+
+    await auth.register({ email: 'a@b.co', password: 'password1' });
+    await expect(auth.register({ email: 'A@B.co', password: 'password2' })).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('answers 409 when the email is registered concurrently', async () => {
+    const prisma = fakePrisma();
+    // The email was free when checked, then taken before the insert
+    prisma.user.create = async () => {
+      throw Object.assign(new Error('Unique constraint failed on the fields: (`email`)'), { code: 'P2002' });
+    };
+    const auth = new AuthService(prisma);
+
+    const error = await auth.register({ email: 'a@b.co', password: 'password1' }).catch(e => e);
+    expect(error).toBeInstanceOf(AuthError);
+    expect(error).toMatchObject({ message: 'An account with this email already exists', status: 409 });
+  });
+
+  it('answers every failed login the same way', async () => {
+    const auth = new AuthService(fakePrisma());
+    await auth.register({ email: 'a@b.co', password: 'password1' });
+
+    for (const credentials of [
+      { email: 'a@b.co', password: 'password2' },
+      { email: 'other@b.co', password: 'password1' },
+      { email: 'a@b.co' },
+      { email: 'a@b.co', password: 'x'.repeat(AUTH_CONFIG.maxPasswordLength + 1) },
+    ]) {
+      const error = await auth.login(credentials).catch(e => e);
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error).toMatchObject({ message: 'Invalid email or password', status: 401 });
+    }
+  });
+
+  it(`expires sessions after ${AUTH_CONFIG.sessionTtlDays} days`, async () => {
+    const prisma = fakePrisma();
+    const auth = new AuthService(prisma);
+
+    const before = Date.now();
+    const { token, expiresAt } = await auth.register({ email: 'a@b.co', password: 'password1' });
+    expect(expiresAt.getTime() - before).toBeGreaterThanOrEqual(AUTH_CONFIG.sessionTtlDays * DAY_MS);
+    expect(expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(AUTH_CONFIG.sessionTtlDays * DAY_MS);
+
+    prisma.sessions[0].expiresAt = new Date(Date.now() - 1000);
+    await expect(auth.authenticate(token)).resolves.toBeNull();
+    expect(prisma.sessions).toHaveLength(0);
+  });
+
+  it('ends sessions on logout and purges expired ones', async () => {
+    const prisma = fakePrisma();
+    const auth = new AuthService(prisma);
+
+    const first = await auth.register({ email: 'a@b.co', password: 'password1' });
+    await auth.login({ email: 'a@b.co', password: 'password1' });
+    await auth.login({ email: 'a@b.co', password: 'password1' });
+
+    await auth.logout(first.token);
+    await expect(auth.authenticate(first.token)).resolves.toBeNull();
+
+    prisma.sessions[0].expiresAt = new Date(Date.now() - 1000);
+    await expect(auth.purgeExpiredSessions()).resolves.toBe(1);
+    expect(prisma.sessions).toHaveLength(1);
+    await expect(auth.authenticate(null)).resolves.toBeNull();
+  });
+});
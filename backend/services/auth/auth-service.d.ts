@@ -0,0 +1,51 @@
+/**
+ * Type declarations for the auth service (services/auth/auth-service.js),
+ * so password hashing and sessions can be exercised from the TypeScript test suite.
+ */
+
+export interface AuthConfig {
+  sessionTtlDays: number;
+  minPasswordLength: number;
+  maxPasswordLength: number;
+  saltBytes: number;
+  keyLength: number;
+  tokenBytes: number;
+}
+
+export interface PublicUser {
+  id: string;
+  email: string;
+  name: string | null;
+  createdAt: Date;
+}
+
+export interface AuthSession {
+  user: PublicUser;
+  token: string;
+  expiresAt: Date;
+}
+
+export const AUTH_CONFIG: AuthConfig;
+
+export class AuthError extends Error {
+  status: number;
+  constructor(message: string, status?: number);
+}
+
+export function hashPassword(password: string): Promise<string>;
+export function verifyPassword(password: string, stored: string | null | undefined): Promise<boolean>;
+
+export class AuthService {
+  constructor(prismaClient?: any);
+  register(
+    input?: { email?: string; password?: string; name?: string },
+    context?: { userAgent?: string }
+  ): Promise<AuthSession>;
+  login(input?: { email?: string; password?: string }, context?: { userAgent?: string }): Promise<AuthSession>;
+  createSession(user: { id: string; email: string; name: string | null; createdAt: Date }, context?: { userAgent?: string }): Promise<AuthSession>;
+  authenticate(token: string | null | undefined): Promise<PublicUser | null>;
+  logout(token: string | null | undefined): Promise<void>;
+  purgeExpiredSessions(): Promise<number>;
+}
+
+export function getAuthService(): AuthService;
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const prisma = require('../../db/client');
+
+/**
+ * Auth Service
+ *
+ * Email/password accounts with opaque session tokens:
+ * - Passwords are hashed with scrypt and a per-user random salt
+ * - Sessions are random bearer tokens; only their SHA-256 is stored,
+ *   so a leaked sessions table cannot be replayed
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const AUTH_CONFIG = {
+  sessionTtlDays: 30,
+  minPasswordLength: 8,
+  maxPasswordLength: 200,
+  saltBytes: 16,
+  keyLength: 64,
+  tokenBytes: 32
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AuthError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status - HTTP status the routes should answer with
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Hash a password as "salt:hash" (hex)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(AUTH_CONFIG.saltBytes).toString('hex');
+  const key = await scrypt(password, salt, AUTH_CONFIG.keyLength);
+  return `${salt}:${key.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored "salt:hash"
+ */
+async function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const key = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// Hash of a random password, checked for unknown emails so that login takes as
+// long as for an existing account (computed once, on the first such login)
+let dummyHash = null;
+
+function dummyPasswordHash() {
+  if (!dummyHash) {
+    dummyHash = hashPassword(crypto.randomBytes(AUTH_CONFIG.tokenBytes).toString('hex'));
+  }
+  return dummyHash;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * Public view of a user (never includes the password hash)
+ */
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    createdAt: user.createdAt
+  };
+}
+
+class AuthService {
+  constructor(prismaClient = prisma) {
+    this.prisma = prismaClient.default || prismaClient;
+  }
+
+  /**
+   * Create an account and sign it in
+   *
+   * @returns {Object} - { user, token, expiresAt }
+   * @throws {AuthError} on invalid input (400) or an email already in use (409)
+   */
+  async register({ email, password, name } = {}, context = {}) {
+    const normalized = normalizeEmail(email);
+
+    if (!EMAIL_PATTERN.test(normalized)) {
+      throw new AuthError('A valid email is required');
+    }
+    if (typeof password !== 'string' || password.length < AUTH_CONFIG.minPasswordLength) {
+      throw new AuthError(`Password must be at least ${AUTH_CONFIG.minPasswordLength} characters`);
+    }
+    if (password.length > AUTH_CONFIG.maxPasswordLength) {
+      throw new AuthError(`Password must be at most ${AUTH_CONFIG.maxPasswordLength} characters`);
+    }
+
+    const existing = await this.prisma.user.findUnique({ where: { email: normalized } });
+    if (existing) {
+      throw new AuthError('An account with this email already exists', 409);
+    }
+
+    let user;
+    try {
+      user = await this.prisma.user.create({
+        data: {
+          email: normalized,
+          passwordHash: await hashPassword(password),
+          name: typeof name === 'string' && name.trim() ? name.trim() : null
+        }
+      });
+    } catch (error) {
+      // Registered concurrently since the check above
+      if (error.code === 'P2002') {
+        throw new AuthError('An account with this email already exists', 409);
+      }
+      throw error;
+    }
+
+    return this.createSession(user, context);
+  }
+
+  /**
+   * Sign in with email and password
+   *
+   * @returns {Object} - { user, token, expiresAt }
+   * @throws {AuthError} 401 if the credentials do not match
+   */
+  async login({ email, password } = {}, context = {}) {
+    // No account has a longer password; refused before scrypt runs on it
+    if (typeof password !== 'string' || password.length > AUTH_CONFIG.maxPasswordLength) {
+      throw new AuthError('Invalid email or password', 401);
+    }
+
+    const user = await this.prisma.user.findUnique({ where: { email: normalizeEmail(email) } });
+
+    // Same message and the same scrypt work for unknown email and wrong password
+    const passwordHash = user ? user.passwordHash : await dummyPasswordHash();
+    if (!(await verifyPassword(password, passwordHash)) || !user) {
+      throw new AuthError('Invalid email or password', 401);
+    }
+
+    return this.createSession(user, context);
+  }
+
+  /**
+   * Issue a new session token for a user
+   */
+  async createSession(user, context = {}) {
+    const token = crypto.randomBytes(AUTH_CONFIG.tokenBytes).toString('base64url');
+    const expiresAt = new Date(Date.now() + AUTH_CONFIG.sessionTtlDays * DAY_MS);
+
+    await this.prisma.session.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt,
+        userAgent: context.userAgent || null
+      }
+    });
+
+    return { user: toPublicUser(user), token, expiresAt };
+  }
+
+  /**
+   * Resolve a bearer token to its user
+   *
+   * @returns {Object|null} - Public user, or null if the token is unknown or expired
+   */
+  async authenticate(token) {
+    if (!token) return null;
+
+    const session = await this.prisma.session.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: true }
+    });
+
+    if (!session) return null;
+
+    if (session.expiresAt <= new Date()) {
+      await this.prisma.session.delete({ where: { id: session.id } }).catch(() => {});
+      return null;
+    }
+
+    await this.prisma.session.update({
+      where: { id: session.id },
+      data: { lastUsedAt: new Date() }
+    });
+
+    return toPublicUser(session.user);
+  }
+
+  /**
+   * End the session for a token (no-op if it does not exist)
+   */
+  async logout(token) {
+    if (!token) return;
+    await this.prisma.session.deleteMany({ where: { tokenHash: hashToken(token) } });
+  }
+
+  /**
+   * Remove expired sessions
+   *
+   * @returns {number} - Number of sessions removed
+   */
+  async purgeExpiredSessions() {
+    const result = await this.prisma.session.deleteMany({
+      where: { expiresAt: { lte: new Date() } }
+    });
+    return result.count;
+  }
+}
+
+// Singleton instance
+let serviceInstance = null;
+
+/**
+ * Get or create auth service instance
+ */
+function getAuthService() {
+  if (!serviceInstance) {
+    serviceInstance = new AuthService();
+  }
+  return serviceInstance;
+}
+
+module.exports = {
+  AUTH_CONFIG,
+  AuthError,
+  AuthService,
+  getAuthService,
+  hashPassword,
+  verifyPassword
+};
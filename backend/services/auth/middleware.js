@@ -0,0 +1,59 @@
+const { getAuthService } = require('./auth-service');
+
+/**
+ * Auth Middleware
+ *
+ * Reads the session token from `Authorization: Bearer <token>` and
+ * exposes the signed-in user as `req.user` (and the token as `req.authToken`).
+ */
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Attach `req.user` when a valid token is sent; anonymous requests pass through
+ */
+async function optionalUser(req, res, next) {
+  try {
+    req.authToken = getBearerToken(req);
+    req.user = await getAuthService().authenticate(req.authToken);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Reject requests without a valid session with 401
+ */
+async function requireUser(req, res, next) {
+  try {
+    req.authToken = getBearerToken(req);
+    req.user = await getAuthService().authenticate(req.authToken);
+
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('❌ Error authenticating request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to authenticate',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  getBearerToken,
+  optionalUser,
+  requireUser
+};
@@ -325,11 +325,10 @@ export class QueryOptimizer {
   }
 
   /**
-   * Build search query with full-text search optimization
+   * Build a substring search condition for ad-hoc queries.
+   * Ranked, typo-tolerant search lives in services/search/search-service.js.
    */
   buildSearchQuery(searchTerm: string, fields: string[] = ['name', 'brand']): any {
-    // For PostgreSQL, we could use full-text search
-    // For now, using case-insensitive contains
     const searchLower = searchTerm.toLowerCase();
 
     return {
@@ -0,0 +1,85 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {
+  BASE_CURRENCY,
+  CurrencyService,
+  DEFAULT_RATES_FILE,
+  UnsupportedCurrencyError,
+  loadRatesSnapshot,
+} from '../currency-service';
+
+const snapshot = {
+  base: 'EUR',
+  date: '2026-10-16',
+  rates: { EUR: 1, USD: 1.25, GBP: 0.8 },
+};
+
+describe('CurrencyService', () => {
+  const currency = new CurrencyService(snapshot);
+
+  it('converts between currencies through the base, rounded to cents', () => {
+    expect(currency.convert(100, 'USD', 'EUR')).toBe(80);
+    expect(currency.convert(100, 'EUR', 'GBP')).toBe(80);
+    expect(currency.convert(10, 'USD', 'GBP')).toBe(6.4);
+    expect(currency.convert(33.33, 'GBP', 'USD')).toBe(52.08);
+    expect(currency.convert(null, 'GBP', 'USD')).toBeNull();
+  });
+
+  it('throws on currencies without a rate', () => {
+    expect(() => currency.convert(10, 'SEK', 'EUR')).toThrow(UnsupportedCurrencyError);
+    expect(currency.supports('sek')).toBe(false);
+    expect(currency.supports('usd')).toBe(true);
+  });
+
+  it('normalizes product prices to the base currency', () => {
+    expect(currency.normalizePrices({ salePrice: 50, originalPrice: 100, currency: 'USD' })).toEqual({
+      normalizedSalePrice: 40,
+      normalizedOriginalPrice: 80,
+    });
+    expect(currency.normalizePrices({ salePrice: 50, originalPrice: 100, currency: 'SEK' })).toEqual({
+      normalizedSalePrice: null,
+      normalizedOriginalPrice: null,
+    });
+  });
+
+  it('resolves the viewer currency from the request, then the region', () => {
+    expect(currency.resolveViewerCurrency({ currency: 'gbp', region: 'US' })).toBe('GBP');
+    expect(currency.resolveViewerCurrency({ region: 'US,EU' })).toBe('USD');
+    expect(currency.resolveViewerCurrency({ region: 'UK' })).toBe('GBP');
+    expect(currency.resolveViewerCurrency({ region: 'IT' })).toBe(BASE_CURRENCY);
+    expect(currency.resolveViewerCurrency()).toBe(BASE_CURRENCY);
+    expect(() => currency.resolveViewerCurrency({ currency: 'XYZ' })).toThrow(UnsupportedCurrencyError);
+  });
+});
+
+describe('loadRatesSnapshot', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rates-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loads the bundled snapshot', () => {
+    const loaded = loadRatesSnapshot(DEFAULT_RATES_FILE);
+
+    expect(loaded.base).toBe(BASE_CURRENCY);
+    expect(loaded.rates.EUR).toBe(1);
+    expect(loaded.rates.USD).toBeGreaterThan(0);
+    expect(loaded.rates.GBP).toBeGreaterThan(0);
+  });
+
+  it('rejects snapshots in another base or with invalid rates', () => {
+    const file = path.join(dir, 'rates.json');
+
+    fs.writeFileSync(file, JSON.stringify({ ...snapshot, base: 'USD' }));
+    expect(() => loadRatesSnapshot(file)).toThrow(/must be based on EUR/);
+
+    fs.writeFileSync(file, JSON.stringify({ ...snapshot, rates: { USD: 0, GBP: 'x' } }));
+    expect(() => loadRatesSnapshot(file)).toThrow(/invalid rates for: USD, GBP/);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Type declarations for the currency service (services/currency/currency-service.js),
+ * so conversions can be exercised from the TypeScript test suite.
+ */
+
+export interface RatesSnapshot {
+  base: string;
+  date: string;
+  rates: Record<string, number>;
+}
+
+export interface PricedProduct {
+  salePrice: number;
+  originalPrice: number;
+  currency: string;
+}
+
+export const BASE_CURRENCY: string;
+export const DEFAULT_RATES_FILE: string;
+export const REGION_CURRENCIES: Record<string, string>;
+
+export class UnsupportedCurrencyError extends Error {
+  currency: string;
+  constructor(currency: string);
+}
+
+export class CurrencyService {
+  base: string;
+  rateDate: string;
+  rates: Record<string, number>;
+
+  constructor(snapshot?: RatesSnapshot);
+  supports(currency?: string | null): boolean;
+  getRate(currency: string): number;
+  convert(amount: number, from: string, to: string): number;
+  convert(amount: null | undefined, from: string, to: string): null;
+  toBase(amount: number, currency: string): number;
+  fromBase(amount: number, currency: string): number;
+  normalizePrices(product: PricedProduct): {
+    normalizedSalePrice: number | null;
+    normalizedOriginalPrice: number | null;
+  };
+  resolveViewerCurrency(viewer?: { currency?: string; region?: string }): string;
+}
+
+export function getCurrencyService(): CurrencyService;
+
+export function loadRatesSnapshot(file?: string): RatesSnapshot;
+
+export function roundPrice(amount: number): number;
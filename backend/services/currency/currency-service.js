@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Currency Service
+ *
+ * Converts prices between currencies with a daily rates snapshot loaded from
+ * disk (data/exchange-rates.json, refreshed by scripts/exchange-rates.js),
+ * so serving and ingesting never depend on a live rates API.
+ *
+ * Products store their price in the retailer's currency plus a normalized copy
+ * in BASE_CURRENCY; filters and sorts run on the normalized columns and deals
+ * are converted to the viewer's currency on the way out.
+ */
+
+const BASE_CURRENCY = 'EUR';
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '../../data/exchange-rates.json');
+
+// Currency a region's shoppers see prices in (everything else is in euros)
+const REGION_CURRENCIES = {
+  US: 'USD',
+  UK: 'GBP',
+  GLOBAL: 'USD'
+};
+
+class UnsupportedCurrencyError extends Error {
+  constructor(currency) {
+    super(`Unsupported currency: ${currency}`);
+    this.name = 'UnsupportedCurrencyError';
+    this.currency = currency;
+  }
+}
+
+/**
+ * Round a converted amount to cents
+ */
+function roundPrice(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Read and validate a rates snapshot: { base, date, rates: { CODE: unitsPerBase } }
+ *
+ * @throws {Error} if the file is missing, not based on BASE_CURRENCY or has invalid rates
+ */
+function loadRatesSnapshot(file = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE) {
+  const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (snapshot.base !== BASE_CURRENCY) {
+    throw new Error(`Rates snapshot ${file} must be based on ${BASE_CURRENCY}, got ${snapshot.base}`);
+  }
+
+  const invalid = Object.entries(snapshot.rates || {})
+    .filter(([, rate]) => !(typeof rate === 'number' && rate > 0))
+    .map(([code]) => code);
+  if (invalid.length > 0) {
+    throw new Error(`Rates snapshot ${file} has invalid rates for: ${invalid.join(', ')}`);
+  }
+
+  return {
+    base: snapshot.base,
+    date: snapshot.date,
+    rates: { ...snapshot.rates, [BASE_CURRENCY]: 1 }
+  };
+}
+
+class CurrencyService {
+  /**
+   * @param {Object} snapshot - { base, date, rates } (default: loadRatesSnapshot())
+   */
+  constructor(snapshot = loadRatesSnapshot()) {
+    this.base = snapshot.base;
+    this.rateDate = snapshot.date;
+    this.rates = snapshot.rates;
+  }
+
+  /**
+   * Whether the snapshot has a rate for a currency code
+   */
+  supports(currency) {
+    return Boolean(currency) && Object.prototype.hasOwnProperty.call(this.rates, String(currency).toUpperCase());
+  }
+
+  /**
+   * Units of `currency` per one BASE_CURRENCY
+   *
+   * @throws {UnsupportedCurrencyError}
+   */
+  getRate(currency) {
+    const code = String(currency || '').toUpperCase();
+    if (!this.supports(code)) {
+      throw new UnsupportedCurrencyError(currency);
+    }
+    return this.rates[code];
+  }
+
+  /**
+   * Convert an amount between two currencies, rounded to cents
+   *
+   * @throws {UnsupportedCurrencyError}
+   */
+  convert(amount, from, to) {
+    if (amount === null || amount === undefined) return null;
+    return roundPrice(amount / this.getRate(from) * this.getRate(to));
+  }
+
+  toBase(amount, currency) {
+    return this.convert(amount, currency, this.base);
+  }
+
+  fromBase(amount, currency) {
+    return this.convert(amount, this.base, currency);
+  }
+
+  /**
+   * Normalized price columns for a product ({ salePrice, originalPrice, currency }).
+   * Both are null when the snapshot has no rate for the product's currency.
+   */
+  normalizePrices(product) {
+    if (!this.supports(product.currency)) {
+      return { normalizedSalePrice: null, normalizedOriginalPrice: null };
+    }
+
+    return {
+      normalizedSalePrice: this.toBase(product.salePrice, product.currency),
+      normalizedOriginalPrice: this.toBase(product.originalPrice, product.currency)
+    };
+  }
+
+  /**
+   * The currency to show a viewer: an explicit, supported `currency` wins,
+   * then the currency of their (first) region, then BASE_CURRENCY
+   *
+   * @throws {UnsupportedCurrencyError} if `currency` is given but unknown
+   */
+  resolveViewerCurrency({ currency, region } = {}) {
+    if (currency) {
+      const code = String(currency).trim().toUpperCase();
+      this.getRate(code);
+      return code;
+    }
+
+    const firstRegion = region ? String(region).split(',')[0].trim().toUpperCase() : null;
+    return REGION_CURRENCIES[firstRegion] || this.base;
+  }
+}
+
+// Singleton instance
+let serviceInstance = null;
+
+/**
+ * Get or create currency service instance (loads the rates snapshot once)
+ */
+function getCurrencyService() {
+  if (!serviceInstance) {
+    serviceInstance = new CurrencyService();
+  }
+  return serviceInstance;
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  DEFAULT_RATES_FILE,
+  REGION_CURRENCIES,
+  CurrencyService,
+  UnsupportedCurrencyError,
+  getCurrencyService,
+  loadRatesSnapshot,
+  roundPrice
+};
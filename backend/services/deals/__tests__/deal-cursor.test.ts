@@ -0,0 +1,103 @@
+import {
+  InvalidCursorError,
+  buildCursorWhere,
+  decodeCursor,
+  encodeCursor,
+  isAfterCursor,
+} from '../deal-cursor';
+
+const asOf = new Date('2026-10-18T12:00:00Z');
+
+function cursorFor(payload: unknown): string {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+describe('encodeCursor / decodeCursor', () => {
+  it('round-trips the sort keys, id and start of the browse', () => {
+    const cursor = encodeCursor({ id: 'p9', popularityScore: 40, discountPercentage: 35 }, 'relevance', asOf);
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor, 'relevance')).toEqual({ sortBy: 'relevance', values: [40, 35], id: 'p9', asOf });
+  });
+
+  it('restores dates and keeps nulls', () => {
+    const createdAt = new Date('2026-10-01T08:00:00Z');
+
+    expect(decodeCursor(encodeCursor({ id: 'p1', createdAt }, 'newest', asOf), 'newest').values).toEqual([createdAt]);
+    expect(decodeCursor(encodeCursor({ id: 'p1', normalizedSalePrice: null }, 'priceLow', asOf), 'priceLow').values)
+      .toEqual([null]);
+  });
+
+  it('rejects malformed cursors', () => {
+    expect(() => decodeCursor('not a cursor', 'relevance')).toThrow(InvalidCursorError);
+    expect(() => decodeCursor(cursorFor({ s: 'relevance', v: [1, 2], t: asOf }), 'relevance')).toThrow('Malformed cursor');
+    expect(() => decodeCursor(cursorFor({ s: 'relevance', v: [1, 2], id: 'p1', t: 'yesterday' }), 'relevance'))
+      .toThrow('Malformed cursor');
+  });
+
+  it('rejects sort values of the wrong type', () => {
+    const decode = (s: string, v: unknown[]) => () => decodeCursor(cursorFor({ s, v, id: 'p1', t: asOf }), s);
+
+    expect(decode('relevance', ['40', 35])).toThrow('Malformed cursor');
+    expect(decode('relevance', [{ gt: 0 }, 35])).toThrow('Malformed cursor');
+    expect(decode('discountHigh', [null])).toThrow('Malformed cursor');
+    expect(decode('newest', [1760774400000])).toThrow('Malformed cursor');
+    expect(decode('newest', ['not a date'])).toThrow('Malformed cursor');
+    expect(decode('priceLow', [null])).not.toThrow();
+  });
+
+  it('rejects a cursor issued for another sort', () => {
+    const cursor = encodeCursor({ id: 'p1', discountPercentage: 50 }, 'discountHigh', asOf);
+
+    expect(() => decodeCursor(cursor, 'priceLow')).toThrow('Cursor was issued for sortBy=discountHigh, not priceLow');
+  });
+});
+
+describe('buildCursorWhere', () => {
+  it('continues strictly after the last row, key by key, then by id', () => {
+    const where = buildCursorWhere({ sortBy: 'relevance', values: [40, 35], id: 'p9', asOf });
+
+    expect(where).toEqual({
+      OR: [
+        { AND: [{ popularityScore: { lt: 40 } }] },
+        { AND: [{ popularityScore: 40 }, { discountPercentage: { lt: 35 } }] },
+        { AND: [{ popularityScore: 40 }, { discountPercentage: 35 }, { id: { gt: 'p9' } }] },
+      ],
+    });
+  });
+
+  it('lets nulls follow every value of a nullable key', () => {
+    expect(buildCursorWhere({ sortBy: 'priceLow', values: [25], id: 'p1', asOf })).toEqual({
+      OR: [
+        { AND: [{ OR: [{ normalizedSalePrice: { gt: 25 } }, { normalizedSalePrice: null }] }] },
+        { AND: [{ normalizedSalePrice: 25 }, { id: { gt: 'p1' } }] },
+      ],
+    });
+  });
+
+  it('after a null only continues among nulls', () => {
+    expect(buildCursorWhere({ sortBy: 'priceLow', values: [null], id: 'p1', asOf })).toEqual({
+      OR: [{ AND: [{ normalizedSalePrice: null }, { id: { gt: 'p1' } }] }],
+    });
+  });
+});
+
+describe('isAfterCursor', () => {
+  const cursor = { sortBy: 'searchRank', values: [0.5], id: 'p5', asOf };
+
+  it('orders by the computed key, then by id', () => {
+    expect(isAfterCursor({ id: 'p1', searchRank: 0.4 }, cursor)).toBe(true);
+    expect(isAfterCursor({ id: 'p9', searchRank: 0.6 }, cursor)).toBe(false);
+    expect(isAfterCursor({ id: 'p6', searchRank: 0.5 }, cursor)).toBe(true);
+    expect(isAfterCursor({ id: 'p5', searchRank: 0.5 }, cursor)).toBe(false);
+  });
+
+  it('sorts nulls last', () => {
+    const priced = { sortBy: 'priceLow', values: [25], id: 'p5', asOf };
+
+    expect(isAfterCursor({ id: 'p1', normalizedSalePrice: null }, priced)).toBe(true);
+    expect(isAfterCursor({ id: 'p1', normalizedSalePrice: 30 }, priced)).toBe(true);
+    expect(isAfterCursor({ id: 'p9', normalizedSalePrice: 20 }, priced)).toBe(false);
+    expect(isAfterCursor({ id: 'p9', normalizedSalePrice: 20 }, { ...priced, values: [null] })).toBe(false);
+  });
+});
@@ -0,0 +1,111 @@
+import { UnsupportedCurrencyError } from '../../currency/currency-service';
+import { buildDealsOrderBy, buildDealsWhere, compareOffers, resolveSortBy } from '../deal-filters';
+
+const now = new Date('2026-10-18T12:00:00Z');
+
+describe('buildDealsWhere', () => {
+  it('matches listed deals that have not expired', () => {
+    expect(buildDealsWhere({}, now)).toEqual({
+      AND: [
+        { isActive: true },
+        { OR: [{ expiresAt: null }, { expiresAt: { gt: now } }] },
+      ],
+    });
+  });
+
+  it('matches every lifecycle state with includeExpired, but not hidden or quarantined deals', () => {
+    expect(buildDealsWhere({ includeExpired: 'true' }, now).AND).toEqual([
+      { OR: [{ isActive: true }, { lifecycleStatus: { not: 'active' } }] },
+      { quarantinedAt: null },
+    ]);
+  });
+
+  it('adds a condition per list filter, dropping unknown categories and sources', () => {
+    const { AND } = buildDealsWhere({
+      genders: 'men, women',
+      retailers: 'JD Sports',
+      category: 'shoes,spaceships',
+      source: 'nike,unknown',
+      smartCategories: 'running',
+      region: 'IT,FR',
+    }, now);
+
+    expect(AND.slice(2)).toEqual([
+      { gender: { in: ['men', 'women'] } },
+      { retailer: { in: ['JD Sports'] } },
+      { category: { in: ['shoes'] } },
+      { source: { in: ['nike'] } },
+      { smartCategories: { hasSome: ['running'] } },
+      { availableRegions: { hasSome: ['IT', 'FR', 'GLOBAL'] } },
+    ]);
+  });
+
+  it('ignores empty and invalid values', () => {
+    expect(buildDealsWhere({ category: 'spaceships', minDiscount: 'abc', minPrice: '0', brand: ' , ' }, now).AND)
+      .toHaveLength(2);
+  });
+
+  it('matches brands case-insensitively and the smart flags', () => {
+    const { AND } = buildDealsWhere({ brand: 'nike,adidas', minDiscount: '30', bestValue: 'true', topDeal: 'true', priceDrop: 'true' }, now);
+
+    expect(AND.slice(2)).toEqual([
+      { discountPercentage: { gte: 30 } },
+      {
+        OR: [
+          { brand: { contains: 'nike', mode: 'insensitive' } },
+          { brand: { contains: 'adidas', mode: 'insensitive' } },
+        ],
+      },
+      { bestValue: true },
+      { topDeal: true },
+      { isPriceDrop: true },
+    ]);
+  });
+
+  it('compares price filters in the viewer currency with normalized prices', () => {
+    expect(buildDealsWhere({ minPrice: '20', maxPrice: '100', currency: 'EUR' }, now).AND.slice(2)).toEqual([
+      { normalizedSalePrice: { gte: 20 } },
+      { normalizedSalePrice: { lte: 100 } },
+    ]);
+
+    const [inPounds] = buildDealsWhere({ maxPrice: '84.37', currency: 'GBP' }, now).AND.slice(2);
+    expect(inPounds).toEqual({ normalizedSalePrice: { lte: 100 } });
+  });
+
+  it('throws on a price filter in a currency without a rate', () => {
+    expect(() => buildDealsWhere({ maxPrice: '100', currency: 'XYZ' }, now)).toThrow(UnsupportedCurrencyError);
+  });
+
+  it('restricts to full-text matches', () => {
+    expect(buildDealsWhere({ matchedIds: ['a', 'b'] }, now).AND.slice(2)).toEqual([{ id: { in: ['a', 'b'] } }]);
+    expect(buildDealsWhere({ matchedIds: [] }, now).AND.slice(2)).toEqual([{ id: { in: [] } }]);
+  });
+});
+
+describe('sorting', () => {
+  it('resolves relevance to search rank while searching', () => {
+    expect(resolveSortBy('priceLow')).toBe('priceLow');
+    expect(resolveSortBy('bogus')).toBe('relevance');
+    expect(resolveSortBy(undefined, 'nike')).toBe('searchRank');
+    expect(resolveSortBy('newest', 'nike')).toBe('newest');
+  });
+
+  it('closes every order with the id, nulls last', () => {
+    expect(buildDealsOrderBy('priceLow')).toEqual([
+      { normalizedSalePrice: { sort: 'asc', nulls: 'last' } },
+      { id: 'asc' },
+    ]);
+    expect(buildDealsOrderBy('searchRank')).toEqual([{ id: 'asc' }]);
+  });
+
+  it('orders offers cheapest first, unpriced last, then by id', () => {
+    const offers = [
+      { id: 'c', normalizedSalePrice: null },
+      { id: 'b', normalizedSalePrice: 50 },
+      { id: 'a', normalizedSalePrice: 50 },
+      { id: 'd', normalizedSalePrice: 40 },
+    ];
+
+    expect([...offers].sort(compareOffers).map(offer => offer.id)).toEqual(['d', 'a', 'b', 'c']);
+  });
+});
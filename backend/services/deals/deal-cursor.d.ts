@@ -0,0 +1,20 @@
+/**
+ * Type declarations for the deal cursors (services/deals/deal-cursor.js),
+ * so keyset paging can be exercised from the TypeScript test suite.
+ */
+
+export class InvalidCursorError extends Error {
+  constructor(message: string);
+}
+
+export interface DecodedCursor {
+  sortBy: string;
+  values: any[];
+  id: string;
+  asOf: Date;
+}
+
+export function encodeCursor(product: Record<string, any>, sortBy: string, asOf: Date): string;
+export function decodeCursor(cursor: unknown, sortBy: string): DecodedCursor;
+export function buildCursorWhere(cursor: DecodedCursor): { OR: Record<string, any>[] };
+export function isAfterCursor(row: Record<string, any>, cursor: DecodedCursor): boolean;
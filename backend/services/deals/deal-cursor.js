@@ -0,0 +1,157 @@
+/**
+ * Deal Cursors
+ *
+ * Opaque keyset cursors for /api/deals. A cursor records the sort option, the sort key
+ * values and id of the last deal on a page, and the time the browse started (`asOf`).
+ * The next page continues strictly after that deal, so products inserted by the
+ * scheduler mid-browse never shift later pages; filtering on `createdAt <= asOf`
+ * keeps totals and facets identical from page to page.
+ */
+
+const { SORT_KEYS } = require('./deal-filters');
+
+class InvalidCursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidCursorError';
+  }
+}
+
+/**
+ * Encode the position after `product` for a sort option
+ *
+ * @param {Object} product - Last product of the page (database row, plus computed keys)
+ * @param {string} sortBy - Resolved sort option the page was read with
+ * @param {Date} asOf - Start of the browse
+ * @returns {string} - base64url cursor
+ */
+function encodeCursor(product, sortBy, asOf) {
+  const keys = SORT_KEYS[sortBy];
+  const payload = {
+    s: sortBy,
+    v: keys.map(key => {
+      const value = product[key.field];
+      if (value === null || value === undefined) return null;
+      return key.type === 'date' ? new Date(value).toISOString() : value;
+    }),
+    id: product.id,
+    t: asOf.toISOString()
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Whether a decoded cursor value fits its sort key: an ISO date string for date keys,
+ * a finite number otherwise, and null only where the key is nullable
+ */
+function isValidKeyValue(key, value) {
+  if (value === null) return Boolean(key.nullable);
+  if (key.type === 'date') return typeof value === 'string' && !isNaN(new Date(value).getTime());
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Decode a cursor, checking it was issued for the same (resolved) sort option
+ *
+ * @throws {InvalidCursorError} if the cursor is malformed (including sort values of the
+ *   wrong type) or belongs to another sort
+ * @returns {Object} - { sortBy, values, id, asOf }
+ */
+function decodeCursor(cursor, sortBy) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new InvalidCursorError('Malformed cursor');
+  }
+
+  const keys = SORT_KEYS[sortBy];
+  const asOf = new Date(payload && payload.t);
+
+  if (!payload || typeof payload.id !== 'string' || !Array.isArray(payload.v) || isNaN(asOf.getTime())) {
+    throw new InvalidCursorError('Malformed cursor');
+  }
+  if (payload.s !== sortBy || payload.v.length !== keys.length) {
+    throw new InvalidCursorError(`Cursor was issued for sortBy=${payload.s}, not ${sortBy}`);
+  }
+  if (!payload.v.every((value, i) => isValidKeyValue(keys[i], value))) {
+    throw new InvalidCursorError('Malformed cursor');
+  }
+
+  return {
+    sortBy,
+    values: payload.v.map((value, i) =>
+      value !== null && keys[i].type === 'date' ? new Date(value) : value
+    ),
+    id: payload.id,
+    asOf
+  };
+}
+
+/**
+ * Condition for rows strictly after `value` on one sort key (nulls sort last)
+ */
+function afterKey(key, value) {
+  if (value === null) {
+    // Nothing sorts after null except other nulls, which the id tie-break handles
+    return null;
+  }
+
+  const condition = { [key.field]: { [key.direction === 'asc' ? 'gt' : 'lt']: value } };
+  return key.nullable
+    ? { OR: [condition, { [key.field]: null }] }
+    : condition;
+}
+
+/**
+ * Build the Prisma where clause selecting rows after a decoded cursor:
+ * (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ... OR (all equal AND id > cursor id)
+ */
+function buildCursorWhere(cursor) {
+  const keys = SORT_KEYS[cursor.sortBy];
+  const branches = [];
+
+  for (let i = 0; i <= keys.length; i++) {
+    const equal = keys.slice(0, i).map((key, j) => ({ [key.field]: cursor.values[j] }));
+    const after = i < keys.length
+      ? afterKey(keys[i], cursor.values[i])
+      : { id: { gt: cursor.id } };
+
+    if (after) {
+      branches.push({ AND: [...equal, after] });
+    }
+  }
+
+  return { OR: branches };
+}
+
+/**
+ * In-memory counterpart of buildCursorWhere, for sorts on computed keys
+ * (e.g. search rank) that cannot be expressed as a where clause
+ */
+function isAfterCursor(row, cursor) {
+  const keys = SORT_KEYS[cursor.sortBy];
+
+  for (let i = 0; i < keys.length; i++) {
+    const value = row[keys[i].field] ?? null;
+    const cursorValue = cursor.values[i];
+    if (value === cursorValue) continue;
+
+    // Nulls sort last in either direction
+    if (value === null) return true;
+    if (cursorValue === null) return false;
+
+    return keys[i].direction === 'asc' ? value > cursorValue : value < cursorValue;
+  }
+
+  return row.id > cursor.id;
+}
+
+module.exports = {
+  InvalidCursorError,
+  encodeCursor,
+  decodeCursor,
+  buildCursorWhere,
+  isAfterCursor
+};
@@ -0,0 +1,70 @@
+/**
+ * Type declarations for the deal filters (services/deals/deal-filters.js),
+ * so the where / orderBy builders can be exercised from the TypeScript test suite.
+ */
+
+export type SortOption = 'relevance' | 'priceLow' | 'priceHigh' | 'discountHigh' | 'dealScore' | 'newest';
+
+export interface SortKey {
+  field: string;
+  direction: 'asc' | 'desc';
+  nullable?: boolean;
+  type?: 'date';
+  computed?: boolean;
+}
+
+export interface DealFilters {
+  category?: string;
+  minDiscount?: string;
+  minPrice?: string;
+  maxPrice?: string;
+  brand?: string;
+  search?: string;
+  language?: string;
+  sortBy?: string;
+  region?: string;
+  currency?: string;
+  source?: string;
+  genders?: string;
+  retailers?: string;
+  smartCategories?: string;
+  bestValue?: string;
+  topDeal?: string;
+  priceDrop?: string;
+  includeExpired?: string;
+  matchedIds?: string[];
+}
+
+export interface DealConditions {
+  includeExpired: boolean;
+  genders: string[];
+  retailers: string[];
+  categories: string[];
+  sources: string[];
+  smartCategories: string[];
+  regions: string[];
+  minDiscount: number | null;
+  minPrice: number | null;
+  maxPrice: number | null;
+  brands: string[];
+  bestValue: boolean;
+  topDeal: boolean;
+  priceDrop: boolean;
+  matchedIds: string[] | null;
+}
+
+export const SORT_OPTIONS: SortOption[];
+export const SORT_KEYS: Record<string, SortKey[]>;
+export const SEARCH_RANK_SORT: 'searchRank';
+
+export function resolveSortBy(sortBy: string | undefined, search?: string): string;
+export function parseList(value: unknown): string[];
+export function parseDealFilters(query?: Record<string, any>): DealFilters;
+export function parseDealConditions(filters?: DealFilters): DealConditions;
+export function buildDealsWhere(filters?: DealFilters, now?: Date): { AND: Record<string, any>[] };
+export function buildDealsOrderBy(sortBy?: string): Record<string, any>[];
+export function compareOffers(
+  a: { id: string; normalizedSalePrice?: number | null },
+  b: { id: string; normalizedSalePrice?: number | null }
+): number;
+export function toDeal(product: Record<string, any>, options?: Record<string, any>): Record<string, any>;
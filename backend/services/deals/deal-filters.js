@@ -0,0 +1,318 @@
+/**
+ * Deal Filters
+ *
+ * Translates /api/deals query parameters into Prisma `where` / `orderBy` clauses,
+ * and database products into the deal shape the frontend renders.
+ */
+
+const { PRODUCT_CATEGORIES, PRODUCT_SOURCES } = require('../ingestion/product-schema');
+const { getCurrencyService } = require('../currency/currency-service');
+
+/**
+ * Split a comma-separated query value into a trimmed list
+ */
+function parseList(value) {
+  if (!value) return [];
+  return String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Pick the supported filter parameters out of an Express query object
+ */
+function parseDealFilters(query = {}) {
+  return {
+    category: query.category,
+    minDiscount: query.minDiscount,
+    minPrice: query.minPrice,
+    maxPrice: query.maxPrice,
+    brand: query.brand,
+    search: query.search,
+    language: query.lang,
+    sortBy: query.sortBy,
+    region: query.region,
+    currency: query.currency,
+    source: query.source,
+    // AI-powered filters
+    genders: query.genders,
+    retailers: query.retailers,
+    smartCategories: query.smartCategories,
+    bestValue: query.bestValue,
+    topDeal: query.topDeal,
+    priceDrop: query.priceDrop,
+    // Analytics: also unseen, stale, expired and archived products
+    includeExpired: query.includeExpired
+  };
+}
+
+/**
+ * Parse deal filters into the conditions a deal must meet. buildDealsWhere
+ * renders them for Prisma, deal-sql.js for raw SQL, so both match the same deals.
+ * minPrice / maxPrice are in the viewer's currency (see resolveViewerCurrency)
+ * and come back in the base currency, to compare with the normalized prices.
+ *
+ * @throws {UnsupportedCurrencyError} if a price filter comes with an unknown `currency`
+ */
+function parseDealConditions(filters = {}) {
+  const minDiscount = parseInt(filters.minDiscount, 10);
+  const minPrice = parseFloat(filters.minPrice);
+  const maxPrice = parseFloat(filters.maxPrice);
+  const currencyService = (minPrice > 0 || maxPrice > 0) ? getCurrencyService() : null;
+  const viewerCurrency = currencyService ? currencyService.resolveViewerCurrency(filters) : null;
+  // Always include GLOBAL products
+  const regions = filters.region ? [...new Set([...parseList(filters.region), 'GLOBAL'])] : [];
+
+  return {
+    includeExpired: filters.includeExpired === 'true',
+    genders: parseList(filters.genders),
+    retailers: parseList(filters.retailers),
+    categories: parseList(filters.category).filter(c => PRODUCT_CATEGORIES.includes(c)),
+    sources: parseList(filters.source).filter(s => PRODUCT_SOURCES.includes(s)),
+    smartCategories: parseList(filters.smartCategories),
+    regions,
+    minDiscount: minDiscount > 0 ? minDiscount : null,
+    minPrice: minPrice > 0 ? currencyService.toBase(minPrice, viewerCurrency) : null,
+    maxPrice: maxPrice > 0 ? currencyService.toBase(maxPrice, viewerCurrency) : null,
+    brands: parseList(filters.brand),
+    bestValue: filters.bestValue === 'true',
+    topDeal: filters.topDeal === 'true',
+    priceDrop: filters.priceDrop === 'true',
+    // Full-text matches, resolved from `search` by DealsService (see services/search)
+    matchedIds: filters.matchedIds || null
+  };
+}
+
+/**
+ * Build the Prisma where clause for a set of deal filters (see parseDealConditions).
+ * Only listed (active) deals match, unless `includeExpired` is 'true': then
+ * products in every lifecycle state do, except ones hidden by verification
+ * or quarantined.
+ *
+ * @throws {UnsupportedCurrencyError} if a price filter comes with an unknown `currency`
+ */
+function buildDealsWhere(filters = {}, now = new Date()) {
+  const conditions = parseDealConditions(filters);
+
+  const and = conditions.includeExpired
+    ? [{ OR: [{ isActive: true }, { lifecycleStatus: { not: 'active' } }] }, { quarantinedAt: null }]
+    : [
+      { isActive: true },
+      { OR: [{ expiresAt: null }, { expiresAt: { gt: now } }] }
+    ];
+
+  if (conditions.genders.length > 0) {
+    and.push({ gender: { in: conditions.genders } });
+  }
+  if (conditions.retailers.length > 0) {
+    and.push({ retailer: { in: conditions.retailers } });
+  }
+  if (conditions.categories.length > 0) {
+    and.push({ category: { in: conditions.categories } });
+  }
+  if (conditions.sources.length > 0) {
+    and.push({ source: { in: conditions.sources } });
+  }
+  if (conditions.smartCategories.length > 0) {
+    and.push({ smartCategories: { hasSome: conditions.smartCategories } });
+  }
+  if (conditions.regions.length > 0) {
+    and.push({ availableRegions: { hasSome: conditions.regions } });
+  }
+  if (conditions.minDiscount !== null) {
+    and.push({ discountPercentage: { gte: conditions.minDiscount } });
+  }
+  if (conditions.minPrice !== null) {
+    and.push({ normalizedSalePrice: { gte: conditions.minPrice } });
+  }
+  if (conditions.maxPrice !== null) {
+    and.push({ normalizedSalePrice: { lte: conditions.maxPrice } });
+  }
+  if (conditions.brands.length > 0) {
+    and.push({ OR: conditions.brands.map(brand => ({ brand: { contains: brand, mode: 'insensitive' } })) });
+  }
+
+  // Smart filters (AI-powered)
+  if (conditions.bestValue) {
+    and.push({ bestValue: true });
+  }
+  if (conditions.topDeal) {
+    and.push({ topDeal: true });
+  }
+  if (conditions.priceDrop) {
+    and.push({ isPriceDrop: true });
+  }
+
+  if (conditions.matchedIds) {
+    and.push({ id: { in: conditions.matchedIds } });
+  }
+
+  return { AND: and };
+}
+
+/**
+ * Sort keys per sort option, most significant first.
+ * Every order is closed with `id asc` so it is total and stable between requests,
+ * which is what keyset cursors (see deal-cursor.js) rely on.
+ * `nullable` keys sort their nulls last.
+ */
+const SORT_KEYS = {
+  relevance: [
+    { field: 'popularityScore', direction: 'desc' },
+    { field: 'discountPercentage', direction: 'desc' }
+  ],
+  // Normalized, so prices in different currencies compare; null when the currency has no rate
+  priceLow: [{ field: 'normalizedSalePrice', direction: 'asc', nullable: true }],
+  priceHigh: [{ field: 'normalizedSalePrice', direction: 'desc', nullable: true }],
+  discountHigh: [{ field: 'discountPercentage', direction: 'desc' }],
+  dealScore: [{ field: 'dealScore', direction: 'desc', nullable: true }],
+  // createdAt rather than updatedAt: re-scraped products keep their place while browsing
+  newest: [{ field: 'createdAt', direction: 'desc', type: 'date' }]
+};
+
+const SORT_OPTIONS = Object.keys(SORT_KEYS);
+
+// `relevance` while searching: full-text rank, computed per query rather than stored
+const SEARCH_RANK_SORT = 'searchRank';
+SORT_KEYS[SEARCH_RANK_SORT] = [{ field: 'searchRank', direction: 'desc', computed: true }];
+
+/**
+ * Resolve a sort option, falling back to relevance for unknown values.
+ * Relevance means search rank when there is a search query.
+ */
+function resolveSortBy(sortBy, search) {
+  const option = SORT_OPTIONS.includes(sortBy) ? sortBy : 'relevance';
+  return option === 'relevance' && search ? SEARCH_RANK_SORT : option;
+}
+
+/**
+ * Build the Prisma orderBy clause for a sort option
+ */
+function buildDealsOrderBy(sortBy = 'relevance') {
+  const keys = SORT_KEYS[sortBy] || SORT_KEYS.relevance;
+
+  return [
+    ...keys.filter(key => !key.computed).map(key => ({
+      [key.field]: key.nullable ? { sort: key.direction, nulls: 'last' } : key.direction
+    })),
+    { id: 'asc' }
+  ];
+}
+
+/**
+ * Order offers of one canonical product: cheapest (normalized) first, unpriced last, then by id
+ */
+function compareOffers(a, b) {
+  const priceA = a.normalizedSalePrice ?? Infinity;
+  const priceB = b.normalizedSalePrice ?? Infinity;
+  if (priceA !== priceB) return priceA - priceB;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Prices of a product in the viewer's currency, or null when it is already
+ * priced in it (or either currency has no rate)
+ */
+function convertPrices(product, viewerCurrency) {
+  const currencyService = getCurrencyService();
+
+  if (!viewerCurrency || viewerCurrency === product.currency ||
+      !currencyService.supports(product.currency) || !currencyService.supports(viewerCurrency)) {
+    return null;
+  }
+
+  return {
+    currency: viewerCurrency,
+    salePrice: currencyService.convert(product.salePrice, product.currency, viewerCurrency),
+    originalPrice: currencyService.convert(product.originalPrice, product.currency, viewerCurrency),
+    rateDate: currencyService.rateDate
+  };
+}
+
+/**
+ * One retailer's offer for a deal's canonical product
+ */
+function toOffer(product, viewerCurrency) {
+  const attributes = product.attributes || {};
+
+  return {
+    id: product.id,
+    retailer: product.retailer || product.brand,
+    salePrice: product.salePrice,
+    originalPrice: product.originalPrice,
+    discount: product.discountPercentage,
+    currency: product.currency,
+    converted: convertPrices(product, viewerCurrency),
+    url: product.productUrl,
+    affiliateUrl: attributes.affiliateUrl || product.productUrl
+  };
+}
+
+/**
+ * Map a database product to a Deal - the one deal shape every endpoint serves
+ * (/api/deals, /api/search, /api/me/saved, /api/featured; documented in API.md)
+ *
+ * @param {Object} product - Database product
+ * @param {Object} options - { currency, offers, translation }: the viewer's currency, for `converted`,
+ *   the canonical product's offers cheapest first (default: just this product), and the
+ *   stored translation to show the name and description in (default: the original)
+ */
+function toDeal(product, options = {}) {
+  const attributes = product.attributes || {};
+  const offers = options.offers || [product];
+  const translation = options.translation;
+
+  return {
+    id: product.id,
+    name: translation ? translation.name : product.name,
+    description: translation ? translation.description : (product.description || null),
+    language: translation ? translation.language : (product.sourceLanguage || null),
+    brand: product.brand,
+    retailer: product.retailer || product.brand,
+    merchantName: product.retailer || product.brand,
+    category: product.category,
+    originalPrice: product.originalPrice,
+    salePrice: product.salePrice,
+    discount: product.discountPercentage,
+    currency: product.currency,
+    converted: convertPrices(product, options.currency),
+    image: product.imageUrl,
+    url: product.productUrl,
+    affiliateUrl: attributes.affiliateUrl || product.productUrl,
+    source: product.source,
+    regions: product.availableRegions,
+    gender: product.gender || 'unisex',
+    smartCategories: product.smartCategories || [],
+    dealScore: product.dealScore,
+    bestValue: product.bestValue,
+    topDeal: product.topDeal,
+    priceDrop: product.isPriceDrop,
+    priceSignal: {
+      dropPercent: product.priceDropPercent,
+      lowestPrice: product.lowestPrice,
+      lastPriceChangeAt: product.lastPriceChangeAt
+    },
+    confidenceScore: product.confidenceScore,
+    isNew: product.isNew,
+    lifecycleStatus: product.lifecycleStatus,
+    expiresAt: product.expiresAt || null,
+    canonicalId: product.canonicalProductId || null,
+    offers: offers.map(offer => toOffer(offer, options.currency)),
+    lastUpdated: product.updatedAt
+  };
+}
+
+module.exports = {
+  SORT_OPTIONS,
+  SORT_KEYS,
+  SEARCH_RANK_SORT,
+  resolveSortBy,
+  parseList,
+  parseDealFilters,
+  parseDealConditions,
+  buildDealsWhere,
+  buildDealsOrderBy,
+  compareOffers,
+  toDeal
+};
@@ -0,0 +1,183 @@
+const { Prisma } = require('@prisma/client');
+const { parseDealConditions, SORT_KEYS } = require('./deal-filters');
+
+/**
+ * Deal Filters in SQL
+ *
+ * The conditions of buildDealsWhere (see parseDealConditions), the sort orders of
+ * buildDealsOrderBy and the cursor positions of buildCursorWhere as raw SQL on
+ * `products p`, for queries Prisma cannot express.
+ */
+
+/**
+ * Escape LIKE wildcards, as Prisma does for `contains`
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Quoted column of the products table under an alias
+ */
+function column(alias, field) {
+  return Prisma.raw(`${alias}."${field}"`);
+}
+
+/**
+ * SQL condition on `products p` matching the same deals as buildDealsWhere
+ *
+ * @param {string} alias - Alias of the products table the condition applies to
+ * @throws {UnsupportedCurrencyError} if a price filter comes with an unknown `currency`
+ */
+function buildDealsSql(filters = {}, now = new Date(), alias = 'p') {
+  const conditions = parseDealConditions(filters);
+  const p = Prisma.raw(alias);
+
+  const and = conditions.includeExpired
+    ? [Prisma.sql`(${p}."isActive" = true OR ${p}."lifecycleStatus" <> 'active')`, Prisma.sql`${p}."quarantinedAt" IS NULL`]
+    : [Prisma.sql`${p}."isActive" = true`, Prisma.sql`(${p}."expiresAt" IS NULL OR ${p}."expiresAt" > ${now})`];
+
+  if (conditions.genders.length > 0) {
+    and.push(Prisma.sql`${p}.gender IN (${Prisma.join(conditions.genders)})`);
+  }
+  if (conditions.retailers.length > 0) {
+    and.push(Prisma.sql`${p}.retailer IN (${Prisma.join(conditions.retailers)})`);
+  }
+  if (conditions.categories.length > 0) {
+    and.push(Prisma.sql`${p}.category::text IN (${Prisma.join(conditions.categories)})`);
+  }
+  if (conditions.sources.length > 0) {
+    and.push(Prisma.sql`${p}.source::text IN (${Prisma.join(conditions.sources)})`);
+  }
+  if (conditions.smartCategories.length > 0) {
+    and.push(Prisma.sql`${p}."smartCategories" && ARRAY[${Prisma.join(conditions.smartCategories)}]::text[]`);
+  }
+  if (conditions.regions.length > 0) {
+    and.push(Prisma.sql`${p}."availableRegions" && ARRAY[${Prisma.join(conditions.regions)}]::text[]`);
+  }
+  if (conditions.minDiscount !== null) {
+    and.push(Prisma.sql`${p}."discountPercentage" >= ${conditions.minDiscount}`);
+  }
+  if (conditions.minPrice !== null) {
+    and.push(Prisma.sql`${p}."normalizedSalePrice" >= ${conditions.minPrice}`);
+  }
+  if (conditions.maxPrice !== null) {
+    and.push(Prisma.sql`${p}."normalizedSalePrice" <= ${conditions.maxPrice}`);
+  }
+  if (conditions.brands.length > 0) {
+    const brands = conditions.brands.map(brand => Prisma.sql`${p}.brand ILIKE ${`%${escapeLike(brand)}%`}`);
+    and.push(Prisma.sql`(${Prisma.join(brands, ' OR ')})`);
+  }
+
+  // Smart filters (AI-powered)
+  if (conditions.bestValue) {
+    and.push(Prisma.sql`${p}."bestValue" = true`);
+  }
+  if (conditions.topDeal) {
+    and.push(Prisma.sql`${p}."topDeal" = true`);
+  }
+  if (conditions.priceDrop) {
+    and.push(Prisma.sql`${p}."isPriceDrop" = true`);
+  }
+
+  if (conditions.matchedIds) {
+    and.push(conditions.matchedIds.length > 0
+      ? Prisma.sql`${p}.id IN (${Prisma.join(conditions.matchedIds)})`
+      : Prisma.sql`false`);
+  }
+
+  return Prisma.join(and, ' AND ');
+}
+
+/**
+ * SQL condition on `products p` keeping one deal per canonical product: its cheapest
+ * offer matching the same filters and created by `asOf`. Offers rank in the order of
+ * compareOffers (unpriced last, then ids in byte order, like JavaScript compares them).
+ * Listings without a canonical product are always kept.
+ */
+function buildCheapestOfferSql(filters, asOf, now = new Date()) {
+  return Prisma.sql`(p."canonicalProductId" IS NULL OR NOT EXISTS (
+    SELECT 1
+    FROM products o
+    WHERE o."canonicalProductId" = p."canonicalProductId"
+      AND o.id <> p.id
+      AND o."createdAt" <= ${asOf}
+      AND ${buildDealsSql(filters, now, 'o')}
+      AND (
+        o."normalizedSalePrice" < p."normalizedSalePrice"
+        OR (o."normalizedSalePrice" IS NOT NULL AND p."normalizedSalePrice" IS NULL)
+        OR (o."normalizedSalePrice" IS NOT DISTINCT FROM p."normalizedSalePrice" AND o.id COLLATE "C" < p.id COLLATE "C")
+      )
+  ))`;
+}
+
+/**
+ * SQL condition on `products p` for the deals listed while browsing: matching the
+ * filters, created by `asOf`, and the cheapest offer of their canonical product
+ */
+function buildListedDealsSql(filters, asOf, now = new Date()) {
+  return Prisma.sql`${buildDealsSql(filters, now)}
+    AND p."createdAt" <= ${asOf}
+    AND ${buildCheapestOfferSql(filters, asOf, now)}`;
+}
+
+/**
+ * SQL ORDER BY list for a sort option, the same order as buildDealsOrderBy
+ */
+function buildOrderBySql(sortBy = 'relevance') {
+  const keys = SORT_KEYS[sortBy] || SORT_KEYS.relevance;
+
+  return Prisma.join([
+    ...keys.filter(key => !key.computed).map(key =>
+      Prisma.raw(`p."${key.field}" ${key.direction.toUpperCase()}${key.nullable ? ' NULLS LAST' : ''}`)),
+    Prisma.sql`p.id ASC`
+  ]);
+}
+
+/**
+ * SQL condition on `products p` for rows after a decoded cursor, the same rows as
+ * buildCursorWhere: (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ... OR (all equal AND id > cursor id)
+ */
+function buildCursorSql(cursor) {
+  const keys = SORT_KEYS[cursor.sortBy];
+  const branches = [];
+
+  for (let i = 0; i <= keys.length; i++) {
+    const equal = keys.slice(0, i).map((key, j) => cursor.values[j] === null
+      ? Prisma.sql`${column('p', key.field)} IS NULL`
+      : Prisma.sql`${column('p', key.field)} = ${cursor.values[j]}`);
+    const after = i < keys.length
+      ? afterKeySql(keys[i], cursor.values[i])
+      : Prisma.sql`p.id > ${cursor.id}`;
+
+    if (after) {
+      branches.push(Prisma.sql`(${Prisma.join([...equal, after], ' AND ')})`);
+    }
+  }
+
+  return Prisma.sql`(${Prisma.join(branches, ' OR ')})`;
+}
+
+/**
+ * Condition for rows strictly after `value` on one sort key (nulls sort last)
+ */
+function afterKeySql(key, value) {
+  // Nothing sorts after null except other nulls, which the id tie-break handles
+  if (value === null) return null;
+
+  const field = column('p', key.field);
+  const condition = key.direction === 'asc'
+    ? Prisma.sql`${field} > ${value}`
+    : Prisma.sql`${field} < ${value}`;
+  return key.nullable
+    ? Prisma.sql`(${condition} OR ${field} IS NULL)`
+    : condition;
+}
+
+module.exports = {
+  buildDealsSql,
+  buildCheapestOfferSql,
+  buildListedDealsSql,
+  buildOrderBySql,
+  buildCursorSql
+};
@@ -0,0 +1,385 @@
+const prisma = require('../../db/client');
+const { Prisma } = require('@prisma/client');
+const { buildDealsWhere, resolveSortBy, compareOffers, toDeal, SEARCH_RANK_SORT } = require('./deal-filters');
+const { encodeCursor, decodeCursor, isAfterCursor } = require('./deal-cursor');
+const { buildDealsSql, buildListedDealsSql, buildOrderBySql, buildCursorSql } = require('./deal-sql');
+const { SearchService } = require('../search/search-service');
+const { getCurrencyService } = require('../currency/currency-service');
+const { TRANSLATION_LANGUAGES } = require('../translation/product-translations');
+
+/**
+ * Deals Service
+ *
+ * Serves deals, filter options, retailer counts and stats straight from Postgres,
+ * so filtering, sorting and paging scale with the catalogue instead of memory.
+ */
+class DealsService {
+  constructor(prismaClient = prisma, currencyService = getCurrencyService()) {
+    this.prisma = prismaClient.default || prismaClient;
+    this.search = new SearchService(this.prisma);
+    this.currency = currencyService;
+  }
+
+  /**
+   * Find one page of deals matching the filters, with facet counts for the same filters.
+   * With a `search` query, matches come from full-text search, `relevance` orders by
+   * search rank, and each deal carries its rank and highlighted snippets.
+   * Prices are filtered, sorted and converted in the viewer's currency
+   * (`currency`, else the region's). Listings of the same canonical product are
+   * one deal: its cheapest matching offer, carrying every offer in the region.
+   * With a `language`, names and descriptions come from stored translations
+   * where the product has one.
+   *
+   * @param {Object} filters - Parsed filters (see parseDealFilters)
+   * @param {Object} paging - { cursor, limit }
+   * @returns {Object} - { deals, total, hasMore, nextCursor, facets, lastUpdated }
+   * @throws {InvalidCursorError} if the cursor is malformed or was issued for another sort
+   * @throws {UnsupportedCurrencyError} if `currency` has no exchange rate
+   */
+  async findDeals(filters = {}, paging = {}) {
+    const { cursor, limit = 50 } = paging;
+    const currency = this.currency.resolveViewerCurrency(filters);
+    const sortBy = resolveSortBy(filters.sortBy, filters.search);
+    const position = cursor ? decodeCursor(cursor, sortBy) : null;
+    const asOf = position ? position.asOf : new Date();
+
+    const ranks = filters.search
+      ? await this.search.rankProducts(filters.search, { language: filters.language })
+      : null;
+
+    // Products created after the browse started wait for the next first page
+    const listed = buildListedDealsSql(
+      { ...filters, matchedIds: ranks ? [...ranks.keys()] : undefined },
+      asOf
+    );
+
+    const [rows, [{ total }], facets, latest] = await Promise.all([
+      sortBy === SEARCH_RANK_SORT
+        ? this.findRankedPage(listed, ranks, position, limit + 1)
+        : this.findPage(listed, sortBy, position, limit + 1),
+      this.prisma.$queryRaw`SELECT COUNT(*)::int AS total FROM products p WHERE ${listed}`,
+      this.getFacets(listed, currency),
+      this.prisma.product.aggregate({ where: { isActive: true }, _max: { updatedAt: true } })
+    ]);
+
+    const hasMore = rows.length > limit;
+    const products = hasMore ? rows.slice(0, limit) : rows;
+    const [offers, translations] = await Promise.all([
+      this.getOffers(products, filters.region),
+      this.getTranslations(products, filters.language)
+    ]);
+    let deals = products.map(product => toDeal(product, {
+      currency,
+      offers: offers.get(product.id),
+      translation: translations.get(product.id)
+    }));
+
+    if (ranks) {
+      const highlights = await this.search.getHighlights(
+        products.map(product => product.id),
+        filters.search,
+        { language: filters.language }
+      );
+      deals = deals.map(deal => ({
+        ...deal,
+        relevance: ranks.get(deal.id),
+        highlight: highlights.get(deal.id) || null
+      }));
+    }
+
+    return {
+      deals,
+      total: Number(total),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(products[products.length - 1], sortBy, asOf) : null,
+      facets,
+      lastUpdated: latest._max.updatedAt
+    };
+  }
+
+  /**
+   * Active offers in the region for each product's canonical product, cheapest first
+   *
+   * @returns {Map} - product id -> offers (products without a canonical product are absent)
+   */
+  async getOffers(products, region) {
+    const canonicalIds = [...new Set(products.map(product => product.canonicalProductId).filter(Boolean))];
+    if (canonicalIds.length === 0) return new Map();
+
+    const rows = await this.prisma.product.findMany({
+      where: { AND: [buildDealsWhere({ region }), { canonicalProductId: { in: canonicalIds } }] }
+    });
+
+    const byCanonical = new Map();
+    rows.sort(compareOffers).forEach(row => {
+      byCanonical.set(row.canonicalProductId, [...(byCanonical.get(row.canonicalProductId) || []), row]);
+    });
+
+    return new Map(products
+      .filter(product => byCanonical.has(product.canonicalProductId))
+      .map(product => [product.id, byCanonical.get(product.canonicalProductId)]));
+  }
+
+  /**
+   * Stored translations of products in a language (see services/translation/product-translations.js)
+   *
+   * @returns {Map} - product id -> { language, name, description } (untranslated products are absent)
+   */
+  async getTranslations(products, language) {
+    const code = String(language || '').toLowerCase().slice(0, 2);
+    if (!TRANSLATION_LANGUAGES.includes(code) || products.length === 0) return new Map();
+
+    const rows = await this.prisma.translation.findMany({
+      where: { language: code, productId: { in: products.map(product => product.id) } },
+      select: { productId: true, language: true, name: true, description: true }
+    });
+
+    return new Map(rows.map(({ productId, ...translation }) => [productId, translation]));
+  }
+
+  /**
+   * One page of deals in a stored sort order, after the cursor position
+   */
+  async findPage(condition, sortBy, position, take) {
+    const rows = await this.prisma.$queryRaw`
+      SELECT p.id
+      FROM products p
+      WHERE ${condition}
+        AND ${position ? buildCursorSql(position) : Prisma.sql`true`}
+      ORDER BY ${buildOrderBySql(sortBy)}
+      LIMIT ${take}
+    `;
+
+    return this.findByIds(rows.map(row => row.id));
+  }
+
+  /**
+   * One page of search matches ordered by rank. Rank is computed per query, so the
+   * order and cursor are applied in memory over the (capped) matching ids.
+   */
+  async findRankedPage(condition, ranks, position, take) {
+    const candidates = await this.prisma.$queryRaw`SELECT p.id FROM products p WHERE ${condition}`;
+
+    const pageIds = candidates
+      .map(({ id }) => ({ id, searchRank: ranks.get(id) }))
+      .filter(entry => !position || isAfterCursor(entry, position))
+      .sort((a, b) => b.searchRank - a.searchRank || (a.id < b.id ? -1 : 1))
+      .slice(0, take)
+      .map(entry => entry.id);
+
+    const rows = await this.findByIds(pageIds);
+    return rows.map(row => ({ ...row, searchRank: ranks.get(row.id) }));
+  }
+
+  /**
+   * Products by id, in the order of `ids` (ids deleted meanwhile are skipped)
+   */
+  async findByIds(ids) {
+    if (ids.length === 0) return [];
+
+    const rows = await this.prisma.product.findMany({ where: { id: { in: ids } } });
+    const byId = new Map(rows.map(row => [row.id, row]));
+
+    return ids.filter(id => byId.has(id)).map(id => byId.get(id));
+  }
+
+  /**
+   * Facet counts for an SQL condition on `products p` (see deal-sql.js): categories,
+   * brands, retailers, genders, smart filters and price range (in `currency`,
+   * default: the base currency)
+   */
+  async getFacets(condition = buildDealsSql(), currency = this.currency.base) {
+    const [categories, brands, retailers, genders, [totals]] = await Promise.all([
+      this.countBy(Prisma.sql`p.category::text`, condition),
+      this.countBy(Prisma.sql`p.brand`, condition),
+      this.getRetailerCounts(condition),
+      this.getGenderCounts(condition),
+      this.prisma.$queryRaw`
+        SELECT COUNT(*) FILTER (WHERE p."bestValue")::int AS "bestValue",
+               COUNT(*) FILTER (WHERE p."topDeal")::int AS "topDeal",
+               COUNT(*) FILTER (WHERE p."isPriceDrop")::int AS "priceDrop",
+               MIN(p."normalizedSalePrice") AS "minPrice",
+               MAX(p."normalizedSalePrice") AS "maxPrice"
+        FROM products p
+        WHERE ${condition}
+      `
+    ]);
+
+    return {
+      categories,
+      brands,
+      retailers,
+      genders,
+      smartFilters: {
+        bestValue: Number(totals.bestValue),
+        topDeal: Number(totals.topDeal),
+        priceDrop: Number(totals.priceDrop)
+      },
+      priceRange: {
+        min: this.currency.fromBase(totals.minPrice || 0, currency),
+        max: this.currency.fromBase(totals.maxPrice || 0, currency),
+        currency
+      }
+    };
+  }
+
+  /**
+   * Deals per value of a column, most deals first
+   *
+   * @param {Prisma.Sql} value - Column or expression on `products p`
+   * @param {Prisma.Sql} condition - SQL condition on `products p` (see deal-sql.js)
+   * @returns {Object[]} - [{ name, count }]
+   */
+  async countBy(value, condition) {
+    const rows = await this.prisma.$queryRaw`
+      SELECT ${value} AS name, COUNT(*)::int AS count
+      FROM products p
+      WHERE ${condition}
+      GROUP BY 1
+      ORDER BY count DESC
+    `;
+
+    return rows.map(row => ({ name: row.name, count: Number(row.count) }));
+  }
+
+  /**
+   * Active deals per retailer, most deals first
+   */
+  async getRetailerCounts(condition = buildDealsSql()) {
+    const counts = await this.countBy(Prisma.sql`p.retailer`, condition);
+    return counts.map(({ name, count }) => ({ name: name || 'Unknown', count }));
+  }
+
+  /**
+   * Active deals per gender
+   */
+  async getGenderCounts(condition = buildDealsSql()) {
+    const groups = await this.countBy(Prisma.sql`p.gender`, condition);
+
+    const counts = { men: 0, women: 0, kids: 0, unisex: 0 };
+    groups.forEach(({ name, count }) => {
+      const gender = name || 'unisex';
+      counts[gender] = (counts[gender] || 0) + count;
+    });
+    return counts;
+  }
+
+  /**
+   * Active deals per smart category (array column, so counted in SQL)
+   */
+  async getSmartCategoryCounts() {
+    const rows = await this.prisma.$queryRaw`
+      SELECT category AS name, COUNT(*)::int AS count
+      FROM products p, unnest(p."smartCategories") AS category
+      WHERE ${buildDealsSql()}
+      GROUP BY category
+      ORDER BY count DESC
+    `;
+
+    return rows.map(row => ({ name: row.name, count: Number(row.count) }));
+  }
+
+  /**
+   * Filter options for the deals UI: the unfiltered facets plus smart categories
+   */
+  async getFilterOptions() {
+    const [facets, smartCategories] = await Promise.all([
+      this.getFacets(),
+      this.getSmartCategoryCounts()
+    ]);
+
+    return { ...facets, smartCategories };
+  }
+
+  /**
+   * Active deals per region (array column, so counted in SQL)
+   */
+  async getRegionCounts() {
+    const rows = await this.prisma.$queryRaw`
+      SELECT region AS code, COUNT(*)::int AS count
+      FROM products p, unnest(p."availableRegions") AS region
+      WHERE ${buildDealsSql()}
+      GROUP BY region
+      ORDER BY count DESC
+    `;
+
+    return rows.map(row => ({ code: row.code, count: Number(row.count) }));
+  }
+
+  /**
+   * One active deal by id
+   *
+   * @param {string} id - Product id
+   * @param {Object} viewer - { currency, region } to convert prices for and list offers in,
+   *   language for the name and description, and includeExpired ('true' to also find
+   *   products that are no longer listed)
+   * @returns {Object|null} - Deal (see toDeal), or null if unknown or inactive
+   * @throws {UnsupportedCurrencyError} if `currency` has no exchange rate
+   */
+  async findDeal(id, viewer = {}) {
+    const currency = this.currency.resolveViewerCurrency(viewer);
+    const product = await this.prisma.product.findFirst({
+      where: { AND: [buildDealsWhere({ includeExpired: viewer.includeExpired }), { id }] }
+    });
+    if (!product) return null;
+
+    const [offers, translations] = await Promise.all([
+      this.getOffers([product], viewer.region),
+      this.getTranslations([product], viewer.language)
+    ]);
+    return toDeal(product, {
+      currency,
+      offers: offers.get(product.id),
+      translation: translations.get(product.id)
+    });
+  }
+
+  /**
+   * Catalogue statistics for a set of deal filters (e.g. { region })
+   */
+  async getStats(filters = {}) {
+    const where = buildDealsWhere(filters);
+
+    const [summary, byRetailer, byCategory] = await Promise.all([
+      this.prisma.product.aggregate({
+        where,
+        _count: { _all: true },
+        _avg: { discountPercentage: true },
+        _max: { discountPercentage: true, updatedAt: true }
+      }),
+      this.getRetailerCounts(buildDealsSql(filters)),
+      this.prisma.product.groupBy({
+        by: ['category'],
+        where,
+        _count: { _all: true }
+      })
+    ]);
+
+    return {
+      totalDeals: summary._count._all,
+      avgDiscount: Math.round(summary._avg.discountPercentage || 0),
+      highestDiscount: summary._max.discountPercentage || 0,
+      lastUpdated: summary._max.updatedAt,
+      byRetailer: Object.fromEntries(byRetailer.map(({ name, count }) => [name, count])),
+      byCategory: Object.fromEntries(byCategory.map(group => [group.category, group._count._all]))
+    };
+  }
+}
+
+// Singleton instance
+let serviceInstance = null;
+
+/**
+ * Get or create deals service instance
+ */
+function getDealsService() {
+  if (!serviceInstance) {
+    serviceInstance = new DealsService();
+  }
+  return serviceInstance;
+}
+
+module.exports = {
+  DealsService,
+  getDealsService
+};
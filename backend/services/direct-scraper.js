@@ -1,5 +1,6 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { removeDuplicateListings } = require('./matching/match-keys');
 
 /**
  * Direct Web Scraper - Scrapes actual sale pages from fashion retailers
@@ -343,16 +344,12 @@ class DirectScraper {
     }
   }
 
+  /**
+   * Drop repeated listings from the same retailer; the same product at other
+   * retailers is kept and grouped into offers at ingestion
+   */
   removeDuplicates(products) {
-    const seen = new Set();
-    return products.filter(product => {
-      const key = product.url || `${product.name}-${product.salePrice}`;
-      if (seen.has(key)) {
-        return false;
-      }
-      seen.add(key);
-      return true;
-    });
+    return removeDuplicateListings(products);
   }
 
   delay(ms) {
@@ -8,6 +8,7 @@ const path = require('path');
 const Papa = require('papaparse');
 const xml2js = require('xml2js');
 const axios = require('axios');
+const { getIngestionPipeline, logIngestionResult } = require('./ingestion');
 
 const PRODUCTS_FILE = path.join(__dirname, '../data/products.json');
 const FEEDS_DIR = path.join(__dirname, '../data/feeds');
@@ -225,6 +226,10 @@ async function importAllFeeds() {
         const filePath = path.join(FEEDS_DIR, feedFile);
         
         const products = await importFeedFromFile(filePath, merchantId);
+
+        // Salva nel database tramite la pipeline di ingestion unificata
+        const result = await getIngestionPipeline().ingest(products, { origin: 'feed' });
+        logIngestionResult(`Feed ${merchantId}`, result);
         
         // Rimuovi prodotti vecchi dello stesso merchant
         allProducts = allProducts.filter(p => p.merchant !== merchantId);
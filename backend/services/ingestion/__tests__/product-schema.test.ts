@@ -0,0 +1,143 @@
+import { canonicalizeUrl, normalizeProduct, parsePrice } from '../product-schema';
+
+function record(overrides: Record<string, unknown> = {}) {
+  return {
+    name: '  Air Max   90 ',
+    brand: 'Nike',
+    url: 'https://www.nike.com/t/air-max-90?utm_source=feed',
+    salePrice: '£89.99',
+    originalPrice: 129.99,
+    currency: 'gbp',
+    availableRegions: ['uk'],
+    image: 'https://static.nike.com/air-max-90.jpg',
+    source: 'nike',
+    ...overrides,
+  };
+}
+
+describe('parsePrice', () => {
+  it('keeps finite numbers', () => {
+    expect(parsePrice(45)).toBe(45);
+    expect(parsePrice(NaN)).toBeNull();
+    expect(parsePrice(Infinity)).toBeNull();
+  });
+
+  it('reads decimal commas and points', () => {
+    expect(parsePrice('£45.00')).toBe(45);
+    expect(parsePrice('45,99 €')).toBe(45.99);
+    expect(parsePrice('12,5')).toBe(12.5);
+  });
+
+  it('reads thousands separators', () => {
+    expect(parsePrice('1.299,00')).toBe(1299);
+    expect(parsePrice('1,299.00')).toBe(1299);
+    expect(parsePrice('1.299 €')).toBe(1299);
+    expect(parsePrice('$1,299')).toBe(1299);
+    expect(parsePrice('1.234.567,89')).toBe(1234567.89);
+  });
+
+  it('returns null for anything else', () => {
+    expect(parsePrice('free')).toBeNull();
+    expect(parsePrice('')).toBeNull();
+    expect(parsePrice(null)).toBeNull();
+    expect(parsePrice({ amount: 10 })).toBeNull();
+  });
+});
+
+describe('canonicalizeUrl', () => {
+  it('drops www, the fragment, trailing slashes and tracking parameters', () => {
+    expect(canonicalizeUrl('http://WWW.Nike.com/t/air-max-90/?utm_source=x&gclid=1&ref=home#reviews'))
+      .toBe('https://nike.com/t/air-max-90');
+  });
+
+  it('keeps identifying parameters, sorted', () => {
+    expect(canonicalizeUrl('https://www2.hm.com/product?size=M&id=0713995&fbclid=abc'))
+      .toBe('https://www2.hm.com/product?id=0713995&size=M');
+  });
+
+  it('gives the same key to the same product', () => {
+    expect(canonicalizeUrl('https://nike.com/?b=2&a=1')).toBe(canonicalizeUrl('https://www.nike.com?a=1&b=2'));
+  });
+});
+
+describe('normalizeProduct', () => {
+  it('normalizes a valid record onto the Product model', () => {
+    const { valid, product, errors } = normalizeProduct(record());
+
+    expect(valid).toBe(true);
+    expect(errors).toEqual([]);
+    expect(product).toMatchObject({
+      ingestKey: 'https://nike.com/t/air-max-90',
+      name: 'Air Max 90',
+      brand: 'Nike',
+      category: 'other',
+      source: 'nike',
+      salePrice: 89.99,
+      originalPrice: 129.99,
+      discountPercentage: 31,
+      currency: 'GBP',
+      availableRegions: ['UK'],
+      productUrl: 'https://www.nike.com/t/air-max-90?utm_source=feed',
+      imageUrl: 'https://static.nike.com/air-max-90.jpg',
+      attributes: { rawSource: 'nike' },
+    });
+  });
+
+  it('reads feed and API field names and applies defaults', () => {
+    const { product } = normalizeProduct({
+      name: 'Running Shoe',
+      merchantName: 'JD Sports',
+      affiliateUrl: 'https://www.jdsports.co.uk/product/123',
+      salePrice: 40,
+      images: ['https://img.jdsports.co.uk/123.jpg'],
+      discount: '20',
+    }, { source: 'footlocker', currency: 'GBP', availableRegions: ['UK'] });
+
+    expect(product).toMatchObject({
+      brand: 'JD Sports',
+      retailer: 'JD Sports',
+      category: 'shoes',
+      source: 'footlocker',
+      originalPrice: 40,
+      discountPercentage: 20,
+      currency: 'GBP',
+      availableRegions: ['UK'],
+      imageUrl: 'https://img.jdsports.co.uk/123.jpg',
+    });
+  });
+
+  it('accepts a single region as a string', () => {
+    expect(normalizeProduct(record({ availableRegions: 'it' })).product!.availableRegions).toEqual(['IT']);
+  });
+
+  it('reports every problem of an invalid record', () => {
+    const { valid, product, errors } = normalizeProduct({
+      name: '',
+      url: 'ftp://nike.com/shoe',
+      salePrice: 120,
+      originalPrice: 100,
+      currency: 'euro',
+      availableRegions: ['EU', 'MARS'],
+      image: 'not a url',
+    });
+
+    expect(valid).toBe(false);
+    expect(product).toBeNull();
+    expect(errors).toEqual([
+      'name is required',
+      'brand is required',
+      'productUrl is not a valid http(s) URL: ftp://nike.com/shoe',
+      'salePrice (120) exceeds originalPrice (100)',
+      'currency must be an ISO 4217 code: EURO',
+      'unknown regions: MARS',
+      'imageUrl is not a valid http(s) URL: not a url',
+    ]);
+  });
+
+  it('rejects records that are not objects and malformed regions without throwing', () => {
+    expect(normalizeProduct(null).errors).toEqual(['Record is not an object']);
+    expect(normalizeProduct(record({ availableRegions: { uk: true } })).errors)
+      .toEqual(['availableRegions must be a region code or a list of region codes']);
+    expect(normalizeProduct(record({ salePrice: 'free' })).errors).toEqual(['salePrice must be a positive number']);
+  });
+});
@@ -0,0 +1,82 @@
+import { IngestionPipeline, NormalizedProduct } from '../index';
+
+jest.mock('../../../db/client', () => ({}));
+
+const currency = { normalizePrices: () => ({}) };
+
+function product(salePrice: number, overrides: Partial<NormalizedProduct> = {}): NormalizedProduct {
+  return {
+    ingestKey: `https://shop.example/p/${salePrice}`,
+    name: 'Runner',
+    brand: 'Acme',
+    category: 'shoes',
+    source: 'feed',
+    originalPrice: salePrice * 2,
+    salePrice,
+    discountPercentage: 50,
+    currency: 'EUR',
+    availableRegions: ['EU'],
+    productUrl: `https://shop.example/p/${salePrice}`,
+    imageUrl: null,
+    description: null,
+    attributes: {},
+    retailer: null,
+    gender: 'unisex',
+    smartCategories: [],
+    ...overrides,
+  };
+}
+
+function pipeline(groupBy: (args: any) => Promise<any[]>) {
+  return new IngestionPipeline({ product: { groupBy } } as any, currency as any);
+}
+
+describe('IngestionPipeline.scoreDeals', () => {
+  it('compares prices with the stored category average once there are enough stored deals', () => {
+    const batchOnly = [product(60)];
+    const stored = [product(60)];
+
+    const ingestion = pipeline(async () => []);
+    ingestion.scoreDeals(batchOnly);
+    ingestion.scoreDeals(stored, { shoes: { average: 120, count: 40 } });
+
+    // Alone in its batch a product is exactly average; the stored deals show it is half price
+    expect(stored[0].dealScore!).toBeGreaterThan(batchOnly[0].dealScore!);
+  });
+
+  it('keeps the batch average for categories with few stored deals', () => {
+    const thin = [product(60), product(100)];
+    const batchOnly = [product(60), product(100)];
+
+    const ingestion = pipeline(async () => []);
+    ingestion.scoreDeals(thin, { shoes: { average: 500, count: 2 } });
+    ingestion.scoreDeals(batchOnly);
+
+    expect(thin.map(p => p.dealScore)).toEqual(batchOnly.map(p => p.dealScore));
+  });
+});
+
+describe('IngestionPipeline.loadCategoryAverages', () => {
+  it('averages the active stored deals of the batch categories', async () => {
+    const groupBy = jest.fn(async () => [
+      { category: 'shoes', _avg: { normalizedSalePrice: 80 }, _count: { _all: 12 } },
+    ]);
+
+    const averages = await pipeline(groupBy).loadCategoryAverages([product(10), product(20), product(5, { category: 'bags' })]);
+
+    expect(averages).toEqual({ shoes: { average: 80, count: 12 } });
+    expect(groupBy).toHaveBeenCalledWith(expect.objectContaining({
+      by: ['category'],
+      where: expect.objectContaining({ category: { in: ['shoes', 'bags'] }, isActive: true, quarantinedAt: null }),
+    }));
+  });
+
+  it('falls back to the batch when the averages cannot be loaded', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const ingestion = pipeline(async () => { throw new Error('database is down'); });
+
+    await expect(ingestion.loadCategoryAverages([product(10)])).resolves.toEqual({});
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Type declarations for the product ingestion pipeline (services/ingestion/index.js),
+ * so TypeScript services such as the API aggregator can ingest through it.
+ */
+
+export type IngestionOrigin = 'scraper' | 'feed' | 'api' | 'seed';
+
+export interface IngestionDefaults {
+  source?: string;
+  currency?: string;
+  availableRegions?: string[];
+  brand?: string;
+  retailer?: string;
+}
+
+export interface IngestionOptions {
+  origin?: IngestionOrigin;
+  defaults?: IngestionDefaults;
+  updateExisting?: boolean;
+}
+
+export interface IngestionReject {
+  index: number;
+  name: string | null;
+  url: string | null;
+  errors: string[];
+}
+
+export interface IngestionResult {
+  total: number;
+  created: number;
+  updated: number;
+  skipped: number;
+  rejected: number;
+  productIds: string[];
+  rejects: IngestionReject[];
+}
+
+export interface NormalizedProduct {
+  ingestKey: string;
+  name: string;
+  brand: string;
+  category: string;
+  source: string;
+  originalPrice: number;
+  salePrice: number;
+  discountPercentage: number;
+  currency: string;
+  availableRegions: string[];
+  productUrl: string;
+  imageUrl: string | null;
+  description: string | null;
+  attributes: Record<string, unknown>;
+  retailer: string | null;
+  gender: string;
+  smartCategories: string[];
+  dealScore?: number;
+  bestValue?: boolean;
+  topDeal?: boolean;
+  confidenceScore?: number;
+}
+
+/**
+ * Average normalized sale price of the stored deals, per category
+ */
+export type CategoryAverages = Record<string, { average: number; count: number }>;
+
+export function normalizeProduct(
+  raw: unknown,
+  defaults?: IngestionDefaults
+): { valid: boolean; product: NormalizedProduct | null; errors: string[] };
+
+export class IngestionPipeline {
+  constructor(prismaClient?: unknown, currencyService?: unknown);
+  ingest(records: unknown[], options?: IngestionOptions): Promise<IngestionResult>;
+  loadCategoryAverages(products: NormalizedProduct[]): Promise<CategoryAverages>;
+  scoreDeals(products: NormalizedProduct[], storedAverages?: CategoryAverages): void;
+}
+
+export function getIngestionPipeline(): IngestionPipeline;
+
+export function logIngestionResult(label: string, result: IngestionResult): void;
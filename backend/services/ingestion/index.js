@@ -0,0 +1,328 @@
+const prisma = require('../../db/client');
+const { PriceHistoryService } = require('../pricing/price-history');
+const { normalizeProduct } = require('./product-schema');
+const { getCurrencyService } = require('../currency/currency-service');
+const { ProductMatcher } = require('../matching/product-matcher');
+const { calculateDealScore, isBestValue, isTopDeal } = require('../../scripts/ai-product-analyzer');
+const { sightingUpdate } = require('../lifecycle/lifecycle-rules');
+const { QuarantineService } = require('../quarantine/quarantine-service');
+const { AUTOMATIC_TRANSLATIONS, sourceTextChanged } = require('../translation/product-translations');
+
+// Stored products a category needs before its average replaces the batch's
+const MIN_CATEGORY_SAMPLE = 5;
+
+/**
+ * Product Ingestion Pipeline
+ *
+ * Single entry point for every scraper, feed import and API aggregator result:
+ * 1. Validate each raw record against the product schema
+ * 2. Normalize it onto the Prisma `Product` model (prices also in the base currency)
+ *    and score it against its category's average price among stored deals
+ * 3. Upsert on the canonical product URL (`ingestKey`), or the product URL for
+ *    products stored before ingestion keyed them
+ * 4. Record the observed price in price history
+ * 5. Group new listings with the same product at other retailers (services/matching)
+ * 6. Quarantine deals a price rule flags (services/quarantine)
+ *
+ * Every ingested product counts as a sighting: it is (back to) `active` in the
+ * product lifecycle (services/lifecycle). A changed name or description drops
+ * the product's automatic translations, so the translation job redoes them.
+ *
+ * Invalid records are never thrown; they are reported per record in `rejects`.
+ */
+class IngestionPipeline {
+  constructor(prismaClient = prisma, currencyService = getCurrencyService()) {
+    this.prisma = prismaClient.default || prismaClient;
+    this.priceHistory = new PriceHistoryService(this.prisma);
+    this.currency = currencyService;
+    this.matcher = new ProductMatcher(this.prisma);
+    this.quarantine = new QuarantineService(this.prisma);
+  }
+
+  /**
+   * Ingest a batch of raw records
+   *
+   * @param {Array} records - Raw product records
+   * @param {Object} options - Ingestion options
+   * @param {string} options.origin - "scraper", "feed", "api" or "seed" (stored on price history)
+   * @param {Object} options.defaults - { source, currency, availableRegions, brand, retailer } for records lacking them
+   * @param {boolean} options.updateExisting - Update products that already exist (default: true)
+   * @returns {Object} - { total, created, updated, skipped, rejected, productIds, rejects }
+   */
+  async ingest(records, options = {}) {
+    const {
+      origin = 'scraper',
+      defaults = {},
+      updateExisting = true
+    } = options;
+
+    const result = {
+      total: records.length,
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      rejected: 0,
+      productIds: [],
+      rejects: []
+    };
+
+    const seenKeys = new Set();
+    const accepted = [];
+
+    records.forEach((raw, index) => {
+      // A record the schema did not anticipate rejects that record, never the batch
+      try {
+        const { valid, product, errors } = normalizeProduct(raw, defaults);
+
+        if (!valid) {
+          this.reject(result, index, raw, errors);
+          return;
+        }
+
+        if (seenKeys.has(product.ingestKey)) {
+          this.reject(result, index, raw, [`duplicate of an earlier record in this batch (${product.ingestKey})`]);
+          return;
+        }
+        seenKeys.add(product.ingestKey);
+
+        // Null when the rates snapshot lacks the currency: kept, but outside price filters
+        Object.assign(product, this.currency.normalizePrices(product));
+
+        accepted.push({ index, raw, product });
+      } catch (error) {
+        this.reject(result, index, raw, [error.message]);
+      }
+    });
+
+    const products = accepted.map(entry => entry.product);
+    this.scoreDeals(products, await this.loadCategoryAverages(products));
+
+    for (const { index, raw, product } of accepted) {
+      try {
+        const existing = await this.findExisting(product);
+        const seenAt = new Date();
+
+        let productId;
+
+        if (existing) {
+          if (!updateExisting) {
+            result.skipped++;
+            continue;
+          }
+
+          // Confidence is owned by verification once a product exists;
+          // fields a moderator corrected (services/review) are kept
+          const { confidenceScore, ...updateData } = product;
+          for (const field of existing.lockedFields || []) {
+            delete updateData[field];
+          }
+
+          await this.prisma.product.update({
+            where: { id: existing.id },
+            data: {
+              ...updateData,
+              ...sightingUpdate(existing, seenAt),
+              ...(sourceTextChanged(existing, { ...existing, ...updateData }) && {
+                translations: { deleteMany: AUTOMATIC_TRANSLATIONS }
+              })
+            }
+          });
+          productId = existing.id;
+          result.updated++;
+        } else {
+          const created = await this.prisma.product.create({
+            data: {
+              ...product,
+              ...sightingUpdate(null, seenAt),
+              isActive: true,
+              isNew: true
+            }
+          });
+          productId = created.id;
+          result.created++;
+        }
+
+        await this.priceHistory.recordPrice(productId, product, origin);
+        await this.checkQuarantine(productId);
+        result.productIds.push(productId);
+
+        if (!existing || !existing.canonicalProductId) {
+          await this.matchProduct(productId, product);
+        }
+
+      } catch (error) {
+        this.reject(result, index, raw, [error.message]);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the stored product for a normalized record: by `ingestKey`, or for products
+   * stored before ingestion keyed them, by the product URL (the update then sets the key)
+   */
+  async findExisting(product) {
+    const select = {
+      id: true,
+      canonicalProductId: true,
+      lifecycleStatus: true,
+      name: true,
+      description: true,
+      lockedFields: true,
+      quarantinedAt: true,
+      rejectedAt: true
+    };
+
+    const existing = await this.prisma.product.findUnique({
+      where: { ingestKey: product.ingestKey },
+      select
+    });
+    if (existing) {
+      return existing;
+    }
+
+    return this.prisma.product.findFirst({
+      where: { ingestKey: null, productUrl: { in: [product.productUrl, product.ingestKey] } },
+      orderBy: { createdAt: 'asc' },
+      select
+    });
+  }
+
+  /**
+   * Average normalized sale price of the active, stored deals in each category of the batch.
+   * Products are scored either way, so a failure falls back to the batch averages.
+   *
+   * @returns {Object} - { [category]: { average, count } }
+   */
+  async loadCategoryAverages(products) {
+    const categories = [...new Set(products.map(product => product.category))];
+    if (categories.length === 0) return {};
+
+    try {
+      const groups = await this.prisma.product.groupBy({
+        by: ['category'],
+        where: {
+          category: { in: categories },
+          isActive: true,
+          quarantinedAt: null,
+          normalizedSalePrice: { not: null }
+        },
+        _avg: { normalizedSalePrice: true },
+        _count: { _all: true }
+      });
+
+      return Object.fromEntries(groups.map(group => [
+        group.category,
+        { average: group._avg.normalizedSalePrice, count: group._count._all }
+      ]));
+    } catch (error) {
+      console.warn(`   ⚠️  Could not load category averages, scoring against the batch: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Add dealScore / bestValue / topDeal, comparing each price with its category average
+   * (normalized prices, so mixed currencies compare like with like). The stored average
+   * (see loadCategoryAverages) is used once a category has MIN_CATEGORY_SAMPLE products,
+   * so a batch of one retailer's discounted items is not only compared with itself.
+   */
+  scoreDeals(products, storedAverages = {}) {
+    const comparablePrice = product => product.normalizedSalePrice ?? product.salePrice;
+    const pricesByCategory = {};
+    products.forEach(product => {
+      (pricesByCategory[product.category] = pricesByCategory[product.category] || []).push(comparablePrice(product));
+    });
+
+    const averages = {};
+    Object.entries(pricesByCategory).forEach(([category, prices]) => {
+      const stored = storedAverages[category];
+      averages[category] = stored && stored.count >= MIN_CATEGORY_SAMPLE
+        ? stored.average
+        : prices.reduce((sum, price) => sum + price, 0) / prices.length;
+    });
+
+    products.forEach(product => {
+      const analyzable = {
+        discount: product.discountPercentage,
+        salePrice: comparablePrice(product),
+        merchantName: product.retailer,
+        brand: product.brand
+      };
+
+      product.dealScore = calculateDealScore(analyzable, averages[product.category]);
+      product.bestValue = isBestValue(analyzable, product.dealScore);
+      product.topDeal = isTopDeal(product.dealScore);
+    });
+  }
+
+  /**
+   * Attach a product to its canonical product. The product is stored either way,
+   * so a failure only leaves it ungrouped until `npm run products:match`.
+   */
+  async matchProduct(productId, product) {
+    try {
+      await this.matcher.assign(productId, product);
+    } catch (error) {
+      console.warn(`   ⚠️  Could not match product ${productId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run the quarantine rules on the new prices. The product is stored either way,
+   * so a failure only leaves it unchecked until its next verification.
+   */
+  async checkQuarantine(productId) {
+    try {
+      await this.quarantine.evaluate(productId, { trigger: 'ingestion' });
+    } catch (error) {
+      console.warn(`   ⚠️  Could not check quarantine for product ${productId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a rejected record on the result
+   */
+  reject(result, index, raw, errors) {
+    result.rejected++;
+    result.rejects.push({
+      index,
+      name: raw && raw.name ? raw.name : null,
+      url: raw ? (raw.productUrl || raw.url || raw.originalUrl || raw.affiliateUrl || null) : null,
+      errors
+    });
+  }
+}
+
+// Singleton instance
+let pipelineInstance = null;
+
+/**
+ * Get or create ingestion pipeline instance
+ */
+function getIngestionPipeline() {
+  if (!pipelineInstance) {
+    pipelineInstance = new IngestionPipeline();
+  }
+  return pipelineInstance;
+}
+
+/**
+ * Log a one-line summary of an ingestion result, plus each reject
+ */
+function logIngestionResult(label, result) {
+  console.log(`   📊 ${label}: ${result.created} created, ${result.updated} updated, ` +
+    `${result.skipped} skipped, ${result.rejected} rejected (of ${result.total})`);
+
+  result.rejects.forEach(reject => {
+    console.log(`      ❌ #${reject.index} ${reject.name || reject.url || '(unnamed)'}: ${reject.errors.join('; ')}`);
+  });
+}
+
+module.exports = {
+  IngestionPipeline,
+  getIngestionPipeline,
+  logIngestionResult,
+  normalizeProduct
+};
@@ -0,0 +1,21 @@
+/**
+ * Type declarations for the product ingestion schema (services/ingestion/product-schema.js),
+ * so validation and normalization can be exercised from the TypeScript test suite.
+ */
+
+import { IngestionDefaults, NormalizedProduct } from './index';
+
+export const PRODUCT_SOURCES: string[];
+export const PRODUCT_CATEGORIES: string[];
+export const REGIONS: string[];
+export const GENDERS: string[];
+
+export function normalizeProduct(
+  raw: unknown,
+  defaults?: IngestionDefaults
+): { valid: boolean; product: NormalizedProduct | null; errors: string[] };
+export function normalizeSource(rawSource: unknown, productUrl?: string): string;
+export function normalizeCategory(rawCategory: unknown, name?: string): string;
+export function canonicalizeUrl(value: string): string;
+export function parsePrice(value: unknown): number | null;
+export function isHttpUrl(value: unknown): boolean;
@@ -0,0 +1,294 @@
+/**
+ * Product Ingestion Schema
+ *
+ * Validates raw records from scrapers, affiliate feeds and API aggregators
+ * and normalizes them onto the Prisma `Product` model.
+ *
+ * Raw records use different field names depending on where they come from:
+ * - Scrapers:  url, image, discount, source ('jdsports.co.uk')
+ * - Feeds:     originalUrl / affiliateUrl, image, discount, merchant
+ * - APIs:      productUrl, imageUrl / images[], discountPercentage
+ */
+
+const { detectGender, detectSmartCategory } = require('../../scripts/ai-product-analyzer');
+
+const PRODUCT_SOURCES = [
+  'amazon', 'nike', 'zara', 'adidas', 'hm', 'uniqlo', 'mango', 'asos', 'pullbear',
+  'bershka', 'stradivarius', 'footlocker', 'decathlon', 'manual'
+];
+
+const PRODUCT_CATEGORIES = [
+  'shoes', 'clothing', 'accessories', 'bags', 'jewelry', 'watches', 'sunglasses', 'other'
+];
+
+const REGIONS = ['US', 'EU', 'UK', 'IT', 'FR', 'DE', 'ES', 'GLOBAL'];
+
+const GENDERS = ['men', 'women', 'kids', 'unisex'];
+
+// Keyword detection for raw categories ('footwear', 'men', 'all', ...) and product names
+const CATEGORY_KEYWORDS = {
+  shoes: ['shoe', 'sneaker', 'trainer', 'footwear', 'boot', 'sandal', 'slide', 'runner', 'loafer', 'heel'],
+  bags: ['bag', 'backpack', 'tote', 'purse', 'wallet'],
+  watches: ['watch'],
+  sunglasses: ['sunglass'],
+  jewelry: ['jewel', 'necklace', 'bracelet', 'earring', 'ring'],
+  accessories: ['accessor', 'hat', 'cap', 'beanie', 'scarf', 'glove', 'belt', 'sock'],
+  clothing: ['cloth', 'apparel', 'shirt', 'tee', 'hoodie', 'jacket', 'coat', 'pants', 'jeans',
+    'shorts', 'dress', 'skirt', 'sweater', 'legging', 'top', 'jogger']
+};
+
+// Query parameters that never identify a product (tracking / affiliate)
+const TRACKING_PARAMS = [
+  /^utm_/, /^gclid$/, /^fbclid$/, /^msclkid$/, /^ref$/, /^tag$/, /^awc$/, /^cmp$/, /^affid$/
+];
+
+/**
+ * Parse a price from a number or a string like "£45.00", "45,99 €", "1.299,00" or "1.299 €".
+ * With both separators the last one is the decimal point; with one kind only, it
+ * groups thousands when it repeats or is followed by exactly three digits.
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  let cleaned = value.replace(/[^\d.,]/g, '');
+  if (!cleaned) return null;
+
+  const decimalSeparator = cleaned.lastIndexOf(',') > cleaned.lastIndexOf('.') ? ',' : '.';
+  const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+
+  if (cleaned.includes(thousandsSeparator)) {
+    // "1.299,00" -> "1299.00", "1,299.00" -> "1299.00"
+    cleaned = cleaned.split(thousandsSeparator).join('').replace(decimalSeparator, '.');
+  } else {
+    // "45,99" -> "45.99", "1.299" -> "1299", "1.299.000" -> "1299000"
+    const groups = cleaned.split(decimalSeparator);
+    const grouping = groups.length > 2 || (groups.length === 2 && groups[1].length === 3);
+    cleaned = grouping ? groups.join('') : groups.join('.');
+  }
+
+  const price = parseFloat(cleaned);
+  return Number.isFinite(price) ? price : null;
+}
+
+/**
+ * Check that a string is an absolute http(s) URL
+ */
+function isHttpUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Canonical form of a product URL, used as the stable upsert key.
+ * Lowercases the host, drops "www.", the fragment, trailing slashes and tracking parameters,
+ * and sorts the remaining query parameters.
+ */
+function canonicalizeUrl(value) {
+  const url = new URL(value);
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  const path = url.pathname.replace(/\/+$/, '') || '/';
+
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key.toLowerCase())))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0
+    ? `?${new URLSearchParams(params).toString()}`
+    : '';
+
+  return `https://${host}${path}${query}`;
+}
+
+/**
+ * Map a raw source ('nike', 'footlocker.co.uk', 'www2.hm.com', 'rapidapi') to ProductSource
+ */
+function normalizeSource(rawSource, productUrl) {
+  const candidates = [rawSource, productUrl]
+    .filter(value => typeof value === 'string')
+    .map(value => value.toLowerCase());
+
+  for (const candidate of candidates) {
+    if (PRODUCT_SOURCES.includes(candidate)) {
+      return candidate;
+    }
+
+    let host = candidate;
+    if (isHttpUrl(candidate)) {
+      host = new URL(candidate).hostname;
+    }
+    const labels = host.replace(/^www\d*\./, '').split('.');
+    const match = PRODUCT_SOURCES.find(source => labels.includes(source));
+    if (match) {
+      return match;
+    }
+  }
+
+  // API aggregators pull from marketplaces
+  if (candidates[0] === 'rapidapi' || candidates[0] === 'rainforest') {
+    return 'amazon';
+  }
+
+  return 'manual';
+}
+
+/**
+ * Map a raw category (or the product name when the category is generic) to ProductCategory
+ */
+function normalizeCategory(rawCategory, name) {
+  const category = typeof rawCategory === 'string' ? rawCategory.toLowerCase().trim() : '';
+
+  if (PRODUCT_CATEGORIES.includes(category)) {
+    return category;
+  }
+
+  for (const text of [category, (name || '').toLowerCase()]) {
+    if (!text) continue;
+    for (const [target, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+      if (keywords.some(keyword => new RegExp(`\\b${keyword}`).test(text))) {
+        return target;
+      }
+    }
+  }
+
+  return 'other';
+}
+
+/**
+ * Validate a raw record and normalize it onto the Product model
+ *
+ * @param {Object} raw - Raw scraper / feed / API record
+ * @param {Object} defaults - { source, currency, availableRegions, brand, retailer } applied when the record lacks them
+ * @returns {Object} - { valid, product, errors }
+ */
+function normalizeProduct(raw, defaults = {}) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object') {
+    return { valid: false, product: null, errors: ['Record is not an object'] };
+  }
+
+  const name = typeof raw.name === 'string' ? raw.name.replace(/\s+/g, ' ').trim() : '';
+  if (!name) errors.push('name is required');
+
+  const brand = [raw.brand, raw.merchantName, defaults.brand]
+    .find(value => typeof value === 'string' && value.trim());
+  if (!brand) errors.push('brand is required');
+
+  const productUrl = [raw.productUrl, raw.url, raw.originalUrl, raw.affiliateUrl].find(Boolean);
+  if (!productUrl) {
+    errors.push('productUrl is required');
+  } else if (!isHttpUrl(productUrl)) {
+    errors.push(`productUrl is not a valid http(s) URL: ${productUrl}`);
+  }
+
+  const salePrice = parsePrice(raw.salePrice);
+  let originalPrice = parsePrice(raw.originalPrice);
+  if (salePrice === null || salePrice <= 0) {
+    errors.push('salePrice must be a positive number');
+  }
+  if (originalPrice === null) {
+    originalPrice = salePrice;
+  } else if (salePrice !== null && originalPrice < salePrice) {
+    errors.push(`salePrice (${salePrice}) exceeds originalPrice (${originalPrice})`);
+  }
+
+  const currency = String(raw.currency || defaults.currency || 'EUR').toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    errors.push(`currency must be an ISO 4217 code: ${currency}`);
+  }
+
+  // Feeds send a single region as a plain string ('UK')
+  const regionsValue = raw.availableRegions || defaults.availableRegions || ['EU'];
+  const rawRegions = typeof regionsValue === 'string' ? [regionsValue] : regionsValue;
+  let availableRegions = [];
+  if (!Array.isArray(rawRegions) || rawRegions.some(region => typeof region !== 'string')) {
+    errors.push('availableRegions must be a region code or a list of region codes');
+  } else {
+    availableRegions = [...new Set(rawRegions.map(region => region.trim().toUpperCase()))];
+    const unknownRegions = availableRegions.filter(region => !REGIONS.includes(region));
+    if (unknownRegions.length > 0) {
+      errors.push(`unknown regions: ${unknownRegions.join(', ')}`);
+    }
+  }
+
+  const imageUrl = [raw.imageUrl, raw.image, Array.isArray(raw.images) ? raw.images[0] : null]
+    .find(Boolean) || null;
+  if (imageUrl && !isHttpUrl(imageUrl)) {
+    errors.push(`imageUrl is not a valid http(s) URL: ${imageUrl}`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, product: null, errors };
+  }
+
+  // Prices are authoritative; a reported discount is only used when it cannot be derived
+  const reportedDiscount = parseInt(raw.discountPercentage ?? raw.discount, 10);
+  const discountPercentage = originalPrice > salePrice
+    ? Math.round((1 - salePrice / originalPrice) * 100)
+    : (Number.isFinite(reportedDiscount) ? reportedDiscount : 0);
+
+  // Smart filter fields: keep what an upstream analyzer already decided, detect the rest
+  const analyzable = { name, category: typeof raw.category === 'string' ? raw.category : '' };
+  const gender = GENDERS.includes(raw.gender) ? raw.gender : detectGender(analyzable);
+  const smartCategories = Array.isArray(raw.smartCategories) && raw.smartCategories.length > 0
+    ? raw.smartCategories.map(String)
+    : detectSmartCategory(analyzable);
+  const retailer = [raw.retailer, raw.merchantName, defaults.retailer]
+    .find(value => typeof value === 'string' && value.trim());
+
+  const attributes = {
+    ...(raw.attributes && typeof raw.attributes === 'object' ? raw.attributes : {}),
+    ...(raw.gender && { gender: raw.gender }),
+    ...(raw.externalId && { externalId: String(raw.externalId) }),
+    ...(raw.affiliateUrl && raw.affiliateUrl !== productUrl && { affiliateUrl: raw.affiliateUrl }),
+    ...(raw.merchant && { merchant: raw.merchant }),
+    ...(typeof raw.source === 'string' && { rawSource: raw.source })
+  };
+
+  return {
+    valid: true,
+    errors: [],
+    product: {
+      ingestKey: canonicalizeUrl(productUrl),
+      name,
+      brand: brand.trim(),
+      category: normalizeCategory(raw.category, name),
+      source: normalizeSource(raw.source || defaults.source, productUrl),
+      originalPrice: Math.round(originalPrice * 100) / 100,
+      salePrice: Math.round(salePrice * 100) / 100,
+      discountPercentage,
+      currency,
+      availableRegions,
+      productUrl,
+      imageUrl,
+      description: typeof raw.description === 'string' ? raw.description : null,
+      attributes,
+      retailer: retailer ? retailer.trim() : null,
+      gender,
+      smartCategories,
+      ...(typeof raw.confidenceScore === 'number' && { confidenceScore: raw.confidenceScore })
+    }
+  };
+}
+
+module.exports = {
+  normalizeProduct,
+  normalizeSource,
+  normalizeCategory,
+  canonicalizeUrl,
+  parsePrice,
+  isHttpUrl,
+  PRODUCT_SOURCES,
+  PRODUCT_CATEGORIES,
+  REGIONS,
+  GENDERS
+};
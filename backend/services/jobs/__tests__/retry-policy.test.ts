@@ -0,0 +1,36 @@
+import { afterFailure, backoffDelay, describeError } from '../retry-policy';
+
+const MINUTE = 60 * 1000;
+
+describe('backoffDelay', () => {
+  it('doubles from one minute, capped at an hour', () => {
+    expect([1, 2, 3, 4, 7, 20].map(attempts => backoffDelay(attempts) / MINUTE)).toEqual([1, 2, 4, 8, 60, 60]);
+  });
+
+  it('accepts overrides', () => {
+    expect(backoffDelay(3, { baseDelayMs: 1000, factor: 3 })).toBe(9000);
+  });
+});
+
+describe('afterFailure', () => {
+  const now = new Date('2026-10-18T12:00:00Z');
+
+  it('retries with backoff while attempts remain', () => {
+    expect(afterFailure({ attempts: 2, maxAttempts: 3 }, now)).toEqual({
+      status: 'pending',
+      runAt: new Date('2026-10-18T12:02:00Z'),
+    });
+  });
+
+  it('dead-letters the job after its last attempt', () => {
+    expect(afterFailure({ attempts: 3, maxAttempts: 3 }, now)).toEqual({ status: 'dead', runAt: now });
+  });
+});
+
+describe('describeError', () => {
+  it('keeps the error class and message', () => {
+    expect(describeError(new TypeError('bad selector'))).toBe('TypeError: bad selector');
+    expect(describeError('Worker stopped')).toBe('Worker stopped');
+    expect(describeError(null)).toBe('Unknown error');
+  });
+});
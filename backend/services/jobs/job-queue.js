@@ -0,0 +1,265 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../../db/client');
+const { afterFailure, describeError } = require('./retry-policy');
+
+/**
+ * Job Queue
+ *
+ * Postgres-backed queue in the `jobs` table, so it needs no extra service and
+ * pending work survives process restarts. Workers (job-worker.js) claim due
+ * jobs with FOR UPDATE SKIP LOCKED, so several processes can share a queue
+ * without running a job twice. Failed jobs are retried with backoff and end
+ * up `dead` after their last attempt (see retry-policy.js).
+ */
+
+const MAX_JOBS_PAGE = 200;
+
+function isUniqueViolation(error) {
+  return Boolean(error) && error.code === 'P2002';
+}
+
+class JobQueue {
+  constructor(prismaClient = prisma) {
+    this.prisma = prismaClient.default || prismaClient;
+  }
+
+  /**
+   * Add a job
+   *
+   * @param {string} type - Handler name
+   * @param {Object} payload - Passed to the handler
+   * @param {Object} options - { key, runAt, maxAttempts }. With a `key`, nothing is
+   *   added while a pending or running job of the same type and key exists.
+   * @returns {Object} - { job, created }
+   */
+  async enqueue(type, payload = {}, { key = null, runAt = new Date(), maxAttempts = 3 } = {}) {
+    if (key) {
+      const existing = await this.findActive(type, key);
+      if (existing) {
+        return { job: existing, created: false };
+      }
+    }
+
+    try {
+      const job = await this.prisma.job.create({
+        data: { type, key, payload, runAt, maxAttempts }
+      });
+      return { job, created: true };
+    } catch (error) {
+      // A concurrent enqueue added the key first (unique index jobs_type_key_active_key)
+      const existing = key && isUniqueViolation(error) && await this.findActive(type, key);
+      if (existing) {
+        return { job: existing, created: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The pending or running job of a type and key
+   */
+  async findActive(type, key) {
+    return this.prisma.job.findFirst({
+      where: { type, key, status: { in: ['pending', 'running'] } }
+    });
+  }
+
+  /**
+   * Claim the next due job of the given types for a worker
+   *
+   * @returns {Object|null} - The job, now `running` with its attempt counted
+   */
+  async claim(workerId, types) {
+    const rows = await this.prisma.$queryRaw`
+      UPDATE jobs
+      SET status = 'running',
+          attempts = attempts + 1,
+          "lockedBy" = ${workerId},
+          "lockedAt" = NOW(),
+          "updatedAt" = NOW()
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE status = 'pending'
+          AND "runAt" <= NOW()
+          AND type IN (${Prisma.join(types)})
+        ORDER BY "runAt"
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+
+    return rows[0] || null;
+  }
+
+  /**
+   * Refresh the lock of a worker's running jobs
+   */
+  async heartbeat(workerId, jobIds) {
+    if (jobIds.length === 0) return 0;
+
+    const { count } = await this.prisma.job.updateMany({
+      where: { id: { in: jobIds }, lockedBy: workerId, status: 'running' },
+      data: { lockedAt: new Date() }
+    });
+    return count;
+  }
+
+  /**
+   * Mark a job done. Only the worker holding the job may: after its lock went
+   * stale, recoverStale() may have handed the job to another worker.
+   *
+   * @returns {Object|null} - The completed job, or null if the worker no longer owns it
+   */
+  async complete(job, result = null) {
+    const data = {
+      status: 'completed',
+      result: result === null ? Prisma.DbNull : result,
+      lockedBy: null,
+      lockedAt: null,
+      completedAt: new Date()
+    };
+
+    return this.updateOwned(job, data);
+  }
+
+  /**
+   * Record a failed attempt: retry later, or dead-letter it after the last attempt
+   *
+   * @returns {Object|null} - The job with its new status and runAt, or null if the
+   *   worker no longer owns it (see complete)
+   */
+  async fail(job, error) {
+    const { status, runAt } = afterFailure(job);
+    const data = {
+      status,
+      runAt,
+      lastError: describeError(error),
+      lockedBy: null,
+      lockedAt: null
+    };
+
+    return this.updateOwned(job, data);
+  }
+
+  /**
+   * Update a running job only while it is still locked by the worker that claimed it
+   */
+  async updateOwned(job, data) {
+    const { count } = await this.prisma.job.updateMany({
+      where: { id: job.id, lockedBy: job.lockedBy, status: 'running' },
+      data
+    });
+
+    return count > 0 ? { ...job, ...data } : null;
+  }
+
+  /**
+   * Fail running jobs whose worker stopped sending heartbeats (crash or restart).
+   * Every worker runs this with its heartbeat, so a job is only failed while it
+   * is still stale: another worker may have recovered it first.
+   *
+   * @returns {number} - Jobs recovered
+   */
+  async recoverStale(staleAfterMs) {
+    const staleBefore = new Date(Date.now() - staleAfterMs);
+    const stale = await this.prisma.job.findMany({
+      where: { status: 'running', lockedAt: { lt: staleBefore } }
+    });
+
+    let recovered = 0;
+    for (const job of stale) {
+      const { status, runAt } = afterFailure(job);
+      const { count } = await this.prisma.job.updateMany({
+        where: { id: job.id, status: 'running', lockedBy: job.lockedBy, lockedAt: { lt: staleBefore } },
+        data: {
+          status,
+          runAt,
+          lastError: describeError(`Worker ${job.lockedBy} stopped before finishing`),
+          lockedBy: null,
+          lockedAt: null
+        }
+      });
+      recovered += count;
+    }
+    return recovered;
+  }
+
+  /**
+   * Jobs, newest first
+   *
+   * @param {Object} options - { status, type, key, limit }
+   */
+  async listJobs({ status, type, key, limit = 50 } = {}) {
+    return this.prisma.job.findMany({
+      where: {
+        ...(status && { status }),
+        ...(type && { type }),
+        ...(key && { key })
+      },
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(Math.max(parseInt(limit) || 50, 1), MAX_JOBS_PAGE)
+    });
+  }
+
+  /**
+   * Put a dead job back in the queue with fresh attempts. If a job with the same
+   * type and key is pending or running already, that job is returned instead.
+   *
+   * @returns {Object|null} - The job, or null if there is no dead job with this id
+   */
+  async retry(id) {
+    let count;
+    try {
+      ({ count } = await this.prisma.job.updateMany({
+        where: { id, status: 'dead' },
+        data: { status: 'pending', attempts: 0, runAt: new Date() }
+      }));
+    } catch (error) {
+      if (!isUniqueViolation(error)) throw error;
+
+      const dead = await this.prisma.job.findUnique({ where: { id } });
+      return this.findActive(dead.type, dead.key);
+    }
+    if (count === 0) return null;
+
+    return this.prisma.job.findUnique({ where: { id } });
+  }
+
+  /**
+   * Jobs per status
+   */
+  async getCounts() {
+    const groups = await this.prisma.job.groupBy({
+      by: ['status'],
+      _count: { _all: true }
+    });
+
+    return Object.fromEntries(groups.map(group => [group.status, group._count._all]));
+  }
+
+  /**
+   * Delete completed jobs older than `days`
+   */
+  async pruneCompleted(days = 7) {
+    const { count } = await this.prisma.job.deleteMany({
+      where: { status: 'completed', completedAt: { lt: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } }
+    });
+    return count;
+  }
+}
+
+// Singleton instance
+let jobQueueInstance = null;
+
+function getJobQueue() {
+  if (!jobQueueInstance) {
+    jobQueueInstance = new JobQueue();
+  }
+  return jobQueueInstance;
+}
+
+module.exports = {
+  JobQueue,
+  getJobQueue
+};
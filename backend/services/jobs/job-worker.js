@@ -0,0 +1,171 @@
+const os = require('os');
+const crypto = require('crypto');
+const { getJobQueue } = require('./job-queue');
+
+/**
+ * Job Worker
+ *
+ * Polls the job queue and runs claimed jobs with the handler registered for
+ * their type, at most `concurrency` of a type at once (scrape jobs each hold a
+ * browser, so that is the browser limit). Running jobs get a heartbeat; on
+ * start and with every heartbeat, jobs whose heartbeat stopped (a crashed or
+ * restarted worker, possibly on another host) are failed so they are retried.
+ */
+
+const WORKER_DEFAULTS = {
+  pollIntervalMs: 5000,
+  heartbeatMs: 30 * 1000,
+  staleAfterMs: 2 * 60 * 1000
+};
+
+class JobWorker {
+  /**
+   * @param {Object} options - { queue, pollIntervalMs, heartbeatMs, staleAfterMs }
+   */
+  constructor(options = {}) {
+    this.queue = options.queue || getJobQueue();
+    this.options = { ...WORKER_DEFAULTS, ...options };
+    this.id = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.handlers = new Map();
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Run jobs of `type` with `handler(payload, job)`; its return value is stored as the result
+   *
+   * @param {Object} options - { concurrency }
+   */
+  register(type, handler, { concurrency = 1 } = {}) {
+    this.handlers.set(type, { handler, concurrency, active: new Map() });
+    return this;
+  }
+
+  get isRunning() {
+    return this.pollTimer !== null;
+  }
+
+  /**
+   * Recover stale jobs, then poll until stop()
+   */
+  async start() {
+    if (this.isRunning) return;
+
+    await this.recoverStale();
+
+    this.pollTimer = setInterval(() => this.poll(), this.options.pollIntervalMs);
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.options.heartbeatMs);
+    console.log(`👷 Job worker ${this.id} started (${[...this.handlers.keys()].join(', ')})`);
+
+    await this.poll();
+  }
+
+  /**
+   * Stop claiming jobs. Running jobs finish unless the process exits; if it
+   * does, they are recovered by the next worker to start.
+   */
+  stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Claim due jobs for every type with a free slot
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      for (const [type, entry] of this.handlers) {
+        while (entry.active.size < entry.concurrency) {
+          const job = await this.queue.claim(this.id, [type]);
+          if (!job) break;
+
+          entry.active.set(job.id, this.runJob(entry, job));
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Job polling failed: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Run one claimed job and record the outcome
+   */
+  async runJob(entry, job) {
+    const label = `${job.type}${job.key ? ` (${job.key})` : ''}`;
+    console.log(`▶️  Job ${label}: attempt ${job.attempts}/${job.maxAttempts}`);
+
+    try {
+      const result = await entry.handler(job.payload || {}, job);
+      const completed = await this.queue.complete(job, result === undefined ? null : result);
+      console.log(completed
+        ? `✅ Job ${label} completed`
+        : `⚠️  Job ${label} finished after its lock went stale; the job was already recovered`);
+    } catch (error) {
+      try {
+        const failed = await this.queue.fail(job, error);
+        if (!failed) {
+          console.log(`⚠️  Job ${label} failed after its lock went stale; the job was already recovered: ${error.message}`);
+        } else {
+          console.log(failed.status === 'dead'
+            ? `☠️  Job ${label} failed for good: ${error.message}`
+            : `🔁 Job ${label} failed, retrying at ${failed.runAt.toISOString()}: ${error.message}`);
+        }
+      } catch (recordError) {
+        console.error(`❌ Could not record failure of job ${label}: ${recordError.message}`);
+      }
+    } finally {
+      entry.active.delete(job.id);
+    }
+
+    // A slot is free: pick up the next job without waiting for the poll interval
+    if (this.isRunning) this.poll();
+  }
+
+  async heartbeat() {
+    const jobIds = [...this.handlers.values()].flatMap(entry => [...entry.active.keys()]);
+
+    try {
+      await this.queue.heartbeat(this.id, jobIds);
+    } catch (error) {
+      console.error(`❌ Job heartbeat failed: ${error.message}`);
+    }
+
+    await this.recoverStale();
+  }
+
+  /**
+   * Fail jobs left running by a worker that stopped sending heartbeats
+   */
+  async recoverStale() {
+    try {
+      const recovered = await this.queue.recoverStale(this.options.staleAfterMs);
+      if (recovered > 0) {
+        console.log(`♻️  Recovered ${recovered} job(s) left running by a stopped worker`);
+      }
+    } catch (error) {
+      console.error(`❌ Stale job recovery failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Running jobs per type
+   */
+  getActive() {
+    return Object.fromEntries(
+      [...this.handlers.entries()].map(([type, entry]) => [type, { running: entry.active.size, concurrency: entry.concurrency }])
+    );
+  }
+}
+
+module.exports = {
+  WORKER_DEFAULTS,
+  JobWorker
+};
@@ -0,0 +1,23 @@
+/**
+ * Type declarations for the job retry policy (services/jobs/retry-policy.js),
+ * so backoff and dead-lettering can be exercised from the TypeScript test suite.
+ */
+
+export type JobStatus = 'pending' | 'running' | 'completed' | 'dead';
+
+export interface RetryConfig {
+  baseDelayMs: number;
+  maxDelayMs: number;
+  factor: number;
+}
+
+export const RETRY_CONFIG: RetryConfig;
+export const JOB_STATUSES: JobStatus[];
+
+export function backoffDelay(attempts: number, config?: Partial<RetryConfig>): number;
+export function afterFailure(
+  job: { attempts: number; maxAttempts: number },
+  now?: Date,
+  config?: Partial<RetryConfig>
+): { status: 'pending' | 'dead'; runAt: Date };
+export function describeError(error: unknown): string;
@@ -0,0 +1,58 @@
+/**
+ * Job Retry Policy
+ *
+ * What happens to a job after a failed attempt: it is retried with exponential
+ * backoff until it has used `maxAttempts`, then moved to the dead letter
+ * status (`dead`) where it stays until an operator retries it.
+ */
+
+const RETRY_CONFIG = {
+  baseDelayMs: 60 * 1000,       // 1 min after the first failure
+  maxDelayMs: 60 * 60 * 1000,   // Never wait more than an hour
+  factor: 2
+};
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+
+/**
+ * Wait before the next attempt, after `attempts` failed ones
+ */
+function backoffDelay(attempts, config = {}) {
+  const { baseDelayMs, maxDelayMs, factor } = { ...RETRY_CONFIG, ...config };
+  const exponent = Math.max(attempts - 1, 0);
+  return Math.min(baseDelayMs * factor ** exponent, maxDelayMs);
+}
+
+/**
+ * Status and next run time of a job whose attempt just failed
+ *
+ * @param {Object} job - { attempts (including the failed one), maxAttempts }
+ * @returns {Object} - { status: 'pending' | 'dead', runAt }
+ */
+function afterFailure(job, now = new Date(), config = {}) {
+  if (job.attempts >= job.maxAttempts) {
+    return { status: 'dead', runAt: now };
+  }
+
+  return {
+    status: 'pending',
+    runAt: new Date(now.getTime() + backoffDelay(job.attempts, config))
+  };
+}
+
+/**
+ * Error text stored on the job
+ */
+function describeError(error) {
+  if (!error) return 'Unknown error';
+  const text = error instanceof Error ? `${error.name}: ${error.message}` : String(error);
+  return text.substring(0, 2000);
+}
+
+module.exports = {
+  RETRY_CONFIG,
+  JOB_STATUSES,
+  backoffDelay,
+  afterFailure,
+  describeError
+};
@@ -0,0 +1,93 @@
+import { afterMissedRun, afterUrlCheck, lifecycleUpdate, sightingUpdate, sweepCutoffs } from '../lifecycle-rules';
+
+const now = new Date('2026-10-18T12:00:00Z');
+
+describe('afterMissedRun', () => {
+  it('marks an active product unseen after one missed run', () => {
+    expect(afterMissedRun({ lifecycleStatus: 'active', missedRuns: 0 })).toEqual({ status: 'unseen', missedRuns: 1 });
+  });
+
+  it('marks it stale once it missed three runs in a row', () => {
+    expect(afterMissedRun({ lifecycleStatus: 'unseen', missedRuns: 2 })).toEqual({ status: 'stale', missedRuns: 3 });
+    expect(afterMissedRun({ lifecycleStatus: 'stale', missedRuns: 5 })).toEqual({ status: 'stale', missedRuns: 6 });
+  });
+
+  it('accepts overrides', () => {
+    expect(afterMissedRun({ lifecycleStatus: 'active', missedRuns: 0 }, { staleAfterMisses: 1 })?.status).toBe('stale');
+  });
+
+  it('leaves expired and archived products alone', () => {
+    expect(afterMissedRun({ lifecycleStatus: 'expired', missedRuns: 4 })).toBeNull();
+    expect(afterMissedRun({ lifecycleStatus: 'archived', missedRuns: 4 })).toBeNull();
+  });
+});
+
+describe('afterUrlCheck', () => {
+  it('expires a product whose page is gone', () => {
+    expect(afterUrlCheck({ lifecycleStatus: 'stale' }, 'gone')).toBe('expired');
+    expect(afterUrlCheck({ lifecycleStatus: 'active' }, 'gone')).toBe('expired');
+  });
+
+  it('keeps the status when the page is live or could not be checked', () => {
+    expect(afterUrlCheck({ lifecycleStatus: 'unseen' }, 'live')).toBeNull();
+    expect(afterUrlCheck({ lifecycleStatus: 'unseen' }, 'unknown')).toBeNull();
+    expect(afterUrlCheck({ lifecycleStatus: 'archived' }, 'gone')).toBeNull();
+  });
+});
+
+describe('lifecycleUpdate', () => {
+  it('hides non-active products and stamps expiry', () => {
+    expect(lifecycleUpdate('expired', now)).toEqual({
+      lifecycleStatus: 'expired',
+      isActive: false,
+      lifecycleChangedAt: now,
+      expiresAt: now,
+    });
+    expect(lifecycleUpdate('stale', now)).toEqual({ lifecycleStatus: 'stale', isActive: false, lifecycleChangedAt: now });
+  });
+});
+
+describe('sightingUpdate', () => {
+  it('reactivates a product that had left the active state', () => {
+    expect(sightingUpdate({ lifecycleStatus: 'expired' }, now)).toEqual({
+      lifecycleStatus: 'active',
+      lastSeenAt: now,
+      missedRuns: 0,
+      expiresAt: null,
+      isActive: true,
+      lifecycleChangedAt: now,
+    });
+  });
+
+  it('keeps a quarantined product hidden', () => {
+    expect(sightingUpdate({ lifecycleStatus: 'stale', quarantinedAt: now }, now)).toMatchObject({
+      lifecycleStatus: 'active',
+      isActive: false,
+    });
+  });
+
+  it('keeps a rejected product hidden after a missed run and a sighting', () => {
+    // Rejected in review: hidden, lifecycle still active
+    const rejected = { lifecycleStatus: 'active', missedRuns: 0, rejectedAt: now };
+    const missed = afterMissedRun(rejected)!;
+    const unseen = { ...rejected, missedRuns: missed.missedRuns, ...lifecycleUpdate(missed.status, now) };
+
+    expect(unseen).toMatchObject({ lifecycleStatus: 'unseen', isActive: false });
+    expect(sightingUpdate(unseen, now)).toMatchObject({ lifecycleStatus: 'active', isActive: false });
+    expect(sightingUpdate({ ...unseen, rejectedAt: null }, now)).toMatchObject({ isActive: true });
+  });
+
+  it('does not touch isActive of active or new products', () => {
+    expect(sightingUpdate({ lifecycleStatus: 'active' }, now)).not.toHaveProperty('isActive');
+    expect(sightingUpdate(null, now)).not.toHaveProperty('isActive');
+  });
+});
+
+describe('sweepCutoffs', () => {
+  it('expires after 7 days unseen and archives after 30 days expired', () => {
+    expect(sweepCutoffs(now)).toEqual({
+      expireSeenBefore: new Date('2026-10-11T12:00:00Z'),
+      archiveExpiredBefore: new Date('2026-09-18T12:00:00Z'),
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Type declarations for the product lifecycle rules (services/lifecycle/lifecycle-rules.js),
+ * so the state transitions can be exercised from the TypeScript test suite.
+ */
+
+export type LifecycleStatus = 'active' | 'unseen' | 'stale' | 'expired' | 'archived';
+export type UrlStatus = 'live' | 'gone' | 'unknown';
+
+export interface LifecycleConfig {
+  staleAfterMisses: number;
+  expireAfterDays: number;
+  archiveAfterDays: number;
+}
+
+export interface LifecycleUpdate {
+  lifecycleStatus: LifecycleStatus;
+  isActive: boolean;
+  lifecycleChangedAt: Date;
+  expiresAt?: Date;
+}
+
+export interface SightingUpdate {
+  lifecycleStatus: 'active';
+  lastSeenAt: Date;
+  missedRuns: 0;
+  expiresAt: null;
+  isActive?: boolean;
+  lifecycleChangedAt?: Date;
+}
+
+export const LIFECYCLE_STATUSES: LifecycleStatus[];
+export const TRACKED_STATUSES: LifecycleStatus[];
+export const LIFECYCLE_CONFIG: LifecycleConfig;
+
+export function lifecycleUpdate(status: LifecycleStatus, now?: Date): LifecycleUpdate;
+export function sightingUpdate(
+  existing: { lifecycleStatus: string; quarantinedAt?: Date | null; rejectedAt?: Date | null } | null,
+  now?: Date
+): SightingUpdate;
+export function afterMissedRun(
+  product: { lifecycleStatus: string; missedRuns?: number },
+  config?: Partial<LifecycleConfig>
+): { status: 'unseen' | 'stale'; missedRuns: number } | null;
+export function afterUrlCheck(product: { lifecycleStatus: string }, urlStatus: UrlStatus): 'expired' | null;
+export function sweepCutoffs(
+  now?: Date,
+  config?: Partial<LifecycleConfig>
+): { expireSeenBefore: Date; archiveExpiredBefore: Date };
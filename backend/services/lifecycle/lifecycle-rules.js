@@ -0,0 +1,128 @@
+/**
+ * Product Lifecycle Rules
+ *
+ * The states a listing goes through once scrapers stop seeing it:
+ *
+ *   active ──missed run──▶ unseen ──more missed runs──▶ stale
+ *      ▲                     │                            │
+ *      └──── sighting ───────┴──── not seen for N days, ──┴──▶ expired ──M days──▶ archived
+ *                                  or its URL is gone
+ *
+ * - active:   seen by the last successful run of its retailer; the only listed state
+ * - unseen:   missed one successful run (may just have dropped off the first page)
+ * - stale:    missed LIFECYCLE_CONFIG.staleAfterMisses runs in a row
+ * - expired:  not seen for expireAfterDays, or its product page is gone
+ * - archived: expired for archiveAfterDays; kept (not deleted) for price history
+ *
+ * Any sighting (a scrape or import ingesting the product) makes it active again.
+ * `isActive` mirrors "lifecycle is active" on every transition, so every query
+ * that already filters on isActive hides non-active listings. A sighting does
+ * not list a quarantined or rejected product again.
+ */
+
+const LIFECYCLE_STATUSES = ['active', 'unseen', 'stale', 'expired', 'archived'];
+
+// Statuses a retailer's runs count misses for, and that URL re-verification checks
+const TRACKED_STATUSES = ['active', 'unseen', 'stale'];
+
+const LIFECYCLE_CONFIG = {
+  staleAfterMisses: 3,
+  expireAfterDays: 7,
+  archiveAfterDays: 30
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fields that move a product to `status`
+ */
+function lifecycleUpdate(status, now = new Date()) {
+  return {
+    lifecycleStatus: status,
+    isActive: status === 'active',
+    lifecycleChangedAt: now,
+    ...(status === 'expired' && { expiresAt: now })
+  };
+}
+
+/**
+ * Fields for a product being ingested (a sighting)
+ *
+ * @param {Object|null} existing - { lifecycleStatus, quarantinedAt, rejectedAt } of the stored product, null when new
+ */
+function sightingUpdate(existing, now = new Date()) {
+  const data = {
+    lifecycleStatus: 'active',
+    lastSeenAt: now,
+    missedRuns: 0,
+    expiresAt: null
+  };
+
+  // Coming back from a lifecycle state; a product hidden by verification
+  // (inactive while its lifecycle is active) stays hidden, and so does a
+  // quarantined one (services/quarantine reinstates it) or one a moderator
+  // rejected (services/review approves it)
+  if (existing && existing.lifecycleStatus !== 'active') {
+    Object.assign(data, {
+      isActive: !existing.quarantinedAt && !existing.rejectedAt,
+      lifecycleChangedAt: now
+    });
+  }
+
+  return data;
+}
+
+/**
+ * A product's state after a successful run of its retailer that did not see it
+ *
+ * @param {Object} product - { lifecycleStatus, missedRuns }
+ * @returns {Object|null} - { status, missedRuns }, or null if misses are not counted in its state
+ */
+function afterMissedRun(product, config = {}) {
+  const { staleAfterMisses } = { ...LIFECYCLE_CONFIG, ...config };
+  if (!TRACKED_STATUSES.includes(product.lifecycleStatus)) return null;
+
+  const missedRuns = (product.missedRuns || 0) + 1;
+  return {
+    status: missedRuns >= staleAfterMisses ? 'stale' : 'unseen',
+    missedRuns
+  };
+}
+
+/**
+ * A product's new status after re-verifying its URL
+ *
+ * @param {Object} product - { lifecycleStatus }
+ * @param {string} urlStatus - 'live', 'gone' or 'unknown' (see url-validator.ts classifyUrlResult)
+ * @returns {string|null} - The new status, or null to keep the current one
+ */
+function afterUrlCheck(product, urlStatus) {
+  if (urlStatus === 'gone' && TRACKED_STATUSES.includes(product.lifecycleStatus)) {
+    return 'expired';
+  }
+  return null;
+}
+
+/**
+ * Time thresholds of the periodic sweep
+ *
+ * @returns {Object} - { expireSeenBefore, archiveExpiredBefore }
+ */
+function sweepCutoffs(now = new Date(), config = {}) {
+  const { expireAfterDays, archiveAfterDays } = { ...LIFECYCLE_CONFIG, ...config };
+  return {
+    expireSeenBefore: new Date(now.getTime() - expireAfterDays * DAY_MS),
+    archiveExpiredBefore: new Date(now.getTime() - archiveAfterDays * DAY_MS)
+  };
+}
+
+module.exports = {
+  LIFECYCLE_STATUSES,
+  TRACKED_STATUSES,
+  LIFECYCLE_CONFIG,
+  lifecycleUpdate,
+  sightingUpdate,
+  afterMissedRun,
+  afterUrlCheck,
+  sweepCutoffs
+};
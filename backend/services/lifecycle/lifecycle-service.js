@@ -0,0 +1,174 @@
+const prisma = require('../../db/client');
+const { requireTs } = require('../require-ts');
+const {
+  TRACKED_STATUSES,
+  LIFECYCLE_CONFIG,
+  lifecycleUpdate,
+  afterMissedRun,
+  afterUrlCheck,
+  sweepCutoffs
+} = require('./lifecycle-rules');
+
+// TypeScript; loaded with this module so a broken install stops startup
+const { checkProductUrl } = requireTs('./services/verification/validators/url-validator', 'lifecycle');
+
+/**
+ * Product Lifecycle Service
+ *
+ * Moves products through the lifecycle (see lifecycle-rules.js) instead of
+ * deleting them: successful scraper runs count misses for the products they
+ * did not see, URL re-verification expires products whose page is gone, and
+ * a periodic sweep expires long-unseen products and archives old expired ones.
+ * Sightings are recorded by the ingestion pipeline.
+ */
+
+const REVERIFY_AFTER_MS = 24 * 60 * 60 * 1000;
+
+class LifecycleService {
+  /**
+   * @param {Object} config - Overrides of LIFECYCLE_CONFIG
+   */
+  constructor(prismaClient = prisma, config = {}) {
+    this.prisma = prismaClient.default || prismaClient;
+    this.config = { ...LIFECYCLE_CONFIG, ...config };
+  }
+
+  /**
+   * Count a missed run for every product of a retailer that a successful run did not see
+   *
+   * @param {string} retailer - Product.retailer of the scraper
+   * @param {Date} runStartedAt - Products ingested since then were seen by the run
+   * @returns {Object} - { missed, unseen, stale } products now in each state
+   */
+  async recordMissedRun(retailer, runStartedAt, now = new Date()) {
+    const products = await this.prisma.product.findMany({
+      where: {
+        retailer,
+        lifecycleStatus: { in: TRACKED_STATUSES },
+        OR: [{ lastSeenAt: { lt: runStartedAt } }, { lastSeenAt: null }]
+      },
+      select: { id: true, lifecycleStatus: true, missedRuns: true }
+    });
+
+    // One update per resulting (status, missedRuns, changed) combination
+    const groups = new Map();
+    const counts = { missed: products.length, unseen: 0, stale: 0 };
+
+    for (const product of products) {
+      const next = afterMissedRun(product, this.config);
+      const changed = next.status !== product.lifecycleStatus;
+      const key = `${next.status}:${next.missedRuns}:${changed}`;
+
+      if (!groups.has(key)) groups.set(key, { ...next, changed, ids: [] });
+      groups.get(key).ids.push(product.id);
+      counts[next.status]++;
+    }
+
+    for (const { status, missedRuns, changed, ids } of groups.values()) {
+      await this.prisma.product.updateMany({
+        where: { id: { in: ids } },
+        data: { missedRuns, ...(changed && lifecycleUpdate(status, now)) }
+      });
+    }
+
+    return counts;
+  }
+
+  /**
+   * Re-check product pages, unseen and stale products first; expires products whose page is gone
+   *
+   * @param {Object} options - { limit, checkUrl(url) → 'live' | 'gone' | 'unknown' }
+   * @returns {Object} - { checked, live, gone, unknown, expired }
+   */
+  async reverifyUrls({ limit = 50, checkUrl = checkProductUrl, now = new Date() } = {}) {
+    const select = { id: true, productUrl: true, lifecycleStatus: true };
+
+    const missing = await this.prisma.product.findMany({
+      where: { lifecycleStatus: { in: ['unseen', 'stale'] } },
+      orderBy: { lastVerifiedAt: { sort: 'asc', nulls: 'first' } },
+      take: limit,
+      select
+    });
+    const active = missing.length < limit
+      ? await this.prisma.product.findMany({
+        where: {
+          lifecycleStatus: 'active',
+          OR: [{ lastVerifiedAt: { lt: new Date(now.getTime() - REVERIFY_AFTER_MS) } }, { lastVerifiedAt: null }]
+        },
+        orderBy: { lastVerifiedAt: { sort: 'asc', nulls: 'first' } },
+        take: limit - missing.length,
+        select
+      })
+      : [];
+
+    const result = { checked: 0, live: 0, gone: 0, unknown: 0, expired: 0 };
+
+    for (const product of [...missing, ...active]) {
+      const urlStatus = await checkUrl(product.productUrl);
+      const next = afterUrlCheck(product, urlStatus);
+
+      await this.prisma.product.update({
+        where: { id: product.id },
+        data: { lastVerifiedAt: now, ...(next && lifecycleUpdate(next, now)) }
+      });
+
+      result.checked++;
+      result[urlStatus]++;
+      if (next === 'expired') result.expired++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Expire products not seen for expireAfterDays or past their expiresAt,
+   * and archive products expired for archiveAfterDays
+   *
+   * @returns {Object} - { expired, archived }
+   */
+  async sweep(now = new Date()) {
+    const { expireSeenBefore, archiveExpiredBefore } = sweepCutoffs(now, this.config);
+
+    const unseen = await this.prisma.product.updateMany({
+      where: { lifecycleStatus: { in: TRACKED_STATUSES }, lastSeenAt: { lt: expireSeenBefore } },
+      data: lifecycleUpdate('expired', now)
+    });
+    const pastExpiry = await this.prisma.product.updateMany({
+      where: { lifecycleStatus: { in: TRACKED_STATUSES }, expiresAt: { lt: now } },
+      data: lifecycleUpdate('expired', now)
+    });
+    const archived = await this.prisma.product.updateMany({
+      where: { lifecycleStatus: 'expired', lifecycleChangedAt: { lt: archiveExpiredBefore } },
+      data: lifecycleUpdate('archived', now)
+    });
+
+    return { expired: unseen.count + pastExpiry.count, archived: archived.count };
+  }
+
+  /**
+   * Products per lifecycle status
+   */
+  async getCounts() {
+    const groups = await this.prisma.product.groupBy({
+      by: ['lifecycleStatus'],
+      _count: { _all: true }
+    });
+
+    return Object.fromEntries(groups.map(group => [group.lifecycleStatus, group._count._all]));
+  }
+}
+
+// Singleton instance
+let lifecycleServiceInstance = null;
+
+function getLifecycleService() {
+  if (!lifecycleServiceInstance) {
+    lifecycleServiceInstance = new LifecycleService();
+  }
+  return lifecycleServiceInstance;
+}
+
+module.exports = {
+  LifecycleService,
+  getLifecycleService
+};
@@ -0,0 +1,93 @@
+import {
+  Listing,
+  extractStyleCode,
+  imageKey,
+  listingKeys,
+  matchKeys,
+  nameTokens,
+  removeDuplicateListings,
+} from '../match-keys';
+
+const nike: Listing = {
+  name: "Nike Air Max 90 Men's Shoes DD1391-100",
+  brand: 'Nike',
+  productUrl: 'https://www.nike.com/t/air-max-90-mens-shoes/DD1391-100',
+  imageUrl: 'https://static.nike.com/a/images/t_PDP_1280_v1/f_auto,q_auto:eco/abc/air-max-90.png',
+};
+
+describe('extractStyleCode', () => {
+  it('reads the style code from attributes, the name or the URL, without separators', () => {
+    expect(extractStyleCode({ name: 'Air Max 90', attributes: { styleCode: 'dd1391-100' } })).toBe('DD1391100');
+    expect(extractStyleCode(nike)).toBe('DD1391100');
+    expect(extractStyleCode({
+      name: 'Samba OG Shoes',
+      productUrl: 'https://www.adidas.com/us/samba-og-shoes/B75806.html',
+    })).toBe('B75806');
+  });
+
+  it('does not mistake model names for style codes', () => {
+    expect(extractStyleCode({ name: 'Air Max 90', productUrl: 'https://x.com/p/air-max-90' })).toBeNull();
+    expect(extractStyleCode({ name: 'New Balance 990v6 Made in USA' })).toBeNull();
+  });
+});
+
+describe('listing keys', () => {
+  it('ignores brand, gender and generic words in names', () => {
+    expect(nameTokens("Nike Air Max 90 Men's Shoes DD1391-100", 'Nike')).toEqual(['air', 'max', '90']);
+  });
+
+  it('resolves brand aliases and strips CDN transformations from images', () => {
+    expect(listingKeys({ name: 'Logo Tee', brand: 'H & M' }).brandKey).toBe('h&m');
+    expect(imageKey('https://static.nike.com/a/images/w_600/abc/air-max-90.png?v=2'))
+      .toBe(imageKey(nike.imageUrl));
+  });
+});
+
+describe('matchKeys', () => {
+  const keys = listingKeys(nike);
+
+  it('matches the same style code at another retailer', () => {
+    const footLocker = listingKeys({
+      name: 'Air Max 90 - White',
+      brand: 'NIKE',
+      productUrl: 'https://www.footlocker.com/product/nike-air-max-90/DD1391100.html',
+    });
+
+    expect(matchKeys(keys, footLocker)).toBe('styleCode');
+  });
+
+  it('never matches different style codes or brands', () => {
+    const otherColourway = listingKeys({ ...nike, productUrl: undefined, name: 'Nike Air Max 90 DD1391-001' });
+    const otherBrand = listingKeys({ ...nike, brand: 'Puma' });
+
+    expect(matchKeys(keys, otherColourway)).toBeNull();
+    expect(matchKeys(keys, otherBrand)).toBeNull();
+  });
+
+  it('falls back to the image, then to similar names', () => {
+    const sameImage = listingKeys({ name: 'AM90', brand: 'Nike', imageUrl: nike.imageUrl });
+    const sameName = listingKeys({ name: 'Nike Air Max 90 Shoes', brand: 'Nike' });
+    const otherColour = listingKeys({ name: 'Nike Air Max 90 Black', brand: 'Nike' });
+    const noCode = { ...keys, styleCode: null };
+
+    expect(matchKeys(noCode, sameImage)).toBe('image');
+    expect(matchKeys(noCode, sameName)).toBe('name');
+    expect(matchKeys(noCode, otherColour)).toBeNull();
+  });
+});
+
+describe('removeDuplicateListings', () => {
+  it('drops repeats from one retailer but keeps other retailers as offers', () => {
+    const listings = [
+      nike,
+      { ...nike, productUrl: `${nike.productUrl}?utm_source=newsletter` },
+      { ...nike, productUrl: 'https://www.nike.com/t/air-max-90-white/DD1391-100' },
+      { ...nike, productUrl: 'https://www.footlocker.com/product/nike-air-max-90/DD1391100.html' },
+    ];
+
+    expect(removeDuplicateListings(listings).map(listing => listing.productUrl)).toEqual([
+      nike.productUrl,
+      'https://www.footlocker.com/product/nike-air-max-90/DD1391100.html',
+    ]);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Type declarations for the product match keys (services/matching/match-keys.js),
+ * so matching can be exercised from the TypeScript test suite.
+ */
+
+export interface Listing {
+  name?: string;
+  brand?: string;
+  category?: string;
+  retailer?: string | null;
+  merchantName?: string;
+  source?: string;
+  productUrl?: string;
+  url?: string;
+  imageUrl?: string | null;
+  image?: string;
+  salePrice?: number;
+  attributes?: Record<string, unknown> | null;
+}
+
+export interface ListingKeys {
+  brandKey: string;
+  styleCode: string | null;
+  tokens: string[];
+  imageKey: string | null;
+}
+
+export type MatchSignal = 'styleCode' | 'image' | 'name';
+
+export const MATCH_CONFIG: {
+  nameSimilarity: number;
+  maxCandidates: number;
+};
+
+export function extractStyleCode(listing: Listing): string | null;
+
+export function nameTokens(name?: string, brand?: string): string[];
+
+export function nameSimilarity(tokensA: string[], tokensB: string[]): number;
+
+export function imageKey(imageUrl?: string | null): string | null;
+
+export function listingKeys(listing: Listing): ListingKeys;
+
+export function matchKeys(a: ListingKeys, b: ListingKeys): MatchSignal | null;
+
+export function removeDuplicateListings<T extends Listing>(listings: T[]): T[];
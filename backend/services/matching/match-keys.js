@@ -0,0 +1,197 @@
+/**
+ * Product Match Keys
+ *
+ * Pure matching signals for listings of the same product at different retailers:
+ * - brand key:   every known spelling of a brand gives the same key (brand-aliases.js)
+ * - style code:  the manufacturer's article number (DD1391-100, GW2871, B75806)
+ * - name tokens: the name without brand, gender and generic product words
+ * - image key:   the image URL without CDN resize segments and query strings
+ *
+ * No database and no network - see product-matcher.js for the clustering.
+ */
+
+const { brandKey } = require('../verification/validators/brand-aliases');
+const { canonicalizeUrl } = require('../ingestion/product-schema');
+
+const MATCH_CONFIG = {
+  nameSimilarity: 0.9,    // Minimum Dice coefficient of name tokens (an extra colour word falls below)
+  maxCandidates: 500      // Canonical products compared per listing (same brand and category)
+};
+
+// Words that say nothing about which product a listing is
+const NAME_STOPWORDS = new Set([
+  'men', 'mens', 'man', 'women', 'womens', 'woman', 'kids', 'kid', 'boys', 'girls', 'unisex',
+  'junior', 'adult', 'shoe', 'shoes', 'sneaker', 'sneakers', 'trainer', 'trainers',
+  'the', 'and', 'for', 'with', 'in', 'of', 'new', 'sale'
+]);
+
+// Attribute names feeds and scrapers use for the manufacturer's article number
+const STYLE_CODE_ATTRIBUTES = ['styleCode', 'styleNumber', 'modelNumber', 'mpn', 'articleNumber'];
+
+// Nike/Jordan style + colourway (DD1391-100), then generic upper-case article numbers (GW2871, B75806)
+const STYLE_CODE_PATTERNS = [
+  /\b[A-Z]{1,2}\d{4}[-_ ]\d{3}\b/,
+  /\b(?=[A-Z0-9]*\d[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{6,10}\b/
+];
+
+/**
+ * Normalize a style code to upper case without separators ("dd1391-100" -> "DD1391100"),
+ * since retailers write the same code with and without them
+ */
+function normalizeStyleCode(code) {
+  const compact = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return compact.length >= 5 ? compact : null;
+}
+
+/**
+ * Manufacturer style code of a listing: from its attributes, else its name, else its URL path
+ *
+ * @returns {string|null}
+ */
+function extractStyleCode(listing) {
+  const attributes = listing.attributes || {};
+  const fromAttributes = STYLE_CODE_ATTRIBUTES.map(name => attributes[name]).find(Boolean);
+  if (fromAttributes) {
+    return normalizeStyleCode(fromAttributes);
+  }
+
+  let path = '';
+  try {
+    path = decodeURIComponent(new URL(listing.productUrl || listing.url).pathname).replace(/\//g, ' ');
+  } catch (error) {
+    // No usable URL: the name is all we have
+  }
+
+  for (const text of [listing.name || '', path]) {
+    for (const pattern of STYLE_CODE_PATTERNS) {
+      const match = text.match(pattern);
+      if (match) {
+        return normalizeStyleCode(match[0]);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Distinctive name tokens: lower-cased words without brand words, stopwords and style codes
+ */
+function nameTokens(name, brand = '') {
+  const brandWords = new Set(String(brand).toLowerCase().split(/[^a-z0-9&]+/).filter(Boolean));
+  const words = STYLE_CODE_PATTERNS
+    .reduce((text, pattern) => text.replace(new RegExp(pattern.source, 'g'), ' '), String(name || ''))
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !brandWords.has(word) && !NAME_STOPWORDS.has(word));
+
+  return [...new Set(words)];
+}
+
+/**
+ * Dice coefficient of two token lists (1 = same words)
+ */
+function nameSimilarity(tokensA, tokensB) {
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  const setB = new Set(tokensB);
+  const shared = tokensA.filter(token => setB.has(token)).length;
+  return (2 * shared) / (tokensA.length + tokensB.length);
+}
+
+/**
+ * Image identity: host and path, without query strings or CDN transformation
+ * segments (t_PDP_1280_v1, f_auto,q_auto, w_600, ...)
+ *
+ * @returns {string|null}
+ */
+function imageKey(imageUrl) {
+  if (!imageUrl) return null;
+
+  try {
+    const url = new URL(imageUrl);
+    const segments = url.pathname
+      .split('/')
+      .filter(segment => segment && !segment.includes(',') && !/^[a-z]{1,2}_[^/]*$/i.test(segment));
+    return `${url.hostname.toLowerCase()}/${segments.join('/').toLowerCase()}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * All match keys of a listing ({ name, brand, category, productUrl|url, imageUrl|image, attributes })
+ */
+function listingKeys(listing) {
+  return {
+    brandKey: brandKey(listing.brand),
+    styleCode: extractStyleCode(listing),
+    tokens: nameTokens(listing.name, listing.brand),
+    imageKey: imageKey(listing.imageUrl || listing.image)
+  };
+}
+
+/**
+ * Whether two listings' keys are the same product
+ *
+ * @returns {string|null} - The signal that matched ('styleCode', 'image', 'name'), or null
+ */
+function matchKeys(a, b) {
+  if (!a.brandKey || a.brandKey !== b.brandKey) return null;
+
+  if (a.styleCode && b.styleCode) {
+    // Different article numbers are different products (or colourways), whatever the name says
+    return a.styleCode === b.styleCode ? 'styleCode' : null;
+  }
+  if (a.imageKey && a.imageKey === b.imageKey) {
+    return 'image';
+  }
+  if (nameSimilarity(a.tokens, b.tokens) >= MATCH_CONFIG.nameSimilarity) {
+    return 'name';
+  }
+  return null;
+}
+
+/**
+ * Drop repeated listings of the same product from the same retailer (same page URL,
+ * or same brand and style code). Listings of one product at different retailers are
+ * kept: ingestion groups them into one canonical product with several offers.
+ */
+function removeDuplicateListings(listings) {
+  const seen = new Set();
+
+  return listings.filter(listing => {
+    let pageUrl = null;
+    try {
+      pageUrl = canonicalizeUrl(listing.productUrl || listing.url);
+    } catch (error) {
+      // Missing or malformed URL: fall back to name and price
+    }
+
+    const retailer = String(
+      listing.retailer || listing.merchantName || listing.source || (pageUrl ? new URL(pageUrl).hostname : '')
+    ).toLowerCase();
+    const { brandKey: brand, styleCode } = listingKeys(listing);
+    const identities = [
+      pageUrl || `${String(listing.name).toLowerCase().trim()}-${listing.salePrice}`,
+      styleCode ? `${retailer}|${brand}|${styleCode}` : null
+    ].filter(Boolean);
+
+    if (identities.some(identity => seen.has(identity))) {
+      return false;
+    }
+    identities.forEach(identity => seen.add(identity));
+    return true;
+  });
+}
+
+module.exports = {
+  MATCH_CONFIG,
+  extractStyleCode,
+  nameTokens,
+  nameSimilarity,
+  imageKey,
+  listingKeys,
+  matchKeys,
+  removeDuplicateListings
+};
@@ -0,0 +1,162 @@
+const prisma = require('../../db/client');
+const { MATCH_CONFIG, listingKeys, matchKeys } = require('./match-keys');
+
+/**
+ * Product Matcher
+ *
+ * Clusters listings of the same product at different retailers into one
+ * CanonicalProduct. A listing joins the first canonical product of the same
+ * brand that matches, in order of confidence:
+ * 1. Same style code
+ * 2. Same image (one of the canonical product's image keys)
+ * 3. Similar name, within the same category
+ * and otherwise starts a new canonical product. Each listing stays its own
+ * Product row - an "offer" of its canonical product.
+ */
+class ProductMatcher {
+  constructor(prismaClient = prisma) {
+    this.prisma = prismaClient.default || prismaClient;
+  }
+
+  /**
+   * Attach a stored product to its canonical product, creating one if nothing matches
+   *
+   * @param {string} productId - Product to attach
+   * @param {Object} listing - Its fields ({ name, brand, category, productUrl, imageUrl, attributes })
+   * @returns {Object} - { canonicalProductId, matchedBy } (matchedBy null for a new canonical product)
+   */
+  async assign(productId, listing) {
+    const keys = listingKeys(listing);
+    const match = await this.findCanonical(keys, listing.category);
+
+    if (match) {
+      await this.prisma.$transaction([
+        this.prisma.canonicalProduct.update({
+          where: { id: match.canonical.id },
+          data: {
+            // Keeps it among the brand's most recently active candidates (findCanonical)
+            updatedAt: new Date(),
+            ...(match.canonical.styleCode === null && keys.styleCode && { styleCode: keys.styleCode }),
+            ...(keys.imageKey && !match.canonical.imageKeys.includes(keys.imageKey) && {
+              imageKeys: { push: keys.imageKey }
+            })
+          }
+        }),
+        this.prisma.product.update({
+          where: { id: productId },
+          data: { canonicalProductId: match.canonical.id }
+        })
+      ]);
+
+      return { canonicalProductId: match.canonical.id, matchedBy: match.matchedBy };
+    }
+
+    const canonical = await this.prisma.canonicalProduct.create({
+      data: {
+        brandKey: keys.brandKey,
+        styleCode: keys.styleCode,
+        name: listing.name,
+        nameTokens: keys.tokens,
+        imageKeys: keys.imageKey ? [keys.imageKey] : [],
+        category: listing.category,
+        offers: { connect: { id: productId } }
+      }
+    });
+
+    return { canonicalProductId: canonical.id, matchedBy: null };
+  }
+
+  /**
+   * Best matching canonical product for a listing's keys
+   *
+   * @returns {Object|null} - { canonical, matchedBy }
+   */
+  async findCanonical(keys, category) {
+    if (!keys.brandKey) return null;
+
+    if (keys.styleCode) {
+      const sameStyle = await this.prisma.canonicalProduct.findFirst({
+        where: { brandKey: keys.brandKey, styleCode: keys.styleCode }
+      });
+      if (sameStyle) {
+        return { canonical: sameStyle, matchedBy: 'styleCode' };
+      }
+    }
+
+    // Most recently active canonical products of the brand first
+    const candidates = await this.prisma.canonicalProduct.findMany({
+      where: {
+        brandKey: keys.brandKey,
+        OR: [
+          { category },
+          ...(keys.imageKey ? [{ imageKeys: { has: keys.imageKey } }] : [])
+        ]
+      },
+      orderBy: { updatedAt: 'desc' },
+      take: MATCH_CONFIG.maxCandidates
+    });
+
+    // Stronger signals win over earlier candidates
+    for (const signal of ['image', 'name']) {
+      const canonical = candidates.find(candidate => matchKeys(keys, {
+        brandKey: candidate.brandKey,
+        styleCode: candidate.styleCode,
+        tokens: candidate.nameTokens,
+        imageKey: candidate.imageKeys.includes(keys.imageKey) ? keys.imageKey : null
+      }) === signal && (signal === 'image' || candidate.category === category));
+
+      if (canonical) {
+        return { canonical, matchedBy: signal };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Attach every product that has no canonical product yet (backfill), oldest first
+   *
+   * @returns {Object} - { matched, created }
+   */
+  async matchUnassigned({ batchSize = 200 } = {}) {
+    const result = { matched: 0, created: 0 };
+
+    for (;;) {
+      const products = await this.prisma.product.findMany({
+        where: { canonicalProductId: null },
+        orderBy: { createdAt: 'asc' },
+        take: batchSize
+      });
+      if (products.length === 0) break;
+
+      for (const product of products) {
+        const { matchedBy } = await this.assign(product.id, product);
+        if (matchedBy) {
+          result.matched++;
+        } else {
+          result.created++;
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+// Singleton instance
+let matcherInstance = null;
+
+/**
+ * Get or create product matcher instance
+ */
+function getProductMatcher() {
+  if (!matcherInstance) {
+    matcherInstance = new ProductMatcher();
+  }
+  return matcherInstance;
+}
+
+module.exports = {
+  ProductMatcher,
+  getProductMatcher
+};
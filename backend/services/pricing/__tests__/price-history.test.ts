@@ -0,0 +1,95 @@
+import { PriceObservation, computePriceSignal } from '../price-history';
+
+jest.mock('../../../db/client', () => ({}));
+
+const now = new Date('2026-10-18T12:00:00Z');
+
+function daysAgo(days: number): Date {
+  return new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+}
+
+function observed(prices: [number, number][], currency = 'EUR'): PriceObservation[] {
+  return prices.map(([days, salePrice]) => ({ salePrice, currency, recordedAt: daysAgo(days) }));
+}
+
+describe('computePriceSignal', () => {
+  it('returns null without history', () => {
+    expect(computePriceSignal([], { now })).toBeNull();
+    expect(computePriceSignal(null, { now })).toBeNull();
+  });
+
+  it('flags a recent drop below the 30-day median', () => {
+    const signal = computePriceSignal(observed([[20, 100], [12, 100], [6, 110], [2, 80]]), { now });
+
+    expect(signal).toMatchObject({
+      currentPrice: 80,
+      currency: 'EUR',
+      medianPrice30d: 100,
+      dropPercent: 20,
+      allTimeLow: 80,
+      isAllTimeLow: true,
+      daysSinceLastChange: 2,
+      observations: 4,
+      isPriceDrop: true,
+    });
+    expect(signal!.lastChangeAt).toEqual(daysAgo(2));
+  });
+
+  it('takes the latest observation as the current price, in any order', () => {
+    const signal = computePriceSignal(observed([[2, 80], [20, 100], [12, 100]]), { now });
+
+    expect(signal).toMatchObject({ currentPrice: 80, dropPercent: 20, isPriceDrop: true });
+  });
+
+  it('ignores drops smaller than minDropPercent and old drops', () => {
+    expect(computePriceSignal(observed([[10, 100], [1, 95]]), { now })).toMatchObject({
+      dropPercent: 5,
+      isPriceDrop: false,
+    });
+
+    const old = computePriceSignal(observed([[26, 100], [25, 100], [20, 70], [1, 70]]), { now });
+    expect(old).toMatchObject({ daysSinceLastChange: 20, dropPercent: 30, isPriceDrop: false });
+  });
+
+  it('reports an unchanged price as never changed', () => {
+    const signal = computePriceSignal(observed([[10, 50], [5, 50], [0, 50.001]]), { now });
+
+    expect(signal).toMatchObject({
+      lastChangeAt: null,
+      daysSinceLastChange: 10,
+      dropPercent: 0,
+      isAllTimeLow: true,
+      isPriceDrop: false,
+    });
+  });
+
+  it('never reports a negative drop for a price rise', () => {
+    expect(computePriceSignal(observed([[10, 50], [1, 60]]), { now })).toMatchObject({
+      dropPercent: 0,
+      isAllTimeLow: false,
+      isPriceDrop: false,
+    });
+  });
+
+  it('only compares observations in the current currency', () => {
+    const history = [
+      ...observed([[10, 150]], 'USD'),
+      ...observed([[8, 100], [1, 85]], 'EUR'),
+    ];
+
+    expect(computePriceSignal(history, { now })).toMatchObject({
+      currency: 'EUR',
+      medianPrice30d: 100,
+      dropPercent: 15,
+      allTimeLow: 85,
+      observations: 2,
+    });
+  });
+
+  it('takes the median over the configured window only', () => {
+    const history = observed([[60, 200], [45, 200], [10, 100], [1, 90]]);
+
+    expect(computePriceSignal(history, { now })!.medianPrice30d).toBe(100);
+    expect(computePriceSignal(history, { now, windowDays: 90 })!.medianPrice30d).toBe(200);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Type declarations for the price history service (services/pricing/price-history.js),
+ * so the price drop signal can be exercised from the TypeScript test suite.
+ */
+
+export interface PriceDropConfig {
+  windowDays: number;
+  minDropPercent: number;
+  maxChangeAgeDays: number;
+  priceEpsilon: number;
+}
+
+export interface PriceObservation {
+  salePrice: number;
+  currency?: string | null;
+  recordedAt: Date | string;
+}
+
+export interface PriceSignal {
+  currentPrice: number;
+  currency: string | null;
+  medianPrice30d: number | null;
+  dropPercent: number;
+  allTimeLow: number;
+  isAllTimeLow: boolean;
+  lastChangeAt: Date | null;
+  daysSinceLastChange: number;
+  observations: number;
+  isPriceDrop: boolean;
+}
+
+export const PRICE_DROP_CONFIG: PriceDropConfig;
+
+export function computePriceSignal(
+  history: PriceObservation[] | null,
+  options?: Partial<PriceDropConfig> & { now?: Date | string }
+): PriceSignal | null;
+
+export class PriceHistoryService {
+  constructor(prismaClient?: any);
+  recordPrice(
+    productId: string,
+    price: { salePrice: number; originalPrice: number; currency?: string },
+    source?: string
+  ): Promise<PriceSignal | null>;
+  getHistory(productId: string, options?: { days?: number }): Promise<PriceObservation[]>;
+  getPriceSignal(productId: string): Promise<PriceSignal | null>;
+  getSignalsByUrl(urls: string[]): Promise<Map<string, Record<string, unknown>>>;
+}
+
+export function getPriceHistoryService(): PriceHistoryService;
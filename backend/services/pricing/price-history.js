@@ -0,0 +1,224 @@
+const prisma = require('../../db/client');
+
+/**
+ * Price History Service
+ *
+ * Records every observed price for a product and derives the "price drop"
+ * signal from real history instead of the discount percentage:
+ * - Drop vs. the 30-day median of previous observations
+ * - All-time low
+ * - Days since the price last changed
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRICE_DROP_CONFIG = {
+  windowDays: 30,        // Median is computed over this many days
+  minDropPercent: 10,    // Minimum drop vs. median to count as a price drop
+  maxChangeAgeDays: 14,  // The drop must have happened within this many days
+  priceEpsilon: 0.005    // Prices closer than this are considered equal
+};
+
+/**
+ * Median of a list of numbers
+ */
+function median(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
+
+/**
+ * Compute the price signal from a product's history
+ *
+ * @param {Array} history - Entries with { salePrice, currency, recordedAt }, any order.
+ *                          The most recent entry is treated as the current price.
+ * @param {Object} options - { now, ...PRICE_DROP_CONFIG overrides }
+ * @returns {Object|null} - Signal, or null when there is no history
+ */
+function computePriceSignal(history, options = {}) {
+  const config = { ...PRICE_DROP_CONFIG, ...options };
+  const now = options.now ? new Date(options.now) : new Date();
+
+  if (!history || history.length === 0) {
+    return null;
+  }
+
+  const sorted = [...history]
+    .map(entry => ({ ...entry, recordedAt: new Date(entry.recordedAt) }))
+    .sort((a, b) => a.recordedAt - b.recordedAt);
+
+  const current = sorted[sorted.length - 1];
+
+  // Only compare like with like: ignore entries recorded in another currency
+  const comparable = sorted.filter(entry =>
+    !current.currency || !entry.currency || entry.currency === current.currency
+  );
+  const previous = comparable.slice(0, -1);
+
+  const samePrice = (a, b) => Math.abs(a - b) < config.priceEpsilon;
+
+  // Walk back to the start of the current price run
+  let runStart = comparable[comparable.length - 1];
+  for (let i = comparable.length - 2; i >= 0; i--) {
+    if (!samePrice(comparable[i].salePrice, current.salePrice)) break;
+    runStart = comparable[i];
+  }
+  const hasChanged = comparable.some(entry => !samePrice(entry.salePrice, current.salePrice));
+  const lastChangeAt = hasChanged ? runStart.recordedAt : null;
+  const daysSinceLastChange = Math.floor((now - runStart.recordedAt) / DAY_MS);
+
+  const windowStart = now.getTime() - config.windowDays * DAY_MS;
+  const medianPrice = median(
+    previous
+      .filter(entry => entry.recordedAt.getTime() >= windowStart)
+      .map(entry => entry.salePrice)
+  );
+
+  const allTimeLow = Math.min(...comparable.map(entry => entry.salePrice));
+  const previousLow = previous.length > 0
+    ? Math.min(...previous.map(entry => entry.salePrice))
+    : null;
+
+  const dropPercent = medianPrice && medianPrice > 0
+    ? Math.round(((medianPrice - current.salePrice) / medianPrice) * 100)
+    : 0;
+
+  const isPriceDrop = hasChanged &&
+    dropPercent >= config.minDropPercent &&
+    daysSinceLastChange <= config.maxChangeAgeDays;
+
+  return {
+    currentPrice: current.salePrice,
+    currency: current.currency || null,
+    medianPrice30d: medianPrice !== null ? Math.round(medianPrice * 100) / 100 : null,
+    dropPercent: Math.max(0, dropPercent),
+    allTimeLow,
+    isAllTimeLow: previousLow !== null && current.salePrice <= previousLow + config.priceEpsilon,
+    lastChangeAt,
+    daysSinceLastChange,
+    observations: comparable.length,
+    isPriceDrop
+  };
+}
+
+class PriceHistoryService {
+  constructor(prismaClient = prisma) {
+    this.prisma = prismaClient.default || prismaClient;
+  }
+
+  /**
+   * Record an observed price and refresh the product's price signal fields
+   *
+   * @param {string} productId - Database product ID
+   * @param {Object} price - { salePrice, originalPrice, currency }
+   * @param {string} source - Where the observation came from ("scraper", "feed", "api", "seed")
+   * @returns {Object|null} - Updated signal
+   */
+  async recordPrice(productId, price, source = 'scraper') {
+    await this.prisma.priceHistory.create({
+      data: {
+        productId,
+        salePrice: price.salePrice,
+        originalPrice: price.originalPrice,
+        currency: price.currency || 'EUR',
+        source
+      }
+    });
+
+    const signal = await this.getPriceSignal(productId);
+
+    if (signal) {
+      await this.prisma.product.update({
+        where: { id: productId },
+        data: {
+          lowestPrice: signal.allTimeLow,
+          priceDropPercent: signal.dropPercent,
+          isPriceDrop: signal.isPriceDrop,
+          lastPriceChangeAt: signal.lastChangeAt
+        }
+      });
+    }
+
+    return signal;
+  }
+
+  /**
+   * Get raw price history for a product
+   *
+   * @param {string} productId - Database product ID
+   * @param {Object} options - { days } limits history to the last N days
+   */
+  async getHistory(productId, options = {}) {
+    const { days } = options;
+
+    return this.prisma.priceHistory.findMany({
+      where: {
+        productId,
+        ...(days && { recordedAt: { gte: new Date(Date.now() - days * DAY_MS) } })
+      },
+      select: {
+        salePrice: true,
+        originalPrice: true,
+        currency: true,
+        source: true,
+        recordedAt: true
+      },
+      orderBy: { recordedAt: 'asc' }
+    });
+  }
+
+  /**
+   * Compute the current price signal for a product
+   */
+  async getPriceSignal(productId) {
+    const history = await this.getHistory(productId);
+    return computePriceSignal(history);
+  }
+
+  /**
+   * Look up stored price signal fields for products by URL
+   *
+   * @param {Array<string>} urls - Product URLs
+   * @returns {Map} - productUrl -> { isPriceDrop, priceDropPercent, lowestPrice, lastPriceChangeAt }
+   */
+  async getSignalsByUrl(urls) {
+    const products = await this.prisma.product.findMany({
+      where: { productUrl: { in: urls } },
+      select: {
+        productUrl: true,
+        isPriceDrop: true,
+        priceDropPercent: true,
+        lowestPrice: true,
+        lastPriceChangeAt: true
+      }
+    });
+
+    return new Map(products.map(({ productUrl, ...signal }) => [productUrl, signal]));
+  }
+}
+
+// Singleton instance
+let serviceInstance = null;
+
+/**
+ * Get or create price history service instance
+ */
+function getPriceHistoryService() {
+  if (!serviceInstance) {
+    serviceInstance = new PriceHistoryService();
+  }
+  return serviceInstance;
+}
+
+module.exports = {
+  PriceHistoryService,
+  getPriceHistoryService,
+  computePriceSignal,
+  PRICE_DROP_CONFIG
+};
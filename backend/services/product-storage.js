@@ -1,5 +1,6 @@
 // Use existing Prisma client singleton from db/client.ts
 const prisma = require('../db/client');
+const { IngestionPipeline } = require('./ingestion');
 
 /**
  * Product Storage Service
@@ -9,6 +10,7 @@ const prisma = require('../db/client');
 class ProductStorageService {
   constructor() {
     this.prisma = prisma.default || prisma;
+    this.ingestion = new IngestionPipeline(this.prisma);
   }
 
   /**
@@ -19,129 +21,38 @@ class ProductStorageService {
    * @returns {Object} - Storage result stats
    */
   async storeProducts(products, options = {}) {
-    const {
-      updateExisting = true,
-      batchSize = 50
-    } = options;
+    const { updateExisting = true } = options;
 
     console.log(`\n📦 Storing ${products.length} products in database...`);
 
-    const stats = {
-      total: products.length,
-      created: 0,
-      updated: 0,
-      skipped: 0,
-      errors: []
-    };
-
-    // Process in batches
-    for (let i = 0; i < products.length; i += batchSize) {
-      const batch = products.slice(i, i + batchSize);
-      console.log(`\n   Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(products.length / batchSize)} (${batch.length} products)...`);
-
-      for (const product of batch) {
-        try {
-          // Map scraper product to database schema
-          const productData = this.mapProductData(product);
-
-          // Check if product exists by URL
-          const existing = await this.prisma.product.findFirst({
-            where: { productUrl: productData.productUrl }
-          });
-
-          if (existing) {
-            if (updateExisting) {
-              // Update existing product
-              await this.prisma.product.update({
-                where: { id: existing.id },
-                data: {
-                  ...productData,
-                  updatedAt: new Date()
-                }
-              });
-              stats.updated++;
-              console.log(`   ✅ Updated: ${product.name}`);
-            } else {
-              stats.skipped++;
-              console.log(`   ⏭️  Skipped (exists): ${product.name}`);
-            }
-          } else {
-            // Create new product
-            await this.prisma.product.create({
-              data: productData
-            });
-            stats.created++;
-            console.log(`   ✅ Created: ${product.name}`);
-          }
-
-        } catch (error) {
-          stats.errors.push({
-            product: product.name,
-            error: error.message
-          });
-          console.error(`   ❌ Error storing ${product.name}: ${error.message}`);
-        }
-      }
-    }
+    const result = await this.ingestion.ingest(products, {
+      origin: 'scraper',
+      updateExisting
+    });
 
     console.log(`\n📊 Storage complete:`);
-    console.log(`   Created: ${stats.created}`);
-    console.log(`   Updated: ${stats.updated}`);
-    console.log(`   Skipped: ${stats.skipped}`);
-    console.log(`   Errors: ${stats.errors.length}`);
+    console.log(`   Created: ${result.created}`);
+    console.log(`   Updated: ${result.updated}`);
+    console.log(`   Skipped: ${result.skipped}`);
+    console.log(`   Errors: ${result.rejected}`);
 
-    if (stats.errors.length > 0) {
+    const errors = result.rejects.map(reject => ({
+      product: reject.name || reject.url,
+      error: reject.errors.join('; ')
+    }));
+
+    if (errors.length > 0) {
       console.log(`\n❌ Errors:`);
-      stats.errors.forEach(e => console.log(`   - ${e.product}: ${e.error}`));
+      errors.forEach(e => console.log(`   - ${e.product}: ${e.error}`));
     }
 
-    return stats;
-  }
-
-  /**
-   * Map scraper product format to database schema
-   */
-  mapProductData(product) {
-    // Map source to ProductSource enum
-    const sourceMap = {
-      'nike.com': 'nike',
-      'footlocker.co.uk': 'manual', // Or create new enum value
-      'jdsports.co.uk': 'manual',
-      'sportsdirect.com': 'manual'
-    };
-
-    // Map category to ProductCategory enum
-    const categoryMap = {
-      'shoes': 'shoes',
-      'clothing': 'clothing',
-      'bags': 'bags',
-      'accessories': 'accessories',
-      'other': 'other'
-    };
-
     return {
-      name: product.name,
-      brand: product.brand,
-      category: categoryMap[product.category] || 'other',
-      source: sourceMap[product.source] || 'manual',
-
-      originalPrice: product.originalPrice,
-      salePrice: product.salePrice,
-      discountPercentage: product.discount,
-      currency: product.currency || 'USD',
-
-      // CRITICAL: Region support
-      availableRegions: product.availableRegions || ['EU'],
-
-      productUrl: product.url,
-      imageUrl: product.image,
-
-      confidenceScore: 70, // Default, will be updated by validation
-      isActive: true,
-      isNew: true,
-
-      attributes: {},
-      description: null
+      total: result.total,
+      created: result.created,
+      updated: result.updated,
+      skipped: result.skipped,
+      errors,
+      productIds: result.productIds
     };
   }
 
@@ -0,0 +1,132 @@
+import {
+  QuarantineFacts,
+  canReinstate,
+  countRedFlagRuns,
+  evaluateRules,
+  nextRecheckAt,
+  parseRules,
+  quarantineUpdate,
+  recheckUpdate,
+  reinstateUpdate,
+} from '../quarantine-rules';
+
+const now = new Date('2026-10-18T12:00:00Z');
+const hoursLater = (hours: number) => new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+const clean: QuarantineFacts = {
+  brand: 'Nike',
+  salePrice: 79.99,
+  suspiciouslyLow: false,
+  priceCheck: { discountMatchesCalculated: true, issues: [] },
+  urlStatus: null,
+  redFlagRuns: 0,
+  priceDropPercent: 5,
+};
+
+describe('evaluateRules', () => {
+  it('lets a clean deal through', () => {
+    expect(evaluateRules(clean)).toEqual([]);
+  });
+
+  it('reports every rule that fires', () => {
+    const findings = evaluateRules({
+      ...clean,
+      salePrice: 19,
+      brand: 'Gucci',
+      suspiciouslyLow: true,
+      urlStatus: 'gone',
+      redFlagRuns: 2,
+      priceDropPercent: 92,
+    });
+
+    expect(findings.map(finding => finding.rule)).toEqual(['suspicious_price', 'broken_url', 'repeated_red_flags', 'price_crash']);
+    expect(findings[0].reason).toBe('19 is suspiciously low for Gucci');
+    expect(findings[3].reason).toBe('Price dropped 92% below its 30-day median');
+  });
+
+  it('quotes the discount mismatch', () => {
+    const issue = "Claimed discount (70%) doesn't match calculated discount (20.0%). Difference: 50.0%";
+    expect(evaluateRules({ ...clean, priceCheck: { discountMatchesCalculated: false, issues: ['Prices too low', issue] } }))
+      .toEqual([{ rule: 'discount_mismatch', reason: issue }]);
+  });
+
+  it('runs only the enabled rules, with their thresholds', () => {
+    const facts = { ...clean, urlStatus: 'gone' as const, redFlagRuns: 1 };
+    expect(evaluateRules(facts, { rules: ['repeated_red_flags'] })).toEqual([]);
+    expect(evaluateRules(facts, { rules: ['repeated_red_flags'], redFlagRuns: 1 })).toHaveLength(1);
+  });
+});
+
+describe('parseRules', () => {
+  it('reads a comma-separated list', () => {
+    expect(parseRules(undefined)).toHaveLength(5);
+    expect(parseRules('broken_url, price_crash')).toEqual(['broken_url', 'price_crash']);
+    expect(() => parseRules('broken_url,too_cheap')).toThrow('Unknown quarantine rules: too_cheap');
+  });
+});
+
+describe('countRedFlagRuns', () => {
+  it('counts red flags among the latest AI verifications only', () => {
+    const history = [
+      { metadata: { ai: { redFlagsCount: 1 } } },
+      { metadata: { ai: null } },
+      { metadata: { ai: { redFlagsCount: 0 } } },
+      { metadata: { ai: { redFlagsCount: 2 } } },
+      { metadata: { ai: { redFlagsCount: 3 } } },
+    ];
+    expect(countRedFlagRuns(history)).toBe(2);
+    expect(countRedFlagRuns(history, { redFlagWindow: 1 })).toBe(1);
+  });
+});
+
+describe('quarantine transitions', () => {
+  const findings = [{ rule: 'price_crash' as const, reason: 'Price dropped 95% below its 30-day median' }];
+
+  it('backs off re-checks', () => {
+    expect(nextRecheckAt(0, now)).toEqual(hoursLater(6));
+    expect(nextRecheckAt(1, now)).toEqual(hoursLater(24));
+    expect(nextRecheckAt(7, now)).toEqual(hoursLater(72));
+  });
+
+  it('quarantines a listed product', () => {
+    expect(quarantineUpdate({ quarantinedAt: null }, findings, now)).toEqual({
+      isActive: false,
+      quarantinedAt: now,
+      quarantineReasons: ['price_crash'],
+      quarantineChecks: 0,
+      quarantineRecheckAt: hoursLater(6),
+    });
+  });
+
+  it('only adds reasons to a quarantined product', () => {
+    expect(quarantineUpdate({ quarantinedAt: now, quarantineReasons: ['broken_url'] }, findings, now))
+      .toEqual({ quarantineReasons: ['broken_url', 'price_crash'] });
+  });
+
+  it('keeps the reasons of a re-check that could not decide', () => {
+    expect(recheckUpdate({ quarantineReasons: ['broken_url'], quarantineChecks: 1 }, [], now)).toEqual({
+      quarantineReasons: ['broken_url'],
+      quarantineChecks: 2,
+      quarantineRecheckAt: hoursLater(72),
+    });
+  });
+
+  it('reinstates once no rule fires and a gone page is live again', () => {
+    expect(canReinstate({ quarantineReasons: ['price_crash'] }, findings, 'live')).toBe(false);
+    expect(canReinstate({ quarantineReasons: ['price_crash'] }, [], 'unknown')).toBe(true);
+    expect(canReinstate({ quarantineReasons: ['broken_url'] }, [], 'unknown')).toBe(false);
+    expect(canReinstate({ quarantineReasons: ['broken_url'] }, [], 'live')).toBe(true);
+  });
+
+  it('lists a reinstated product again only if its lifecycle is active', () => {
+    expect(reinstateUpdate({ lifecycleStatus: 'active' })).toMatchObject({ isActive: true, quarantinedAt: null });
+    expect(reinstateUpdate({ lifecycleStatus: 'stale' })).toMatchObject({ isActive: false, quarantineReasons: [] });
+  });
+
+  it('keeps a product a moderator rejected hidden', () => {
+    expect(reinstateUpdate({ lifecycleStatus: 'active', rejectedAt: now })).toMatchObject({
+      isActive: false,
+      quarantinedAt: null,
+    });
+  });
+});
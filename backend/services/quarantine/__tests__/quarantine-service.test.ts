@@ -0,0 +1,100 @@
+import { QuarantineService, QuarantineValidators } from '../quarantine-service';
+
+// The service is given its database client
+jest.mock('../../../db/client', () => ({}));
+
+const now = new Date('2026-10-18T12:00:00Z');
+
+const validators: QuarantineValidators = {
+  isSuspiciouslyLow: (brand, salePrice) => brand === 'Gucci' && salePrice < 50,
+  validatePrice: () => ({ issues: [], checks: { discountMatchesCalculated: true } }),
+  checkProductUrl: async () => 'live',
+};
+
+function fakePrisma(products: Record<string, any>) {
+  const history: any[] = [];
+
+  const client = {
+    product: {
+      findUnique: async ({ where }: any) => (products[where.id] ? { ...products[where.id] } : null),
+      findMany: async ({ where }: any) => Object.values(products)
+        .filter(product => product.quarantinedAt && product.quarantineRecheckAt <= where.quarantineRecheckAt.lte)
+        .map(product => ({ ...product })),
+      update: async ({ where, data }: any) => Object.assign(products[where.id], data),
+    },
+    verificationHistory: {
+      findFirst: async () => null,
+      findMany: async () => [],
+      create: async ({ data }: any) => history.push(data),
+    },
+  };
+
+  return { client, history };
+}
+
+const product = (overrides: Record<string, any>) => ({
+  id: 'p1',
+  brand: 'Gucci',
+  productUrl: 'https://shop.example/gucci-belt',
+  salePrice: 450,
+  originalPrice: 600,
+  discountPercentage: 25,
+  normalizedSalePrice: 450,
+  priceDropPercent: 0,
+  confidenceScore: 88,
+  lifecycleStatus: 'active',
+  isActive: true,
+  quarantinedAt: null,
+  quarantineReasons: [],
+  quarantineRecheckAt: null,
+  quarantineChecks: 0,
+  ...overrides,
+});
+
+describe('QuarantineService', () => {
+  it('quarantines a flagged deal and logs the transition', async () => {
+    const products = { p1: product({ salePrice: 19, normalizedSalePrice: 19 }) };
+    const { client, history } = fakePrisma(products);
+
+    const result = await new QuarantineService(client, {}, validators).evaluate('p1', { trigger: 'ingestion' }, now);
+
+    expect(result).toMatchObject({ quarantined: true, findings: [{ rule: 'suspicious_price' }] });
+    expect(products.p1).toMatchObject({ isActive: false, quarantinedAt: now, quarantineReasons: ['suspicious_price'] });
+    expect(history).toEqual([expect.objectContaining({
+      verificationType: 'quarantine',
+      status: 'quarantined',
+      metadata: expect.objectContaining({ transition: 'quarantined', trigger: 'ingestion' }),
+    })]);
+  });
+
+  it('leaves clean deals alone', async () => {
+    const { client, history } = fakePrisma({ p1: product({}) });
+    await expect(new QuarantineService(client, {}, validators).evaluate('p1', {}, now))
+      .resolves.toEqual({ quarantined: false, findings: [] });
+    expect(history).toEqual([]);
+  });
+
+  it('reinstates due products no rule flags any more', async () => {
+    const products = {
+      p1: product({ isActive: false, quarantinedAt: now, quarantineReasons: ['broken_url'], quarantineRecheckAt: now }),
+      p2: product({ id: 'p2', isActive: false, salePrice: 19, normalizedSalePrice: 19, quarantinedAt: now, quarantineReasons: ['suspicious_price'], quarantineRecheckAt: now }),
+    };
+    const { client, history } = fakePrisma(products);
+
+    const result = await new QuarantineService(client, {}, validators).recheckDue({ now });
+
+    expect(result).toEqual({ checked: 2, reinstated: 1, kept: 1 });
+    expect(products.p1).toMatchObject({ isActive: true, quarantinedAt: null, quarantineReasons: [] });
+    expect(products.p2).toMatchObject({ isActive: false, quarantineChecks: 1 });
+    expect(history.map(entry => entry.metadata.transition)).toEqual(['reinstated']);
+  });
+
+  it('keeps a product quarantined for its page until the page is live', async () => {
+    const products = { p1: product({ isActive: false, quarantinedAt: now, quarantineReasons: ['broken_url'], quarantineRecheckAt: now }) };
+    const { client } = fakePrisma(products);
+
+    await new QuarantineService(client, {}, validators).recheckDue({ now, checkUrl: async () => 'unknown' });
+
+    expect(products.p1).toMatchObject({ isActive: false, quarantineReasons: ['broken_url'], quarantineChecks: 1 });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Type declarations for the quarantine rules (services/quarantine/quarantine-rules.js),
+ * so the rules and re-check schedule can be exercised from the TypeScript test suite.
+ */
+
+export type QuarantineRuleId =
+  | 'suspicious_price'
+  | 'discount_mismatch'
+  | 'broken_url'
+  | 'repeated_red_flags'
+  | 'price_crash';
+export type UrlStatus = 'live' | 'gone' | 'unknown';
+
+export interface QuarantineConfig {
+  rules: QuarantineRuleId[];
+  redFlagRuns: number;
+  redFlagWindow: number;
+  maxHistoryDrop: number;
+  recheckHours: number[];
+}
+
+export interface QuarantineFacts {
+  brand: string;
+  salePrice: number;
+  suspiciouslyLow: boolean;
+  priceCheck: { discountMatchesCalculated: boolean; issues: string[] } | null;
+  urlStatus: UrlStatus | null;
+  redFlagRuns: number;
+  priceDropPercent: number | null;
+}
+
+export interface QuarantineRule {
+  id: QuarantineRuleId;
+  description: string;
+  check(facts: QuarantineFacts, config: QuarantineConfig): string | null;
+}
+
+export interface QuarantineFinding {
+  rule: QuarantineRuleId;
+  reason: string;
+}
+
+export interface QuarantinedProductLike {
+  lifecycleStatus?: string;
+  quarantinedAt?: Date | null;
+  rejectedAt?: Date | null;
+  quarantineReasons?: string[];
+  quarantineChecks?: number;
+}
+
+export const QUARANTINE_CONFIG: QuarantineConfig;
+export const QUARANTINE_RULES: QuarantineRule[];
+export const RULE_IDS: QuarantineRuleId[];
+
+export function evaluateRules(facts: QuarantineFacts, config?: Partial<QuarantineConfig>): QuarantineFinding[];
+export function parseRules(value: string | undefined): QuarantineRuleId[];
+export function countRedFlagRuns(
+  history: { metadata: any }[],
+  config?: Partial<QuarantineConfig>
+): number;
+export function nextRecheckAt(checks: number, now?: Date, config?: Partial<QuarantineConfig>): Date;
+export function quarantineUpdate(
+  product: QuarantinedProductLike,
+  findings: QuarantineFinding[],
+  now?: Date,
+  config?: Partial<QuarantineConfig>
+): Record<string, unknown>;
+export function recheckUpdate(
+  product: QuarantinedProductLike,
+  findings: QuarantineFinding[],
+  now?: Date,
+  config?: Partial<QuarantineConfig>
+): { quarantineReasons: string[]; quarantineChecks: number; quarantineRecheckAt: Date };
+export function canReinstate(product: QuarantinedProductLike, findings: QuarantineFinding[], urlStatus: UrlStatus | null): boolean;
+export function reinstateUpdate(product: QuarantinedProductLike): Record<string, unknown>;
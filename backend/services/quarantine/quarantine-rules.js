@@ -0,0 +1,207 @@
+/**
+ * Quarantine Rules
+ *
+ * Pure rules of the deal quarantine - no database. A product any enabled rule
+ * flags is quarantined: hidden from the public APIs (isActive false) while it
+ * stays in its lifecycle state.
+ *
+ *   listed ──rule fires──▶ quarantined ──re-check, no rule fires──▶ reinstated (listed)
+ *                            │    ▲
+ *                            └────┘ re-check, still flagged: next re-check later
+ *
+ * Rules look at facts the service gathers (price validators, URL check,
+ * verification history, price history). Re-checks back off through
+ * QUARANTINE_CONFIG.recheckHours.
+ */
+
+const QUARANTINE_CONFIG = {
+  rules: ['suspicious_price', 'discount_mismatch', 'broken_url', 'repeated_red_flags', 'price_crash'],
+  redFlagRuns: 2,         // AI verifications with red flags...
+  redFlagWindow: 3,       // ...among the last this many
+  maxHistoryDrop: 90,     // Sale price this many % below its 30-day median
+  recheckHours: [6, 24, 72] // Delay before the 1st, 2nd and every later re-check
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Each rule returns why it flags the product, or null
+ */
+const QUARANTINE_RULES = [
+  {
+    id: 'suspicious_price',
+    description: 'Sale price is suspiciously low for the brand',
+    check: facts => (facts.suspiciouslyLow
+      ? `${facts.salePrice} is suspiciously low for ${facts.brand}`
+      : null)
+  },
+  {
+    id: 'discount_mismatch',
+    description: 'Claimed discount does not match the prices',
+    check: facts => (facts.priceCheck && !facts.priceCheck.discountMatchesCalculated
+      ? facts.priceCheck.issues.find(issue => issue.startsWith('Claimed discount')) || 'Discount does not match the prices'
+      : null)
+  },
+  {
+    id: 'broken_url',
+    description: 'Product page is gone',
+    check: facts => (facts.urlStatus === 'gone' ? 'Product page is gone' : null)
+  },
+  {
+    id: 'repeated_red_flags',
+    description: 'AI verification raised red flags repeatedly',
+    check: (facts, config) => (facts.redFlagRuns >= config.redFlagRuns
+      ? `Red flags in ${facts.redFlagRuns} of the last ${config.redFlagWindow} AI verifications`
+      : null)
+  },
+  {
+    id: 'price_crash',
+    description: 'Sudden price drop versus price history',
+    check: (facts, config) => (facts.priceDropPercent !== null && facts.priceDropPercent >= config.maxHistoryDrop
+      ? `Price dropped ${facts.priceDropPercent}% below its 30-day median`
+      : null)
+  }
+];
+
+const RULE_IDS = QUARANTINE_RULES.map(rule => rule.id);
+
+/**
+ * Run the enabled rules
+ *
+ * @param {Object} facts - { brand, salePrice, suspiciouslyLow, priceCheck, urlStatus, redFlagRuns, priceDropPercent }
+ * @returns {Array} - [{ rule, reason }] of the rules that fire
+ */
+function evaluateRules(facts, config = QUARANTINE_CONFIG) {
+  const settings = { ...QUARANTINE_CONFIG, ...config };
+
+  return QUARANTINE_RULES
+    .filter(rule => settings.rules.includes(rule.id))
+    .map(rule => ({ rule: rule.id, reason: rule.check(facts, settings) }))
+    .filter(finding => finding.reason);
+}
+
+/**
+ * Enabled rules from a comma-separated list (QUARANTINE_RULES)
+ *
+ * @throws {Error} - Unknown rule id
+ */
+function parseRules(value) {
+  if (!value) return QUARANTINE_CONFIG.rules;
+
+  const rules = value.split(',').map(rule => rule.trim()).filter(Boolean);
+  const unknown = rules.filter(rule => !RULE_IDS.includes(rule));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown quarantine rules: ${unknown.join(', ')} (known: ${RULE_IDS.join(', ')})`);
+  }
+  return rules;
+}
+
+/**
+ * AI verifications with red flags among the latest redFlagWindow ones
+ *
+ * @param {Array} history - full_verification rows, newest first, since the last moderator approval
+ */
+function countRedFlagRuns(history, config = QUARANTINE_CONFIG) {
+  const { redFlagWindow } = { ...QUARANTINE_CONFIG, ...config };
+
+  return history
+    .filter(entry => entry.metadata && entry.metadata.ai)
+    .slice(0, redFlagWindow)
+    .filter(entry => entry.metadata.ai.redFlagsCount > 0)
+    .length;
+}
+
+/**
+ * When a quarantined product is checked next
+ *
+ * @param {number} checks - Re-checks done so far
+ */
+function nextRecheckAt(checks, now = new Date(), config = QUARANTINE_CONFIG) {
+  const { recheckHours } = { ...QUARANTINE_CONFIG, ...config };
+  const hours = recheckHours[Math.min(checks, recheckHours.length - 1)];
+  return new Date(now.getTime() + hours * HOUR_MS);
+}
+
+/**
+ * Fields that quarantine a product. A product already quarantined keeps its
+ * re-check schedule and adds the new reasons (a trigger may not see every
+ * fact, e.g. ingestion does not check the page).
+ *
+ * @param {Object} product - { quarantinedAt, quarantineReasons }
+ * @param {Array} findings - evaluateRules() result (not empty)
+ */
+function quarantineUpdate(product, findings, now = new Date(), config = QUARANTINE_CONFIG) {
+  const rules = findings.map(finding => finding.rule);
+
+  if (product.quarantinedAt) {
+    return { quarantineReasons: [...new Set([...(product.quarantineReasons || []), ...rules])] };
+  }
+
+  return {
+    isActive: false,
+    quarantinedAt: now,
+    quarantineReasons: rules,
+    quarantineChecks: 0,
+    quarantineRecheckAt: nextRecheckAt(0, now, config)
+  };
+}
+
+/**
+ * Fields of a quarantined product a re-check keeps in quarantine. The re-check
+ * saw every fact, so its findings replace the reasons.
+ *
+ * @param {Object} product - { quarantineReasons, quarantineChecks }
+ * @param {Array} findings - evaluateRules() result of the re-check
+ */
+function recheckUpdate(product, findings, now = new Date(), config = QUARANTINE_CONFIG) {
+  const checks = (product.quarantineChecks || 0) + 1;
+
+  return {
+    quarantineReasons: findings.length > 0 ? findings.map(finding => finding.rule) : product.quarantineReasons,
+    quarantineChecks: checks,
+    quarantineRecheckAt: nextRecheckAt(checks, now, config)
+  };
+}
+
+/**
+ * Whether a re-check lets a quarantined product back: no rule fires, and a
+ * product quarantined for its page was seen live (an unreachable page proves nothing)
+ *
+ * @param {Object} product - { quarantineReasons }
+ * @param {Array} findings - evaluateRules() result of the re-check
+ * @param {string|null} urlStatus - 'live', 'gone' or 'unknown'
+ */
+function canReinstate(product, findings, urlStatus) {
+  if (findings.length > 0) return false;
+  return !(product.quarantineReasons || []).includes('broken_url') || urlStatus === 'live';
+}
+
+/**
+ * Fields that reinstate a product; it is listed again only if its lifecycle is
+ * active and no moderator rejected it
+ *
+ * @param {Object} product - { lifecycleStatus, rejectedAt }
+ */
+function reinstateUpdate(product) {
+  return {
+    isActive: product.lifecycleStatus === 'active' && !product.rejectedAt,
+    quarantinedAt: null,
+    quarantineReasons: [],
+    quarantineChecks: 0,
+    quarantineRecheckAt: null
+  };
+}
+
+module.exports = {
+  QUARANTINE_CONFIG,
+  QUARANTINE_RULES,
+  RULE_IDS,
+  evaluateRules,
+  parseRules,
+  countRedFlagRuns,
+  nextRecheckAt,
+  quarantineUpdate,
+  recheckUpdate,
+  canReinstate,
+  reinstateUpdate
+};
@@ -0,0 +1,35 @@
+/**
+ * Type declarations for the quarantine engine (services/quarantine/quarantine-service.js),
+ * used by the TypeScript verification manager and test suite.
+ */
+
+import { QuarantineConfig, QuarantineFinding, UrlStatus } from './quarantine-rules';
+
+export interface QuarantineValidators {
+  isSuspiciouslyLow(brand: string, salePrice: number): boolean;
+  validatePrice(
+    originalPrice: number,
+    salePrice: number,
+    discountPercentage: number
+  ): { issues: string[]; checks: { discountMatchesCalculated: boolean } };
+  checkProductUrl(url: string): Promise<UrlStatus>;
+}
+
+export class QuarantineService {
+  config: QuarantineConfig;
+  constructor(prismaClient?: any, config?: Partial<QuarantineConfig>, validators?: QuarantineValidators | null);
+  evaluate(
+    productId: string,
+    options?: { urlStatus?: UrlStatus | null; trigger?: string },
+    now?: Date
+  ): Promise<{ quarantined: boolean; findings: QuarantineFinding[] } | null>;
+  recheckDue(options?: {
+    limit?: number;
+    checkUrl?: ((url: string) => Promise<UrlStatus>) | null;
+    now?: Date;
+  }): Promise<{ checked: number; reinstated: number; kept: number }>;
+  list(options?: { limit?: number | string }): Promise<any[]>;
+  getCounts(): Promise<{ total: number; byRule: Record<string, number> }>;
+}
+
+export function getQuarantineService(): QuarantineService;
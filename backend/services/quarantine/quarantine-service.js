@@ -0,0 +1,241 @@
+const prisma = require('../../db/client');
+const { requireTs } = require('../require-ts');
+const {
+  QUARANTINE_CONFIG,
+  evaluateRules,
+  parseRules,
+  countRedFlagRuns,
+  quarantineUpdate,
+  recheckUpdate,
+  canReinstate,
+  reinstateUpdate
+} = require('./quarantine-rules');
+
+// The price and URL validators are TypeScript. They load with this module, so a
+// broken install stops startup instead of skipping the check on every product
+const { isSuspiciouslyLow, validatePrice } = requireTs('./services/verification/validators/price-validator', 'quarantine');
+const { checkProductUrl } = requireTs('./services/verification/validators/url-validator', 'quarantine');
+
+const DEFAULT_VALIDATORS = { isSuspiciouslyLow, validatePrice, checkProductUrl };
+
+/**
+ * Quarantine Service
+ *
+ * Applies the quarantine rules (see quarantine-rules.js). Products are
+ * evaluated when they are ingested (prices) and verified (prices, page, AI
+ * red flags); the products.quarantine job re-checks quarantined products
+ * whose re-check is due, page included, and reinstates them once no rule
+ * fires. Entering and leaving quarantine are logged to VerificationHistory
+ * as `quarantine`.
+ */
+
+const PRODUCT_SELECT = {
+  id: true,
+  name: true,
+  brand: true,
+  productUrl: true,
+  salePrice: true,
+  originalPrice: true,
+  discountPercentage: true,
+  normalizedSalePrice: true,
+  priceDropPercent: true,
+  confidenceScore: true,
+  lifecycleStatus: true,
+  rejectedAt: true,
+  quarantinedAt: true,
+  quarantineReasons: true,
+  quarantineRecheckAt: true,
+  quarantineChecks: true
+};
+
+class QuarantineService {
+  /**
+   * @param {Object} config - Overrides of QUARANTINE_CONFIG (rules default to QUARANTINE_RULES)
+   * @param {Object} validators - { isSuspiciouslyLow, validatePrice, checkProductUrl } (default: the TypeScript validators)
+   */
+  constructor(prismaClient = prisma, config = {}, validators = null) {
+    this.prisma = prismaClient.default || prismaClient;
+    this.config = {
+      ...QUARANTINE_CONFIG,
+      rules: parseRules(process.env.QUARANTINE_RULES),
+      ...config
+    };
+    this.validators = validators || DEFAULT_VALIDATORS;
+  }
+
+  /**
+   * Run the rules on a product and quarantine it if any fires. Never reinstates:
+   * a trigger may not see every fact, only a re-check does.
+   *
+   * @param {Object} options - { urlStatus ('live' | 'gone' | 'unknown', when the page was checked), trigger }
+   * @returns {Object|null} - { quarantined, findings }, null if the product does not exist
+   */
+  async evaluate(productId, { urlStatus = null, trigger = 'manual' } = {}, now = new Date()) {
+    const product = await this.prisma.product.findUnique({ where: { id: productId }, select: PRODUCT_SELECT });
+    if (!product) return null;
+
+    const findings = evaluateRules(await this.factsFor(product, urlStatus), this.config);
+    if (findings.length > 0) {
+      await this.prisma.product.update({
+        where: { id: product.id },
+        data: quarantineUpdate(product, findings, now, this.config)
+      });
+      if (!product.quarantinedAt) {
+        await this.logTransition(product, 'quarantined', { trigger, findings });
+      }
+    }
+
+    return { quarantined: Boolean(product.quarantinedAt) || findings.length > 0, findings };
+  }
+
+  /**
+   * Re-check quarantined products whose re-check is due, oldest first
+   *
+   * @param {Object} options - { limit, checkUrl(url) → 'live' | 'gone' | 'unknown' }
+   * @returns {Object} - { checked, reinstated, kept }
+   */
+  async recheckDue({ limit = 50, checkUrl = null, now = new Date() } = {}) {
+    const check = checkUrl || (url => this.validators.checkProductUrl(url));
+    const products = await this.prisma.product.findMany({
+      where: { quarantinedAt: { not: null }, quarantineRecheckAt: { lte: now } },
+      orderBy: { quarantineRecheckAt: 'asc' },
+      take: limit,
+      select: PRODUCT_SELECT
+    });
+
+    const result = { checked: 0, reinstated: 0, kept: 0 };
+
+    for (const product of products) {
+      const urlStatus = await check(product.productUrl);
+      const findings = evaluateRules(await this.factsFor(product, urlStatus), this.config);
+
+      if (canReinstate(product, findings, urlStatus)) {
+        await this.prisma.product.update({ where: { id: product.id }, data: reinstateUpdate(product) });
+        await this.logTransition(product, 'reinstated', {
+          trigger: 'recheck',
+          reasons: product.quarantineReasons,
+          checks: product.quarantineChecks + 1
+        });
+        result.reinstated++;
+      } else {
+        await this.prisma.product.update({
+          where: { id: product.id },
+          data: recheckUpdate(product, findings, now, this.config)
+        });
+        result.kept++;
+      }
+      result.checked++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Quarantined products, next re-check first
+   */
+  async list({ limit = 50 } = {}) {
+    return this.prisma.product.findMany({
+      where: { quarantinedAt: { not: null } },
+      orderBy: { quarantineRecheckAt: 'asc' },
+      take: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200),
+      select: { ...PRODUCT_SELECT, retailer: true, imageUrl: true }
+    });
+  }
+
+  /**
+   * Quarantined products in total and per rule
+   *
+   * @returns {Object} - { total, byRule: { rule: count } }
+   */
+  async getCounts() {
+    const products = await this.prisma.product.findMany({
+      where: { quarantinedAt: { not: null } },
+      select: { quarantineReasons: true }
+    });
+
+    const byRule = {};
+    for (const { quarantineReasons } of products) {
+      for (const rule of quarantineReasons) {
+        byRule[rule] = (byRule[rule] || 0) + 1;
+      }
+    }
+
+    return { total: products.length, byRule };
+  }
+
+  /**
+   * The facts the rules look at
+   */
+  async factsFor(product, urlStatus) {
+    const { isSuspiciouslyLow, validatePrice } = this.validators;
+    // Comparable across currencies (the validator's thresholds are not per currency)
+    const salePrice = product.normalizedSalePrice ?? product.salePrice;
+    const priceCheck = validatePrice(product.originalPrice, product.salePrice, product.discountPercentage);
+
+    return {
+      brand: product.brand,
+      salePrice,
+      suspiciouslyLow: isSuspiciouslyLow(product.brand, salePrice),
+      priceCheck: { discountMatchesCalculated: priceCheck.checks.discountMatchesCalculated, issues: priceCheck.issues },
+      urlStatus,
+      redFlagRuns: countRedFlagRuns(await this.verificationRuns(product.id), this.config),
+      priceDropPercent: product.priceDropPercent ?? null
+    };
+  }
+
+  /**
+   * Full verifications since the product was last approved by a moderator
+   * (an approval clears earlier red flags), newest first
+   */
+  async verificationRuns(productId) {
+    const approval = await this.prisma.verificationHistory.findFirst({
+      where: { productId, verificationType: 'manual_review', status: 'success' },
+      orderBy: { createdAt: 'desc' },
+      select: { createdAt: true }
+    });
+
+    return this.prisma.verificationHistory.findMany({
+      where: {
+        productId,
+        verificationType: 'full_verification',
+        ...(approval && { createdAt: { gt: approval.createdAt } })
+      },
+      orderBy: { createdAt: 'desc' },
+      take: this.config.redFlagWindow * 3,
+      select: { metadata: true }
+    });
+  }
+
+  /**
+   * Log entering or leaving quarantine
+   *
+   * @param {string} transition - 'quarantined' or 'reinstated'
+   */
+  async logTransition(product, transition, metadata) {
+    await this.prisma.verificationHistory.create({
+      data: {
+        productId: product.id,
+        verificationType: 'quarantine',
+        status: transition === 'quarantined' ? 'quarantined' : 'success',
+        previousConfidence: product.confidenceScore,
+        newConfidence: product.confidenceScore,
+        metadata: { transition, ...metadata }
+      }
+    });
+  }
+}
+
+// Singleton instance
+let quarantineServiceInstance = null;
+
+function getQuarantineService() {
+  if (!quarantineServiceInstance) {
+    quarantineServiceInstance = new QuarantineService();
+  }
+  return quarantineServiceInstance;
+}
+
+module.exports = {
+  QuarantineService,
+  getQuarantineService
+};
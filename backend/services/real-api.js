@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { removeDuplicateListings } = require('./matching/match-keys');
 
 /**
  * Real API Integration - Fetches ACTUAL deals from RapidAPI and Rainforest
@@ -317,16 +318,12 @@ class RealApiService {
     }
   }
 
+  /**
+   * Drop repeated listings from the same retailer; the same product at other
+   * retailers is kept and grouped into offers at ingestion
+   */
   removeDuplicates(products) {
-    const seen = new Set();
-    return products.filter(product => {
-      const key = product.url || `${product.name}-${product.salePrice}`;
-      if (seen.has(key)) {
-        return false;
-      }
-      seen.add(key);
-      return true;
-    });
+    return removeDuplicateListings(products);
   }
 
   delay(ms) {
@@ -0,0 +1,39 @@
+const path = require('path');
+
+/**
+ * Loading TypeScript modules from the JavaScript side of the backend
+ *
+ * Parts of the backend (cache, verification, translation providers) are
+ * TypeScript and run through ts-node, transpile-only. ts-node and typescript
+ * are production dependencies for this reason: every deploy installs
+ * production dependencies only. ts-node is registered on first use, so
+ * scripts that need no TypeScript do not pay for it.
+ */
+
+const BACKEND_ROOT = path.join(__dirname, '..');
+
+let tsNodeRegistered = false;
+
+/**
+ * Require a TypeScript module, registering ts-node on first use
+ *
+ * @param {string} modulePath - Relative to the backend root (e.g. './services/cache')
+ * @param {string} feature - Named in the error when ts-node is missing
+ */
+function requireTs(modulePath, feature) {
+  if (!tsNodeRegistered) {
+    try {
+      require('ts-node').register({
+        project: path.join(BACKEND_ROOT, 'tsconfig.json'),
+        transpileOnly: true
+      });
+    } catch (error) {
+      throw new Error(`Feature "${feature}" is written in TypeScript and needs ts-node - reinstall the dependencies (${error.message})`);
+    }
+    tsNodeRegistered = true;
+  }
+
+  return require(path.join(BACKEND_ROOT, modulePath));
+}
+
+module.exports = { requireTs };
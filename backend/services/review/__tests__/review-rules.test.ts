@@ -0,0 +1,93 @@
+import {
+  ReviewConflictError,
+  ReviewValidationError,
+  assertCanAct,
+  isClaimActive,
+  mergeEdits,
+  productEdits,
+  reviewNote,
+  reviewReasons,
+  scoreAfterReview,
+} from '../review-rules';
+
+const now = new Date('2026-10-18T12:00:00Z');
+const minutesAgo = (minutes: number) => new Date(now.getTime() - minutes * 60 * 1000);
+
+describe('reviewReasons', () => {
+  it('lists every reason a product needs review', () => {
+    expect(reviewReasons({ confidenceScore: 72, issues: [{ severity: 'critical' }], redFlags: ['price too low'] }))
+      .toEqual(['low_confidence', 'critical_issues', 'red_flags']);
+  });
+
+  it('uses the given threshold', () => {
+    expect(reviewReasons({ confidenceScore: 80 }, 75)).toEqual([]);
+    expect(reviewReasons({ confidenceScore: 80, issues: [{ severity: 'warning' }] })).toEqual(['low_confidence']);
+  });
+});
+
+describe('claims', () => {
+  it('expires a claim after claimMinutes', () => {
+    expect(isClaimActive({ status: 'claimed', claimedBy: 'anna', claimedAt: minutesAgo(10) }, now)).toBe(true);
+    expect(isClaimActive({ status: 'claimed', claimedBy: 'anna', claimedAt: minutesAgo(31) }, now)).toBe(false);
+    expect(isClaimActive({ status: 'open' }, now)).toBe(false);
+  });
+
+  it('lets only the claiming moderator act while the claim holds', () => {
+    const task = { status: 'claimed', claimedBy: 'anna', claimedAt: minutesAgo(10) };
+    expect(() => assertCanAct(task, 'anna', now)).not.toThrow();
+    expect(() => assertCanAct(task, 'marco', now)).toThrow('Review task is claimed by anna');
+    expect(() => assertCanAct({ ...task, claimedAt: minutesAgo(45) }, 'marco', now)).not.toThrow();
+  });
+
+  it('refuses resolved tasks', () => {
+    expect(() => assertCanAct({ status: 'approved' }, 'anna', now)).toThrow(ReviewConflictError);
+  });
+});
+
+describe('scoreAfterReview', () => {
+  it('raises approved products into the high range', () => {
+    expect(scoreAfterReview('approved', 72)).toBe(95);
+    expect(scoreAfterReview('approved', 97)).toBe(97);
+    expect(scoreAfterReview('approved', 100)).toBe(99);
+  });
+
+  it('drops rejected products into the rejected range', () => {
+    expect(scoreAfterReview('rejected', 82)).toBe(60);
+    expect(scoreAfterReview('rejected', 40)).toBe(40);
+  });
+});
+
+describe('productEdits', () => {
+  const product = { name: 'Nike Air Max 90', brand: 'Nke', category: 'shoes', description: null, imageUrl: null, gender: 'men' };
+
+  it('keeps only fields that change', () => {
+    expect(productEdits(product, { name: ' Nike  Air Max 90 ', brand: 'Nike', description: '  ' })).toEqual({
+      data: { brand: 'Nike' },
+      changes: { brand: { before: 'Nke', after: 'Nike' } },
+    });
+  });
+
+  it('rejects fields and values the product cannot take', () => {
+    expect(() => productEdits(product, { salePrice: 10 })).toThrow(/Fields cannot be edited: salePrice/);
+    expect(() => productEdits(product, { category: 'hats' })).toThrow(/category must be one of/);
+    expect(() => productEdits(product, { imageUrl: 'ftp://cdn/shoe.jpg' })).toThrow(ReviewValidationError);
+    expect(() => productEdits(product, { name: '' })).toThrow('name must not be empty');
+    expect(() => productEdits(product, null as any)).toThrow(ReviewValidationError);
+  });
+});
+
+describe('mergeEdits', () => {
+  it('keeps the scraped value and drops reverted fields', () => {
+    const first = mergeEdits(null, { brand: { before: 'Nke', after: 'Nik' } });
+    expect(mergeEdits(first, { brand: { before: 'Nik', after: 'Nike' } })).toEqual({ brand: { before: 'Nke', after: 'Nike' } });
+    expect(mergeEdits(first, { brand: { before: 'Nik', after: 'Nke' } })).toEqual({});
+  });
+});
+
+describe('reviewNote', () => {
+  it('trims notes and bounds their length', () => {
+    expect(reviewNote('  fake listing ')).toBe('fake listing');
+    expect(reviewNote('')).toBeNull();
+    expect(() => reviewNote('x'.repeat(1001))).toThrow(/at most 1000 characters/);
+  });
+});
@@ -0,0 +1,98 @@
+import { ReviewService } from '../review-service';
+
+// The service is given its database client
+jest.mock('../../../db/client', () => ({}));
+jest.mock('../../verification/scoring', () => ({ getProductsRequiringReview: jest.fn(async () => []) }));
+
+const now = new Date('2026-10-18T12:00:00Z');
+
+function fakePrisma() {
+  const tasks: any[] = [
+    { id: 'r1', productId: 'p1', status: 'open', reasons: ['low_confidence'], edits: null, claimedBy: null, claimedAt: null },
+    { id: 'r2', productId: 'p2', status: 'claimed', reasons: ['red_flags'], edits: null, claimedBy: 'anna', claimedAt: now },
+  ];
+  const products: Record<string, any> = {
+    p1: { id: 'p1', name: 'Nike Air Max 90', brand: 'Nke', confidenceScore: 72, lifecycleStatus: 'active', isActive: true, lockedFields: [] },
+    p2: { id: 'p2', name: 'Rolex Daytona', brand: 'Rolex', confidenceScore: 80, lifecycleStatus: 'active', isActive: true, lockedFields: [] },
+  };
+  const history: any[] = [];
+
+  // Enough of Prisma's where clause for takeTask()
+  const matches = (task: any, where: any) => where.id === task.id && where.OR.some((clause: any) =>
+    clause.status === task.status &&
+    (!clause.claimedBy || clause.claimedBy === task.claimedBy) &&
+    (!clause.claimedAt || task.claimedAt < clause.claimedAt.lt));
+
+  const client: any = {
+    reviewTask: {
+      findUnique: async ({ where }: any) => tasks.find(task => task.id === where.id) || null,
+      updateMany: async ({ where, data }: any) => {
+        const matched = tasks.filter(task => matches(task, where));
+        matched.forEach(task => Object.assign(task, data));
+        return { count: matched.length };
+      },
+      update: async ({ where, data }: any) => {
+        const task = tasks.find(row => row.id === where.id);
+        if (data.edits !== undefined) task.edits = data.edits;
+        return task;
+      },
+    },
+    product: {
+      findUnique: async ({ where }: any) => ({ ...products[where.id] }),
+      update: async ({ where, data }: any) => {
+        const { translations, ...fields } = data;
+        Object.assign(products[where.id], fields);
+        return products[where.id];
+      },
+    },
+    verificationHistory: {
+      create: async ({ data }: any) => history.push(data),
+    },
+  };
+  client.$transaction = async (fn: (tx: any) => Promise<any>) => fn(client);
+
+  return { client, tasks, products, history };
+}
+
+describe('ReviewService', () => {
+  it('approves a task with corrections and feeds the decision back', async () => {
+    const { client, products, history } = fakePrisma();
+    const service = new ReviewService(client);
+
+    const task = await service.approve('r1', 'marco', { note: 'checked on retailer site', edits: { brand: 'Nike' } }, now);
+
+    expect(task).toMatchObject({ status: 'approved', resolvedBy: 'marco', edits: { brand: { before: 'Nke', after: 'Nike' } } });
+    expect(products.p1).toMatchObject({ brand: 'Nike', lockedFields: ['brand'], confidenceScore: 95, isActive: true });
+    expect(history).toEqual([expect.objectContaining({
+      productId: 'p1',
+      verificationType: 'manual_review',
+      status: 'success',
+      previousConfidence: 72,
+      newConfidence: 95,
+    })]);
+  });
+
+  it('hides rejected products', async () => {
+    const { client, products } = fakePrisma();
+    await new ReviewService(client).reject('r1', 'marco', {}, now);
+    expect(products.p1).toMatchObject({ confidenceScore: 60, isActive: false });
+  });
+
+  it('reports tasks another moderator holds in bulk actions', async () => {
+    const { client, tasks } = fakePrisma();
+    const result = await new ReviewService(client).bulk('claim', ['r1', 'r2', 'r9'], 'marco', {}, now);
+
+    expect(result.succeeded).toEqual(['r1']);
+    expect(result.failed).toEqual([
+      { id: 'r2', error: 'Review task is claimed by anna' },
+      { id: 'r9', error: 'Review task not found: r9' },
+    ]);
+    expect(tasks[0]).toMatchObject({ status: 'claimed', claimedBy: 'marco' });
+  });
+
+  it('validates bulk requests', async () => {
+    const service = new ReviewService(fakePrisma().client, { maxBulk: 2 });
+    await expect(service.bulk('delete' as any, ['r1'], 'marco')).rejects.toThrow(/action must be one of/);
+    await expect(service.bulk('claim', ['r1', 'r2', 'r3'], 'marco')).rejects.toThrow('At most 2 tasks per bulk action');
+  });
+});
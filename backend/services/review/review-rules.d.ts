@@ -0,0 +1,56 @@
+/**
+ * Type declarations for the manual review rules (services/review/review-rules.js),
+ * so the review workflow can be exercised from the TypeScript test suite.
+ */
+
+export type ReviewStatus = 'open' | 'claimed' | 'approved' | 'rejected';
+export type ReviewAction = 'claim' | 'release' | 'approve' | 'reject';
+export type ReviewReason = 'low_confidence' | 'critical_issues' | 'red_flags';
+export type EditableField = 'name' | 'brand' | 'category' | 'description' | 'imageUrl' | 'gender';
+
+export interface ReviewConfig {
+  claimMinutes: number;
+  approvedScore: number;
+  rejectedScore: number;
+  maxBulk: number;
+  maxNoteLength: number;
+}
+
+export interface ReviewTaskLike {
+  status: ReviewStatus | string;
+  claimedBy?: string | null;
+  claimedAt?: Date | string | null;
+}
+
+export interface FieldChange {
+  before: string | null;
+  after: string | null;
+}
+
+export type ReviewEdits = Partial<Record<EditableField, FieldChange>>;
+
+export const REVIEW_STATUSES: ReviewStatus[];
+export const OPEN_STATUSES: ReviewStatus[];
+export const REVIEW_ACTIONS: ReviewAction[];
+export const REVIEW_CONFIG: ReviewConfig;
+export const EDITABLE_FIELDS: EditableField[];
+
+export class ReviewValidationError extends Error {}
+export class ReviewConflictError extends Error {}
+export class ReviewNotFoundError extends Error {
+  constructor(id: string);
+}
+
+export function reviewReasons(
+  verification: { confidenceScore: number; issues?: { severity: string }[]; redFlags?: string[] },
+  threshold?: number
+): ReviewReason[];
+export function isClaimActive(task: ReviewTaskLike, now?: Date, config?: ReviewConfig): boolean;
+export function assertCanAct(task: ReviewTaskLike, moderator: string, now?: Date, config?: ReviewConfig): void;
+export function scoreAfterReview(decision: 'approved' | 'rejected', currentScore: number, config?: ReviewConfig): number;
+export function productEdits(
+  product: Record<string, any>,
+  edits: Record<string, unknown>
+): { data: Record<string, string | null>; changes: ReviewEdits };
+export function mergeEdits(recorded: ReviewEdits | null | undefined, changes: ReviewEdits): ReviewEdits;
+export function reviewNote(note: unknown, config?: ReviewConfig): string | null;
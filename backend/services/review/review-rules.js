@@ -0,0 +1,206 @@
+/**
+ * Review Rules
+ *
+ * Pure rules of the manual review queue - no database. Products that
+ * verification could not vouch for (low confidence, critical issues, AI red
+ * flags) get a review task:
+ *
+ *   open ──claim──▶ claimed ──approve──▶ approved
+ *     ▲               │  └────reject───▶ rejected
+ *     └───release─────┘
+ *
+ * A claim reserves the task for one moderator (the admin API key's name) for
+ * REVIEW_CONFIG.claimMinutes; an expired claim can be taken over. Moderators
+ * may approve or reject open tasks directly (bulk actions). The decision is
+ * fed back into the product's confidence score.
+ */
+
+const { PRODUCT_CATEGORIES, GENDERS, isHttpUrl } = require('../ingestion/product-schema');
+
+const REVIEW_STATUSES = ['open', 'claimed', 'approved', 'rejected'];
+
+// Tasks still waiting for a decision; a product has at most one
+const OPEN_STATUSES = ['open', 'claimed'];
+
+const REVIEW_ACTIONS = ['claim', 'release', 'approve', 'reject'];
+
+const REVIEW_CONFIG = {
+  claimMinutes: 30,
+  approvedScore: 95,   // Human-verified: high confidence (95-99)
+  rejectedScore: 60,   // Below 70: rejected category
+  maxBulk: 100,
+  maxNoteLength: 1000
+};
+
+// Product fields a moderator can correct; ingestion leaves them alone afterwards
+const EDITABLE_FIELDS = ['name', 'brand', 'category', 'description', 'imageUrl', 'gender'];
+
+class ReviewValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReviewValidationError';
+  }
+}
+
+// A task is not (or no longer) in a state allowing the action
+class ReviewConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReviewConflictError';
+  }
+}
+
+class ReviewNotFoundError extends Error {
+  constructor(id) {
+    super(`Review task not found: ${id}`);
+    this.name = 'ReviewNotFoundError';
+  }
+}
+
+/**
+ * Why a product needs review
+ *
+ * @param {Object} verification - { confidenceScore, issues: [{ severity }], redFlags: [] }
+ * @param {number} threshold - Scores below it need review (thresholds.review of config/verification-rules.json)
+ * @returns {string[]} - 'low_confidence', 'critical_issues', 'red_flags'
+ */
+function reviewReasons({ confidenceScore, issues = [], redFlags = [] }, threshold = 85) {
+  const reasons = [];
+  if (confidenceScore < threshold) reasons.push('low_confidence');
+  if (issues.some(issue => issue.severity === 'critical')) reasons.push('critical_issues');
+  if (redFlags.length > 0) reasons.push('red_flags');
+  return reasons;
+}
+
+/**
+ * Whether a claim still reserves its task
+ */
+function isClaimActive(task, now = new Date(), config = REVIEW_CONFIG) {
+  return task.status === 'claimed' && Boolean(task.claimedAt) &&
+    now.getTime() - new Date(task.claimedAt).getTime() < config.claimMinutes * 60 * 1000;
+}
+
+/**
+ * Check that a moderator may act on a task
+ *
+ * @throws {ReviewConflictError} - Resolved, or claimed by someone else
+ */
+function assertCanAct(task, moderator, now = new Date(), config = REVIEW_CONFIG) {
+  if (!OPEN_STATUSES.includes(task.status)) {
+    throw new ReviewConflictError(`Review task is already ${task.status}`);
+  }
+  if (isClaimActive(task, now, config) && task.claimedBy !== moderator) {
+    throw new ReviewConflictError(`Review task is claimed by ${task.claimedBy}`);
+  }
+}
+
+/**
+ * Confidence score after a decision: approval vouches for the product,
+ * rejection drops it into the rejected range
+ */
+function scoreAfterReview(decision, currentScore, config = REVIEW_CONFIG) {
+  return decision === 'approved'
+    ? Math.min(99, Math.max(currentScore, config.approvedScore))
+    : Math.min(currentScore, config.rejectedScore);
+}
+
+function editedValue(field, value) {
+  if (field === 'description') {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+  }
+  if (field === 'imageUrl') {
+    if (value === null || value === '') return null;
+    if (!isHttpUrl(value)) throw new ReviewValidationError(`imageUrl is not a valid http(s) URL: ${value}`);
+    return value;
+  }
+
+  const text = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+  if (!text) throw new ReviewValidationError(`${field} must not be empty`);
+
+  if (field === 'category' && !PRODUCT_CATEGORIES.includes(text)) {
+    throw new ReviewValidationError(`category must be one of: ${PRODUCT_CATEGORIES.join(', ')}`);
+  }
+  if (field === 'gender' && !GENDERS.includes(text)) {
+    throw new ReviewValidationError(`gender must be one of: ${GENDERS.join(', ')}`);
+  }
+  return text;
+}
+
+/**
+ * Validate a moderator's corrections against the product
+ *
+ * @param {Object} product - Current product
+ * @param {Object} edits - { field: newValue } for EDITABLE_FIELDS
+ * @returns {Object} - { data: product update, changes: { field: { before, after } } } (unchanged fields left out)
+ * @throws {ReviewValidationError}
+ */
+function productEdits(product, edits) {
+  if (!edits || typeof edits !== 'object' || Array.isArray(edits)) {
+    throw new ReviewValidationError('edits must be an object of product fields');
+  }
+
+  const unknown = Object.keys(edits).filter(field => !EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ReviewValidationError(`Fields cannot be edited: ${unknown.join(', ')} (editable: ${EDITABLE_FIELDS.join(', ')})`);
+  }
+
+  const data = {};
+  const changes = {};
+  for (const [field, value] of Object.entries(edits)) {
+    const after = editedValue(field, value);
+    const before = product[field] ?? null;
+    if (after === before) continue;
+
+    data[field] = after;
+    changes[field] = { before, after };
+  }
+
+  return { data, changes };
+}
+
+/**
+ * Edits recorded on a task: the first `before` of a field is kept, so the
+ * task shows the scraped value next to the final one
+ */
+function mergeEdits(recorded, changes) {
+  const merged = { ...(recorded || {}) };
+  for (const [field, change] of Object.entries(changes)) {
+    const before = merged[field] ? merged[field].before : change.before;
+    if (change.after === before) {
+      delete merged[field];
+    } else {
+      merged[field] = { before, after: change.after };
+    }
+  }
+  return merged;
+}
+
+/**
+ * Validate a moderator's note
+ */
+function reviewNote(note, config = REVIEW_CONFIG) {
+  if (note === undefined || note === null || note === '') return null;
+  if (typeof note !== 'string') throw new ReviewValidationError('note must be a string');
+  if (note.length > config.maxNoteLength) {
+    throw new ReviewValidationError(`note must be at most ${config.maxNoteLength} characters`);
+  }
+  return note.trim() || null;
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  OPEN_STATUSES,
+  REVIEW_ACTIONS,
+  REVIEW_CONFIG,
+  EDITABLE_FIELDS,
+  ReviewValidationError,
+  ReviewConflictError,
+  ReviewNotFoundError,
+  reviewReasons,
+  isClaimActive,
+  assertCanAct,
+  scoreAfterReview,
+  productEdits,
+  mergeEdits,
+  reviewNote
+};
@@ -0,0 +1,36 @@
+/**
+ * Type declarations for the review queue (services/review/review-service.js),
+ * used by the TypeScript verification manager and test suite.
+ */
+
+import { ReviewAction, ReviewConfig } from './review-rules';
+
+export interface ReviewVerification {
+  confidenceScore: number;
+  issues?: { severity: string; field: string; message: string }[];
+  redFlags?: string[];
+  suggestions?: { brand?: string; category?: string } | null;
+  reviewThreshold?: number;
+}
+
+export interface BulkReviewResult {
+  succeeded: string[];
+  failed: { id: string; error: string }[];
+}
+
+export class ReviewService {
+  constructor(prismaClient?: any, config?: Partial<ReviewConfig> & { reviewThreshold?: number });
+  enqueue(productId: string, verification: ReviewVerification): Promise<{ task: any; created: boolean }>;
+  sync(options?: { limit?: number }): Promise<{ queued: number }>;
+  list(options?: { status?: string; limit?: number | string }): Promise<any[]>;
+  get(id: string): Promise<any | null>;
+  getCounts(): Promise<Record<string, number>>;
+  claim(id: string, moderator: string, now?: Date): Promise<any>;
+  release(id: string, moderator: string, now?: Date): Promise<any>;
+  edit(id: string, moderator: string, edits: Record<string, unknown>, now?: Date): Promise<any>;
+  approve(id: string, moderator: string, options?: { note?: string; edits?: Record<string, unknown> }, now?: Date): Promise<any>;
+  reject(id: string, moderator: string, options?: { note?: string; edits?: Record<string, unknown> }, now?: Date): Promise<any>;
+  bulk(action: ReviewAction, ids: string[], moderator: string, options?: { note?: string }, now?: Date): Promise<BulkReviewResult>;
+}
+
+export function getReviewService(): ReviewService;
@@ -0,0 +1,395 @@
+const prisma = require('../../db/client');
+const { requireTs } = require('../require-ts');
+const { AUTOMATIC_TRANSLATIONS } = require('../translation/product-translations');
+const {
+  OPEN_STATUSES,
+  REVIEW_ACTIONS,
+  REVIEW_CONFIG,
+  ReviewValidationError,
+  ReviewConflictError,
+  ReviewNotFoundError,
+  reviewReasons,
+  assertCanAct,
+  scoreAfterReview,
+  productEdits,
+  mergeEdits,
+  reviewNote
+} = require('./review-rules');
+const VERIFICATION_RULES = require('../../config/verification-rules.json');
+
+// TypeScript; loaded with this module so a broken install stops startup
+const { getProductsRequiringReview } = requireTs('./services/verification/scoring', 'review');
+
+/**
+ * Review Service
+ *
+ * The manual review queue (see review-rules.js). Tasks are queued by the
+ * verification manager when requiresManualReview() says so, and by sync()
+ * for products getProductsRequiringReview() finds below the threshold.
+ * Decisions update the product's confidence score (and hide rejected
+ * products until a later approval, see Product.rejectedAt) and are logged
+ * to VerificationHistory as `manual_review`.
+ */
+
+const PRODUCT_SELECT = {
+  id: true,
+  name: true,
+  brand: true,
+  category: true,
+  description: true,
+  imageUrl: true,
+  productUrl: true,
+  gender: true,
+  retailer: true,
+  salePrice: true,
+  originalPrice: true,
+  discountPercentage: true,
+  currency: true,
+  confidenceScore: true,
+  isActive: true,
+  lifecycleStatus: true,
+  lockedFields: true
+};
+
+class ReviewService {
+  /**
+   * @param {Object} config - Overrides of REVIEW_CONFIG, and reviewThreshold
+   *   (default: thresholds.review of config/verification-rules.json)
+   */
+  constructor(prismaClient = prisma, config = {}) {
+    this.prisma = prismaClient.default || prismaClient;
+    this.config = {
+      ...REVIEW_CONFIG,
+      reviewThreshold: VERIFICATION_RULES.thresholds.review,
+      ...config
+    };
+  }
+
+  /**
+   * Queue a product for review, or refresh the snapshot of its open task
+   *
+   * @param {string} productId
+   * @param {Object} verification - { confidenceScore, issues, redFlags, suggestions }, and the
+   *   reviewThreshold of the product's rule set (default: config.reviewThreshold)
+   * @returns {Object} - { task, created }
+   */
+  async enqueue(productId, { confidenceScore, issues = [], redFlags = [], suggestions = null, reviewThreshold }) {
+    const snapshot = {
+      reasons: reviewReasons({ confidenceScore, issues, redFlags }, reviewThreshold ?? this.config.reviewThreshold),
+      confidenceScore,
+      issues,
+      redFlags,
+      suggestions
+    };
+
+    const open = await this.prisma.reviewTask.findFirst({
+      where: { productId, status: { in: OPEN_STATUSES } }
+    });
+    if (open) {
+      const task = await this.prisma.reviewTask.update({ where: { id: open.id }, data: snapshot });
+      return { task, created: false };
+    }
+
+    const task = await this.prisma.reviewTask.create({ data: { productId, ...snapshot } });
+    return { task, created: true };
+  }
+
+  /**
+   * Queue the products below the review threshold that are not queued yet,
+   * with the issues of their last verification
+   *
+   * @returns {Object} - { queued }
+   */
+  async sync({ limit = 50 } = {}) {
+    const products = await getProductsRequiringReview(limit);
+
+    for (const product of products) {
+      const [latest] = product.verificationHistory || [];
+      const metadata = (latest && latest.metadata) || {};
+
+      await this.enqueue(product.id, {
+        confidenceScore: product.confidenceScore,
+        issues: metadata.issues || [],
+        redFlags: metadata.redFlags || [],
+        suggestions: metadata.suggestions || null
+      });
+    }
+
+    return { queued: products.length };
+  }
+
+  /**
+   * Tasks with their product, oldest first for open tasks and newest first otherwise
+   *
+   * @param {Object} options - { status (default: open and claimed), limit }
+   */
+  async list({ status, limit = 50 } = {}) {
+    const statuses = status ? [status] : OPEN_STATUSES;
+    const resolved = statuses.every(value => !OPEN_STATUSES.includes(value));
+
+    return this.prisma.reviewTask.findMany({
+      where: { status: { in: statuses } },
+      include: { product: { select: PRODUCT_SELECT } },
+      orderBy: { createdAt: resolved ? 'desc' : 'asc' },
+      take: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)
+    });
+  }
+
+  /**
+   * A task with its product and the product's recent verification history
+   *
+   * @returns {Object|null}
+   */
+  async get(id) {
+    return this.prisma.reviewTask.findUnique({
+      where: { id },
+      include: {
+        product: {
+          select: {
+            ...PRODUCT_SELECT,
+            verificationHistory: { orderBy: { createdAt: 'desc' }, take: 10 }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Tasks per status
+   */
+  async getCounts() {
+    const groups = await this.prisma.reviewTask.groupBy({
+      by: ['status'],
+      _count: { _all: true }
+    });
+
+    return Object.fromEntries(groups.map(group => [group.status, group._count._all]));
+  }
+
+  /**
+   * Reserve a task for a moderator (or take over an expired claim)
+   *
+   * @throws {ReviewConflictError}
+   */
+  async claim(id, moderator, now = new Date()) {
+    await this.findActionable(id, moderator, now);
+    await this.takeTask(this.prisma, id, moderator, now, { status: 'claimed', claimedBy: moderator, claimedAt: now });
+    return this.prisma.reviewTask.findUnique({ where: { id } });
+  }
+
+  /**
+   * Give a claimed task back to the queue
+   */
+  async release(id, moderator, now = new Date()) {
+    await this.findActionable(id, moderator, now);
+    await this.takeTask(this.prisma, id, moderator, now, { status: 'open', claimedBy: null, claimedAt: null });
+    return this.prisma.reviewTask.findUnique({ where: { id } });
+  }
+
+  /**
+   * Correct product fields without deciding yet; the task stays claimed by the moderator
+   *
+   * @param {Object} edits - { field: value } (see EDITABLE_FIELDS)
+   * @throws {ReviewValidationError|ReviewConflictError}
+   */
+  async edit(id, moderator, edits, now = new Date()) {
+    const task = await this.findActionable(id, moderator, now);
+
+    return this.prisma.$transaction(async tx => {
+      await this.takeTask(tx, id, moderator, now, { status: 'claimed', claimedBy: moderator, claimedAt: now });
+      const recorded = await this.applyEdits(tx, task, edits);
+      return tx.reviewTask.update({ where: { id }, data: { edits: recorded || undefined } });
+    });
+  }
+
+  /**
+   * The product is what it claims to be: raise its confidence
+   *
+   * @param {Object} options - { note, edits }
+   */
+  async approve(id, moderator, options = {}, now = new Date()) {
+    return this.resolve(id, moderator, 'approved', options, now);
+  }
+
+  /**
+   * The product is wrong or fake: lower its confidence and hide it
+   */
+  async reject(id, moderator, options = {}, now = new Date()) {
+    return this.resolve(id, moderator, 'rejected', options, now);
+  }
+
+  /**
+   * Run an action on several tasks; each task succeeds or fails on its own
+   *
+   * @param {string} action - 'claim', 'release', 'approve' or 'reject'
+   * @returns {Object} - { succeeded: [id], failed: [{ id, error }] }
+   * @throws {ReviewValidationError} - Unknown action or too many ids
+   */
+  async bulk(action, ids, moderator, { note } = {}, now = new Date()) {
+    if (!REVIEW_ACTIONS.includes(action)) {
+      throw new ReviewValidationError(`action must be one of: ${REVIEW_ACTIONS.join(', ')}`);
+    }
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new ReviewValidationError('ids must be a non-empty array');
+    }
+    if (ids.length > this.config.maxBulk) {
+      throw new ReviewValidationError(`At most ${this.config.maxBulk} tasks per bulk action`);
+    }
+
+    const result = { succeeded: [], failed: [] };
+    for (const id of [...new Set(ids)]) {
+      try {
+        if (action === 'approve' || action === 'reject') {
+          await this[action](id, moderator, { note }, now);
+        } else {
+          await this[action](id, moderator, now);
+        }
+        result.succeeded.push(id);
+      } catch (error) {
+        if (![ReviewConflictError, ReviewValidationError, ReviewNotFoundError].some(type => error instanceof type)) {
+          throw error;
+        }
+        result.failed.push({ id, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Decide a task: product score and visibility, history entry, task status
+   */
+  async resolve(id, moderator, decision, { note, edits } = {}, now = new Date()) {
+    const task = await this.findActionable(id, moderator, now);
+    const resolvedNote = reviewNote(note, this.config);
+
+    return this.prisma.$transaction(async tx => {
+      await this.takeTask(tx, id, moderator, now, {
+        status: decision,
+        resolvedBy: moderator,
+        resolvedAt: now,
+        note: resolvedNote
+      });
+      const recorded = edits ? await this.applyEdits(tx, task, edits) : task.edits;
+
+      const product = await tx.product.findUnique({
+        where: { id: task.productId },
+        select: { confidenceScore: true, lifecycleStatus: true, quarantinedAt: true }
+      });
+      const approved = decision === 'approved';
+      const newConfidence = scoreAfterReview(decision, product.confidenceScore, this.config);
+
+      await tx.product.update({
+        where: { id: task.productId },
+        data: {
+          confidenceScore: newConfidence,
+          lastVerifiedAt: now,
+          // Approval lists the product again only if its lifecycle does and it
+          // is not quarantined (a re-check reinstates it, see services/quarantine).
+          // A rejection is kept apart from isActive, so sightings and
+          // reinstatement do not list the product again
+          isActive: approved ? product.lifecycleStatus === 'active' && !product.quarantinedAt : false,
+          rejectedAt: approved ? null : now
+        }
+      });
+
+      await tx.verificationHistory.create({
+        data: {
+          productId: task.productId,
+          verificationType: 'manual_review',
+          status: approved ? 'success' : 'failed',
+          previousConfidence: product.confidenceScore,
+          newConfidence,
+          metadata: {
+            reviewTaskId: task.id,
+            decision,
+            moderator,
+            note: resolvedNote,
+            reasons: task.reasons,
+            edits: recorded || null
+          }
+        }
+      });
+
+      return tx.reviewTask.update({ where: { id }, data: { edits: recorded || undefined } });
+    });
+  }
+
+  /**
+   * Apply corrections to the task's product and lock the edited fields
+   *
+   * @returns {Object} - The task's recorded edits
+   */
+  async applyEdits(tx, task, edits) {
+    const product = await tx.product.findUnique({ where: { id: task.productId }, select: PRODUCT_SELECT });
+    const { data, changes } = productEdits(product, edits);
+    if (Object.keys(changes).length === 0) return task.edits;
+
+    const textChanged = 'name' in changes || 'description' in changes;
+    await tx.product.update({
+      where: { id: task.productId },
+      data: {
+        ...data,
+        lockedFields: [...new Set([...(product.lockedFields || []), ...Object.keys(changes)])],
+        ...(textChanged && { translations: { deleteMany: AUTOMATIC_TRANSLATIONS } })
+      }
+    });
+
+    return mergeEdits(task.edits, changes);
+  }
+
+  /**
+   * Update a task only if the moderator may still act on it, so two
+   * moderators cannot both claim or decide it
+   *
+   * @throws {ReviewConflictError}
+   */
+  async takeTask(client, id, moderator, now, data) {
+    const claimExpired = new Date(now.getTime() - this.config.claimMinutes * 60 * 1000);
+    const { count } = await client.reviewTask.updateMany({
+      where: {
+        id,
+        OR: [
+          { status: 'open' },
+          { status: 'claimed', claimedBy: moderator },
+          { status: 'claimed', claimedAt: { lt: claimExpired } }
+        ]
+      },
+      data
+    });
+
+    if (count === 0) {
+      throw new ReviewConflictError('Review task was changed by another moderator');
+    }
+  }
+
+  /**
+   * @returns {Object} - The task
+   * @throws {ReviewNotFoundError}
+   * @throws {ReviewConflictError} - Resolved or claimed by someone else
+   */
+  async findActionable(id, moderator, now) {
+    const task = await this.prisma.reviewTask.findUnique({ where: { id } });
+    if (!task) {
+      throw new ReviewNotFoundError(id);
+    }
+
+    assertCanAct(task, moderator, now, this.config);
+    return task;
+  }
+}
+
+// Singleton instance
+let reviewServiceInstance = null;
+
+function getReviewService() {
+  if (!reviewServiceInstance) {
+    reviewServiceInstance = new ReviewService();
+  }
+  return reviewServiceInstance;
+}
+
+module.exports = {
+  ReviewService,
+  getReviewService
+};
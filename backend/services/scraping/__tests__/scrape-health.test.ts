@@ -0,0 +1,138 @@
+import { ScrapeRunLike, dailyTrend, median, runStatus, summarizeScraper, summarizeScrapers } from '../scrape-health';
+
+let hour = 0;
+
+// Runs are created oldest first, six hours apart
+function run(overrides: Partial<ScrapeRunLike> = {}): ScrapeRunLike {
+  const startedAt = new Date(Date.UTC(2026, 9, 10, 0) + (hour++) * 6 * 60 * 60 * 1000);
+  return {
+    scraper: 'JD Sports UK',
+    status: 'success',
+    startedAt,
+    finishedAt: new Date(startedAt.getTime() + 60000),
+    durationMs: 60000,
+    productsFound: 50,
+    productsStored: 48,
+    productsRejected: 2,
+    selectorMisses: 0,
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  hour = 0;
+});
+
+describe('runStatus', () => {
+  it('is failed on error, empty without products, success otherwise', () => {
+    expect(runStatus({ error: new Error('Timeout'), productsFound: 10 })).toBe('failed');
+    expect(runStatus({ productsFound: 0 })).toBe('empty');
+    expect(runStatus({ productsFound: 3 })).toBe('success');
+  });
+});
+
+describe('median', () => {
+  it('handles odd, even and empty lists', () => {
+    expect(median([5, 1, 3])).toBe(3);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+    expect(median([])).toBeNull();
+  });
+});
+
+describe('summarizeScraper', () => {
+  it('is healthy when the last run matches its baseline', () => {
+    const health = summarizeScraper('JD Sports UK', [run(), run(), run(), run({ productsStored: 45 })]);
+
+    expect(health.status).toBe('healthy');
+    expect(health.baseline).toBe(48);
+    expect(health.yieldRatio).toBe(0.94);
+    expect(health.successRate).toBe(1);
+    expect(health.lastRun?.productsStored).toBe(45);
+  });
+
+  it('is degraded when the last yield drops below half the baseline', () => {
+    const health = summarizeScraper('JD Sports UK', [
+      run(), run({ productsStored: 40 }), run({ productsStored: 44 }),
+      run({ productsFound: 6, productsStored: 5, selectorMisses: 3 }),
+    ]);
+
+    expect(health.status).toBe('degraded');
+    expect(health.baseline).toBe(44);
+    expect(health.reasons).toEqual([
+      'Last run stored 5 products, baseline is 44',
+      '3 selector misses in the last run',
+    ]);
+  });
+
+  it('treats a single failed run after a good history as degraded', () => {
+    const health = summarizeScraper('JD Sports UK', [
+      run(), run(), run(),
+      run({ status: 'failed', productsFound: 0, productsStored: 0, errorClass: 'TimeoutError' }),
+    ]);
+
+    expect(health.status).toBe('degraded');
+    expect(health.consecutiveFailures).toBe(1);
+  });
+
+  it('is failing after consecutive failed or empty runs', () => {
+    const health = summarizeScraper('JD Sports UK', [
+      run(), run(), run(),
+      run({ status: 'empty', productsFound: 0, productsStored: 0 }),
+      run({ status: 'failed', productsFound: 0, productsStored: 0 }),
+      run({ status: 'empty', productsFound: 0, productsStored: 0 }),
+    ]);
+
+    expect(health.status).toBe('failing');
+    expect(health.consecutiveFailures).toBe(3);
+    expect(health.successRate).toBe(0.5);
+  });
+
+  it('needs enough successful runs for a baseline', () => {
+    expect(summarizeScraper('New', [run(), run()]).status).toBe('healthy');
+    expect(summarizeScraper('New', [run(), run()]).baseline).toBeNull();
+    expect(summarizeScraper('New', [run({ status: 'empty', productsFound: 0, productsStored: 0 })]).status).toBe('unknown');
+    expect(summarizeScraper('New', []).status).toBe('unknown');
+  });
+
+  it('ignores running runs for the status but reports them', () => {
+    const health = summarizeScraper('JD Sports UK', [run(), run(), run(), run(), run({ status: 'running', productsStored: 0 })]);
+
+    expect(health.status).toBe('healthy');
+    expect(health.isRunning).toBe(true);
+    expect(health.runs).toBe(4);
+  });
+
+  it('takes runs in any order', () => {
+    const runs = [run(), run(), run(), run({ productsStored: 2 })];
+
+    expect(summarizeScraper('JD Sports UK', [...runs].reverse()).status).toBe('degraded');
+  });
+});
+
+describe('dailyTrend', () => {
+  it('groups runs by UTC day, oldest first', () => {
+    const runs = [run(), run(), run(), run(), run({ status: 'failed', productsFound: 0, productsStored: 0 })];
+
+    expect(dailyTrend([...runs].reverse()).map(day => [day.date, day.runs, day.failed, day.productsStored])).toEqual([
+      ['2026-10-10', 4, 0, 192],
+      ['2026-10-11', 1, 1, 0],
+    ]);
+  });
+});
+
+describe('summarizeScrapers', () => {
+  it('groups by scraper, worst first, and includes scrapers without runs', () => {
+    const health = summarizeScrapers([
+      run({ scraper: 'Zara EU' }), run({ scraper: 'Zara EU' }),
+      run({ scraper: 'H&M EU', status: 'failed', productsFound: 0, productsStored: 0 }),
+      run({ scraper: 'H&M EU', status: 'failed', productsFound: 0, productsStored: 0 }),
+      run({ scraper: 'H&M EU', status: 'failed', productsFound: 0, productsStored: 0 }),
+    ], { scrapers: ['Mango EU'] });
+
+    expect(health.map(scraper => [scraper.scraper, scraper.status])).toEqual([
+      ['H&M EU', 'failing'],
+      ['Mango EU', 'unknown'],
+      ['Zara EU', 'healthy'],
+    ]);
+  });
+});
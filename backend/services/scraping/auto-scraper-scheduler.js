@@ -1,41 +1,124 @@
 const cron = require('node-cron');
 const { PrismaClient } = require('@prisma/client');
+const { IngestionPipeline, logIngestionResult } = require('../ingestion');
+const { AlertService } = require('../alerts/alert-service');
+const { ScrapeRunService } = require('./scrape-runs');
+const { JobQueue } = require('../jobs/job-queue');
+const { JobWorker } = require('../jobs/job-worker');
+const { LifecycleService } = require('../lifecycle/lifecycle-service');
+const { QuarantineService } = require('../quarantine/quarantine-service');
+const { createProductTranslationService } = require('../translation/product-translations');
+const { importProductsFile } = require('../../scripts/import-products-json');
 
 // Import all scrapers
 const JDSportsUKScraper = require('../../scrapers/eu-retailers/jdsports-uk');
 const SportsDirectScraper = require('../../scrapers/eu-retailers/sportsdirect-uk');
 const FootLockerUKScraper = require('../../scrapers/eu-retailers/footlocker-uk');
-const HMEUScraper = require('../../scrapers/eu-retailers/hm-eu');
-const ZaraEUScraper = require('../../scrapers/eu-retailers/zara-eu');
-const MangoEUScraper = require('../../scrapers/eu-retailers/mango-eu');
 const DecathlonEUScraper = require('../../scrapers/eu-retailers/decathlon-eu');
+const { listDefinitions } = require('../../scrapers/declarative/definitions');
+const { scraperClassFor } = require('../../scrapers/declarative/config-scraper');
 
 const prisma = new PrismaClient();
+const ingestion = new IngestionPipeline(prisma);
+const alerts = new AlertService(prisma);
+const scrapeRuns = new ScrapeRunService(prisma);
+const jobs = new JobQueue(prisma);
+const lifecycle = new LifecycleService(prisma);
+const quarantine = new QuarantineService(prisma);
 
 /**
  * Automated Real-Time Scraper Scheduler
  *
- * Runs scrapers automatically on a schedule:
- * - Every 6 hours: Full scrape cycle
- * - Rotates through scrapers to avoid overload
+ * Runs scrapers automatically through the job queue (services/jobs):
+ * - Each retailer has its own cron schedule, which enqueues a `scrape` job
+ * - A worker runs at most `concurrency` scrapers (browsers) at once
+ * - Failed scrapes are retried with exponential backoff, then dead-lettered
+ * - Jobs are stored in the database, so queued work survives restarts
  * - Stores products directly in database
- * - Auto-cleanup of old/broken products
+ * - Product lifecycle (services/lifecycle): each successful run counts a miss
+ *   for the retailer's products it did not see, product pages are re-verified,
+ *   and an hourly sweep expires and archives products (nothing is deleted)
+ * - Quarantined deals (services/quarantine) are re-checked when due and
+ *   reinstated once no quarantine rule flags them
+ * - Checks users' price alerts after scrapes (one queued check at a time)
+ * - Translates new products into every language with DeepL (when
+ *   `deeplApiKey` is set)
+ * - Records every scraper execution as a ScrapeRun (history and health
+ *   at GET /api/admin/scrapers)
  */
 
+const DEFAULT_SCHEDULE = '0 */6 * * *';
+
+const JOB_TYPES = {
+  scrape: 'scrape',
+  alerts: 'alerts.check',
+  lifecycle: 'products.lifecycle',
+  reverify: 'products.reverify',
+  quarantine: 'products.quarantine',
+  translate: 'products.translate',
+  dealsImport: 'deals.import'
+};
+
+const SCHEDULER_DEFAULTS = {
+  concurrency: 2,                  // Scrapers (browsers) running at once
+  maxAttempts: 3,                  // Per scrape job, including the first
+  lifecycleSchedule: '5 * * * *',  // Hourly: expire and archive products
+  reverifySchedule: '50 */3 * * *', // Re-check product pages
+  reverifyBatch: 50,               // Pages per re-verification job
+  quarantineSchedule: '35 * * * *', // Re-check quarantined products that are due
+  quarantineBatch: 50,             // Products per quarantine re-check job
+  translateSchedule: '20 * * * *', // Also after every successful scrape
+  translateBatch: 100,             // Products per translation job
+  deeplApiKey: null,               // Translation jobs are off without a key
+  dealsImportSchedule: null        // Re-import data/products.json (off unless set)
+};
+
 class AutoScraperScheduler {
-  constructor() {
+  /**
+   * @param {Object} options - See SCHEDULER_DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...SCHEDULER_DEFAULTS, ...options };
+
+    // Staggered so the retailers do not all start at once
     this.scrapers = [
-      { name: 'JD Sports UK', Class: JDSportsUKScraper, maxProducts: 50 },
-      { name: 'Sports Direct UK', Class: SportsDirectScraper, maxProducts: 50 },
-      { name: 'Foot Locker UK', Class: FootLockerUKScraper, maxProducts: 50 },
-      { name: 'H&M EU', Class: HMEUScraper, maxProducts: 30 },
-      { name: 'Zara EU', Class: ZaraEUScraper, maxProducts: 30 },
-      { name: 'Mango EU', Class: MangoEUScraper, maxProducts: 30 },
-      { name: 'Decathlon EU', Class: DecathlonEUScraper, maxProducts: 30 }
+      { id: 'jdsports-uk', name: 'JD Sports UK', Class: JDSportsUKScraper, maxProducts: 50, schedule: '0 */6 * * *' },
+      { id: 'sportsdirect-uk', name: 'Sports Direct UK', Class: SportsDirectScraper, maxProducts: 50, schedule: '15 */6 * * *' },
+      { id: 'footlocker-uk', name: 'Foot Locker UK', Class: FootLockerUKScraper, maxProducts: 50, schedule: '30 */6 * * *' },
+      { id: 'decathlon-eu', name: 'Decathlon EU', Class: DecathlonEUScraper, maxProducts: 30, schedule: '45 */6 * * *' },
+      // Every declarative retailer (scrapers/definitions/*.json)
+      ...listDefinitions().map(definition => ({
+        id: definition.id,
+        name: definition.name,
+        Class: scraperClassFor(definition.id),
+        maxProducts: definition.maxProducts,
+        schedule: definition.schedule || DEFAULT_SCHEDULE
+      }))
     ];
 
-    this.isRunning = false;
-    this.currentScraper = null;
+    for (const scraper of this.scrapers) {
+      if (!cron.validate(scraper.schedule)) {
+        throw new Error(`Invalid schedule "${scraper.schedule}" for scraper ${scraper.id}`);
+      }
+    }
+
+    this.worker = new JobWorker({ queue: jobs })
+      .register(JOB_TYPES.scrape, payload => this.runScrapeJob(payload), { concurrency: this.options.concurrency })
+      .register(JOB_TYPES.alerts, () => this.checkAlerts())
+      .register(JOB_TYPES.lifecycle, () => this.sweepProducts())
+      .register(JOB_TYPES.reverify, () => this.reverifyProducts())
+      .register(JOB_TYPES.quarantine, () => this.recheckQuarantine())
+      .register(JOB_TYPES.dealsImport, () => this.importDeals());
+
+    this.translations = this.options.deeplApiKey
+      ? createProductTranslationService(this.options.deeplApiKey, prisma)
+      : null;
+    if (this.translations) {
+      this.worker.register(JOB_TYPES.translate, () => this.translateProducts());
+    }
+
+    this.tasks = [];
+    this.runningScrapers = new Set();
     this.stats = {
       totalRuns: 0,
       successfulRuns: 0,
@@ -46,100 +129,155 @@ class AutoScraperScheduler {
   }
 
   /**
-   * Start the automatic scraping scheduler
+   * Start the cron schedules and the job worker
    */
   start() {
+    if (this.tasks.length > 0) {
+      console.log('⚠️  Scheduler already active');
+      return;
+    }
+
     console.log('╔══════════════════════════════════════════════════════════════════╗');
     console.log('║        AUTOMATIC REAL-TIME SCRAPER SCHEDULER STARTED            ║');
     console.log('╚══════════════════════════════════════════════════════════════════╝\n');
 
-    // Schedule: Run every 6 hours
-    // Cron: "0 */6 * * *" = At minute 0 past every 6th hour (00:00, 06:00, 12:00, 18:00)
-    this.mainSchedule = cron.schedule('0 */6 * * *', async () => {
-      await this.runFullScrapeCircle();
-    });
+    for (const scraper of this.scrapers) {
+      this.tasks.push(cron.schedule(scraper.schedule, () => {
+        this.enqueueScraper(scraper.id).catch(error => {
+          console.error(`❌ Could not queue ${scraper.name}: ${error.message}`);
+        });
+      }));
+      console.log(`📅 ${scraper.name}: ${scraper.schedule}`);
+    }
+
+    this.tasks.push(cron.schedule(this.options.lifecycleSchedule, () => this.enqueue(JOB_TYPES.lifecycle)));
+    console.log(`🧹 Product lifecycle: ${this.options.lifecycleSchedule}`);
+
+    this.tasks.push(cron.schedule(this.options.reverifySchedule, () => this.enqueue(JOB_TYPES.reverify)));
+    console.log(`🔗 URL re-verification: ${this.options.reverifySchedule}`);
+
+    this.tasks.push(cron.schedule(this.options.quarantineSchedule, () => this.enqueue(JOB_TYPES.quarantine)));
+    console.log(`🚧 Quarantine re-checks: ${this.options.quarantineSchedule}`);
+
+    if (this.translations) {
+      this.tasks.push(cron.schedule(this.options.translateSchedule, () => this.enqueue(JOB_TYPES.translate)));
+      console.log(`🌍 Product translations: ${this.options.translateSchedule}`);
+    }
+
+    if (this.options.dealsImportSchedule) {
+      this.tasks.push(cron.schedule(this.options.dealsImportSchedule, () => this.enqueue(JOB_TYPES.dealsImport)));
+      console.log(`📦 Products import: ${this.options.dealsImportSchedule}`);
+    }
 
-    // Initial run on startup (after 30 seconds)
-    setTimeout(async () => {
-      console.log('🚀 Running initial scrape cycle...\n');
-      await this.runFullScrapeCircle();
-    }, 30000);
+    this.worker.start()
+      .then(() => this.runFullScrapeCircle())
+      .catch(error => console.error(`❌ Job worker failed to start: ${error.message}`));
 
-    console.log('✅ Scheduler active');
-    console.log('📅 Full scrape cycle: Every 6 hours (00:00, 06:00, 12:00, 18:00)');
-    console.log('⏰ Initial run: 30 seconds from now\n');
+    console.log(`✅ Scheduler active (${this.options.concurrency} concurrent scrapers)\n`);
   }
 
   /**
-   * Stop the scheduler
+   * Stop the schedules and the worker (queued jobs stay in the database)
    */
   stop() {
-    if (this.mainSchedule) {
-      this.mainSchedule.stop();
+    if (this.tasks.length > 0 || this.worker.isRunning) {
+      this.tasks.forEach(task => task.stop());
+      this.tasks = [];
+      this.worker.stop();
       console.log('⏹️  Scheduler stopped');
     }
   }
 
   /**
-   * Run a full scraping cycle through all retailers
+   * Queue a job of a given type, unless one is already queued or running
    */
-  async runFullScrapeCircle() {
-    if (this.isRunning) {
-      console.log('⚠️  Scrape cycle already in progress, skipping...');
-      return;
+  async enqueue(type, payload = {}, key = type) {
+    try {
+      return await jobs.enqueue(type, payload, { key });
+    } catch (error) {
+      console.error(`❌ Could not queue ${type} job: ${error.message}`);
+      return null;
     }
+  }
 
-    this.isRunning = true;
-    const cycleStartTime = Date.now();
-
-    console.log('\n╔══════════════════════════════════════════════════════════════════╗');
-    console.log('║               AUTOMATED SCRAPE CYCLE STARTED                     ║');
-    console.log('╚══════════════════════════════════════════════════════════════════╝');
-    console.log(`⏰ Started at: ${new Date().toISOString()}\n`);
+  /**
+   * Queue a scrape of one retailer ("run now")
+   *
+   * @returns {Object|null} - { job, created }, or null if no scraper has this id
+   */
+  async enqueueScraper(id) {
+    const scraper = this.getScraper(id);
+    if (!scraper) return null;
 
-    const results = [];
+    const { job, created } = await jobs.enqueue(JOB_TYPES.scrape, { scraper: id }, {
+      key: id,
+      maxAttempts: this.options.maxAttempts
+    });
+    console.log(created ? `📥 Queued ${scraper.name}` : `⚠️  ${scraper.name} is already queued or running`);
+    return { job, created };
+  }
 
-    // Run each scraper with 10-second delay between them
-    for (let i = 0; i < this.scrapers.length; i++) {
-      const scraper = this.scrapers[i];
+  /**
+   * Queue a scrape of every retailer
+   */
+  async runFullScrapeCircle() {
+    const queued = [];
+    for (const scraper of this.scrapers) {
+      queued.push(await this.enqueueScraper(scraper.id));
+    }
+    return queued;
+  }
 
-      console.log(`\n[${ i + 1}/${this.scrapers.length}] Running ${scraper.name}...`);
+  getScraper(id) {
+    return this.scrapers.find(scraper => scraper.id === id) || null;
+  }
 
-      const result = await this.runSingleScraper(scraper);
-      results.push(result);
+  /**
+   * Handler of `scrape` jobs: throws when the scrape failed, so the job is retried
+   */
+  async runScrapeJob({ scraper: id }) {
+    const scraper = this.getScraper(id);
+    if (!scraper) {
+      throw new Error(`Unknown scraper: ${id}`);
+    }
 
-      // Delay before next scraper (except last one)
-      if (i < this.scrapers.length - 1) {
-        console.log('⏳ Waiting 10 seconds before next scraper...');
-        await this.delay(10000);
-      }
+    const startedAt = new Date();
+    this.runningScrapers.add(scraper.name);
+    let result;
+    try {
+      result = await this.runSingleScraper(scraper);
+    } finally {
+      this.runningScrapers.delete(scraper.name);
     }
 
-    // Update stats
     this.stats.totalRuns++;
-    this.stats.successfulRuns += results.filter(r => r.success).length;
-    this.stats.failedRuns += results.filter(r => !r.success).length;
-    this.stats.totalProducts += results.reduce((sum, r) => sum + r.productsStored, 0);
     this.stats.lastRun = new Date().toISOString();
+    if (!result.success) {
+      this.stats.failedRuns++;
+      throw new Error(result.error);
+    }
 
-    // Cycle summary
-    const cycleDuration = ((Date.now() - cycleStartTime) / 1000 / 60).toFixed(1);
-    const totalProducts = results.reduce((sum, r) => sum + r.productsStored, 0);
-    const successful = results.filter(r => r.success).length;
+    this.stats.successfulRuns++;
+    this.stats.totalProducts += result.productsStored;
 
-    console.log('\n╔══════════════════════════════════════════════════════════════════╗');
-    console.log('║              AUTOMATED SCRAPE CYCLE COMPLETE                     ║');
-    console.log('╚══════════════════════════════════════════════════════════════════╝');
-    console.log(`⏰ Completed at: ${new Date().toISOString()}`);
-    console.log(`⏱️  Duration: ${cycleDuration} minutes`);
-    console.log(`✅ Successful scrapers: ${successful}/${this.scrapers.length}`);
-    console.log(`📦 Total products stored: ${totalProducts}`);
-    console.log(`📊 Next cycle: ${this.getNextRunTime()}\n`);
+    // Products of this retailer the run did not see move towards expiry
+    const missed = await lifecycle.recordMissedRun(scraper.name, startedAt);
+    if (missed.missed > 0) {
+      console.log(`   👻 ${missed.missed} ${scraper.name} products not seen (${missed.unseen} unseen, ${missed.stale} stale)`);
+    }
 
-    this.isRunning = false;
+    // Notify users whose alerts match the fresh prices and deals
+    await this.enqueue(JOB_TYPES.alerts);
+    if (this.translations) {
+      await this.enqueue(JOB_TYPES.translate);
+    }
 
-    // Cleanup old products after each cycle
-    await this.cleanupOldProducts();
+    return {
+      productsScraped: result.productsScraped,
+      productsStored: result.productsStored,
+      duration: result.duration,
+      productsMissed: missed.missed
+    };
   }
 
   /**
@@ -147,12 +285,13 @@ class AutoScraperScheduler {
    */
   async runSingleScraper(scraperConfig) {
     const { name, Class, maxProducts } = scraperConfig;
-    this.currentScraper = name;
     const startTime = Date.now();
+    const run = await this.startRun(name);
+    let scraper = null;
 
     try {
       // Initialize scraper
-      const scraper = new Class({ maxProducts });
+      scraper = new Class({ maxProducts });
 
       // Scrape products
       console.log(`   ⏳ Scraping...`);
@@ -160,6 +299,7 @@ class AutoScraperScheduler {
 
       if (products.length === 0) {
         console.log(`   ⚠️  No products found`);
+        await this.finishRun(run, scraper, { productsFound: 0 });
         return {
           scraper: name,
           success: false,
@@ -174,7 +314,14 @@ class AutoScraperScheduler {
 
       // Store products in database
       console.log(`   💾 Storing in database...`);
-      const stored = await this.storeProducts(products);
+      const ingested = await this.storeProducts(products, name);
+      const stored = ingested.created + ingested.updated;
+
+      await this.finishRun(run, scraper, {
+        productsFound: products.length,
+        productsStored: stored,
+        productsRejected: ingested.rejected
+      });
 
       const duration = (Date.now() - startTime) / 1000;
 
@@ -192,6 +339,7 @@ class AutoScraperScheduler {
     } catch (error) {
       const duration = (Date.now() - startTime) / 1000;
       console.log(`   ❌ Failed: ${error.message}`);
+      await this.finishRun(run, scraper, { error });
 
       return {
         scraper: name,
@@ -201,125 +349,151 @@ class AutoScraperScheduler {
         duration,
         error: error.message
       };
-    } finally {
-      this.currentScraper = null;
     }
   }
 
   /**
-   * Store products in database (upsert to avoid duplicates)
+   * Store products in database through the ingestion pipeline
+   *
+   * @returns {Object} - The ingestion result ({ created, updated, rejected, ... })
    */
-  async storeProducts(products) {
-    let stored = 0;
-
-    for (const product of products) {
-      try {
-        // Upsert product (update if URL exists, create if not)
-        await prisma.product.upsert({
-          where: {
-            url: product.url
-          },
-          update: {
-            name: product.name,
-            brand: product.brand,
-            category: product.category,
-            originalPrice: product.originalPrice,
-            salePrice: product.salePrice,
-            discount: product.discount,
-            currency: product.currency,
-            image: product.image,
-            source: product.source,
-            availableRegions: product.availableRegions || [],
-            verified: false,
-            scrapedAt: new Date()
-          },
-          create: {
-            name: product.name,
-            brand: product.brand,
-            category: product.category,
-            originalPrice: product.originalPrice,
-            salePrice: product.salePrice,
-            discount: product.discount,
-            currency: product.currency,
-            image: product.image,
-            url: product.url,
-            source: product.source,
-            availableRegions: product.availableRegions || [],
-            verified: false,
-            scrapedAt: new Date()
-          }
-        });
+  async storeProducts(products, retailer) {
+    const result = await ingestion.ingest(products, {
+      origin: 'scraper',
+      defaults: { retailer }
+    });
+    logIngestionResult('Ingestion', result);
 
-        stored++;
-      } catch (error) {
-        console.error(`      ⚠️  Failed to store "${product.name}": ${error.message}`);
-      }
-    }
+    return result;
+  }
 
-    return stored;
+  /**
+   * Record a scraper execution starting (null if the run could not be saved -
+   * run history must never stop a scrape)
+   */
+  async startRun(name) {
+    try {
+      return await scrapeRuns.start(name);
+    } catch (error) {
+      console.error(`   ❌ Could not record scrape run: ${error.message}`);
+      return null;
+    }
   }
 
   /**
-   * Cleanup old products (older than 7 days)
+   * Record how a scraper execution ended, adding the scraper's own metrics
+   * (discounts it rejected and selector misses)
    */
-  async cleanupOldProducts() {
-    console.log('\n🧹 Cleaning up old products...');
+  async finishRun(run, scraper, outcome) {
+    if (!run) return;
+
+    const metrics = (scraper && scraper.metrics) || { selectorMisses: 0, rejected: 0 };
 
     try {
-      const sevenDaysAgo = new Date();
-      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-
-      const deleted = await prisma.product.deleteMany({
-        where: {
-          scrapedAt: {
-            lt: sevenDaysAgo
-          }
-        }
+      await scrapeRuns.finish(run, {
+        ...outcome,
+        productsRejected: (outcome.productsRejected || 0) + metrics.rejected,
+        selectorMisses: metrics.selectorMisses
       });
-
-      console.log(`   ✅ Removed ${deleted.count} old products (>7 days)\n`);
     } catch (error) {
-      console.error(`   ❌ Cleanup failed: ${error.message}\n`);
+      console.error(`   ❌ Could not record scrape run: ${error.message}`);
     }
   }
 
   /**
-   * Get next scheduled run time
+   * Expire long-unseen products, archive old expired ones and prune completed jobs
    */
-  getNextRunTime() {
-    const now = new Date();
-    const nextHours = [0, 6, 12, 18];
-    const currentHour = now.getHours();
+  async sweepProducts() {
+    console.log('\n🧹 Sweeping product lifecycle...');
 
-    // Find next scheduled hour
-    const nextHour = nextHours.find(h => h > currentHour) || nextHours[0];
+    const swept = await lifecycle.sweep();
+    const prunedJobs = await jobs.pruneCompleted(7);
 
-    const next = new Date(now);
-    if (nextHour <= currentHour) {
-      next.setDate(next.getDate() + 1);
-    }
-    next.setHours(nextHour, 0, 0, 0);
+    console.log(`   ✅ ${swept.expired} products expired, ${swept.archived} archived, ${prunedJobs} completed jobs pruned\n`);
+    return { ...swept, jobsPruned: prunedJobs };
+  }
 
-    return next.toISOString();
+  /**
+   * Re-check a batch of product pages, expiring products whose page is gone
+   */
+  async reverifyProducts() {
+    console.log('🔗 Re-verifying product URLs...');
+
+    const result = await lifecycle.reverifyUrls({ limit: this.options.reverifyBatch });
+    console.log(`   ✅ ${result.checked} checked: ${result.live} live, ${result.gone} gone, ${result.unknown} unknown\n`);
+    return result;
   }
 
   /**
-   * Get current stats
+   * Re-check quarantined products that are due, reinstating the ones no rule flags any more
    */
-  getStats() {
-    return {
-      ...this.stats,
-      isRunning: this.isRunning,
-      currentScraper: this.currentScraper,
-      nextRun: this.getNextRunTime()
-    };
+  async recheckQuarantine() {
+    console.log('🚧 Re-checking quarantined products...');
+
+    const result = await quarantine.recheckDue({ limit: this.options.quarantineBatch });
+    console.log(`   ✅ ${result.checked} checked: ${result.reinstated} reinstated, ${result.kept} still quarantined\n`);
+    return result;
+  }
+
+  /**
+   * Check price alerts against the current catalogue
+   */
+  async checkAlerts() {
+    console.log('🔔 Checking price alerts...');
+
+    const result = await alerts.checkAlerts();
+    console.log(`   ✅ ${result.checked} alerts checked, ${result.triggered} triggered, ` +
+      `${result.notified} users notified${result.failed ? `, ${result.failed} failed` : ''}\n`);
+    return result;
+  }
+
+  /**
+   * Translate a batch of products missing a language; provider errors fail the job, so it is retried
+   */
+  async translateProducts() {
+    console.log('🌍 Translating products...');
+
+    const result = await this.translations.translatePending({ limit: this.options.translateBatch });
+    console.log(`   ✅ ${result.products} products: ${result.translated} translations, ` +
+      `${result.copied} originals stored, ${result.detected} languages detected\n`);
+    return result;
+  }
+
+  /**
+   * Re-import data/products.json (replaces cron.js calling /api/deals/refresh)
+   */
+  async importDeals() {
+    const result = await importProductsFile();
+    return { created: result.created, updated: result.updated, rejected: result.rejected };
   }
 
   /**
-   * Delay helper
+   * Retailers with their schedules
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  listScrapers() {
+    return this.scrapers.map(({ id, name, schedule, maxProducts }) => ({
+      id,
+      name,
+      schedule,
+      maxProducts,
+      isRunning: this.runningScrapers.has(name)
+    }));
+  }
+
+  /**
+   * Get current stats
+   */
+  async getStats() {
+    return {
+      ...this.stats,
+      active: this.tasks.length > 0,
+      isRunning: this.runningScrapers.size > 0,
+      runningScrapers: [...this.runningScrapers],
+      concurrency: this.options.concurrency,
+      workers: this.worker.getActive(),
+      jobs: await jobs.getCounts(),
+      products: await lifecycle.getCounts()
+    };
   }
 }
 
@@ -328,10 +502,12 @@ let schedulerInstance = null;
 
 /**
  * Get or create scheduler instance
+ *
+ * @param {Object} options - Used when the scheduler is created (see SCHEDULER_DEFAULTS)
  */
-function getScheduler() {
+function getScheduler(options = {}) {
   if (!schedulerInstance) {
-    schedulerInstance = new AutoScraperScheduler();
+    schedulerInstance = new AutoScraperScheduler(options);
   }
   return schedulerInstance;
 }
@@ -339,8 +515,8 @@ function getScheduler() {
 /**
  * Start the automatic scheduler
  */
-function startAutoScraping() {
-  const scheduler = getScheduler();
+function startAutoScraping(options = {}) {
+  const scheduler = getScheduler(options);
   scheduler.start();
   return scheduler;
 }
@@ -357,7 +533,7 @@ function stopAutoScraping() {
 /**
  * Get scheduler stats
  */
-function getSchedulerStats() {
+async function getSchedulerStats() {
   if (!schedulerInstance) {
     return null;
   }
@@ -365,14 +541,17 @@ function getSchedulerStats() {
 }
 
 /**
- * Manual trigger (for testing)
+ * Manual trigger: queue every retailer
  */
 async function triggerManualScrape() {
   const scheduler = getScheduler();
-  await scheduler.runFullScrapeCircle();
+  return scheduler.runFullScrapeCircle();
 }
 
 module.exports = {
+  DEFAULT_SCHEDULE,
+  JOB_TYPES,
+  SCHEDULER_DEFAULTS,
   AutoScraperScheduler,
   getScheduler,
   startAutoScraping,
@@ -383,8 +562,10 @@ module.exports = {
 
 // Run if executed directly
 if (require.main === module) {
+  const { loadAppConfig } = require('../../config/app-config');
+
   console.log('Starting Auto-Scraper Scheduler...\n');
-  startAutoScraping();
+  startAutoScraping(loadAppConfig().scraping);
 
   // Graceful shutdown
   process.on('SIGINT', () => {
@@ -1,6 +1,8 @@
 const cron = require('node-cron');
 const prisma = require('../../db/client');
 const { getCostMonitor } = require('./cost-monitor');
+const { IngestionPipeline, logIngestionResult } = require('../ingestion');
+const { LifecycleService } = require('../lifecycle/lifecycle-service');
 
 // Import working scrapers
 const FootLockerUKScraper = require('../../scrapers/eu-retailers/footlocker-uk');
@@ -12,6 +14,8 @@ const MangoEUFallbackScraper = require('../../scrapers/eu-retailers/mango-eu-fal
 const DecathlonEUFallbackScraper = require('../../scrapers/eu-retailers/decathlon-eu-fallback');
 
 const costMonitor = getCostMonitor();
+const ingestion = new IngestionPipeline(prisma);
+const lifecycle = new LifecycleService(prisma);
 
 /**
  * Automated Scraper with AI-Powered Fallbacks
@@ -199,7 +203,7 @@ class AutoScraperWithAI {
 
     this.isRunning = false;
 
-    // Cleanup old products after each cycle
+    // Expire products no longer seen after each cycle
     await this.cleanupOldProducts();
   }
 
@@ -236,7 +240,7 @@ class AutoScraperWithAI {
 
       // Store products in database
       console.log(`   💾 Storing in database...`);
-      const stored = await this.storeProducts(products);
+      const stored = await this.storeProducts(products, name);
 
       const duration = (Date.now() - startTime) / 1000;
 
@@ -270,25 +274,6 @@ class AutoScraperWithAI {
     }
   }
 
-  /**
-   * Map scraper source strings to ProductSource enum values
-   */
-  mapSourceToEnum(sourceString) {
-    const mapping = {
-      'footlocker.co.uk': 'footlocker',
-      'hm.com': 'hm',
-      'zara.com': 'zara',
-      'mango.com': 'mango',
-      'decathlon.co.uk': 'decathlon',
-      'nike.com': 'nike',
-      'adidas.com': 'adidas',
-      'amazon.com': 'amazon',
-      'asos.com': 'asos'
-    };
-
-    return mapping[sourceString] || 'manual';
-  }
-
   /**
    * Validate image URL - must be a real product image
    */
@@ -348,11 +333,11 @@ class AutoScraperWithAI {
   }
 
   /**
-   * Store products in database (upsert to avoid duplicates)
+   * Store products in database through the ingestion pipeline
    * STRICT VALIDATION: Only stores products with valid images AND real discounts
    */
-  async storeProducts(products) {
-    let stored = 0;
+  async storeProducts(products, retailer) {
+    const accepted = [];
     let rejected = 0;
 
     console.log(`   🔍 Validating ${products.length} products...`);
@@ -381,54 +366,9 @@ class AutoScraperWithAI {
           continue;
         }
 
-        // Map source string to enum value
-        const sourceEnum = this.mapSourceToEnum(product.source);
-
-        // Check if product already exists by URL
-        const existing = await prisma.product.findFirst({
-          where: { productUrl: product.url }
-        });
-
-        if (existing) {
-          // Update existing product
-          await prisma.product.update({
-            where: { id: existing.id },
-            data: {
-              name: product.name,
-              brand: product.brand,
-              category: product.category,
-              originalPrice: product.originalPrice,
-              salePrice: product.salePrice,
-              discountPercentage: product.discount,
-              currency: product.currency,
-              imageUrl: product.image,
-              source: sourceEnum,
-              availableRegions: product.availableRegions || [],
-              updatedAt: new Date()
-            }
-          });
-        } else {
-          // Create new product
-          await prisma.product.create({
-            data: {
-              name: product.name,
-              brand: product.brand,
-              category: product.category,
-              originalPrice: product.originalPrice,
-              salePrice: product.salePrice,
-              discountPercentage: product.discount,
-              currency: product.currency,
-              imageUrl: product.image,
-              productUrl: product.url,
-              source: sourceEnum,
-              availableRegions: product.availableRegions || []
-            }
-          });
-        }
-
-        stored++;
+        accepted.push(product);
       } catch (error) {
-        console.error(`      ⚠️  Failed to store "${product.name}": ${error.message}`);
+        console.error(`      ⚠️  Failed to validate "${product.name}": ${error.message}`);
         rejected++;
       }
     }
@@ -437,28 +377,26 @@ class AutoScraperWithAI {
       console.log(`   ⚠️  Rejected ${rejected} products (invalid images or discounts)`);
     }
 
-    return stored;
+    const result = await ingestion.ingest(accepted, {
+      origin: 'scraper',
+      defaults: { retailer }
+    });
+    logIngestionResult('Ingestion', result);
+
+    return result.created + result.updated;
   }
 
   /**
-   * Cleanup old products (older than 7 days)
+   * Expire products not seen for 7 days and archive old expired ones
+   * (kept for price history, see services/lifecycle)
    */
   async cleanupOldProducts() {
-    console.log('\n🧹 Cleaning up old products...');
+    console.log('\n🧹 Sweeping product lifecycle...');
 
     try {
-      const sevenDaysAgo = new Date();
-      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-
-      const deleted = await prisma.product.deleteMany({
-        where: {
-          createdAt: {
-            lt: sevenDaysAgo
-          }
-        }
-      });
+      const swept = await lifecycle.sweep();
 
-      console.log(`   ✅ Removed ${deleted.count} old products (>7 days)\n`);
+      console.log(`   ✅ ${swept.expired} products expired (not seen for 7 days), ${swept.archived} archived\n`);
     } catch (error) {
       console.error(`   ❌ Cleanup failed: ${error.message}\n`);
     }
@@ -0,0 +1,35 @@
+/**
+ * Type declarations for the cost monitor (services/scraping/cost-monitor.js),
+ * so the TypeScript AI verifier can record its Claude calls.
+ */
+
+export interface CallUsage {
+  input_tokens: number;
+  output_tokens: number;
+  hasImage?: boolean;
+}
+
+export interface CallInfo {
+  scraper: string;
+  method: string;
+  usage: CallUsage;
+  cost?: number;
+  products?: number;
+}
+
+export interface TrackedCall {
+  callCost: number;
+  dailyTotal: number;
+  remaining: number;
+}
+
+export class CostMonitor {
+  constructor(config?: { maxDailyCost?: number; alertThreshold?: number; logPath?: string });
+  calculateCost(usage: CallUsage): number;
+  trackCall(callInfo: CallInfo): Promise<TrackedCall>;
+  isStopped(): boolean;
+  getStats(): Promise<Record<string, any>>;
+  formatReport(): Promise<string>;
+}
+
+export function getCostMonitor(): CostMonitor;
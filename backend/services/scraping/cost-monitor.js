@@ -111,11 +111,14 @@ class CostMonitor {
 
   /**
    * Track an API call
+   *
+   * @param {Object} callInfo - { scraper, method, usage, cost (when the caller priced the call
+   *   for its own model), products (products the call verified, for batched calls) }
    */
   async trackCall(callInfo) {
     await this.loadStats();
 
-    const cost = this.calculateCost(callInfo.usage);
+    const cost = callInfo.cost ?? this.calculateCost(callInfo.usage);
 
     this.dailyStats.totalCalls++;
     this.dailyStats.totalInputTokens += callInfo.usage.input_tokens;
@@ -132,6 +135,7 @@ class CostMonitor {
       inputTokens: callInfo.usage.input_tokens,
       outputTokens: callInfo.usage.output_tokens,
       hasImage: callInfo.usage.hasImage || false,
+      products: callInfo.products || 1,
       cost: cost
     });
 
@@ -0,0 +1,69 @@
+/**
+ * Type declarations for the scraper health rules (services/scraping/scrape-health.js),
+ * so the health status can be exercised from the TypeScript test suite.
+ */
+
+export type RunStatus = 'running' | 'success' | 'empty' | 'failed';
+
+export type HealthStatus = 'healthy' | 'degraded' | 'failing' | 'unknown';
+
+export interface HealthConfig {
+  failingAfter: number;
+  degradedRatio: number;
+  baselineRuns: number;
+  minBaselineRuns: number;
+}
+
+export interface ScrapeRunLike {
+  id?: string;
+  scraper: string;
+  status: RunStatus | string;
+  startedAt: Date | string;
+  finishedAt?: Date | string | null;
+  durationMs?: number | null;
+  productsFound: number;
+  productsStored: number;
+  productsRejected: number;
+  selectorMisses: number;
+  errorClass?: string | null;
+  errorMessage?: string | null;
+}
+
+export interface TrendDay {
+  date: string;
+  runs: number;
+  failed: number;
+  productsFound: number;
+  productsStored: number;
+  productsRejected: number;
+  selectorMisses: number;
+}
+
+export interface ScraperHealth {
+  scraper: string;
+  status: HealthStatus;
+  reasons: string[];
+  runs: number;
+  successRate: number | null;
+  consecutiveFailures: number;
+  avgDurationMs: number | null;
+  baseline: number | null;
+  yieldRatio: number | null;
+  lastRun: ScrapeRunLike | null;
+  lastSuccessAt: Date | string | null;
+  isRunning: boolean;
+  trend: TrendDay[];
+}
+
+export const HEALTH_CONFIG: HealthConfig;
+export const RUN_STATUSES: RunStatus[];
+export const HEALTH_STATUSES: HealthStatus[];
+
+export function runStatus(outcome: { error?: unknown; productsFound?: number }): RunStatus;
+export function median(values: number[]): number | null;
+export function dailyTrend(runs: ScrapeRunLike[]): TrendDay[];
+export function summarizeScraper(scraper: string, runs: ScrapeRunLike[], config?: Partial<HealthConfig>): ScraperHealth;
+export function summarizeScrapers(
+  runs: ScrapeRunLike[],
+  options?: { scrapers?: string[]; config?: Partial<HealthConfig> }
+): ScraperHealth[];
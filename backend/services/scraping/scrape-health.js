@@ -0,0 +1,175 @@
+/**
+ * Scraper Health Rules
+ *
+ * Pure functions over ScrapeRun records (see scrape-runs.js): per-retailer
+ * success rates, daily trends and the health status shown on the scraper
+ * dashboard. A scraper is:
+ * - failing:  its last HEALTH_CONFIG.failingAfter runs all failed or came back empty
+ * - degraded: its last run stored far fewer products than its baseline (the
+ *             median of its previous successful runs) - usually changed markup
+ * - healthy:  otherwise
+ * - unknown:  no finished runs, or too few to have a baseline and not failing
+ */
+
+const HEALTH_CONFIG = {
+  failingAfter: 3,        // Consecutive failed/empty runs
+  degradedRatio: 0.5,     // Last yield below half the baseline
+  baselineRuns: 10,       // Previous successful runs the baseline is taken from
+  minBaselineRuns: 3      // Fewer than this: no baseline yet
+};
+
+const RUN_STATUSES = ['running', 'success', 'empty', 'failed'];
+
+const HEALTH_STATUSES = ['healthy', 'degraded', 'failing', 'unknown'];
+
+/**
+ * Status of a finished run from its outcome
+ */
+function runStatus({ error, productsFound }) {
+  if (error) return 'failed';
+  return productsFound > 0 ? 'success' : 'empty';
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function round(value, digits = 2) {
+  if (value === null) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function dayOf(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Runs, products and failures per day (UTC), oldest first
+ */
+function dailyTrend(runs) {
+  const days = new Map();
+
+  for (const run of runs) {
+    const day = dayOf(run.startedAt);
+    if (!days.has(day)) {
+      days.set(day, { date: day, runs: 0, failed: 0, productsFound: 0, productsStored: 0, productsRejected: 0, selectorMisses: 0 });
+    }
+
+    const entry = days.get(day);
+    entry.runs++;
+    if (run.status === 'failed' || run.status === 'empty') entry.failed++;
+    entry.productsFound += run.productsFound || 0;
+    entry.productsStored += run.productsStored || 0;
+    entry.productsRejected += run.productsRejected || 0;
+    entry.selectorMisses += run.selectorMisses || 0;
+  }
+
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Health of one scraper from its runs
+ *
+ * @param {string} scraper - Scraper name
+ * @param {Array} runs - Its ScrapeRun records, any order
+ * @param {Object} config - Overrides for HEALTH_CONFIG
+ * @returns {Object} - { scraper, status, reasons, lastRun, lastSuccessAt, baseline, yieldRatio, ... }
+ */
+function summarizeScraper(scraper, runs, config = {}) {
+  const { failingAfter, degradedRatio, baselineRuns, minBaselineRuns } = { ...HEALTH_CONFIG, ...config };
+
+  const finished = runs
+    .filter(run => run.status !== 'running')
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+  const [lastRun] = finished;
+  const successful = finished.filter(run => run.status === 'success');
+
+  const baselineValues = successful
+    .filter(run => run !== lastRun)
+    .slice(0, baselineRuns)
+    .map(run => run.productsStored);
+  const baseline = baselineValues.length >= minBaselineRuns ? median(baselineValues) : null;
+
+  let consecutiveFailures = 0;
+  for (const run of finished) {
+    if (run.status === 'success') break;
+    consecutiveFailures++;
+  }
+
+  const yieldRatio = lastRun && baseline ? lastRun.productsStored / baseline : null;
+
+  let status = 'healthy';
+  const reasons = [];
+  if (!lastRun) {
+    status = 'unknown';
+    reasons.push('No finished runs');
+  } else if (consecutiveFailures >= failingAfter) {
+    status = 'failing';
+    reasons.push(`Last ${consecutiveFailures} runs failed or found nothing`);
+  } else if (yieldRatio !== null && yieldRatio < degradedRatio) {
+    status = 'degraded';
+    reasons.push(`Last run stored ${lastRun.productsStored} products, baseline is ${round(baseline, 1)}`);
+  } else if (baseline === null && lastRun.status !== 'success') {
+    status = 'unknown';
+    reasons.push('Not enough successful runs for a baseline');
+  }
+
+  if (lastRun && lastRun.selectorMisses > 0) {
+    reasons.push(`${lastRun.selectorMisses} selector misses in the last run`);
+  }
+
+  return {
+    scraper,
+    status,
+    reasons,
+    runs: finished.length,
+    successRate: finished.length > 0 ? round(successful.length / finished.length) : null,
+    consecutiveFailures,
+    avgDurationMs: round(average(finished.filter(run => run.durationMs !== null && run.durationMs !== undefined).map(run => run.durationMs)), 0),
+    baseline,
+    yieldRatio: round(yieldRatio),
+    lastRun: lastRun || null,
+    lastSuccessAt: successful.length > 0 ? successful[0].startedAt : null,
+    isRunning: runs.some(run => run.status === 'running'),
+    trend: dailyTrend(finished)
+  };
+}
+
+/**
+ * Health of every scraper with runs (and of `scrapers` that have none), worst first
+ */
+function summarizeScrapers(runs, { scrapers = [], config = {} } = {}) {
+  const byScraper = new Map(scrapers.map(name => [name, []]));
+  for (const run of runs) {
+    if (!byScraper.has(run.scraper)) byScraper.set(run.scraper, []);
+    byScraper.get(run.scraper).push(run);
+  }
+
+  const order = ['failing', 'degraded', 'unknown', 'healthy'];
+  return [...byScraper.entries()]
+    .map(([scraper, scraperRuns]) => summarizeScraper(scraper, scraperRuns, config))
+    .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status) || a.scraper.localeCompare(b.scraper));
+}
+
+module.exports = {
+  HEALTH_CONFIG,
+  RUN_STATUSES,
+  HEALTH_STATUSES,
+  runStatus,
+  median,
+  dailyTrend,
+  summarizeScraper,
+  summarizeScrapers
+};
@@ -0,0 +1,102 @@
+const prisma = require('../../db/client');
+const { runStatus, summarizeScrapers } = require('./scrape-health');
+
+/**
+ * Scrape Run Service
+ *
+ * Persists one ScrapeRun per scraper execution (started, then finished with its
+ * counts or error) and reports per-retailer health from the run history
+ * (see scrape-health.js).
+ */
+
+const DEFAULT_HEALTH_DAYS = 14;
+const MAX_HEALTH_DAYS = 90;
+const MAX_RUNS_PAGE = 200;
+
+class ScrapeRunService {
+  constructor(prismaClient = prisma) {
+    this.prisma = prismaClient.default || prismaClient;
+  }
+
+  /**
+   * Record that a scraper started
+   */
+  async start(scraper) {
+    return this.prisma.scrapeRun.create({
+      data: { scraper, status: 'running' }
+    });
+  }
+
+  /**
+   * Record how a run ended
+   *
+   * @param {Object} run - The run returned by start()
+   * @param {Object} outcome - { productsFound, productsStored, productsRejected, selectorMisses, error }
+   */
+  async finish(run, outcome = {}) {
+    const finishedAt = new Date();
+    const { error } = outcome;
+
+    return this.prisma.scrapeRun.update({
+      where: { id: run.id },
+      data: {
+        status: runStatus(outcome),
+        finishedAt,
+        durationMs: finishedAt - new Date(run.startedAt),
+        productsFound: outcome.productsFound || 0,
+        productsStored: outcome.productsStored || 0,
+        productsRejected: outcome.productsRejected || 0,
+        selectorMisses: outcome.selectorMisses || 0,
+        errorClass: error ? (error.name || 'Error') : null,
+        errorMessage: error ? String(error.message || error).substring(0, 1000) : null
+      }
+    });
+  }
+
+  /**
+   * Recent runs, newest first
+   *
+   * @param {Object} options - { scraper, limit }
+   */
+  async listRuns({ scraper, limit = 50 } = {}) {
+    return this.prisma.scrapeRun.findMany({
+      where: scraper ? { scraper } : {},
+      orderBy: { startedAt: 'desc' },
+      take: Math.min(Math.max(parseInt(limit) || 50, 1), MAX_RUNS_PAGE)
+    });
+  }
+
+  /**
+   * Health of every scraper that ran in the last `days` days, worst first
+   */
+  async getHealth({ days = DEFAULT_HEALTH_DAYS } = {}) {
+    const windowDays = Math.min(Math.max(parseInt(days) || DEFAULT_HEALTH_DAYS, 1), MAX_HEALTH_DAYS);
+    const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+
+    const runs = await this.prisma.scrapeRun.findMany({
+      where: { startedAt: { gte: since } },
+      orderBy: { startedAt: 'desc' }
+    });
+
+    return {
+      days: windowDays,
+      since: since.toISOString(),
+      scrapers: summarizeScrapers(runs)
+    };
+  }
+}
+
+// Singleton instance
+let scrapeRunServiceInstance = null;
+
+function getScrapeRunService() {
+  if (!scrapeRunServiceInstance) {
+    scrapeRunServiceInstance = new ScrapeRunService();
+  }
+  return scrapeRunServiceInstance;
+}
+
+module.exports = {
+  ScrapeRunService,
+  getScrapeRunService
+};
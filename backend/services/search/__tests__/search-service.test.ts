@@ -0,0 +1,89 @@
+import { SEARCH_CONFIG, SearchService, normalizeQuery, resolveSearchLanguage } from '../search-service';
+
+// The service is given its database client; Prisma.join only builds SQL
+jest.mock('../../../db/client', () => ({}));
+jest.mock('@prisma/client', () => {
+  const runtime = jest.requireActual('@prisma/client/runtime/client');
+  return { Prisma: { join: runtime.join, sql: runtime.sqltag } };
+});
+
+/**
+ * A client whose $queryRaw records each query (text and parameters) and returns `rows`
+ */
+function fakePrisma(rows: any[]) {
+  const queries: { text: string; values: unknown[] }[] = [];
+
+  return {
+    queries,
+    $queryRaw: async (strings: TemplateStringsArray, ...values: unknown[]) => {
+      queries.push({ text: strings.join('?'), values });
+      return rows;
+    },
+  };
+}
+
+describe('query normalization', () => {
+  it('trims, collapses whitespace and lowercases', () => {
+    expect(normalizeQuery('  Nike   AIR max ')).toBe('nike air max');
+    expect(normalizeQuery(undefined)).toBe('');
+  });
+
+  it('resolves languages to a supported one, defaulting to English', () => {
+    expect(resolveSearchLanguage('it')).toBe('it');
+    expect(resolveSearchLanguage('de-CH')).toBe('de');
+    expect(resolveSearchLanguage('nl')).toBe('en');
+    expect(resolveSearchLanguage()).toBe('en');
+  });
+});
+
+describe('SearchService.rankProducts', () => {
+  it('does not query for queries shorter than the minimum', async () => {
+    const prisma = fakePrisma([]);
+    const ranks = await new SearchService(prisma).rankProducts(' a ');
+
+    expect(ranks.size).toBe(0);
+    expect(prisma.queries).toHaveLength(0);
+  });
+
+  it('matches source and translated vectors plus trigram typos, with the query as parameters', async () => {
+    const prisma = fakePrisma([]);
+    await new SearchService(prisma).rankProducts('  Adiddas Samba ', { language: 'it', limit: 20 });
+
+    const [{ text, values }] = prisma.queries;
+    expect(values).toEqual(['adiddas samba', 'italian', 'adiddas samba', 'adiddas samba', SEARCH_CONFIG.typoWeight, 'it', 20]);
+    expect(text).toContain(`websearch_to_tsquery('english', ?)`);
+    expect(text).toContain('websearch_to_tsquery(?::regconfig, ?)');
+    expect(text).toContain('LEFT JOIN translations t ON t."productId" = p.id AND t.language = ?');
+    expect(text).toContain('q.term %> lower(p.brand)');
+    expect(text).toContain('ORDER BY rank DESC, p.id ASC');
+  });
+
+  it('caps matches at maxMatches by default and returns ranks by product id in query order', async () => {
+    const prisma = fakePrisma([{ id: 'p2', rank: '0.9' }, { id: 'p1', rank: 0.4 }]);
+    const ranks = await new SearchService(prisma).rankProducts('nike');
+
+    expect(prisma.queries[0].values[prisma.queries[0].values.length - 1]).toBe(SEARCH_CONFIG.maxMatches);
+    expect([...ranks.entries()]).toEqual([['p2', 0.9], ['p1', 0.4]]);
+  });
+});
+
+describe('SearchService.getHighlights', () => {
+  it('highlights the given products in the requested language', async () => {
+    const prisma = fakePrisma([{ id: 'p1', name: '<mark>Nike</mark> Air', description: null }]);
+    const highlights = await new SearchService(prisma).getHighlights(['p1', 'p2'], 'Nike', { language: 'fr' });
+
+    const [{ text, values }] = prisma.queries;
+    expect(values).toEqual(expect.arrayContaining(['fr', 'nike', 'french']));
+    expect(text).toContain('WHERE p.id IN (?)');
+    expect(highlights.get('p1')).toEqual({ name: '<mark>Nike</mark> Air', description: null });
+  });
+
+  it('does not query without products or a usable query', async () => {
+    const prisma = fakePrisma([]);
+    const service = new SearchService(prisma);
+
+    expect((await service.getHighlights([], 'nike')).size).toBe(0);
+    expect((await service.getHighlights(['p1'], 'n')).size).toBe(0);
+    expect(prisma.queries).toHaveLength(0);
+  });
+});
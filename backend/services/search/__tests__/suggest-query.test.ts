@@ -0,0 +1,98 @@
+import {
+  buildQuerySuggestions,
+  editDistance,
+  matchBrands,
+  matchCategories,
+  parseSuggestQuery,
+} from '../suggest-query';
+
+describe('Search suggestions', () => {
+  describe('parseSuggestQuery', () => {
+    it('should detect a leading brand and the word being typed', () => {
+      const parsed = parseSuggestQuery('nike run');
+
+      expect(parsed.brand).toBe('Nike');
+      expect(parsed.tokens).toEqual([]);
+      expect(parsed.partial).toBe('run');
+    });
+
+    it('should detect multi-word brands', () => {
+      expect(parseSuggestQuery('new balance 574').brand).toBe('New Balance');
+    });
+
+    it('should treat a trailing space as a completed word', () => {
+      const parsed = parseSuggestQuery('nike running ');
+
+      expect(parsed.tokens).toEqual(['running']);
+      expect(parsed.partial).toBe('');
+    });
+
+    it('should extract a price cap', () => {
+      const parsed = parseSuggestQuery('Nike running shoes under 80');
+
+      expect(parsed.maxPrice).toBe(80);
+      expect(parsed.tokens).toEqual(['running', 'shoes']);
+      expect(parsed.partial).toBe('');
+    });
+  });
+
+  describe('matchBrands', () => {
+    it('should match brand prefixes', () => {
+      expect(matchBrands('nik').map((s) => s.brand)).toEqual(['Nike']);
+    });
+
+    it('should match any word of a brand name', () => {
+      expect(matchBrands('hilf').map((s) => s.brand)).toEqual(['Tommy Hilfiger']);
+    });
+
+    it('should tolerate typos', () => {
+      expect(matchBrands('adiddas').map((s) => s.brand)).toEqual(['Adidas']);
+    });
+
+    it('should not fuzzy match short terms', () => {
+      expect(matchBrands('xyz')).toEqual([]);
+    });
+  });
+
+  describe('matchCategories', () => {
+    it('should match category keywords by prefix', () => {
+      const matches = matchCategories('sneak');
+
+      expect(matches[0]).toEqual({ category: 'shoes', keyword: 'sneakers' });
+    });
+
+    it('should return nothing for an empty term', () => {
+      expect(matchCategories('')).toEqual([]);
+    });
+  });
+
+  describe('buildQuerySuggestions', () => {
+    it('should complete a brand query with brand keywords and categories', () => {
+      const texts = buildQuerySuggestions(parseSuggestQuery('nike run')).map((s) => s.text);
+
+      expect(texts).toContain('Nike running');
+      expect(texts).toContain('Nike running shoes');
+    });
+
+    it('should carry brand, category and price cap as filters', () => {
+      const suggestions = buildQuerySuggestions(parseSuggestQuery('nike running shoes under 80'));
+
+      expect(suggestions[0]).toEqual({
+        text: 'Nike running shoes under 80',
+        search: 'Nike running shoes',
+        filters: { brand: 'Nike', category: 'shoes', maxPrice: 80 },
+      });
+    });
+
+    it('should return nothing without a brand', () => {
+      expect(buildQuerySuggestions(parseSuggestQuery('running'))).toEqual([]);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count single edits', () => {
+      expect(editDistance('adiddas', 'adidas')).toBe(1);
+      expect(editDistance('nike', 'nike')).toBe(0);
+    });
+  });
+});
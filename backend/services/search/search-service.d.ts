@@ -0,0 +1,37 @@
+/**
+ * Type declarations for the full-text search service (services/search/search-service.js),
+ * so TypeScript services such as search suggestions can rank through it.
+ */
+
+export type SearchLanguage = 'en' | 'it' | 'es' | 'fr' | 'de' | 'pt';
+
+export interface SearchHighlight {
+  name: string;
+  description: string | null;
+}
+
+export const SEARCH_LANGUAGES: Record<SearchLanguage, string>;
+
+export const SEARCH_CONFIG: {
+  maxMatches: number;
+  minQueryLength: number;
+  typoWeight: number;
+  highlightStart: string;
+  highlightStop: string;
+};
+
+export function resolveSearchLanguage(language?: string): SearchLanguage;
+
+export function normalizeQuery(query?: string): string;
+
+export class SearchService {
+  constructor(prismaClient?: unknown);
+  rankProducts(query: string, options?: { language?: string; limit?: number }): Promise<Map<string, number>>;
+  getHighlights(
+    productIds: string[],
+    query: string,
+    options?: { language?: string }
+  ): Promise<Map<string, SearchHighlight>>;
+}
+
+export function getSearchService(): SearchService;
@@ -0,0 +1,170 @@
+const prisma = require('../../db/client');
+const { Prisma } = require('@prisma/client');
+
+/**
+ * Search Service
+ *
+ * Postgres full-text search over products and their translations, with trigram
+ * fallback so misspelled brands ("adiddas") still match. Stemming follows the
+ * Translation table languages; the source catalogue itself is indexed in English.
+ *
+ * Requires migration 20261018120000_add_product_search (pg_trgm + searchVector columns).
+ */
+
+// Text search configuration per Translation.language
+const SEARCH_LANGUAGES = {
+  en: 'english',
+  it: 'italian',
+  es: 'spanish',
+  fr: 'french',
+  de: 'german',
+  pt: 'portuguese'
+};
+
+const SEARCH_CONFIG = {
+  maxMatches: 1000,      // Ranked matches considered per query
+  minQueryLength: 2,
+  typoWeight: 0.5,       // Weight of trigram similarity next to ts_rank_cd
+  highlightStart: '<mark>',
+  highlightStop: '</mark>'
+};
+
+/**
+ * Resolve a language code to its text search configuration, defaulting to English
+ */
+function resolveSearchLanguage(language) {
+  const code = String(language || 'en').toLowerCase().slice(0, 2);
+  return SEARCH_LANGUAGES[code] ? code : 'en';
+}
+
+/**
+ * Normalize a raw query: trim, collapse whitespace, lowercase for trigram matching
+ */
+function normalizeQuery(query) {
+  return String(query || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+class SearchService {
+  constructor(prismaClient = prisma) {
+    this.prisma = prismaClient.default || prismaClient;
+  }
+
+  /**
+   * Rank active products for a query
+   *
+   * A product matches when the query hits its own search vector, its translation
+   * in `language`, or is trigram-similar to its brand or name. Rank is ts_rank_cd
+   * plus a weighted trigram similarity, so exact matches win over typo matches.
+   *
+   * @param {string} query - Raw user query
+   * @param {Object} options - { language, limit }
+   * @returns {Map<string, number>} - productId -> rank, best first
+   */
+  async rankProducts(query, options = {}) {
+    const term = normalizeQuery(query);
+    if (term.length < SEARCH_CONFIG.minQueryLength) {
+      return new Map();
+    }
+
+    const language = resolveSearchLanguage(options.language);
+    const config = SEARCH_LANGUAGES[language];
+    const limit = options.limit || SEARCH_CONFIG.maxMatches;
+
+    const rows = await this.prisma.$queryRaw`
+      WITH q AS (
+        SELECT websearch_to_tsquery('english', ${term}) AS source_query,
+               websearch_to_tsquery(${config}::regconfig, ${term}) AS language_query,
+               ${term}::text AS term
+      )
+      SELECT p.id,
+             (
+               COALESCE(ts_rank_cd(p."searchVector", q.source_query), 0)
+               + COALESCE(ts_rank_cd(t."searchVector", q.language_query), 0)
+               + ${SEARCH_CONFIG.typoWeight}::float8 * GREATEST(
+                   word_similarity(lower(p.brand), q.term),
+                   word_similarity(q.term, lower(p.name))
+                 )
+             )::float8 AS rank
+      FROM products p
+      CROSS JOIN q
+      LEFT JOIN translations t ON t."productId" = p.id AND t.language = ${language}
+      WHERE p."isActive" = true
+        AND (
+          p."searchVector" @@ q.source_query
+          OR t."searchVector" @@ q.language_query
+          OR q.term %> lower(p.brand)
+          OR q.term <% lower(p.name)
+        )
+      ORDER BY rank DESC, p.id ASC
+      LIMIT ${limit}
+    `;
+
+    return new Map(rows.map(row => [row.id, Number(row.rank)]));
+  }
+
+  /**
+   * Highlighted snippets for a page of products, in the requested language
+   * where a translation exists. Snippets wrap matches in <mark>...</mark>;
+   * the surrounding text is not HTML-escaped.
+   *
+   * @param {string[]} productIds - Products to highlight
+   * @param {string} query - Raw user query
+   * @param {Object} options - { language }
+   * @returns {Map<string, Object>} - productId -> { name, description }
+   */
+  async getHighlights(productIds, query, options = {}) {
+    const term = normalizeQuery(query);
+    if (productIds.length === 0 || term.length < SEARCH_CONFIG.minQueryLength) {
+      return new Map();
+    }
+
+    const language = resolveSearchLanguage(options.language);
+    const config = SEARCH_LANGUAGES[language];
+    const { highlightStart, highlightStop } = SEARCH_CONFIG;
+    const nameOptions = `StartSel=${highlightStart}, StopSel=${highlightStop}, HighlightAll=true`;
+    const descriptionOptions = `StartSel=${highlightStart}, StopSel=${highlightStop}, MaxWords=30, MinWords=10, MaxFragments=2`;
+
+    // Translated text is highlighted with its own dictionary, source text with English
+    const rows = await this.prisma.$queryRaw`
+      SELECT p.id,
+             ts_headline(h.config, COALESCE(t.name, p.name), h.query, ${nameOptions}) AS name,
+             CASE
+               WHEN COALESCE(t.description, p.description) IS NULL THEN NULL
+               ELSE ts_headline(h.config, COALESCE(t.description, p.description), h.query, ${descriptionOptions})
+             END AS description
+      FROM products p
+      LEFT JOIN translations t ON t."productId" = p.id AND t.language = ${language}
+      CROSS JOIN LATERAL (
+        SELECT c.config, websearch_to_tsquery(c.config, ${term}) AS query
+        FROM (
+          SELECT CASE WHEN t.id IS NULL THEN 'english'::regconfig ELSE ${config}::regconfig END AS config
+        ) c
+      ) h
+      WHERE p.id IN (${Prisma.join(productIds)})
+    `;
+
+    return new Map(rows.map(row => [row.id, { name: row.name, description: row.description }]));
+  }
+}
+
+// Singleton instance
+let serviceInstance = null;
+
+/**
+ * Get or create search service instance
+ */
+function getSearchService() {
+  if (!serviceInstance) {
+    serviceInstance = new SearchService();
+  }
+  return serviceInstance;
+}
+
+module.exports = {
+  SearchService,
+  getSearchService,
+  resolveSearchLanguage,
+  normalizeQuery,
+  SEARCH_LANGUAGES,
+  SEARCH_CONFIG
+};
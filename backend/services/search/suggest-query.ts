@@ -0,0 +1,248 @@
+import { ProductCategory } from '@prisma/client';
+import {
+  BRAND_QUERIES,
+  TOP_BRANDS,
+  TopBrand,
+  normalizeBrandName,
+} from '../api/queries/fashion-brands';
+import { CATEGORY_KEYWORDS } from '../api/queries/categories';
+
+// ============================================
+// TYPES
+// ============================================
+
+export interface ParsedSuggestQuery {
+  term: string; // Normalized query, price phrase included
+  brand: TopBrand | null; // Brand the query starts with, if any
+  tokens: string[]; // Words after the brand, price phrase removed
+  partial: string; // Word still being typed ('' after a trailing space)
+  maxPrice?: number;
+}
+
+export interface QuerySuggestion {
+  text: string; // What the user sees, e.g. "Nike running shoes under 80"
+  search: string; // Full-text part, e.g. "Nike running shoes"
+  filters: {
+    brand?: TopBrand;
+    category?: ProductCategory;
+    maxPrice?: number;
+  };
+}
+
+export interface BrandSuggestion {
+  brand: TopBrand;
+  categories: ProductCategory[];
+  keywords: string[];
+}
+
+export interface CategorySuggestion {
+  category: ProductCategory;
+  keyword: string;
+}
+
+// ============================================
+// QUERY PARSING
+// ============================================
+
+const PRICE_PATTERN = /\b(?:under|below|less than|max)\s*[€$£]?\s*(\d+(?:[.,]\d+)?)\s*[€$£]?/;
+const MAX_BRAND_WORDS = 3; // "Tommy Hilfiger", "New Balance", ...
+
+/**
+ * Split a typed query into brand, completed words, the word being typed and a price cap
+ */
+export function parseSuggestQuery(query: string): ParsedSuggestQuery {
+  const term = query.toLowerCase().replace(/\s+/g, ' ').trimStart();
+  const endsWithSpace = term.endsWith(' ');
+
+  let rest = term.trim();
+  let maxPrice: number | undefined;
+
+  const priceMatch = rest.match(PRICE_PATTERN);
+  if (priceMatch) {
+    maxPrice = parseFloat(priceMatch[1].replace(',', '.'));
+    rest = rest.replace(priceMatch[0], ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  const words = rest ? rest.split(' ') : [];
+
+  // Longest leading run of words that names a brand
+  let brand: TopBrand | null = null;
+  let brandWords = 0;
+  for (let n = Math.min(MAX_BRAND_WORDS, words.length); n > 0; n--) {
+    brand = normalizeBrandName(words.slice(0, n).join(' '));
+    if (brand) {
+      brandWords = n;
+      break;
+    }
+  }
+
+  const tokens = words.slice(brandWords);
+  const typing = !endsWithSpace && !priceMatch && tokens.length > 0;
+
+  return {
+    term: term.trim(),
+    brand,
+    tokens: typing ? tokens.slice(0, -1) : tokens,
+    partial: typing ? tokens[tokens.length - 1] : '',
+    maxPrice,
+  };
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+/**
+ * Levenshtein distance, for brand typos like "adiddas"
+ */
+export function editDistance(a: string, b: string): number {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Brands whose name (or one of its words) starts with the term,
+ * falling back to near-misses for terms of 4+ characters
+ */
+export function matchBrands(term: string, limit = 5): BrandSuggestion[] {
+  const needle = term.toLowerCase().trim();
+  if (!needle) return [];
+
+  const toSuggestion = (brand: TopBrand): BrandSuggestion => ({
+    brand,
+    categories: BRAND_QUERIES[brand].categories || [],
+    keywords: BRAND_QUERIES[brand].keywords || [],
+  });
+
+  const prefixMatches = TOP_BRANDS.filter((brand) => {
+    const name = brand.toLowerCase();
+    return name.startsWith(needle) || name.split(/\s+/).some((word) => word.startsWith(needle));
+  });
+
+  if (prefixMatches.length > 0 || needle.length < 4) {
+    return prefixMatches.slice(0, limit).map(toSuggestion);
+  }
+
+  const maxDistance = needle.length < 7 ? 1 : 2;
+  return TOP_BRANDS
+    .map((brand) => ({ brand, distance: editDistance(needle, brand.toLowerCase()) }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ brand }) => toSuggestion(brand));
+}
+
+/**
+ * Category keywords starting with the term (one entry per keyword)
+ */
+export function matchCategories(term: string, limit = 5): CategorySuggestion[] {
+  const needle = term.toLowerCase().trim();
+  if (!needle) return [];
+
+  const matches: CategorySuggestion[] = [];
+  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+    for (const keyword of keywords) {
+      if (keyword.startsWith(needle) || keyword.split(' ').some((word) => word.startsWith(needle))) {
+        matches.push({ category: category as ProductCategory, keyword });
+      }
+    }
+  }
+
+  // Shorter keywords first: "shoes" before "running shoes"
+  return matches
+    .sort((a, b) => a.keyword.length - b.keyword.length)
+    .slice(0, limit);
+}
+
+/**
+ * Category a completed word belongs to, if it is one of its keywords
+ */
+function categoryOfKeyword(word: string): ProductCategory | undefined {
+  const entry = Object.entries(CATEGORY_KEYWORDS).find(([, keywords]) => keywords.includes(word));
+  return entry ? (entry[0] as ProductCategory) : undefined;
+}
+
+// ============================================
+// QUERY COMPLETIONS
+// ============================================
+
+/**
+ * Complete a brand query from the brand's own vocabulary: its search keywords
+ * and the keywords of the categories it sells, e.g. "nike run" ->
+ * "Nike running", "Nike running shoes". A price cap is carried over as "under N".
+ */
+export function buildQuerySuggestions(parsed: ParsedSuggestQuery, limit = 6): QuerySuggestion[] {
+  if (!parsed.brand) return [];
+
+  const brandQuery = BRAND_QUERIES[parsed.brand];
+  const categories = brandQuery.categories || [];
+  const brandKeywords = brandQuery.keywords || [];
+  const categoryKeywords = categories.flatMap((category) => CATEGORY_KEYWORDS[category] || []);
+  const vocabulary = [...new Set([...brandKeywords, ...categoryKeywords])];
+
+  const phrases: string[][] = [];
+  const done = parsed.tokens;
+
+  if (parsed.partial) {
+    // Complete the word being typed
+    vocabulary
+      .filter((word) => word.startsWith(parsed.partial) && !done.includes(word))
+      .forEach((word) => phrases.push([...done, word]));
+  } else if (done.length === 0) {
+    // Brand alone: offer its keywords
+    vocabulary.forEach((word) => phrases.push([word]));
+  } else {
+    phrases.push(done);
+  }
+
+  // "Nike running" -> "Nike running shoes": follow a style keyword with a category
+  const expanded = phrases.flatMap((words) => {
+    const last = words[words.length - 1];
+    if (!brandKeywords.includes(last) || words.some((word) => categoryOfKeyword(word))) {
+      return [words];
+    }
+    return [words, ...categories.map((category) => [...words, CATEGORY_KEYWORDS[category][0]])];
+  });
+
+  const seen = new Set<string>();
+  const suggestions: QuerySuggestion[] = [];
+
+  for (const words of expanded) {
+    const search = [parsed.brand, ...words].join(' ');
+    const text = parsed.maxPrice !== undefined ? `${search} under ${parsed.maxPrice}` : search;
+
+    if (seen.has(text)) continue;
+    seen.add(text);
+
+    const category = words.map(categoryOfKeyword).find(Boolean);
+    suggestions.push({
+      text,
+      search,
+      filters: {
+        brand: parsed.brand,
+        ...(category && { category }),
+        ...(parsed.maxPrice !== undefined && { maxPrice: parsed.maxPrice }),
+      },
+    });
+
+    if (suggestions.length >= limit) break;
+  }
+
+  return suggestions;
+}
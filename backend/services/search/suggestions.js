@@ -0,0 +1,132 @@
+const prisma = require('../../db/client');
+const { requireTs } = require('../require-ts');
+const { getSearchService, normalizeQuery, SEARCH_CONFIG } = require('./search-service');
+
+// Query parsing shares the brand and category vocabularies of the product fetchers (TypeScript)
+const {
+  buildQuerySuggestions,
+  matchBrands,
+  matchCategories,
+  parseSuggestQuery
+} = requireTs('./services/search/suggest-query', 'suggestions');
+
+/**
+ * Suggestion Service
+ *
+ * Grouped search-as-you-type suggestions for the SearchBar:
+ * query completions, brands, categories, retailers and top matching products
+ */
+class SuggestionService {
+  constructor(prismaClient = prisma, searchService = getSearchService()) {
+    this.prisma = prismaClient.default || prismaClient;
+    this.search = searchService;
+  }
+
+  /**
+   * Suggestions for a partially typed query
+   *
+   * @param {Object} options - language, limit (per group, default: 5)
+   * @returns {Object} - { query, queries, brands, categories, retailers, products }
+   */
+  async suggest(rawQuery, options = {}) {
+    const query = normalizeQuery(rawQuery);
+    const limit = options.limit || 5;
+
+    if (query.length < SEARCH_CONFIG.minQueryLength) {
+      return { query, queries: [], brands: [], categories: [], retailers: [], products: [] };
+    }
+
+    const parsed = parseSuggestQuery(rawQuery);
+    const lastWord = parsed.partial || parsed.tokens[parsed.tokens.length - 1] || '';
+
+    // Brand/retailer names are matched on the whole query until a brand is recognized
+    const nameTerm = parsed.brand ? '' : parsed.term;
+
+    const [retailers, products] = await Promise.all([
+      nameTerm ? this.matchRetailers(nameTerm, limit) : [],
+      this.matchProducts(query, options.language, limit)
+    ]);
+
+    return {
+      query,
+      queries: buildQuerySuggestions(parsed, limit + 1),
+      brands: nameTerm ? matchBrands(nameTerm, limit) : [],
+      categories: matchCategories(lastWord, limit),
+      retailers,
+      products
+    };
+  }
+
+  /**
+   * Retailers with active deals whose name contains the term, most deals first
+   */
+  async matchRetailers(term, limit) {
+    const groups = await this.prisma.product.groupBy({
+      by: ['retailer'],
+      where: {
+        isActive: true,
+        retailer: { contains: term, mode: 'insensitive' }
+      },
+      _count: { _all: true }
+    });
+
+    return groups
+      .filter(group => group.retailer)
+      .map(group => ({ name: group.retailer, count: group._count._all }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+  }
+
+  /**
+   * Best full-text matches, with thumbnails
+   */
+  async matchProducts(query, language, limit) {
+    const ranks = await this.search.rankProducts(query, { language, limit });
+    if (ranks.size === 0) return [];
+
+    const products = await this.prisma.product.findMany({
+      where: { id: { in: [...ranks.keys()] } },
+      select: {
+        id: true,
+        name: true,
+        brand: true,
+        salePrice: true,
+        discountPercentage: true,
+        currency: true,
+        imageUrl: true,
+        productUrl: true
+      }
+    });
+
+    return products
+      .sort((a, b) => (ranks.get(b.id) || 0) - (ranks.get(a.id) || 0))
+      .map(product => ({
+        id: product.id,
+        name: product.name,
+        brand: product.brand,
+        salePrice: product.salePrice,
+        discount: product.discountPercentage,
+        currency: product.currency,
+        image: product.imageUrl,
+        url: product.productUrl
+      }));
+  }
+}
+
+// Singleton instance
+let serviceInstance = null;
+
+/**
+ * Get or create suggestion service instance
+ */
+function getSuggestionService() {
+  if (!serviceInstance) {
+    serviceInstance = new SuggestionService();
+  }
+  return serviceInstance;
+}
+
+module.exports = {
+  SuggestionService,
+  getSuggestionService
+};
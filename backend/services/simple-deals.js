@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { removeDuplicateListings } = require('./matching/match-keys');
 
 /**
  * Simple Deal Fetcher - Uses RapidAPI with proper error handling
@@ -203,18 +204,12 @@ class SimpleDealsFetcher {
     }
   }
 
+  /**
+   * Drop repeated listings from the same retailer; the same product at other
+   * retailers is kept and grouped into offers at ingestion
+   */
   removeDuplicates(products) {
-    const seen = new Set();
-    return products.filter(product => {
-      const key = product.url || `${product.name}-${product.salePrice}`;
-      const normalized = key.toLowerCase().trim();
-
-      if (seen.has(normalized)) {
-        return false;
-      }
-      seen.add(normalized);
-      return true;
-    });
+    return removeDuplicateListings(products);
   }
 
   delay(ms) {
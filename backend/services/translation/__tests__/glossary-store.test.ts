@@ -0,0 +1,51 @@
+import { GlossaryStore, GlossaryValidationError, validateGlossaryTerm } from '../glossary-store';
+
+// The store is given its database client
+jest.mock('../../../db/client', () => ({}));
+
+describe('validateGlossaryTerm', () => {
+  it('normalizes a protected term', () => {
+    expect(validateGlossaryTerm({ term: ' Old Skool ', language: '', note: 'Vans model' }))
+      .toEqual({ term: 'Old Skool', language: null, translation: null, note: 'Vans model' });
+  });
+
+  it('requires a term and a supported language', () => {
+    expect(() => validateGlossaryTerm({})).toThrow(GlossaryValidationError);
+    expect(() => validateGlossaryTerm({ term: 'Samba', language: 'nl' })).toThrow(/language must be one of/);
+  });
+
+  it('requires a language for a translation', () => {
+    expect(() => validateGlossaryTerm({ term: 'sneakers', translation: 'sneaker' }))
+      .toThrow('A translation needs the language it translates into');
+    expect(validateGlossaryTerm({ term: 'sneakers', language: 'it', translation: 'sneaker' }))
+      .toMatchObject({ language: 'it', translation: 'sneaker' });
+  });
+});
+
+describe('GlossaryStore', () => {
+  const rows = [{ id: 't1', term: 'Old Skool', language: null, translation: null, note: null }];
+
+  const prisma = {
+    glossaryTerm: {
+      findFirst: async ({ where }: any) =>
+        rows.find(row => row.term.toLowerCase() === where.term.equals.toLowerCase() &&
+          row.language === where.language && (!where.id || row.id !== where.id.not)) || null,
+      findUnique: async ({ where }: any) => rows.find(row => row.id === where.id) || null,
+      create: async ({ data }: any) => ({ id: 't2', ...data }),
+      update: async ({ where, data }: any) => ({ id: where.id, ...data }),
+      delete: async () => undefined,
+    },
+  };
+
+  const store = new GlossaryStore(prisma);
+
+  it('rejects a term already stored for the language', async () => {
+    await expect(store.create({ term: 'old skool' })).rejects.toThrow('"old skool" is already in the glossary');
+    await expect(store.create({ term: 'Old Skool', language: 'it' })).resolves.toMatchObject({ id: 't2' });
+  });
+
+  it('updates a term without conflicting with itself', async () => {
+    await expect(store.update('t1', { note: 'Vans' })).resolves.toMatchObject({ term: 'Old Skool', note: 'Vans' });
+    await expect(store.update('missing', { note: 'Vans' })).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+import { Glossary, KEEP_TAG } from '../glossary';
+import { FallbackProvider } from '../providers/fallback';
+
+describe('Glossary.markup', () => {
+  const glossary = new Glossary([], ['Nike', 'Vans', 'H&M']);
+
+  it('keeps model names as written', () => {
+    expect(glossary.markup('Nike Air Force 1 sneakers', 'it'))
+      .toBe(`<${KEEP_TAG}>Nike</${KEEP_TAG}> <${KEEP_TAG}>Air Force 1</${KEEP_TAG}> sneakers`);
+    expect(glossary.markup('Vans Old Skool in black', 'fr')).toContain('<keep>Old Skool</keep>');
+    expect(glossary.markup('Gazelle trainers', 'de')).toBe('<keep>Gazelle</keep> trainers');
+  });
+
+  it('keeps upper-case product names', () => {
+    expect(glossary.markup('NIKE AIR FORCE 1', 'es')).toBe('<keep>NIKE</keep> <keep>AIR FORCE 1</keep>');
+  });
+
+  it('keeps sizes but not letters inside words', () => {
+    expect(glossary.markup('Hoodie XL, shoe UK 9.5', 'it'))
+      .toBe('Hoodie <keep>XL</keep>, shoe <keep>UK 9.5</keep>');
+    expect(glossary.markup('Small jeans W32 L34', 'it')).toBe('Small jeans <keep>W32 L34</keep>');
+    expect(glossary.markup('Slim fit', 'it')).toBe('Slim fit');
+  });
+
+  it('escapes XML outside and inside kept terms', () => {
+    expect(glossary.markup('H&M tee <new>', 'it')).toBe('<keep>H&amp;M</keep> tee &lt;new&gt;');
+  });
+
+  it('round-trips through unmarkup', () => {
+    const text = 'H&M Old Skool <b> UK 9';
+    expect(glossary.unmarkup(glossary.markup(text, 'it'))).toBe(text);
+  });
+});
+
+describe('Glossary entries', () => {
+  const glossary = new Glossary([
+    { term: 'sneakers', language: 'it', translation: 'sneaker' },
+    { term: 'Cargo', language: null, translation: null },
+    { term: 'Boyfriend', language: 'de', translation: null },
+  ]);
+
+  it('replaces mapped terms for their language only, in any case', () => {
+    expect(glossary.apply('Sneakers and sneakers', 'it')).toBe('sneaker and sneaker');
+    expect(glossary.apply('Sneakers', 'fr')).toBe('Sneakers');
+  });
+
+  it('keeps protected terms for every language or only theirs', () => {
+    expect(glossary.markup('Cargo pants', 'es')).toBe('<keep>Cargo</keep> pants');
+    expect(glossary.markup('Boyfriend jeans', 'de')).toBe('<keep>Boyfriend</keep> jeans');
+    expect(glossary.markup('Boyfriend jeans', 'it')).toBe('Boyfriend jeans');
+  });
+
+  it('applies reloaded entries', () => {
+    const reloaded = new Glossary([{ term: 'sneakers', language: 'it', translation: 'sneaker' }]);
+    reloaded.load([{ term: 'sneakers', language: 'it', translation: 'scarpe da ginnastica' }]);
+
+    expect(reloaded.apply('sneakers', 'it')).toBe('scarpe da ginnastica');
+    expect(reloaded.size()).toMatchObject({ protected: 0, mappings: 1 });
+  });
+});
+
+describe('FallbackProvider with a glossary', () => {
+  it('applies the same rules as DeepL', async () => {
+    const provider = new FallbackProvider(new Glossary([{ term: 'sneakers', language: 'it', translation: 'sneaker' }]));
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+
+    await expect(provider.translate('Old Skool sneakers', 'en', 'it')).resolves.toBe('Old Skool sneaker');
+    await expect(provider.batchTranslate(['sneakers', ''], 'en', 'it')).resolves.toEqual(['sneaker', '']);
+  });
+});
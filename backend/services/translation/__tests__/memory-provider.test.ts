@@ -0,0 +1,82 @@
+import { TranslationMemoryProvider, buildMemory, fuzzyMatch, splitSegments } from '../providers/memory';
+import { applyPhrases, phraseTable } from '../phrase-templates';
+import { memoryPairs } from '../translation-memory';
+import { Glossary } from '../glossary';
+import { MemoryPair } from '../types';
+
+// The memory source is given its database client
+jest.mock('../../../db/client', () => ({}));
+
+const pairs: MemoryPair[] = [
+  { source: 'Nike Air Max 90 trainers', target: 'Sneakers Nike Air Max 90' },
+  { source: 'Breathable mesh upper. Rubber sole.', target: 'Tomaia in rete traspirante. Suola in gomma.' },
+];
+
+describe('phrase templates', () => {
+  it('replaces the longest phrase in any case', () => {
+    const table = phraseTable('en', 'it');
+    expect(applyPhrases("Men's Running Shoes", table)).toBe('Scarpe da running uomo');
+    expect(applyPhrases('Hoodie - SALE', table)).toBe('Felpa con cappuccio - SALDI');
+    expect(applyPhrases('Men’s hoodie', table)).toBe('Uomo Felpa con cappuccio');
+  });
+
+  it('works between any two languages', () => {
+    expect(applyPhrases('Felpa con cappuccio', phraseTable('it', 'de'))).toBe('Kapuzenpullover');
+    expect(applyPhrases('Zapatillas', phraseTable('es', 'en'))).toBe('Sneakers');
+  });
+});
+
+describe('translation memory', () => {
+  const memory = buildMemory(pairs);
+
+  it('splits texts into segments and stores aligned segments', () => {
+    expect(splitSegments('Soft cotton. Slim fit - Black')).toEqual(['Soft cotton', '. ', 'Slim fit', ' - ', 'Black']);
+    expect(memory.exact.get('rubber sole')).toBe('Suola in gomma');
+  });
+
+  it('swaps words the stored translation keeps as written', () => {
+    expect(fuzzyMatch('Nike Air Max 95 trainers', memory)).toBe('Sneakers Nike Air Max 95');
+    expect(fuzzyMatch('Adidas Air Max 95 trainers', memory)).toBeNull();
+    expect(fuzzyMatch('Nike Air Max 90 sandals', memory)).toBeNull();
+  });
+
+  it('pairs translation rows in both directions', () => {
+    const rows = [{ name: 'Felpa', description: null, product: { name: 'Sweatshirt', description: 'Cotton' } }];
+    expect(memoryPairs(rows)).toEqual([{ source: 'Sweatshirt', target: 'Felpa' }]);
+    expect(memoryPairs(rows, true)).toEqual([{ source: 'Felpa', target: 'Sweatshirt' }]);
+  });
+});
+
+describe('TranslationMemoryProvider', () => {
+  const loads: string[] = [];
+  const provider = new TranslationMemoryProvider({
+    source: {
+      loadPairs: async (sourceLang, targetLang) => {
+        loads.push(`${sourceLang}->${targetLang}`);
+        return pairs;
+      },
+    },
+    glossary: new Glossary(),
+  });
+
+  it('combines stored segments and templates', async () => {
+    await expect(provider.translate('Breathable mesh upper. Waterproof.', 'en', 'it'))
+      .resolves.toBe('Tomaia in rete traspirante. Impermeabile.');
+    await expect(provider.batchTranslate(['Nike Air Max 90 trainers', ''], 'en', 'it'))
+      .resolves.toEqual(['Sneakers Nike Air Max 90', '']);
+    expect(loads).toEqual(['en->it']);
+  });
+
+  it('keeps glossary terms out of the templates', async () => {
+    await expect(provider.translate('Vans Old Skool Black UK 9', 'en', 'fr')).resolves.toBe('Vans Old Skool Noir UK 9');
+  });
+
+  it('falls back to templates when the memory cannot be loaded', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    const offline = new TranslationMemoryProvider({
+      source: { loadPairs: async () => { throw new Error('database down'); } },
+    });
+
+    await expect(offline.translate('Hoodie', 'en', 'es')).resolves.toBe('Sudadera con capucha');
+  });
+});
@@ -0,0 +1,75 @@
+import { ProductTranslationService, missingLanguages, sourceTextChanged } from '../product-translations';
+import { Language, TranslationProvider } from '../types';
+
+// The service is given its database client
+jest.mock('../../../db/client', () => ({}));
+
+describe('missingLanguages', () => {
+  it('lists the languages without a translation row', () => {
+    expect(missingLanguages({ id: '1', name: 'x', translations: [{ language: 'en' }, { language: 'it' }] }))
+      .toEqual(['es', 'fr', 'de', 'pt']);
+  });
+});
+
+describe('sourceTextChanged', () => {
+  it('compares name and description, treating empty descriptions alike', () => {
+    expect(sourceTextChanged({ name: 'Air Max', description: null }, { name: 'Air Max' })).toBe(false);
+    expect(sourceTextChanged({ name: 'Air Max', description: 'Red' }, { name: 'Air Max', description: 'Blue' })).toBe(true);
+    expect(sourceTextChanged({ name: 'Air Max' }, { name: 'Air Max 90' })).toBe(true);
+  });
+});
+
+describe('ProductTranslationService.translatePending', () => {
+  const upserts: any[] = [];
+  const calls: string[] = [];
+
+  const provider: TranslationProvider = {
+    name: 'deepl',
+    translate: async text => text,
+    batchTranslate: async (texts: string[], source: Language, target: Language) => {
+      calls.push(`${source}->${target}:${texts.length}`);
+      return texts.map(text => (text ? `${text} [${target}]` : ''));
+    },
+    detectLanguage: async text => (text.startsWith('Giacca') ? 'it' : 'en'),
+  };
+
+  const prisma = {
+    product: {
+      findMany: async () => [
+        { id: 'p1', name: 'Running shoe', description: null, sourceLanguage: 'en', translations: [] },
+        { id: 'p2', name: 'Giacca', description: 'Impermeabile', sourceLanguage: null, translations: [{ language: 'en' }] },
+      ],
+      update: jest.fn(async () => ({})),
+    },
+    translation: {
+      upsert: async (args: any) => upserts.push(args),
+    },
+  };
+
+  beforeAll(async () => {
+    const service = new ProductTranslationService(prisma, provider);
+    const result = await service.translatePending({ languages: ['en', 'it'] });
+    expect(result).toEqual({ products: 2, detected: 1, translated: 1, copied: 2 });
+  });
+
+  it('stores the detected source language', () => {
+    expect(prisma.product.update).toHaveBeenCalledWith({ where: { id: 'p2' }, data: { sourceLanguage: 'it' } });
+  });
+
+  it('copies the original into its own language and translates the rest in one call per language pair', () => {
+    expect(calls).toEqual(['en->it:2']);
+
+    const rows = upserts.map(({ create }) => [create.productId, create.language, create.name, create.translatedBy]);
+    expect(rows).toEqual([
+      ['p1', 'en', 'Running shoe', 'source'],
+      ['p1', 'it', 'Running shoe [it]', 'deepl'],
+      ['p2', 'it', 'Giacca', 'source'],
+    ]);
+  });
+
+  it('keeps products without a description without one', () => {
+    const translated = upserts.find(({ create }) => create.productId === 'p1' && create.language === 'it');
+    expect(translated.create.description).toBeNull();
+    expect(translated.create.isAutoTranslated).toBe(true);
+  });
+});
@@ -5,6 +5,7 @@
 
 import { Translator } from '../translator';
 import { Language, Product } from '../types';
+import { Glossary } from '../glossary';
 
 describe('Translator Service', () => {
   let translator: Translator;
@@ -93,6 +94,46 @@ describe('Translator Service', () => {
       expect(translated.name).toBe(product.name);
       expect(translated.description).toBe(product.description);
     });
+
+    it('should use the product source language instead of assuming English', async () => {
+      const product: Product = {
+        id: '2',
+        name: 'Giacca impermeabile',
+        description: 'Giacca da trekking',
+        brand: 'Test',
+        category: 'clothing',
+        salePrice: 50,
+        originalPrice: 100,
+        discount: 50,
+        image: 'https://example.com/image.jpg',
+        url: 'https://example.com/product',
+        source: 'test',
+        sourceLanguage: 'it',
+      };
+
+      const translated = await translator.translateProduct(product, 'it');
+
+      expect(translated.name).toBe(product.name);
+      expect(translated.originalLanguage).toBe('it');
+    });
+  });
+
+  describe('Glossary', () => {
+    it('keeps model names and applies mappings without DeepL', async () => {
+      const glossaryTranslator = new Translator(undefined, undefined, {
+        cacheEnabled: false,
+        glossary: new Glossary([{ term: 'trainers', language: 'it', translation: 'sneaker' }]),
+      });
+
+      const result = await glossaryTranslator.translateText('Gazelle trainers UK 9', 'en', 'it');
+
+      expect(result).toBe('Gazelle sneaker UK 9');
+    });
+
+    it('replaces stored entries', async () => {
+      await translator.setGlossaryEntries([{ term: 'Boyfriend', language: null }]);
+      expect(translator.getGlossary().size()).toMatchObject({ protected: 1, mappings: 0 });
+    });
   });
 
   describe('Cache Statistics', () => {
@@ -107,7 +148,7 @@ describe('Translator Service', () => {
   describe('Provider', () => {
     it('should return provider name', () => {
       const providerName = translator.getProviderName();
-      expect(providerName).toBe('fallback');
+      expect(providerName).toBe('memory');
     });
   });
 });
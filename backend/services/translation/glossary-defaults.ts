@@ -0,0 +1,25 @@
+/**
+ * Default Glossary
+ * The built-in do-not-translate list: every brand the app knows about, from
+ * the brand queries (services/api/queries) and the brand validator.
+ */
+
+import { BRAND_QUERIES } from '../api/queries/fashion-brands';
+import { listKnownBrands } from '../verification/validators/brand-validator';
+import { Glossary, GlossaryEntry } from './glossary';
+
+/**
+ * Brand names kept in every language
+ */
+export function defaultProtectedTerms(): string[] {
+  return [...new Set([...Object.keys(BRAND_QUERIES), ...listKnownBrands()])];
+}
+
+/**
+ * Glossary with the built-in terms and stored entries
+ *
+ * @param entries - Rows of the glossary_terms table
+ */
+export function createGlossary(entries: GlossaryEntry[] = []): Glossary {
+  return new Glossary(entries, defaultProtectedTerms());
+}
@@ -0,0 +1,47 @@
+/**
+ * Type declarations for the glossary term store (services/translation/glossary-store.js),
+ * so term validation can be exercised from the TypeScript test suite.
+ */
+
+import { Language } from './types';
+
+export interface GlossaryTermInput {
+  term?: string;
+  language?: Language | string | null;
+  translation?: string | null;
+  note?: string | null;
+}
+
+export interface StoredGlossaryTerm {
+  id: string;
+  term: string;
+  language: string | null;
+  translation: string | null;
+  note: string | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export const GLOSSARY_CONFIG: {
+  maxTermLength: number;
+  maxNoteLength: number;
+};
+
+export class GlossaryValidationError extends Error {}
+
+export function validateGlossaryTerm(input?: GlossaryTermInput): {
+  term: string;
+  language: string | null;
+  translation: string | null;
+  note: string | null;
+};
+
+export class GlossaryStore {
+  constructor(prismaClient?: any);
+  list(options?: { language?: Language }): Promise<StoredGlossaryTerm[]>;
+  create(input: GlossaryTermInput): Promise<StoredGlossaryTerm>;
+  update(id: string, input: GlossaryTermInput): Promise<StoredGlossaryTerm | null>;
+  remove(id: string): Promise<StoredGlossaryTerm | null>;
+}
+
+export function getGlossaryStore(): GlossaryStore;
@@ -0,0 +1,150 @@
+const prisma = require('../../db/client');
+const { TRANSLATION_LANGUAGES } = require('./product-translations');
+
+/**
+ * Glossary Term Store
+ *
+ * Admin-managed glossary terms (glossary_terms table), applied by the
+ * translation providers on top of the built-in rules (see glossary.ts):
+ * - protected term: no translation; kept as written into `language`, or into
+ *   every language when `language` is null
+ * - mapping: a translation into one `language`
+ */
+
+const GLOSSARY_CONFIG = {
+  maxTermLength: 100,
+  maxNoteLength: 500
+};
+
+class GlossaryValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GlossaryValidationError';
+  }
+}
+
+function optionalText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+/**
+ * Validate and normalize the body of a create/update glossary term request
+ *
+ * @returns {Object} - { term, language, translation, note }
+ * @throws {GlossaryValidationError}
+ */
+function validateGlossaryTerm(input = {}) {
+  const term = optionalText(input.term);
+  const language = optionalText(input.language);
+  const translation = optionalText(input.translation);
+  const note = optionalText(input.note);
+
+  if (!term) {
+    throw new GlossaryValidationError('term is required');
+  }
+  if (term.length > GLOSSARY_CONFIG.maxTermLength) {
+    throw new GlossaryValidationError(`term must be at most ${GLOSSARY_CONFIG.maxTermLength} characters`);
+  }
+  if (language && !TRANSLATION_LANGUAGES.includes(language)) {
+    throw new GlossaryValidationError(`language must be one of: ${TRANSLATION_LANGUAGES.join(', ')}`);
+  }
+  if (translation && !language) {
+    throw new GlossaryValidationError('A translation needs the language it translates into');
+  }
+  if (translation && translation.length > GLOSSARY_CONFIG.maxTermLength) {
+    throw new GlossaryValidationError(`translation must be at most ${GLOSSARY_CONFIG.maxTermLength} characters`);
+  }
+  if (note && note.length > GLOSSARY_CONFIG.maxNoteLength) {
+    throw new GlossaryValidationError(`note must be at most ${GLOSSARY_CONFIG.maxNoteLength} characters`);
+  }
+
+  return { term, language, translation, note };
+}
+
+class GlossaryStore {
+  constructor(prismaClient = prisma) {
+    this.prisma = prismaClient.default || prismaClient;
+  }
+
+  /**
+   * Stored terms, optionally only those applying to one target language
+   */
+  async list({ language } = {}) {
+    return this.prisma.glossaryTerm.findMany({
+      where: language ? { OR: [{ language }, { language: null }] } : {},
+      orderBy: [{ term: 'asc' }, { language: 'asc' }]
+    });
+  }
+
+  /**
+   * @throws {GlossaryValidationError} - Invalid input, or the term is already stored for the language
+   */
+  async create(input) {
+    const data = validateGlossaryTerm(input);
+    await this.assertUnique(data);
+
+    return this.prisma.glossaryTerm.create({ data });
+  }
+
+  /**
+   * @returns {Object|null} - The updated term, null if it does not exist
+   * @throws {GlossaryValidationError}
+   */
+  async update(id, input) {
+    const existing = await this.prisma.glossaryTerm.findUnique({ where: { id } });
+    if (!existing) return null;
+
+    const data = validateGlossaryTerm({ ...existing, ...input });
+    await this.assertUnique(data, id);
+
+    return this.prisma.glossaryTerm.update({ where: { id }, data });
+  }
+
+  /**
+   * @returns {Object|null} - The deleted term, null if it does not exist
+   */
+  async remove(id) {
+    const existing = await this.prisma.glossaryTerm.findUnique({ where: { id } });
+    if (!existing) return null;
+
+    await this.prisma.glossaryTerm.delete({ where: { id } });
+    return existing;
+  }
+
+  /**
+   * One term per language (the unique index does not cover null languages)
+   */
+  async assertUnique({ term, language }, exceptId = null) {
+    const duplicate = await this.prisma.glossaryTerm.findFirst({
+      where: {
+        term: { equals: term, mode: 'insensitive' },
+        language,
+        ...(exceptId && { id: { not: exceptId } })
+      }
+    });
+
+    if (duplicate) {
+      throw new GlossaryValidationError(`"${term}" is already in the glossary${language ? ` for ${language}` : ''}`);
+    }
+  }
+}
+
+// Singleton instance
+let glossaryStoreInstance = null;
+
+function getGlossaryStore() {
+  if (!glossaryStoreInstance) {
+    glossaryStoreInstance = new GlossaryStore();
+  }
+  return glossaryStoreInstance;
+}
+
+module.exports = {
+  GLOSSARY_CONFIG,
+  GlossaryValidationError,
+  validateGlossaryTerm,
+  GlossaryStore,
+  getGlossaryStore
+};
@@ -0,0 +1,222 @@
+/**
+ * Translation Glossary
+ * Do-not-translate rules and per-language term mappings for product text
+ *
+ * Brand and model names ("Air Force 1", "Old Skool", "Gazelle") and sizes
+ * ("UK 9", "XL") must survive translation unchanged, and some terms need a
+ * fixed translation per language. Before a provider translates a text, the
+ * glossary wraps those terms in <keep> tags (their mapped translation for
+ * mapped terms); providers leave tagged content alone (DeepL through
+ * `ignore_tags`) and the tags are removed afterwards. Every provider applies
+ * the same rules, so FallbackProvider output matches what DeepL would keep.
+ */
+
+import { Language } from './types';
+
+/**
+ * A glossary term, as stored in the glossary_terms table
+ * - translation null: never translated (into `language`, or any language when null)
+ * - translation set: always translated into `language` as `translation`
+ */
+export interface GlossaryEntry {
+  id?: string;
+  term: string;
+  language?: Language | string | null;
+  translation?: string | null;
+}
+
+export const KEEP_TAG = 'keep';
+
+/**
+ * Model names kept in every language (brand names come from glossary-defaults.ts)
+ */
+export const MODEL_NAMES = [
+  'Air Force 1', 'Air Max', 'Air Jordan', 'Dunk Low', 'Dunk High', 'Blazer Mid', 'Cortez', 'Pegasus', 'Vomero',
+  'Old Skool', 'Sk8-Hi', 'Slip-On',
+  'Gazelle', 'Samba', 'Stan Smith', 'Superstar', 'Ultraboost', 'NMD', 'Handball Spezial',
+  'Chuck Taylor', 'All Star', 'Chuck 70', 'Run Star Hike',
+  'Gel-Kayano', 'Gel-Nimbus', 'Gel-Lyte', 'Club C', 'Speedcat', 'Speedcross',
+];
+
+/**
+ * Sizes kept as written: letter sizes, regional shoe sizes and waist/length
+ * (case-sensitive, so only "S"/"M"/"L" as sizes, not as letters in words)
+ */
+const SIZE_PATTERN =
+  /(?<![\p{L}\p{N}])(?:[2-5]XL|X{0,3}[SL]|M|(?:UK|EU|US)\s?\d{1,2}(?:[.,]5)?|W\d{2}(?:\s?L\d{2})?)(?![\p{L}\p{N}])/gu;
+
+const XML_ESCAPES: Record<string, string> = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+
+interface Segment {
+  text: string;
+  keep: boolean;
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeXml(text: string): string {
+  return text.replace(/[&<>]/g, char => XML_ESCAPES[char]);
+}
+
+function unescapeXml(text: string): string {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Regex matching any of the terms as whole words, longest first
+ */
+export function termsPattern(terms: string[], flags: string): RegExp | null {
+  const unique = [...new Set(terms.map(term => term.trim()).filter(Boolean))]
+    .sort((a, b) => b.length - a.length);
+  if (unique.length === 0) return null;
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${unique.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, flags);
+}
+
+/**
+ * Split the untagged segments further on a pattern; matches become kept segments
+ */
+function keepMatches(segments: Segment[], pattern: RegExp | null, replace: (match: string) => string): Segment[] {
+  if (!pattern) return segments;
+
+  return segments.flatMap(segment => {
+    if (segment.keep) return [segment];
+
+    const parts: Segment[] = [];
+    let last = 0;
+    for (const match of segment.text.matchAll(pattern)) {
+      const index = match.index as number;
+      if (index > last) parts.push({ text: segment.text.slice(last, index), keep: false });
+      parts.push({ text: replace(match[0]), keep: true });
+      last = index + match[0].length;
+    }
+    if (last < segment.text.length) parts.push({ text: segment.text.slice(last), keep: false });
+    return parts;
+  });
+}
+
+interface LanguageRules {
+  protectedPattern: RegExp | null;
+  mappedPattern: RegExp | null;
+  mappings: Map<string, string>;
+}
+
+export class Glossary {
+  private protectedTerms: string[];
+  private entries: GlossaryEntry[] = [];
+  private rules = new Map<Language, LanguageRules>();
+
+  /**
+   * @param entries - Stored glossary terms (see load)
+   * @param protectedTerms - Built-in names kept in every language (added to MODEL_NAMES)
+   */
+  constructor(entries: GlossaryEntry[] = [], protectedTerms: string[] = []) {
+    this.protectedTerms = [...MODEL_NAMES, ...protectedTerms];
+    this.load(entries);
+  }
+
+  /**
+   * Replace the stored terms (e.g. after an admin edit)
+   */
+  load(entries: GlossaryEntry[]): void {
+    this.entries = entries.filter(entry => entry.term && entry.term.trim());
+    this.rules.clear();
+  }
+
+  /**
+   * Terms kept as written when translating into `targetLang`
+   */
+  protectedFor(targetLang: Language): string[] {
+    const stored = this.entries
+      .filter(entry => !entry.translation && (!entry.language || entry.language === targetLang))
+      .map(entry => entry.term);
+    const terms = [...this.protectedTerms, ...stored];
+
+    // Product names are often upper case ("NIKE AIR FORCE 1")
+    return [...terms, ...terms.map(term => term.toUpperCase())];
+  }
+
+  /**
+   * Fixed translations into `targetLang`, by lower-cased term
+   */
+  mappingsFor(targetLang: Language): Map<string, string> {
+    return new Map(this.entries
+      .filter(entry => entry.translation && entry.language === targetLang)
+      .map(entry => [entry.term.trim().toLowerCase(), entry.translation as string]));
+  }
+
+  /**
+   * Mark a text up for a provider: XML-escaped, with protected and mapped terms
+   * (already in their mapped translation) wrapped in <keep> tags
+   */
+  markup(text: string, targetLang: Language): string {
+    return this.segment(text, targetLang)
+      .map(segment => (segment.keep ? `<${KEEP_TAG}>${escapeXml(segment.text)}</${KEEP_TAG}>` : escapeXml(segment.text)))
+      .join('');
+  }
+
+  /**
+   * The text split into kept terms (mapped terms already replaced) and the rest
+   */
+  private segment(text: string, targetLang: Language): Segment[] {
+    const { protectedPattern, mappedPattern, mappings } = this.rulesFor(targetLang);
+
+    let segments: Segment[] = [{ text, keep: false }];
+    segments = keepMatches(segments, protectedPattern, match => match);
+    segments = keepMatches(segments, mappedPattern, match => mappings.get(match.toLowerCase()) || match);
+    return keepMatches(segments, SIZE_PATTERN, match => match);
+  }
+
+  /**
+   * Compiled patterns for a target language, until the terms change.
+   * Protected terms match as written; mapped terms in any case.
+   */
+  private rulesFor(targetLang: Language): LanguageRules {
+    let rules = this.rules.get(targetLang);
+    if (!rules) {
+      const mappings = this.mappingsFor(targetLang);
+      rules = {
+        protectedPattern: termsPattern(this.protectedFor(targetLang), 'gu'),
+        mappedPattern: termsPattern([...mappings.keys()], 'giu'),
+        mappings,
+      };
+      this.rules.set(targetLang, rules);
+    }
+    return rules;
+  }
+
+  /**
+   * Plain text back from a marked-up (and translated) text
+   */
+  unmarkup(text: string): string {
+    return unescapeXml(text.replace(new RegExp(`</?${KEEP_TAG}>`, 'g'), ''));
+  }
+
+  /**
+   * The text with mapped terms replaced and everything not kept passed through
+   * `translate` (by default unchanged, as an identity translation keeps it)
+   */
+  apply(text: string, targetLang: Language, translate: (part: string) => string = part => part): string {
+    return this.segment(text, targetLang)
+      .map(segment => (segment.keep ? segment.text : translate(segment.text)))
+      .join('');
+  }
+
+  /**
+   * Number of rules, for stats
+   */
+  size(): { builtIn: number; protected: number; mappings: number } {
+    return {
+      builtIn: this.protectedTerms.length,
+      protected: this.entries.filter(entry => !entry.translation).length,
+      mappings: this.entries.filter(entry => entry.translation).length,
+    };
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Phrase Templates
+ * Fixed translations of common fashion terms, used by the translation memory
+ * provider for text no stored translation covers
+ *
+ * Every template lists the same phrase in each language, so any language pair
+ * can be looked up. Longer phrases win over the words they contain
+ * ("Men's Running Shoes" before "Running Shoes" before "Men's").
+ */
+
+import { Language } from './types';
+import { termsPattern } from './glossary';
+
+export type PhraseTemplate = Record<Language, string>;
+
+export const PHRASE_TEMPLATES: PhraseTemplate[] = [
+  // Products
+  { en: "Men's Running Shoes", it: 'Scarpe da running uomo', es: 'Zapatillas de running para hombre', fr: 'Chaussures de running homme', de: 'Herren Laufschuhe', pt: 'Sapatilhas de corrida para homem' },
+  { en: "Women's Running Shoes", it: 'Scarpe da running donna', es: 'Zapatillas de running para mujer', fr: 'Chaussures de running femme', de: 'Damen Laufschuhe', pt: 'Sapatilhas de corrida para mulher' },
+  { en: 'Running Shoes', it: 'Scarpe da running', es: 'Zapatillas de running', fr: 'Chaussures de running', de: 'Laufschuhe', pt: 'Sapatilhas de corrida' },
+  { en: 'Sneakers', it: 'Sneakers', es: 'Zapatillas', fr: 'Baskets', de: 'Sneaker', pt: 'Sapatilhas' },
+  { en: 'Trainers', it: 'Sneakers', es: 'Zapatillas', fr: 'Baskets', de: 'Sneaker', pt: 'Sapatilhas' },
+  { en: 'Boots', it: 'Stivali', es: 'Botas', fr: 'Bottes', de: 'Stiefel', pt: 'Botas' },
+  { en: 'Sandals', it: 'Sandali', es: 'Sandalias', fr: 'Sandales', de: 'Sandalen', pt: 'Sandálias' },
+  { en: 'Hoodie', it: 'Felpa con cappuccio', es: 'Sudadera con capucha', fr: 'Sweat à capuche', de: 'Kapuzenpullover', pt: 'Sweatshirt com capuz' },
+  { en: 'Sweatshirt', it: 'Felpa', es: 'Sudadera', fr: 'Sweat-shirt', de: 'Sweatshirt', pt: 'Sweatshirt' },
+  { en: 'T-Shirt', it: 'T-shirt', es: 'Camiseta', fr: 'T-shirt', de: 'T-Shirt', pt: 'T-shirt' },
+  { en: 'Down Jacket', it: 'Piumino', es: 'Chaqueta de plumas', fr: 'Doudoune', de: 'Daunenjacke', pt: 'Casaco de penas' },
+  { en: 'Jacket', it: 'Giacca', es: 'Chaqueta', fr: 'Veste', de: 'Jacke', pt: 'Casaco' },
+  { en: 'Jeans', it: 'Jeans', es: 'Vaqueros', fr: 'Jean', de: 'Jeans', pt: 'Calças de ganga' },
+  { en: 'Trousers', it: 'Pantaloni', es: 'Pantalones', fr: 'Pantalon', de: 'Hose', pt: 'Calças' },
+  { en: 'Shorts', it: 'Pantaloncini', es: 'Pantalones cortos', fr: 'Short', de: 'Shorts', pt: 'Calções' },
+  { en: 'Dress', it: 'Abito', es: 'Vestido', fr: 'Robe', de: 'Kleid', pt: 'Vestido' },
+  { en: 'Backpack', it: 'Zaino', es: 'Mochila', fr: 'Sac à dos', de: 'Rucksack', pt: 'Mochila' },
+
+  // Audience
+  { en: "Men's", it: 'Uomo', es: 'Hombre', fr: 'Homme', de: 'Herren', pt: 'Homem' },
+  { en: "Women's", it: 'Donna', es: 'Mujer', fr: 'Femme', de: 'Damen', pt: 'Mulher' },
+  { en: 'Kids', it: 'Bambini', es: 'Niños', fr: 'Enfant', de: 'Kinder', pt: 'Criança' },
+
+  // Colours and features
+  { en: 'Black', it: 'Nero', es: 'Negro', fr: 'Noir', de: 'Schwarz', pt: 'Preto' },
+  { en: 'White', it: 'Bianco', es: 'Blanco', fr: 'Blanc', de: 'Weiß', pt: 'Branco' },
+  { en: 'Blue', it: 'Blu', es: 'Azul', fr: 'Bleu', de: 'Blau', pt: 'Azul' },
+  { en: 'Red', it: 'Rosso', es: 'Rojo', fr: 'Rouge', de: 'Rot', pt: 'Vermelho' },
+  { en: 'Grey', it: 'Grigio', es: 'Gris', fr: 'Gris', de: 'Grau', pt: 'Cinzento' },
+  { en: 'Green', it: 'Verde', es: 'Verde', fr: 'Vert', de: 'Grün', pt: 'Verde' },
+  { en: 'Waterproof', it: 'Impermeabile', es: 'Impermeable', fr: 'Imperméable', de: 'Wasserdicht', pt: 'Impermeável' },
+
+  // Merchandising
+  { en: 'New Arrivals', it: 'Nuovi arrivi', es: 'Novedades', fr: 'Nouveautés', de: 'Neuheiten', pt: 'Novidades' },
+  { en: 'Sale', it: 'Saldi', es: 'Rebajas', fr: 'Soldes', de: 'Sale', pt: 'Saldos' },
+];
+
+export interface PhraseTable {
+  pattern: RegExp | null;
+  phrases: Map<string, string>; // Lower-cased source phrase → target phrase
+}
+
+function phraseKey(phrase: string): string {
+  return phrase.toLowerCase().replace(/’/g, "'");
+}
+
+/**
+ * Source → target phrases for a language pair; the first template wins when
+ * several share a source phrase (e.g. "Zapatillas")
+ */
+export function phraseTable(sourceLang: Language, targetLang: Language, templates = PHRASE_TEMPLATES): PhraseTable {
+  const phrases = new Map<string, string>();
+  for (const template of templates) {
+    const key = phraseKey(template[sourceLang]);
+    if (!phrases.has(key)) phrases.set(key, template[targetLang]);
+  }
+
+  const sources = [...phrases.keys()];
+  return {
+    // Typographic apostrophes ("Men’s") match too
+    pattern: termsPattern([...sources, ...sources.map(phrase => phrase.replace(/'/g, '’'))], 'giu'),
+    phrases,
+  };
+}
+
+/**
+ * Replace the template phrases in a text; all-caps phrases stay all caps
+ */
+export function applyPhrases(text: string, table: PhraseTable): string {
+  if (!table.pattern) return text;
+
+  return text.replace(table.pattern, match => {
+    const phrase = table.phrases.get(phraseKey(match));
+    if (!phrase) return match;
+    return match === match.toUpperCase() && match !== match.toLowerCase() ? phrase.toUpperCase() : phrase;
+  });
+}
@@ -0,0 +1,46 @@
+/**
+ * Type declarations for persisted product translations (services/translation/product-translations.js),
+ * so the batch job can be exercised from the TypeScript test suite.
+ */
+
+import { Language, TranslationProvider } from './types';
+import { Glossary } from './glossary';
+
+export interface TranslatableProduct {
+  id: string;
+  name: string;
+  description?: string | null;
+  sourceLanguage?: string | null;
+  translations?: { language: string }[];
+}
+
+export interface TranslatePendingResult {
+  products: number;
+  detected: number;
+  translated: number;
+  copied: number;
+}
+
+export const TRANSLATION_LANGUAGES: Language[];
+export const AUTOMATIC_TRANSLATIONS: object;
+
+export function missingLanguages(product: TranslatableProduct, languages?: Language[]): Language[];
+export function detectionText(product: TranslatableProduct): string;
+export function sourceTextChanged(
+  existing: { name: string; description?: string | null },
+  product: { name: string; description?: string | null }
+): boolean;
+
+export class ProductTranslationService {
+  constructor(prismaClient: any, provider: TranslationProvider, glossary?: Glossary | null);
+  translatePending(options?: { limit?: number; languages?: Language[] }): Promise<TranslatePendingResult>;
+  saveTranslation(
+    product: { id: string },
+    language: Language,
+    text: { name: string; description?: string | null },
+    translatedBy: string
+  ): Promise<void>;
+  getCounts(): Promise<Record<string, number>>;
+}
+
+export function createProductTranslationService(deeplApiKey: string, prismaClient?: any): ProductTranslationService;
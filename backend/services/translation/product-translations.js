@@ -0,0 +1,196 @@
+const prisma = require('../../db/client');
+const { requireTs } = require('../require-ts');
+
+/**
+ * Persisted Product Translations
+ *
+ * Fills the Translation table for active products in every supported language,
+ * so /api/deals?lang= and search read translations from the database instead of
+ * calling DeepL per request. Each product's source language is detected once
+ * (Product.sourceLanguage); its own language gets a `source` row copying the
+ * original, so a product is done when it has a row per language. Ingestion
+ * drops the automatic rows when a product's name or description changes.
+ *
+ * With a glossary (see glossary.ts), the stored glossary terms are reloaded
+ * before each batch, so admin edits apply to the next run.
+ *
+ * Provider errors are thrown, so the queued job is retried; translations of
+ * earlier products in the batch are kept.
+ */
+
+const TRANSLATION_LANGUAGES = ['en', 'it', 'es', 'fr', 'de', 'pt'];
+
+// Products per provider call (DeepL takes at most 50 texts: a name and a description each)
+const PRODUCTS_PER_CALL = 25;
+
+// Translations the job owns (replaced when the source text changes); manual ones are kept
+const AUTOMATIC_TRANSLATIONS = { OR: [{ isAutoTranslated: true }, { translatedBy: 'source' }] };
+
+/**
+ * Languages a product still lacks a translation for
+ *
+ * @param {Object} product - { translations: [{ language }] }
+ */
+function missingLanguages(product, languages = TRANSLATION_LANGUAGES) {
+  const translated = new Set((product.translations || []).map(translation => translation.language));
+  return languages.filter(language => !translated.has(language));
+}
+
+/**
+ * Text the language is detected from
+ */
+function detectionText(product) {
+  return [product.name, product.description].filter(Boolean).join('. ');
+}
+
+/**
+ * Whether an ingested record changes the text translations are made from
+ */
+function sourceTextChanged(existing, product) {
+  return existing.name !== product.name ||
+    (existing.description || null) !== (product.description || null);
+}
+
+class ProductTranslationService {
+  /**
+   * @param {Object} provider - TranslationProvider (services/translation/types.ts), e.g. DeepLProvider
+   * @param {Object} glossary - Glossary the provider applies (optional)
+   */
+  constructor(prismaClient = prisma, provider, glossary = null) {
+    this.prisma = prismaClient.default || prismaClient;
+    this.provider = provider;
+    this.glossary = glossary;
+  }
+
+  /**
+   * Translate the next batch of active products missing a language
+   *
+   * @param {Object} options - { limit, languages }
+   * @returns {Object} - { products, detected, translated, copied }
+   */
+  async translatePending({ limit = 50, languages = TRANSLATION_LANGUAGES } = {}) {
+    if (this.glossary) {
+      this.glossary.load(await this.prisma.glossaryTerm.findMany());
+    }
+
+    const products = await this.prisma.product.findMany({
+      where: {
+        isActive: true,
+        lifecycleStatus: 'active',
+        OR: languages.map(language => ({ translations: { none: { language } } }))
+      },
+      select: {
+        id: true,
+        name: true,
+        description: true,
+        sourceLanguage: true,
+        translations: { select: { language: true } }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+
+    const result = { products: products.length, detected: 0, translated: 0, copied: 0 };
+
+    for (const product of products) {
+      if (!product.sourceLanguage) {
+        product.sourceLanguage = await this.provider.detectLanguage(detectionText(product));
+        await this.prisma.product.update({
+          where: { id: product.id },
+          data: { sourceLanguage: product.sourceLanguage }
+        });
+        result.detected++;
+      }
+    }
+
+    // Batched per source and target language
+    for (const target of languages) {
+      const pending = products.filter(product => missingLanguages(product, [target]).length > 0);
+
+      for (const source of new Set(pending.map(product => product.sourceLanguage))) {
+        const group = pending.filter(product => product.sourceLanguage === source);
+
+        if (source === target) {
+          for (const product of group) {
+            await this.saveTranslation(product, target, product, 'source');
+          }
+          result.copied += group.length;
+          continue;
+        }
+
+        for (let start = 0; start < group.length; start += PRODUCTS_PER_CALL) {
+          const chunk = group.slice(start, start + PRODUCTS_PER_CALL);
+          const texts = chunk.flatMap(product => [product.name, product.description || '']);
+          const translated = await this.provider.batchTranslate(texts, source, target);
+
+          for (const [index, product] of chunk.entries()) {
+            await this.saveTranslation(product, target, {
+              name: translated[index * 2] || product.name,
+              description: product.description ? translated[index * 2 + 1] || product.description : null
+            }, this.provider.name);
+          }
+          result.translated += chunk.length;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Store one product translation
+   */
+  async saveTranslation(product, language, { name, description }, translatedBy) {
+    const data = {
+      name,
+      description: description || null,
+      isAutoTranslated: translatedBy !== 'source',
+      translatedBy
+    };
+
+    await this.prisma.translation.upsert({
+      where: { productId_language: { productId: product.id, language } },
+      create: { productId: product.id, language, ...data },
+      update: data
+    });
+  }
+
+  /**
+   * Translations per language
+   */
+  async getCounts() {
+    const groups = await this.prisma.translation.groupBy({
+      by: ['language'],
+      _count: { _all: true }
+    });
+
+    return Object.fromEntries(groups.map(group => [group.language, group._count._all]));
+  }
+}
+
+/**
+ * Service translating with DeepL and the default glossary. Both are TypeScript,
+ * loaded here rather than with this module (which ingestion and the deals service
+ * require): the scheduler creates the service when it starts, so a failure to
+ * load them stops scheduler startup rather than a translation job.
+ *
+ * @param {string} deeplApiKey - DEEPL_API_KEY
+ */
+function createProductTranslationService(deeplApiKey, prismaClient = prisma) {
+  const { DeepLProvider } = requireTs('./services/translation/providers/deepl', 'translation');
+  const { createGlossary } = requireTs('./services/translation/glossary-defaults', 'translation');
+
+  const glossary = createGlossary();
+  const provider = new DeepLProvider({ apiKey: deeplApiKey, freeApi: true, glossary });
+  return new ProductTranslationService(prismaClient, provider, glossary);
+}
+
+module.exports = {
+  TRANSLATION_LANGUAGES,
+  AUTOMATIC_TRANSLATIONS,
+  missingLanguages,
+  detectionText,
+  sourceTextChanged,
+  ProductTranslationService,
+  createProductTranslationService
+};
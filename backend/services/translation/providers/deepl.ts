@@ -5,12 +5,14 @@
 
 import axios from 'axios';
 import { Language, TranslationProvider, DeepLConfig } from '../types';
+import { Glossary, KEEP_TAG } from '../glossary';
 
 export class DeepLProvider implements TranslationProvider {
   public readonly name = 'deepl';
   private apiKey: string;
   private baseUrl: string;
   private timeout: number;
+  private glossary?: Glossary;
 
   constructor(config: DeepLConfig) {
     this.apiKey = config.apiKey;
@@ -18,6 +20,7 @@ export class DeepLProvider implements TranslationProvider {
       ? 'https://api-free.deepl.com/v2'
       : 'https://api.deepl.com/v2';
     this.timeout = config.timeout || 10000;
+    this.glossary = config.glossary;
   }
 
   /**
@@ -40,11 +43,12 @@ export class DeepLProvider implements TranslationProvider {
       const response = await axios.post(
         `${this.baseUrl}/translate`,
         {
-          text: [text],
-          source_lang: this.mapLanguageCode(sourceLang),
+          text: [this.markup(text, targetLang)],
+          source_lang: this.mapSourceLanguageCode(sourceLang),
           target_lang: this.mapLanguageCode(targetLang),
           formality: 'default',
           preserve_formatting: true,
+          ...this.glossaryOptions(),
         },
         {
           headers: {
@@ -55,7 +59,7 @@ export class DeepLProvider implements TranslationProvider {
         }
       );
 
-      return response.data.translations[0].text;
+      return this.unmarkup(response.data.translations[0].text);
     } catch (error: any) {
       console.error('DeepL translation error:', error.message);
       throw new Error(`DeepL translation failed: ${error.message}`);
@@ -82,11 +86,12 @@ export class DeepLProvider implements TranslationProvider {
       const response = await axios.post(
         `${this.baseUrl}/translate`,
         {
-          text: texts,
-          source_lang: this.mapLanguageCode(sourceLang),
+          text: texts.map((text) => this.markup(text, targetLang)),
+          source_lang: this.mapSourceLanguageCode(sourceLang),
           target_lang: this.mapLanguageCode(targetLang),
           formality: 'default',
           preserve_formatting: true,
+          ...this.glossaryOptions(),
         },
         {
           headers: {
@@ -97,7 +102,7 @@ export class DeepLProvider implements TranslationProvider {
         }
       );
 
-      return response.data.translations.map((t: any) => t.text);
+      return response.data.translations.map((t: any) => this.unmarkup(t.text));
     } catch (error: any) {
       console.error('DeepL batch translation error:', error.message);
       throw new Error(`DeepL batch translation failed: ${error.message}`);
@@ -132,6 +137,24 @@ export class DeepLProvider implements TranslationProvider {
     }
   }
 
+  /**
+   * Tag glossary terms so DeepL leaves them alone (see glossary.ts)
+   */
+  private markup(text: string, targetLang: Language): string {
+    return this.glossary ? this.glossary.markup(text, targetLang) : text;
+  }
+
+  private unmarkup(text: string): string {
+    return this.glossary ? this.glossary.unmarkup(text) : text;
+  }
+
+  /**
+   * Request options for glossary-tagged texts
+   */
+  private glossaryOptions(): Record<string, unknown> {
+    return this.glossary ? { tag_handling: 'xml', ignore_tags: [KEEP_TAG] } : {};
+  }
+
   /**
    * Map our language codes to DeepL's format
    */
@@ -147,6 +170,13 @@ export class DeepLProvider implements TranslationProvider {
     return mapping[lang] || 'EN';
   }
 
+  /**
+   * Map our language codes to DeepL's source languages, which have no regional variants
+   */
+  private mapSourceLanguageCode(lang: Language): string {
+    return this.mapLanguageCode(lang).split('-')[0];
+  }
+
   /**
    * Map DeepL's language codes back to ours
    */
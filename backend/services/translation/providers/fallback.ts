@@ -1,13 +1,21 @@
 /**
  * Fallback Translation Provider
- * Returns English text when DeepL fails or is unavailable
+ * Pass-through provider: returns the text untranslated. The Translator falls
+ * back to the translation memory provider (memory.ts) instead; this one is
+ * for callers without stored translations.
+ *
+ * With a glossary, mapped terms are still replaced, so the offline output
+ * follows the same rules as DeepL's.
  */
 
 import { Language, TranslationProvider } from '../types';
+import { Glossary } from '../glossary';
 
 export class FallbackProvider implements TranslationProvider {
   public readonly name = 'fallback';
 
+  constructor(private glossary?: Glossary) {}
+
   /**
    * Returns the original text (no translation)
    */
@@ -19,7 +27,7 @@ export class FallbackProvider implements TranslationProvider {
     console.warn(
       `Fallback provider: No translation available for ${sourceLang} -> ${targetLang}`
     );
-    return text;
+    return this.applyGlossary(text, targetLang);
   }
 
   /**
@@ -33,7 +41,14 @@ export class FallbackProvider implements TranslationProvider {
     console.warn(
       `Fallback provider: No batch translation for ${sourceLang} -> ${targetLang}`
     );
-    return texts;
+    return texts.map((text) => this.applyGlossary(text, targetLang));
+  }
+
+  /**
+   * The text with the glossary's term mappings for the target language
+   */
+  private applyGlossary(text: string, targetLang: Language): string {
+    return this.glossary && text ? this.glossary.apply(text, targetLang) : text;
   }
 
   /**
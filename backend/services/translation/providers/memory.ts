@@ -0,0 +1,254 @@
+/**
+ * Translation Memory Provider
+ * Offline translations from approved translations and phrase templates
+ *
+ * Used when DeepL is unavailable or not configured. Each text is split into
+ * segments (sentences, " - " separated parts), and each segment is, in order:
+ * 1. an exact match of a stored translation (Translation table, or the
+ *    Redis cache of earlier translations)
+ * 2. a fuzzy match: a stored segment with the same words except a few that
+ *    its translation keeps as written (model numbers, names), which are
+ *    swapped in ("Air Max 95" from "Air Max 90")
+ * 3. otherwise the phrase templates (phrase-templates.ts), with the rest of
+ *    the segment unchanged
+ * The glossary applies to template output as it does to DeepL's. Nothing
+ * here throws: an unavailable memory leaves the templates.
+ */
+
+import { Language, MemoryPair, TranslationMemorySource, TranslationProvider } from '../types';
+import { Glossary } from '../glossary';
+import { PhraseTable, applyPhrases, phraseTable } from '../phrase-templates';
+
+export interface TranslationMemoryConfig {
+  source?: TranslationMemorySource;
+  cache?: {
+    isConnected(): boolean;
+    get(text: string, sourceLang: Language, targetLang: Language): Promise<string | null>;
+  };
+  glossary?: Glossary;
+  refreshMs?: number; // Reload stored translations after this long (default: 10 minutes)
+}
+
+interface Memory {
+  exact: Map<string, string>;
+  byLength: Map<number, { tokens: string[]; target: string }[]>;
+  loadedAt: number;
+}
+
+// Share of a segment's words a fuzzy match may replace
+const MAX_FUZZY_SHARE = 1 / 3;
+
+const SEGMENT_SEPARATOR = /([.!?;]+(?:\s+|$)|\n+|\s+[|–—-]\s+)/;
+
+/**
+ * Split a text into segments and separators: [segment, separator, segment, ...]
+ */
+export function splitSegments(text: string): string[] {
+  return text.split(SEGMENT_SEPARATOR);
+}
+
+function segmentKey(segment: string): string {
+  return segment.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function tokenize(segment: string): string[] {
+  return segment.trim().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Stored pairs as a memory: whole texts, and their segments when source and
+ * target split into the same number of segments
+ */
+export function buildMemory(pairs: MemoryPair[], loadedAt = Date.now()): Memory {
+  const memory: Memory = { exact: new Map(), byLength: new Map(), loadedAt };
+
+  const add = (source: string, target: string) => {
+    const key = segmentKey(source);
+    if (!key || !target.trim() || memory.exact.has(key)) return;
+
+    memory.exact.set(key, target.trim());
+    const tokens = tokenize(source);
+    if (!memory.byLength.has(tokens.length)) memory.byLength.set(tokens.length, []);
+    memory.byLength.get(tokens.length)!.push({ tokens, target: target.trim() });
+  };
+
+  for (const { source, target } of pairs) {
+    if (!source || !target) continue;
+    add(source, target);
+
+    const sourceParts = splitSegments(source);
+    const targetParts = splitSegments(target);
+    if (sourceParts.length > 1 && sourceParts.length === targetParts.length) {
+      for (let i = 0; i < sourceParts.length; i += 2) {
+        add(sourceParts[i], targetParts[i]);
+      }
+    }
+  }
+
+  return memory;
+}
+
+/**
+ * Translation of a segment from a stored segment differing only in words
+ * its translation keeps as written, or null
+ */
+export function fuzzyMatch(segment: string, memory: Memory): string | null {
+  const tokens = tokenize(segment);
+  const maxDiffs = Math.floor(tokens.length * MAX_FUZZY_SHARE);
+  if (maxDiffs === 0) return null;
+
+  for (const candidate of memory.byLength.get(tokens.length) || []) {
+    const diffs = tokens
+      .map((token, index) => ({ token, stored: candidate.tokens[index] }))
+      .filter(({ token, stored }) => token.toLowerCase() !== stored.toLowerCase());
+    if (diffs.length === 0 || diffs.length > maxDiffs) continue;
+
+    let target = candidate.target;
+    const targetTokens = tokenize(target);
+    const transferable = diffs.every(({ stored }) => targetTokens.filter(word => word === stored).length === 1);
+    if (!transferable) continue;
+
+    for (const { token, stored } of diffs) {
+      target = target.replace(new RegExp(`(^|\\s)${stored.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=\\s|$)`), `$1${token}`);
+    }
+    return target;
+  }
+
+  return null;
+}
+
+export class TranslationMemoryProvider implements TranslationProvider {
+  public readonly name = 'memory';
+  private memories = new Map<string, Memory>();
+  private phraseTables = new Map<string, PhraseTable>();
+  private refreshMs: number;
+
+  constructor(private config: TranslationMemoryConfig = {}) {
+    this.refreshMs = config.refreshMs ?? 10 * 60 * 1000;
+  }
+
+  async translate(
+    text: string,
+    sourceLang: Language,
+    targetLang: Language
+  ): Promise<string> {
+    const [translated] = await this.batchTranslate([text], sourceLang, targetLang);
+    return translated;
+  }
+
+  async batchTranslate(
+    texts: string[],
+    sourceLang: Language,
+    targetLang: Language
+  ): Promise<string[]> {
+    if (sourceLang === targetLang) {
+      return texts;
+    }
+
+    const memory = await this.memoryFor(sourceLang, targetLang);
+    const results: string[] = [];
+
+    for (const text of texts) {
+      results.push(text ? await this.translateSegments(text, memory, sourceLang, targetLang) : text);
+    }
+
+    return results;
+  }
+
+  /**
+   * Returns English as the default detected language
+   */
+  async detectLanguage(text: string): Promise<Language> {
+    return 'en';
+  }
+
+  /**
+   * Drop the loaded memories, so the next translation reloads them
+   */
+  reset(): void {
+    this.memories.clear();
+  }
+
+  private async translateSegments(
+    text: string,
+    memory: Memory,
+    sourceLang: Language,
+    targetLang: Language
+  ): Promise<string> {
+    const whole = await this.recall(text, memory, sourceLang, targetLang);
+    if (whole) return whole;
+
+    const parts = splitSegments(text);
+    for (let i = 0; i < parts.length; i += 2) {
+      if (!parts[i].trim()) continue;
+
+      const leading = parts[i].match(/^\s*/)![0];
+      const trailing = parts[i].match(/\s*$/)![0];
+      const recalled = await this.recall(parts[i], memory, sourceLang, targetLang) ||
+        fuzzyMatch(parts[i], memory);
+
+      parts[i] = recalled
+        ? `${leading}${recalled}${trailing}`
+        : this.applyTemplates(parts[i], sourceLang, targetLang);
+    }
+
+    return parts.join('');
+  }
+
+  /**
+   * An exact stored or cached translation of a text
+   */
+  private async recall(
+    text: string,
+    memory: Memory,
+    sourceLang: Language,
+    targetLang: Language
+  ): Promise<string | null> {
+    const stored = memory.exact.get(segmentKey(text));
+    if (stored) return stored;
+
+    const { cache } = this.config;
+    if (cache && cache.isConnected()) {
+      return cache.get(text.trim(), sourceLang, targetLang);
+    }
+    return null;
+  }
+
+  private applyTemplates(segment: string, sourceLang: Language, targetLang: Language): string {
+    const key = `${sourceLang}:${targetLang}`;
+    if (!this.phraseTables.has(key)) {
+      this.phraseTables.set(key, phraseTable(sourceLang, targetLang));
+    }
+
+    const table = this.phraseTables.get(key)!;
+    const { glossary } = this.config;
+    return glossary
+      ? glossary.apply(segment, targetLang, part => applyPhrases(part, table))
+      : applyPhrases(segment, table);
+  }
+
+  /**
+   * The memory of a language pair, loaded on first use and after refreshMs
+   */
+  private async memoryFor(sourceLang: Language, targetLang: Language): Promise<Memory> {
+    const key = `${sourceLang}:${targetLang}`;
+    const cached = this.memories.get(key);
+    if (cached && Date.now() - cached.loadedAt < this.refreshMs) {
+      return cached;
+    }
+
+    let pairs: MemoryPair[] = [];
+    if (this.config.source) {
+      try {
+        pairs = await this.config.source.loadPairs(sourceLang, targetLang);
+      } catch (error: any) {
+        console.error('Translation memory load error:', error.message);
+        if (cached) return cached;
+      }
+    }
+
+    const memory = buildMemory(pairs);
+    this.memories.set(key, memory);
+    return memory;
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Type declarations for the translation memory source (services/translation/translation-memory.js),
+ * so it can be exercised from the TypeScript test suite.
+ */
+
+import { Language, MemoryPair, TranslationMemorySource as MemorySource } from './types';
+
+export interface MemoryRow {
+  name: string;
+  description?: string | null;
+  product: { name: string; description?: string | null };
+}
+
+export const MEMORY_CONFIG: { maxRows: number };
+
+export function memoryPairs(rows: MemoryRow[], reversed?: boolean): MemoryPair[];
+
+export class TranslationMemorySource implements MemorySource {
+  constructor(prismaClient?: any, config?: Partial<typeof MEMORY_CONFIG>);
+  loadPairs(sourceLang: Language, targetLang: Language): Promise<MemoryPair[]>;
+}
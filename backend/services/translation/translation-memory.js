@@ -0,0 +1,79 @@
+const prisma = require('../../db/client');
+
+/**
+ * Translation Memory Source
+ *
+ * Approved translations for the translation memory provider
+ * (providers/memory.ts): product names and descriptions paired with their
+ * stored translations. Manual translations and DeepL's (the ones already
+ * served for ?lang=) count as approved; `source` copies are not translations.
+ * Both directions are used: the Italian translation of an English product
+ * also teaches it → en.
+ */
+
+const MEMORY_CONFIG = {
+  maxRows: 5000 // Most recent translations per direction
+};
+
+/**
+ * Name and description pairs of translation rows
+ *
+ * @param {Array} rows - Translations with their product
+ * @param {boolean} reversed - Pair the translation (source) with the original (target)
+ */
+function memoryPairs(rows, reversed = false) {
+  return rows.flatMap(({ name, description, product }) => {
+    const pairs = [[product.name, name], [product.description, description]]
+      .filter(([original, translated]) => original && translated);
+
+    return pairs.map(([original, translated]) => (reversed
+      ? { source: translated, target: original }
+      : { source: original, target: translated }));
+  });
+}
+
+class TranslationMemorySource {
+  constructor(prismaClient = prisma, config = {}) {
+    this.prisma = prismaClient.default || prismaClient;
+    this.config = { ...MEMORY_CONFIG, ...config };
+  }
+
+  /**
+   * Approved translations from sourceLang to targetLang, manual ones first
+   *
+   * @returns {Array} - [{ source, target }]
+   */
+  async loadPairs(sourceLang, targetLang) {
+    // translatedBy is null on older manual rows
+    const approved = language => ({
+      language,
+      OR: [{ translatedBy: null }, { translatedBy: { not: 'source' } }]
+    });
+    const query = {
+      select: {
+        name: true,
+        description: true,
+        product: { select: { name: true, description: true } }
+      },
+      orderBy: [{ isAutoTranslated: 'asc' }, { updatedAt: 'desc' }],
+      take: this.config.maxRows
+    };
+
+    const forward = await this.prisma.translation.findMany({
+      where: { ...approved(targetLang), product: { sourceLanguage: sourceLang } },
+      ...query
+    });
+    const backward = await this.prisma.translation.findMany({
+      where: { ...approved(sourceLang), product: { sourceLanguage: targetLang } },
+      ...query
+    });
+
+    return [...memoryPairs(forward), ...memoryPairs(backward, true)];
+  }
+}
+
+module.exports = {
+  MEMORY_CONFIG,
+  memoryPairs,
+  TranslationMemorySource
+};
@@ -12,43 +12,54 @@ import {
   TranslatedProduct,
 } from './types';
 import { DeepLProvider } from './providers/deepl';
-import { FallbackProvider } from './providers/fallback';
+import { TranslationMemoryProvider } from './providers/memory';
 import { TranslationCache } from './cache';
+import { Glossary, GlossaryEntry } from './glossary';
 
 export class Translator implements TranslationService {
   private provider: TranslationProvider;
   private fallbackProvider: TranslationProvider;
   private cache: TranslationCache;
-  private options: Required<TranslationOptions>;
+  private glossary: Glossary;
+  private options: Required<Omit<TranslationOptions, 'glossary' | 'memorySource'>>;
 
   constructor(
     deeplApiKey?: string,
     redisConfig?: any,
     options?: TranslationOptions
   ) {
+    // Both providers apply the same glossary
+    this.glossary = options?.glossary || new Glossary();
+
+    // Initialize cache
+    this.cache = new TranslationCache(redisConfig);
+
+    // Offline translations from stored translations, the cache and phrase templates
+    this.fallbackProvider = new TranslationMemoryProvider({
+      source: options?.memorySource,
+      cache: this.cache,
+      glossary: this.glossary,
+    });
+
     // Initialize providers
     if (deeplApiKey) {
       this.provider = new DeepLProvider({
         apiKey: deeplApiKey,
         freeApi: true,
         timeout: 10000,
+        glossary: this.glossary,
       });
     } else {
-      console.warn('No DeepL API key provided, using fallback provider');
-      this.provider = new FallbackProvider();
+      console.warn('No DeepL API key provided, using translation memory provider');
+      this.provider = this.fallbackProvider;
     }
 
-    this.fallbackProvider = new FallbackProvider();
-
-    // Initialize cache
-    this.cache = new TranslationCache(redisConfig);
-
     // Set default options
     this.options = {
       fallbackLanguage: 'en',
       cacheEnabled: true,
       cacheTTL: 24 * 60 * 60, // 24 hours
-      provider: deeplApiKey ? 'deepl' : 'fallback',
+      provider: deeplApiKey ? 'deepl' : 'memory',
       ...options,
     };
   }
@@ -71,12 +82,17 @@ export class Translator implements TranslationService {
 
   /**
    * Translate a product to target language
+   *
+   * The source language is, in order: `sourceLang`, the product's stored
+   * `sourceLanguage`, or detected from its name and description.
    */
   async translateProduct(
     product: Product,
-    targetLang: Language
+    targetLang: Language,
+    sourceLang?: Language
   ): Promise<TranslatedProduct> {
-    const sourceLang = 'en'; // Assume products are in English by default
+    sourceLang = sourceLang || product.sourceLanguage ||
+      await this.detectLanguage([product.name, product.description].filter(Boolean).join('. '));
 
     if (sourceLang === targetLang) {
       return {
@@ -123,6 +139,18 @@ export class Translator implements TranslationService {
     }
   }
 
+  /**
+   * Detect the language of a text, defaulting to the fallback language
+   */
+  async detectLanguage(text: string): Promise<Language> {
+    try {
+      return await this.provider.detectLanguage(text);
+    } catch (error: any) {
+      console.error('Language detection error:', error.message);
+      return this.options.fallbackLanguage;
+    }
+  }
+
   /**
    * Translate UI strings (from locale files)
    */
@@ -296,6 +324,25 @@ export class Translator implements TranslationService {
     await this.cache.clear();
   }
 
+  /**
+   * Get the glossary applied by the providers
+   */
+  getGlossary(): Glossary {
+    return this.glossary;
+  }
+
+  /**
+   * Replace the stored glossary terms; cached translations made with the old
+   * terms are dropped
+   */
+  async setGlossaryEntries(entries: GlossaryEntry[]): Promise<void> {
+    this.glossary.load(entries);
+
+    if (this.cache.isConnected()) {
+      await this.cache.clear();
+    }
+  }
+
   /**
    * Get provider name
    */
@@ -3,6 +3,8 @@
  * Defines interfaces for the i18n infrastructure
  */
 
+import type { Glossary } from './glossary';
+
 export type Language = 'en' | 'it' | 'es' | 'fr' | 'de' | 'pt';
 
 export interface TranslatedProduct {
@@ -25,6 +27,7 @@ export interface Product {
   image: string;
   url: string;
   source: string;
+  sourceLanguage?: Language | null; // Detected at translation time when missing
 }
 
 export interface TranslationCache {
@@ -40,7 +43,8 @@ export interface TranslationCache {
 export interface TranslationService {
   translateProduct(
     product: Product,
-    targetLang: Language
+    targetLang: Language,
+    sourceLang?: Language
   ): Promise<TranslatedProduct>;
 
   translateUI(
@@ -77,13 +81,31 @@ export interface TranslationOptions {
   fallbackLanguage?: Language;
   cacheEnabled?: boolean;
   cacheTTL?: number; // in seconds
-  provider?: 'deepl' | 'fallback';
+  provider?: 'deepl' | 'memory' | 'fallback';
+  glossary?: Glossary; // Do-not-translate rules and term mappings (default: built-in model names and sizes)
+  memorySource?: TranslationMemorySource; // Stored translations reused offline (default: none)
+}
+
+/**
+ * A source text and its approved translation
+ */
+export interface MemoryPair {
+  source: string;
+  target: string;
+}
+
+/**
+ * Stored translations for the translation memory provider (see translation-memory.js)
+ */
+export interface TranslationMemorySource {
+  loadPairs(sourceLang: Language, targetLang: Language): Promise<MemoryPair[]>;
 }
 
 export interface DeepLConfig {
   apiKey: string;
   freeApi?: boolean;
   timeout?: number;
+  glossary?: Glossary;
 }
 
 export interface RedisConfig {
@@ -0,0 +1,183 @@
+const prisma = require('../../db/client');
+const { toDeal } = require('../deals/deal-filters');
+
+/**
+ * Saved Deals Service
+ *
+ * Per-user wishlist. Saving a deal also records a "favorite" user interaction
+ * and bumps the product's popularity score, like the other interaction types;
+ * removing it takes the bump back, so each user counts once per product.
+ */
+
+const MAX_MERGE_IDS = 500;         // Upper bound for one localStorage merge
+const FAVORITE_POPULARITY = 10;    // Same weight as recordInteraction('favorite')
+
+class SavedDealsService {
+  constructor(prismaClient = prisma) {
+    this.prisma = prismaClient.default || prismaClient;
+  }
+
+  /**
+   * Saved deals of a user, most recently saved first
+   *
+   * @returns {Array} - Deals (see toDeal) with `savedAt`
+   */
+  async list(userId) {
+    const saved = await this.prisma.savedDeal.findMany({
+      where: { userId },
+      include: { product: true },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return saved.map(entry => ({
+      ...toDeal(entry.product),
+      isActive: entry.product.isActive,
+      savedAt: entry.createdAt
+    }));
+  }
+
+  /**
+   * Ids of the products a user saved
+   */
+  async getSavedIds(userId) {
+    const saved = await this.prisma.savedDeal.findMany({
+      where: { userId },
+      select: { productId: true },
+      orderBy: { createdAt: 'desc' }
+    });
+    return saved.map(entry => entry.productId);
+  }
+
+  /**
+   * Save a deal (idempotent)
+   *
+   * @returns {Object|null} - { productId, savedAt, created }, or null if the product does not exist
+   */
+  async save(userId, productId) {
+    const product = await this.prisma.product.findUnique({
+      where: { id: productId },
+      select: { id: true }
+    });
+    if (!product) return null;
+
+    const existing = await this.findSaved(userId, productId);
+    if (existing) {
+      return { productId, savedAt: existing.createdAt, created: false };
+    }
+
+    try {
+      const [saved] = await this.prisma.$transaction([
+        this.prisma.savedDeal.create({ data: { userId, productId } }),
+        this.prisma.userInteraction.create({
+          data: { productId, interactionType: 'favorite' }
+        }),
+        this.prisma.product.update({
+          where: { id: productId },
+          data: { popularityScore: { increment: FAVORITE_POPULARITY } }
+        })
+      ]);
+
+      return { productId, savedAt: saved.createdAt, created: true };
+    } catch (error) {
+      // A concurrent save of the same deal won (unique userId + productId)
+      const saved = error.code === 'P2002' && await this.findSaved(userId, productId);
+      if (saved) {
+        return { productId, savedAt: saved.createdAt, created: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a saved deal, taking back its popularity bump
+   *
+   * @returns {boolean} - Whether the deal was saved
+   */
+  async remove(userId, productId) {
+    return this.prisma.$transaction(async tx => {
+      const { count } = await tx.savedDeal.deleteMany({
+        where: { userId, productId }
+      });
+
+      if (count > 0) {
+        await tx.product.updateMany({
+          where: { id: productId },
+          data: { popularityScore: { decrement: FAVORITE_POPULARITY } }
+        });
+      }
+      return count > 0;
+    });
+  }
+
+  /**
+   * A user's saved entry for a product, or null
+   */
+  async findSaved(userId, productId) {
+    return this.prisma.savedDeal.findUnique({
+      where: { userId_productId: { userId, productId } }
+    });
+  }
+
+  /**
+   * Merge favorites collected while signed out into the account.
+   * Unknown product ids and deals already saved are skipped.
+   *
+   * @param {string} userId
+   * @param {Array<string>} productIds
+   * @returns {Object} - { added, savedIds }
+   */
+  async merge(userId, productIds = []) {
+    const requested = [...new Set(productIds.filter(id => typeof id === 'string' && id))]
+      .slice(0, MAX_MERGE_IDS);
+
+    let added = [];
+
+    if (requested.length > 0) {
+      const products = await this.prisma.product.findMany({
+        where: { id: { in: requested } },
+        select: { id: true }
+      });
+
+      // Only the deals this merge actually saved count, not those saved meanwhile
+      added = await this.prisma.$transaction(async tx => {
+        const created = await tx.savedDeal.createManyAndReturn({
+          data: products.map(product => ({ userId, productId: product.id })),
+          skipDuplicates: true,
+          select: { productId: true }
+        });
+        const ids = created.map(entry => entry.productId);
+
+        if (ids.length > 0) {
+          await tx.userInteraction.createMany({
+            data: ids.map(productId => ({ productId, interactionType: 'favorite' }))
+          });
+          await tx.product.updateMany({
+            where: { id: { in: ids } },
+            data: { popularityScore: { increment: FAVORITE_POPULARITY } }
+          });
+        }
+        return ids;
+      });
+    }
+
+    return { added: added.length, savedIds: await this.getSavedIds(userId) };
+  }
+}
+
+// Singleton instance
+let serviceInstance = null;
+
+/**
+ * Get or create saved deals service instance
+ */
+function getSavedDealsService() {
+  if (!serviceInstance) {
+    serviceInstance = new SavedDealsService();
+  }
+  return serviceInstance;
+}
+
+module.exports = {
+  SavedDealsService,
+  getSavedDealsService
+};
@@ -0,0 +1,254 @@
+import { verifyBatchWithAI } from '../ai-verifier';
+import { parseBatchResponse } from '../ai/response-parser';
+import { ClaudeClient } from '../ai/claude-client';
+import { CostMonitor } from '../../scraping/cost-monitor';
+import { VerifiableProduct } from '../types';
+
+function product(id: string, overrides: Partial<VerifiableProduct> = {}): VerifiableProduct {
+  return {
+    id,
+    name: `Cotton shirt ${id}`,
+    brand: 'Zara',
+    category: 'clothing',
+    originalPrice: 40,
+    salePrice: 20,
+    discountPercentage: 50,
+    currency: '€',
+    productUrl: `https://www.zara.com/${id}`,
+    imageUrl: `https://static.zara.net/${id}.jpg`,
+    source: 'zara',
+    confidenceScore: 80,
+    ...overrides
+  } as VerifiableProduct;
+}
+
+function answer(productIndex: number, overrides: Record<string, any> = {}) {
+  return {
+    productIndex,
+    brandCorrect: true,
+    brandCorrectedName: null,
+    categoryAccurate: true,
+    suggestedCategory: null,
+    discountRealistic: true,
+    redFlags: [],
+    confidenceScore: 90,
+    reasoning: 'Looks legitimate',
+    ...overrides
+  };
+}
+
+/**
+ * Answers prompts from a script; each request costs `cost`
+ */
+class FakeClaude {
+  prompts: string[] = [];
+  private totalCost = 0;
+
+  constructor(private replies: string[], private cost = 0.003) {}
+
+  async sendMessage(prompt: string) {
+    this.prompts.push(prompt);
+    const text = this.replies.shift();
+    if (text === undefined) throw new Error('Claude API error: no reply scripted');
+
+    this.totalCost += this.cost;
+    return {
+      id: 'msg',
+      type: 'message',
+      role: 'assistant',
+      content: [{ type: 'text', text }],
+      model: 'claude-3-haiku-20240307',
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 900, output_tokens: 300 }
+    };
+  }
+
+  extractTextContent(response: any) {
+    return response.content.map((c: any) => c.text).join('\n');
+  }
+
+  parseJsonResponse(response: any) {
+    return JSON.parse(this.extractTextContent(response));
+  }
+
+  getUsageStats() {
+    return { totalCalls: this.prompts.length, successfulCalls: 0, failedCalls: 0, totalCost: this.totalCost, averageResponseTime: 0 };
+  }
+
+  getModelInfo() {
+    return { model: 'claude-3-haiku-20240307', maxTokens: 500, temperature: 0.1 };
+  }
+}
+
+function fakeMonitor(stopped = false) {
+  return {
+    calls: [] as any[],
+    isStopped: () => stopped,
+    async trackCall(callInfo: any) {
+      this.calls.push(callInfo);
+      return { callCost: callInfo.cost, dailyTotal: 0, remaining: 1 };
+    }
+  };
+}
+
+function verify(products: VerifiableProduct[], claude: FakeClaude, monitor = fakeMonitor(), batchSize = 5) {
+  return verifyBatchWithAI(products, {
+    client: claude as unknown as ClaudeClient,
+    costMonitor: monitor as unknown as CostMonitor,
+    batchSize
+  });
+}
+
+describe('parseBatchResponse', () => {
+  it('matches items to products by productIndex', () => {
+    const text = `Here you go: ${JSON.stringify([answer(2, { confidenceScore: 70 }), answer(1)])}`;
+    const [first, second] = parseBatchResponse(text, 2);
+
+    expect(first!.confidenceScore).toBe(90);
+    expect(second!.confidenceScore).toBe(70);
+  });
+
+  it('leaves invalid, out-of-range and ambiguous items empty', () => {
+    const text = JSON.stringify([
+      answer(1, { confidenceScore: 'high' }),
+      answer(2), answer(2, { redFlags: ['Fake'] }),
+      answer(3),
+      answer(7)
+    ]);
+
+    expect(parseBatchResponse(text, 3).map(item => item !== null)).toEqual([false, false, true]);
+  });
+
+  it('rejects a response without a JSON array', () => {
+    expect(() => parseBatchResponse('{"brandCorrect": true}', 1)).toThrow('No JSON array');
+  });
+});
+
+describe('verifyBatchWithAI', () => {
+  const env = process.env.AI_VERIFICATION_ENABLED;
+  let log: jest.SpyInstance;
+  let error: jest.SpyInstance;
+
+  beforeEach(() => {
+    delete process.env.AI_VERIFICATION_ENABLED;
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env.AI_VERIFICATION_ENABLED = env;
+    log.mockRestore();
+    error.mockRestore();
+  });
+
+  it('verifies several products with one request and splits its cost', async () => {
+    const claude = new FakeClaude([JSON.stringify([
+      answer(1),
+      answer(2, { brandCorrect: false, brandCorrectedName: 'ZARA' }),
+      answer(3, { discountRealistic: false, redFlags: ['Discount too good to be true'] })
+    ])], 0.006);
+    const monitor = fakeMonitor();
+
+    const results = await verify([product('a'), product('b'), product('c')], claude, monitor);
+
+    expect(claude.prompts).toHaveLength(1);
+    expect(claude.prompts[0]).toContain('Verify these 3 fashion products');
+    expect(results.map(r => r.brandVerification.correct)).toEqual([true, false, true]);
+    expect(results[1].brandVerification.correctedBrand).toBe('ZARA');
+    expect(results[2].passed).toBe(false);
+    for (const result of results) {
+      expect(result.metadata!.cost).toBeCloseTo(0.002);
+      expect(result.metadata!.batchSize).toBe(3);
+    }
+    expect(monitor.calls).toEqual([
+      expect.objectContaining({ scraper: 'verification', method: 'batch', products: 3, cost: 0.006 })
+    ]);
+  });
+
+  it('retries only the products without a valid answer', async () => {
+    const single = JSON.stringify({ ...answer(0), confidenceScore: 80 });
+    const claude = new FakeClaude([
+      JSON.stringify([answer(1), answer(2, { redFlags: 'none' })]),
+      single
+    ], 0.004);
+    const monitor = fakeMonitor();
+
+    const results = await verify([product('a'), product('b'), product('c')], claude, monitor);
+
+    expect(claude.prompts).toHaveLength(3);
+    expect(claude.prompts[1]).toContain('Cotton shirt b');
+    expect(results[0].metadata!.fallback).toBeUndefined();
+    expect(results[1].aiConfidence).toBeGreaterThan(0);
+    // Its share of the batch plus its own request
+    expect(results[1].metadata!.cost).toBeCloseTo(0.004 / 3 + 0.004);
+    // No reply left for the third retry: falls back to the local rules
+    expect(results[2].metadata!.fallback).toBe(true);
+    expect(monitor.calls.map(call => call.method)).toEqual(['batch', 'text']);
+  });
+
+  it('retries every product when the batch answer cannot be parsed', async () => {
+    const claude = new FakeClaude(['Sorry, I cannot help with that.', JSON.stringify(answer(0)), JSON.stringify(answer(0))]);
+
+    const results = await verify([product('a'), product('b')], claude);
+
+    expect(claude.prompts).toHaveLength(3);
+    expect(results.every(r => !r.metadata!.fallback)).toBe(true);
+  });
+
+  it('sends one request per batchSize products', async () => {
+    const claude = new FakeClaude([
+      JSON.stringify([answer(1), answer(2)]),
+      // A batch of one is an ordinary request
+      JSON.stringify(answer(0))
+    ]);
+
+    const results = await verify([product('a'), product('b'), product('c')], claude, fakeMonitor(), 2);
+
+    expect(claude.prompts).toHaveLength(2);
+    expect(claude.prompts[1]).toContain('Cotton shirt c');
+    expect(results).toHaveLength(3);
+  });
+
+  it('uses AI_BATCH_SIZE in place of a batchSize that is not a positive integer', async () => {
+    for (const batchSize of [0, -2, 1.5, NaN]) {
+      const claude = new FakeClaude([JSON.stringify([answer(1), answer(2), answer(3)])]);
+
+      const results = await verify([product('a'), product('b'), product('c')], claude, fakeMonitor(), batchSize);
+
+      expect(claude.prompts).toHaveLength(1);
+      expect(results.every(r => !r.metadata!.fallback)).toBe(true);
+    }
+  });
+
+  it('reads AI_VERIFICATION_BATCH_SIZE, falling back to 5', () => {
+    const batchSizeFor = (value: string | undefined) => {
+      const previous = process.env.AI_VERIFICATION_BATCH_SIZE;
+      if (value === undefined) delete process.env.AI_VERIFICATION_BATCH_SIZE;
+      else process.env.AI_VERIFICATION_BATCH_SIZE = value;
+
+      let batchSize = 0;
+      jest.isolateModules(() => {
+        batchSize = require('../ai-verifier').AI_BATCH_SIZE;
+      });
+
+      if (previous === undefined) delete process.env.AI_VERIFICATION_BATCH_SIZE;
+      else process.env.AI_VERIFICATION_BATCH_SIZE = previous;
+      return batchSize;
+    };
+
+    expect(batchSizeFor('3')).toBe(3);
+    expect(batchSizeFor(undefined)).toBe(5);
+    expect(batchSizeFor('ten')).toBe(5);
+    expect(batchSizeFor('0')).toBe(5);
+    expect(batchSizeFor('2.5')).toBe(5);
+  });
+
+  it('uses the local rules once the daily cost limit is reached', async () => {
+    const claude = new FakeClaude([]);
+
+    const results = await verify([product('a'), product('b')], claude, fakeMonitor(true));
+
+    expect(claude.prompts).toHaveLength(0);
+    expect(results.every(r => r.metadata!.fallback)).toBe(true);
+  });
+});
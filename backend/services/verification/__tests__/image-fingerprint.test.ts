@@ -0,0 +1,189 @@
+const mockDb = {
+  products: [] as Array<{ id: string; canonicalProductId: string | null }>,
+  images: [] as any[],
+  placeholders: [] as any[]
+};
+
+function matches(row: any, where: any = {}): boolean {
+  return Object.entries(where).every(([key, condition]: [string, any]) => {
+    if (condition && typeof condition === 'object') {
+      if ('not' in condition) return row[key] !== condition.not;
+      if ('in' in condition) return condition.in.includes(row[key]);
+    }
+    return row[key] === condition;
+  });
+}
+
+jest.mock('../../../db/client', () => ({
+  __esModule: true,
+  default: {
+    product: {
+      findUnique: async ({ where }: any) => mockDb.products.find(p => p.id === where.id) || null
+    },
+    productImage: {
+      findMany: async ({ where }: any) => mockDb.images
+        .filter(row => matches(row, where))
+        .map(row => ({ ...row, product: mockDb.products.find(p => p.id === row.productId) })),
+      findFirst: async ({ where }: any) => mockDb.images.find(row => matches(row, where)) || null,
+      create: async ({ data }: any) => {
+        const row = { id: `img-${mockDb.images.length + 1}`, ...data };
+        mockDb.images.push(row);
+        return row;
+      },
+      update: async ({ where, data }: any) => Object.assign(mockDb.images.find(row => row.id === where.id), data),
+      updateMany: async ({ where, data }: any) => {
+        const rows = mockDb.images.filter(row => matches(row, where));
+        rows.forEach(row => Object.assign(row, data));
+        return { count: rows.length };
+      }
+    },
+    placeholderImageHash: {
+      findMany: async () => mockDb.placeholders.map(p => ({ ...p })),
+      findUnique: async ({ where }: any) => mockDb.placeholders.find(p => p.hash === where.hash) || null,
+      create: async ({ data }: any) => {
+        const row = { id: `ph-${mockDb.placeholders.length + 1}`, ...data };
+        mockDb.placeholders.push(row);
+        return row;
+      }
+    }
+  }
+}));
+
+import {
+  checkImageFingerprint,
+  withImageFingerprint,
+  addPlaceholder,
+  PlaceholderValidationError
+} from '../image-fingerprint';
+import { VerifiableProduct, QualityResult } from '../types';
+
+const HASH = 'a1b2c3d4e5f60718';
+
+function product(id: string, imageUrl = `https://cdn.example.com/${id}.jpg`): VerifiableProduct {
+  return { id, name: `Product ${id}`, brand: 'Vans', imageUrl } as VerifiableProduct;
+}
+
+function hashedAs(perceptualHash?: string) {
+  return async () => ({ valid: true, accessible: true, dimensions: { width: 800, height: 800 }, perceptualHash });
+}
+
+beforeEach(() => {
+  mockDb.products = [
+    { id: 'a', canonicalProductId: 'old-skool' },
+    { id: 'b', canonicalProductId: 'old-skool' },
+    { id: 'c', canonicalProductId: null }
+  ];
+  mockDb.images = [];
+  mockDb.placeholders = [];
+});
+
+describe('checkImageFingerprint', () => {
+  it('records the hash of an image nobody else uses as validated', async () => {
+    const result = await checkImageFingerprint(product('a'), { validate: hashedAs(HASH) });
+
+    expect(result).toEqual({ hash: HASH, placeholder: null, sharedWith: [], flagged: false, issues: [] });
+    expect(mockDb.images).toEqual([expect.objectContaining({
+      productId: 'a',
+      imageUrl: 'https://cdn.example.com/a.jpg',
+      perceptualHash: HASH,
+      imageStatus: 'validated',
+      invalidReason: null,
+      width: 800
+    })]);
+  });
+
+  it('flags an image close to a blocklisted placeholder', async () => {
+    mockDb.placeholders.push({ id: 'ph-1', hash: 'a1b2c3d4e5f60719', label: 'Image coming soon' });
+
+    const result = await checkImageFingerprint(product('a'), { validate: hashedAs(HASH) });
+
+    expect(result!.flagged).toBe(true);
+    expect(result!.placeholder).toBe('Image coming soon');
+    expect(result!.issues[0]).toMatchObject({ severity: 'critical', field: 'imageUrl' });
+    expect(mockDb.images[0]).toMatchObject({ imageStatus: 'invalid', invalidReason: 'placeholder' });
+  });
+
+  it('flags an image shared with an unrelated product, on both products', async () => {
+    mockDb.images.push({ id: 'img-c', productId: 'c', imageUrl: 'https://cdn.example.com/c.jpg', perceptualHash: HASH, imageStatus: 'validated' });
+
+    const result = await checkImageFingerprint(product('a'), { validate: hashedAs(HASH) });
+
+    expect(result!.sharedWith).toEqual(['c']);
+    expect(result!.issues[0].message).toBe('Image is also used by 1 unrelated product');
+    expect(mockDb.images.map(row => [row.productId, row.imageStatus, row.invalidReason])).toEqual([
+      ['c', 'invalid', 'shared'],
+      ['a', 'invalid', 'shared']
+    ]);
+  });
+
+  it('lets listings of the same canonical product share an image', async () => {
+    mockDb.images.push({ id: 'img-b', productId: 'b', imageUrl: 'https://cdn.example.com/b.jpg', perceptualHash: HASH, imageStatus: 'validated' });
+
+    const result = await checkImageFingerprint(product('a'), { validate: hashedAs(HASH) });
+
+    expect(result!.flagged).toBe(false);
+    expect(mockDb.images[0].imageStatus).toBe('validated');
+  });
+
+  it('updates the existing row of the image and writes nothing when not recording', async () => {
+    mockDb.images.push({ id: 'img-a', productId: 'a', imageUrl: 'https://cdn.example.com/a.jpg', imageStatus: 'pending' });
+
+    await checkImageFingerprint(product('a'), { validate: hashedAs(HASH), record: false });
+    expect(mockDb.images[0].imageStatus).toBe('pending');
+
+    await checkImageFingerprint(product('a'), { validate: hashedAs(HASH) });
+    expect(mockDb.images).toHaveLength(1);
+    expect(mockDb.images[0]).toMatchObject({ imageStatus: 'validated', perceptualHash: HASH });
+  });
+
+  it('gives no verdict on images it cannot hash', async () => {
+    expect(await checkImageFingerprint(product('a'), { validate: hashedAs(undefined) })).toBeUndefined();
+    expect(await checkImageFingerprint({ ...product('a'), imageUrl: null })).toBeUndefined();
+    expect(mockDb.images).toHaveLength(0);
+  });
+});
+
+describe('withImageFingerprint', () => {
+  it('adds the issues and no longer counts a flagged image as valid', () => {
+    const quality = { issues: [], metadata: { hasValidImage: true } } as unknown as QualityResult;
+    const issue = { severity: 'warning' as const, field: 'imageUrl', message: 'shared' };
+
+    const result = withImageFingerprint(quality, { hash: HASH, placeholder: null, sharedWith: ['c'], flagged: true, issues: [issue] });
+
+    expect(result.issues).toEqual([issue]);
+    expect(result.metadata).toMatchObject({ hasValidImage: false, imageHash: HASH });
+    expect(result.imageFingerprint!.flagged).toBe(true);
+  });
+});
+
+describe('addPlaceholder', () => {
+  it('blocklists a hash and flags the images that have it', async () => {
+    mockDb.images.push({ id: 'img-c', productId: 'c', perceptualHash: HASH, imageStatus: 'validated' });
+
+    const result = await addPlaceholder({ label: ' Logo ', hash: HASH.toUpperCase() });
+
+    expect(result.placeholder).toMatchObject({ hash: HASH, label: 'Logo', sourceUrl: null });
+    expect(result.flaggedImages).toBe(1);
+    expect(mockDb.images[0]).toMatchObject({ imageStatus: 'invalid', invalidReason: 'placeholder' });
+  });
+
+  it('hashes an example image', async () => {
+    const result = await addPlaceholder(
+      { label: 'Coming soon', imageUrl: 'https://cdn.example.com/soon.png' },
+      hashedAs(HASH)
+    );
+
+    expect(result.placeholder).toMatchObject({ hash: HASH, sourceUrl: 'https://cdn.example.com/soon.png' });
+  });
+
+  it('rejects invalid and duplicate placeholders', async () => {
+    await expect(addPlaceholder({ hash: HASH })).rejects.toThrow('label is required');
+    await expect(addPlaceholder({ label: 'Logo', hash: 'xyz' })).rejects.toThrow('16 hex digits');
+    await expect(addPlaceholder({ label: 'Logo', imageUrl: 'ftp://x' })).rejects.toThrow(PlaceholderValidationError);
+    await expect(addPlaceholder({ label: 'Logo', imageUrl: 'https://x.com/a.png' }, hashedAs(undefined)))
+      .rejects.toThrow('Could not hash the image');
+
+    await addPlaceholder({ label: 'Logo', hash: HASH });
+    await expect(addPlaceholder({ label: 'Logo again', hash: HASH })).rejects.toThrow('already blocklisted as "Logo"');
+  });
+});
@@ -0,0 +1,112 @@
+import sharp from 'sharp';
+import {
+  computePerceptualHash,
+  dHashFromPixels,
+  hammingDistance,
+  isPerceptualHash,
+  findPlaceholder,
+  unrelatedOwners
+} from '../validators/image-hash';
+
+/**
+ * A width x height grayscale image drawn by `shade(x, y)`, encoded as `format`
+ */
+function image(width: number, height: number, shade: (x: number, y: number) => number, format: 'png' | 'jpeg' = 'png') {
+  const pixels = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels[y * width + x] = shade(x, y);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 1 } })[format]().toBuffer();
+}
+
+// A dark stripe on light: a product-ish photo, and a tile with text-like bars
+const photo = (x: number, y: number) => (Math.abs(x - y * 0.7) < 60 ? 40 : 200 + (x % 50));
+const tile = (x: number, y: number) => ((Math.floor(x / 40) + Math.floor(y / 25)) % 2 === 0 ? 230 : 90);
+
+describe('dHashFromPixels', () => {
+  it('sets a bit where a pixel is brighter than its right neighbour', () => {
+    const falling = Array.from({ length: 72 }, (_, i) => 255 - (i % 9) * 10);
+    const rising = Array.from({ length: 72 }, (_, i) => (i % 9) * 10);
+
+    expect(dHashFromPixels(falling)).toBe('ffffffffffffffff');
+    expect(dHashFromPixels(rising)).toBe('0000000000000000');
+  });
+
+  it('rejects a grid of the wrong size', () => {
+    expect(() => dHashFromPixels([1, 2, 3])).toThrow('Expected 72 pixels');
+  });
+});
+
+describe('hammingDistance', () => {
+  it('counts differing bits', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('0000000000000000', '000000000000000f')).toBe(4);
+    expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+  });
+
+  it('rejects values that are not hashes', () => {
+    expect(isPerceptualHash('abc')).toBe(false);
+    expect(() => hammingDistance('abc', '0000000000000000')).toThrow('Not a perceptual hash: abc');
+  });
+});
+
+describe('computePerceptualHash', () => {
+  it('gives resized and re-encoded copies (almost) the same hash', async () => {
+    const original = await computePerceptualHash(await image(400, 300, photo));
+    const copy = await computePerceptualHash(
+      await sharp(await image(400, 300, photo)).resize(160, 120).jpeg({ quality: 60 }).toBuffer()
+    );
+
+    expect(isPerceptualHash(original)).toBe(true);
+    expect(hammingDistance(original, copy)).toBeLessThanOrEqual(4);
+  });
+
+  it('tells different images apart', async () => {
+    const a = await computePerceptualHash(await image(400, 300, photo));
+    const b = await computePerceptualHash(await image(400, 300, tile, 'jpeg'));
+
+    expect(hammingDistance(a, b)).toBeGreaterThan(10);
+  });
+
+  it('fails on data that is not an image', async () => {
+    await expect(computePerceptualHash(Buffer.from('<html>Not found</html>'))).rejects.toThrow();
+  });
+});
+
+describe('findPlaceholder', () => {
+  const placeholders = [
+    { hash: 'ff00ff00ff00ff00', label: 'Coming soon' },
+    { hash: '0f0f0f0f0f0f0f0f', label: 'Retailer logo' }
+  ];
+
+  it('matches the closest placeholder within the distance', () => {
+    expect(findPlaceholder('ff00ff00ff00ff01', placeholders)!.label).toBe('Coming soon');
+    expect(findPlaceholder('0f0f0f0f0f0f0f0e', placeholders, 1)!.label).toBe('Retailer logo');
+  });
+
+  it('matches nothing further away', () => {
+    expect(findPlaceholder('0f0f0f0f0f0f0f00', placeholders, 2)).toBeNull();
+    expect(findPlaceholder('ff00ff00ff00ff00', [])).toBeNull();
+  });
+});
+
+describe('unrelatedOwners', () => {
+  it('lets listings of one canonical product share an image', () => {
+    const product = { id: 'a', canonicalProductId: 'shoe' };
+    const others = [
+      { id: 'b', canonicalProductId: 'shoe' },
+      { id: 'c', canonicalProductId: 'bag' },
+      { id: 'd', canonicalProductId: null },
+      { id: 'a', canonicalProductId: 'shoe' }
+    ];
+
+    expect(unrelatedOwners(product, others).map(o => o.id)).toEqual(['c', 'd']);
+  });
+
+  it('treats every other product as unrelated when the product is not grouped', () => {
+    expect(unrelatedOwners({ id: 'a', canonicalProductId: null }, [{ id: 'b', canonicalProductId: null }]))
+      .toHaveLength(1);
+  });
+});
@@ -0,0 +1,204 @@
+jest.mock('../../../db/client', () => ({ __esModule: true, default: {} }));
+
+import {
+  RuleFacts,
+  RuleSet,
+  RuleSetError,
+  evaluateFacts,
+  getRuleSet,
+  parseRuleSet,
+  registerRule,
+  resolveRuleSet,
+  scoreConfidence,
+  scoreLayer
+} from '../rules/rule-engine';
+import { replayRecords } from '../rules/replay';
+
+/**
+ * Facts of a complete product that passes every check
+ */
+function facts(overrides: Partial<RuleFacts> = {}): RuleFacts {
+  return {
+    product: { source: 'asos', retailer: 'ASOS', brand: 'Levi\'s', hasImage: true, daysSinceUpdate: 40 },
+    completeness: { passed: true, requiredFields: 8, requiredValid: 8, optionalFields: 4, optionalValid: 3 },
+    quality: {
+      passed: true,
+      url: { accessible: true, httpStatus: 200, responseTime: 400, redirected: false },
+      image: { valid: true, accessible: true, flagged: false },
+      price: { valid: true, reasonable: true, checksPassed: 4, checks: 4 },
+      discount: { valid: true, calculated: 40, difference: 0 }
+    },
+    ai: null,
+    criticalIssues: 0,
+    ...overrides
+  };
+}
+
+function withQuality(changes: Partial<NonNullable<RuleFacts['quality']>>): RuleFacts {
+  const base = facts();
+  return { ...base, quality: { ...base.quality!, ...changes } };
+}
+
+/**
+ * The default rule set with changes
+ */
+function ruleSet(changes: Record<string, any> = {}): RuleSet {
+  const base = getRuleSet();
+  return parseRuleSet({
+    version: base.version,
+    description: base.description,
+    thresholds: base.thresholds,
+    rules: base.rules,
+    overrides: base.overrides,
+    ...changes
+  });
+}
+
+describe('default rule set', () => {
+  const rules = resolveRuleSet(undefined, { source: 'asos', retailer: 'ASOS', brand: 'Levi\'s' });
+
+  it('loads from config/verification-rules.json', () => {
+    const loaded = getRuleSet();
+
+    expect(loaded.version).toBe(1);
+    expect(loaded.checksum).toMatch(/^[0-9a-f]{12}$/);
+    expect(rules.overrides).toEqual([]);
+    expect(rules.thresholds).toMatchObject({ runAi: 40, pass: 70, review: 85 });
+  });
+
+  it('scores completeness: 20 for required fields, up to 10 for optional ones', () => {
+    expect(scoreLayer('completeness', facts(), rules).score).toBe(28);
+
+    const missing = facts({
+      completeness: { passed: false, requiredFields: 8, requiredValid: 6, optionalFields: 4, optionalValid: 4 }
+    });
+    expect(scoreLayer('completeness', missing, rules).score).toBe(11);
+  });
+
+  it('scores quality up to 30, with partial credit', () => {
+    expect(scoreLayer('quality', facts(), rules)).toEqual({
+      score: 30,
+      points: { url: 11, image: 5, price: 10, discount: 5 }
+    });
+
+    const broken = withQuality({
+      url: { accessible: false, httpStatus: 404, responseTime: null, redirected: false },
+      image: null,
+      price: { valid: false, reasonable: false, checksPassed: 2, checks: 4 },
+      discount: { valid: false, calculated: 40, difference: 3 }
+    });
+    expect(scoreLayer('quality', broken, rules).points).toEqual({ url: 3, image: 2, price: 4, discount: 2 });
+  });
+
+  it('floors passing products, caps the score and takes penalties off last', () => {
+    const low = scoreConfidence({ completeness: 20, quality: 20, ai: 0 }, facts(), rules);
+    expect(low).toMatchObject({ final: 70, category: 'requires_review', passed: true, requiresReview: true });
+
+    const flagged = withQuality({ image: { valid: true, accessible: true, flagged: true } });
+    const high = scoreConfidence({ completeness: 30, quality: 30, ai: 40 }, flagged, rules);
+    expect(high.penalties).toEqual({ flagged_image: 15 });
+    expect(high.final).toBe(84);
+  });
+
+  it('scores a verification from its facts alone', () => {
+    const result = evaluateFacts(facts({ ai: { score: 36, confidence: 95, redFlags: 0 } }), rules);
+
+    expect(result).toMatchObject({ completeness: 28, quality: 30, ai: 36, final: 99, category: 'high_confidence' });
+    expect(result.bonuses).toEqual({ image_bonus: 5, recently_updated: 0, trusted_source: 0, ai_high_confidence: 3 });
+  });
+});
+
+describe('resolveRuleSet', () => {
+  it('applies the overrides matching the product, case-insensitively and with wildcards', () => {
+    const outlet = resolveRuleSet(undefined, { source: 'nike', retailer: 'Nike Factory Outlet', brand: 'Nike' });
+    expect(outlet.overrides).toEqual(['outlets']);
+    expect(outlet.rules.discount.params).toEqual({ minRealistic: 10, maxRealistic: 95 });
+
+    const luxury = resolveRuleSet(undefined, { source: 'asos', retailer: 'ASOS', brand: 'Saint Laurent' });
+    expect(luxury.overrides).toEqual(['luxury-brands']);
+    expect(luxury.rules.discount.params.maxRealistic).toBe(50);
+    expect(luxury.thresholds.review).toBe(90);
+  });
+
+  it('changes what a discount scores per retailer and brand', () => {
+    const deep = withQuality({ discount: { valid: true, calculated: 70, difference: 0 } });
+
+    const regular = resolveRuleSet(undefined, { brand: 'Zara' });
+    const luxury = resolveRuleSet(undefined, { brand: 'GUCCI' });
+
+    expect(scoreLayer('quality', deep, regular).points.discount).toBe(5);
+    expect(scoreLayer('quality', deep, luxury).points.discount).toBe(3);
+  });
+
+  it('lets a rule set disable rules and change weights', () => {
+    const rules = resolveRuleSet(ruleSet({
+      rules: { trusted_source: { enabled: false }, image: { weight: 8 } }
+    }), { source: 'nike' });
+
+    expect(scoreLayer('bonus', facts({ product: { ...facts().product, source: 'nike' } }), rules).points)
+      .not.toHaveProperty('trusted_source');
+    expect(scoreLayer('quality', facts(), rules).points.image).toBe(8);
+  });
+});
+
+describe('parseRuleSet', () => {
+  it('rejects invalid rule sets', () => {
+    expect(() => ruleSet({ version: '1' })).toThrow('version must be a positive integer');
+    expect(() => ruleSet({ thresholds: { pass: 70 } })).toThrow('thresholds.runAi must be a number');
+    expect(() => ruleSet({ rules: { unknown_rule: {} } })).toThrow(RuleSetError);
+    expect(() => ruleSet({ rules: { url: { weight: -1 } } })).toThrow('rules.url.weight must be a number of 0 or more');
+    expect(() => ruleSet({ overrides: [{ id: 'x', match: {} }] })).toThrow('overrides[0].match needs one of');
+    expect(() => ruleSet({ overrides: [{ id: 'x', match: { country: ['IT'] } }] })).toThrow('is not one of');
+    expect(() => ruleSet({
+      overrides: [{ id: 'x', match: { brand: ['a'] } }, { id: 'x', match: { brand: ['b'] } }]
+    })).toThrow('duplicate override id "x"');
+  });
+
+  it('gives changed rule sets a different checksum', () => {
+    expect(ruleSet().checksum).toBe(getRuleSet().checksum);
+    expect(ruleSet({ version: 2 }).checksum).not.toBe(getRuleSet().checksum);
+  });
+});
+
+describe('replayRecords', () => {
+  const record = (id: string, metadata: any) => ({ id, productId: `p-${id}`, createdAt: new Date(), metadata });
+
+  it('scores logged facts with another rule set and counts what changes', () => {
+    const logged = {
+      rules: { version: 1 },
+      confidence: { final: 87, category: 'acceptable' },
+      passed: true,
+      requiresReview: false,
+      facts: facts({ ai: { score: 24, confidence: 80, redFlags: 0 } })
+    };
+
+    const same = replayRecords([record('a', logged), record('b', { confidence: { final: 80 } })], getRuleSet());
+    expect(same).toMatchObject({ replayed: 1, skipped: 1, changed: { score: 0, passed: 0, requiresReview: 0 } });
+
+    const stricter = replayRecords([record('a', logged)], ruleSet({
+      version: 2,
+      thresholds: { ...getRuleSet().thresholds, review: 90 }
+    }));
+    expect(stricter.ruleSet.version).toBe(2);
+    expect(stricter.changed).toEqual({ score: 0, passed: 0, requiresReview: 1 });
+    expect(stricter.verifications[0].replayed).toMatchObject({ final: 87, requiresReview: true });
+  });
+});
+
+describe('registerRule', () => {
+  it('adds a custom rule with its declared weight, which rule sets can change', () => {
+    registerRule({
+      id: 'known_brand',
+      layer: 'bonus',
+      description: 'Brand is a known one',
+      weight: 2,
+      score: ({ product }) => (product.brand === 'Levi\'s' ? 1 : 0)
+    });
+
+    expect(scoreLayer('bonus', facts(), resolveRuleSet()).points.known_brand).toBe(2);
+    expect(scoreLayer('bonus', facts(), resolveRuleSet(ruleSet({ rules: { known_brand: { weight: 4 } } })))
+      .points.known_brand).toBe(4);
+    expect(() => registerRule({ id: 'url', layer: 'quality', description: '', weight: 1, score: () => 1 }))
+      .toThrow('already registered: url');
+  });
+});
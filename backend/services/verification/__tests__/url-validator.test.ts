@@ -0,0 +1,29 @@
+import { classifyUrlResult } from '../validators/url-validator';
+
+describe('classifyUrlResult', () => {
+  it('treats 404 and 410 as a removed product page', () => {
+    expect(classifyUrlResult({ accessible: false, httpStatus: 404 })).toBe('gone');
+    expect(classifyUrlResult({ accessible: false, httpStatus: 410 })).toBe('gone');
+  });
+
+  it('treats a redirect to the home page as removed', () => {
+    const page = { accessible: true, httpStatus: 200 };
+    expect(classifyUrlResult({ ...page, redirectUrl: 'https://www.zara.com/' })).toBe('gone');
+    expect(classifyUrlResult({ ...page, redirectUrl: 'https://www.zara.com/es/' })).toBe('gone');
+    expect(classifyUrlResult({ ...page, redirectUrl: 'https://www2.hm.com/en_gb' })).toBe('gone');
+  });
+
+  it('keeps pages that answered or moved to another product page', () => {
+    expect(classifyUrlResult({ accessible: true, httpStatus: 200 })).toBe('live');
+    expect(classifyUrlResult({
+      accessible: true,
+      httpStatus: 200,
+      redirectUrl: 'https://www.zara.com/es/en/jacket-p0123.html',
+    })).toBe('live');
+  });
+
+  it('does not decide on failures that may be temporary', () => {
+    expect(classifyUrlResult({ accessible: false, error: 'Request timeout after 5000ms' })).toBe('unknown');
+    expect(classifyUrlResult({ accessible: false, httpStatus: 403 })).toBe('unknown');
+  });
+});
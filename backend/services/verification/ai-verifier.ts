@@ -20,30 +20,61 @@ import {
   BrandVerification,
   CategoryVerification,
   DiscountVerification,
-  DescriptionVerification
+  DescriptionVerification,
+  ClaudeApiResponse,
+  ClaudeVerificationResponse
 } from './types';
 
-import { getClaudeClient } from './ai/claude-client';
-import { generateVerificationPrompt, SYSTEM_PROMPT, formatProductForLog } from './ai/prompts';
+import { ClaudeClient, getClaudeClient } from './ai/claude-client';
+import {
+  generateVerificationPrompt,
+  generateBatchPrompt,
+  SYSTEM_PROMPT,
+  formatProductForLog
+} from './ai/prompts';
 import {
   parseVerificationResponse,
+  parseBatchResponse,
   calculateAiConfidence,
   extractRedFlags,
-  getResponseSummary
+  getResponseSummary,
+  aggregateResponses
 } from './ai/response-parser';
+import { CostMonitor, getCostMonitor } from '../scraping/cost-monitor';
 
 import { validateBrand } from './validators/brand-validator';
 
+const DEFAULT_BATCH_SIZE = 5;
+
+/**
+ * A batch size if it is a positive integer, else the default
+ */
+function validBatchSize(value: unknown, fallback: number): number {
+  return typeof value === 'number' && Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Products per Claude request in batch mode (AI_VERIFICATION_BATCH_SIZE, 1 = one request per product)
+ */
+export const AI_BATCH_SIZE = validBatchSize(Number(process.env.AI_VERIFICATION_BATCH_SIZE), DEFAULT_BATCH_SIZE);
+
+/**
+ * Response tokens allowed per product in a batch request
+ */
+const BATCH_TOKENS_PER_PRODUCT = 200;
+
 /**
  * Verify product using Claude API
  *
  * @param product - Product to verify
  * @param useAi - Whether to use AI (can be disabled to save costs)
+ * @param client - Claude client (default: the shared client)
  * @returns AI verification result
  */
 export async function verifyWithAI(
   product: VerifiableProduct,
-  useAi: boolean = true
+  useAi: boolean = true,
+  client?: ClaudeClient
 ): Promise<AIVerificationResult> {
   // Check if AI verification is enabled
   const aiEnabled = process.env.AI_VERIFICATION_ENABLED !== 'false';
@@ -56,7 +87,7 @@ export async function verifyWithAI(
     console.log(`[AI Verifier] Verifying: ${formatProductForLog(product)}`);
 
     // Get Claude client
-    const claude = getClaudeClient();
+    const claude = client || getClaudeClient();
 
     // Generate prompt
     const prompt = generateVerificationPrompt(product);
@@ -72,83 +103,263 @@ export async function verifyWithAI(
     const parsedResponse = claude.parseJsonResponse(response);
     const verificationData = parseVerificationResponse(parsedResponse);
 
-    // Extract verification components
-    const brandVerification = extractBrandVerification(
-      verificationData,
-      product.brand
-    );
+    const result = buildAiResult(product, verificationData, {
+      responseTime,
+      modelUsed: claude.getModelInfo().model,
+      promptTokens: response.usage.input_tokens,
+      completionTokens: response.usage.output_tokens,
+      totalTokens: response.usage.input_tokens + response.usage.output_tokens
+    });
 
-    const categoryVerification = extractCategoryVerification(
-      verificationData,
-      product.category
-    );
+    console.log(`[AI Verifier] Result: ${getResponseSummary(verificationData)}`);
 
-    const discountVerification = extractDiscountVerification(
-      verificationData
-    );
+    return result;
 
-    const descriptionVerification = extractDescriptionVerification(
-      verificationData
-    );
+  } catch (error: any) {
+    console.error(`[AI Verifier] Error: ${error.message}`);
+
+    // Fallback to rule-based verification on error
+    return createFallbackResult(product, error.message);
+  }
+}
 
-    // Extract red flags
-    const redFlags = extractRedFlags(verificationData);
+/**
+ * Verify several products with one Claude request per batchSize products
+ *
+ * Each item of the batch answer is validated on its own; products without a
+ * usable item are verified again one by one. Every result's metadata carries
+ * the product's share of the batch request's cost (plus its own retry, if
+ * any), and each request is recorded in the cost monitor.
+ *
+ * @param products - Products to verify
+ * @param options - client (default: the shared client), batchSize (default, and in place of
+ *   anything but a positive integer: AI_BATCH_SIZE),
+ *   costMonitor (default: the shared monitor, null to not record)
+ * @returns AI verification results in product order
+ */
+export async function verifyBatchWithAI(
+  products: VerifiableProduct[],
+  options: {
+    client?: ClaudeClient;
+    batchSize?: number;
+    costMonitor?: CostMonitor | null;
+  } = {}
+): Promise<AIVerificationResult[]> {
+  const aiEnabled = process.env.AI_VERIFICATION_ENABLED !== 'false';
+  if (!aiEnabled) {
+    return products.map(product => createFallbackResult(product));
+  }
 
-    // Calculate AI confidence
-    const aiConfidence = calculateAiConfidence(verificationData);
+  const batchSize = validBatchSize(options.batchSize, AI_BATCH_SIZE);
+  const monitor = options.costMonitor === undefined ? getCostMonitor() : options.costMonitor;
 
-    // Generate issues
-    const issues = generateAiIssues(
-      brandVerification,
-      categoryVerification,
-      discountVerification,
-      descriptionVerification,
-      redFlags
-    );
+  let claude: ClaudeClient;
+  try {
+    claude = options.client || getClaudeClient();
+  } catch (error: any) {
+    console.error(`[AI Verifier] Error: ${error.message}`);
+    return products.map(product => createFallbackResult(product, error.message));
+  }
 
-    // Calculate score (0-40 points)
-    const score = calculateAiScore(
-      brandVerification,
-      categoryVerification,
-      discountVerification,
-      descriptionVerification,
-      redFlags.length
-    );
+  const results: AIVerificationResult[] = [];
 
-    // Product passes if no critical red flags
-    const passed = redFlags.length === 0 || !redFlags.some(isCriticalRedFlag);
-
-    const summary = getResponseSummary(verificationData);
-    console.log(`[AI Verifier] Result: ${summary}`);
-
-    return {
-      passed,
-      score,
-      layer: VerificationLayer.AI,
-      brandVerification,
-      categoryVerification,
-      discountVerification,
-      descriptionVerification,
-      redFlags,
-      aiConfidence,
-      reasoning: verificationData.reasoning,
-      issues,
-      metadata: {
-        responseTime,
-        modelUsed: claude.getModelInfo().model,
-        promptTokens: response.usage.input_tokens,
-        completionTokens: response.usage.output_tokens,
-        totalTokens: response.usage.input_tokens + response.usage.output_tokens
-      },
-      timestamp: new Date()
-    };
+  for (let i = 0; i < products.length; i += batchSize) {
+    const chunk = products.slice(i, i + batchSize);
+
+    if (monitor && monitor.isStopped()) {
+      results.push(...chunk.map(product => createFallbackResult(product, 'Daily API cost limit reached')));
+      continue;
+    }
+
+    results.push(...await verifyChunk(chunk, claude, monitor));
+  }
 
+  return results;
+}
+
+/**
+ * One batch request, then individual retries for the products it did not answer
+ */
+async function verifyChunk(
+  products: VerifiableProduct[],
+  claude: ClaudeClient,
+  monitor: CostMonitor | null
+): Promise<AIVerificationResult[]> {
+  if (products.length === 1) {
+    return [await verifyOne(products[0], claude, monitor, 0)];
+  }
+
+  console.log(`[AI Verifier] Verifying batch of ${products.length} products`);
+
+  const costBefore = claude.getUsageStats().totalCost;
+  const startTime = Date.now();
+  let response: ClaudeApiResponse | null = null;
+  let answers: Array<ClaudeVerificationResponse | null>;
+
+  try {
+    response = await claude.sendMessage(generateBatchPrompt(products), SYSTEM_PROMPT, {
+      maxTokens: BATCH_TOKENS_PER_PRODUCT * products.length
+    });
+    answers = parseBatchResponse(claude.extractTextContent(response), products.length);
   } catch (error: any) {
-    console.error(`[AI Verifier] Error: ${error.message}`);
+    console.error(`[AI Verifier] Batch error: ${error.message}`);
+    answers = products.map(() => null);
+  }
 
-    // Fallback to rule-based verification on error
-    return createFallbackResult(product, error.message);
+  const responseTime = Date.now() - startTime;
+  const costShare = Math.max(0, claude.getUsageStats().totalCost - costBefore) / products.length;
+
+  if (response) {
+    await trackCost(monitor, 'batch', response.usage, costShare * products.length, products.length);
+  }
+
+  const answered = answers.filter((answer): answer is ClaudeVerificationResponse => answer !== null);
+  if (answered.length > 0) {
+    const summary = aggregateResponses(answered);
+    console.log(
+      `[AI Verifier] Batch answered ${answered.length}/${products.length}. ` +
+      `Average confidence: ${summary.averageConfidence.toFixed(1)}%, ${summary.totalIssues} red flags`
+    );
+  }
+
+  const results: AIVerificationResult[] = [];
+
+  for (let i = 0; i < products.length; i++) {
+    const answer = answers[i];
+
+    if (!answer || !response) {
+      console.log(`[AI Verifier] No valid batch answer for product ${i + 1}, retrying on its own`);
+      results.push(await verifyOne(products[i], claude, monitor, costShare));
+      continue;
+    }
+
+    results.push(buildAiResult(products[i], answer, {
+      responseTime,
+      modelUsed: claude.getModelInfo().model,
+      batchSize: products.length,
+      promptTokens: Math.round(response.usage.input_tokens / products.length),
+      completionTokens: Math.round(response.usage.output_tokens / products.length),
+      totalTokens: Math.round((response.usage.input_tokens + response.usage.output_tokens) / products.length),
+      cost: costShare
+    }));
   }
+
+  return results;
+}
+
+/**
+ * Verify a product with its own request, adding the request's cost to what it already cost
+ */
+async function verifyOne(
+  product: VerifiableProduct,
+  claude: ClaudeClient,
+  monitor: CostMonitor | null,
+  costSoFar: number
+): Promise<AIVerificationResult> {
+  const costBefore = claude.getUsageStats().totalCost;
+  const result = await verifyWithAI(product, true, claude);
+  const cost = Math.max(0, claude.getUsageStats().totalCost - costBefore);
+
+  const metadata = result.metadata || {};
+  if (!metadata.fallback) {
+    await trackCost(monitor, 'text', {
+      input_tokens: metadata.promptTokens || 0,
+      output_tokens: metadata.completionTokens || 0
+    }, cost, 1);
+  }
+
+  return { ...result, metadata: { ...metadata, cost: costSoFar + cost } };
+}
+
+/**
+ * Record a Claude request in the cost monitor. Reaching the daily limit stops
+ * the following requests (see verifyBatchWithAI), not this one's results.
+ */
+async function trackCost(
+  monitor: CostMonitor | null,
+  method: string,
+  usage: { input_tokens: number; output_tokens: number },
+  cost: number,
+  products: number
+): Promise<void> {
+  if (!monitor) return;
+
+  try {
+    await monitor.trackCall({ scraper: 'verification', method, usage, cost, products });
+  } catch (error: any) {
+    console.warn(`[AI Verifier] Cost monitor: ${error.message}`);
+  }
+}
+
+/**
+ * Build the AI layer result from a parsed Claude answer
+ */
+function buildAiResult(
+  product: VerifiableProduct,
+  verificationData: ClaudeVerificationResponse,
+  metadata: Record<string, any>
+): AIVerificationResult {
+  // Extract verification components
+  const brandVerification = extractBrandVerification(
+    verificationData,
+    product.brand
+  );
+
+  const categoryVerification = extractCategoryVerification(
+    verificationData,
+    product.category
+  );
+
+  const discountVerification = extractDiscountVerification(
+    verificationData
+  );
+
+  const descriptionVerification = extractDescriptionVerification(
+    verificationData
+  );
+
+  // Extract red flags
+  const redFlags = extractRedFlags(verificationData);
+
+  // Calculate AI confidence
+  const aiConfidence = calculateAiConfidence(verificationData);
+
+  // Generate issues
+  const issues = generateAiIssues(
+    brandVerification,
+    categoryVerification,
+    discountVerification,
+    descriptionVerification,
+    redFlags
+  );
+
+  // Calculate score (0-40 points)
+  const score = calculateAiScore(
+    brandVerification,
+    categoryVerification,
+    discountVerification,
+    descriptionVerification,
+    redFlags.length
+  );
+
+  // Product passes if no critical red flags
+  const passed = redFlags.length === 0 || !redFlags.some(isCriticalRedFlag);
+
+  return {
+    passed,
+    score,
+    layer: VerificationLayer.AI,
+    brandVerification,
+    categoryVerification,
+    discountVerification,
+    descriptionVerification,
+    redFlags,
+    aiConfidence,
+    reasoning: verificationData.reasoning,
+    issues,
+    metadata,
+    timestamp: new Date()
+  };
 }
 
 /**
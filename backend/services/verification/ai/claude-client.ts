@@ -50,18 +50,20 @@ export class ClaudeClient {
    *
    * @param prompt - The prompt to send
    * @param systemPrompt - Optional system prompt
+   * @param options - maxTokens overrides the configured limit (batch prompts answer for several products)
    * @returns Claude API response
    */
   async sendMessage(
     prompt: string,
-    systemPrompt?: string
+    systemPrompt?: string,
+    options: { maxTokens?: number } = {}
   ): Promise<ClaudeApiResponse> {
     const startTime = Date.now();
 
     try {
       const request: Partial<ClaudeApiRequest> = {
         model: this.config.model,
-        max_tokens: this.config.maxTokens,
+        max_tokens: options.maxTokens || this.config.maxTokens,
         temperature: this.config.temperature,
         messages: [
           {
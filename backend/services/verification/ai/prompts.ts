@@ -186,6 +186,10 @@ Respond ONLY with JSON:
 /**
  * Generate batch verification prompt (for multiple products)
  *
+ * Answers have the single-product format plus productIndex, so each item
+ * goes through the same parser. Descriptions are left out to keep the
+ * prompt short (descriptionRelevant then defaults to true).
+ *
  * @param products - Products to verify
  * @returns Batch verification prompt
  */
@@ -194,7 +198,8 @@ export function generateBatchPrompt(products: VerifiableProduct[]): string {
 ${i + 1}. ${p.name}
    Brand: ${p.brand}
    Category: ${p.category}
-   Price: ${p.currency}${p.salePrice} (${p.discountPercentage}% off)
+   Original Price: ${p.currency}${p.originalPrice}
+   Sale Price: ${p.currency}${p.salePrice} (${p.discountPercentage}% off)
   `).join('\n');
 
   return `Verify these ${products.length} fashion products. For each product, check brand formatting, category accuracy, and deal legitimacy.
@@ -202,18 +207,30 @@ ${i + 1}. ${p.name}
 Products:
 ${productList}
 
-Respond ONLY with JSON array:
+Respond ONLY with a JSON array holding one object per product:
 [
   {
     "productIndex": number,
     "brandCorrect": boolean,
+    "brandCorrectedName": string | null,
     "categoryAccurate": boolean,
+    "suggestedCategory": string | null,
     "discountRealistic": boolean,
     "redFlags": string[],
-    "confidenceScore": number
+    "confidenceScore": number,
+    "reasoning": string
   },
   ...
-]`;
+]
+
+Guidelines:
+- productIndex: the product's number in the list above
+- brandCorrectedName: corrected brand name if brandCorrect is false, otherwise null
+- suggestedCategory: one of [shoes, clothing, accessories, bags, jewelry, watches, sunglasses, other] if categoryAccurate is false
+- discountRealistic: false if discount is < 10% or > 90%
+- redFlags: array of specific concerns (e.g., "Luxury brand at extremely low price")
+- confidenceScore: 0-100 based on overall data quality and legitimacy
+- reasoning: one short sentence`;
 }
 
 /**
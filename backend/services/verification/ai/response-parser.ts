@@ -283,6 +283,54 @@ export function isValidResponse(response: any): boolean {
   }
 }
 
+/**
+ * Parse a batch verification response (see generateBatchPrompt)
+ *
+ * Items are matched to products by productIndex and validated one by one:
+ * a missing, invalid or ambiguous item leaves its product's slot null, so
+ * only that product needs to be verified again.
+ *
+ * @param text - Text content of Claude's response
+ * @param count - Number of products in the batch
+ * @returns Parsed responses in product order (null where the batch gave no usable answer)
+ * @throws {Error} - No JSON array in the response
+ */
+export function parseBatchResponse(
+  text: string,
+  count: number
+): Array<ClaudeVerificationResponse | null> {
+  const jsonMatch = text.match(/\[[\s\S]*\]/);
+  if (!jsonMatch) {
+    throw new Error('No JSON array found in batch response');
+  }
+
+  const items = JSON.parse(jsonMatch[0]);
+  if (!Array.isArray(items)) {
+    throw new Error('Batch response is not a JSON array');
+  }
+
+  const results: Array<ClaudeVerificationResponse | null> = new Array(count).fill(null);
+  const seen = new Set<number>();
+
+  for (const item of items) {
+    const index = item && typeof item === 'object' ? item.productIndex - 1 : NaN;
+    if (!Number.isInteger(index) || index < 0 || index >= count) continue;
+
+    // Two answers for one product: trust neither
+    if (seen.has(index)) {
+      results[index] = null;
+      continue;
+    }
+    seen.add(index);
+
+    if (isValidResponse(item)) {
+      results[index] = parseVerificationResponse(item);
+    }
+  }
+
+  return results;
+}
+
 /**
  * Get summary from verification response
  *
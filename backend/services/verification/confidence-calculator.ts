@@ -10,6 +10,9 @@
  * - AI Verification (Layer 3): 0-40 points
  * - Bonus points: up to 20 points
  * Total: 70-99 points (capped at 99)
+ *
+ * Weights, bonuses, penalties, the floor, cap and category thresholds come
+ * from the product's rule set (see rules/rule-engine.ts).
  */
 
 import {
@@ -20,6 +23,15 @@ import {
   AIVerificationResult,
   VerifiableProduct
 } from './types';
+import {
+  ResolvedRuleSet,
+  resolveRuleSet,
+  ruleSetStamp,
+  scoreConfidence,
+  scoreLayer,
+  requiresReview
+} from './rules/rule-engine';
+import { collectFacts } from './rules/facts';
 
 /**
  * Calculate final confidence score from all verification layers
@@ -28,117 +40,47 @@ import {
  * @param quality - Layer 2 result
  * @param ai - Layer 3 result (optional)
  * @param product - Product being verified
+ * @param rules - Rule set for the product (default: config/verification-rules.json)
  * @returns Final confidence score breakdown
  */
 export function calculateConfidenceScore(
   completeness: CompletenessResult,
   quality: QualityResult,
   ai: AIVerificationResult | undefined,
-  product: VerifiableProduct
+  product: VerifiableProduct,
+  rules: ResolvedRuleSet = resolveRuleSet(undefined, product)
 ): ConfidenceScore {
-  // Base scores from each layer
-  const completenessScore = completeness.score; // 0-30
-  const qualityScore = quality.score;           // 0-30
-  const aiScore = ai ? ai.score : 0;            // 0-40
-
-  // Calculate bonuses
-  const bonuses = calculateBonusPoints(product, quality, ai);
-
-  // Sum up scores
-  let totalScore = completenessScore + qualityScore + aiScore +
-    bonuses.hasReviews + bonuses.hasMultipleImages +
-    bonuses.recentlyUpdated + bonuses.fromTrustedSource;
-
-  // Ensure minimum score of 70 if all layers passed
-  if (completeness.passed && quality.passed) {
-    totalScore = Math.max(70, totalScore);
-  }
+  const facts = collectFacts(product, completeness, quality, ai);
 
-  // Cap at 99 (never 100%)
-  const finalScore = Math.min(99, totalScore);
+  // Base scores from each layer (layers 1 and 2 are already rule-scored)
+  const completenessScore = completeness.score;         // 0-30
+  const qualityScore = quality.score;                   // 0-30
+  const aiScore = scoreLayer('ai', facts, rules).score; // 0-40
 
-  // Determine score category
-  const category = getScoreCategory(finalScore);
+  // Bonuses, floor, cap, then penalties (a placeholder or reused image always costs)
+  const score = scoreConfidence(
+    { completeness: completenessScore, quality: qualityScore, ai: aiScore },
+    facts,
+    rules
+  );
 
   return {
     completeness: completenessScore,
     quality: qualityScore,
     aiVerification: aiScore,
-    bonuses,
-    final: finalScore,
-    category
+    bonuses: {
+      hasReviews: 0, // Would need to be tracked in product data
+      hasMultipleImages: score.bonuses.image_bonus || 0,
+      recentlyUpdated: score.bonuses.recently_updated || 0,
+      fromTrustedSource: (score.bonuses.trusted_source || 0) + (score.bonuses.ai_high_confidence || 0)
+    },
+    penalties: { flaggedImage: score.penalties.flagged_image || 0 },
+    final: score.final,
+    category: score.category as ScoreCategory,
+    rules: ruleSetStamp(rules)
   };
 }
 
-/**
- * Calculate bonus points
- *
- * @param product - Product being verified
- * @param quality - Quality verification result
- * @param ai - AI verification result
- * @returns Bonus points breakdown
- */
-function calculateBonusPoints(
-  product: VerifiableProduct,
-  quality: QualityResult,
-  ai: AIVerificationResult | undefined
-): {
-  hasReviews: number;
-  hasMultipleImages: number;
-  recentlyUpdated: number;
-  fromTrustedSource: number;
-} {
-  let hasReviews = 0;
-  let hasMultipleImages = 0;
-  let recentlyUpdated = 0;
-  let fromTrustedSource = 0;
-
-  // Bonus 1: Has reviews (would need to be tracked in product data)
-  // For now, we'll skip this as it's not in the schema
-  hasReviews = 0;
-
-  // Bonus 2: Has multiple images (+5 points)
-  if (quality.imageCheck?.valid && product.imageUrl) {
-    hasMultipleImages = 5;
-  }
-
-  // Bonus 3: Recently updated (+5 points)
-  const daysSinceUpdate = getDaysSince(product.updatedAt);
-  if (daysSinceUpdate <= 7) {
-    recentlyUpdated = 5;
-  } else if (daysSinceUpdate <= 30) {
-    recentlyUpdated = 3;
-  }
-
-  // Bonus 4: From trusted source (+5 points)
-  const trustedSources = ['nike', 'adidas', 'zara', 'hm', 'uniqlo', 'mango'];
-  if (trustedSources.includes(product.source)) {
-    fromTrustedSource = 5;
-  }
-
-  // Additional bonus: AI verification passed with high confidence
-  if (ai && ai.aiConfidence >= 90 && ai.redFlags.length === 0) {
-    fromTrustedSource += 3; // Extra trust bonus
-  }
-
-  return {
-    hasReviews,
-    hasMultipleImages,
-    recentlyUpdated,
-    fromTrustedSource: Math.min(8, fromTrustedSource) // Cap at 8
-  };
-}
-
-/**
- * Get score category
- */
-function getScoreCategory(score: number): ScoreCategory {
-  if (score < 70) return ScoreCategory.REJECTED;
-  if (score < 85) return ScoreCategory.REQUIRES_REVIEW;
-  if (score < 95) return ScoreCategory.ACCEPTABLE;
-  return ScoreCategory.HIGH_CONFIDENCE;
-}
-
 /**
  * Get days since a date
  */
@@ -155,42 +97,26 @@ function getDaysSince(date: Date): number {
  * @param completeness - Completeness result
  * @param quality - Quality result
  * @param ai - AI verification result
+ * @param rules - Rule set for the product (its review threshold; default: config/verification-rules.json)
  * @returns True if manual review required
  */
 export function requiresManualReview(
   score: ConfidenceScore,
   completeness: CompletenessResult,
   quality: QualityResult,
-  ai: AIVerificationResult | undefined
+  ai: AIVerificationResult | undefined,
+  rules: ResolvedRuleSet = resolveRuleSet()
 ): boolean {
-  // Automatic review if score is below threshold
-  const reviewThreshold = parseInt(process.env.MANUAL_REVIEW_THRESHOLD || '85', 10);
-
-  if (score.final < reviewThreshold) {
-    return true;
-  }
-
-  // Review if any critical issues found
-  const hasCriticalIssues =
-    completeness.issues.some(i => i.severity === 'critical') ||
-    quality.issues.some(i => i.severity === 'critical') ||
-    (ai && ai.issues.some(i => i.severity === 'critical'));
-
-  if (hasCriticalIssues) {
-    return true;
-  }
-
-  // Review if AI detected red flags
-  if (ai && ai.redFlags.length > 0) {
-    return true;
-  }
-
-  // Review if price is suspiciously low or high
-  if (!quality.priceCheck.reasonable) {
-    return true;
-  }
-
-  return false;
+  const criticalIssues = [...completeness.issues, ...quality.issues, ...(ai?.issues || [])]
+    .filter(i => i.severity === 'critical').length;
+
+  // Below the review threshold, critical issues, AI red flags or suspicious prices
+  return requiresReview({
+    final: score.final,
+    criticalIssues,
+    redFlags: ai ? ai.redFlags.length : 0,
+    priceReasonable: quality.priceCheck.reasonable
+  }, rules.thresholds);
 }
 
 /**
@@ -343,21 +269,23 @@ export function calculateScoreStatistics(scores: number[]): {
  * @param completeness - Completeness result
  * @param quality - Quality result
  * @param ai - AI verification result
+ * @param rules - Rule set for the product (default: config/verification-rules.json)
  * @returns Recommended actions
  */
 export function recommendActions(
   score: ConfidenceScore,
   completeness: CompletenessResult,
   quality: QualityResult,
-  ai: AIVerificationResult | undefined
+  ai: AIVerificationResult | undefined,
+  rules: ResolvedRuleSet = resolveRuleSet()
 ): string[] {
   const actions: string[] = [];
 
-  if (score.final < 70) {
+  if (score.final < rules.thresholds.pass) {
     actions.push('REJECT: Product does not meet minimum quality standards');
   }
 
-  if (score.final < 85) {
+  if (score.final < rules.thresholds.review) {
     actions.push('REVIEW: Manual review recommended before publishing');
   }
 
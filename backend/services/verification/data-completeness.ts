@@ -9,6 +9,8 @@
  *
  * Optional fields (boost score):
  * - imageUrl, description, attributes (size, color, etc.)
+ *
+ * Scored by the completeness rules (see rules/builtin-rules.ts)
  */
 
 import {
@@ -18,15 +20,19 @@ import {
   VerificationIssue,
   VerificationLayer
 } from './types';
+import { ResolvedRuleSet, resolveRuleSet, scoreLayer } from './rules/rule-engine';
+import { completenessFacts, productFacts } from './rules/facts';
 
 /**
  * Check data completeness for a product
  *
  * @param product - Product to validate
+ * @param rules - Rule set for the product (default: config/verification-rules.json)
  * @returns Completeness validation result
  */
 export async function checkDataCompleteness(
-  product: VerifiableProduct
+  product: VerifiableProduct,
+  rules: ResolvedRuleSet = resolveRuleSet(undefined, product)
 ): Promise<CompletenessResult> {
   const requiredFields = checkRequiredFields(product);
   const optionalFields = checkOptionalFields(product);
@@ -42,12 +48,11 @@ export async function checkDataCompleteness(
     ((completedOptional / optionalFields.length) * 30) // Optional fields: 30%
   );
 
-  // Calculate base score (0-30 points for this layer)
-  const score = calculateCompletenessScore(
-    requiredFields,
-    optionalFields,
-    completionPercentage
-  );
+  // Calculate base score (0-30 points for this layer by default)
+  const { score } = scoreLayer('completeness', {
+    product: productFacts(product),
+    completeness: completenessFacts(requiredFields, optionalFields)
+  }, rules);
 
   // Product passes if all required fields are present and valid
   const passed = requiredFields.every(f => f.present && f.valid);
@@ -245,40 +250,6 @@ function checkField(
   };
 }
 
-/**
- * Calculate completeness score (0-30 points)
- *
- * Scoring breakdown:
- * - Required fields complete: 20 points (base)
- * - Optional fields present: +10 points (bonus)
- * - Maximum: 30 points
- */
-function calculateCompletenessScore(
-  requiredFields: FieldCheckResult[],
-  optionalFields: FieldCheckResult[],
-  completionPercentage: number
-): number {
-  // All required fields must be valid to get any points
-  const allRequiredValid = requiredFields.every(f => f.present && f.valid);
-
-  if (!allRequiredValid) {
-    // Partial credit based on how many required fields are present
-    const validRequired = requiredFields.filter(f => f.present && f.valid).length;
-    return Math.round((validRequired / requiredFields.length) * 15);
-  }
-
-  // Base score for complete required fields
-  let score = 20;
-
-  // Bonus points for optional fields
-  const validOptional = optionalFields.filter(f => f.present && f.valid).length;
-  const optionalBonus = Math.round((validOptional / optionalFields.length) * 10);
-
-  score += optionalBonus;
-
-  return Math.min(30, score); // Cap at 30
-}
-
 /**
  * Generate issues from field checks
  */
@@ -8,7 +8,8 @@
  * - Discount accuracy
  *
  * Score range: 80-89% (quality validation)
- * Base score: 0-30 points for this layer
+ * Base score: 0-30 points for this layer, scored by the quality rules
+ * (see rules/builtin-rules.ts)
  */
 
 import {
@@ -21,20 +22,25 @@ import {
 import { validateUrl } from './validators/url-validator';
 import { validateImage } from './validators/image-validator';
 import { validatePrice, validateDiscount } from './validators/price-validator';
+import { ResolvedRuleSet, resolveRuleSet, ruleParams, scoreLayer } from './rules/rule-engine';
+import { isDiscountRealistic } from './rules/builtin-rules';
+import { productFacts, qualityFacts } from './rules/facts';
 
 /**
  * Check data quality for a product
  *
  * @param product - Product to validate
+ * @param rules - Rule set for the product (default: config/verification-rules.json)
  * @returns Quality validation result
  */
 export async function checkDataQuality(
-  product: VerifiableProduct
+  product: VerifiableProduct,
+  rules: ResolvedRuleSet = resolveRuleSet(undefined, product)
 ): Promise<QualityResult> {
   const issues: VerificationIssue[] = [];
 
   // Run all quality checks in parallel
-  const [urlCheck, imageCheck, priceCheck, discountCheck] = await Promise.all([
+  const [urlCheck, imageCheck, priceCheck, rawDiscountCheck] = await Promise.all([
     // URL validation
     validateUrl(product.productUrl, { timeout: 5000 }),
 
@@ -62,6 +68,13 @@ export async function checkDataQuality(
     )
   ]);
 
+  // What counts as a realistic discount depends on the retailer and brand
+  const discountRange = ruleParams(rules, 'discount');
+  const discountCheck = {
+    ...rawDiscountCheck,
+    realistic: isDiscountRealistic(rawDiscountCheck.calculated, discountRange)
+  };
+
   // Generate issues from checks
   if (!urlCheck.accessible) {
     issues.push({
@@ -139,22 +152,20 @@ export async function checkDataQuality(
     issues.push({
       severity: 'warning',
       field: 'discountPercentage',
-      message: 'Discount percentage may be unrealistic (should be between 10% and 90%)',
+      message: `Discount percentage may be unrealistic (should be between ${discountRange.minRealistic}% and ${discountRange.maxRealistic}%)`,
       value: product.discountPercentage
     });
   }
 
-  // Calculate quality score (0-30 points)
-  const score = calculateQualityScore(
-    urlCheck,
-    imageCheck,
-    priceCheck,
-    discountCheck
-  );
-
   // Product passes if URL is accessible and prices are valid
   const passed = urlCheck.accessible && priceCheck.valid;
 
+  // Calculate quality score (0-30 points by default)
+  const { score } = scoreLayer('quality', {
+    product: productFacts(product),
+    quality: qualityFacts({ passed, urlCheck, imageCheck, priceCheck, discountCheck })
+  }, rules);
+
   return {
     passed,
     score,
@@ -174,86 +185,6 @@ export async function checkDataQuality(
   };
 }
 
-/**
- * Calculate quality score (0-30 points)
- *
- * Scoring breakdown:
- * - URL accessible: 10 points
- * - Valid image: 5 points
- * - Valid prices: 10 points
- * - Accurate discount: 5 points
- * Maximum: 30 points
- */
-function calculateQualityScore(
-  urlCheck: any,
-  imageCheck: any,
-  priceCheck: any,
-  discountCheck: any
-): number {
-  let score = 0;
-
-  // URL accessibility (10 points)
-  if (urlCheck.accessible) {
-    score += 10;
-
-    // Bonus for fast response
-    if (urlCheck.responseTime && urlCheck.responseTime < 1000) {
-      score += 1;
-    }
-
-    // Penalty for redirects
-    if (urlCheck.redirectUrl) {
-      score -= 1;
-    }
-  } else {
-    // Partial credit if URL exists but has issues
-    if (urlCheck.httpStatus && urlCheck.httpStatus < 500) {
-      score += 3;
-    }
-  }
-
-  // Image validation (5 points)
-  if (imageCheck) {
-    if (imageCheck.valid && imageCheck.accessible) {
-      score += 5;
-    } else if (imageCheck.accessible && !imageCheck.valid) {
-      score += 2; // Partial credit for accessible but invalid
-    }
-  } else {
-    // No penalty for missing image (it's optional)
-    score += 2;
-  }
-
-  // Price validation (10 points)
-  if (priceCheck.valid) {
-    score += 8;
-
-    if (priceCheck.reasonable) {
-      score += 2; // Bonus for reasonable prices
-    }
-  } else {
-    // Partial credit based on which checks passed
-    const passedChecks = Object.values(priceCheck.checks).filter(Boolean).length;
-    score += Math.round((passedChecks / 4) * 8);
-  }
-
-  // Discount validation (5 points)
-  if (discountCheck.valid) {
-    score += 3;
-
-    if (discountCheck.realistic) {
-      score += 2; // Bonus for realistic discount
-    }
-  } else {
-    // Partial credit if close
-    if (discountCheck.difference < 5) {
-      score += 2;
-    }
-  }
-
-  return Math.min(30, Math.max(0, score)); // Clamp between 0 and 30
-}
-
 /**
  * Get quality summary
  */
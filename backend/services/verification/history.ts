@@ -7,6 +7,7 @@
 import { PrismaClient, VerificationStatus } from '@prisma/client';
 import prisma from '../../db/client';
 import {
+  AIVerificationResult,
   CompleteVerificationResult,
   VerificationHistoryRecord,
   VerificationLayer
@@ -44,20 +45,31 @@ export async function logVerification(
             score: result.quality.score,
             passed: result.quality.passed,
             urlAccessible: result.quality.urlCheck.accessible,
-            imageValid: result.quality.imageCheck?.valid || false
+            imageValid: result.quality.imageCheck?.valid || false,
+            imageFlagged: result.quality.imageFingerprint?.flagged || false
           },
           ai: result.ai ? {
             score: result.ai.score,
             passed: result.ai.passed,
             aiConfidence: result.ai.aiConfidence,
-            redFlagsCount: result.ai.redFlags.length
+            redFlagsCount: result.ai.redFlags.length,
+            // Share of a batched Claude request (plus any retry), see verifyBatchWithAI
+            cost: result.ai.metadata?.cost ?? null
           } : null,
           confidence: {
             final: result.confidence.final,
             category: result.confidence.category
           },
+          passed: result.passed,
           requiresReview: result.requiresReview,
-          issuesCount: result.allIssues.length
+          // Rule set that scored it and what it scored, for replays (see rules/replay.ts)
+          rules: result.confidence.rules ? { ...result.confidence.rules } : null,
+          facts: result.facts ? { ...result.facts } : null,
+          issuesCount: result.allIssues.length,
+          // Shown to moderators when the product is queued for review (services/review)
+          issues: result.allIssues.map(issue => ({ ...issue })),
+          redFlags: result.ai ? result.ai.redFlags : [],
+          suggestions: result.ai ? aiSuggestions(result.ai) : null
         }
       }
     });
@@ -347,6 +359,22 @@ export async function getVerificationStats(
   }
 }
 
+/**
+ * Corrections the AI suggested, or null
+ */
+export function aiSuggestions(ai: AIVerificationResult): { brand?: string; category?: string } | null {
+  const suggestions: { brand?: string; category?: string } = {};
+
+  if (!ai.brandVerification.correct && ai.brandVerification.correctedBrand) {
+    suggestions.brand = ai.brandVerification.correctedBrand;
+  }
+  if (!ai.categoryVerification.accurate && ai.categoryVerification.suggestedCategory) {
+    suggestions.category = ai.categoryVerification.suggestedCategory;
+  }
+
+  return Object.keys(suggestions).length > 0 ? suggestions : null;
+}
+
 /**
  * Determine verification status from result
  */
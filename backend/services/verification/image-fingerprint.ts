@@ -0,0 +1,290 @@
+/**
+ * Image Fingerprint - Layer 2 content check
+ *
+ * Layer 2 only checks that the product image answers; this check looks at
+ * what it shows. The image is downloaded and hashed (validateImageFull, see
+ * validators/image-hash.ts) and flagged when it:
+ * - matches a blocklisted placeholder (placeholder_image_hashes), or
+ * - is also the image of unrelated products (same hash, different canonical product)
+ *
+ * The hash and verdict are recorded on the product's ProductImage row
+ * (imageStatus `invalid` with invalidReason, or `validated`). A flagged image
+ * costs the points of the flagged_image rule (see rules/builtin-rules.ts).
+ */
+
+import prisma from '../../db/client';
+import {
+  VerifiableProduct,
+  QualityResult,
+  ImageFingerprintResult,
+  ImageValidationResult,
+  VerificationIssue
+} from './types';
+import { validateImageFull } from './validators/image-validator';
+import {
+  ImageOwner,
+  findPlaceholder,
+  isPerceptualHash,
+  unrelatedOwners
+} from './validators/image-hash';
+
+type ImageValidator = (imageUrl: string) => Promise<ImageValidationResult>;
+
+const MAX_LABEL_LENGTH = 100;
+
+/**
+ * Invalid input for the placeholder blocklist
+ */
+export class PlaceholderValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'PlaceholderValidationError';
+  }
+}
+
+/**
+ * Check the content of a product's image
+ *
+ * @param product - Product to check
+ * @param options - record: save the hash and verdict (default: true); validate: image downloader
+ * @returns Fingerprint result, undefined if the image could not be downloaded or decoded
+ */
+export async function checkImageFingerprint(
+  product: VerifiableProduct,
+  options: { record?: boolean; validate?: ImageValidator } = {}
+): Promise<ImageFingerprintResult | undefined> {
+  const { record = true, validate = validateImageFull } = options;
+
+  if (!product.imageUrl) {
+    return undefined;
+  }
+
+  try {
+    const image = await validate(product.imageUrl);
+    if (!image.perceptualHash) {
+      return undefined;
+    }
+    const hash = image.perceptualHash;
+
+    const placeholders: Array<{ hash: string; label: string }> = await prisma.placeholderImageHash.findMany({
+      select: { hash: true, label: true }
+    });
+    const placeholder = findPlaceholder(hash, placeholders);
+
+    const owner = await prisma.product.findUnique({
+      where: { id: product.id },
+      select: { id: true, canonicalProductId: true }
+    });
+    const sameImage: Array<{ product: ImageOwner }> = await prisma.productImage.findMany({
+      where: { perceptualHash: hash, productId: { not: product.id } },
+      select: { product: { select: { id: true, canonicalProductId: true } } },
+      take: 50
+    });
+    const sharedWith = [...new Set(
+      unrelatedOwners(owner || { id: product.id }, sameImage.map(row => row.product)).map(other => other.id)
+    )];
+
+    const issues: VerificationIssue[] = [];
+    if (placeholder) {
+      issues.push({
+        severity: 'critical',
+        field: 'imageUrl',
+        message: `Image is a placeholder (${placeholder.label})`,
+        value: product.imageUrl,
+        suggestion: 'Scrape the product photo again'
+      });
+    }
+    if (sharedWith.length > 0) {
+      issues.push({
+        severity: 'warning',
+        field: 'imageUrl',
+        message: `Image is also used by ${sharedWith.length} unrelated product${sharedWith.length === 1 ? '' : 's'}`,
+        value: sharedWith,
+        suggestion: 'Check that the image shows this product'
+      });
+    }
+
+    const invalidReason = placeholder ? 'placeholder' : sharedWith.length > 0 ? 'shared' : null;
+
+    if (record) {
+      await recordImage(product, image, hash, invalidReason);
+
+      // The other products' copies are just as suspicious
+      if (sharedWith.length > 0) {
+        await prisma.productImage.updateMany({
+          where: { perceptualHash: hash, productId: { in: sharedWith } },
+          data: { imageStatus: 'invalid', invalidReason: 'shared' }
+        });
+      }
+    }
+
+    return {
+      hash,
+      placeholder: placeholder ? placeholder.label : null,
+      sharedWith,
+      flagged: invalidReason !== null,
+      issues
+    };
+
+  } catch (error: any) {
+    console.error(`[Image Fingerprint] Error: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Add a fingerprint result to the Layer 2 result
+ */
+export function withImageFingerprint(
+  quality: QualityResult,
+  fingerprint: ImageFingerprintResult
+): QualityResult {
+  return {
+    ...quality,
+    imageFingerprint: fingerprint,
+    issues: [...quality.issues, ...fingerprint.issues],
+    metadata: {
+      ...quality.metadata,
+      hasValidImage: Boolean(quality.metadata?.hasValidImage) && !fingerprint.flagged,
+      imageHash: fingerprint.hash
+    }
+  };
+}
+
+/**
+ * Get fingerprint summary
+ */
+export function getFingerprintSummary(fingerprint: ImageFingerprintResult): string {
+  if (fingerprint.placeholder) {
+    return `Image: placeholder (${fingerprint.placeholder})`;
+  }
+  if (fingerprint.sharedWith.length > 0) {
+    return `Image: shared with ${fingerprint.sharedWith.length} unrelated products`;
+  }
+  return `Image: OK (${fingerprint.hash})`;
+}
+
+/**
+ * Save the hash and verdict on the product image's row (created for the
+ * product's imageUrl if it has none)
+ */
+async function recordImage(
+  product: VerifiableProduct,
+  image: ImageValidationResult,
+  hash: string,
+  invalidReason: string | null
+): Promise<void> {
+  const data = {
+    perceptualHash: hash,
+    invalidReason,
+    imageStatus: invalidReason ? 'invalid' as const : 'validated' as const,
+    width: image.dimensions?.width ?? null,
+    height: image.dimensions?.height ?? null,
+    lastCheckedAt: new Date()
+  };
+
+  const existing = await prisma.productImage.findFirst({
+    where: { productId: product.id, imageUrl: product.imageUrl! },
+    select: { id: true }
+  });
+
+  if (existing) {
+    await prisma.productImage.update({ where: { id: existing.id }, data });
+  } else {
+    await prisma.productImage.create({
+      data: { productId: product.id, imageUrl: product.imageUrl!, isPrimary: true, ...data }
+    });
+  }
+}
+
+// ============================================
+// PLACEHOLDER BLOCKLIST
+// ============================================
+
+/**
+ * Blocklisted placeholder hashes, newest first
+ */
+export async function listPlaceholders() {
+  return prisma.placeholderImageHash.findMany({ orderBy: { createdAt: 'desc' } });
+}
+
+/**
+ * Blocklist a placeholder, by its hash or an example image, and flag the
+ * product images with exactly that hash (close matches are flagged when
+ * their products are verified next)
+ *
+ * @param input - { label, hash } or { label, imageUrl }
+ * @returns The placeholder and the number of product images flagged
+ * @throws {PlaceholderValidationError}
+ */
+export async function addPlaceholder(
+  input: { label?: unknown; hash?: unknown; imageUrl?: unknown } = {},
+  validate: ImageValidator = validateImageFull
+) {
+  const label = typeof input.label === 'string' ? input.label.trim() : '';
+  if (!label) {
+    throw new PlaceholderValidationError('label is required');
+  }
+  if (label.length > MAX_LABEL_LENGTH) {
+    throw new PlaceholderValidationError(`label must be at most ${MAX_LABEL_LENGTH} characters`);
+  }
+
+  let hash: string;
+  let sourceUrl: string | null = null;
+
+  if (input.hash !== undefined) {
+    const value = typeof input.hash === 'string' ? input.hash.trim().toLowerCase() : '';
+    if (!isPerceptualHash(value)) {
+      throw new PlaceholderValidationError('hash must be 16 hex digits');
+    }
+    hash = value;
+  } else if (typeof input.imageUrl === 'string' && /^https?:\/\//.test(input.imageUrl)) {
+    const image = await validate(input.imageUrl);
+    if (!image.perceptualHash) {
+      throw new PlaceholderValidationError(`Could not hash the image: ${image.error || 'not a decodable image'}`);
+    }
+    hash = image.perceptualHash;
+    sourceUrl = input.imageUrl;
+  } else {
+    throw new PlaceholderValidationError('hash or an http(s) imageUrl is required');
+  }
+
+  const duplicate = await prisma.placeholderImageHash.findUnique({ where: { hash } });
+  if (duplicate) {
+    throw new PlaceholderValidationError(`Hash ${hash} is already blocklisted as "${duplicate.label}"`);
+  }
+
+  const placeholder = await prisma.placeholderImageHash.create({ data: { hash, label, sourceUrl } });
+  const { count } = await prisma.productImage.updateMany({
+    where: { perceptualHash: hash },
+    data: { imageStatus: 'invalid', invalidReason: 'placeholder' }
+  });
+
+  return { placeholder, flaggedImages: count };
+}
+
+/**
+ * Remove a placeholder from the blocklist. Images it flagged stay invalid
+ * until their products are verified again.
+ *
+ * @returns The removed placeholder, null if it does not exist
+ */
+export async function removePlaceholder(id: string) {
+  const existing = await prisma.placeholderImageHash.findUnique({ where: { id } });
+  if (!existing) return null;
+
+  await prisma.placeholderImageHash.delete({ where: { id } });
+  return existing;
+}
+
+/**
+ * Product images the content check flagged, most recently checked first
+ */
+export async function listFlaggedImages({ limit = 50 }: { limit?: number | string } = {}) {
+  return prisma.productImage.findMany({
+    where: { imageStatus: 'invalid', invalidReason: { not: null } },
+    include: { product: { select: { id: true, name: true, brand: true, retailer: true } } },
+    orderBy: { lastCheckedAt: 'desc' },
+    take: Math.min(Math.max(parseInt(String(limit), 10) || 50, 1), 200)
+  });
+}
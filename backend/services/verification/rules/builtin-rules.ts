@@ -0,0 +1,188 @@
+/**
+ * Built-in Verification Rules
+ *
+ * The scoring the verification layers always had, as rules. Weights and
+ * params here are the defaults; config/verification-rules.json sets them.
+ *
+ * - Completeness (Layer 1): required fields 20, optional fields 10
+ * - Quality (Layer 2): URL 10, image 5, prices 10, discount 5
+ * - AI (Layer 3): 40
+ * - Bonuses: image 5, recently updated 5, trusted source 5, confident AI 3
+ * - Penalties: flagged image 15
+ */
+
+import type { RuleParams, VerificationRule } from './rule-engine';
+
+/**
+ * Scale of the AI layer's own score (see ai-verifier.ts)
+ */
+const AI_SCORE_MAX = 40;
+
+/**
+ * Whether a discount is within the rule set's realistic range: small
+ * discounts are not real deals, huge ones usually fakes or errors
+ *
+ * @param discount - Discount calculated from the prices
+ * @param params - The discount rule's params (minRealistic, maxRealistic)
+ */
+export function isDiscountRealistic(discount: number, params: RuleParams): boolean {
+  return discount >= params.minRealistic && discount <= params.maxRealistic;
+}
+
+export const BUILTIN_RULES: VerificationRule[] = [
+  // ============================================
+  // LAYER 1: COMPLETENESS
+  // ============================================
+  {
+    id: 'required_fields',
+    layer: 'completeness',
+    description: 'Required fields present and valid (partial credit when some are missing)',
+    weight: 20,
+    params: { partialCredit: 0.75 },
+    score: ({ completeness }, { partialCredit }) => {
+      if (!completeness || completeness.requiredFields === 0) return 0;
+      if (completeness.passed) return 1;
+      return (completeness.requiredValid / completeness.requiredFields) * partialCredit;
+    }
+  },
+  {
+    id: 'optional_fields',
+    layer: 'completeness',
+    description: 'Optional fields (image, description, attributes, source), once the required ones are complete',
+    weight: 10,
+    score: ({ completeness }) => {
+      if (!completeness?.passed || completeness.optionalFields === 0) return 0;
+      return completeness.optionalValid / completeness.optionalFields;
+    }
+  },
+
+  // ============================================
+  // LAYER 2: QUALITY
+  // ============================================
+  {
+    id: 'url',
+    layer: 'quality',
+    description: 'Product URL accessible (a tenth more when fast, less when redirected)',
+    weight: 10,
+    params: { fastResponseMs: 1000 },
+    score: ({ quality }, { fastResponseMs }) => {
+      if (!quality) return 0;
+      const { url } = quality;
+
+      if (!url.accessible) {
+        // Partial credit if URL exists but has issues
+        return url.httpStatus && url.httpStatus < 500 ? 0.3 : 0;
+      }
+
+      let share = 1;
+      if (url.responseTime && url.responseTime < fastResponseMs) share += 0.1;
+      if (url.redirected) share -= 0.1;
+      return share;
+    }
+  },
+  {
+    id: 'image',
+    layer: 'quality',
+    description: 'Image valid (partial credit when accessible but invalid, or when there is none)',
+    weight: 5,
+    score: ({ quality }) => {
+      if (!quality) return 0;
+      const { image } = quality;
+
+      if (!image) return 0.4; // No penalty for missing image (it's optional)
+      if (image.valid && image.accessible) return 1;
+      return image.accessible ? 0.4 : 0;
+    }
+  },
+  {
+    id: 'price',
+    layer: 'quality',
+    description: 'Prices valid, and reasonable for the category',
+    weight: 10,
+    score: ({ quality }) => {
+      if (!quality) return 0;
+      const { price } = quality;
+
+      if (price.valid) {
+        return price.reasonable ? 1 : 0.8;
+      }
+      // Partial credit based on which checks passed
+      return price.checks > 0 ? (price.checksPassed / price.checks) * 0.8 : 0;
+    }
+  },
+  {
+    id: 'discount',
+    layer: 'quality',
+    description: 'Claimed discount matches the prices and is realistic',
+    weight: 5,
+    params: { minRealistic: 10, maxRealistic: 90 },
+    score: ({ quality }, params) => {
+      if (!quality) return 0;
+      const { discount } = quality;
+
+      if (discount.valid) {
+        return isDiscountRealistic(discount.calculated, params) ? 1 : 0.6;
+      }
+      // Partial credit if close
+      return discount.difference < 5 ? 0.4 : 0;
+    }
+  },
+
+  // ============================================
+  // LAYER 3: AI
+  // ============================================
+  {
+    id: 'ai_verification',
+    layer: 'ai',
+    description: 'AI verification of brand, category, discount and description',
+    weight: 40,
+    score: ({ ai }) => (ai ? ai.score / AI_SCORE_MAX : 0)
+  },
+
+  // ============================================
+  // BONUSES AND PENALTIES
+  // ============================================
+  {
+    id: 'image_bonus',
+    layer: 'bonus',
+    description: 'Has a valid image that is not a placeholder or reused',
+    weight: 5,
+    score: ({ product, quality }) =>
+      (product.hasImage && quality?.image?.valid && !quality.image.flagged ? 1 : 0)
+  },
+  {
+    id: 'recently_updated',
+    layer: 'bonus',
+    description: 'Updated recently (the full bonus within recentDays, 60% within staleDays)',
+    weight: 5,
+    params: { recentDays: 7, staleDays: 30 },
+    score: ({ product }, { recentDays, staleDays }) => {
+      if (product.daysSinceUpdate <= recentDays) return 1;
+      if (product.daysSinceUpdate <= staleDays) return 0.6;
+      return 0;
+    }
+  },
+  {
+    id: 'trusted_source',
+    layer: 'bonus',
+    description: 'Scraped from a trusted source',
+    weight: 5,
+    params: { sources: ['nike', 'adidas', 'zara', 'hm', 'uniqlo', 'mango'] },
+    score: ({ product }, { sources }) => (sources.includes(product.source) ? 1 : 0)
+  },
+  {
+    id: 'ai_high_confidence',
+    layer: 'bonus',
+    description: 'AI verification confident and without red flags',
+    weight: 3,
+    params: { minConfidence: 90 },
+    score: ({ ai }, { minConfidence }) => (ai && ai.confidence >= minConfidence && ai.redFlags === 0 ? 1 : 0)
+  },
+  {
+    id: 'flagged_image',
+    layer: 'penalty',
+    description: 'Image is a placeholder or used by unrelated products (see image-fingerprint.ts)',
+    weight: 15,
+    score: ({ quality }) => (quality?.image?.flagged ? 1 : 0)
+  }
+];
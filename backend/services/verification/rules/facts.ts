@@ -0,0 +1,118 @@
+/**
+ * Rule Facts
+ *
+ * Turns layer results into the facts the rules score (see rule-engine.ts).
+ */
+
+import {
+  VerifiableProduct,
+  FieldCheckResult,
+  QualityResult,
+  AIVerificationResult,
+  VerificationIssue
+} from '../types';
+import { RuleFacts } from './rule-engine';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Facts about the product itself
+ */
+export function productFacts(product: VerifiableProduct, now: Date = new Date()): RuleFacts['product'] {
+  return {
+    source: product.source,
+    retailer: product.retailer ?? null,
+    brand: product.brand,
+    hasImage: Boolean(product.imageUrl),
+    daysSinceUpdate: Math.floor((now.getTime() - new Date(product.updatedAt).getTime()) / DAY_MS)
+  };
+}
+
+/**
+ * Facts of the Layer 1 field checks
+ */
+export function completenessFacts(
+  requiredFields: FieldCheckResult[],
+  optionalFields: FieldCheckResult[]
+): NonNullable<RuleFacts['completeness']> {
+  const isValid = (f: FieldCheckResult) => f.present && f.valid;
+
+  return {
+    passed: requiredFields.every(isValid),
+    requiredFields: requiredFields.length,
+    requiredValid: requiredFields.filter(isValid).length,
+    optionalFields: optionalFields.length,
+    optionalValid: optionalFields.filter(isValid).length
+  };
+}
+
+/**
+ * Facts of the Layer 2 checks
+ */
+export function qualityFacts(
+  quality: Pick<QualityResult, 'passed' | 'urlCheck' | 'imageCheck' | 'priceCheck' | 'discountCheck' | 'imageFingerprint'>
+): NonNullable<RuleFacts['quality']> {
+  const { urlCheck, imageCheck, priceCheck, discountCheck } = quality;
+  const priceChecks = Object.values(priceCheck.checks || {});
+
+  return {
+    passed: quality.passed,
+    url: {
+      accessible: urlCheck.accessible,
+      httpStatus: urlCheck.httpStatus ?? null,
+      responseTime: urlCheck.responseTime ?? null,
+      redirected: Boolean(urlCheck.redirectUrl)
+    },
+    image: imageCheck
+      ? {
+          valid: imageCheck.valid,
+          accessible: imageCheck.accessible,
+          flagged: Boolean(quality.imageFingerprint?.flagged)
+        }
+      : null,
+    price: {
+      valid: priceCheck.valid,
+      reasonable: priceCheck.reasonable,
+      checksPassed: priceChecks.filter(Boolean).length,
+      checks: priceChecks.length
+    },
+    discount: {
+      valid: discountCheck.valid,
+      calculated: discountCheck.calculated,
+      difference: discountCheck.difference
+    }
+  };
+}
+
+/**
+ * Facts of the AI layer
+ */
+export function aiFacts(ai: AIVerificationResult | undefined): RuleFacts['ai'] {
+  return ai
+    ? { score: ai.score, confidence: ai.aiConfidence, redFlags: ai.redFlags.length }
+    : null;
+}
+
+/**
+ * All facts of a verification
+ */
+export function collectFacts(
+  product: VerifiableProduct,
+  completeness: { requiredFields: FieldCheckResult[]; optionalFields: FieldCheckResult[]; passed: boolean; issues: VerificationIssue[] },
+  quality: QualityResult,
+  ai: AIVerificationResult | undefined
+): RuleFacts {
+  const issues = [...completeness.issues, ...quality.issues, ...(ai?.issues || [])];
+
+  return {
+    product: productFacts(product),
+    completeness: {
+      ...completenessFacts(completeness.requiredFields, completeness.optionalFields),
+      // The layer's own verdict (results built elsewhere may list no fields)
+      passed: completeness.passed
+    },
+    quality: qualityFacts(quality),
+    ai: aiFacts(ai),
+    criticalIssues: issues.filter(issue => issue.severity === 'critical').length
+  };
+}
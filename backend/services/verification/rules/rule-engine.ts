@@ -0,0 +1,486 @@
+/**
+ * Verification Rule Engine
+ *
+ * The scoring of every verification layer is made of registered rules: each
+ * declares the layer it scores, its weight (points) and default params, and
+ * returns the share of its weight a product earns. Layers 1 and 2 compute
+ * their checks as before; their scores, the AI layer's weight, the bonuses,
+ * penalties and the thresholds (AI gate, floor, pass, review, corrections)
+ * come from the rule set.
+ *
+ * The rule set is loaded from config/verification-rules.json. Overrides in it
+ * change weights, params and thresholds for products of a source, retailer or
+ * brand (e.g. outlets legitimately discount deeper, luxury brands never do).
+ * Its version and checksum are logged with each verification together with
+ * the facts the rules scored (see facts.ts), so a new rule set can be
+ * replayed against VerificationHistory (see replay.ts).
+ *
+ * Register custom rules with registerRule() before the first verification.
+ */
+
+import { createHash } from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { BUILTIN_RULES } from './builtin-rules';
+
+/**
+ * Default rule set file
+ */
+export const RULES_FILE = path.join(__dirname, '../../../config/verification-rules.json');
+
+export type RuleLayer = 'completeness' | 'quality' | 'ai' | 'bonus' | 'penalty';
+
+export type RuleParams = Record<string, any>;
+
+/**
+ * What the rules score: a serializable snapshot of a verification, logged
+ * to VerificationHistory so it can be scored again later
+ */
+export interface RuleFacts {
+  product: {
+    source: string;
+    retailer: string | null;
+    brand: string;
+    hasImage: boolean;
+    daysSinceUpdate: number;
+  };
+  completeness?: {
+    passed: boolean;
+    requiredFields: number;
+    requiredValid: number;
+    optionalFields: number;
+    optionalValid: number;
+  };
+  quality?: {
+    passed: boolean;
+    url: { accessible: boolean; httpStatus: number | null; responseTime: number | null; redirected: boolean };
+    image: { valid: boolean; accessible: boolean; flagged: boolean } | null; // null: product has no image
+    price: { valid: boolean; reasonable: boolean; checksPassed: number; checks: number };
+    discount: { valid: boolean; calculated: number; difference: number };
+  };
+  ai?: { score: number; confidence: number; redFlags: number } | null;
+  criticalIssues?: number;
+}
+
+/**
+ * A scoring rule
+ */
+export interface VerificationRule {
+  id: string;
+  layer: RuleLayer;
+  description: string;
+  weight: number;       // Points the rule is worth, unless the rule set says otherwise
+  params?: RuleParams;  // Defaults, merged under the rule set's params
+  /** Share of the weight earned (0-1; a little over 1 for a bonus within the layer) */
+  score(facts: RuleFacts, params: RuleParams): number;
+}
+
+/**
+ * Settings of a rule in a rule set
+ */
+export interface RuleSettings {
+  enabled?: boolean;
+  weight?: number;
+  params?: RuleParams;
+}
+
+export interface RuleThresholds {
+  runAi: number;            // Layer 1 + 2 points needed to run the AI layer
+  floor: number;            // Minimum score of products passing layers 1 and 2
+  cap: number;              // Maximum score
+  pass: number;             // Products scoring lower fail (category: rejected)
+  review: number;           // Products scoring lower need manual review
+  applyCorrections: number; // Minimum score to apply AI brand/category corrections
+  acceptable: number;       // Category thresholds
+  highConfidence: number;
+}
+
+export interface RuleSetOverride {
+  id: string;
+  description?: string;
+  /** Every key given must match; values are case-insensitive, `*` is a wildcard */
+  match: { source?: string[]; retailer?: string[]; brand?: string[] };
+  rules?: Record<string, RuleSettings>;
+  thresholds?: Partial<RuleThresholds>;
+}
+
+export interface RuleSet {
+  version: number;
+  checksum: string;
+  description?: string;
+  thresholds: RuleThresholds;
+  rules: Record<string, RuleSettings>;
+  overrides: RuleSetOverride[];
+}
+
+/**
+ * Which rule set scored a product: its version and checksum, and the overrides applied
+ */
+export interface RuleSetStamp {
+  version: number;
+  checksum: string;
+  overrides: string[];
+}
+
+/**
+ * The rule set for one product, overrides applied
+ */
+export interface ResolvedRuleSet extends RuleSetStamp {
+  thresholds: RuleThresholds;
+  rules: Record<string, Required<RuleSettings>>;
+}
+
+export type ScoreCategoryName = 'rejected' | 'requires_review' | 'acceptable' | 'high_confidence';
+
+/**
+ * Invalid rule set file
+ */
+export class RuleSetError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'RuleSetError';
+  }
+}
+
+const THRESHOLD_KEYS: Array<keyof RuleThresholds> = [
+  'runAi', 'floor', 'cap', 'pass', 'review', 'applyCorrections', 'acceptable', 'highConfidence'
+];
+const MATCH_KEYS = ['source', 'retailer', 'brand'] as const;
+
+const registry = new Map<string, VerificationRule>();
+let defaultRuleSet: RuleSet | null = null;
+
+// ============================================
+// REGISTRY
+// ============================================
+
+/**
+ * Register a scoring rule
+ *
+ * @throws {Error} if a rule with the same id is registered
+ */
+export function registerRule(rule: VerificationRule): void {
+  if (registry.has(rule.id)) {
+    throw new Error(`Verification rule already registered: ${rule.id}`);
+  }
+  if (!(rule.weight >= 0)) {
+    throw new Error(`Verification rule ${rule.id} needs a weight of 0 or more`);
+  }
+  registry.set(rule.id, rule);
+}
+
+/**
+ * Registered rules, in registration order
+ */
+export function getRegisteredRules(): VerificationRule[] {
+  return [...registry.values()];
+}
+
+// ============================================
+// RULE SETS
+// ============================================
+
+/**
+ * Load and validate a rule set file
+ *
+ * @param file - Path of the JSON file (default: config/verification-rules.json)
+ * @throws {RuleSetError}
+ */
+export function loadRuleSet(file: string = RULES_FILE): RuleSet {
+  let data: unknown;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error: any) {
+    throw new RuleSetError(`Cannot read rule set ${file}: ${error.message}`);
+  }
+
+  return parseRuleSet(data, file);
+}
+
+/**
+ * The default rule set, loaded on first use
+ */
+export function getRuleSet(): RuleSet {
+  if (!defaultRuleSet) {
+    defaultRuleSet = loadRuleSet();
+  }
+  return defaultRuleSet;
+}
+
+/**
+ * Validate a rule set
+ *
+ * @param data - Parsed JSON
+ * @param source - Named in errors
+ * @throws {RuleSetError}
+ */
+export function parseRuleSet(data: unknown, source: string = 'rule set'): RuleSet {
+  const fail = (message: string): never => {
+    throw new RuleSetError(`${source}: ${message}`);
+  };
+
+  if (!isObject(data)) fail('must be a JSON object');
+  const raw = data as Record<string, any>;
+
+  if (!Number.isInteger(raw.version) || raw.version < 1) {
+    fail('version must be a positive integer');
+  }
+
+  if (!isObject(raw.thresholds)) fail('thresholds are required');
+  for (const key of THRESHOLD_KEYS) {
+    if (!Number.isFinite(raw.thresholds[key])) fail(`thresholds.${key} must be a number`);
+  }
+  validateThresholds(raw.thresholds, 'thresholds', fail);
+
+  validateRules(raw.rules ?? {}, 'rules', fail);
+
+  const overrides = raw.overrides ?? [];
+  if (!Array.isArray(overrides)) fail('overrides must be an array');
+
+  const ids = new Set<string>();
+  overrides.forEach((override: any, i: number) => {
+    const at = `overrides[${i}]`;
+    if (!isObject(override) || typeof override.id !== 'string' || !override.id) fail(`${at}.id is required`);
+    if (ids.has(override.id)) fail(`duplicate override id "${override.id}"`);
+    ids.add(override.id);
+
+    if (!isObject(override.match)) fail(`${at}.match is required`);
+    const keys = Object.keys(override.match);
+    if (keys.length === 0) fail(`${at}.match needs one of: ${MATCH_KEYS.join(', ')}`);
+    for (const key of keys) {
+      const values = override.match[key];
+      if (!(MATCH_KEYS as readonly string[]).includes(key)) fail(`${at}.match.${key} is not one of: ${MATCH_KEYS.join(', ')}`);
+      if (!Array.isArray(values) || !values.every((v: unknown) => typeof v === 'string')) {
+        fail(`${at}.match.${key} must be an array of strings`);
+      }
+    }
+
+    validateRules(override.rules ?? {}, `${at}.rules`, fail);
+    if (override.thresholds !== undefined) {
+      if (!isObject(override.thresholds)) fail(`${at}.thresholds must be an object`);
+      validateThresholds(override.thresholds, `${at}.thresholds`, fail);
+    }
+  });
+
+  return {
+    version: raw.version,
+    checksum: createHash('sha256').update(JSON.stringify(raw)).digest('hex').slice(0, 12),
+    description: typeof raw.description === 'string' ? raw.description : undefined,
+    thresholds: { ...raw.thresholds },
+    rules: raw.rules ?? {},
+    overrides
+  };
+}
+
+/**
+ * The rule set for one product: registered rules with their declared weights,
+ * the rule set's settings, then the settings of every matching override in
+ * file order
+ *
+ * @param ruleSet - Rule set (default: config/verification-rules.json)
+ * @param product - The fields overrides match on
+ */
+export function resolveRuleSet(
+  ruleSet: RuleSet = getRuleSet(),
+  product: { source?: string | null; retailer?: string | null; brand?: string | null } = {}
+): ResolvedRuleSet {
+  const applied = ruleSet.overrides.filter(override => matchesOverride(override, product));
+
+  const thresholds = { ...ruleSet.thresholds };
+  const rules: Record<string, Required<RuleSettings>> = {};
+
+  for (const rule of registry.values()) {
+    rules[rule.id] = { enabled: true, weight: rule.weight, params: { ...rule.params } };
+  }
+
+  for (const layer of [ruleSet, ...applied]) {
+    Object.assign(thresholds, layer.thresholds);
+
+    for (const [id, settings] of Object.entries(layer.rules || {})) {
+      const current = rules[id];
+      if (!current) continue; // Rule no longer registered
+
+      rules[id] = {
+        enabled: settings.enabled ?? current.enabled,
+        weight: settings.weight ?? current.weight,
+        params: { ...current.params, ...settings.params }
+      };
+    }
+  }
+
+  return {
+    version: ruleSet.version,
+    checksum: ruleSet.checksum,
+    overrides: applied.map(override => override.id),
+    thresholds,
+    rules
+  };
+}
+
+/**
+ * Params of a rule in a resolved rule set
+ */
+export function ruleParams(rules: ResolvedRuleSet, id: string): RuleParams {
+  return rules.rules[id]?.params || {};
+}
+
+/**
+ * Version, checksum and overrides of a resolved rule set
+ */
+export function ruleSetStamp(rules: ResolvedRuleSet): RuleSetStamp {
+  return { version: rules.version, checksum: rules.checksum, overrides: rules.overrides };
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+/**
+ * Score one layer with its enabled rules
+ *
+ * @returns The layer score (0 to the sum of the rules' weights) and the points per rule
+ */
+export function scoreLayer(
+  layer: RuleLayer,
+  facts: RuleFacts,
+  rules: ResolvedRuleSet
+): { score: number; points: Record<string, number> } {
+  const points: Record<string, number> = {};
+  let total = 0;
+  let max = 0;
+
+  for (const rule of registry.values()) {
+    const settings = rules.rules[rule.id];
+    if (rule.layer !== layer || !settings?.enabled) continue;
+
+    points[rule.id] = Math.round(rule.score(facts, settings.params) * settings.weight);
+    total += points[rule.id];
+    max += settings.weight;
+  }
+
+  return { score: Math.min(max, Math.max(0, total)), points };
+}
+
+/**
+ * Combine the layer scores into the final score: bonuses are added, the floor
+ * applies to products passing layers 1 and 2, then the cap, and penalties are
+ * taken off last so they always cost
+ */
+export function scoreConfidence(
+  layers: { completeness: number; quality: number; ai: number },
+  facts: RuleFacts,
+  rules: ResolvedRuleSet
+) {
+  const { thresholds } = rules;
+  const bonus = scoreLayer('bonus', facts, rules);
+  const penalty = scoreLayer('penalty', facts, rules);
+
+  let total = layers.completeness + layers.quality + layers.ai + bonus.score;
+
+  const layersPassed = Boolean(facts.completeness?.passed && facts.quality?.passed);
+  if (layersPassed) {
+    total = Math.max(thresholds.floor, total);
+  }
+
+  const final = Math.max(0, Math.min(thresholds.cap, total) - penalty.score);
+
+  return {
+    bonuses: bonus.points,
+    penalties: penalty.points,
+    final,
+    category: scoreCategory(final, thresholds),
+    passed: layersPassed && final >= thresholds.pass,
+    requiresReview: requiresReview({
+      final,
+      criticalIssues: facts.criticalIssues || 0,
+      redFlags: facts.ai?.redFlags || 0,
+      priceReasonable: facts.quality ? facts.quality.price.reasonable : true
+    }, thresholds)
+  };
+}
+
+/**
+ * Score a verification from its facts alone, as a replay does
+ */
+export function evaluateFacts(facts: RuleFacts, rules: ResolvedRuleSet) {
+  const layers = {
+    completeness: scoreLayer('completeness', facts, rules).score,
+    quality: scoreLayer('quality', facts, rules).score,
+    ai: scoreLayer('ai', facts, rules).score
+  };
+
+  return { ...layers, ...scoreConfidence(layers, facts, rules) };
+}
+
+/**
+ * Category of a final score
+ */
+export function scoreCategory(score: number, thresholds: RuleThresholds): ScoreCategoryName {
+  if (score < thresholds.pass) return 'rejected';
+  if (score < thresholds.acceptable) return 'requires_review';
+  if (score < thresholds.highConfidence) return 'acceptable';
+  return 'high_confidence';
+}
+
+/**
+ * Whether a moderator should look at the product: low score, critical
+ * issues, AI red flags or unreasonable prices
+ */
+export function requiresReview(
+  verdict: { final: number; criticalIssues: number; redFlags: number; priceReasonable: boolean },
+  thresholds: RuleThresholds
+): boolean {
+  return verdict.final < thresholds.review ||
+    verdict.criticalIssues > 0 ||
+    verdict.redFlags > 0 ||
+    !verdict.priceReasonable;
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function isObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function validateThresholds(thresholds: Record<string, any>, at: string, fail: (message: string) => never): void {
+  for (const [key, value] of Object.entries(thresholds)) {
+    if (!(THRESHOLD_KEYS as string[]).includes(key)) fail(`${at}.${key} is not a threshold`);
+    if (!Number.isFinite(value)) fail(`${at}.${key} must be a number`);
+  }
+}
+
+function validateRules(rules: unknown, at: string, fail: (message: string) => never): void {
+  if (!isObject(rules)) fail(`${at} must be an object`);
+
+  for (const [id, settings] of Object.entries(rules as Record<string, any>)) {
+    if (!registry.has(id)) fail(`${at}.${id}: unknown rule (registered: ${[...registry.keys()].join(', ')})`);
+    if (!isObject(settings)) fail(`${at}.${id} must be an object`);
+    if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') fail(`${at}.${id}.enabled must be true or false`);
+    if (settings.weight !== undefined && !(Number.isFinite(settings.weight) && settings.weight >= 0)) {
+      fail(`${at}.${id}.weight must be a number of 0 or more`);
+    }
+    if (settings.params !== undefined && !isObject(settings.params)) fail(`${at}.${id}.params must be an object`);
+  }
+}
+
+function matchesOverride(
+  override: RuleSetOverride,
+  product: { source?: string | null; retailer?: string | null; brand?: string | null }
+): boolean {
+  return MATCH_KEYS.every(key => {
+    const patterns = override.match[key];
+    if (!patterns) return true;
+
+    const value = (product[key] || '').toLowerCase();
+    return Boolean(value) && patterns.some(pattern => globToRegExp(pattern).test(value));
+  });
+}
+
+function globToRegExp(pattern: string): RegExp {
+  const escaped = pattern.toLowerCase().split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+BUILTIN_RULES.forEach(registerRule);
@@ -6,6 +6,7 @@
 
 import prisma from '../../db/client';
 import { ConfidenceScore, ScoreCategory } from './types';
+import { RuleThresholds, getRuleSet } from './rules/rule-engine';
 
 /**
  * Update product confidence score
@@ -44,6 +45,7 @@ export async function updateProductScore(
  * @param productId - Product ID
  * @param score - Confidence score breakdown
  * @param corrections - Suggested corrections
+ * @param thresholds - Of the product's rule set (default: config/verification-rules.json)
  */
 export async function updateProductWithVerification(
   productId: string,
@@ -51,7 +53,8 @@ export async function updateProductWithVerification(
   corrections?: {
     brand?: string;
     category?: string;
-  }
+  },
+  thresholds: RuleThresholds = getRuleSet().thresholds
 ): Promise<void> {
   try {
     const updateData: any = {
@@ -59,19 +62,26 @@ export async function updateProductWithVerification(
       lastVerifiedAt: new Date()
     };
 
-    // Apply corrections if provided and score is high enough
-    if (corrections && score.final >= 85) {
-      if (corrections.brand) {
+    // Apply corrections if provided and score is high enough,
+    // except to fields a moderator corrected (see services/review)
+    if (corrections && score.final >= thresholds.applyCorrections) {
+      const product = await prisma.product.findUnique({
+        where: { id: productId },
+        select: { lockedFields: true }
+      });
+      const lockedFields: string[] = product?.lockedFields || [];
+
+      if (corrections.brand && !lockedFields.includes('brand')) {
         updateData.brand = corrections.brand;
       }
 
-      if (corrections.category) {
+      if (corrections.category && !lockedFields.includes('category')) {
         updateData.category = corrections.category;
       }
     }
 
     // Deactivate product if score is too low
-    if (score.final < 70) {
+    if (score.final < thresholds.pass) {
       updateData.isActive = false;
     }
 
@@ -131,21 +141,26 @@ export async function getProductsByScoreCategory(
 }
 
 /**
- * Get products requiring review
+ * Get products requiring review and not yet in the review queue
+ * (see services/review)
  *
  * @param limit - Maximum number of products to return
  * @returns Products requiring manual review
  */
 export async function getProductsRequiringReview(limit: number = 50): Promise<any[]> {
   try {
-    const reviewThreshold = parseInt(process.env.MANUAL_REVIEW_THRESHOLD || '85', 10);
+    // The rule set's threshold without overrides, which may raise it for some products
+    const reviewThreshold = getRuleSet().thresholds.review;
 
     const products = await prisma.product.findMany({
       where: {
         confidenceScore: {
           lt: reviewThreshold
         },
-        isActive: true
+        isActive: true,
+        reviewTasks: {
+          none: { status: { in: ['open', 'claimed'] } }
+        }
       },
       orderBy: {
         confidenceScore: 'asc'
@@ -8,6 +8,7 @@
  */
 
 import { Product, ProductCategory, ProductSource, VerificationStatus } from '@prisma/client';
+import type { RuleFacts, RuleSetStamp } from './rules/rule-engine';
 
 // ============================================
 // CORE VERIFICATION TYPES
@@ -31,6 +32,7 @@ export interface VerifiableProduct {
   brand: string;
   category: ProductCategory;
   source: ProductSource;
+  retailer?: string | null;
   originalPrice: number;
   salePrice: number;
   discountPercentage: number;
@@ -106,6 +108,7 @@ export interface QualityResult extends VerificationResult {
   layer: VerificationLayer.QUALITY;
   urlCheck: UrlValidationResult;
   imageCheck?: ImageValidationResult;
+  imageFingerprint?: ImageFingerprintResult;
   priceCheck: PriceValidationResult;
   discountCheck: DiscountValidationResult;
 }
@@ -121,6 +124,14 @@ export interface UrlValidationResult {
   redirectUrl?: string;
 }
 
+/**
+ * Whether a product page still exists, from a URL validation result
+ * - live: the page answered
+ * - gone: the retailer removed it (404/410, or a redirect to its home page)
+ * - unknown: the check failed for another reason (timeout, blocked, 5xx)
+ */
+export type ProductUrlStatus = 'live' | 'gone' | 'unknown';
+
 /**
  * Image validation result
  */
@@ -133,9 +144,21 @@ export interface ImageValidationResult {
     height: number;
   };
   fileSize?: number;
+  perceptualHash?: string; // validateImageFull only (see validators/image-hash.ts)
   error?: string;
 }
 
+/**
+ * Image content check: placeholder and reused images (see image-fingerprint.ts)
+ */
+export interface ImageFingerprintResult {
+  hash: string;
+  placeholder: string | null;  // Label of the matching blocklisted placeholder
+  sharedWith: string[];        // Unrelated products with the same image
+  flagged: boolean;
+  issues: VerificationIssue[];
+}
+
 /**
  * Price validation result
  */
@@ -260,6 +283,14 @@ export interface ConfidenceScore {
     fromTrustedSource: number;
   };
 
+  // Penalties, taken off after the floor
+  penalties?: {
+    flaggedImage: number;
+  };
+
+  // Rule set that scored the product (see rules/rule-engine.ts)
+  rules?: RuleSetStamp;
+
   // Final score (70-99)
   final: number;
 
@@ -296,6 +327,7 @@ export interface CompleteVerificationResult {
   allIssues: VerificationIssue[];
   summary: string;
   verifiedAt: Date;
+  facts?: RuleFacts; // What the rules scored, logged for replays
 }
 
 /**
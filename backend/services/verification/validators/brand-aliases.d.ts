@@ -0,0 +1,10 @@
+/**
+ * Type declarations for the shared brand aliases (brand-aliases.js),
+ * used by the TypeScript brand validator.
+ */
+
+export const BRAND_VARIATIONS: Record<string, string>;
+
+export function normalizeBrandName(brand: string): string;
+
+export function brandKey(brand?: string | null): string;
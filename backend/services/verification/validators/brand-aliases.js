@@ -0,0 +1,91 @@
+/**
+ * Brand Aliases
+ *
+ * Brand name normalization and known spellings ("hm", "tnf", "ysl", ...),
+ * shared by the brand validator (brand-validator.ts) and the product matcher
+ * (services/matching), which is plain JavaScript.
+ */
+
+const BRAND_VARIATIONS = {
+  'h&m': 'H&M',
+  'hm': 'H&M',
+  'h & m': 'H&M',
+  'nike': 'Nike',
+  'adidas': 'Adidas',
+  'zara': 'Zara',
+  'mango': 'Mango',
+  'asos': 'ASOS',
+  'uniqlo': 'Uniqlo',
+  'pull&bear': 'Pull&Bear',
+  'pull & bear': 'Pull&Bear',
+  'pullbear': 'Pull&Bear',
+  'bershka': 'Bershka',
+  'stradivarius': 'Stradivarius',
+  'gap': 'GAP',
+  'levis': 'Levi\'s',
+  "levi's": 'Levi\'s',
+  'tommy': 'Tommy Hilfiger',
+  'tommy hilfiger': 'Tommy Hilfiger',
+  'calvin': 'Calvin Klein',
+  'calvin klein': 'Calvin Klein',
+  'ck': 'Calvin Klein',
+  'ralph': 'Ralph Lauren',
+  'ralph lauren': 'Ralph Lauren',
+  'polo': 'Polo Ralph Lauren',
+  'polo ralph lauren': 'Polo Ralph Lauren',
+  'the north face': 'The North Face',
+  'north face': 'The North Face',
+  'tnf': 'The North Face',
+  'dr martens': 'Dr. Martens',
+  'dr. martens': 'Dr. Martens',
+  'doc martens': 'Dr. Martens',
+  'new balance': 'New Balance',
+  'nb': 'New Balance',
+  'under armour': 'Under Armour',
+  'ua': 'Under Armour',
+  'louis vuitton': 'Louis Vuitton',
+  'lv': 'Louis Vuitton',
+  'ysl': 'Saint Laurent',
+  'saint laurent': 'Saint Laurent',
+  'yves saint laurent': 'Saint Laurent',
+  'balenciaga': 'Balenciaga',
+  'dg': 'Dolce & Gabbana',
+  'd&g': 'Dolce & Gabbana',
+  'dolce gabbana': 'Dolce & Gabbana',
+  'dolce & gabbana': 'Dolce & Gabbana',
+  'cos': 'COS',
+  '& other stories': 'Other Stories',
+  'other stories': 'Other Stories',
+  'massimo dutti': 'Massimo Dutti'
+};
+
+/**
+ * Normalize brand name for comparison
+ *
+ * @param {string} brand - Brand name to normalize
+ * @returns {string} - Normalized brand name
+ */
+function normalizeBrandName(brand) {
+  return brand
+    .trim()
+    .replace(/\s+/g, ' ') // Replace multiple spaces with single space
+    .replace(/[^\w\s&'-]/g, '') // Remove special characters except &, ', -
+    .toLowerCase();
+}
+
+/**
+ * Stable key for a brand, equal for every known spelling of it
+ * ("H & M", "hm" and "H&M" all give "h&m")
+ */
+function brandKey(brand) {
+  if (!brand) return '';
+  const normalized = normalizeBrandName(String(brand));
+  const canonical = BRAND_VARIATIONS[normalized];
+  return canonical ? canonical.toLowerCase() : normalized;
+}
+
+module.exports = {
+  BRAND_VARIATIONS,
+  normalizeBrandName,
+  brandKey
+};
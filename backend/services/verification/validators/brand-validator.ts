@@ -9,6 +9,10 @@
  */
 
 import { KNOWN_BRANDS, BrandValidatorConfig } from '../types';
+import { BRAND_VARIATIONS, normalizeBrandName } from './brand-aliases';
+
+// Shared with the JavaScript product matcher (services/matching)
+export { normalizeBrandName };
 
 /**
  * Default configuration for brand validation
@@ -83,20 +87,6 @@ export function validateBrand(
   };
 }
 
-/**
- * Normalize brand name for comparison
- *
- * @param brand - Brand name to normalize
- * @returns Normalized brand name
- */
-export function normalizeBrandName(brand: string): string {
-  return brand
-    .trim()
-    .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-    .replace(/[^\w\s&'-]/g, '') // Remove special characters except &, ', -
-    .toLowerCase();
-}
-
 /**
  * Find exact match in known brands (case-insensitive)
  *
@@ -203,66 +193,7 @@ function levenshteinDistance(str1: string, str2: string): number {
  * @returns Corrected brand name or null
  */
 function findBrandVariation(brand: string): string | null {
-  const variations: Record<string, string> = {
-    'h&m': 'H&M',
-    'hm': 'H&M',
-    'h & m': 'H&M',
-    'nike': 'Nike',
-    'adidas': 'Adidas',
-    'zara': 'Zara',
-    'mango': 'Mango',
-    'asos': 'ASOS',
-    'uniqlo': 'Uniqlo',
-    'pull&bear': 'Pull&Bear',
-    'pull & bear': 'Pull&Bear',
-    'pullbear': 'Pull&Bear',
-    'bershka': 'Bershka',
-    'stradivarius': 'Stradivarius',
-    'gap': 'GAP',
-    'levis': 'Levi\'s',
-    "levi's": 'Levi\'s',
-    'tommy': 'Tommy Hilfiger',
-    'tommy hilfiger': 'Tommy Hilfiger',
-    'calvin': 'Calvin Klein',
-    'calvin klein': 'Calvin Klein',
-    'ck': 'Calvin Klein',
-    'ralph': 'Ralph Lauren',
-    'ralph lauren': 'Ralph Lauren',
-    'polo': 'Polo Ralph Lauren',
-    'polo ralph lauren': 'Polo Ralph Lauren',
-    'the north face': 'The North Face',
-    'north face': 'The North Face',
-    'tnf': 'The North Face',
-    'dr martens': 'Dr. Martens',
-    'dr. martens': 'Dr. Martens',
-    'doc martens': 'Dr. Martens',
-    'new balance': 'New Balance',
-    'nb': 'New Balance',
-    'under armour': 'Under Armour',
-    'ua': 'Under Armour',
-    'louis vuitton': 'Louis Vuitton',
-    'lv': 'Louis Vuitton',
-    'ysl': 'Saint Laurent',
-    'saint laurent': 'Saint Laurent',
-    'yves saint laurent': 'Saint Laurent',
-    'balenciaga': 'Balenciaga',
-    'dg': 'Dolce & Gabbana',
-    'd&g': 'Dolce & Gabbana',
-    'dolce gabbana': 'Dolce & Gabbana',
-    'dolce & gabbana': 'Dolce & Gabbana',
-    'cos': 'COS',
-    '& other stories': 'Other Stories',
-    'other stories': 'Other Stories',
-    'massimo dutti': 'Massimo Dutti'
-  };
-
-  const brandLower = brand.toLowerCase();
-
-  if (variations[brandLower]) {
-    return variations[brandLower];
-  }
-
-  return null;
+  return BRAND_VARIATIONS[brand.toLowerCase()] || null;
 }
 
 /**
@@ -357,3 +288,13 @@ export function validateBrands(
 
   return new Map(results.map(({ brand, result }) => [brand, result]));
 }
+
+/**
+ * Every brand name the validator recognises, as spelled canonically
+ * (known brands and the targets of brand variations)
+ *
+ * @returns Unique brand names
+ */
+export function listKnownBrands(): string[] {
+  return [...new Set([...KNOWN_BRANDS, ...Object.values(BRAND_VARIATIONS)])];
+}
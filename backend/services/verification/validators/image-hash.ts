@@ -0,0 +1,138 @@
+/**
+ * Image Hash
+ *
+ * Perceptual hashing of product images (dHash): the image is shrunk to 9x8
+ * grayscale pixels and each bit says whether a pixel is brighter than its
+ * right neighbour. Resized, re-encoded or slightly recoloured copies of an
+ * image get the same hash or one a few bits away, so hashes tell placeholder
+ * tiles and photos reused across products apart from real product photos.
+ */
+
+import sharp from 'sharp';
+
+/**
+ * Default configuration for image hash matching
+ */
+export const IMAGE_HASH_CONFIG = {
+  placeholderDistance: 6  // Max differing bits (of 64) to match a placeholder
+};
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * Product fields that decide whether two products may share an image
+ */
+export interface ImageOwner {
+  id: string;
+  canonicalProductId?: string | null;
+}
+
+/**
+ * Compute the perceptual hash of an image
+ *
+ * @param buffer - Image file contents (any format sharp decodes)
+ * @returns 16 hex digits
+ */
+export async function computePerceptualHash(buffer: Buffer): Promise<string> {
+  const pixels = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  return dHashFromPixels(pixels);
+}
+
+/**
+ * dHash of a 9x8 grayscale pixel grid (row by row)
+ *
+ * @param pixels - 72 brightness values
+ * @returns 16 hex digits
+ */
+export function dHashFromPixels(pixels: ArrayLike<number>): string {
+  if (pixels.length !== HASH_WIDTH * HASH_HEIGHT) {
+    throw new Error(`Expected ${HASH_WIDTH * HASH_HEIGHT} pixels, got ${pixels.length}`);
+  }
+
+  let hash = '';
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    let bits = 0;
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = pixels[y * HASH_WIDTH + x];
+      const right = pixels[y * HASH_WIDTH + x + 1];
+      bits = (bits << 1) | (left > right ? 1 : 0);
+    }
+    hash += bits.toString(16).padStart(2, '0');
+  }
+
+  return hash;
+}
+
+/**
+ * Whether a value is a hash this module produces
+ */
+export function isPerceptualHash(value: unknown): value is string {
+  return typeof value === 'string' && /^[0-9a-f]{16}$/.test(value);
+}
+
+/**
+ * Number of differing bits between two hashes
+ */
+export function hammingDistance(a: string, b: string): number {
+  if (!isPerceptualHash(a) || !isPerceptualHash(b)) {
+    throw new Error(`Not a perceptual hash: ${isPerceptualHash(a) ? b : a}`);
+  }
+
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let diff = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+
+  return distance;
+}
+
+/**
+ * The closest blocklisted placeholder within maxDistance bits of a hash
+ *
+ * @param hash - Hash of the product image
+ * @param placeholders - Blocklisted placeholder hashes
+ * @returns The matching placeholder, or null
+ */
+export function findPlaceholder<T extends { hash: string }>(
+  hash: string,
+  placeholders: T[],
+  maxDistance: number = IMAGE_HASH_CONFIG.placeholderDistance
+): T | null {
+  let match: T | null = null;
+  let best = maxDistance + 1;
+
+  for (const placeholder of placeholders) {
+    const distance = hammingDistance(hash, placeholder.hash);
+    if (distance < best) {
+      match = placeholder;
+      best = distance;
+    }
+  }
+
+  return match;
+}
+
+/**
+ * Products among `others` that may not share the product's image: listings
+ * of one canonical product (see services/matching) legitimately do
+ *
+ * @param product - The product whose image was hashed
+ * @param others - Products with the same image hash
+ */
+export function unrelatedOwners<T extends ImageOwner>(product: ImageOwner, others: T[]): T[] {
+  return others.filter(other =>
+    other.id !== product.id &&
+    !(product.canonicalProductId && other.canonicalProductId === product.canonicalProductId)
+  );
+}
@@ -10,6 +10,7 @@
 
 import axios from 'axios';
 import { ImageValidationResult, ImageValidatorConfig } from '../types';
+import { computePerceptualHash } from './image-hash';
 
 /**
  * Default configuration for image validation
@@ -146,7 +147,8 @@ export async function validateImage(
 }
 
 /**
- * Validates an image with full download and dimension checking
+ * Validates an image with full download and dimension checking, and hashes
+ * its content (perceptualHash, see image-hash.ts) whenever it can be decoded
  * (More thorough but slower - use sparingly)
  *
  * @param imageUrl - The image URL to validate
@@ -189,6 +191,9 @@ export async function validateImageFull(
       };
     }
 
+    // Hash the content - also of images too small to be valid, which placeholders often are
+    const perceptualHash = await computePerceptualHash(buffer).catch(() => undefined);
+
     // Get image dimensions from buffer
     const dimensions = getImageDimensions(buffer);
 
@@ -197,6 +202,7 @@ export async function validateImageFull(
         valid: false,
         accessible: true,
         fileSize,
+        perceptualHash,
         error: 'Could not determine image dimensions'
       };
     }
@@ -208,6 +214,7 @@ export async function validateImageFull(
         accessible: true,
         dimensions,
         fileSize,
+        perceptualHash,
         error: `Image too small: ${dimensions.width}x${dimensions.height}. Minimum: ${finalConfig.minWidth}x${finalConfig.minHeight}`
       };
     }
@@ -218,6 +225,7 @@ export async function validateImageFull(
         accessible: true,
         dimensions,
         fileSize,
+        perceptualHash,
         error: `Image too large: ${dimensions.width}x${dimensions.height}. Maximum: ${finalConfig.maxWidth}x${finalConfig.maxHeight}`
       };
     }
@@ -230,7 +238,8 @@ export async function validateImageFull(
       accessible: true,
       format,
       dimensions,
-      fileSize
+      fileSize,
+      perceptualHash
     };
 
   } catch (error: any) {
@@ -9,7 +9,7 @@
  */
 
 import axios, { AxiosResponse } from 'axios';
-import { UrlValidationResult, UrlValidatorConfig } from '../types';
+import { ProductUrlStatus, UrlValidationResult, UrlValidatorConfig } from '../types';
 
 /**
  * Default configuration for URL validation
@@ -141,6 +141,61 @@ export async function validateUrls(
   return new Map(results.map(({ url, result }) => [url, result]));
 }
 
+/**
+ * HTTP statuses that mean the page was removed
+ */
+const GONE_STATUSES = [404, 410];
+
+/**
+ * A home page path, optionally localised (/, /es/, /en-gb)
+ */
+const HOME_PATH = /^(\/[a-z]{2}([-_][a-z]{2})?)?\/?$/i;
+
+/**
+ * Classifies a validation result for the product lifecycle
+ *
+ * Retailers either answer 404/410 for removed products or redirect them to
+ * the (localised) home page; anything else that failed may be temporary, so it is unknown.
+ *
+ * @param result - Result of validateUrl
+ * @returns Whether the product page is live, gone or could not be checked
+ */
+export function classifyUrlResult(result: UrlValidationResult): ProductUrlStatus {
+  if (result.httpStatus && GONE_STATUSES.includes(result.httpStatus)) {
+    return 'gone';
+  }
+
+  if (!result.accessible) {
+    return 'unknown';
+  }
+
+  if (result.redirectUrl) {
+    try {
+      if (HOME_PATH.test(new URL(result.redirectUrl).pathname)) {
+        return 'gone';
+      }
+    } catch {
+      // Unparseable redirect target: the page still answered
+    }
+  }
+
+  return 'live';
+}
+
+/**
+ * Checks whether a product page still exists
+ *
+ * @param url - The product URL
+ * @param config - Optional validator configuration
+ * @returns Whether the page is live, gone or could not be checked
+ */
+export async function checkProductUrl(
+  url: string,
+  config: Partial<UrlValidatorConfig> = {}
+): Promise<ProductUrlStatus> {
+  return classifyUrlResult(await validateUrl(url, config));
+}
+
 /**
  * Quick URL format validation (no network request)
  *
@@ -10,21 +10,49 @@ import {
   VerifiableProduct,
   CompleteVerificationResult,
   BatchVerificationResult,
+  AIVerificationResult,
   VerificationStats,
   VerificationIssue
 } from './types';
 
 import { checkDataCompleteness, getCompletenessSummary } from './data-completeness';
 import { checkDataQuality, getQualitySummary } from './data-quality';
-import { verifyWithAI, getAiSummary } from './ai-verifier';
+import { verifyWithAI, verifyBatchWithAI, getAiSummary, AI_BATCH_SIZE } from './ai-verifier';
 import {
   calculateConfidenceScore,
   requiresManualReview,
   getScoreSummary,
   recommendActions
 } from './confidence-calculator';
-import { logVerification } from './history';
+import { aiSuggestions, logVerification } from './history';
 import { updateProductScore, updateProductWithVerification } from './scoring';
+import { getReviewService } from '../review/review-service';
+import { getQuarantineService } from '../quarantine/quarantine-service';
+import { classifyUrlResult } from './validators/url-validator';
+import { checkImageFingerprint, withImageFingerprint, getFingerprintSummary } from './image-fingerprint';
+import { ResolvedRuleSet, resolveRuleSet } from './rules/rule-engine';
+import { collectFacts } from './rules/facts';
+
+/**
+ * Verification options
+ */
+interface VerifyOptions {
+  useAi?: boolean;
+  updateDatabase?: boolean;
+  logHistory?: boolean;
+}
+
+/**
+ * A product through layers 1 and 2, waiting for the AI layer
+ */
+interface PreparedVerification {
+  product: VerifiableProduct;
+  completeness: Awaited<ReturnType<typeof checkDataCompleteness>>;
+  quality: Awaited<ReturnType<typeof checkDataQuality>>;
+  rules: ResolvedRuleSet;
+  runAi: boolean;
+  startTime: number;
+}
 
 /**
  * Verify a single product through all layers
@@ -35,167 +63,254 @@ import { updateProductScore, updateProductWithVerification } from './scoring';
  */
 export async function verifyProduct(
   productId: string | VerifiableProduct,
-  options: {
-    useAi?: boolean;
-    updateDatabase?: boolean;
-    logHistory?: boolean;
-  } = {}
+  options: VerifyOptions = {}
 ): Promise<CompleteVerificationResult> {
-  const {
-    useAi = true,
-    updateDatabase = true,
-    logHistory = true
-  } = options;
+  try {
+    const prepared = await prepareVerification(productId, options);
+
+    // Layer 3: AI Verification (1-3 seconds) - only if previous layers passed minimum threshold
+    let ai;
+    if (prepared.runAi) {
+      console.log('  Layer 3: Running AI verification...');
+      ai = await verifyWithAI(prepared.product, true);
+      console.log(`  ${getAiSummary(ai)}`);
+    }
+
+    return await completeVerification(prepared, ai, options);
+
+  } catch (error: any) {
+    console.error(`[Verification Manager] Error: ${error.message}`);
+    throw error;
+  }
+}
 
+/**
+ * Fetch the product and run layers 1 and 2
+ */
+async function prepareVerification(
+  productId: string | VerifiableProduct,
+  options: VerifyOptions
+): Promise<PreparedVerification> {
+  const { useAi = true, updateDatabase = true } = options;
   const startTime = Date.now();
 
-  try {
-    // Fetch product if ID provided
-    let product: VerifiableProduct;
+  // Fetch product if ID provided
+  let product: VerifiableProduct;
 
-    if (typeof productId === 'string') {
-      const fetchedProduct = await prisma.product.findUnique({
-        where: { id: productId }
-      });
+  if (typeof productId === 'string') {
+    const fetchedProduct = await prisma.product.findUnique({
+      where: { id: productId }
+    });
 
-      if (!fetchedProduct) {
-        throw new Error(`Product not found: ${productId}`);
-      }
+    if (!fetchedProduct) {
+      throw new Error(`Product not found: ${productId}`);
+    }
+
+    product = fetchedProduct as unknown as VerifiableProduct;
+  } else {
+    product = productId;
+  }
+
+  console.log(`\n[Verification Manager] Starting verification for product: ${product.id}`);
+  console.log(`  ${product.brand} - ${product.name}`);
+
+  // Scoring rules, with the overrides for the product's source, retailer and brand
+  const rules = resolveRuleSet(undefined, product);
+  if (rules.overrides.length > 0) {
+    console.log(`  Rules v${rules.version} with overrides: ${rules.overrides.join(', ')}`);
+  }
 
-      product = fetchedProduct as unknown as VerifiableProduct;
-    } else {
-      product = productId;
+  // Layer 1: Data Completeness (fast)
+  console.log('  Layer 1: Checking data completeness...');
+  const completeness = await checkDataCompleteness(product, rules);
+  console.log(`  ${getCompletenessSummary(completeness)}`);
+
+  // Layer 2: Data Quality (2-5 seconds)
+  console.log('  Layer 2: Checking data quality...');
+  let quality = await checkDataQuality(product, rules);
+  console.log(`  ${getQualitySummary(quality)}`);
+
+  // Layer 2: Image content - placeholders and images reused by unrelated products
+  if (quality.imageCheck?.valid) {
+    const fingerprint = await checkImageFingerprint(product, { record: updateDatabase });
+    if (fingerprint) {
+      quality = withImageFingerprint(quality, fingerprint);
+      console.log(`  ${getFingerprintSummary(fingerprint)}`);
     }
+  }
+
+  const preliminaryScore = completeness.score + quality.score;
+  const runAi = preliminaryScore >= rules.thresholds.runAi && useAi;
 
-    console.log(`\n[Verification Manager] Starting verification for product: ${product.id}`);
-    console.log(`  ${product.brand} - ${product.name}`);
+  if (!useAi) {
+    console.log('  Layer 3: Skipped (AI disabled)');
+  } else if (!runAi) {
+    console.log('  Layer 3: Skipped (preliminary score too low)');
+  }
+
+  return { product, completeness, quality, rules, runAi, startTime };
+}
 
-    const previousScore = product.confidenceScore;
+/**
+ * Score the product with the AI layer's result, then update, log, queue and quarantine it
+ */
+async function completeVerification(
+  { product, completeness, quality, rules, startTime }: PreparedVerification,
+  ai: AIVerificationResult | undefined,
+  options: VerifyOptions
+): Promise<CompleteVerificationResult> {
+  const {
+    updateDatabase = true,
+    logHistory = true
+  } = options;
 
-    // Layer 1: Data Completeness (fast)
-    console.log('  Layer 1: Checking data completeness...');
-    const completeness = await checkDataCompleteness(product);
-    console.log(`  ${getCompletenessSummary(completeness)}`);
+  const previousScore = product.confidenceScore;
 
-    // Layer 2: Data Quality (2-5 seconds)
-    console.log('  Layer 2: Checking data quality...');
-    const quality = await checkDataQuality(product);
-    console.log(`  ${getQualitySummary(quality)}`);
+  // Calculate final confidence score
+  const confidence = calculateConfidenceScore(completeness, quality, ai, product, rules);
+  console.log(`  ${getScoreSummary(confidence)}`);
 
-    // Layer 3: AI Verification (1-3 seconds) - only if previous layers passed minimum threshold
-    let ai;
-    const preliminaryScore = completeness.score + quality.score;
+  // Determine if product passed
+  const passed = completeness.passed && quality.passed && confidence.final >= rules.thresholds.pass;
 
-    if (preliminaryScore >= 40 && useAi) {
-      console.log('  Layer 3: Running AI verification...');
-      ai = await verifyWithAI(product, true);
-      console.log(`  ${getAiSummary(ai)}`);
-    } else if (!useAi) {
-      console.log('  Layer 3: Skipped (AI disabled)');
-    } else {
-      console.log('  Layer 3: Skipped (preliminary score too low)');
-    }
+  // Determine if manual review required
+  const needsReview = requiresManualReview(confidence, completeness, quality, ai, rules);
 
-    // Calculate final confidence score
-    const confidence = calculateConfidenceScore(completeness, quality, ai, product);
-    console.log(`  ${getScoreSummary(confidence)}`);
-
-    // Determine if product passed
-    const passed = completeness.passed && quality.passed && confidence.final >= 70;
-
-    // Determine if manual review required
-    const needsReview = requiresManualReview(confidence, completeness, quality, ai);
-
-    // Collect all issues
-    const allIssues: VerificationIssue[] = [
-      ...completeness.issues,
-      ...quality.issues,
-      ...(ai?.issues || [])
-    ];
-
-    // Generate summary
-    const summary = generateSummary(completeness, quality, ai, confidence, allIssues);
-
-    // Build complete result
-    const result: CompleteVerificationResult = {
-      productId: product.id,
-      completeness,
-      quality,
-      ai,
-      confidence,
-      finalScore: confidence.final,
-      passed,
-      requiresReview: needsReview,
-      allIssues,
-      summary,
-      verifiedAt: new Date()
-    };
+  // Collect all issues
+  const allIssues: VerificationIssue[] = [
+    ...completeness.issues,
+    ...quality.issues,
+    ...(ai?.issues || [])
+  ];
 
-    // Update database if requested
-    if (updateDatabase) {
-      await updateProductScore(product.id, confidence.final);
+  // Generate summary
+  const summary = generateSummary(completeness, quality, ai, confidence, allIssues);
 
-      // Apply corrections if AI suggested them
-      if (ai && confidence.final >= 85) {
-        const corrections: any = {};
+  // Build complete result
+  const result: CompleteVerificationResult = {
+    productId: product.id,
+    completeness,
+    quality,
+    ai,
+    confidence,
+    finalScore: confidence.final,
+    passed,
+    requiresReview: needsReview,
+    allIssues,
+    summary,
+    verifiedAt: new Date(),
+    facts: collectFacts(product, completeness, quality, ai)
+  };
 
-        if (!ai.brandVerification.correct && ai.brandVerification.correctedBrand) {
-          corrections.brand = ai.brandVerification.correctedBrand;
-        }
+  // Update database if requested
+  if (updateDatabase) {
+    await updateProductScore(product.id, confidence.final);
 
-        if (!ai.categoryVerification.accurate && ai.categoryVerification.suggestedCategory) {
-          corrections.category = ai.categoryVerification.suggestedCategory;
-        }
+    // Apply corrections if AI suggested them
+    if (ai && confidence.final >= rules.thresholds.applyCorrections) {
+      const corrections = aiSuggestions(ai);
 
-        if (Object.keys(corrections).length > 0) {
-          await updateProductWithVerification(product.id, confidence, corrections);
-          console.log('  Applied corrections:', corrections);
-        }
+      if (corrections) {
+        await updateProductWithVerification(product.id, confidence, corrections, rules.thresholds);
+        console.log('  Applied corrections:', corrections);
       }
     }
+  }
 
-    // Log to history if requested
-    if (logHistory) {
-      await logVerification(product.id, result, previousScore);
-    }
-
-    const duration = Date.now() - startTime;
-    console.log(`  Verification completed in ${duration}ms`);
-    console.log(`  Final score: ${confidence.final}/99 (${confidence.category})`);
-    console.log(`  Status: ${passed ? 'PASSED' : 'FAILED'}${needsReview ? ' - REVIEW REQUIRED' : ''}\n`);
+  // Log to history if requested
+  if (logHistory) {
+    await logVerification(product.id, result, previousScore);
+  }
 
-    return result;
+  // Queue for a moderator (or refresh the queued task)
+  if (updateDatabase && needsReview) {
+    await getReviewService().enqueue(product.id, {
+      confidenceScore: confidence.final,
+      issues: allIssues,
+      redFlags: ai ? ai.redFlags : [],
+      suggestions: ai ? aiSuggestions(ai) : null,
+      reviewThreshold: rules.thresholds.review
+    });
+  }
 
-  } catch (error: any) {
-    console.error(`[Verification Manager] Error: ${error.message}`);
-    throw error;
+  // Hide the deal while a quarantine rule flags it (after logging, so this run's red flags count)
+  if (updateDatabase) {
+    await getQuarantineService().evaluate(product.id, {
+      urlStatus: classifyUrlResult(quality.urlCheck),
+      trigger: 'verification'
+    });
   }
+
+  const duration = Date.now() - startTime;
+  console.log(`  Verification completed in ${duration}ms`);
+  console.log(`  Final score: ${confidence.final}/99 (${confidence.category})`);
+  console.log(`  Status: ${passed ? 'PASSED' : 'FAILED'}${needsReview ? ' - REVIEW REQUIRED' : ''}\n`);
+
+  return result;
+}
+
+/**
+ * Verify products with their AI layer batched: layers 1 and 2 run per
+ * product, then the products that reach the AI layer share Claude requests
+ * (aiBatchSize products each)
+ */
+async function verifyWithBatchedAi(
+  productIds: string[],
+  options: VerifyOptions,
+  aiBatchSize: number
+): Promise<PromiseSettledResult<CompleteVerificationResult>[]> {
+  const prepared = await Promise.allSettled(
+    productIds.map(id => prepareVerification(id, options))
+  );
+
+  const eligible = prepared
+    .filter((p): p is PromiseFulfilledResult<PreparedVerification> => p.status === 'fulfilled' && p.value.runAi)
+    .map(p => p.value);
+
+  console.log(`  Layer 3: Running AI verification for ${eligible.length} products (${aiBatchSize} per request)...`);
+  const aiResults = await verifyBatchWithAI(eligible.map(p => p.product), { batchSize: aiBatchSize });
+  const aiByProduct = new Map(eligible.map((p, i) => [p.product.id, aiResults[i]]));
+
+  return Promise.allSettled(prepared.map(async p => {
+    if (p.status === 'rejected') throw p.reason;
+
+    const ai = aiByProduct.get(p.value.product.id);
+    if (ai) {
+      console.log(`  ${p.value.product.id}: ${getAiSummary(ai)}`);
+    }
+
+    return completeVerification(p.value, ai, options);
+  }));
 }
 
 /**
  * Verify multiple products in batch
  *
  * @param productIds - Array of product IDs
- * @param options - Verification options
+ * @param options - Verification options; aiBatchSize is the number of products
+ *   per Claude request (default: AI_VERIFICATION_BATCH_SIZE, 1 = one request per product)
  * @returns Batch verification result
  */
 export async function verifyBatch(
   productIds: string[],
-  options: {
-    useAi?: boolean;
-    updateDatabase?: boolean;
-    logHistory?: boolean;
+  options: VerifyOptions & {
     batchSize?: number;
+    aiBatchSize?: number;
   } = {}
 ): Promise<BatchVerificationResult> {
   const {
-    batchSize = parseInt(process.env.VERIFICATION_BATCH_SIZE || '10', 10)
+    useAi = true,
+    batchSize = parseInt(process.env.VERIFICATION_BATCH_SIZE || '10', 10),
+    aiBatchSize = AI_BATCH_SIZE
   } = options;
 
   const startTime = Date.now();
 
   console.log(`\n[Batch Verification] Starting batch verification for ${productIds.length} products`);
   console.log(`  Batch size: ${batchSize}`);
+  if (useAi && aiBatchSize > 1) {
+    console.log(`  AI batch size: ${aiBatchSize}`);
+  }
 
   const results: CompleteVerificationResult[] = [];
   let processed = 0;
@@ -209,9 +324,9 @@ export async function verifyBatch(
     console.log(`\n  Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(productIds.length / batchSize)}`);
 
     // Verify products in parallel within batch
-    const batchResults = await Promise.allSettled(
-      batch.map(id => verifyProduct(id, options))
-    );
+    const batchResults = useAi && aiBatchSize > 1
+      ? await verifyWithBatchedAi(batch, options, aiBatchSize)
+      : await Promise.allSettled(batch.map(id => verifyProduct(id, options)));
 
     for (const result of batchResults) {
       if (result.status === 'fulfilled') {
@@ -444,7 +559,8 @@ export async function getVerificationRecommendations(
     result.confidence,
     result.completeness,
     result.quality,
-    result.ai
+    result.ai,
+    resolveRuleSet(undefined, result.facts?.product)
   );
 }
 
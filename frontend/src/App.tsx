@@ -11,10 +11,10 @@ import { Pagination } from './components/ui/Pagination';
 import { ToastContainer } from './components/ui/Toast';
 import { LoadingSkeleton } from './components/ui/LoadingSkeleton';
 import { DealsProvider, useDealsContext } from './context/DealsContext';
+import { AuthProvider } from './context/AuthContext';
 import { useSearch } from './hooks/useSearch';
-import { usePagination } from './hooks/usePagination';
 import { useToast } from './hooks/useToast';
-import type { Product } from './types';
+import type { Product, ProductCategory, SearchSuggestionItem } from './types';
 
 // Lazy load analytics dashboard
 const AnalyticsDashboard = lazy(() =>
@@ -23,6 +23,44 @@ const AnalyticsDashboard = lazy(() =>
   }))
 );
 
+// Lazy load the scraper health page (/analytics/scrapers)
+const ScraperHealthDashboard = lazy(() =>
+  import('./components/analytics/ScraperHealthDashboard').then(module => ({
+    default: module.ScraperHealthDashboard
+  }))
+);
+
+const ScraperHealthPage: React.FC = () => (
+  <div className="min-h-screen bg-gray-950 text-white">
+    <Header />
+    <main className="relative z-10 max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <Suspense fallback={<LoadingSkeleton variant="card" count={4} />}>
+        <ScraperHealthDashboard />
+      </Suspense>
+    </main>
+    <Footer />
+  </div>
+);
+
+// Lazy load the manual review page (/admin/reviews)
+const ReviewDashboard = lazy(() =>
+  import('./components/review/ReviewDashboard').then(module => ({
+    default: module.ReviewDashboard
+  }))
+);
+
+const ReviewPage: React.FC = () => (
+  <div className="min-h-screen bg-gray-950 text-white">
+    <Header />
+    <main className="relative z-10 max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <Suspense fallback={<LoadingSkeleton variant="card" count={3} />}>
+        <ReviewDashboard />
+      </Suspense>
+    </main>
+    <Footer />
+  </div>
+);
+
 const DealsPage: React.FC = () => {
   const {
     deals,
@@ -30,7 +68,13 @@ const DealsPage: React.FC = () => {
     isLoading,
     error,
     total,
+    facets,
+    page,
+    pageSize,
+    hasNextPage,
     lastUpdated,
+    nextPage,
+    previousPage,
     updateFilters,
     resetFilters,
     setSearchQuery
@@ -44,17 +88,41 @@ const DealsPage: React.FC = () => {
     setSearchQuery(q);
   }, 300);
 
-  const pagination = usePagination({
-    totalItems: total,
-    pageSize: 50,
-    initialPage: 1
-  });
-
   const handleViewDeal = (product: Product) => {
     window.open(product.url, '_blank', 'noopener,noreferrer');
     success(`Opening deal: ${product.name}`);
   };
 
+  const handleSuggestionSelect = (item: SearchSuggestionItem) => {
+    switch (item.type) {
+      case 'product':
+        window.open(item.url, '_blank', 'noopener,noreferrer');
+        break;
+      case 'query':
+        setQuery(item.search);
+        updateFilters({
+          brands: item.filters.brand ? [item.filters.brand] : [],
+          ...(item.filters.category && { categories: [item.filters.category as ProductCategory] }),
+          ...(item.filters.maxPrice !== undefined && {
+            priceRange: { min: 0, max: item.filters.maxPrice }
+          })
+        });
+        break;
+      case 'brand':
+        setQuery(item.brand);
+        break;
+      case 'category':
+        setQuery(item.keyword);
+        updateFilters({ categories: [item.category as ProductCategory] });
+        break;
+      case 'retailer':
+        setQuery('');
+        setSearchQuery('');
+        updateFilters({ retailers: [item.name] });
+        break;
+    }
+  };
+
   if (error) {
     showError(error.message);
   }
@@ -93,6 +161,7 @@ const DealsPage: React.FC = () => {
             <SearchBar
               value={query}
               onChange={setQuery}
+              onSuggestionSelect={handleSuggestionSelect}
               placeholder="Search for brands, products, or styles..."
             />
           </div>
@@ -158,6 +227,7 @@ const DealsPage: React.FC = () => {
                 <div className="lg:sticky lg:top-20">
                   <FilterPanel
                     filters={filters}
+                    facets={facets}
                     onFilterChange={updateFilters}
                     onReset={resetFilters}
                     isOpen={showFilters}
@@ -176,14 +246,15 @@ const DealsPage: React.FC = () => {
               />
 
               {/* Pagination */}
-              {!isLoading && total > pagination.pageSize && (
+              {!isLoading && total > pageSize && (
                 <div className="mt-8">
                   <Pagination
-                    currentPage={pagination.currentPage}
-                    totalPages={pagination.totalPages}
-                    onPageChange={pagination.goToPage}
-                    pageSize={pagination.pageSize}
+                    currentPage={page}
+                    pageSize={pageSize}
                     totalItems={total}
+                    hasNextPage={hasNextPage}
+                    onNext={nextPage}
+                    onPrevious={previousPage}
                   />
                 </div>
               )}
@@ -205,12 +276,20 @@ const DealsPage: React.FC = () => {
   );
 };
 
+function pageFor(pathname: string): React.ReactElement {
+  if (pathname.startsWith('/analytics/scrapers')) return <ScraperHealthPage />;
+  if (pathname.startsWith('/admin/reviews')) return <ReviewPage />;
+  return <DealsPage />;
+}
+
 const App: React.FC = () => {
   return (
     <ErrorBoundary>
-      <DealsProvider>
-        <DealsPage />
-      </DealsProvider>
+      <AuthProvider>
+        <DealsProvider>
+          {pageFor(window.location.pathname)}
+        </DealsProvider>
+      </AuthProvider>
     </ErrorBoundary>
   );
 };
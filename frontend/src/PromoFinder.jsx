@@ -1,4 +1,8 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { formatPrice } from './utils/regionDetection';
+import { toSuggestionItems, suggestionLabel } from './utils/suggestions';
+import { useSuggestions } from './hooks/useSuggestions';
+import { useAuthContext } from './context/AuthContext';
 
 // Translations
 const translations = {
@@ -29,12 +33,27 @@ const translations = {
     off: 'OFF',
     originalPrice: 'Was',
     noResults: 'No deals found. Try a different search.',
+    loadMore: 'Load more deals',
     trending: 'Trending Now',
     featuredBrands: 'Featured Brands',
     liveDeals: 'Live Deals',
     lastUpdated: 'Last updated',
     seconds: 'seconds ago',
-    language: 'Language'
+    language: 'Language',
+    suggestionGroups: { query: 'Suggestions', brand: 'Brands', category: 'Categories', retailer: 'Retailers', product: 'Products' },
+    removeFilter: 'Remove filter',
+    signIn: 'Sign in',
+    signOut: 'Sign out',
+    createAccount: 'Create account',
+    accountHint: 'Save deals to your account and find them on any device.',
+    email: 'Email',
+    password: 'Password',
+    nameOptional: 'Name (optional)',
+    noAccount: 'No account yet? Create one',
+    haveAccount: 'Already have an account? Sign in',
+    authError: 'Something went wrong, please try again',
+    saveDeal: 'Save deal',
+    unsaveDeal: 'Remove from saved deals'
   },
   it: {
     title: 'PROMO',
@@ -63,12 +82,27 @@ const translations = {
     off: 'SCONTO',
     originalPrice: 'Era',
     noResults: 'Nessuna offerta trovata. Prova una ricerca diversa.',
+    loadMore: 'Carica altre offerte',
     trending: 'Di Tendenza',
     featuredBrands: 'Brand in Evidenza',
     liveDeals: 'Offerte Live',
     lastUpdated: 'Ultimo aggiornamento',
     seconds: 'secondi fa',
-    language: 'Lingua'
+    language: 'Lingua',
+    suggestionGroups: { query: 'Suggerimenti', brand: 'Brand', category: 'Categorie', retailer: 'Negozi', product: 'Prodotti' },
+    removeFilter: 'Rimuovi filtro',
+    signIn: 'Accedi',
+    signOut: 'Esci',
+    createAccount: 'Crea account',
+    accountHint: 'Salva le offerte nel tuo account e ritrovale su ogni dispositivo.',
+    email: 'Email',
+    password: 'Password',
+    nameOptional: 'Nome (facoltativo)',
+    noAccount: 'Non hai un account? Creane uno',
+    haveAccount: 'Hai già un account? Accedi',
+    authError: 'Qualcosa è andato storto, riprova',
+    saveDeal: 'Salva offerta',
+    unsaveDeal: 'Rimuovi dalle offerte salvate'
   },
   es: {
     title: 'PROMO',
@@ -97,12 +131,27 @@ const translations = {
     off: 'DESCUENTO',
     originalPrice: 'Antes',
     noResults: 'No se encontraron ofertas. Intenta otra búsqueda.',
+    loadMore: 'Cargar más ofertas',
     trending: 'Tendencias',
     featuredBrands: 'Marcas Destacadas',
     liveDeals: 'Ofertas en Vivo',
     lastUpdated: 'Última actualización',
     seconds: 'segundos',
-    language: 'Idioma'
+    language: 'Idioma',
+    suggestionGroups: { query: 'Sugerencias', brand: 'Marcas', category: 'Categorías', retailer: 'Tiendas', product: 'Productos' },
+    removeFilter: 'Quitar filtro',
+    signIn: 'Iniciar sesión',
+    signOut: 'Cerrar sesión',
+    createAccount: 'Crear cuenta',
+    accountHint: 'Guarda ofertas en tu cuenta y encuéntralas en cualquier dispositivo.',
+    email: 'Email',
+    password: 'Contraseña',
+    nameOptional: 'Nombre (opcional)',
+    noAccount: '¿No tienes cuenta? Crea una',
+    haveAccount: '¿Ya tienes cuenta? Inicia sesión',
+    authError: 'Algo salió mal, inténtalo de nuevo',
+    saveDeal: 'Guardar oferta',
+    unsaveDeal: 'Quitar de ofertas guardadas'
   },
   fr: {
     title: 'PROMO',
@@ -131,12 +180,27 @@ const translations = {
     off: 'REMISE',
     originalPrice: 'Était',
     noResults: 'Aucune offre trouvée. Essayez une autre recherche.',
+    loadMore: "Charger plus d'offres",
     trending: 'Tendances',
     featuredBrands: 'Marques Vedettes',
     liveDeals: 'Offres en Direct',
     lastUpdated: 'Dernière mise à jour',
     seconds: 'secondes',
-    language: 'Langue'
+    language: 'Langue',
+    suggestionGroups: { query: 'Suggestions', brand: 'Marques', category: 'Catégories', retailer: 'Boutiques', product: 'Produits' },
+    removeFilter: 'Retirer le filtre',
+    signIn: 'Se connecter',
+    signOut: 'Se déconnecter',
+    createAccount: 'Créer un compte',
+    accountHint: 'Enregistrez des offres dans votre compte et retrouvez-les sur tous vos appareils.',
+    email: 'E-mail',
+    password: 'Mot de passe',
+    nameOptional: 'Nom (facultatif)',
+    noAccount: 'Pas encore de compte ? Créez-en un',
+    haveAccount: 'Déjà un compte ? Connectez-vous',
+    authError: 'Une erreur est survenue, veuillez réessayer',
+    saveDeal: "Enregistrer l'offre",
+    unsaveDeal: 'Retirer des offres enregistrées'
   },
   de: {
     title: 'PROMO',
@@ -165,12 +229,27 @@ const translations = {
     off: 'RABATT',
     originalPrice: 'War',
     noResults: 'Keine Angebote gefunden. Versuchen Sie eine andere Suche.',
+    loadMore: 'Weitere Angebote laden',
     trending: 'Im Trend',
     featuredBrands: 'Top Marken',
     liveDeals: 'Live Angebote',
     lastUpdated: 'Zuletzt aktualisiert',
     seconds: 'Sekunden',
-    language: 'Sprache'
+    language: 'Sprache',
+    suggestionGroups: { query: 'Vorschläge', brand: 'Marken', category: 'Kategorien', retailer: 'Händler', product: 'Produkte' },
+    removeFilter: 'Filter entfernen',
+    signIn: 'Anmelden',
+    signOut: 'Abmelden',
+    createAccount: 'Konto erstellen',
+    accountHint: 'Speichere Angebote in deinem Konto und finde sie auf jedem Gerät.',
+    email: 'E-Mail',
+    password: 'Passwort',
+    nameOptional: 'Name (optional)',
+    noAccount: 'Noch kein Konto? Jetzt erstellen',
+    haveAccount: 'Schon ein Konto? Anmelden',
+    authError: 'Etwas ist schiefgelaufen, bitte versuche es erneut',
+    saveDeal: 'Angebot speichern',
+    unsaveDeal: 'Aus gespeicherten Angeboten entfernen'
   },
   pt: {
     title: 'PROMO',
@@ -199,12 +278,27 @@ const translations = {
     off: 'DESCONTO',
     originalPrice: 'Era',
     noResults: 'Nenhuma oferta encontrada. Tente outra pesquisa.',
+    loadMore: 'Carregar mais ofertas',
     trending: 'Em Alta',
     featuredBrands: 'Marcas em Destaque',
     liveDeals: 'Ofertas ao Vivo',
     lastUpdated: 'Última atualização',
     seconds: 'segundos',
-    language: 'Idioma'
+    language: 'Idioma',
+    suggestionGroups: { query: 'Sugestões', brand: 'Marcas', category: 'Categorias', retailer: 'Lojas', product: 'Produtos' },
+    removeFilter: 'Remover filtro',
+    signIn: 'Entrar',
+    signOut: 'Sair',
+    createAccount: 'Criar conta',
+    accountHint: 'Guarde ofertas na sua conta e encontre-as em qualquer dispositivo.',
+    email: 'Email',
+    password: 'Palavra-passe',
+    nameOptional: 'Nome (opcional)',
+    noAccount: 'Ainda não tem conta? Crie uma',
+    haveAccount: 'Já tem conta? Entre',
+    authError: 'Algo correu mal, tente novamente',
+    saveDeal: 'Guardar oferta',
+    unsaveDeal: 'Remover das ofertas guardadas'
   }
 };
 
@@ -228,10 +322,158 @@ const featuredBrands = [
   { name: 'Pull&Bear', logo: 'P&B', color: '#333' }
 ];
 
+// Render a search snippet: only the <mark> tags are markup, everything else is text
+const Highlight = ({ text }) => (
+  <>
+    {text.split(/(<mark>.*?<\/mark>)/g).map((part, i) =>
+      part.startsWith('<mark>')
+        ? <mark key={i}>{part.slice(6, -7)}</mark>
+        : part
+    )}
+  </>
+);
+
+// Autocomplete dropdown under the search box, grouped like SearchBar in App.tsx
+const SearchSuggestions = ({ items, activeIndex, t, onSelect, onHover }) => (
+  <ul id="search-suggestions" className="suggestions" role="listbox">
+    {items.map((item, index) => {
+      const startsGroup = index === 0 || items[index - 1].type !== item.type;
+
+      return (
+        <React.Fragment key={`${item.type}-${index}`}>
+          {startsGroup && (
+            <li role="presentation" className="suggestions-group">{t.suggestionGroups[item.type]}</li>
+          )}
+          <li
+            id={`search-suggestion-${index}`}
+            role="option"
+            aria-selected={index === activeIndex}
+            className={`suggestion ${index === activeIndex ? 'active' : ''}`}
+            // Keep focus in the input so onBlur does not close the list first
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => onSelect(item)}
+            onMouseEnter={() => onHover(index)}
+          >
+            {item.type === 'product' && (
+              <img src={item.image || undefined} alt="" className="suggestion-image" />
+            )}
+            <span className="suggestion-label">{suggestionLabel(item)}</span>
+            {item.type === 'retailer' && <span className="suggestion-meta">{item.count}</span>}
+            {item.type === 'product' && (
+              <span className="suggestion-price">
+                {formatPrice(item.salePrice, item.currency)} · -{item.discount}%
+              </span>
+            )}
+          </li>
+        </React.Fragment>
+      );
+    })}
+  </ul>
+);
+
+// Sign-in / sign-up dialog; AuthContext merges deals saved while signed out into the account
+const AccountModal = ({ t, onClose }) => {
+  const { signIn, signUp } = useAuthContext();
+  const [mode, setMode] = useState('signIn');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => e.key === 'Escape' && onClose();
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+
+    try {
+      if (mode === 'signIn') {
+        await signIn(email, password);
+      } else {
+        await signUp(email, password, name || undefined);
+      }
+      onClose();
+    } catch (err) {
+      setError(err?.response?.data?.error || t.authError);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <form
+        className="account-modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="account-modal-title"
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+      >
+        <h2 id="account-modal-title">{mode === 'signIn' ? t.signIn : t.createAccount}</h2>
+        <p className="account-hint">{t.accountHint}</p>
+
+        {mode === 'signUp' && (
+          <input
+            type="text"
+            className="account-input"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t.nameOptional}
+            autoComplete="name"
+          />
+        )}
+        <input
+          type="email"
+          className="account-input"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder={t.email}
+          autoComplete="email"
+          required
+        />
+        <input
+          type="password"
+          className="account-input"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder={t.password}
+          autoComplete={mode === 'signIn' ? 'current-password' : 'new-password'}
+          minLength={mode === 'signUp' ? 8 : undefined}
+          required
+        />
+
+        {error && <p className="account-error">{error}</p>}
+
+        <button type="submit" className="search-btn account-submit" disabled={isSubmitting}>
+          {mode === 'signIn' ? t.signIn : t.createAccount}
+        </button>
+        <button
+          type="button"
+          className="account-switch"
+          onClick={() => {
+            setMode(mode === 'signIn' ? 'signUp' : 'signIn');
+            setError(null);
+          }}
+        >
+          {mode === 'signIn' ? t.noAccount : t.haveAccount}
+        </button>
+      </form>
+    </div>
+  );
+};
+
 // Product Card Component
 const ProductCard = ({ product, t, index }) => {
   const [imageLoaded, setImageLoaded] = useState(false);
   const [isHovered, setIsHovered] = useState(false);
+  const { isSaved, toggleSaved } = useAuthContext();
+  const saved = isSaved(product.id);
 
   return (
     <div 
@@ -253,6 +495,17 @@ const ProductCard = ({ product, t, index }) => {
           className={`product-image ${imageLoaded ? 'loaded' : ''}`}
           onLoad={() => setImageLoaded(true)}
         />
+        <button
+          type="button"
+          className={`save-btn ${saved ? 'saved' : ''}`}
+          onClick={() => toggleSaved(product.id).catch(err => console.error('Failed to update saved deals:', err))}
+          aria-pressed={saved}
+          aria-label={saved ? t.unsaveDeal : t.saveDeal}
+        >
+          <svg width="18" height="18" viewBox="0 0 24 24" fill={saved ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2">
+            <path d="M20.84 4.61a5.5 5.5 0 00-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 00-7.78 7.78L12 21.23l8.84-8.84a5.5 5.5 0 000-7.78z"/>
+          </svg>
+        </button>
         <div className={`product-overlay ${isHovered ? 'visible' : ''}`}>
           <a 
             href={product.url} 
@@ -269,10 +522,22 @@ const ProductCard = ({ product, t, index }) => {
       </div>
       <div className="product-info">
         <span className="product-brand">{product.brand}</span>
-        <h3 className="product-name">{product.name}</h3>
+        <h3 className="product-name">
+          {product.highlight ? <Highlight text={product.highlight.name} /> : product.name}
+        </h3>
         <div className="product-pricing">
-          <span className="current-price">€{product.salePrice.toFixed(2)}</span>
-          <span className="original-price">{t.originalPrice} €{product.originalPrice.toFixed(2)}</span>
+          <span className="current-price">
+            {formatPrice(product.salePrice, product.currency, product.converted && {
+              price: product.converted.salePrice,
+              currency: product.converted.currency
+            })}
+          </span>
+          <span className="original-price">
+            {t.originalPrice} {formatPrice(
+              product.converted?.originalPrice ?? product.originalPrice,
+              product.converted?.currency ?? product.currency
+            )}
+          </span>
         </div>
         <div className="product-source">
           <span className="source-dot"></span>
@@ -295,27 +560,57 @@ export default function PromoFinder() {
   const [sortBy, setSortBy] = useState('relevance');
   const [showFilters, setShowFilters] = useState(false);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [totalCount, setTotalCount] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [showLanguageMenu, setShowLanguageMenu] = useState(false);
+  // Set by picking a suggestion; shown as removable chips under the search box
+  const [brandFilter, setBrandFilter] = useState(null);
+  const [retailerFilter, setRetailerFilter] = useState(null);
+  // Bumped to search again when only the query changed (the query alone doesn't trigger a search)
+  const [searchRequest, setSearchRequest] = useState(0);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+
+  const [showAccount, setShowAccount] = useState(false);
 
   const t = translations[language];
 
+  const { user, savedIds, signOut } = useAuthContext();
+  const closeAccount = useCallback(() => setShowAccount(false), []);
+
+  const { suggestions } = useSuggestions(searchQuery, language);
+  const suggestionItems = useMemo(() => toSuggestionItems(suggestions), [suggestions]);
+  const suggestionsOpen = showSuggestions && suggestionItems.length > 0;
+
   const [error, setError] = useState(null);
 
   // API URL - usa variabile ambiente o fallback a localhost
   const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
-  const searchDeals = async () => {
-    setLoading(true);
+  // Fetch the first page, or the page after nextCursor when appending
+  const searchDeals = async (append = false) => {
+    if (append) {
+      setLoadingMore(true);
+    } else {
+      setLoading(true);
+    }
     setError(null);
 
     try {
       // Build query parameters
       const params = new URLSearchParams();
-      if (searchQuery) params.append('search', searchQuery);
+      if (searchQuery) {
+        params.append('search', searchQuery);
+        params.append('lang', language);
+      }
       if (selectedCategory !== 'all') params.append('category', selectedCategory);
+      if (brandFilter) params.append('brand', brandFilter);
+      if (retailerFilter) params.append('retailers', retailerFilter);
       if (minDiscount > 0) params.append('minDiscount', minDiscount);
       if (priceRange[1] < 500) params.append('maxPrice', priceRange[1]);
       if (sortBy !== 'relevance') params.append('sortBy', sortBy);
+      if (append && nextCursor) params.append('cursor', nextCursor);
 
       const url = `${API_URL}/api/deals?${params.toString()}`;
       console.log('Fetching deals from:', url);
@@ -329,7 +624,9 @@ export default function PromoFinder() {
       const data = await response.json();
 
       if (data.success) {
-        setProducts(data.deals || []);
+        setProducts(prev => (append ? [...prev, ...(data.deals || [])] : (data.deals || [])));
+        setTotalCount(data.count || 0);
+        setNextCursor(data.hasMore ? data.nextCursor : null);
         setLastUpdated(data.lastUpdated ? new Date(data.lastUpdated) : new Date());
       } else {
         throw new Error(data.message || 'Failed to fetch deals');
@@ -339,9 +636,14 @@ export default function PromoFinder() {
       console.error('Error fetching deals:', err);
       setError(err.message);
       // On error, show empty state instead of crashing
-      setProducts([]);
+      if (!append) {
+        setProducts([]);
+        setTotalCount(0);
+        setNextCursor(null);
+      }
     } finally {
       setLoading(false);
+      setLoadingMore(false);
     }
   };
 
@@ -351,7 +653,64 @@ export default function PromoFinder() {
   // Auto-search on component mount and when filters change
   useEffect(() => {
     searchDeals();
-  }, [selectedCategory, minDiscount, priceRange[1], sortBy]);
+  }, [selectedCategory, minDiscount, priceRange[1], sortBy, brandFilter, retailerFilter, searchRequest]);
+
+  // New suggestions reset the highlighted row
+  useEffect(() => {
+    setActiveSuggestion(-1);
+  }, [suggestionItems]);
+
+  // Apply a suggestion the way DealsPage in App.tsx does: products open, the rest search
+  const selectSuggestion = (item) => {
+    setShowSuggestions(false);
+    setActiveSuggestion(-1);
+
+    switch (item.type) {
+      case 'product':
+        window.open(item.url, '_blank', 'noopener,noreferrer');
+        return;
+      case 'query':
+        setSearchQuery(item.search);
+        setBrandFilter(item.filters.brand || null);
+        if (item.filters.category) setSelectedCategory(item.filters.category);
+        if (item.filters.maxPrice !== undefined) setPriceRange([0, Math.min(item.filters.maxPrice, 500)]);
+        break;
+      case 'brand':
+        setSearchQuery(item.brand);
+        break;
+      case 'category':
+        setSearchQuery(item.keyword);
+        setSelectedCategory(item.category);
+        break;
+      case 'retailer':
+        setSearchQuery('');
+        setRetailerFilter(item.name);
+        break;
+    }
+    setSearchRequest(n => n + 1);
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestionItems.length > 0) {
+      e.preventDefault();
+      setShowSuggestions(true);
+      setActiveSuggestion(index => (index + 1) % suggestionItems.length);
+    } else if (e.key === 'ArrowUp' && suggestionItems.length > 0) {
+      e.preventDefault();
+      setShowSuggestions(true);
+      setActiveSuggestion(index => (index <= 0 ? suggestionItems.length - 1 : index - 1));
+    } else if (e.key === 'Escape') {
+      setShowSuggestions(false);
+      setActiveSuggestion(-1);
+    } else if (e.key === 'Enter') {
+      if (suggestionsOpen && activeSuggestion >= 0) {
+        selectSuggestion(suggestionItems[activeSuggestion]);
+        return;
+      }
+      setShowSuggestions(false);
+      searchDeals();
+    }
+  };
 
   // Auto-refresh every 5 minutes
   useEffect(() => {
@@ -508,6 +867,102 @@ export default function PromoFinder() {
           background: rgba(255, 107, 0, 0.2);
         }
 
+        .header-actions {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+        }
+
+        .account-btn {
+          background: linear-gradient(135deg, #ff6b00, #ff8533);
+          border: none;
+          padding: 0.75rem 1rem;
+          border-radius: 12px;
+          color: #fff;
+          cursor: pointer;
+          font-family: inherit;
+          font-size: 0.9rem;
+          font-weight: 600;
+        }
+
+        .saved-count {
+          font-size: 0.9rem;
+          color: rgba(255,255,255,0.7);
+        }
+
+        /* Account Dialog */
+        .modal-backdrop {
+          position: fixed;
+          inset: 0;
+          background: rgba(0,0,0,0.7);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: 1rem;
+          z-index: 100;
+        }
+
+        .account-modal {
+          width: 100%;
+          max-width: 380px;
+          display: flex;
+          flex-direction: column;
+          gap: 0.75rem;
+          background: #1a1a1a;
+          border: 1px solid rgba(255,255,255,0.1);
+          border-radius: 16px;
+          padding: 2rem;
+          box-shadow: 0 20px 40px rgba(0,0,0,0.5);
+          animation: slideDown 0.2s ease;
+        }
+
+        .account-modal h2 {
+          font-family: 'Syne', sans-serif;
+          font-size: 1.5rem;
+        }
+
+        .account-hint {
+          font-size: 0.9rem;
+          color: rgba(255,255,255,0.6);
+        }
+
+        .account-input {
+          background: rgba(255,255,255,0.05);
+          border: 1px solid rgba(255,255,255,0.1);
+          border-radius: 12px;
+          padding: 0.75rem 1rem;
+          color: #fff;
+          font-family: inherit;
+          font-size: 0.95rem;
+          outline: none;
+        }
+
+        .account-input:focus {
+          border-color: rgba(255, 107, 0, 0.5);
+        }
+
+        .account-error {
+          font-size: 0.85rem;
+          color: #f87171;
+        }
+
+        .account-submit {
+          justify-content: center;
+        }
+
+        .account-switch {
+          background: none;
+          border: none;
+          color: rgba(255,255,255,0.6);
+          font-family: inherit;
+          font-size: 0.85rem;
+          cursor: pointer;
+        }
+
+        .account-switch:hover {
+          color: #fff;
+        }
+
         /* Hero Section */
         .hero {
           position: relative;
@@ -542,6 +997,7 @@ export default function PromoFinder() {
 
         /* Search Box */
         .search-container {
+          position: relative;
           max-width: 700px;
           margin: 0 auto;
         }
@@ -603,6 +1059,99 @@ export default function PromoFinder() {
           transform: none;
         }
 
+        /* Search Suggestions */
+        .suggestions {
+          position: absolute;
+          top: 100%;
+          left: 0;
+          right: 0;
+          margin-top: 0.5rem;
+          list-style: none;
+          text-align: left;
+          max-height: 24rem;
+          overflow-y: auto;
+          background: #1a1a1a;
+          border: 1px solid rgba(255,255,255,0.1);
+          border-radius: 16px;
+          padding: 0.5rem 0;
+          box-shadow: 0 20px 40px rgba(0,0,0,0.5);
+          animation: slideDown 0.2s ease;
+          z-index: 50;
+        }
+
+        .suggestions-group {
+          padding: 0.5rem 1.25rem 0.25rem;
+          font-size: 0.75rem;
+          font-weight: 500;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          color: rgba(255,255,255,0.4);
+        }
+
+        .suggestion {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+          padding: 0.5rem 1.25rem;
+          cursor: pointer;
+          font-size: 0.9rem;
+          color: rgba(255,255,255,0.8);
+        }
+
+        .suggestion.active {
+          background: rgba(255, 107, 0, 0.15);
+          color: #fff;
+        }
+
+        .suggestion-image {
+          width: 40px;
+          height: 40px;
+          border-radius: 8px;
+          object-fit: cover;
+          background: rgba(255,255,255,0.05);
+          flex-shrink: 0;
+        }
+
+        .suggestion-label {
+          flex: 1;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .suggestion-meta {
+          font-size: 0.75rem;
+          color: rgba(255,255,255,0.4);
+        }
+
+        .suggestion-price {
+          font-size: 0.75rem;
+          font-weight: 600;
+          color: #ff8533;
+        }
+
+        .active-filters {
+          display: flex;
+          justify-content: center;
+          gap: 0.5rem;
+          margin-top: 1rem;
+        }
+
+        .filter-chip {
+          background: rgba(255, 107, 0, 0.15);
+          border: 1px solid rgba(255, 107, 0, 0.4);
+          padding: 0.4rem 0.9rem;
+          border-radius: 100px;
+          color: #fff;
+          font-family: inherit;
+          font-size: 0.85rem;
+          cursor: pointer;
+        }
+
+        .filter-chip:hover {
+          background: rgba(255, 107, 0, 0.3);
+        }
+
         /* Featured Brands */
         .brands-section {
           position: relative;
@@ -879,6 +1428,26 @@ export default function PromoFinder() {
           z-index: 2;
         }
 
+        .save-btn {
+          position: absolute;
+          bottom: 1rem;
+          right: 1rem;
+          display: flex;
+          padding: 0.5rem;
+          background: rgba(0,0,0,0.6);
+          border: none;
+          border-radius: 50%;
+          color: #fff;
+          cursor: pointer;
+          transition: color 0.2s;
+          z-index: 3;
+        }
+
+        .save-btn:hover,
+        .save-btn.saved {
+          color: #ef4444;
+        }
+
         .product-overlay {
           position: absolute;
           inset: 0;
@@ -936,6 +1505,13 @@ export default function PromoFinder() {
           line-height: 1.3;
         }
 
+        .product-name mark {
+          background: rgba(255, 107, 0, 0.25);
+          color: inherit;
+          border-radius: 3px;
+          padding: 0 2px;
+        }
+
         .product-pricing {
           display: flex;
           align-items: baseline;
@@ -1004,6 +1580,34 @@ export default function PromoFinder() {
         }
 
         /* No Results */
+        .load-more-container {
+          display: flex;
+          justify-content: center;
+          padding: 3rem 0 1rem;
+        }
+
+        .load-more-btn {
+          background: rgba(255,255,255,0.05);
+          border: 1px solid rgba(255,255,255,0.1);
+          padding: 0.9rem 2rem;
+          border-radius: 10px;
+          color: #fff;
+          cursor: pointer;
+          font-family: inherit;
+          font-size: 0.95rem;
+          transition: all 0.2s;
+        }
+
+        .load-more-btn:hover:not(:disabled) {
+          background: rgba(255, 107, 0, 0.2);
+          border-color: rgba(255, 107, 0, 0.3);
+        }
+
+        .load-more-btn:disabled {
+          opacity: 0.6;
+          cursor: wait;
+        }
+
         .no-results {
           text-align: center;
           padding: 4rem 2rem;
@@ -1075,41 +1679,54 @@ export default function PromoFinder() {
           <span className="logo-text logo-accent">{t.titleAccent}</span>
         </div>
         
-        <div className="language-selector">
-          <button
-            className="language-btn"
-            onClick={() => {
-              console.log('Language button clicked, current state:', showLanguageMenu);
-              setShowLanguageMenu(!showLanguageMenu);
-            }}
-          >
-            {languageFlags[language]} {language.toUpperCase()}
-            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-              <path d="M6 9l6 6 6-6"/>
-            </svg>
-          </button>
-          {showLanguageMenu && (
-            <div className="language-menu">
-              {Object.keys(translations).map(lang => (
-                <div
-                  key={lang}
-                  className={`language-option ${lang === language ? 'active' : ''}`}
-                  onClick={() => {
-                    console.log('Language option clicked:', lang);
-                    console.log('Current language:', language);
-                    setLanguage(lang);
-                    setShowLanguageMenu(false);
-                  }}
-                >
-                  <span>{languageFlags[lang]}</span>
-                  <span>{lang.toUpperCase()}</span>
-                </div>
-              ))}
-            </div>
+        <div className="header-actions">
+          <div className="language-selector">
+            <button
+              className="language-btn"
+              onClick={() => {
+                console.log('Language button clicked, current state:', showLanguageMenu);
+                setShowLanguageMenu(!showLanguageMenu);
+              }}
+            >
+              {languageFlags[language]} {language.toUpperCase()}
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M6 9l6 6 6-6"/>
+              </svg>
+            </button>
+            {showLanguageMenu && (
+              <div className="language-menu">
+                {Object.keys(translations).map(lang => (
+                  <div
+                    key={lang}
+                    className={`language-option ${lang === language ? 'active' : ''}`}
+                    onClick={() => {
+                      console.log('Language option clicked:', lang);
+                      console.log('Current language:', language);
+                      setLanguage(lang);
+                      setShowLanguageMenu(false);
+                    }}
+                  >
+                    <span>{languageFlags[lang]}</span>
+                    <span>{lang.toUpperCase()}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {user ? (
+            <>
+              <span className="saved-count" title={user.email}>♥ {savedIds.size}</span>
+              <button className="language-btn" onClick={() => signOut()}>{t.signOut}</button>
+            </>
+          ) : (
+            <button className="account-btn" onClick={() => setShowAccount(true)}>{t.signIn}</button>
           )}
         </div>
       </header>
 
+      {showAccount && <AccountModal t={t} onClose={closeAccount} />}
+
       {/* Hero Section */}
       <section className="hero">
         <h1 className="hero-title">
@@ -1125,12 +1742,26 @@ export default function PromoFinder() {
               className="search-input"
               placeholder={t.searchPlaceholder}
               value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
-              onKeyPress={(e) => e.key === 'Enter' && searchDeals()}
+              onChange={(e) => {
+                setSearchQuery(e.target.value);
+                setShowSuggestions(true);
+              }}
+              onFocus={() => setShowSuggestions(true)}
+              onBlur={() => setShowSuggestions(false)}
+              onKeyDown={handleSearchKeyDown}
+              autoComplete="off"
+              role="combobox"
+              aria-expanded={suggestionsOpen}
+              aria-controls="search-suggestions"
+              aria-autocomplete="list"
+              aria-activedescendant={activeSuggestion >= 0 ? `search-suggestion-${activeSuggestion}` : undefined}
             />
             <button 
               className="search-btn" 
-              onClick={searchDeals}
+              onClick={() => {
+                setShowSuggestions(false);
+                searchDeals();
+              }}
               disabled={loading}
             >
               {loading ? (
@@ -1146,6 +1777,28 @@ export default function PromoFinder() {
               )}
             </button>
           </div>
+
+          {suggestionsOpen && (
+            <SearchSuggestions
+              items={suggestionItems}
+              activeIndex={activeSuggestion}
+              t={t}
+              onSelect={selectSuggestion}
+              onHover={setActiveSuggestion}
+            />
+          )}
+
+          {(brandFilter || retailerFilter) && (
+            <div className="active-filters">
+              {[[brandFilter, setBrandFilter], [retailerFilter, setRetailerFilter]]
+                .filter(([value]) => value)
+                .map(([value, clear]) => (
+                  <button key={value} className="filter-chip" onClick={() => clear(null)} aria-label={`${t.removeFilter}: ${value}`}>
+                    {value} <span aria-hidden="true">×</span>
+                  </button>
+                ))}
+            </div>
+          )}
         </div>
       </section>
 
@@ -1168,7 +1821,7 @@ export default function PromoFinder() {
         {/* Toolbar */}
         <div className="toolbar">
           <div className="results-count">
-            <strong>{filteredProducts.length}</strong> {t.results}
+            <strong>{totalCount}</strong> {t.results}
           </div>
           <div className="toolbar-actions">
             <button 
@@ -1269,6 +1922,19 @@ export default function PromoFinder() {
           </div>
         )}
 
+        {/* Load More */}
+        {!loading && nextCursor && (
+          <div className="load-more-container">
+            <button
+              className="load-more-btn"
+              onClick={() => searchDeals(true)}
+              disabled={loadingMore}
+            >
+              {loadingMore ? t.loading : t.loadMore}
+            </button>
+          </div>
+        )}
+
         {/* No Results */}
         {!loading && filteredProducts.length === 0 && (
           <div className="no-results">
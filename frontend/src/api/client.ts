@@ -1,8 +1,23 @@
 import axios, { AxiosInstance, AxiosError } from 'axios';
-import type { ApiResponse, DealsResponse, AnalyticsStats, DealsFilters } from '../types';
+import { REGION_INFO } from '../types';
+import type { ApiResponse, Product, DealsResponse, AnalyticsStats, DealsFilters, SortOption, SearchSuggestions, AuthSession, User, SavedDeal, ScraperHealthReport, ScrapeRun, ReviewQueue, ReviewTask, ReviewStatus, ReviewAction, ReviewField, BulkReviewResult } from '../types';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+// Map UI sort controls to the API's sortBy values
+function toApiSort(sortBy: SortOption, sortOrder: 'asc' | 'desc' = 'desc'): string {
+  switch (sortBy) {
+    case 'price':
+      return sortOrder === 'asc' ? 'priceLow' : 'priceHigh';
+    case 'discount':
+      return 'discountHigh';
+    case 'date':
+      return 'newest';
+    default:
+      return 'relevance';
+  }
+}
+
 class ApiClient {
   private client: AxiosInstance;
 
@@ -52,14 +67,16 @@ class ApiClient {
     );
   }
 
-  // Get deals with filters
-  async getDeals(filters?: Partial<DealsFilters>, page = 1, limit = 50): Promise<DealsResponse> {
+  // Get one page of deals with filters; pass the previous page's nextCursor to continue
+  async getDeals(filters?: Partial<DealsFilters>, cursor: string | null = null, limit = 50): Promise<DealsResponse> {
     try {
       const params = new URLSearchParams();
 
       // Region filter - most important for location-aware deals
       if (filters?.region) {
         params.append('region', filters.region);
+        // Prices (and the price filters below) in the region's currency
+        params.append('currency', REGION_INFO[filters.region].currency);
       }
 
       if (filters?.searchQuery) params.append('search', filters.searchQuery);
@@ -77,35 +94,29 @@ class ApiClient {
       if (filters?.sources?.length) {
         params.append('source', filters.sources.join(','));
       }
+      if (filters?.retailers?.length) {
+        params.append('retailers', filters.retailers.join(','));
+      }
       if (filters?.sortBy && filters.sortBy !== 'relevance') {
-        params.append('sortBy', filters.sortBy);
+        params.append('sortBy', toApiSort(filters.sortBy, filters.sortOrder));
       }
-      if (filters?.sortOrder) params.append('sortOrder', filters.sortOrder);
 
+      if (cursor) params.append('cursor', cursor);
       params.append('limit', limit.toString());
 
       const response = await this.client.get(`/api/deals?${params.toString()}`);
 
       if (response.data.success) {
-        // Normalize the product data from API
-        const deals = (response.data.deals || []).map((deal: any) => ({
-          ...deal,
-          // Normalize field names
-          discount: deal.discount || deal.discountPercentage,
-          discountPercentage: deal.discountPercentage || deal.discount,
-          image: deal.image || deal.imageUrl,
-          imageUrl: deal.imageUrl || deal.image,
-          url: deal.url || deal.productUrl,
-          productUrl: deal.productUrl || deal.url,
-          regions: deal.regions || deal.availableRegions || [],
-          availableRegions: deal.availableRegions || deal.regions || []
-        }));
+        // Deals already have the documented Deal shape (backend/API.md)
+        const deals: Product[] = response.data.deals || [];
 
         return {
           deals,
-          total: response.data.count || response.data.total || deals.length,
-          page,
+          total: response.data.count ?? deals.length,
           limit,
+          hasMore: Boolean(response.data.hasMore),
+          nextCursor: response.data.nextCursor || null,
+          facets: response.data.facets || null,
           lastUpdated: new Date(response.data.lastUpdated || Date.now())
         };
       }
@@ -117,11 +128,73 @@ class ApiClient {
     }
   }
 
+  // Get grouped autocomplete suggestions for a partial query
+  async getSuggestions(query: string, lang?: string, signal?: AbortSignal): Promise<SearchSuggestions> {
+    const params = new URLSearchParams({ q: query });
+    if (lang) params.append('lang', lang);
+
+    const response = await this.client.get(`/api/search/suggest?${params.toString()}`, { signal });
+
+    if (response.data.success) {
+      return response.data.data;
+    }
+
+    throw new Error(response.data.error || 'Failed to fetch suggestions');
+  }
+
+  // Send the session token with every request (null signs out)
+  setAuthToken(token: string | null) {
+    if (token) {
+      this.client.defaults.headers.common.Authorization = `Bearer ${token}`;
+    } else {
+      delete this.client.defaults.headers.common.Authorization;
+    }
+  }
+
+  async register(email: string, password: string, name?: string): Promise<AuthSession> {
+    const response = await this.client.post('/api/auth/register', { email, password, name });
+    return response.data;
+  }
+
+  async login(email: string, password: string): Promise<AuthSession> {
+    const response = await this.client.post('/api/auth/login', { email, password });
+    return response.data;
+  }
+
+  async logout(): Promise<void> {
+    await this.client.post('/api/auth/logout');
+  }
+
+  async getMe(): Promise<User> {
+    const response = await this.client.get('/api/me');
+    return response.data.user;
+  }
+
+  // Saved deals (wishlist) of the signed-in user
+  async getSavedDeals(): Promise<SavedDeal[]> {
+    const response = await this.client.get('/api/me/saved');
+    return response.data.deals || [];
+  }
+
+  async saveDeal(productId: string): Promise<void> {
+    await this.client.post(`/api/me/saved/${encodeURIComponent(productId)}`);
+  }
+
+  async removeSavedDeal(productId: string): Promise<void> {
+    await this.client.delete(`/api/me/saved/${encodeURIComponent(productId)}`);
+  }
+
+  // Merge favorites collected while signed out; returns all saved ids
+  async mergeSavedDeals(productIds: string[]): Promise<string[]> {
+    const response = await this.client.post('/api/me/saved/merge', { productIds });
+    return response.data.savedIds || [];
+  }
+
   // Get single deal by ID
-  async getDeal(id: string) {
+  async getDeal(id: string): Promise<Product> {
     try {
-      const response = await this.client.get(`/api/deals/${id}`);
-      return response.data;
+      const response = await this.client.get(`/api/deals/${encodeURIComponent(id)}`);
+      return response.data.deal;
     } catch (error) {
       console.error(`Error fetching deal ${id}:`, error);
       throw error;
@@ -134,12 +207,11 @@ class ApiClient {
       const params = new URLSearchParams();
       if (region) params.append('region', region);
 
-      const response = await this.client.get(`/api/deals/stats?${params.toString()}`);
+      const response = await this.client.get(`/api/stats?${params.toString()}`);
 
-      // API returns stats directly, not wrapped in data.stats
       return {
-        totalDeals: response.data.totalDeals || 0,
-        averageDiscount: response.data.avgDiscount || response.data.averageDiscount || 0,
+        totalDeals: response.data.totalDeals,
+        averageDiscount: response.data.avgDiscount,
         topBrands: [],
         categoryDistribution: [],
         priceDistribution: [],
@@ -151,6 +223,67 @@ class ApiClient {
     }
   }
 
+  // Scraper run history and health; needs an admin API key (any role)
+  async getScraperHealth(apiKey: string, days = 14): Promise<ScraperHealthReport> {
+    const response = await this.client.get(`/api/admin/scrapers?days=${days}`, {
+      headers: { 'X-API-Key': apiKey }
+    });
+    return response.data;
+  }
+
+  async getScrapeRuns(apiKey: string, scraper: string, limit = 20): Promise<ScrapeRun[]> {
+    const params = new URLSearchParams({ scraper, limit: String(limit) });
+    const response = await this.client.get(`/api/admin/scrapers/runs?${params.toString()}`, {
+      headers: { 'X-API-Key': apiKey }
+    });
+    return response.data.runs || [];
+  }
+
+  // Manual review queue; reading needs an admin API key, acting the operator role
+  async getReviewQueue(apiKey: string, status?: ReviewStatus): Promise<ReviewQueue> {
+    const params = new URLSearchParams();
+    if (status) params.append('status', status);
+
+    const response = await this.client.get(`/api/admin/reviews?${params.toString()}`, {
+      headers: { 'X-API-Key': apiKey }
+    });
+    return { tasks: response.data.tasks || [], counts: response.data.counts || {} };
+  }
+
+  async getReviewTask(apiKey: string, id: string): Promise<ReviewTask> {
+    const response = await this.client.get(`/api/admin/reviews/${id}`, {
+      headers: { 'X-API-Key': apiKey }
+    });
+    return response.data.task;
+  }
+
+  // claim, release, approve or reject one task; approve and reject take a note and edits
+  async reviewTask(
+    apiKey: string,
+    id: string,
+    action: ReviewAction,
+    body: { note?: string; edits?: Partial<Record<ReviewField, string>> } = {}
+  ): Promise<ReviewTask> {
+    const response = await this.client.post(`/api/admin/reviews/${id}/${action}`, body, {
+      headers: { 'X-API-Key': apiKey }
+    });
+    return response.data.task;
+  }
+
+  async editReviewedProduct(apiKey: string, id: string, edits: Partial<Record<ReviewField, string>>): Promise<ReviewTask> {
+    const response = await this.client.post(`/api/admin/reviews/${id}/edit`, { edits }, {
+      headers: { 'X-API-Key': apiKey }
+    });
+    return response.data.task;
+  }
+
+  async bulkReview(apiKey: string, action: ReviewAction, ids: string[], note?: string): Promise<BulkReviewResult> {
+    const response = await this.client.post('/api/admin/reviews/bulk', { action, ids, note }, {
+      headers: { 'X-API-Key': apiKey }
+    });
+    return { succeeded: response.data.succeeded || [], failed: response.data.failed || [] };
+  }
+
   // Get available regions
   async getRegions(): Promise<any[]> {
     try {
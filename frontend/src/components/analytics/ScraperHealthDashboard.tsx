@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { useScraperHealth } from '../../hooks/useScraperHealth';
+import { StatsCard } from './StatsCard';
+import { LoadingSkeleton } from '../ui/LoadingSkeleton';
+import type { ScraperHealth, ScraperHealthStatus } from '../../types';
+
+const STATUS_STYLES: Record<ScraperHealthStatus, string> = {
+  healthy: 'bg-green-500 bg-opacity-20 text-green-400',
+  degraded: 'bg-yellow-500 bg-opacity-20 text-yellow-400',
+  failing: 'bg-red-500 bg-opacity-20 text-red-400',
+  unknown: 'bg-gray-500 bg-opacity-20 text-gray-400'
+};
+
+const WINDOWS = [7, 14, 30];
+
+const StatusIcon: React.FC<{ path: string }> = ({ path }) => (
+  <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={path} />
+  </svg>
+);
+
+const ICONS = {
+  healthy: 'M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z',
+  degraded: 'M13 17h8m0 0V9m0 8l-8-8-4 4-6-6',
+  failing: 'M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z',
+  unknown: 'M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z'
+};
+
+function formatDuration(ms: number | null): string {
+  if (ms === null) return '—';
+  const seconds = Math.round(ms / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+// Products stored per day, as bars scaled to the scraper's best day
+const TrendBars: React.FC<{ scraper: ScraperHealth }> = ({ scraper }) => {
+  const max = Math.max(1, ...scraper.trend.map(day => day.productsStored));
+
+  return (
+    <div className="flex items-end gap-0.5 h-8">
+      {scraper.trend.map(day => (
+        <div
+          key={day.date}
+          title={`${day.date}: ${day.productsStored} stored, ${day.failed}/${day.runs} runs failed`}
+          className={`w-1.5 rounded-sm ${day.failed > 0 ? 'bg-red-500' : 'bg-orange-500'}`}
+          style={{ height: `${Math.max(8, (day.productsStored / max) * 100)}%` }}
+        />
+      ))}
+    </div>
+  );
+};
+
+export const ScraperHealthDashboard: React.FC = () => {
+  const [days, setDays] = useState(14);
+  const [keyInput, setKeyInput] = useState('');
+  const { report, loading, error, apiKey, setApiKey, refresh } = useScraperHealth(days);
+
+  if (!apiKey) {
+    return (
+      <div className="bg-gray-800 bg-opacity-50 border border-gray-700 rounded-xl p-8 max-w-md mx-auto">
+        <h2 className="text-xl font-bold text-white mb-2">Scraper Health</h2>
+        <p className="text-gray-400 text-sm mb-4">Enter an admin API key (any role) to view scraper runs.</p>
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            setApiKey(keyInput.trim());
+          }}
+          className="flex gap-2"
+        >
+          <input
+            type="password"
+            value={keyInput}
+            onChange={(e) => setKeyInput(e.target.value)}
+            placeholder="pfk_..."
+            className="flex-1 px-3 py-2 bg-gray-900 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-orange-500"
+          />
+          <button type="submit" className="px-4 py-2 bg-orange-500 hover:bg-orange-600 rounded-lg font-medium transition-all">
+            View
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  if (loading && !report) {
+    return (
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <LoadingSkeleton variant="card" count={4} />
+      </div>
+    );
+  }
+
+  if (error || !report) {
+    return (
+      <div className="bg-gray-800 bg-opacity-50 border border-gray-700 rounded-xl p-8 text-center">
+        <p className="text-gray-400 mb-4">Scraper health unavailable{error ? `: ${error.message}` : ''}</p>
+        <button
+          onClick={() => setApiKey('')}
+          className="px-4 py-2 bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-lg transition-all"
+        >
+          Use a different key
+        </button>
+      </div>
+    );
+  }
+
+  const { counts } = report;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-white mb-2">Scraper Health</h2>
+          <p className="text-gray-400">Runs, yields and failures per retailer over the last {report.days} days</p>
+        </div>
+        <div className="flex items-center gap-2">
+          {WINDOWS.map(window => (
+            <button
+              key={window}
+              onClick={() => setDays(window)}
+              className={`px-3 py-1.5 rounded-lg text-sm transition-all ${
+                days === window ? 'bg-orange-500 text-white' : 'bg-gray-800 hover:bg-gray-700 border border-gray-700'
+              }`}
+            >
+              {window}d
+            </button>
+          ))}
+          <button
+            onClick={refresh}
+            className="px-3 py-1.5 bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-lg text-sm transition-all"
+          >
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <StatsCard title="Healthy" value={counts.healthy || 0} icon={<StatusIcon path={ICONS.healthy} />} />
+        <StatsCard title="Degraded" value={counts.degraded || 0} icon={<StatusIcon path={ICONS.degraded} />} />
+        <StatsCard title="Failing" value={counts.failing || 0} icon={<StatusIcon path={ICONS.failing} />} />
+        <StatsCard title="No baseline yet" value={counts.unknown || 0} icon={<StatusIcon path={ICONS.unknown} />} />
+      </div>
+
+      <div className="bg-gray-800 bg-opacity-50 border border-gray-700 rounded-xl overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-400 border-b border-gray-700">
+              <th className="px-4 py-3 font-medium">Retailer</th>
+              <th className="px-4 py-3 font-medium">Status</th>
+              <th className="px-4 py-3 font-medium">Last run</th>
+              <th className="px-4 py-3 font-medium text-right">Stored / baseline</th>
+              <th className="px-4 py-3 font-medium text-right">Rejected</th>
+              <th className="px-4 py-3 font-medium text-right">Selector misses</th>
+              <th className="px-4 py-3 font-medium text-right">Success rate</th>
+              <th className="px-4 py-3 font-medium text-right">Avg duration</th>
+              <th className="px-4 py-3 font-medium">Trend</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.scrapers.map(scraper => (
+              <tr key={scraper.scraper} className="border-b border-gray-800 align-top">
+                <td className="px-4 py-3 text-white font-medium">
+                  {scraper.scraper}
+                  {scraper.isRunning && <span className="ml-2 text-xs text-orange-400">running</span>}
+                </td>
+                <td className="px-4 py-3">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[scraper.status]}`}>
+                    {scraper.status}
+                  </span>
+                  {scraper.reasons.map(reason => (
+                    <div key={reason} className="text-xs text-gray-500 mt-1">{reason}</div>
+                  ))}
+                </td>
+                <td className="px-4 py-3 text-gray-400">
+                  {scraper.lastRun ? new Date(scraper.lastRun.startedAt).toLocaleString() : '—'}
+                  {scraper.lastRun?.errorClass && (
+                    <div className="text-xs text-red-400 mt-1" title={scraper.lastRun.errorMessage || ''}>
+                      {scraper.lastRun.errorClass}
+                    </div>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-right text-white">
+                  {scraper.lastRun ? scraper.lastRun.productsStored : '—'}
+                  <span className="text-gray-500"> / {scraper.baseline ?? '—'}</span>
+                </td>
+                <td className="px-4 py-3 text-right text-gray-300">{scraper.lastRun ? scraper.lastRun.productsRejected : '—'}</td>
+                <td className="px-4 py-3 text-right text-gray-300">{scraper.lastRun ? scraper.lastRun.selectorMisses : '—'}</td>
+                <td className="px-4 py-3 text-right text-gray-300">
+                  {scraper.successRate === null ? '—' : `${Math.round(scraper.successRate * 100)}%`}
+                </td>
+                <td className="px-4 py-3 text-right text-gray-300">{formatDuration(scraper.avgDurationMs)}</td>
+                <td className="px-4 py-3"><TrendBars scraper={scraper} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {report.scrapers.length === 0 && (
+          <p className="text-center text-gray-400 py-8">No scraper runs in this window</p>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import clsx from 'clsx';
+import { Modal } from '../ui/Modal';
+import { useAuthContext } from '../../context/AuthContext';
+
+interface AuthModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+export const AuthModal: React.FC<AuthModalProps> = ({ isOpen, onClose }) => {
+  const { signIn, signUp } = useAuthContext();
+  const [mode, setMode] = useState<'signIn' | 'signUp'>('signIn');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+
+    try {
+      if (mode === 'signIn') {
+        await signIn(email, password);
+      } else {
+        await signUp(email, password, name || undefined);
+      }
+      setPassword('');
+      onClose();
+    } catch (err: any) {
+      setError(err?.response?.data?.error || 'Something went wrong, please try again');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = clsx(
+    'w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500',
+    'focus:outline-none focus:ring-2 focus:ring-orange-500 focus:border-transparent'
+  );
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={mode === 'signIn' ? 'Sign in' : 'Create account'}
+      size="sm"
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <p className="text-sm text-gray-400">
+          Save deals to your account and find them on any device.
+        </p>
+
+        {mode === 'signUp' && (
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name (optional)"
+            autoComplete="name"
+            className={inputClass}
+          />
+        )}
+
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Email"
+          autoComplete="email"
+          required
+          className={inputClass}
+        />
+
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete={mode === 'signIn' ? 'current-password' : 'new-password'}
+          minLength={mode === 'signUp' ? 8 : undefined}
+          required
+          className={inputClass}
+        />
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full px-4 py-2 bg-orange-500 hover:bg-orange-600 disabled:opacity-50 text-white font-bold rounded-lg transition-colors"
+        >
+          {mode === 'signIn' ? 'Sign in' : 'Create account'}
+        </button>
+
+        <button
+          type="button"
+          onClick={() => {
+            setMode(mode === 'signIn' ? 'signUp' : 'signIn');
+            setError(null);
+          }}
+          className="w-full text-sm text-gray-400 hover:text-white transition-colors"
+        >
+          {mode === 'signIn' ? "No account yet? Create one" : 'Already have an account? Sign in'}
+        </button>
+      </form>
+    </Modal>
+  );
+};
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import clsx from 'clsx';
 import type { Product } from '../../types';
+import { formatPrice } from '../../utils/regionDetection';
 
 interface DealsBannerProps {
   deals: Product[];
@@ -16,8 +17,8 @@ export const DealsBanner: React.FC<DealsBannerProps> = ({
   const [currentIndex, setCurrentIndex] = useState(0);
 
   const topDeals = deals
-    .filter(deal => deal.discountPercentage >= 50)
-    .sort((a, b) => b.discountPercentage - a.discountPercentage)
+    .filter(deal => deal.discount >= 50)
+    .sort((a, b) => b.discount - a.discount)
     .slice(0, 5);
 
   useEffect(() => {
@@ -71,13 +72,13 @@ export const DealsBanner: React.FC<DealsBannerProps> = ({
 
                 <div className="flex items-baseline gap-3">
                   <span className="text-4xl md:text-5xl font-bold text-white">
-                    €{deal.salePrice.toFixed(2)}
+                    {formatPrice(deal.converted?.salePrice ?? deal.salePrice, deal.converted?.currency ?? deal.currency)}
                   </span>
                   <span className="text-2xl text-white text-opacity-60 line-through">
-                    €{deal.originalPrice.toFixed(2)}
+                    {formatPrice(deal.converted?.originalPrice ?? deal.originalPrice, deal.converted?.currency ?? deal.currency)}
                   </span>
                   <span className="px-3 py-1 bg-yellow-400 text-black text-xl font-bold rounded-lg">
-                    -{deal.discountPercentage}%
+                    -{deal.discount}%
                   </span>
                 </div>
 
@@ -1,6 +1,8 @@
 import React from 'react';
 import clsx from 'clsx';
-import type { DealsFilters } from '../../types';
+import { REGION_INFO, Region } from '../../types';
+import type { DealsFilters, DealFacets } from '../../types';
+import { getCurrencySymbol } from '../../utils/regionDetection';
 import { CategoryFilter } from './filters/CategoryFilter';
 import { BrandFilter } from './filters/BrandFilter';
 import { PriceRangeSlider } from './filters/PriceRangeSlider';
@@ -8,6 +10,7 @@ import { DiscountFilter } from './filters/DiscountFilter';
 
 interface FilterPanelProps {
   filters: DealsFilters;
+  facets?: DealFacets | null;
   onFilterChange: (filters: Partial<DealsFilters>) => void;
   onReset: () => void;
   className?: string;
@@ -16,6 +19,7 @@ interface FilterPanelProps {
 
 export const FilterPanel: React.FC<FilterPanelProps> = ({
   filters,
+  facets,
   onFilterChange,
   onReset,
   className,
@@ -23,6 +27,9 @@ export const FilterPanel: React.FC<FilterPanelProps> = ({
 }) => {
   if (!isOpen) return null;
 
+  const currency = REGION_INFO[filters.region ?? Region.EU].currency;
+  const symbol = getCurrencySymbol(currency);
+
   const hasActiveFilters =
     filters.brands.length > 0 ||
     !filters.categories.includes('all' as any) ||
@@ -62,6 +69,7 @@ export const FilterPanel: React.FC<FilterPanelProps> = ({
         {/* Categories */}
         <CategoryFilter
           selected={filters.categories}
+          counts={facets?.categories}
           onChange={(categories) => onFilterChange({ categories })}
         />
 
@@ -77,11 +85,13 @@ export const FilterPanel: React.FC<FilterPanelProps> = ({
           max={500}
           value={filters.priceRange}
           onChange={(priceRange) => onFilterChange({ priceRange })}
+          currency={currency}
         />
 
         {/* Brands */}
         <BrandFilter
           selected={filters.brands}
+          counts={facets?.brands}
           onChange={(brands) => onFilterChange({ brands })}
         />
       </div>
@@ -106,7 +116,7 @@ export const FilterPanel: React.FC<FilterPanelProps> = ({
             )}
             {(filters.priceRange.max < 500 || filters.priceRange.min > 0) && (
               <span className="px-2 py-1 bg-orange-500 bg-opacity-20 text-orange-400 text-xs rounded-md">
-                €{filters.priceRange.min} - €{filters.priceRange.max}
+                {symbol}{filters.priceRange.min} - {symbol}{filters.priceRange.max}
               </span>
             )}
           </div>
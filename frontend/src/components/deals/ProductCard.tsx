@@ -4,6 +4,7 @@ import clsx from 'clsx';
 import type { Product } from '../../types';
 import { DiscountBadge } from '../ui/DiscountBadge';
 import { formatPrice } from '../../utils/regionDetection';
+import { useAuthContext } from '../../context/AuthContext';
 
 interface ProductCardProps {
   product: Product;
@@ -20,22 +21,27 @@ export const ProductCard: React.FC<ProductCardProps> = ({
   const [imageLoaded, setImageLoaded] = useState(false);
   const [imageError, setImageError] = useState(false);
   const [isHovered, setIsHovered] = useState(false);
+  const { isSaved, toggleSaved } = useAuthContext();
+  const saved = isSaved(product.id);
+  const otherOffers = (product.offers || []).filter((offer) => offer.id !== product.id);
 
   const handleViewDeal = () => {
     if (onViewDeal) {
       onViewDeal(product);
     } else {
-      const url = product.affiliateUrl || product.url || product.productUrl;
+      const url = product.affiliateUrl || product.url;
       if (url) window.open(url, '_blank', 'noopener,noreferrer');
     }
   };
 
+  const handleToggleSaved = (e: React.MouseEvent) => {
+    e.stopPropagation();
+    toggleSaved(product.id).catch((err) => console.error('Failed to update saved deals:', err));
+  };
+
   // Get retailer name
   const retailerName = product.retailer || product.merchantName || product.brand || 'Unknown';
 
-  // Get discount percentage
-  const discountPercent = product.discountPercentage || product.discount || 0;
-
   return (
     <div
       className={clsx(
@@ -78,7 +84,7 @@ export const ProductCard: React.FC<ProductCardProps> = ({
 
         {/* Badges */}
         <div className="absolute top-3 left-3">
-          <DiscountBadge percentage={discountPercent} />
+          <DiscountBadge percentage={product.discount} />
         </div>
 
         {/* Smart Badges - Top Right */}
@@ -114,6 +120,22 @@ export const ProductCard: React.FC<ProductCardProps> = ({
           </div>
         )}
 
+        {/* Save Toggle - Bottom Right */}
+        <button
+          type="button"
+          onClick={handleToggleSaved}
+          aria-pressed={saved}
+          aria-label={saved ? 'Remove from saved deals' : 'Save deal'}
+          className={clsx(
+            'absolute bottom-3 right-3 z-10 p-2 rounded-full bg-black/60 transition-colors',
+            saved ? 'text-red-500' : 'text-white hover:text-red-400'
+          )}
+        >
+          <svg className="w-5 h-5" fill={saved ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
+          </svg>
+        </button>
+
         {/* Overlay */}
         <div
           className={clsx(
@@ -154,13 +176,40 @@ export const ProductCard: React.FC<ProductCardProps> = ({
         {/* Pricing */}
         <div className="flex items-baseline gap-3">
           <span className="text-2xl font-bold text-orange-500">
-            {formatPrice(product.salePrice, product.currency)}
+            {formatPrice(product.salePrice, product.currency, product.converted && {
+              price: product.converted.salePrice,
+              currency: product.converted.currency
+            })}
           </span>
           <span className="text-sm text-gray-500 line-through">
-            {formatPrice(product.originalPrice, product.currency)}
+            {formatPrice(
+              product.converted?.originalPrice ?? product.originalPrice,
+              product.converted?.currency ?? product.currency
+            )}
           </span>
         </div>
 
+        {/* Same product at other retailers */}
+        {otherOffers.length > 0 && (
+          <div className="space-y-1 text-xs">
+            <div className="text-gray-500">Also at</div>
+            {otherOffers.slice(0, 3).map((offer) => (
+              <a
+                key={offer.id}
+                href={offer.affiliateUrl || offer.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center justify-between text-gray-400 hover:text-orange-400"
+              >
+                <span>{offer.retailer}</span>
+                <span>
+                  {formatPrice(offer.converted?.salePrice ?? offer.salePrice, offer.converted?.currency ?? offer.currency)}
+                </span>
+              </a>
+            ))}
+          </div>
+        )}
+
         {/* Retailer Name */}
         <div className="flex items-center justify-between pt-2 border-t border-gray-700">
           <div className="flex items-center gap-2">
@@ -1,23 +1,42 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import clsx from 'clsx';
+import { useSuggestions } from '../../hooks/useSuggestions';
+import { toSuggestionItems, suggestionLabel } from '../../utils/suggestions';
+import type { SearchSuggestionItem } from '../../types';
 
 interface SearchBarProps {
   value: string;
   onChange: (value: string) => void;
   onSearch?: () => void;
+  onSuggestionSelect?: (item: SearchSuggestionItem) => void;
   placeholder?: string;
   className?: string;
 }
 
+const GROUP_LABELS: Record<SearchSuggestionItem['type'], string> = {
+  query: 'Suggestions',
+  brand: 'Brands',
+  category: 'Categories',
+  retailer: 'Retailers',
+  product: 'Products'
+};
+
 export const SearchBar: React.FC<SearchBarProps> = ({
   value,
   onChange,
   onSearch,
+  onSuggestionSelect,
   placeholder,
   className
 }) => {
-  const { t } = useTranslation();
+  const { i18n } = useTranslation();
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const { suggestions } = useSuggestions(onSuggestionSelect ? value : '', i18n.language);
+  const items = useMemo(() => toSuggestionItems(suggestions), [suggestions]);
+  const showDropdown = isOpen && items.length > 0;
 
   useEffect(() => {
     const handleKeyPress = (e: KeyboardEvent) => {
@@ -31,15 +50,47 @@ export const SearchBar: React.FC<SearchBarProps> = ({
     return () => window.removeEventListener('keydown', handleKeyPress);
   }, []);
 
+  // New suggestions reset the highlighted row
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [items]);
+
   const handleClear = () => {
     onChange('');
+    setIsOpen(false);
+  };
+
+  const handleSelect = (item: SearchSuggestionItem) => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+    onSuggestionSelect?.(item);
   };
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
+    if (showDropdown && activeIndex >= 0) {
+      handleSelect(items[activeIndex]);
+      return;
+    }
+    setIsOpen(false);
     onSearch?.();
   };
 
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'ArrowDown' && items.length > 0) {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex((index) => (index + 1) % items.length);
+    } else if (e.key === 'ArrowUp' && items.length > 0) {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex((index) => (index <= 0 ? items.length - 1 : index - 1));
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
   return (
     <form onSubmit={handleSubmit} className={clsx('relative', className)}>
       <div className="relative flex items-center">
@@ -63,8 +114,20 @@ export const SearchBar: React.FC<SearchBarProps> = ({
           id="search-input"
           type="text"
           value={value}
-          onChange={(e) => onChange(e.target.value)}
+          onChange={(e) => {
+            onChange(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setIsOpen(false)}
+          onKeyDown={handleKeyDown}
           placeholder={placeholder || 'Search brands, products, styles...'}
+          autoComplete="off"
+          role="combobox"
+          aria-expanded={showDropdown}
+          aria-controls="search-suggestions"
+          aria-autocomplete="list"
+          aria-activedescendant={activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
           className={clsx(
             'w-full pl-12 pr-24 py-3 bg-gray-800 bg-opacity-50 border border-gray-700',
             'rounded-xl text-white placeholder-gray-400',
@@ -92,6 +155,65 @@ export const SearchBar: React.FC<SearchBarProps> = ({
           </kbd>
         </div>
       </div>
+
+      {/* Suggestions Dropdown */}
+      {showDropdown && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          className="absolute z-50 mt-2 w-full max-h-96 overflow-y-auto bg-gray-900 border border-gray-700 rounded-xl shadow-xl py-2"
+        >
+          {items.map((item, index) => {
+            const startsGroup = index === 0 || items[index - 1].type !== item.type;
+
+            return (
+              <React.Fragment key={`${item.type}-${index}`}>
+                {startsGroup && (
+                  <li
+                    role="presentation"
+                    className="px-4 pt-2 pb-1 text-xs font-medium text-gray-500 uppercase tracking-wider"
+                  >
+                    {GROUP_LABELS[item.type]}
+                  </li>
+                )}
+                <li
+                  id={`search-suggestion-${index}`}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  // Keep focus in the input so onBlur does not close the list first
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => handleSelect(item)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  className={clsx(
+                    'flex items-center gap-3 px-4 py-2 cursor-pointer text-sm',
+                    index === activeIndex ? 'bg-gray-800 text-white' : 'text-gray-300'
+                  )}
+                >
+                  {item.type === 'product' && (
+                    <img
+                      src={item.image || undefined}
+                      alt=""
+                      className="w-10 h-10 rounded-md object-cover bg-gray-800 flex-shrink-0"
+                    />
+                  )}
+                  <span className="flex-1 truncate">{suggestionLabel(item)}</span>
+                  {item.type === 'retailer' && (
+                    <span className="text-xs text-gray-500">{item.count}</span>
+                  )}
+                  {item.type === 'category' && (
+                    <span className="text-xs text-gray-500">{item.category}</span>
+                  )}
+                  {item.type === 'product' && (
+                    <span className="text-xs text-orange-400 font-medium">
+                      {item.salePrice.toFixed(2)} {item.currency} · -{item.discount}%
+                    </span>
+                  )}
+                </li>
+              </React.Fragment>
+            );
+          })}
+        </ul>
+      )}
     </form>
   );
 };
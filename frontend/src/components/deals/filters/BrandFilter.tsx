@@ -1,9 +1,11 @@
 import React, { useState } from 'react';
 import clsx from 'clsx';
+import type { FacetCount } from '../../../types';
 
 interface BrandFilterProps {
   selected: string[];
   onChange: (brands: string[]) => void;
+  counts?: FacetCount[]; // Brands with deals for the current filters
   className?: string;
 }
 
@@ -23,11 +25,17 @@ const popularBrands = [
 export const BrandFilter: React.FC<BrandFilterProps> = ({
   selected,
   onChange,
+  counts,
   className
 }) => {
   const [searchQuery, setSearchQuery] = useState('');
 
-  const filteredBrands = popularBrands.filter(brand =>
+  const countByBrand = new Map((counts || []).map(({ name, count }) => [name, count]));
+  const brands = counts?.length
+    ? [...new Set([...selected, ...counts.map(({ name }) => name)])]
+    : popularBrands;
+
+  const filteredBrands = brands.filter(brand =>
     brand.toLowerCase().includes(searchQuery.toLowerCase())
   );
 
@@ -107,6 +115,9 @@ export const BrandFilter: React.FC<BrandFilterProps> = ({
                 className="w-4 h-4 rounded border-gray-600 text-orange-500 focus:ring-orange-500 focus:ring-offset-gray-900"
               />
               <span className="text-sm font-medium">{brand}</span>
+              {counts && (
+                <span className="ml-auto text-xs text-gray-500">{countByBrand.get(brand) || 0}</span>
+              )}
             </label>
           );
         })}
@@ -1,10 +1,12 @@
 import React from 'react';
 import clsx from 'clsx';
 import { ProductCategory } from '../../../types';
+import type { FacetCount } from '../../../types';
 
 interface CategoryFilterProps {
   selected: ProductCategory[];
   onChange: (categories: ProductCategory[]) => void;
+  counts?: FacetCount[]; // Deals per category for the current filters
   className?: string;
 }
 
@@ -18,8 +20,17 @@ const categories = [
 export const CategoryFilter: React.FC<CategoryFilterProps> = ({
   selected,
   onChange,
+  counts,
   className
 }) => {
+  const getCount = (category: ProductCategory) => {
+    if (!counts) return null;
+    if (category === ProductCategory.ALL) {
+      return counts.reduce((sum, { count }) => sum + count, 0);
+    }
+    return counts.find(({ name }) => name === category)?.count || 0;
+  };
+
   const handleToggle = (category: ProductCategory) => {
     if (category === ProductCategory.ALL) {
       onChange([ProductCategory.ALL]);
@@ -45,6 +56,7 @@ export const CategoryFilter: React.FC<CategoryFilterProps> = ({
       <div className="grid grid-cols-2 gap-2">
         {categories.map((category) => {
           const isSelected = selected.includes(category.value);
+          const count = getCount(category.value);
 
           return (
             <button
@@ -60,6 +72,9 @@ export const CategoryFilter: React.FC<CategoryFilterProps> = ({
             >
               <span className="text-lg">{category.icon}</span>
               <span>{category.label}</span>
+              {count !== null && (
+                <span className="ml-auto text-xs opacity-70">{count}</span>
+              )}
             </button>
           );
         })}
@@ -1,11 +1,13 @@
 import React from 'react';
 import clsx from 'clsx';
+import { getCurrencySymbol } from '../../../utils/regionDetection';
 
 interface PriceRangeSliderProps {
   min: number;
   max: number;
   value: { min: number; max: number };
   onChange: (value: { min: number; max: number }) => void;
+  currency?: string; // The viewer's currency (prices are filtered in it)
   className?: string;
 }
 
@@ -14,20 +16,23 @@ export const PriceRangeSlider: React.FC<PriceRangeSliderProps> = ({
   max,
   value,
   onChange,
+  currency = 'EUR',
   className
 }) => {
+  const symbol = getCurrencySymbol(currency);
+
   return (
     <div className={clsx('space-y-3', className)}>
       <div className="flex items-center justify-between text-sm">
         <span className="text-gray-400">Price Range</span>
         <span className="font-medium text-white">
-          €{value.min} - €{value.max}
+          {symbol}{value.min} - {symbol}{value.max}
         </span>
       </div>
 
       <div className="space-y-3">
         <div>
-          <label className="text-xs text-gray-500">Min Price: €{value.min}</label>
+          <label className="text-xs text-gray-500">Min Price: {symbol}{value.min}</label>
           <input
             type="range"
             min={min}
@@ -39,7 +44,7 @@ export const PriceRangeSlider: React.FC<PriceRangeSliderProps> = ({
         </div>
 
         <div>
-          <label className="text-xs text-gray-500">Max Price: €{value.max}</label>
+          <label className="text-xs text-gray-500">Max Price: {symbol}{value.max}</label>
           <input
             type="range"
             min={min}
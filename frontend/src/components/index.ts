@@ -25,6 +25,13 @@ export { DiscountFilter } from './deals/filters/DiscountFilter';
 // Analytics Components
 export { AnalyticsDashboard } from './analytics/AnalyticsDashboard';
 export { StatsCard } from './analytics/StatsCard';
+export { ScraperHealthDashboard } from './analytics/ScraperHealthDashboard';
+
+// Review Components
+export { ReviewDashboard } from './review/ReviewDashboard';
+
+// Auth Components
+export { AuthModal } from './auth/AuthModal';
 
 // Layout Components
 export { Header } from './layout/Header';
@@ -1,8 +1,10 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import clsx from 'clsx';
 import { RegionSelector } from '../RegionSelector';
 import { useDealsContext } from '../../context/DealsContext';
+import { useAuthContext } from '../../context/AuthContext';
+import { AuthModal } from '../auth/AuthModal';
 import type { Region } from '../../types';
 
 interface HeaderProps {
@@ -13,6 +15,8 @@ interface HeaderProps {
 export const Header: React.FC<HeaderProps> = ({ onMenuClick, showMenu = false }) => {
   const { i18n } = useTranslation();
   const { filters, updateFilters } = useDealsContext();
+  const { user, savedIds, signOut } = useAuthContext();
+  const [showAuth, setShowAuth] = useState(false);
 
   const handleRegionChange = (region: Region) => {
     updateFilters({ region });
@@ -110,9 +114,33 @@ export const Header: React.FC<HeaderProps> = ({ onMenuClick, showMenu = false })
                 ))}
               </div>
             </div>
+
+            {/* Account */}
+            {user ? (
+              <div className="flex items-center gap-2">
+                <span className="hidden sm:inline text-sm text-gray-300" title={user.email}>
+                  ♥ {savedIds.size}
+                </span>
+                <button
+                  onClick={() => signOut()}
+                  className="px-3 py-2 text-sm text-gray-300 bg-gray-800 hover:bg-gray-700 rounded-lg transition-colors"
+                >
+                  Sign out
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={() => setShowAuth(true)}
+                className="px-3 py-2 text-sm font-medium text-white bg-orange-500 hover:bg-orange-600 rounded-lg transition-colors"
+              >
+                Sign in
+              </button>
+            )}
           </div>
         </div>
       </div>
+
+      <AuthModal isOpen={showAuth} onClose={() => setShowAuth(false)} />
     </header>
   );
 };
@@ -0,0 +1,418 @@
+import React, { useEffect, useState } from 'react';
+import { useReviewQueue } from '../../hooks/useReviewQueue';
+import { ConfidenceBadge } from '../ui/ConfidenceBadge';
+import { LoadingSkeleton } from '../ui/LoadingSkeleton';
+import type { ReviewAction, ReviewField, ReviewIssue, ReviewStatus, ReviewTask } from '../../types';
+
+const TABS: { status?: ReviewStatus; label: string }[] = [
+  { label: 'Queue' },
+  { status: 'approved', label: 'Approved' },
+  { status: 'rejected', label: 'Rejected' }
+];
+
+const FIELDS: { field: ReviewField; label: string; multiline?: boolean }[] = [
+  { field: 'name', label: 'Name' },
+  { field: 'brand', label: 'Brand' },
+  { field: 'category', label: 'Category' },
+  { field: 'gender', label: 'Gender' },
+  { field: 'imageUrl', label: 'Image URL' },
+  { field: 'description', label: 'Description', multiline: true }
+];
+
+const REASON_LABELS: Record<string, string> = {
+  low_confidence: 'Low confidence',
+  critical_issues: 'Critical issues',
+  red_flags: 'AI red flags'
+};
+
+const SEVERITY_STYLES: Record<ReviewIssue['severity'], string> = {
+  critical: 'bg-red-500 bg-opacity-20 text-red-400',
+  warning: 'bg-yellow-500 bg-opacity-20 text-yellow-400',
+  info: 'bg-gray-500 bg-opacity-20 text-gray-400'
+};
+
+const BULK_ACTIONS: ReviewAction[] = ['claim', 'release', 'approve', 'reject'];
+
+const buttonClass = 'px-3 py-1.5 bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-lg text-sm transition-all disabled:opacity-50';
+const inputClass = 'w-full px-3 py-2 bg-gray-900 border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:border-orange-500';
+
+function isOpen(task: ReviewTask): boolean {
+  return task.status === 'open' || task.status === 'claimed';
+}
+
+// The value as scraped: the first `before` the task recorded, else the current value
+function originalValue(task: ReviewTask, field: ReviewField): string {
+  const change = task.edits?.[field];
+  return (change ? change.before : task.product[field]) ?? '';
+}
+
+const ReviewDetail: React.FC<{
+  task: ReviewTask;
+  onAct: (action: ReviewAction, body?: { note?: string; edits?: Partial<Record<ReviewField, string>> }) => Promise<boolean>;
+  onEdit: (edits: Partial<Record<ReviewField, string>>) => Promise<boolean>;
+}> = ({ task, onAct, onEdit }) => {
+  const { product } = task;
+  const [draft, setDraft] = useState<Partial<Record<ReviewField, string>>>({});
+  const [note, setNote] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    setDraft({});
+    setNote('');
+  }, [task.id]);
+
+  // Only fields that differ from the product are sent
+  const pending = Object.fromEntries(
+    Object.entries(draft).filter(([field, value]) => value !== (product[field as ReviewField] ?? ''))
+  ) as Partial<Record<ReviewField, string>>;
+  const hasEdits = Object.keys(pending).length > 0;
+
+  const run = async (request: () => Promise<boolean>) => {
+    setBusy(true);
+    if (await request()) setDraft({});
+    setBusy(false);
+  };
+
+  return (
+    <div className="bg-gray-800 bg-opacity-50 border border-gray-700 rounded-xl p-6 space-y-6">
+      <div className="flex gap-4">
+        {product.imageUrl && (
+          <img src={product.imageUrl} alt={product.name} className="w-28 h-28 object-cover rounded-lg bg-gray-900" />
+        )}
+        <div className="flex-1 min-w-0">
+          <h3 className="text-lg font-bold text-white">{product.name}</h3>
+          <p className="text-gray-400 text-sm">
+            {product.brand} · {product.category} · {product.retailer}
+          </p>
+          <p className="text-sm mt-1">
+            <span className="text-orange-400 font-bold">{product.salePrice} {product.currency}</span>
+            <span className="text-gray-500 line-through ml-2">{product.originalPrice}</span>
+            <span className="text-gray-400 ml-2">-{product.discountPercentage}%</span>
+          </p>
+          <div className="flex items-center gap-3 mt-2">
+            <ConfidenceBadge score={product.confidenceScore} />
+            <a href={product.productUrl} target="_blank" rel="noopener noreferrer" className="text-sm text-orange-400 hover:underline">
+              Retailer page
+            </a>
+            {!product.isActive && <span className="text-xs text-gray-500">hidden</span>}
+          </div>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {task.reasons.map(reason => (
+          <span key={reason} className="px-2 py-0.5 rounded-full text-xs font-medium bg-orange-500 bg-opacity-20 text-orange-400">
+            {REASON_LABELS[reason] || reason}
+          </span>
+        ))}
+        {task.claimedBy && isOpen(task) && <span className="text-xs text-gray-400">claimed by {task.claimedBy}</span>}
+        {task.resolvedBy && (
+          <span className="text-xs text-gray-400">
+            {task.status} by {task.resolvedBy}{task.note ? `: ${task.note}` : ''}
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <h4 className="text-sm font-medium text-gray-300 mb-2">Verification issues</h4>
+          {task.issues.length === 0 && <p className="text-sm text-gray-500">None</p>}
+          <ul className="space-y-1">
+            {task.issues.map((issue, index) => (
+              <li key={index} className="text-sm text-gray-300">
+                <span className={`px-2 py-0.5 rounded-full text-xs mr-2 ${SEVERITY_STYLES[issue.severity] || SEVERITY_STYLES.info}`}>
+                  {issue.field}
+                </span>
+                {issue.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+        <div>
+          <h4 className="text-sm font-medium text-gray-300 mb-2">AI red flags</h4>
+          {task.redFlags.length === 0 && <p className="text-sm text-gray-500">None</p>}
+          <ul className="list-disc list-inside space-y-1">
+            {task.redFlags.map(flag => (
+              <li key={flag} className="text-sm text-red-400">{flag}</li>
+            ))}
+          </ul>
+          {task.suggestions && (task.suggestions.brand || task.suggestions.category) && (
+            <p className="text-sm text-gray-400 mt-3">
+              AI suggests
+              {task.suggestions.brand && <> brand <span className="text-white">{task.suggestions.brand}</span></>}
+              {task.suggestions.category && <> category <span className="text-white">{task.suggestions.category}</span></>}
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <div className="grid grid-cols-[8rem_1fr_1fr] gap-3 text-xs text-gray-500 mb-2">
+          <span />
+          <span>Original</span>
+          <span>Edited</span>
+        </div>
+        <div className="space-y-2">
+          {FIELDS.map(({ field, label, multiline }) => {
+            const current = product[field] ?? '';
+            const value = draft[field] ?? current;
+            const changed = value !== originalValue(task, field);
+            const setValue = (next: string) => setDraft(prev => ({ ...prev, [field]: next }));
+
+            return (
+              <div key={field} className="grid grid-cols-[8rem_1fr_1fr] gap-3 items-start">
+                <span className="text-sm text-gray-400 pt-2">
+                  {label}
+                  {product.lockedFields.includes(field) && <span className="ml-1 text-xs text-orange-400" title="Corrected by a moderator">●</span>}
+                </span>
+                <div className="px-3 py-2 bg-gray-900 bg-opacity-50 rounded-lg text-sm text-gray-400 break-words">
+                  {originalValue(task, field) || '—'}
+                </div>
+                {isOpen(task) ? (
+                  multiline ? (
+                    <textarea value={value} onChange={(e) => setValue(e.target.value)} rows={3} className={inputClass} />
+                  ) : (
+                    <input value={value} onChange={(e) => setValue(e.target.value)} className={inputClass} />
+                  )
+                ) : (
+                  <div className={`px-3 py-2 rounded-lg text-sm break-words ${changed ? 'text-orange-300' : 'text-gray-400'}`}>
+                    {value || '—'}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {isOpen(task) && (
+        <div className="space-y-3">
+          <input
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Note (optional)"
+            maxLength={1000}
+            className={inputClass}
+          />
+          <div className="flex flex-wrap gap-2">
+            {task.status === 'open' ? (
+              <button disabled={busy} onClick={() => run(() => onAct('claim'))} className={buttonClass}>Claim</button>
+            ) : (
+              <button disabled={busy} onClick={() => run(() => onAct('release'))} className={buttonClass}>Release</button>
+            )}
+            <button disabled={busy || !hasEdits} onClick={() => run(() => onEdit(pending))} className={buttonClass}>
+              Save edits
+            </button>
+            <button
+              disabled={busy}
+              onClick={() => run(() => onAct('approve', { note, edits: hasEdits ? pending : undefined }))}
+              className="px-4 py-1.5 bg-orange-500 hover:bg-orange-600 rounded-lg text-sm font-medium transition-all disabled:opacity-50"
+            >
+              Approve
+            </button>
+            <button
+              disabled={busy}
+              onClick={() => run(() => onAct('reject', { note, edits: hasEdits ? pending : undefined }))}
+              className="px-4 py-1.5 bg-red-600 hover:bg-red-700 rounded-lg text-sm font-medium transition-all disabled:opacity-50"
+            >
+              Reject
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export const ReviewDashboard: React.FC = () => {
+  const [status, setStatus] = useState<ReviewStatus | undefined>(undefined);
+  const [keyInput, setKeyInput] = useState('');
+  const [checked, setChecked] = useState<string[]>([]);
+  const [bulkNote, setBulkNote] = useState('');
+  const [bulkMessage, setBulkMessage] = useState<string | null>(null);
+  const { queue, selected, loading, error, apiKey, setApiKey, refresh, select, act, edit, bulk } = useReviewQueue(status);
+
+  useEffect(() => {
+    setChecked([]);
+  }, [status, queue]);
+
+  if (!apiKey) {
+    return (
+      <div className="bg-gray-800 bg-opacity-50 border border-gray-700 rounded-xl p-8 max-w-md mx-auto">
+        <h2 className="text-xl font-bold text-white mb-2">Manual Review</h2>
+        <p className="text-gray-400 text-sm mb-4">Enter an admin API key (operator role to act) to open the review queue.</p>
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            setApiKey(keyInput.trim());
+          }}
+          className="flex gap-2"
+        >
+          <input
+            type="password"
+            value={keyInput}
+            onChange={(e) => setKeyInput(e.target.value)}
+            placeholder="pfk_..."
+            className="flex-1 px-3 py-2 bg-gray-900 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-orange-500"
+          />
+          <button type="submit" className="px-4 py-2 bg-orange-500 hover:bg-orange-600 rounded-lg font-medium transition-all">
+            Open
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  if (loading && !queue) {
+    return <LoadingSkeleton variant="card" count={3} />;
+  }
+
+  if (!queue) {
+    return (
+      <div className="bg-gray-800 bg-opacity-50 border border-gray-700 rounded-xl p-8 text-center">
+        <p className="text-gray-400 mb-4">Review queue unavailable{error ? `: ${error.message}` : ''}</p>
+        <button onClick={() => setApiKey('')} className={buttonClass}>
+          Use a different key
+        </button>
+      </div>
+    );
+  }
+
+  const { tasks, counts } = queue;
+  const openTasks = tasks.filter(isOpen);
+  const allChecked = openTasks.length > 0 && openTasks.every(task => checked.includes(task.id));
+
+  const runBulk = async (action: ReviewAction) => {
+    const result = await bulk(action, checked, bulkNote || undefined);
+    if (!result) return;
+
+    setBulkNote('');
+    setBulkMessage(
+      `${action}: ${result.succeeded.length} done` +
+      (result.failed.length > 0 ? `, ${result.failed.length} failed (${result.failed[0].error})` : '')
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-white mb-2">Manual Review</h2>
+          <p className="text-gray-400">
+            {(counts.open || 0) + (counts.claimed || 0)} products waiting, {counts.claimed || 0} claimed
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          {TABS.map(tab => (
+            <button
+              key={tab.label}
+              onClick={() => setStatus(tab.status)}
+              className={`px-3 py-1.5 rounded-lg text-sm transition-all ${
+                status === tab.status ? 'bg-orange-500 text-white' : 'bg-gray-800 hover:bg-gray-700 border border-gray-700'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+          <button onClick={refresh} className={buttonClass}>Refresh</button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="px-4 py-3 bg-red-500 bg-opacity-10 border border-red-500 border-opacity-40 rounded-lg text-sm text-red-400">
+          {error.message}
+        </div>
+      )}
+
+      {checked.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 bg-gray-800 bg-opacity-50 border border-gray-700 rounded-xl px-4 py-3">
+          <span className="text-sm text-gray-300 mr-2">{checked.length} selected</span>
+          <input
+            value={bulkNote}
+            onChange={(e) => setBulkNote(e.target.value)}
+            placeholder="Note (optional)"
+            maxLength={1000}
+            className="flex-1 min-w-[12rem] px-3 py-1.5 bg-gray-900 border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:border-orange-500"
+          />
+          {BULK_ACTIONS.map(action => (
+            <button key={action} onClick={() => runBulk(action)} className={`${buttonClass} capitalize`}>
+              {action}
+            </button>
+          ))}
+        </div>
+      )}
+      {bulkMessage && <p className="text-sm text-gray-400">{bulkMessage}</p>}
+
+      <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+        <div className="lg:col-span-2 bg-gray-800 bg-opacity-50 border border-gray-700 rounded-xl overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-400 border-b border-gray-700">
+                <th className="px-4 py-3">
+                  <input
+                    type="checkbox"
+                    checked={allChecked}
+                    disabled={openTasks.length === 0}
+                    onChange={() => setChecked(allChecked ? [] : openTasks.map(task => task.id))}
+                  />
+                </th>
+                <th className="px-4 py-3 font-medium">Product</th>
+                <th className="px-4 py-3 font-medium text-right">Score</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tasks.map(task => (
+                <tr
+                  key={task.id}
+                  onClick={() => select(task.id)}
+                  className={`border-b border-gray-800 align-top cursor-pointer hover:bg-gray-800 ${
+                    selected?.id === task.id ? 'bg-gray-800' : ''
+                  }`}
+                >
+                  <td className="px-4 py-3" onClick={(e) => e.stopPropagation()}>
+                    <input
+                      type="checkbox"
+                      checked={checked.includes(task.id)}
+                      disabled={!isOpen(task)}
+                      onChange={() => setChecked(prev =>
+                        prev.includes(task.id) ? prev.filter(id => id !== task.id) : [...prev, task.id]
+                      )}
+                    />
+                  </td>
+                  <td className="px-4 py-3">
+                    <div className="text-white font-medium">{task.product.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {task.product.brand} · {task.product.retailer}
+                      {task.claimedBy && task.status === 'claimed' && <span className="text-orange-400"> · {task.claimedBy}</span>}
+                    </div>
+                    <div className="text-xs text-gray-500 mt-1">
+                      {task.reasons.map(reason => REASON_LABELS[reason] || reason).join(', ')}
+                    </div>
+                  </td>
+                  <td className="px-4 py-3 text-right text-gray-300">{task.confidenceScore}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {tasks.length === 0 && (
+            <p className="text-center text-gray-400 py-8">Nothing to review</p>
+          )}
+        </div>
+
+        <div className="lg:col-span-3">
+          {selected ? (
+            <ReviewDetail
+              task={selected}
+              onAct={(action, body) => act(selected.id, action, body)}
+              onEdit={(edits) => edit(selected.id, edits)}
+            />
+          ) : (
+            <div className="bg-gray-800 bg-opacity-50 border border-gray-700 rounded-xl p-8 text-center text-gray-400">
+              Select a product to review
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -3,53 +3,28 @@ import clsx from 'clsx';
 
 interface PaginationProps {
   currentPage: number;
-  totalPages: number;
-  onPageChange: (page: number) => void;
   pageSize: number;
   totalItems: number;
+  hasNextPage: boolean;
+  onNext: () => void;
+  onPrevious: () => void;
 }
 
+// Deals are paged with opaque cursors, so navigation is previous/next only
 export const Pagination: React.FC<PaginationProps> = ({
   currentPage,
-  totalPages,
-  onPageChange,
   pageSize,
-  totalItems
+  totalItems,
+  hasNextPage,
+  onNext,
+  onPrevious
 }) => {
   const startItem = (currentPage - 1) * pageSize + 1;
   const endItem = Math.min(currentPage * pageSize, totalItems);
+  const totalPages = Math.ceil(totalItems / pageSize) || 1;
+  const hasPreviousPage = currentPage > 1;
 
-  const getPageNumbers = () => {
-    const delta = 2;
-    const range: number[] = [];
-    const rangeWithDots: (number | string)[] = [];
-
-    for (
-      let i = Math.max(2, currentPage - delta);
-      i <= Math.min(totalPages - 1, currentPage + delta);
-      i++
-    ) {
-      range.push(i);
-    }
-
-    if (currentPage - delta > 2) {
-      rangeWithDots.push(1, '...');
-    } else {
-      rangeWithDots.push(1);
-    }
-
-    rangeWithDots.push(...range);
-
-    if (currentPage + delta < totalPages - 1) {
-      rangeWithDots.push('...', totalPages);
-    } else if (totalPages > 1) {
-      rangeWithDots.push(totalPages);
-    }
-
-    return rangeWithDots;
-  };
-
-  if (totalPages <= 1) return null;
+  if (!hasPreviousPage && !hasNextPage) return null;
 
   return (
     <div className="flex items-center justify-between px-4 py-3 bg-gray-900 bg-opacity-50 border border-gray-700 rounded-lg">
@@ -63,11 +38,11 @@ export const Pagination: React.FC<PaginationProps> = ({
 
       <div className="flex items-center gap-2">
         <button
-          onClick={() => onPageChange(currentPage - 1)}
-          disabled={currentPage === 1}
+          onClick={onPrevious}
+          disabled={!hasPreviousPage}
           className={clsx(
             'px-3 py-2 rounded-lg font-medium text-sm transition-all',
-            currentPage === 1
+            !hasPreviousPage
               ? 'bg-gray-800 text-gray-500 cursor-not-allowed'
               : 'bg-gray-800 text-white hover:bg-gray-700'
           )}
@@ -75,34 +50,17 @@ export const Pagination: React.FC<PaginationProps> = ({
           Previous
         </button>
 
-        <div className="flex items-center gap-1">
-          {getPageNumbers().map((page, index) => (
-            <React.Fragment key={index}>
-              {page === '...' ? (
-                <span className="px-3 py-2 text-gray-500">...</span>
-              ) : (
-                <button
-                  onClick={() => onPageChange(page as number)}
-                  className={clsx(
-                    'px-3 py-2 rounded-lg font-medium text-sm transition-all',
-                    currentPage === page
-                      ? 'bg-orange-500 text-white'
-                      : 'bg-gray-800 text-white hover:bg-gray-700'
-                  )}
-                >
-                  {page}
-                </button>
-              )}
-            </React.Fragment>
-          ))}
-        </div>
+        <span className="px-3 py-2 text-sm text-gray-400">
+          Page <span className="font-medium text-white">{currentPage}</span> of{' '}
+          <span className="font-medium text-white">{totalPages}</span>
+        </span>
 
         <button
-          onClick={() => onPageChange(currentPage + 1)}
-          disabled={currentPage === totalPages}
+          onClick={onNext}
+          disabled={!hasNextPage}
           className={clsx(
             'px-3 py-2 rounded-lg font-medium text-sm transition-all',
-            currentPage === totalPages
+            !hasNextPage
               ? 'bg-gray-800 text-gray-500 cursor-not-allowed'
               : 'bg-gray-800 text-white hover:bg-gray-700'
           )}
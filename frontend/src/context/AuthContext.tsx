@@ -0,0 +1,150 @@
+import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
+import { api } from '../api/client';
+import type { User, AuthSession } from '../types';
+
+const TOKEN_STORAGE_KEY = 'promofinder_auth_token';
+const FAVORITES_STORAGE_KEY = 'promofinder_favorites';
+
+interface AuthContextValue {
+  user: User | null;
+  isLoading: boolean;
+  savedIds: Set<string>;
+  isSaved: (productId: string) => boolean;
+  toggleSaved: (productId: string) => Promise<void>;
+  signIn: (email: string, password: string) => Promise<void>;
+  signUp: (email: string, password: string, name?: string) => Promise<void>;
+  signOut: () => Promise<void>;
+}
+
+const AuthContext = createContext<AuthContextValue | undefined>(undefined);
+
+export const useAuthContext = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuthContext must be used within AuthProvider');
+  }
+  return context;
+};
+
+// Favorites saved while signed out
+function getLocalFavorites(): string[] {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FAVORITES_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter((id) => typeof id === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+function setLocalFavorites(ids: Set<string>) {
+  localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify([...ids]));
+}
+
+interface AuthProviderProps {
+  children: React.ReactNode;
+}
+
+export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
+  const [user, setUser] = useState<User | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [savedIds, setSavedIds] = useState<Set<string>>(() => new Set(getLocalFavorites()));
+
+  // Load saved deals for the account, merging anything favorited while signed out
+  const loadAccount = useCallback(async (account: User) => {
+    const localFavorites = getLocalFavorites();
+    const ids = localFavorites.length > 0
+      ? await api.mergeSavedDeals(localFavorites)
+      : (await api.getSavedDeals()).map((deal) => deal.id);
+
+    localStorage.removeItem(FAVORITES_STORAGE_KEY);
+    setUser(account);
+    setSavedIds(new Set(ids));
+  }, []);
+
+  // Restore the session from a stored token
+  useEffect(() => {
+    const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+    if (!token) {
+      setIsLoading(false);
+      return;
+    }
+
+    api.setAuthToken(token);
+    api.getMe()
+      .then(loadAccount)
+      .catch(() => {
+        // Expired or revoked session
+        localStorage.removeItem(TOKEN_STORAGE_KEY);
+        api.setAuthToken(null);
+      })
+      .finally(() => setIsLoading(false));
+  }, [loadAccount]);
+
+  const startSession = useCallback(async (session: AuthSession) => {
+    localStorage.setItem(TOKEN_STORAGE_KEY, session.token);
+    api.setAuthToken(session.token);
+    await loadAccount(session.user);
+  }, [loadAccount]);
+
+  const signIn = useCallback(async (email: string, password: string) => {
+    await startSession(await api.login(email, password));
+  }, [startSession]);
+
+  const signUp = useCallback(async (email: string, password: string, name?: string) => {
+    await startSession(await api.register(email, password, name));
+  }, [startSession]);
+
+  const signOut = useCallback(async () => {
+    try {
+      await api.logout();
+    } finally {
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+      api.setAuthToken(null);
+      setUser(null);
+      setSavedIds(new Set());
+    }
+  }, []);
+
+  const isSaved = useCallback((productId: string) => savedIds.has(productId), [savedIds]);
+
+  const toggleSaved = useCallback(async (productId: string) => {
+    const wasSaved = savedIds.has(productId);
+    const next = new Set(savedIds);
+    if (wasSaved) {
+      next.delete(productId);
+    } else {
+      next.add(productId);
+    }
+    setSavedIds(next);
+
+    if (!user) {
+      setLocalFavorites(next);
+      return;
+    }
+
+    try {
+      if (wasSaved) {
+        await api.removeSavedDeal(productId);
+      } else {
+        await api.saveDeal(productId);
+      }
+    } catch (err) {
+      // Roll back the optimistic update
+      setSavedIds(savedIds);
+      throw err;
+    }
+  }, [savedIds, user]);
+
+  const value: AuthContextValue = {
+    user,
+    isLoading,
+    savedIds,
+    isSaved,
+    toggleSaved,
+    signIn,
+    signUp,
+    signOut
+  };
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
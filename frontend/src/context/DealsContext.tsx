@@ -1,6 +1,6 @@
 import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
 import { api } from '../api/client';
-import type { Product, DealsFilters, DEFAULT_FILTERS } from '../types';
+import type { Product, DealsFilters, DealFacets, DEFAULT_FILTERS } from '../types';
 import { getUserRegion } from '../utils/regionDetection';
 
 interface DealsContextValue {
@@ -9,7 +9,13 @@ interface DealsContextValue {
   isLoading: boolean;
   error: Error | null;
   total: number;
+  facets: DealFacets | null;
+  page: number;
+  pageSize: number;
+  hasNextPage: boolean;
   lastUpdated: Date | null;
+  nextPage: () => void;
+  previousPage: () => void;
   updateFilters: (filters: Partial<DealsFilters>) => void;
   resetFilters: () => void;
   refreshDeals: () => Promise<void>;
@@ -26,6 +32,8 @@ export const useDealsContext = () => {
   return context;
 };
 
+const PAGE_SIZE = 50;
+
 interface DealsProviderProps {
   children: React.ReactNode;
 }
@@ -46,34 +54,56 @@ export const DealsProvider: React.FC<DealsProviderProps> = ({ children }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<Error | null>(null);
   const [total, setTotal] = useState(0);
+  const [facets, setFacets] = useState<DealFacets | null>(null);
   const [lastUpdated, setLastUpdated] = useState<Date | null>(null);
+  // Cursor that starts each visited page; the first page has none
+  const [cursors, setCursors] = useState<(string | null)[]>([null]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+
+  const page = cursors.length;
+  const currentCursor = cursors[cursors.length - 1];
 
   const fetchDeals = useCallback(async () => {
     setIsLoading(true);
     setError(null);
 
     try {
-      const response = await api.getDeals(filters, 1, 50);
+      const response = await api.getDeals(filters, currentCursor, PAGE_SIZE);
       setDeals(response.deals);
       setTotal(response.total);
+      setFacets(response.facets);
+      setNextCursor(response.hasMore ? response.nextCursor : null);
       setLastUpdated(response.lastUpdated);
     } catch (err) {
       setError(err instanceof Error ? err : new Error('Failed to fetch deals'));
       setDeals([]);
+      setNextCursor(null);
     } finally {
       setIsLoading(false);
     }
-  }, [filters]);
+  }, [filters, currentCursor]);
 
   useEffect(() => {
     fetchDeals();
   }, [fetchDeals]);
 
+  const nextPage = useCallback(() => {
+    if (nextCursor) {
+      setCursors(prev => [...prev, nextCursor]);
+    }
+  }, [nextCursor]);
+
+  const previousPage = useCallback(() => {
+    setCursors(prev => (prev.length > 1 ? prev.slice(0, -1) : prev));
+  }, []);
+
   const updateFilters = useCallback((newFilters: Partial<DealsFilters>) => {
     setFilters(prev => ({
       ...prev,
       ...newFilters
     }));
+    // Cursors belong to the previous filter set
+    setCursors([null]);
   }, []);
 
   const resetFilters = useCallback(() => {
@@ -88,6 +118,7 @@ export const DealsProvider: React.FC<DealsProviderProps> = ({ children }) => {
       sortBy: 'relevance',
       sortOrder: 'desc'
     }));
+    setCursors([null]);
   }, []);
 
   const setSearchQuery = useCallback((query: string) => {
@@ -100,7 +131,13 @@ export const DealsProvider: React.FC<DealsProviderProps> = ({ children }) => {
     isLoading,
     error,
     total,
+    facets,
+    page,
+    pageSize: PAGE_SIZE,
+    hasNextPage: nextCursor !== null,
     lastUpdated,
+    nextPage,
+    previousPage,
     updateFilters,
     resetFilters,
     refreshDeals: fetchDeals,
@@ -4,3 +4,4 @@ export { useFilters } from './useFilters';
 export { usePagination } from './usePagination';
 export { useToast } from './useToast';
 export { useAnalytics } from './useAnalytics';
+export { useSuggestions } from './useSuggestions';
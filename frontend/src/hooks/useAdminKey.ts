@@ -0,0 +1,15 @@
+import { useState, useCallback } from 'react';
+
+const API_KEY_STORAGE_KEY = 'promofinder_admin_key';
+
+// The admin key is kept for the browser session only, shared by the admin pages
+export function useAdminKey(): [string, (key: string) => void] {
+  const [apiKey, setApiKeyState] = useState(() => sessionStorage.getItem(API_KEY_STORAGE_KEY) || '');
+
+  const setApiKey = useCallback((key: string) => {
+    sessionStorage.setItem(API_KEY_STORAGE_KEY, key);
+    setApiKeyState(key);
+  }, []);
+
+  return [apiKey, setApiKey];
+}
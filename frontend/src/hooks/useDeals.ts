@@ -7,19 +7,21 @@ interface UseDealsReturn {
   loading: boolean;
   error: Error | null;
   total: number;
+  nextCursor: string | null;
   lastUpdated: Date | null;
   refreshDeals: () => Promise<void>;
 }
 
 export function useDeals(
   filters?: Partial<DealsFilters>,
-  page = 1,
+  cursor: string | null = null,
   limit = 50
 ): UseDealsReturn {
   const [deals, setDeals] = useState<Product[]>([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<Error | null>(null);
   const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
   const [lastUpdated, setLastUpdated] = useState<Date | null>(null);
 
   const fetchDeals = useCallback(async () => {
@@ -27,9 +29,10 @@ export function useDeals(
     setError(null);
 
     try {
-      const response = await api.getDeals(filters, page, limit);
+      const response = await api.getDeals(filters, cursor, limit);
       setDeals(response.deals);
       setTotal(response.total);
+      setNextCursor(response.nextCursor);
       setLastUpdated(response.lastUpdated);
     } catch (err) {
       setError(err instanceof Error ? err : new Error('Failed to fetch deals'));
@@ -37,7 +40,7 @@ export function useDeals(
     } finally {
       setLoading(false);
     }
-  }, [filters, page, limit]);
+  }, [filters, cursor, limit]);
 
   useEffect(() => {
     fetchDeals();
@@ -48,6 +51,7 @@ export function useDeals(
     loading,
     error,
     total,
+    nextCursor,
     lastUpdated,
     refreshDeals: fetchDeals
   };
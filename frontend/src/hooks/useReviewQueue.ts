@@ -0,0 +1,112 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { api } from '../api/client';
+import { useAdminKey } from './useAdminKey';
+import type { ReviewQueue, ReviewTask, ReviewStatus, ReviewAction, ReviewField, BulkReviewResult } from '../types';
+
+type FieldEdits = Partial<Record<ReviewField, string>>;
+
+interface UseReviewQueueReturn {
+  queue: ReviewQueue | null;
+  selected: ReviewTask | null;
+  loading: boolean;
+  error: Error | null;
+  apiKey: string;
+  setApiKey: (key: string) => void;
+  refresh: () => Promise<void>;
+  select: (id: string | null) => Promise<void>;
+  act: (id: string, action: ReviewAction, body?: { note?: string; edits?: FieldEdits }) => Promise<boolean>;
+  edit: (id: string, edits: FieldEdits) => Promise<boolean>;
+  bulk: (action: ReviewAction, ids: string[], note?: string) => Promise<BulkReviewResult | null>;
+}
+
+// The API explains refused actions (claimed by someone else, invalid edits) in `error`
+function toError(err: unknown, fallback: string): Error {
+  if (axios.isAxiosError(err) && err.response?.data?.error) {
+    return new Error(err.response.data.error);
+  }
+  return err instanceof Error ? err : new Error(fallback);
+}
+
+export function useReviewQueue(status?: ReviewStatus): UseReviewQueueReturn {
+  const [apiKey, setApiKey] = useAdminKey();
+  const [queue, setQueue] = useState<ReviewQueue | null>(null);
+  const [selected, setSelected] = useState<ReviewTask | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<Error | null>(null);
+
+  const fetchQueue = useCallback(async () => {
+    if (!apiKey) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      setQueue(await api.getReviewQueue(apiKey, status));
+    } catch (err) {
+      setError(toError(err, 'Failed to fetch review queue'));
+      setQueue(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiKey, status]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const select = useCallback(async (id: string | null) => {
+    if (!id) {
+      setSelected(null);
+      return;
+    }
+
+    try {
+      setSelected(await api.getReviewTask(apiKey, id));
+    } catch (err) {
+      setError(toError(err, 'Failed to fetch review task'));
+    }
+  }, [apiKey]);
+
+  // Run a request, then reload the queue and the open task
+  const run = useCallback(async <T,>(request: () => Promise<T>, taskId: string | null, fallback: string): Promise<T | null> => {
+    setError(null);
+    try {
+      const result = await request();
+      await fetchQueue();
+      if (taskId) await select(taskId);
+      return result;
+    } catch (err) {
+      setError(toError(err, fallback));
+      return null;
+    }
+  }, [fetchQueue, select]);
+
+  const act = useCallback(async (id: string, action: ReviewAction, body?: { note?: string; edits?: FieldEdits }) => {
+    const task = await run(() => api.reviewTask(apiKey, id, action, body), id, `Failed to ${action} review task`);
+    return task !== null;
+  }, [apiKey, run]);
+
+  const edit = useCallback(async (id: string, edits: FieldEdits) => {
+    const task = await run(() => api.editReviewedProduct(apiKey, id, edits), id, 'Failed to edit product');
+    return task !== null;
+  }, [apiKey, run]);
+
+  const bulk = useCallback(async (action: ReviewAction, ids: string[], note?: string) => {
+    return run(() => api.bulkReview(apiKey, action, ids, note), selected?.id || null, 'Bulk action failed');
+  }, [apiKey, run, selected]);
+
+  return {
+    queue,
+    selected,
+    loading,
+    error,
+    apiKey,
+    setApiKey,
+    refresh: fetchQueue,
+    select,
+    act,
+    edit,
+    bulk
+  };
+}
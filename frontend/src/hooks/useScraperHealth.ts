@@ -0,0 +1,49 @@
+import { useState, useEffect, useCallback } from 'react';
+import { api } from '../api/client';
+import { useAdminKey } from './useAdminKey';
+import type { ScraperHealthReport } from '../types';
+
+interface UseScraperHealthReturn {
+  report: ScraperHealthReport | null;
+  loading: boolean;
+  error: Error | null;
+  apiKey: string;
+  setApiKey: (key: string) => void;
+  refresh: () => Promise<void>;
+}
+
+export function useScraperHealth(days = 14): UseScraperHealthReturn {
+  const [apiKey, setApiKey] = useAdminKey();
+  const [report, setReport] = useState<ScraperHealthReport | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<Error | null>(null);
+
+  const fetchHealth = useCallback(async () => {
+    if (!apiKey) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      setReport(await api.getScraperHealth(apiKey, days));
+    } catch (err) {
+      setError(err instanceof Error ? err : new Error('Failed to fetch scraper health'));
+      setReport(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiKey, days]);
+
+  useEffect(() => {
+    fetchHealth();
+  }, [fetchHealth]);
+
+  return {
+    report,
+    loading,
+    error,
+    apiKey,
+    setApiKey,
+    refresh: fetchHealth
+  };
+}
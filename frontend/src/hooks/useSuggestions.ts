@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react';
+import { api } from '../api/client';
+import type { SearchSuggestions } from '../types';
+
+interface UseSuggestionsReturn {
+  suggestions: SearchSuggestions | null;
+  loading: boolean;
+}
+
+const MIN_QUERY_LENGTH = 2;
+
+export function useSuggestions(
+  query: string,
+  language?: string,
+  debounceMs = 150
+): UseSuggestionsReturn {
+  const [suggestions, setSuggestions] = useState<SearchSuggestions | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (query.trim().length < MIN_QUERY_LENGTH) {
+      setSuggestions(null);
+      setLoading(false);
+      return;
+    }
+
+    // Abort the in-flight request when the user keeps typing
+    const controller = new AbortController();
+
+    const handler = setTimeout(async () => {
+      setLoading(true);
+      try {
+        setSuggestions(await api.getSuggestions(query, language, controller.signal));
+      } catch (err) {
+        if (!controller.signal.aborted) {
+          setSuggestions(null);
+        }
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    }, debounceMs);
+
+    return () => {
+      clearTimeout(handler);
+      controller.abort();
+    };
+  }, [query, language, debounceMs]);
+
+  return { suggestions, loading };
+}
@@ -1,9 +1,19 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import PromoFinder from './PromoFinder'
+import { AuthProvider } from './context/AuthContext'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <PromoFinder />
-  </React.StrictMode>,
-)
+// Pages of the TypeScript app (main.tsx, routed in App.tsx); everything else is PromoFinder
+const APP_PATHS = ['/analytics/scrapers', '/admin/reviews']
+
+if (APP_PATHS.some(path => window.location.pathname.startsWith(path))) {
+  import('./main.tsx')
+} else {
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <AuthProvider>
+        <PromoFinder />
+      </AuthProvider>
+    </React.StrictMode>,
+  )
+}
@@ -102,29 +102,51 @@ export enum ProductSource {
   PULL_AND_BEAR = 'Pull&Bear'
 }
 
+// A deal's prices converted to the viewer's currency (daily exchange rates of rateDate)
+export interface ConvertedPrices {
+  currency: string;
+  salePrice: number;
+  originalPrice: number;
+  rateDate: string;
+}
+
+// One retailer's listing of a deal's canonical product
+export interface Offer {
+  id: string;
+  retailer: string;
+  salePrice: number;
+  originalPrice: number;
+  discount: number;
+  currency: string;
+  converted?: ConvertedPrices | null;
+  url: string;
+  affiliateUrl: string;
+}
+
+// Where a product is in the backend's deal lifecycle (services/lifecycle)
+export type LifecycleStatus = 'active' | 'unseen' | 'stale' | 'expired' | 'archived';
+
+// A deal as served by the API (the Deal object in backend/API.md)
 export interface Product {
   id: string;
-  name: string;
+  name: string; // In the requested lang when translated
+  description?: string | null;
+  language?: string | null; // Language of name/description
   brand: string;
   category: ProductCategory;
   source: ProductSource;
   originalPrice: number;
   salePrice: number;
-  discountPercentage: number;
-  discount?: number; // Alias for discountPercentage
+  discount: number; // Percentage off originalPrice
   confidenceScore: number;
   image: string;
-  imageUrl?: string; // Alternative field name from API
   url: string;
-  productUrl?: string; // Alternative field name from API
-  affiliateUrl?: string; // Affiliate link
+  affiliateUrl?: string; // Affiliate link (falls back to url)
   currency: string;
+  converted?: ConvertedPrices | null; // Prices in the viewer's currency, when it differs
   regions: string[]; // Available regions
-  availableRegions?: string[]; // Alternative field name from API
   isNew?: boolean;
-  lastUpdated?: Date;
-  createdAt?: string;
-  updatedAt?: string;
+  lastUpdated?: string;
   // AI-analyzed fields
   gender?: Gender;
   smartCategories?: SmartCategory[];
@@ -135,6 +157,18 @@ export interface Product {
   priceDrop?: boolean;
   retailer?: string;
   merchantName?: string;
+  // The same product at every retailer, cheapest first (includes this deal)
+  canonicalId?: string | null;
+  offers?: Offer[];
+  // Always 'active' unless requested with includeExpired=true
+  lifecycleStatus?: LifecycleStatus;
+  expiresAt?: string | null;
+  // Present on search results
+  relevance?: number;
+  highlight?: {
+    name: string; // Matches wrapped in <mark>...</mark>
+    description: string | null;
+  } | null;
 }
 
 // Filter Types
@@ -222,6 +256,132 @@ export interface ActivityLog {
   details: string;
 }
 
+// Scraper health (GET /api/admin/scrapers)
+export type ScraperHealthStatus = 'healthy' | 'degraded' | 'failing' | 'unknown';
+
+export interface ScrapeRun {
+  id: string;
+  scraper: string;
+  status: 'running' | 'success' | 'empty' | 'failed';
+  startedAt: string;
+  finishedAt: string | null;
+  durationMs: number | null;
+  productsFound: number;
+  productsStored: number;
+  productsRejected: number;
+  selectorMisses: number;
+  errorClass: string | null;
+  errorMessage: string | null;
+}
+
+export interface ScrapeTrendDay {
+  date: string;
+  runs: number;
+  failed: number;
+  productsFound: number;
+  productsStored: number;
+  productsRejected: number;
+  selectorMisses: number;
+}
+
+export interface ScraperHealth {
+  scraper: string;
+  status: ScraperHealthStatus;
+  reasons: string[];
+  runs: number;
+  successRate: number | null;
+  consecutiveFailures: number;
+  avgDurationMs: number | null;
+  baseline: number | null;
+  yieldRatio: number | null;
+  lastRun: ScrapeRun | null;
+  lastSuccessAt: string | null;
+  isRunning: boolean;
+  trend: ScrapeTrendDay[];
+}
+
+export interface ScraperHealthReport {
+  days: number;
+  since: string;
+  counts: Partial<Record<ScraperHealthStatus, number>>;
+  scrapers: ScraperHealth[];
+}
+
+// Manual review queue (GET /api/admin/reviews)
+export type ReviewStatus = 'open' | 'claimed' | 'approved' | 'rejected';
+export type ReviewAction = 'claim' | 'release' | 'approve' | 'reject';
+export type ReviewField = 'name' | 'brand' | 'category' | 'description' | 'imageUrl' | 'gender';
+
+export interface ReviewIssue {
+  severity: 'critical' | 'warning' | 'info';
+  field: string;
+  message: string;
+}
+
+export interface FieldChange {
+  before: string | null;
+  after: string | null;
+}
+
+export interface ReviewProduct {
+  id: string;
+  name: string;
+  brand: string;
+  category: string;
+  description: string | null;
+  imageUrl: string | null;
+  productUrl: string;
+  gender: Gender | null;
+  retailer: string;
+  salePrice: number;
+  originalPrice: number;
+  discountPercentage: number;
+  currency: string;
+  confidenceScore: number;
+  isActive: boolean;
+  lifecycleStatus: string;
+  lockedFields: ReviewField[];
+  verificationHistory?: VerificationHistoryEntry[];
+}
+
+export interface VerificationHistoryEntry {
+  id: string;
+  verificationType: string;
+  status: string;
+  previousConfidence: number | null;
+  newConfidence: number | null;
+  createdAt: string;
+}
+
+export interface ReviewTask {
+  id: string;
+  productId: string;
+  status: ReviewStatus;
+  reasons: string[];
+  confidenceScore: number;
+  issues: ReviewIssue[];
+  redFlags: string[];
+  suggestions: { brand?: string; category?: string } | null;
+  claimedBy: string | null;
+  claimedAt: string | null;
+  resolvedBy: string | null;
+  resolvedAt: string | null;
+  note: string | null;
+  edits: Partial<Record<ReviewField, FieldChange>> | null;
+  createdAt: string;
+  product: ReviewProduct;
+}
+
+export interface ReviewQueue {
+  tasks: ReviewTask[];
+  counts: Partial<Record<ReviewStatus, number>>;
+}
+
+export interface BulkReviewResult {
+  succeeded: string[];
+  failed: { id: string; error: string }[];
+}
+
 // API Response Types
 export interface ApiResponse<T> {
   success: boolean;
@@ -230,14 +390,89 @@ export interface ApiResponse<T> {
   error?: string;
 }
 
+export interface FacetCount {
+  name: string;
+  count: number;
+}
+
+// Counts for the current filter set, returned with every page of deals
+export interface DealFacets {
+  categories: FacetCount[];
+  brands: FacetCount[];
+  retailers: FacetCount[];
+  genders: Record<Gender, number>;
+  smartFilters: {
+    bestValue: number;
+    topDeal: number;
+    priceDrop: number;
+  };
+  priceRange: {
+    min: number;
+    max: number;
+    currency: string; // The viewer's currency
+  };
+}
+
 export interface DealsResponse {
   deals: Product[];
   total: number;
-  page: number;
   limit: number;
+  hasMore: boolean;
+  nextCursor: string | null; // Opaque, pass back as `cursor` for the next page
+  facets: DealFacets | null;
   lastUpdated: Date;
 }
 
+// Search suggestions (GET /api/search/suggest)
+export interface SearchSuggestions {
+  query: string;
+  queries: {
+    text: string; // e.g. "Nike running shoes under 80"
+    search: string; // Full-text part, e.g. "Nike running shoes"
+    filters: { brand?: string; category?: string; maxPrice?: number };
+  }[];
+  brands: { brand: string; categories: string[]; keywords: string[] }[];
+  categories: { category: string; keyword: string }[];
+  retailers: FacetCount[];
+  products: {
+    id: string;
+    name: string;
+    brand: string;
+    salePrice: number;
+    discount: number;
+    currency: string;
+    image: string | null;
+    url: string;
+  }[];
+}
+
+// One selectable row of the SearchBar dropdown
+export type SearchSuggestionItem =
+  | ({ type: 'query' } & SearchSuggestions['queries'][number])
+  | ({ type: 'brand' } & SearchSuggestions['brands'][number])
+  | ({ type: 'category' } & SearchSuggestions['categories'][number])
+  | ({ type: 'retailer' } & FacetCount)
+  | ({ type: 'product' } & SearchSuggestions['products'][number]);
+
+// User accounts (/api/auth, /api/me)
+export interface User {
+  id: string;
+  email: string;
+  name: string | null;
+  createdAt: string;
+}
+
+export interface AuthSession {
+  user: User;
+  token: string;
+  expiresAt: string;
+}
+
+export interface SavedDeal extends Product {
+  savedAt: string;
+  isActive: boolean;
+}
+
 // UI Component Props
 export interface ToastMessage {
   id: string;
@@ -255,8 +490,9 @@ export interface ModalProps {
 
 export interface PaginationProps {
   currentPage: number;
-  totalPages: number;
-  onPageChange: (page: number) => void;
   pageSize: number;
   totalItems: number;
+  hasNextPage: boolean;
+  onNext: () => void;
+  onPrevious: () => void;
 }
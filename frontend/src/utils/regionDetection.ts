@@ -98,9 +98,9 @@ export function getCurrencySymbol(currency: string): string {
 }
 
 /**
- * Format price with currency
+ * Format an amount in one currency
  */
-export function formatPrice(price: number, currency: string): string {
+export function formatAmount(price: number, currency: string): string {
   const symbol = getCurrencySymbol(currency);
 
   // For GBP, put symbol before price
@@ -116,3 +116,20 @@ export function formatPrice(price: number, currency: string): string {
   // For USD and others, put symbol before price
   return `${symbol}${price.toFixed(2)}`;
 }
+
+/**
+ * Format price with currency. With a conversion to the viewer's currency
+ * (a deal's `converted` prices), shows the converted price first and the
+ * retailer's original price after it, e.g. "£42.20 (49.99€)".
+ */
+export function formatPrice(
+  price: number,
+  currency: string,
+  converted?: { price: number; currency: string } | null
+): string {
+  if (!converted || converted.currency === currency) {
+    return formatAmount(price, currency);
+  }
+
+  return `${formatAmount(converted.price, converted.currency)} (${formatAmount(price, currency)})`;
+}
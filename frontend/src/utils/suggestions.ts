@@ -0,0 +1,40 @@
+/**
+ * Search Suggestion Helpers
+ *
+ * Shared by the autocomplete dropdowns of SearchBar (App.tsx) and PromoFinder.jsx
+ */
+
+import type { SearchSuggestions, SearchSuggestionItem } from '../types';
+
+/**
+ * Flatten grouped suggestions into dropdown rows, in display order
+ */
+export function toSuggestionItems(suggestions: SearchSuggestions | null): SearchSuggestionItem[] {
+  if (!suggestions) return [];
+
+  return [
+    ...suggestions.queries.map((s) => ({ type: 'query' as const, ...s })),
+    ...suggestions.brands.map((s) => ({ type: 'brand' as const, ...s })),
+    ...suggestions.categories.map((s) => ({ type: 'category' as const, ...s })),
+    ...suggestions.retailers.map((s) => ({ type: 'retailer' as const, ...s })),
+    ...suggestions.products.map((s) => ({ type: 'product' as const, ...s }))
+  ];
+}
+
+/**
+ * Text shown for a suggestion row
+ */
+export function suggestionLabel(item: SearchSuggestionItem): string {
+  switch (item.type) {
+    case 'query':
+      return item.text;
+    case 'brand':
+      return item.brand;
+    case 'category':
+      return item.keyword;
+    case 'retailer':
+      return item.name;
+    case 'product':
+      return item.name;
+  }
+}
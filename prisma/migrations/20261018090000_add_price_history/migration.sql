@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "lowestPrice" DOUBLE PRECISION,
+ADD COLUMN     "priceDropPercent" INTEGER,
+ADD COLUMN     "isPriceDrop" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "lastPriceChangeAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "price_history" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "salePrice" DOUBLE PRECISION NOT NULL,
+    "originalPrice" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'EUR',
+    "source" TEXT,
+    "recordedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "price_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "products_isPriceDrop_idx" ON "products"("isPriceDrop");
+
+-- CreateIndex
+CREATE INDEX "price_history_productId_recordedAt_idx" ON "price_history"("productId", "recordedAt");
+
+-- AddForeignKey
+ALTER TABLE "price_history" ADD CONSTRAINT "price_history_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "ingestKey" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "products_ingestKey_key" ON "products"("ingestKey");
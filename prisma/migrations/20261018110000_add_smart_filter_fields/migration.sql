@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "retailer" TEXT,
+ADD COLUMN     "gender" TEXT,
+ADD COLUMN     "smartCategories" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "dealScore" INTEGER,
+ADD COLUMN     "bestValue" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "topDeal" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "products_retailer_idx" ON "products"("retailer");
+
+-- CreateIndex
+CREATE INDEX "products_gender_idx" ON "products"("gender");
+
+-- CreateIndex
+CREATE INDEX "products_dealScore_idx" ON "products"("dealScore");
+
+-- CreateIndex
+CREATE INDEX "products_salePrice_idx" ON "products"("salePrice");
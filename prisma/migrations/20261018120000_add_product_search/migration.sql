@@ -0,0 +1,38 @@
+-- Full-text and typo-tolerant product search (see backend/services/search)
+
+-- CreateExtension
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+
+-- AlterTable
+-- Source catalogue text is English; brands are indexed unstemmed
+ALTER TABLE "products" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', coalesce("brand", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("name", '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce("retailer", '')), 'C') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'D')
+) STORED;
+
+-- AlterTable
+-- Stemmed with the dictionary of the translation's own language
+ALTER TABLE "translations" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    CASE "language"
+        WHEN 'it' THEN setweight(to_tsvector('italian', coalesce("name", '')), 'B') || setweight(to_tsvector('italian', coalesce("description", '')), 'D')
+        WHEN 'es' THEN setweight(to_tsvector('spanish', coalesce("name", '')), 'B') || setweight(to_tsvector('spanish', coalesce("description", '')), 'D')
+        WHEN 'fr' THEN setweight(to_tsvector('french', coalesce("name", '')), 'B') || setweight(to_tsvector('french', coalesce("description", '')), 'D')
+        WHEN 'de' THEN setweight(to_tsvector('german', coalesce("name", '')), 'B') || setweight(to_tsvector('german', coalesce("description", '')), 'D')
+        WHEN 'pt' THEN setweight(to_tsvector('portuguese', coalesce("name", '')), 'B') || setweight(to_tsvector('portuguese', coalesce("description", '')), 'D')
+        ELSE setweight(to_tsvector('english', coalesce("name", '')), 'B') || setweight(to_tsvector('english', coalesce("description", '')), 'D')
+    END
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "products_searchVector_idx" ON "products" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "translations_searchVector_idx" ON "translations" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "products_brand_trgm_idx" ON "products" USING GIN (lower("brand") gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "products_name_trgm_idx" ON "products" USING GIN (lower("name") gin_trgm_ops);
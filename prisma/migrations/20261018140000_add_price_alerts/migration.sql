@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE "price_alerts" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "productId" TEXT,
+    "targetPrice" DOUBLE PRECISION,
+    "dropPercent" INTEGER,
+    "referencePrice" DOUBLE PRECISION,
+    "filters" JSONB,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastNotifiedPrice" DOUBLE PRECISION,
+    "lastCheckedAt" TIMESTAMP(3),
+    "lastTriggeredAt" TIMESTAMP(3),
+    "triggerCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "price_alerts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "alert_deliveries" (
+    "id" TEXT NOT NULL,
+    "alertId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "notifier" TEXT NOT NULL,
+    "deliveredAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "alert_deliveries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "price_alerts_userId_idx" ON "price_alerts"("userId");
+
+-- CreateIndex
+CREATE INDEX "price_alerts_isActive_type_idx" ON "price_alerts"("isActive", "type");
+
+-- CreateIndex
+CREATE INDEX "price_alerts_productId_idx" ON "price_alerts"("productId");
+
+-- CreateIndex
+CREATE INDEX "alert_deliveries_alertId_productId_idx" ON "alert_deliveries"("alertId", "productId");
+
+-- AddForeignKey
+ALTER TABLE "price_alerts" ADD CONSTRAINT "price_alerts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "price_alerts" ADD CONSTRAINT "price_alerts_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "alert_deliveries" ADD CONSTRAINT "alert_deliveries_alertId_fkey" FOREIGN KEY ("alertId") REFERENCES "price_alerts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,48 @@
+-- CreateTable
+CREATE TABLE "admin_api_keys" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "role" TEXT NOT NULL,
+    "keyHash" TEXT NOT NULL,
+    "keyPrefix" TEXT NOT NULL,
+    "createdBy" TEXT,
+    "lastUsedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "admin_api_keys_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "admin_audit_logs" (
+    "id" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "outcome" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "path" TEXT NOT NULL,
+    "statusCode" INTEGER,
+    "actor" TEXT NOT NULL,
+    "role" TEXT,
+    "apiKeyId" TEXT,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "admin_audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "admin_api_keys_keyHash_key" ON "admin_api_keys"("keyHash");
+
+-- CreateIndex
+CREATE INDEX "admin_audit_logs_createdAt_idx" ON "admin_audit_logs"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "admin_audit_logs_action_idx" ON "admin_audit_logs"("action");
+
+-- CreateIndex
+CREATE INDEX "admin_audit_logs_apiKeyId_idx" ON "admin_audit_logs"("apiKeyId");
+
+-- AddForeignKey
+ALTER TABLE "admin_audit_logs" ADD CONSTRAINT "admin_audit_logs_apiKeyId_fkey" FOREIGN KEY ("apiKeyId") REFERENCES "admin_api_keys"("id") ON DELETE SET NULL ON UPDATE CASCADE;
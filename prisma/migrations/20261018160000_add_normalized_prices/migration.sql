@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "normalizedSalePrice" DOUBLE PRECISION,
+ADD COLUMN "normalizedOriginalPrice" DOUBLE PRECISION;
+
+-- Backfill euro prices; other currencies need the rates snapshot (npm run currency:normalize)
+UPDATE "products"
+SET "normalizedSalePrice" = "salePrice",
+    "normalizedOriginalPrice" = "originalPrice"
+WHERE "currency" = 'EUR';
+
+-- CreateIndex
+CREATE INDEX "products_normalizedSalePrice_idx" ON "products"("normalizedSalePrice");
@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "canonical_products" (
+    "id" TEXT NOT NULL,
+    "brandKey" TEXT NOT NULL,
+    "styleCode" TEXT,
+    "name" TEXT NOT NULL,
+    "nameTokens" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "imageKeys" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "category" "ProductCategory" NOT NULL,
+    "offerCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "canonical_products_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "canonicalProductId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "canonical_products_brandKey_styleCode_idx" ON "canonical_products"("brandKey", "styleCode");
+
+-- CreateIndex
+CREATE INDEX "canonical_products_brandKey_category_idx" ON "canonical_products"("brandKey", "category");
+
+-- CreateIndex
+CREATE INDEX "canonical_products_offerCount_idx" ON "canonical_products"("offerCount");
+
+-- CreateIndex
+CREATE INDEX "products_canonicalProductId_idx" ON "products"("canonicalProductId");
+
+-- AddForeignKey
+ALTER TABLE "products" ADD CONSTRAINT "products_canonicalProductId_fkey" FOREIGN KEY ("canonicalProductId") REFERENCES "canonical_products"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing products are grouped by `npm run products:match`
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "scrape_runs" (
+    "id" TEXT NOT NULL,
+    "scraper" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "durationMs" INTEGER,
+    "productsFound" INTEGER NOT NULL DEFAULT 0,
+    "productsStored" INTEGER NOT NULL DEFAULT 0,
+    "productsRejected" INTEGER NOT NULL DEFAULT 0,
+    "selectorMisses" INTEGER NOT NULL DEFAULT 0,
+    "errorClass" TEXT,
+    "errorMessage" TEXT,
+
+    CONSTRAINT "scrape_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "scrape_runs_scraper_startedAt_idx" ON "scrape_runs"("scraper", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "scrape_runs_startedAt_idx" ON "scrape_runs"("startedAt");
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "lifecycleStatus" TEXT NOT NULL DEFAULT 'active',
+ADD COLUMN "lastSeenAt" TIMESTAMP(3),
+ADD COLUMN "missedRuns" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "lifecycleChangedAt" TIMESTAMP(3);
+
+-- Backfill: every ingest touched updatedAt, so it is the last sighting so far
+UPDATE "products" SET "lastSeenAt" = "updatedAt";
+
+-- CreateIndex
+CREATE INDEX "products_lifecycleStatus_retailer_idx" ON "products"("lifecycleStatus", "retailer");
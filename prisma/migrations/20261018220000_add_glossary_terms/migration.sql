@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "glossary_terms" (
+    "id" TEXT NOT NULL,
+    "term" TEXT NOT NULL,
+    "language" TEXT,
+    "translation" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "glossary_terms_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "glossary_terms_term_language_key" ON "glossary_terms"("term", "language");
+
+-- CreateIndex
+CREATE INDEX "glossary_terms_language_idx" ON "glossary_terms"("language");
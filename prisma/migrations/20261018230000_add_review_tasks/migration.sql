@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "lockedFields" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "review_tasks" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "reasons" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "confidenceScore" INTEGER NOT NULL,
+    "issues" JSONB NOT NULL DEFAULT '[]',
+    "redFlags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "suggestions" JSONB,
+    "claimedBy" TEXT,
+    "claimedAt" TIMESTAMP(3),
+    "resolvedBy" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "note" TEXT,
+    "edits" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "review_tasks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "review_tasks_status_createdAt_idx" ON "review_tasks"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "review_tasks_productId_status_idx" ON "review_tasks"("productId", "status");
+
+-- AddForeignKey
+ALTER TABLE "review_tasks" ADD CONSTRAINT "review_tasks_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "quarantinedAt" TIMESTAMP(3),
+ADD COLUMN "quarantineReasons" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN "quarantineRecheckAt" TIMESTAMP(3),
+ADD COLUMN "quarantineChecks" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "products_quarantineRecheckAt_idx" ON "products"("quarantineRecheckAt");
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "product_images" ADD COLUMN "perceptualHash" TEXT,
+ADD COLUMN "invalidReason" TEXT;
+
+-- CreateTable
+CREATE TABLE "placeholder_image_hashes" (
+    "id" TEXT NOT NULL,
+    "hash" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "sourceUrl" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "placeholder_image_hashes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "product_images_perceptualHash_idx" ON "product_images"("perceptualHash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "placeholder_image_hashes_hash_key" ON "placeholder_image_hashes"("hash");
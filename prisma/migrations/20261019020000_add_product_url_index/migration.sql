@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "products_productUrl_idx" ON "products"("productUrl");
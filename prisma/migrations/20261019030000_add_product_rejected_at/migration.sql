@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "rejectedAt" TIMESTAMP(3);
+
+-- Backfill: products whose latest review decision is a rejection
+UPDATE "products" p
+SET "rejectedAt" = t."resolvedAt"
+FROM (
+    SELECT DISTINCT ON ("productId") "productId", "status", "resolvedAt"
+    FROM "review_tasks"
+    WHERE "status" IN ('approved', 'rejected')
+    ORDER BY "productId", "resolvedAt" DESC
+) t
+WHERE t."productId" = p."id" AND t."status" = 'rejected';
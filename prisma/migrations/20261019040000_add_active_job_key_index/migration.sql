@@ -0,0 +1,12 @@
+-- Drop pending duplicates of a job that is already pending or running with the same type and key
+DELETE FROM "jobs" j
+USING "jobs" o
+WHERE j."type" = o."type"
+  AND j."key" = o."key"
+  AND j."status" = 'pending'
+  AND o."status" IN ('pending', 'running')
+  AND j."id" <> o."id"
+  AND (o."status" = 'running' OR o."createdAt" < j."createdAt" OR (o."createdAt" = j."createdAt" AND o."id" < j."id"));
+
+-- CreateIndex (partial: not expressible in schema.prisma, see the Job model)
+CREATE UNIQUE INDEX "jobs_type_key_active_key" ON "jobs"("type", "key") WHERE "status" IN ('pending', 'running');
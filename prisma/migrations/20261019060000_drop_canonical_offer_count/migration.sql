@@ -0,0 +1,6 @@
+-- Offers are counted from products (deletes and purges never updated the counter)
+-- DropIndex
+DROP INDEX "canonical_products_offerCount_idx";
+
+-- AlterTable
+ALTER TABLE "canonical_products" DROP COLUMN "offerCount";